@@ -1,28 +1,90 @@
 // Import Electron modules for creating desktop apps
-import { app, BrowserWindow, ipcMain, dialog, session, Menu } from 'electron';
+import {
+  app,
+  BrowserWindow,
+  ipcMain,
+  dialog,
+  session,
+  Menu,
+  protocol,
+  desktopCapturer,
+  systemPreferences,
+} from 'electron';
 import path from 'path';
 import fs from 'fs/promises';
 import fsSync from 'fs';
 import { fileURLToPath } from 'url';
+import {
+  createJournal,
+  attachJournalMedia,
+  attachJournalTake,
+  attachJournalTrack,
+  updateJournal,
+  writeJournalSnapshot,
+  listJournals,
+  readJournal,
+  discardJournal,
+  pruneJournals,
+} from './src/main-process/recoveryStore.js';
+import { readNotepack } from './src/main-process/notepackReader.js';
+import { planTrackEntries } from './src/main-process/sessionTracks.js';
+import {
+  SESSION_VERSION,
+  normalizeSegmentIds,
+  segmentEntryPrefix,
+} from './src/main-process/sessionMeta.js';
+import { writeHtmlWithEmbeddedMedia } from './src/main-process/embeddedHtmlWriter.js';
+import { writeFixedMedia } from './src/main-process/mediaFixup.js';
+import { computeMediaPeaks } from './src/main-process/waveformPeaks.js';
+import { writeMarkdownExport, readMarkdownImport } from './src/main-process/markdownFiles.js';
+import {
+  listCaptureSources,
+  getScreenAccess,
+  createDisplayMediaHandler,
+} from './src/main-process/captureSources.js';
+import {
+  MEDIA_PROTOCOL_SCHEME,
+  handleMediaRequest,
+  registerMediaFile,
+  unregisterMediaFile,
+} from './src/main-process/mediaProtocol.js';
+import {
+  registerTranscriptionEngine,
+  getTranscriptionEngine,
+  createWhisperCppEngine,
+  createStubEngine,
+  resolveEngineOptions,
+  transcribeMedia,
+} from './src/main-process/transcription.js';
+import {
+  validateSegments,
+  validateFrameSize,
+  cutMedia,
+  cutTrack,
+  joinMedia,
+} from './src/main-process/mediaCutter.js';
 // Lazy-load Ajv when needed to keep startup fast
 let __ajvInstance = null;
-let __sessionValidator = null;
+// Compiled validators by schema file name (session, transcript and waveform schemas)
+const __schemaValidators = new Map();
 
-async function getSessionValidator() {
-  if (__sessionValidator) return __sessionValidator;
+async function getSchemaValidator(schemaFile) {
+  if (__schemaValidators.has(schemaFile)) return __schemaValidators.get(schemaFile);
+  let validator = null;
   try {
     const { default: Ajv } = await import('ajv');
     if (!__ajvInstance) {
       __ajvInstance = new Ajv({ allErrors: true, strict: false });
     }
-    const schemaPath = path.join(__dirname, 'schemas', 'session.schema.json');
+    const schemaPath = path.join(__dirname, 'schemas', schemaFile);
     const schemaJson = JSON.parse(await fs.readFile(schemaPath, 'utf-8'));
-    __sessionValidator = __ajvInstance.compile(schemaJson);
+    validator = __ajvInstance.compile(schemaJson);
   } catch (e) {
     console.warn('Schema validator initialization failed:', e?.message || String(e));
-    __sessionValidator = null;
+    validator = null;
   }
-  return __sessionValidator;
+  __schemaValidators.set(schemaFile, validator);
+  return validator;
 }
 
 // ES module compatibility: Get current file path and directory
@@ -37,10 +99,35 @@ let lastOpenedSessionDir = null;
 let appMenu = null;
 // Temporary media write streams for streaming uploads from renderer
 const tempMediaStreams = new Map();
+// Recovery journals created or restored by this run (never offered back for recovery)
+const activeJournals = new Set();
+// Temp files written via create-temp-media that save-session may delete once zipped
+const streamedTempFiles = new Set();
+// Media extracted from the currently loaded notepack, one per segment, and results of media
+// edits (played by the renderer from disk)
+let loadedMediaPaths = new Set();
+// Raw source tracks extracted from the currently loaded notepack (re-zipped on save)
+let loadedTrackPaths = new Set();
+
+// Abort controller for the running transcription (one at a time)
+let transcriptionAbort = null;
+// Abort controller for the running trim/cut or append (one media edit at a time)
+let mediaEditAbort = null;
+// Abort controller for the running waveform computation (a newer request replaces it)
+let waveformAbort = null;
 
 // Map of session IDs to progress metadata for tracking save operations
 const saveProgressMap = new Map();
 
+/**
+ * Helper: Directory holding crash-recovery journals (recordings + autosaved notes)
+ * Lives in app data rather than os.tmpdir() so startup temp cleanup never touches it
+ * @returns {string} Absolute recovery directory path
+ */
+function getRecoveryDir() {
+  return path.join(app.getPath('userData'), 'recovery');
+}
+
 /**
  * Helper: Report progress to renderer for a save operation
  * @param {BrowserWindow} win - The renderer window
@@ -53,10 +140,44 @@ function reportSaveProgress(win, id, progress) {
   }
 }
 
+// Temp files written by this app: TIMESTAMP-RANDOM-*.ext in os.tmpdir()
+const TEMP_FILE_PATTERN = /^\d+-[a-z0-9]+-/;
+
+/**
+ * Internal: whether a path is one of this app's temp files
+ * @param {unknown} filePath - Path to check (e.g., read from a recovery snapshot)
+ * @param {string} tmpdir - os.tmpdir()
+ * @returns {boolean} True for a TEMP_FILE_PATTERN file directly inside tmpdir
+ */
+function isAppTempFile(filePath, tmpdir) {
+  if (typeof filePath !== 'string' || !filePath) return false;
+  const resolved = path.resolve(filePath);
+  return path.dirname(resolved) === tmpdir && TEMP_FILE_PATTERN.test(path.basename(resolved));
+}
+
+/**
+ * Internal: temp files (media and raw tracks) the segments of a recovery snapshot play
+ * @param {any} state - Snapshot state (RecoverySessionState)
+ * @param {string} tmpdir - os.tmpdir()
+ * @returns {string[]} Paths that pass isAppTempFile()
+ */
+function snapshotTempFiles(state, tmpdir) {
+  const segments = Array.isArray(state?.segments) ? state.segments : [];
+  return segments
+    .flatMap((segment) => [
+      segment?.mediaPath,
+      ...(Array.isArray(segment?.tracks) ? segment.tracks.map((t) => t?.path) : []),
+    ])
+    .filter((filePath) => isAppTempFile(filePath, tmpdir));
+}
+
 /**
  * Cleanup helper: Remove orphaned temporary media files from os.tmpdir()
- * Scans for files matching the notepack temp naming pattern and removes them
- * @returns {Promise<{ removed: number, failed: number }>}
+ * Scans for files matching the notepack temp naming pattern and removes them.
+ * Recoverable sessions live in the recovery directory instead, so they are never
+ * matched here; only stale journals with nothing to recover are pruned there. Temp
+ * media that a recoverable journal's segments play (e.g., extracted from a notepack) is kept.
+ * @returns {Promise<{ removed: number, failed: number, prunedJournals: number }>}
  */
 async function cleanupOrphanedTempFiles() {
   try {
@@ -66,10 +187,20 @@ async function cleanupOrphanedTempFiles() {
     let removed = 0;
     let failed = 0;
 
+    const keep = new Set();
+    try {
+      for (const journal of await listJournals(getRecoveryDir())) {
+        const { meta } = await readJournal(getRecoveryDir(), journal.id);
+        snapshotTempFiles(meta.state, tmpdir).forEach((filePath) => keep.add(filePath));
+      }
+    } catch (err) {
+      console.warn('Failed to read recovery journals before temp cleanup:', err.message);
+    }
+
     // Look for files matching notepack temp pattern: TIMESTAMP-RANDOM-*.ext
     // Pattern: /^\d+-[a-z0-9]+-.+$/
     for (const file of files) {
-      if (/^\d+-[a-z0-9]+-/.test(file)) {
+      if (TEMP_FILE_PATTERN.test(file) && !keep.has(path.join(tmpdir, file))) {
         const filePath = path.join(tmpdir, file);
         try {
           await fs.unlink(filePath);
@@ -82,10 +213,17 @@ async function cleanupOrphanedTempFiles() {
       }
     }
 
-    return { removed, failed };
+    let prunedJournals = 0;
+    try {
+      prunedJournals = await pruneJournals(getRecoveryDir());
+    } catch (err) {
+      console.warn('Failed to prune empty recovery journals:', err.message);
+    }
+
+    return { removed, failed, prunedJournals };
   } catch (err) {
     console.warn('Error during temp file cleanup:', err.message);
-    return { removed: 0, failed: 0 };
+    return { removed: 0, failed: 0, prunedJournals: 0 };
   }
 }
 
@@ -106,6 +244,10 @@ async function createWindow() {
       nodeIntegration: false,
       // Enable sandbox mode for additional security
       sandbox: true,
+      // Keep timers running at full rate while hidden or minimized: the recording compositor
+      // and audio processing run on timers, so throttling them would freeze the video and
+      // drop audio processing in recordings made in the background
+      backgroundThrottling: false,
     },
   });
 
@@ -176,6 +318,22 @@ function createApplicationMenu() {
           if (win) win.webContents.send('menu-action', 'load');
         },
       },
+      {
+        label: 'Restore Unsaved Session...',
+        id: 'menu-restore-unsaved',
+        enabled: true,
+        click: () => {
+          if (win) win.webContents.send('menu-action', 'restore-unsaved');
+        },
+      },
+      {
+        label: 'Import Markdown...',
+        id: 'menu-import-markdown',
+        enabled: true,
+        click: () => {
+          if (win) win.webContents.send('menu-action', 'import-markdown');
+        },
+      },
       { type: 'separator' },
       {
         label: 'Export',
@@ -198,6 +356,55 @@ function createApplicationMenu() {
               if (win) win.webContents.send('menu-action', 'export-separate');
             },
           },
+          {
+            label: 'Export as PDF',
+            id: 'menu-export-pdf',
+            enabled: false,
+            click: () => {
+              if (win) win.webContents.send('menu-action', 'export-pdf');
+            },
+          },
+          {
+            label: 'Export as PDF with Video Frames',
+            id: 'menu-export-pdf-frames',
+            enabled: false,
+            click: () => {
+              if (win) win.webContents.send('menu-action', 'export-pdf-frames');
+            },
+          },
+          {
+            label: 'Export as Markdown',
+            id: 'menu-export-markdown',
+            enabled: false,
+            click: () => {
+              if (win) win.webContents.send('menu-action', 'export-markdown');
+            },
+          },
+          { type: 'separator' },
+          {
+            label: 'Export Chapters (WebVTT)',
+            id: 'menu-export-vtt',
+            enabled: false,
+            click: () => {
+              if (win) win.webContents.send('menu-action', 'export-vtt');
+            },
+          },
+          {
+            label: 'Export Captions (SRT)',
+            id: 'menu-export-srt',
+            enabled: false,
+            click: () => {
+              if (win) win.webContents.send('menu-action', 'export-srt');
+            },
+          },
+          {
+            label: 'Export Chapter List',
+            id: 'menu-export-chapters',
+            enabled: false,
+            click: () => {
+              if (win) win.webContents.send('menu-action', 'export-chapters');
+            },
+          },
         ],
       },
       { type: 'separator' },
@@ -241,6 +448,54 @@ function createApplicationMenu() {
     ],
   });
 
+  // Tools menu
+  template.push({
+    label: 'Tools',
+    submenu: [
+      {
+        label: 'Transcribe Recording',
+        id: 'menu-transcribe',
+        enabled: false,
+        click: () => {
+          if (win) win.webContents.send('menu-action', 'transcribe');
+        },
+      },
+      {
+        label: 'Trim / Cut Recording...',
+        id: 'menu-trim',
+        enabled: false,
+        click: () => {
+          if (win) win.webContents.send('menu-action', 'trim');
+        },
+      },
+      { type: 'separator' },
+      {
+        label: 'Audio Settings...',
+        click: () => {
+          if (win) win.webContents.send('menu-action', 'audio-settings');
+        },
+      },
+      {
+        label: 'Recording Format...',
+        click: () => {
+          if (win) win.webContents.send('menu-action', 'recording-format');
+        },
+      },
+      {
+        label: 'Timestamp Offset...',
+        click: () => {
+          if (win) win.webContents.send('menu-action', 'timestamp-offset');
+        },
+      },
+      {
+        label: 'Playback Shortcuts...',
+        click: () => {
+          if (win) win.webContents.send('menu-action', 'playback-hotkeys');
+        },
+      },
+    ],
+  });
+
   // View menu
   template.push({
     label: 'View',
@@ -303,13 +558,32 @@ function updateMenuItemState(itemId, enabled) {
   Menu.setApplicationMenu(appMenu);
 }
 
+// notepack:// serves loaded media with Range support (must be registered before ready)
+protocol.registerSchemesAsPrivileged([
+  {
+    scheme: MEDIA_PROTOCOL_SCHEME,
+    privileges: {
+      standard: true,
+      secure: true,
+      stream: true,
+      supportFetchAPI: true,
+      corsEnabled: true,
+    },
+  },
+]);
+
 // Initialize the app when Electron is ready
 app.whenReady().then(() => {
+  protocol.handle(MEDIA_PROTOCOL_SCHEME, handleMediaRequest);
+
   // Clean up any orphaned temp files from previous crashes/sessions
   cleanupOrphanedTempFiles().then((result) => {
     if (result.removed > 0) {
       console.log(`Cleanup: removed ${result.removed} orphaned temp files`);
     }
+    if (result.prunedJournals > 0) {
+      console.log(`Cleanup: removed ${result.prunedJournals} empty recovery journals`);
+    }
   });
 
   // Handle permission requests from renderer (e.g. getUserMedia)
@@ -317,7 +591,8 @@ app.whenReady().then(() => {
   try {
     session.defaultSession.setPermissionRequestHandler(
       (webContents, permission, callback, details) => {
-        if (permission === 'media') {
+        // display-capture: getDisplayMedia() for system audio
+        if (permission === 'media' || permission === 'display-capture') {
           // Validate that the request is coming from our app's file:// origin
           const requestingUrl = details.requestingUrl || '';
           const isLocalFile = requestingUrl.startsWith('file://');
@@ -342,6 +617,15 @@ app.whenReady().then(() => {
     console.warn('Could not set permission request handler:', err);
   }
 
+  // System audio for the second audio source (getDisplayMedia in the renderer)
+  try {
+    session.defaultSession.setDisplayMediaRequestHandler(
+      createDisplayMediaHandler(desktopCapturer, process.platform)
+    );
+  } catch (err) {
+    console.warn('Could not set display media request handler:', err);
+  }
+
   createWindow();
 
   // macOS: Re-create window when app is activated (dock icon clicked) if no windows exist
@@ -356,23 +640,40 @@ app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 
+// Stop transcription and remove media extracted from the loaded notepack (startup cleanup covers crashes)
+app.on('will-quit', () => {
+  transcriptionAbort?.abort();
+  mediaEditAbort?.abort();
+  for (const mediaPath of loadedMediaPaths) {
+    try {
+      fsSync.unlinkSync(mediaPath);
+    } catch {
+      // Already gone or still locked; startup cleanup will catch it
+    }
+  }
+  loadedMediaPaths.clear();
+  for (const trackPath of loadedTrackPaths) {
+    try {
+      fsSync.unlinkSync(trackPath);
+    } catch {
+      // Startup cleanup will catch it
+    }
+  }
+  loadedTrackPaths.clear();
+});
+
 /**
  * IPC Handler: Save session data as a .notepack folder
  * Creates a directory containing:
  * - notes.html: The rich text notes with timestamps
- * - media.webm: The recorded audio/video file
- * - session.json: Metadata about the session
+ * - media.webm: The first recording (segment) of the session
+ * - tracks/<kind>-<n>.webm: Raw source tracks (multi-track recordings only)
+ * - segments/<n>/...: The same entries for every further recording
+ * - session.json: Metadata about the session and its segments
  */
 ipcMain.handle('save-session', async (evt, payload) => {
   // Extract payload and normalize
-  const {
-    noteHtml,
-    mediaBuffer,
-    mediaFilePath,
-    mediaSuggestedExt = 'webm',
-    forceSaveAs = false,
-    sessionId = null,
-  } = payload || {};
+  const { noteHtml, segments = [], forceSaveAs = false, sessionId = null } = payload || {};
 
   let outPath = null;
 
@@ -416,29 +717,90 @@ ipcMain.handle('save-session', async (evt, payload) => {
   // Add notes first
   zipfile.addBuffer(notesBuf, 'notes.html');
 
-  // If a temp media file path was provided, stream it into the zip (no memory buffering)
-  let mediaEntryName = null;
-  if (mediaFilePath) {
-    try {
-      mediaEntryName = `media.${mediaSuggestedExt}`;
-      // mediaFilePath is a filesystem path; use addFile to let yazl stream it
-      zipfile.addFile(mediaFilePath, mediaEntryName);
-    } catch (err) {
-      // Fall back to no media if streaming fails
-      console.warn('Failed to add media via file stream:', err);
-      mediaEntryName = null;
+  // Every session has at least one segment, even without a recording
+  const segmentList = Array.isArray(segments) && segments.length ? segments : [{}];
+  const identities = normalizeSegmentIds(segmentList);
+  // Files zipped from disk (temp uploads among them are deleted after the save)
+  const zippedFiles = [];
+
+  const segmentMeta = segmentList.map((segment, index) => {
+    const {
+      mediaFilePath = null,
+      mediaBuffer = null,
+      mediaSuggestedExt = 'webm',
+      transcript = null,
+      markers = [],
+      peaks = null,
+      tracks = [],
+      segmentBoundaries = [],
+    } = segment || {};
+    const prefix = segmentEntryPrefix(index);
+
+    // If a temp media file path was provided, stream it into the zip (no memory buffering)
+    let mediaEntryName = null;
+    if (mediaFilePath) {
+      try {
+        mediaEntryName = `${prefix}media.${mediaSuggestedExt}`;
+        // mediaFilePath is a filesystem path; use addFile to let yazl stream it
+        zipfile.addFile(mediaFilePath, mediaEntryName);
+        zippedFiles.push(mediaFilePath);
+      } catch (err) {
+        // Fall back to no media if streaming fails
+        console.warn('Failed to add media via file stream:', err);
+        mediaEntryName = null;
+      }
+    } else if (mediaBuffer) {
+      const mediaBuf = Buffer.from(mediaBuffer);
+      mediaEntryName = `${prefix}media.${mediaSuggestedExt}`;
+      zipfile.addBuffer(mediaBuf, mediaEntryName);
     }
-  } else if (mediaBuffer) {
-    const mediaBuf = Buffer.from(mediaBuffer);
-    mediaEntryName = `media.${mediaSuggestedExt}`;
-    zipfile.addBuffer(mediaBuf, mediaEntryName);
-  }
+
+    // Transcript (time-aligned speech-to-text) is optional
+    let transcriptEntryName = null;
+    if (transcript && Array.isArray(transcript.segments)) {
+      transcriptEntryName = `${prefix}transcript.json`;
+      zipfile.addBuffer(
+        Buffer.from(JSON.stringify(transcript, null, 2), 'utf-8'),
+        transcriptEntryName
+      );
+    }
+
+    // Waveform peaks are a cache (recomputed by the renderer when missing)
+    let peaksEntryName = null;
+    if (peaks && Array.isArray(peaks.data)) {
+      peaksEntryName = `${prefix}waveform.json`;
+      zipfile.addBuffer(Buffer.from(JSON.stringify(peaks), 'utf-8'), peaksEntryName);
+    }
+
+    // Raw source tracks: only files this process created (temp uploads) or extracted on load
+    const trackEntries = planTrackEntries(
+      tracks,
+      (p) => streamedTempFiles.has(p) || loadedTrackPaths.has(p),
+      prefix
+    );
+    for (const track of trackEntries) {
+      zipfile.addFile(track.path, track.entryName);
+      zippedFiles.push(track.path);
+    }
+
+    return {
+      ...identities[index],
+      mediaFile: mediaEntryName,
+      ...(transcriptEntryName ? { transcriptFile: transcriptEntryName } : {}),
+      ...(peaksEntryName ? { peaksFile: peaksEntryName } : {}),
+      ...(Array.isArray(markers) && markers.length ? { markers } : {}),
+      ...(trackEntries.length ? { tracks: trackEntries.map((t) => t.meta) } : {}),
+      ...(Array.isArray(segmentBoundaries) && segmentBoundaries.length > 1
+        ? { segmentBoundaries }
+        : {}),
+    };
+  });
 
   const meta = {
     createdAt: new Date().toISOString(),
-    mediaFile: mediaEntryName,
     notesFile: 'notes.html',
-    version: 1,
+    segments: segmentMeta,
+    version: SESSION_VERSION,
   };
   zipfile.addBuffer(Buffer.from(JSON.stringify(meta, null, 2), 'utf-8'), 'session.json');
 
@@ -482,10 +844,13 @@ ipcMain.handle('save-session', async (evt, payload) => {
           });
         }
 
-        // If we used a temporary media file, try to remove it now
+        // If we used streamed temp media/track files, try to remove them now
+        // (extracted or journaled media is still in use by the renderer)
         try {
-          if (mediaFilePath) {
-            await fs.unlink(mediaFilePath).catch(() => {});
+          for (const filePath of zippedFiles) {
+            if (streamedTempFiles.delete(filePath)) {
+              await fs.unlink(filePath).catch(() => {});
+            }
           }
         } catch (e) {
           // ignore cleanup errors
@@ -501,37 +866,80 @@ ipcMain.handle('save-session', async (evt, payload) => {
 
 /**
  * IPC: Create a temporary media file and open a writable stream.
- * Returns an id and the temp path to the renderer.
+ * Returns an id and the temp path to the renderer. With a journalId and journalTrack, the file
+ * is a raw source track of the journal's recording (or of its take); with a journalId and
+ * journalTake, it is a take appended to one of the session's recordings.
  */
-ipcMain.handle('create-temp-media', async (evt, { fileName = null, sessionId = null } = {}) => {
-  try {
-    const os = await import('os');
-    const tmpdir = os.tmpdir();
-    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
-    const safeName = fileName ? path.basename(fileName) : `media-${id}`;
-    const tmpPath = path.join(tmpdir, `${id}-${safeName}`);
-    const ws = fsSync.createWriteStream(tmpPath);
-
-    // Initialize progress tracking for this stream
-    const streamData = {
-      ws,
-      path: tmpPath,
-      bytesWritten: 0,
-      sessionId: sessionId || id,
-    };
-    tempMediaStreams.set(id, streamData);
-
-    // Track write progress
-    ws.on('close', () => {
-      // Cleanup tracking when stream closes
-      saveProgressMap.delete(streamData.sessionId);
-    });
+ipcMain.handle(
+  'create-temp-media',
+  async (
+    evt,
+    {
+      fileName = null,
+      sessionId = null,
+      journalId = null,
+      mimeType = null,
+      journalTrack = null,
+      journalTake = null,
+    } = {}
+  ) => {
+    try {
+      const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      let tmpPath;
+
+      if (journalId && journalTrack) {
+        tmpPath = await attachJournalTrack(getRecoveryDir(), journalId, {
+          kind: journalTrack.kind,
+          startOffset: journalTrack.startOffset,
+          mimeType,
+          ext: path.extname(fileName || '').slice(1),
+          take: !!journalTrack.take,
+        });
+      } else if (journalId && journalTake) {
+        tmpPath = await attachJournalTake(getRecoveryDir(), journalId, {
+          mediaFileName: fileName || 'take.webm',
+          mimeType,
+          startOffset: journalTake.startOffset,
+        });
+      } else if (journalId) {
+        // Recording journal: stream into the recovery directory so a crash keeps the data
+        tmpPath = await attachJournalMedia(getRecoveryDir(), journalId, {
+          mediaFileName: fileName || 'media.webm',
+          mimeType,
+        });
+      } else {
+        const os = await import('os');
+        const tmpdir = os.tmpdir();
+        const safeName = fileName ? path.basename(fileName) : `media-${id}`;
+        tmpPath = path.join(tmpdir, `${id}-${safeName}`);
+        streamedTempFiles.add(tmpPath);
+      }
+      const ws = fsSync.createWriteStream(tmpPath);
+
+      // Initialize progress tracking for this stream
+      const streamData = {
+        ws,
+        path: tmpPath,
+        bytesWritten: 0,
+        sessionId: sessionId || id,
+        journalId,
+        // Raw tracks never change the journal's status (its recording does)
+        isJournalTrack: !!(journalId && journalTrack),
+      };
+      tempMediaStreams.set(id, streamData);
+
+      // Track write progress
+      ws.on('close', () => {
+        // Cleanup tracking when stream closes
+        saveProgressMap.delete(streamData.sessionId);
+      });
 
-    return { ok: true, id, path: tmpPath };
-  } catch (err) {
-    return { ok: false, error: err?.message || String(err) };
+      return { ok: true, id, path: tmpPath };
+    } catch (err) {
+      return { ok: false, error: err?.message || String(err) };
+    }
   }
-});
+);
 
 /**
  * IPC: Append a chunk (ArrayBuffer or Buffer) to a previously created temp media file
@@ -579,15 +987,189 @@ ipcMain.handle('close-temp-media', async (evt, id) => {
       entry.ws.on('error', reject);
     });
     tempMediaStreams.delete(id);
+    // Journaled recordings stay on disk until the session is saved or discarded
+    if (entry.journalId && !entry.isJournalTrack) {
+      await updateJournal(getRecoveryDir(), entry.journalId, { status: 'stopped' });
+    }
     return { ok: true, path: entry.path };
   } catch (err) {
     return { ok: false, error: err?.message || String(err) };
   }
 });
 
+/**
+ * IPC: Create an empty recovery journal for the current session
+ */
+ipcMain.handle('create-recovery-journal', async () => {
+  try {
+    const { id } = await createJournal(getRecoveryDir());
+    activeJournals.add(id);
+    return { ok: true, id };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err) };
+  }
+});
+
+/**
+ * IPC: Replace the autosaved notes (HTML + Quill delta) and session state of a journal
+ */
+ipcMain.handle('write-recovery-snapshot', async (evt, journalId, snapshot) => {
+  try {
+    await writeJournalSnapshot(getRecoveryDir(), journalId, snapshot);
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err) };
+  }
+});
+
+/**
+ * IPC: List recovery journals left behind by an interrupted session (newest first)
+ */
+ipcMain.handle('list-recovery-journals', async () => {
+  try {
+    const journals = await listJournals(getRecoveryDir());
+    // Never offer the journals this run is currently writing
+    return { ok: true, journals: journals.filter((j) => !activeJournals.has(j.id)) };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err) };
+  }
+});
+
+/**
+ * Internal: write playable copies of journaled raw tracks (saved like loaded notepack tracks)
+ * @param {Array<{ kind: string, startOffset: number, mimeType: string|null, path: string }>} journalTracks - Tracks from readJournal()
+ * @param {string} prefix - Temp file name prefix (TEMP_FILE_PATTERN)
+ * @param {string} tmpdir - os.tmpdir()
+ * @returns {Promise<Array<{ kind: string, startOffset: number, mimeType?: string, path: string }>>} Copies
+ */
+async function recoverJournalTracks(journalTracks, prefix, tmpdir) {
+  const tracks = [];
+  for (const [index, track] of journalTracks.entries()) {
+    const ext = path.extname(track.path) || '.webm';
+    const trackPath = path.join(tmpdir, `${prefix}-${track.kind}-${index + 1}${ext}`);
+    await writeFixedMedia(track.path, trackPath);
+    loadedTrackPaths.add(trackPath);
+    tracks.push({
+      kind: track.kind,
+      startOffset: track.startOffset,
+      ...(track.mimeType ? { mimeType: track.mimeType } : {}),
+      path: trackPath,
+    });
+  }
+  return tracks;
+}
+
+/**
+ * IPC: Read an interrupted session's notes and media back into the renderer
+ * The media is not sent over IPC: a playable copy (duration and cues written) goes to a temp
+ * file that is served through notepack:// like loaded notepack media. Raw tracks get fixed
+ * copies the same way and are saved like tracks extracted from a notepack. A journaled take
+ * (continue recording) and its tracks are copied the same way. The journal keeps its own
+ * copies until the session is saved. File-backed media of the snapshot's segments
+ * (temp files kept by the startup cleanup) is registered again if it is still on disk.
+ */
+ipcMain.handle('recover-journal', async (evt, journalId) => {
+  try {
+    const {
+      meta,
+      notesHtml,
+      delta,
+      mediaPath: journalMedia,
+      tracks: journalTracks,
+      take: journalTake,
+    } = await readJournal(getRecoveryDir(), journalId);
+    const os = await import('os');
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    let mediaPath = null;
+    if (journalMedia) {
+      const ext = path.extname(journalMedia) || '.webm';
+      mediaPath = path.join(os.tmpdir(), `${id}-recovered${ext}`);
+      await writeFixedMedia(journalMedia, mediaPath);
+      loadedMediaPaths.add(mediaPath);
+    }
+    const tracks = await recoverJournalTracks(journalTracks, `${id}-recovered`, os.tmpdir());
+    let take = null;
+    if (journalTake) {
+      const ext = path.extname(journalTake.path) || '.webm';
+      const takePath = path.join(os.tmpdir(), `${id}-recovered-take${ext}`);
+      await writeFixedMedia(journalTake.path, takePath);
+      loadedMediaPaths.add(takePath);
+      take = {
+        mediaPath: takePath,
+        mediaUrl: registerMediaFile(takePath),
+        startOffset: journalTake.startOffset,
+        tracks: await recoverJournalTracks(journalTake.tracks, `${id}-recovered-take`, os.tmpdir()),
+      };
+    }
+    // File-backed media of the session's segments, where it is still on disk
+    const segments = [];
+    for (const segment of Array.isArray(meta.state?.segments) ? meta.state.segments : []) {
+      if (!isAppTempFile(segment?.mediaPath, os.tmpdir())) continue;
+      if (!(await fs.stat(segment.mediaPath).catch(() => null))?.size) continue;
+      const segmentTracks = [];
+      for (const track of Array.isArray(segment.tracks) ? segment.tracks : []) {
+        if (!isAppTempFile(track?.path, os.tmpdir())) continue;
+        if (!(await fs.stat(track.path).catch(() => null))?.size) continue;
+        loadedTrackPaths.add(track.path);
+        segmentTracks.push({
+          kind: track.kind,
+          startOffset: Number(track.startOffset) || 0,
+          ...(track.mimeType ? { mimeType: track.mimeType } : {}),
+          path: track.path,
+        });
+      }
+      loadedMediaPaths.add(segment.mediaPath);
+      segments.push({
+        id: String(segment.id),
+        mediaPath: segment.mediaPath,
+        mediaUrl: registerMediaFile(segment.mediaPath),
+        tracks: segmentTracks,
+      });
+    }
+    // The restored session keeps autosaving into this journal
+    activeJournals.add(journalId);
+    return {
+      ok: true,
+      notesHtml,
+      delta,
+      state: meta.state || {},
+      mediaPath,
+      mediaUrl: mediaPath ? registerMediaFile(mediaPath) : null,
+      mimeType: meta.mimeType,
+      tracks,
+      take,
+      segments,
+      createdAt: meta.createdAt,
+    };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err) };
+  }
+});
+
+/**
+ * IPC: Delete a recovery journal once it has been saved, reset or declined
+ */
+ipcMain.handle('discard-recovery-journal', async (evt, journalId) => {
+  try {
+    // Close any recording still streaming into this journal before deleting it
+    for (const [id, entry] of tempMediaStreams) {
+      if (entry.journalId !== journalId) continue;
+      tempMediaStreams.delete(id);
+      await new Promise((resolve) => entry.ws.end(resolve));
+    }
+    await discardJournal(getRecoveryDir(), journalId);
+    activeJournals.delete(journalId);
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err) };
+  }
+});
+
 /**
  * IPC Handler: Load a previously saved .notepack session
- * Reads the session directory and returns the notes and media content
+ * Notes and metadata are returned over IPC; each segment's media entry is streamed to a temp
+ * file and returned as a path/URL so no recording ever has to fit in memory. Version 1
+ * session.json files are read as a single segment.
  */
 ipcMain.handle('load-session', async () => {
   // Signal to renderer that loading has started
@@ -604,110 +1186,93 @@ ipcMain.handle('load-session', async () => {
     });
 
     if (canceled || !filePaths?.[0]) {
-      if (win && win.webContents) {
-        win.webContents.send('file-loading-complete');
-      }
       return { ok: false };
     }
 
     const filePath = filePaths[0];
-    lastOpenedSessionDir = filePath;
-
-    // Use yauzl to read the zip file entries into memory
-    const yauzlMod = (await import('yauzl')).default || (await import('yauzl'));
+    const os = await import('os');
 
-    return await new Promise((resolve) => {
-      yauzlMod.open(filePath, { lazyEntries: true }, (err, zipfile) => {
-        if (err || !zipfile) {
-          if (win && win.webContents) {
-            win.webContents.send('file-loading-complete');
-          }
-          return resolve({ ok: false, error: err?.message || 'Could not open notepack' });
+    const contents = await readNotepack(filePath, {
+      extractDir: os.tmpdir(),
+      onProgress: ({ bytesWritten, totalBytes, percent }) => {
+        if (win && win.webContents) {
+          win.webContents.send('file-loading-progress', {
+            phase: 'extracting-media',
+            percent,
+            bytesWritten,
+            totalBytes,
+            statusText: `Extracting media (${(bytesWritten / 1024 / 1024).toFixed(1)} of ${(
+              totalBytes /
+              1024 /
+              1024
+            ).toFixed(1)}MB)`,
+          });
         }
+      },
+    });
+    lastOpenedSessionDir = filePath;
 
-        const entries = {};
-
-        zipfile.readEntry();
-        zipfile.on('entry', (entry) => {
-          // Skip directory entries
-          if (/\/$/.test(entry.fileName)) {
-            zipfile.readEntry();
-            return;
-          }
-
-          zipfile.openReadStream(entry, (err, readStream) => {
-            if (err) {
-              zipfile.close();
-              if (win && win.webContents) {
-                win.webContents.send('file-loading-complete');
+    // Validate session.json, transcript.json and waveform.json (non-blocking)
+    (async () => {
+      const checks = [
+        ['session.json', 'session.schema.json', contents.meta],
+        ...contents.segments.flatMap((segment) => [
+          ['transcript.json', 'transcript.schema.json', segment.transcript],
+          ['waveform.json', 'waveform.schema.json', segment.peaks],
+        ]),
+      ];
+      for (const [entryName, schemaFile, data] of checks) {
+        try {
+          if (data) {
+            const validate = await getSchemaValidator(schemaFile);
+            if (validate) {
+              const valid = validate(data);
+              if (!valid) {
+                console.warn(`${entryName} validation errors:`, validate.errors);
               }
-              return resolve({ ok: false, error: err.message });
             }
-
-            const chunks = [];
-            readStream.on('data', (c) => chunks.push(c));
-            readStream.on('end', () => {
-              entries[entry.fileName] = Buffer.concat(chunks);
-              zipfile.readEntry();
-            });
-          });
-        });
-
-        zipfile.on('end', () => {
-          // Signal to renderer that loading has completed
-          if (win && win.webContents) {
-            win.webContents.send('file-loading-complete');
           }
+        } catch (e) {
+          console.warn(`${entryName} validation failure:`, e?.message || String(e));
+        }
+      }
+    })();
 
-          // Build response from entries
-          const notesHtml = entries['notes.html'] ? entries['notes.html'].toString('utf-8') : '';
-          let mediaArrayBuffer = null;
-          let mediaFile = null;
-          // Validate session.json (non-blocking)
-          (async () => {
-            try {
-              const metaBuf = entries['session.json'];
-              if (metaBuf) {
-                const meta = JSON.parse(metaBuf.toString('utf-8'));
-                const validate = await getSessionValidator();
-                if (validate) {
-                  const valid = validate(meta);
-                  if (!valid) {
-                    console.warn('session.json validation errors:', validate.errors);
-                  }
-                }
-              }
-            } catch (e) {
-              console.warn('session.json validation failure:', e?.message || String(e));
-            }
-          })();
-
-          try {
-            const metaBuf = entries['session.json'];
-            let mediaFile = 'media.webm';
-            if (metaBuf) {
-              const meta = JSON.parse(metaBuf.toString('utf-8'));
-              if (meta?.mediaFile) mediaFile = meta.mediaFile;
-            }
-
-            if (entries[mediaFile]) {
-              const b = entries[mediaFile];
-              mediaFile = mediaFile;
-              mediaArrayBuffer = b.buffer.slice(b.byteOffset, b.byteOffset + b.byteLength);
-            }
-          } catch (e) {
-            // ignore parse errors and continue
-          }
+    // The previously loaded media is no longer referenced by the renderer
+    for (const mediaPath of loadedMediaPaths) {
+      unregisterMediaFile(mediaPath);
+      await fs.unlink(mediaPath).catch(() => {});
+    }
+    loadedMediaPaths = new Set(contents.segments.map((s) => s.mediaPath).filter(Boolean));
+    for (const trackPath of loadedTrackPaths) {
+      await fs.unlink(trackPath).catch(() => {});
+    }
+    loadedTrackPaths = new Set(contents.segments.flatMap((s) => s.tracks.map((t) => t.path)));
 
-          return resolve({ ok: true, notesHtml, mediaArrayBuffer, mediaFile });
-        });
-      });
-    });
+    return {
+      ok: true,
+      notesHtml: contents.notesHtml,
+      segments: contents.segments.map((segment) => ({
+        id: segment.id,
+        name: segment.name,
+        transcript: segment.transcript,
+        markers: segment.markers,
+        segmentBoundaries: segment.segmentBoundaries,
+        peaks: segment.peaks,
+        mediaFile: segment.mediaFile,
+        mediaPath: segment.mediaPath,
+        mediaUrl: segment.mediaPath ? registerMediaFile(segment.mediaPath) : null,
+        mediaSize: segment.mediaSize,
+        tracks: segment.tracks,
+      })),
+    };
   } catch (err) {
+    return { ok: false, error: err?.message || String(err) };
+  } finally {
+    // Signal to renderer that loading has completed (also on cancel/error)
     if (win && win.webContents) {
       win.webContents.send('file-loading-complete');
     }
-    return { ok: false, error: err?.message || String(err) };
   }
 });
 
@@ -716,7 +1281,7 @@ ipcMain.handle('load-session', async () => {
  * The HTML contains both notes and embedded media as base64 data
  * This creates a portable file that can be opened in any web browser
  */
-ipcMain.handle('save-html', async (evt, { html }) => {
+ipcMain.handle('save-html', async (evt, { html, mediaFilePath = null }) => {
   // Show save dialog for HTML export
   const { canceled, filePath } = await dialog.showSaveDialog(win, {
     title: 'Export Single HTML',
@@ -727,8 +1292,143 @@ ipcMain.handle('save-html', async (evt, { html }) => {
   // Return early if user canceled
   if (canceled || !filePath) return { ok: false };
 
-  // Write the complete HTML content to file
-  await fs.writeFile(filePath, html ?? '', 'utf-8');
+  // Write the complete HTML content to file, streaming file-backed media into its placeholder
+  if (mediaFilePath) {
+    await writeHtmlWithEmbeddedMedia(filePath, html ?? '', mediaFilePath);
+  } else {
+    await fs.writeFile(filePath, html ?? '', 'utf-8');
+  }
+  return { ok: true, path: filePath };
+});
+
+/**
+ * Helper: Render an HTML document to PDF in a hidden offscreen window
+ * The HTML is loaded from a temp file (data: URLs are too small for embedded frames);
+ * scripts are disabled since the print template is static
+ * @param {string} html - Complete HTML document
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+async function renderHtmlToPdf(html) {
+  const os = await import('os');
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const htmlPath = path.join(os.tmpdir(), `${id}-print.html`);
+  await fs.writeFile(htmlPath, html, 'utf-8');
+
+  const printWin = new BrowserWindow({
+    show: false,
+    webPreferences: { offscreen: true, javascript: false, sandbox: true },
+  });
+  try {
+    await printWin.loadFile(htmlPath);
+    return await printWin.webContents.printToPDF({
+      printBackground: true,
+      preferCSSPageSize: true,
+    });
+  } finally {
+    printWin.destroy();
+    await fs.unlink(htmlPath).catch(() => {});
+  }
+}
+
+/**
+ * IPC Handler: Export notes as a paginated PDF
+ * The renderer builds the print HTML (timestamps as labels, optional video frames)
+ */
+ipcMain.handle('save-pdf', async (evt, { html } = {}) => {
+  const { canceled, filePath } = await dialog.showSaveDialog(win, {
+    title: 'Export PDF',
+    defaultPath: 'session.pdf',
+    filters: [{ name: 'PDF', extensions: ['pdf'] }],
+  });
+
+  // Return early if user canceled
+  if (canceled || !filePath) return { ok: false };
+
+  try {
+    const pdf = await renderHtmlToPdf(html ?? '');
+    await fs.writeFile(filePath, pdf);
+    return { ok: true, path: filePath };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err) };
+  }
+});
+
+/**
+ * IPC Handler: Export notes as Markdown
+ * Images are written to a `<name>_assets` folder next to the .md file and the
+ * assets placeholder in the Markdown is replaced with that folder's name
+ */
+ipcMain.handle('save-markdown', async (evt, { markdown, images = [] } = {}) => {
+  const { canceled, filePath } = await dialog.showSaveDialog(win, {
+    title: 'Export Markdown',
+    defaultPath: 'session.md',
+    filters: [{ name: 'Markdown', extensions: ['md'] }],
+  });
+
+  // Return early if user canceled
+  if (canceled || !filePath) return { ok: false };
+
+  const written = await writeMarkdownExport(filePath, markdown ?? '', images);
+  return { ok: true, ...written };
+});
+
+/**
+ * IPC Handler: Import a Markdown file into the notes
+ * Local images referenced by the file are returned as data URLs keyed by reference;
+ * the renderer converts the Markdown to Quill content
+ */
+ipcMain.handle('import-markdown', async () => {
+  const { canceled, filePaths } = await dialog.showOpenDialog(win, {
+    title: 'Import Markdown',
+    properties: ['openFile'],
+    filters: [{ name: 'Markdown', extensions: ['md', 'markdown'] }],
+  });
+
+  // Return early if user canceled or no file selected
+  if (canceled || !filePaths?.[0]) return { ok: false };
+
+  try {
+    const { markdown, images } = await readMarkdownImport(filePaths[0]);
+    return { ok: true, markdown, images, fileName: path.basename(filePaths[0]) };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err) };
+  }
+});
+
+// Save dialog settings per subtitle/chapter export format
+const SUBTITLE_EXPORTS = {
+  vtt: {
+    title: 'Export Chapters (WebVTT)',
+    defaultPath: 'session-chapters.vtt',
+    filters: [{ name: 'WebVTT', extensions: ['vtt'] }],
+  },
+  srt: {
+    title: 'Export Captions (SRT)',
+    defaultPath: 'session.srt',
+    filters: [{ name: 'SubRip', extensions: ['srt'] }],
+  },
+  chapters: {
+    title: 'Export Chapter List',
+    defaultPath: 'session-chapters.txt',
+    filters: [{ name: 'Text', extensions: ['txt'] }],
+  },
+};
+
+/**
+ * IPC Handler: Export timestamps as a subtitle or chapter file
+ * The renderer builds the text (WebVTT chapters, SRT captions or a chapter list);
+ * main only picks the location and writes it
+ */
+ipcMain.handle('save-subtitles', async (evt, { content, format } = {}) => {
+  const target = SUBTITLE_EXPORTS[format];
+  if (!target) return { ok: false, error: `Unknown export format: ${format}` };
+
+  const { canceled, filePath } = await dialog.showSaveDialog(win, target);
+
+  // Return early if user canceled
+  if (canceled || !filePath) return { ok: false };
+
+  await fs.writeFile(filePath, content ?? '', 'utf-8');
   return { ok: true, path: filePath };
 });
 
@@ -740,7 +1440,7 @@ ipcMain.handle('save-html', async (evt, { html }) => {
  */
 ipcMain.handle(
   'save-html-video',
-  async (evt, { html, mediaBuffer, mediaExt = 'webm', images = [] }) => {
+  async (evt, { html, mediaBuffer, mediaFilePath = null, mediaExt = 'webm', images = [] }) => {
     // Show save dialog for HTML export
     const { canceled, filePath } = await dialog.showSaveDialog(win, {
       title: 'Export HTML + Video',
@@ -777,8 +1477,11 @@ ipcMain.handle(
     // Write the HTML content to file
     await fs.writeFile(htmlPath, finalHtml ?? '', 'utf-8');
 
-    // Write the video file if media exists
-    if (mediaBuffer) {
+    // Write the video file if media exists (file-backed media is copied on disk)
+    const hasMedia = !!(mediaFilePath || mediaBuffer);
+    if (mediaFilePath) {
+      await fs.copyFile(mediaFilePath, videoPath);
+    } else if (mediaBuffer) {
       await fs.writeFile(videoPath, Buffer.from(mediaBuffer));
     }
 
@@ -794,7 +1497,7 @@ ipcMain.handle(
     return {
       ok: true,
       htmlPath,
-      videoPath: mediaBuffer ? videoPath : null,
+      videoPath: hasMedia ? videoPath : null,
       videoFileName: videoRelativePath,
       images: savedImages,
     };
@@ -851,12 +1554,28 @@ ipcMain.on('menu-state', (evt, state) => {
 
   // Update File > Load
   updateMenuItemState('menu-load', state.canLoad !== false); // Load is almost always enabled
-
-  // Update File > Export submenu
-  updateMenuItemState('menu-export', state.canExport || false);
+  updateMenuItemState('menu-restore-unsaved', state.canLoad !== false);
+
+  // Update File > Export submenu (open whenever one of its items can run)
+  updateMenuItemState(
+    'menu-export',
+    Boolean(
+      state.canExport || state.canExportNotes || state.canExportSubtitles || state.canExportFrames
+    )
+  );
   updateMenuItemState('menu-export-embedded', state.canExport || false);
   updateMenuItemState('menu-export-separate', state.canExport || false);
+  updateMenuItemState('menu-export-pdf', state.canExportNotes || false);
+  updateMenuItemState('menu-export-pdf-frames', state.canExportFrames || false);
+  updateMenuItemState('menu-export-markdown', state.canExportNotes || false);
+  updateMenuItemState('menu-export-vtt', state.canExportSubtitles || false);
+  updateMenuItemState('menu-export-srt', state.canExportSubtitles || false);
+  updateMenuItemState('menu-export-chapters', state.canExportSubtitles || false);
   updateMenuItemState('menu-reset', state.canReset !== false);
+
+  // Update Tools menu
+  updateMenuItemState('menu-transcribe', state.canTranscribe || false);
+  updateMenuItemState('menu-trim', state.canTrim || false);
 });
 
 // IPC Handler: Clear the stored last opened session directory
@@ -864,3 +1583,288 @@ ipcMain.handle('clear-last-session', async () => {
   lastOpenedSessionDir = null;
   return { ok: true };
 });
+
+/**
+ * Helper: Engine selected by NOTE_TIMESTAMPER_TRANSCRIBER (whisper.cpp unless overridden)
+ * Engines are registered on first use so environment paths are read after app ready
+ * @returns {import('./src/main-process/transcription.js').TranscriptionEngine|null} Active engine
+ */
+function getActiveTranscriptionEngine() {
+  const { engineId, whisper } = resolveEngineOptions(process.env, app.getPath('userData'));
+  if (!getTranscriptionEngine('whisper-cpp')) {
+    registerTranscriptionEngine(createWhisperCppEngine(whisper));
+    registerTranscriptionEngine(createStubEngine());
+  }
+  return getTranscriptionEngine(engineId);
+}
+
+/**
+ * IPC Handler: Transcribe a media file into a time-aligned transcript
+ * Only loaded media or a createTempMedia() file is transcribed (isEditableMedia), so the
+ * engine never reads arbitrary paths. Progress is reported via 'transcription-progress'. A temp
+ * file created by createTempMedia() for this run is deleted afterwards.
+ */
+ipcMain.handle('transcribe-media', async (evt, { mediaFilePath } = {}) => {
+  if (transcriptionAbort) return { ok: false, error: 'A transcription is already running' };
+  if (!isEditableMedia(mediaFilePath)) return { ok: false, error: 'No media to transcribe' };
+
+  const engine = getActiveTranscriptionEngine();
+  if (!engine) {
+    return {
+      ok: false,
+      error: `Unknown transcription engine: ${process.env.NOTE_TIMESTAMPER_TRANSCRIBER}`,
+    };
+  }
+
+  transcriptionAbort = new AbortController();
+  try {
+    const transcript = await transcribeMedia(engine, mediaFilePath, {
+      signal: transcriptionAbort.signal,
+      onProgress: (progress) => {
+        if (win && win.webContents) win.webContents.send('transcription-progress', progress);
+      },
+    });
+    return { ok: true, transcript };
+  } catch (err) {
+    if (err?.name === 'AbortError') return { ok: false, canceled: true };
+    return { ok: false, error: err?.message || String(err) };
+  } finally {
+    transcriptionAbort = null;
+    if (streamedTempFiles.delete(mediaFilePath)) {
+      await fs.unlink(mediaFilePath).catch(() => {});
+    }
+  }
+});
+
+// IPC Handler: Cancel the running transcription (no-op when idle)
+ipcMain.handle('cancel-transcription', async () => {
+  transcriptionAbort?.abort();
+  return { ok: true };
+});
+
+/**
+ * IPC Handler: Compute the waveform peaks of a media file with ffmpeg
+ * The input must be loaded media or a createTempMedia() file (deleted afterwards). Only the
+ * latest request runs: the media it was for is no longer shown.
+ */
+ipcMain.handle('compute-waveform', async (evt, { mediaFilePath } = {}) => {
+  if (!isEditableMedia(mediaFilePath)) return { ok: false, error: 'No media for the waveform' };
+
+  waveformAbort?.abort();
+  const abort = new AbortController();
+  waveformAbort = abort;
+  try {
+    const peaks = await computeMediaPeaks({
+      ffmpeg: process.env.FFMPEG_PATH || 'ffmpeg',
+      input: mediaFilePath,
+      signal: abort.signal,
+    });
+    return { ok: true, peaks };
+  } catch (err) {
+    if (err?.name === 'AbortError') return { ok: false, canceled: true };
+    return { ok: false, error: err?.message || String(err) };
+  } finally {
+    if (waveformAbort === abort) waveformAbort = null;
+    if (streamedTempFiles.delete(mediaFilePath)) {
+      await fs.unlink(mediaFilePath).catch(() => {});
+    }
+  }
+});
+
+/**
+ * Internal: whether a renderer-supplied path is media this process owns
+ * @param {string} filePath - Path from the renderer
+ * @returns {boolean} True for loaded notepack media (any segment) or a createTempMedia() file
+ */
+function isEditableMedia(filePath) {
+  if (!filePath) return false;
+  return loadedMediaPaths.has(filePath) || streamedTempFiles.has(filePath);
+}
+
+/**
+ * Internal: delete media an edit consumed (loaded media is unregistered, temp files forgotten)
+ * @param {string} filePath - Input of the edit
+ * @returns {Promise<void>}
+ */
+async function releaseEditedMedia(filePath) {
+  if (loadedMediaPaths.delete(filePath)) {
+    unregisterMediaFile(filePath);
+    await fs.unlink(filePath).catch(() => {});
+  } else if (streamedTempFiles.delete(filePath) || loadedTrackPaths.delete(filePath)) {
+    await fs.unlink(filePath).catch(() => {});
+  }
+}
+
+/**
+ * Internal: run an ffmpeg media edit whose output replaces the loaded media
+ * Only one edit runs at a time. Inputs are deleted after success; on failure, temp inputs are
+ * deleted (the renderer still holds the recording) and loaded media is kept.
+ * @param {string[]} inputs - Media consumed by the edit (the recording first, checked with
+ *   isEditableMedia; raw track files may follow)
+ * @param {(output: string, signal: AbortSignal, onProgress: (progress: { percent: number }) => void) => Promise<void>} edit - Writes the output
+ * @returns {Promise<{ ok: boolean, mediaPath?: string, mediaUrl?: string, canceled?: boolean, error?: string }>}
+ */
+async function runMediaEdit(inputs, edit) {
+  if (mediaEditAbort) return { ok: false, error: 'The recording is already being edited' };
+
+  const os = await import('os');
+  const ext = path.extname(inputs[0]).slice(1).toLowerCase() === 'mp4' ? 'mp4' : 'webm';
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const output = path.join(os.tmpdir(), `${id}-media.${ext}`);
+
+  mediaEditAbort = new AbortController();
+  try {
+    await edit(output, mediaEditAbort.signal, (progress) => {
+      if (win && win.webContents) win.webContents.send('media-edit-progress', progress);
+    });
+  } catch (err) {
+    // An edit may fail after writing the output (e.g. in a later step)
+    await fs.unlink(output).catch(() => {});
+    // The renderer still holds the original recording; streamed copies are not needed any more
+    for (const input of inputs) {
+      if (streamedTempFiles.delete(input)) await fs.unlink(input).catch(() => {});
+    }
+    if (err?.name === 'AbortError') return { ok: false, canceled: true };
+    return { ok: false, error: err?.message || String(err) };
+  } finally {
+    mediaEditAbort = null;
+  }
+
+  // The output replaces the player's media; the inputs are unreferenced (media of other
+  // segments stays loaded)
+  for (const input of inputs) await releaseEditedMedia(input);
+  loadedMediaPaths.add(output);
+  return { ok: true, mediaPath: output, mediaUrl: registerMediaFile(output) };
+}
+
+/**
+ * IPC Handler: Trim/cut the media, keeping only the given segments
+ * The input must be the loaded notepack media or a createTempMedia() file (deleted afterwards).
+ * The result replaces the loaded media: it is served through notepack:// and zipped on save.
+ * Raw tracks are cut with their own segments in the same edit; their inputs (createTempMedia or
+ * load-session track files) are replaced by the cut copies, which save-session accepts like
+ * loaded tracks. Progress is reported via 'media-edit-progress'.
+ */
+ipcMain.handle(
+  'cut-media',
+  async (evt, { mediaFilePath, segments, hasVideo = true, tracks = [] } = {}) => {
+    if (!isEditableMedia(mediaFilePath)) return { ok: false, error: 'No media to cut' };
+    const keep = validateSegments(segments);
+    if (!keep) return { ok: false, error: 'Invalid segments to keep' };
+    const trackCuts = (Array.isArray(tracks) ? tracks : []).map((t) => ({
+      input: t?.mediaFilePath,
+      segments: validateSegments(t?.segments),
+    }));
+    const isTrackFile = (p) => streamedTempFiles.has(p) || loadedTrackPaths.has(p);
+    if (trackCuts.some((t) => !isTrackFile(t.input) || !t.segments)) {
+      return { ok: false, error: 'Invalid tracks to cut' };
+    }
+
+    const ffmpeg = process.env.FFMPEG_PATH || 'ffmpeg';
+    const os = await import('os');
+    /** @type {(string|null)[]} */
+    const trackOutputs = [];
+    const result = await runMediaEdit(
+      [mediaFilePath, ...trackCuts.map((t) => t.input)],
+      async (output, signal, onProgress) => {
+        // Progress over everything that is encoded, weighted by kept length
+        const lengths = [keep, ...trackCuts.map((t) => t.segments)].map((list) =>
+          list.reduce((sum, s) => sum + (s.end - s.start), 0)
+        );
+        const total = lengths.reduce((sum, n) => sum + n, 0) || 1;
+        let done = 0;
+        const partProgress = (index) => (progress) =>
+          onProgress({
+            percent: Math.round(((done + (progress.percent / 100) * lengths[index]) / total) * 100),
+          });
+
+        await cutMedia({
+          ffmpeg,
+          input: mediaFilePath,
+          output,
+          segments: keep,
+          hasVideo: Boolean(hasVideo),
+          signal,
+          onProgress: partProgress(0),
+        });
+        for (const [index, track] of trackCuts.entries()) {
+          done += lengths[index];
+          const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+          const trackOutput = path.join(
+            os.tmpdir(),
+            `${id}-track${path.extname(track.input) || '.webm'}`
+          );
+          trackOutputs.push(trackOutput);
+          const kept = await cutTrack({
+            ffmpeg,
+            input: track.input,
+            output: trackOutput,
+            segments: track.segments,
+            signal,
+            onProgress: partProgress(index + 1),
+          });
+          if (!kept) trackOutputs[trackOutputs.length - 1] = null;
+        }
+      }
+    );
+    if (!result.ok) {
+      for (const trackOutput of trackOutputs) {
+        if (trackOutput) await fs.unlink(trackOutput).catch(() => {});
+      }
+      return result;
+    }
+    trackOutputs.forEach((p) => p && loadedTrackPaths.add(p));
+    return { ...result, tracks: trackOutputs.map((p) => (p ? { mediaPath: p } : null)) };
+  }
+);
+
+/**
+ * IPC Handler: Append a newly recorded take after the existing recording
+ * Both files must be the loaded notepack media or createTempMedia() files (deleted afterwards).
+ * The take is fitted into the first recording's frame size (frameSize null = audio only).
+ * The result replaces the loaded media like 'cut-media'.
+ */
+ipcMain.handle(
+  'append-media',
+  async (evt, { mediaFilePath, takeFilePath, frameSize = null, duration = 0 } = {}) => {
+    if (!isEditableMedia(mediaFilePath) || !isEditableMedia(takeFilePath)) {
+      return { ok: false, error: 'No media to append to' };
+    }
+    const size = frameSize ? validateFrameSize(frameSize) : null;
+    if (frameSize && !size) return { ok: false, error: 'Invalid frame size' };
+
+    return runMediaEdit([mediaFilePath, takeFilePath], (output, signal, onProgress) =>
+      joinMedia({
+        ffmpeg: process.env.FFMPEG_PATH || 'ffmpeg',
+        first: mediaFilePath,
+        second: takeFilePath,
+        output,
+        frameSize: size,
+        duration: Number(duration) || 0,
+        signal,
+        onProgress,
+      })
+    );
+  }
+);
+
+// IPC Handler: Cancel the running trim/cut or append (no-op when idle)
+ipcMain.handle('cancel-media-edit', async () => {
+  mediaEditAbort?.abort();
+  return { ok: true };
+});
+
+/**
+ * IPC Handler: List screens and windows for the screen capture source picker
+ * Our own window is left out so a recording never captures its own preview.
+ */
+ipcMain.handle('list-capture-sources', async () => {
+  try {
+    const sources = await listCaptureSources(desktopCapturer, {
+      excludeId: win ? win.getMediaSourceId() : undefined,
+    });
+    return { ok: true, sources, access: getScreenAccess(process.platform, systemPreferences) };
+  } catch (err) {
+    return { ok: false, error: err?.message || String(err) };
+  }
+});
@@ -7,9 +7,31 @@ contextBridge.exposeInMainWorld('api', {
   createTempMedia: (opts) => ipcRenderer.invoke('create-temp-media', opts),
   appendTempMedia: (id, chunk) => ipcRenderer.invoke('append-temp-media', id, chunk),
   closeTempMedia: (id) => ipcRenderer.invoke('close-temp-media', id),
+  // Crash-recovery journal helpers
+  createRecoveryJournal: () => ipcRenderer.invoke('create-recovery-journal'),
+  writeRecoverySnapshot: (id, snapshot) =>
+    ipcRenderer.invoke('write-recovery-snapshot', id, snapshot),
+  listRecoveryJournals: () => ipcRenderer.invoke('list-recovery-journals'),
+  recoverJournal: (id) => ipcRenderer.invoke('recover-journal', id),
+  discardRecoveryJournal: (id) => ipcRenderer.invoke('discard-recovery-journal', id),
   saveHtml: (payload) => ipcRenderer.invoke('save-html', payload),
   saveHtmlVideo: (payload) => ipcRenderer.invoke('save-html-video', payload),
+  saveSubtitles: (payload) => ipcRenderer.invoke('save-subtitles', payload),
+  saveMarkdown: (payload) => ipcRenderer.invoke('save-markdown', payload),
+  savePdf: (payload) => ipcRenderer.invoke('save-pdf', payload),
+  importMarkdown: () => ipcRenderer.invoke('import-markdown'),
   pickImage: () => ipcRenderer.invoke('pick-image'),
+  // Speech-to-text
+  transcribeMedia: (opts) => ipcRenderer.invoke('transcribe-media', opts),
+  cancelTranscription: () => ipcRenderer.invoke('cancel-transcription'),
+  // Media edits: trim/cut, append a take
+  cutMedia: (opts) => ipcRenderer.invoke('cut-media', opts),
+  appendMedia: (opts) => ipcRenderer.invoke('append-media', opts),
+  cancelMediaEdit: () => ipcRenderer.invoke('cancel-media-edit'),
+  // Waveform peaks (ffmpeg in the main process)
+  computeWaveform: (opts) => ipcRenderer.invoke('compute-waveform', opts),
+  // Screen/window capture sources
+  listCaptureSources: () => ipcRenderer.invoke('list-capture-sources'),
 });
 
 contextBridge.exposeInMainWorld('menu', {
@@ -17,7 +39,13 @@ contextBridge.exposeInMainWorld('menu', {
   onSaveProgress: (callback) =>
     ipcRenderer.on('save-progress', (evt, progress) => callback(progress)),
   onFileLoadingStart: (callback) => ipcRenderer.on('file-loading-start', () => callback()),
+  onFileLoadingProgress: (callback) =>
+    ipcRenderer.on('file-loading-progress', (evt, progress) => callback(progress)),
   onFileLoadingComplete: (callback) => ipcRenderer.on('file-loading-complete', () => callback()),
+  onTranscriptionProgress: (callback) =>
+    ipcRenderer.on('transcription-progress', (evt, progress) => callback(progress)),
+  onMediaEditProgress: (callback) =>
+    ipcRenderer.on('media-edit-progress', (evt, progress) => callback(progress)),
   sendState: (state) => ipcRenderer.send('menu-state', state),
 });
 
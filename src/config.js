@@ -7,13 +7,13 @@
  * =====================
  * Exports:
  *   - CONFIG: Object
- *       Application configuration (RECORDING, AUDIO, TIMER, DEVICE, IMAGE, UI, STORAGE_KEYS, ERROR_BOUNDARY).
+ *       Application configuration (RECORDING, AUTOSAVE, AUDIO, AUDIO_PROCESSING, TIMER, DEVICE, IMAGE, UI, STORAGE_KEYS, EXPORT, PLAYBACK, MARKERS, WAVEFORM, COMPOSITOR, EDITOR, ERROR_BOUNDARY).
  *   - STATES: Object
  *       State constants (RECORDING states).
  *   - ERROR_CODES: Object
  *       Standardized error codes for errorBoundary integration.
  *   - ERRORS: Object
- *       User-facing error messages (CAMERA, MIC, IPC).
+ *       User-facing error messages (CAMERA, SCREEN, MIC, AUX_AUDIO, IPC).
  *   - MESSAGES: Object
  *       Success/status messages (RECORDING, EXPORT).
  *
@@ -41,6 +41,7 @@ export const CONFIG = {
   // Recording settings
   RECORDING: {
     DEFAULT_EXTENSION: 'webm',
+    // 'auto' format: first supported type wins (best quality first)
     SUPPORTED_MIME_TYPES: [
       'video/webm;codecs=vp9,opus',
       'video/webm;codecs=vp8,opus',
@@ -48,6 +49,50 @@ export const CONFIG = {
       'audio/webm;codecs=opus',
       'audio/webm',
     ],
+    // Formats offered in Tools > Recording Format; audio-only recordings use audioMimeType
+    FORMATS: [
+      {
+        id: 'vp9',
+        label: 'VP9 + Opus (WebM)',
+        mimeType: 'video/webm;codecs=vp9,opus',
+        audioMimeType: 'audio/webm;codecs=opus',
+      },
+      {
+        id: 'vp8',
+        label: 'VP8 + Opus (WebM)',
+        mimeType: 'video/webm;codecs=vp8,opus',
+        audioMimeType: 'audio/webm;codecs=opus',
+      },
+      {
+        id: 'av1',
+        label: 'AV1 + Opus (WebM)',
+        mimeType: 'video/webm;codecs=av01,opus',
+        audioMimeType: 'audio/webm;codecs=opus',
+      },
+      {
+        id: 'h264',
+        label: 'H.264 + Opus (WebM)',
+        mimeType: 'video/webm;codecs=h264,opus',
+        audioMimeType: 'audio/webm;codecs=opus',
+      },
+      {
+        id: 'h264-mp4',
+        label: 'H.264 + AAC (MP4)',
+        mimeType: 'video/mp4;codecs=avc1,mp4a.40.2',
+        audioMimeType: 'audio/mp4;codecs=mp4a.40.2',
+      },
+    ],
+    DEFAULT_FORMAT: 'auto',
+    DEFAULT_VIDEO_BITRATE: 0, // 0 = browser default
+    AVAILABLE_VIDEO_BITRATES: [
+      { value: 0, label: 'Automatic' },
+      { value: 1000000, label: '1 Mbps (Slides)' },
+      { value: 2500000, label: '2.5 Mbps (Standard)' },
+      { value: 5000000, label: '5 Mbps (High)' },
+      { value: 8000000, label: '8 Mbps (Very high)' },
+    ],
+    MAX_VIDEO_BITRATE: 50000000,
+    ASSUMED_VIDEO_BITRATE: 2500000, // Chromium's default videoBitsPerSecond (size estimates)
     DEFAULT_RESOLUTION: { width: 1280, height: 720 },
     DEFAULT_FRAMERATE: 30,
     AVAILABLE_FRAMERATES: [15, 24, 30, 60],
@@ -60,6 +105,17 @@ export const CONFIG = {
       { value: 96000, label: '96 kbps (Clear)' },
       { value: 128000, label: '128 kbps (High)' },
     ],
+    TIMESLICE_MS: 1000, // MediaRecorder chunk interval; each chunk is journaled to disk
+    // Raw source tracks (multi-track mode), first supported type wins
+    TRACK_VIDEO_MIME_TYPES: ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'],
+    TRACK_AUDIO_MIME_TYPES: ['audio/webm;codecs=opus', 'audio/webm'],
+    TRACK_AUDIO_BITRATE: 128000, // raw tracks are for repairs, so keep more detail than the mix
+  },
+
+  // Autosave to the crash-recovery journal
+  AUTOSAVE: {
+    DEBOUNCE_MS: 2000, // delay after an edit before snapshotting notes
+    INTERVAL_MS: 30000, // periodic snapshot (captures state that does not fire text-change)
   },
 
   // Audio settings
@@ -67,6 +123,60 @@ export const CONFIG = {
     ANALYSER_FFT_SIZE: 256,
     ANALYSER_SMOOTHING: 0.8,
     LEVEL_UPDATE_INTERVAL: 100, // ms
+    // Second audio dropdown values (any other value is an input device ID)
+    AUX_NONE_VALUE: 'none',
+    AUX_SYSTEM_VALUE: 'system',
+    // Per-source volume sliders go from silent to this gain (1 = unchanged)
+    MAX_GAIN: 2,
+    // Time constant for gain changes (avoids clicks when muting)
+    GAIN_RAMP: 0.02, // seconds
+  },
+
+  // Microphone processing chain: high-pass -> noise gate -> compressor -> loudness gain
+  AUDIO_PROCESSING: {
+    DEFAULT_PRESET: 'raw',
+    // Stage settings per preset; a disabled stage passes audio through unchanged
+    PRESETS: {
+      voice: {
+        highpass: { enabled: true, frequency: 80 }, // Hz
+        gate: { enabled: true, threshold: -55 }, // dBFS
+        compressor: { enabled: true, threshold: -24, ratio: 3 }, // dBFS, n:1
+        normalize: { enabled: true, target: -20 }, // dBFS RMS
+      },
+      lecture: {
+        highpass: { enabled: true, frequency: 120 },
+        gate: { enabled: true, threshold: -50 },
+        compressor: { enabled: true, threshold: -30, ratio: 4 },
+        normalize: { enabled: true, target: -18 },
+      },
+      raw: {
+        highpass: { enabled: false, frequency: 80 },
+        gate: { enabled: false, threshold: -55 },
+        compressor: { enabled: false, threshold: -24, ratio: 3 },
+        normalize: { enabled: false, target: -20 },
+      },
+    },
+    // Slider ranges (stored values are clamped into them)
+    LIMITS: {
+      frequency: { min: 20, max: 300 },
+      gateThreshold: { min: -80, max: -20 },
+      compressorThreshold: { min: -60, max: 0 },
+      ratio: { min: 1, max: 20 },
+      target: { min: -30, max: -10 },
+    },
+    BYPASS_FREQUENCY: 10, // Hz; a disabled high-pass sits below audible range
+    COMPRESSOR_KNEE: 6, // dB
+    COMPRESSOR_ATTACK: 0.005, // seconds
+    COMPRESSOR_RELEASE: 0.25, // seconds
+    GATE_HYSTERESIS: 6, // dB below the threshold before the gate closes
+    GATE_HOLD: 200, // ms the gate stays open after the level drops
+    GATE_FLOOR: 0.05, // gain while closed (-26 dB; silence sounds unnatural)
+    NORMALIZE_MAX_BOOST: 20, // dB
+    NORMALIZE_MAX_CUT: 12, // dB
+    NORMALIZE_SILENCE: -60, // dBFS; quieter input does not move the loudness gain
+    NORMALIZE_SMOOTHING: 0.05, // fraction of the remaining correction applied per control tick
+    CONTROL_INTERVAL: 50, // ms between gate/loudness updates
+    RAMP: 0.05, // seconds; time constant for live parameter changes
   },
 
   // Timer settings
@@ -78,6 +188,8 @@ export const CONFIG = {
   // Device settings
   DEVICE: {
     INIT_TIMEOUT: 5000, // ms - timeout for device initialization (e.g., video.play())
+    // Upper bound for screen capture; frames are scaled into the recording canvas anyway
+    SCREEN_MAX_SIZE: { width: 3840, height: 2160 },
   },
 
   // Image settings
@@ -105,6 +217,130 @@ export const CONFIG = {
     SELECTED_RES: 'nt_selected_res',
     SELECTED_FPS: 'nt_selected_fps',
     SELECTED_AUDIO_BITRATE: 'nt_selected_audio_bitrate',
+    AUDIO_PROCESSING: 'nt_audio_processing',
+    RECORDING_FORMAT: 'nt_recording_format',
+    TIMESTAMP_OFFSET: 'nt_timestamp_offset',
+    AUTO_TIMESTAMP: 'nt_auto_timestamp',
+    PLAYBACK_HOTKEYS: 'nt_playback_hotkeys',
+  },
+
+  // Export settings
+  EXPORT: {
+    // Stands in for base64 media in embedded HTML; main streams the file in its place
+    MEDIA_BASE64_PLACEHOLDER: '__MEDIA_BASE64__',
+    // Stands in for the assets folder in Markdown exports; main substitutes `<name>_assets`
+    MARKDOWN_ASSETS_PLACEHOLDER: '__MARKDOWN_ASSETS__',
+    // Length of the last subtitle/chapter cue when the media duration is unknown
+    LAST_CUE_SECONDS: 5,
+    // PDF export: video frames captured at each timestamp
+    PDF_THUMBNAIL_WIDTH: 320,
+    PDF_THUMBNAIL_QUALITY: 0.8,
+    FRAME_CAPTURE_TIMEOUT_MS: 5000,
+  },
+
+  // Playback keyboard layer (works while typing in the editor)
+  PLAYBACK: {
+    RATES: [0.5, 0.75, 1, 1.25, 1.5, 1.75, 2, 2.5, 3],
+    SKIP_SHORT: 5,
+    SKIP_LONG: 30,
+    // "Previous timestamp" skips timestamps closer than this behind the playhead
+    PREVIOUS_TOLERANCE: 1,
+    // Combos use KeyboardEvent.code; Mod is Cmd on macOS and Ctrl elsewhere
+    DEFAULT_HOTKEYS: {
+      playPause: 'Mod+Alt+KeyK',
+      back: 'Mod+Alt+ArrowLeft',
+      forward: 'Mod+Alt+ArrowRight',
+      backLong: 'Mod+Alt+Shift+ArrowLeft',
+      forwardLong: 'Mod+Alt+Shift+ArrowRight',
+      slower: 'Mod+Alt+Comma',
+      faster: 'Mod+Alt+Period',
+      normalSpeed: 'Mod+Alt+Digit0',
+      previousTimestamp: 'Mod+Alt+ArrowUp',
+      nextTimestamp: 'Mod+Alt+ArrowDown',
+    },
+    // Editor and menu shortcuts the playback layer cannot take over (any platform's)
+    RESERVED_HOTKEYS: [
+      // Timestamps, ranges and markers
+      'Mod+Alt+KeyT',
+      'Mod+Alt+KeyR',
+      'Mod+Alt+KeyM',
+      'Mod+Alt+BracketLeft',
+      'Mod+Alt+BracketRight',
+      // Quill: formatting, link, undo/redo
+      'Mod+KeyB',
+      'Mod+KeyI',
+      'Mod+KeyU',
+      'Mod+KeyK',
+      'Mod+KeyZ',
+      'Mod+Shift+KeyZ',
+      'Mod+KeyY',
+      // Edit menu
+      'Mod+KeyX',
+      'Mod+KeyC',
+      'Mod+KeyV',
+      'Mod+Alt+Shift+KeyV',
+      'Mod+KeyA',
+      // File menu and quit
+      'Mod+KeyS',
+      'Mod+Shift+KeyS',
+      'Mod+KeyO',
+      'Mod+Shift+KeyR',
+      'Mod+KeyQ',
+      // View menu: reload, developer tools, zoom, full screen (Ctrl+Cmd+F on macOS)
+      'Mod+KeyR',
+      'Mod+Shift+KeyI',
+      'Mod+Alt+KeyI',
+      'Mod+Digit0',
+      'Mod+Equal',
+      'Mod+Shift+Equal',
+      'Mod+Minus',
+      'Mod+KeyF',
+      // macOS app and window menus
+      'Mod+KeyH',
+      'Mod+Alt+KeyH',
+      'Mod+KeyM',
+      'Mod+KeyW',
+    ],
+  },
+
+  // Marker track (bookmarks independent of the notes)
+  MARKERS: {
+    TYPES: {
+      important: { label: 'Important', color: '#ef4444' },
+      question: { label: 'Question', color: '#3b82f6' },
+      todo: { label: 'To-do', color: '#f59e0b' },
+      custom: { label: 'Custom', color: '#a855f7' },
+    },
+    // "Previous marker" skips markers this close behind the playhead (like media players)
+    PREVIOUS_GRACE_SECONDS: 1,
+  },
+
+  // Waveform timeline under the player
+  WAVEFORM: {
+    // ffmpeg decodes media to mono samples at this rate only to find peaks
+    DECODE_SAMPLE_RATE: 8000,
+    PEAKS_PER_SECOND: 50,
+    // Long recordings get coarser peaks so waveform.json stays small (~1 h at full resolution)
+    MAX_PEAKS: 180000,
+    HEIGHT: 64,
+    MAX_ZOOM: 32,
+    WAVE_COLOR: '#9ca3af',
+    PLAYED_COLOR: '#4b5563',
+    TIMESTAMP_COLOR: '#0a66c2',
+    PLAYHEAD_COLOR: '#111',
+  },
+
+  // Composition of screen capture and camera in the recorded video
+  COMPOSITOR: {
+    // Layout presets, in Layout dropdown order ('pip-*' put the camera in a corner of the screen)
+    LAYOUTS: ['camera', 'screen', 'pip-br', 'pip-bl', 'pip-tr', 'pip-tl', 'side-by-side'],
+    DEFAULT_LAYOUT: 'camera',
+    // Picture-in-picture overlay width as a fraction of the video width
+    PIP_SCALE: 0.25,
+    PIP_MIN_SCALE: 0.1,
+    PIP_MAX_SCALE: 0.5,
+    // Corner inset as a fraction of the video width
+    PIP_MARGIN: 0.025,
   },
 
   // Editor settings
@@ -113,6 +349,12 @@ export const CONFIG = {
     HISTORY_DELAY: 500,
     MAX_HISTORY_STACK: 200,
     RESIZE_HANDLE_SIZE: 8,
+    // Lead-in offset added to new timestamps (negative = earlier), in seconds
+    DEFAULT_TIMESTAMP_OFFSET: 0,
+    MAX_TIMESTAMP_OFFSET: 30,
+    // Auto-timestamp mode: minimum seconds between automatic timestamps
+    AUTO_TIMESTAMP_DEFAULT_GAP: 5,
+    AUTO_TIMESTAMP_MAX_GAP: 600,
   },
 
   // Error Boundary settings
@@ -137,10 +379,12 @@ export const ERROR_CODES = {
   DEVICE_IN_USE: 'DEVICE_IN_USE',
   CAMERA_INIT_TIMEOUT: 'CAMERA_INIT_TIMEOUT',
   CAMERA_SWITCH_FAILED: 'CAMERA_SWITCH_FAILED',
+  SCREEN_CAPTURE_FAILED: 'SCREEN_CAPTURE_FAILED',
 
   // Microphone/audio errors
   MIC_SWITCH_FAILED: 'MIC_SWITCH_FAILED',
   MIC_CONNECT_FAILED: 'MIC_CONNECT_FAILED',
+  AUX_AUDIO_FAILED: 'AUX_AUDIO_FAILED',
 
   // Recording/mixing errors
   RECORDING_START_FAILED: 'RECORDING_START_FAILED',
@@ -191,6 +435,13 @@ export const ERRORS = {
     GENERIC: 'Camera error. Please check permissions and device connection, then try again.',
   },
 
+  SCREEN: {
+    NOT_ALLOWED:
+      'Screen recording permission denied. On macOS, allow Note Timestamper under System Settings > Privacy & Security > Screen Recording, then restart the app.',
+    CAPTURE_FAILED:
+      'Unable to capture the selected screen or window. It may have been closed; choose the source again.',
+  },
+
   MICROPHONE: {
     NOT_ALLOWED:
       'Microphone access denied. Please allow microphone permissions in your system settings and reload the app.',
@@ -205,6 +456,13 @@ export const ERRORS = {
       'Failed to connect microphone to audio system. Please reload the app and try again.',
   },
 
+  AUX_AUDIO: {
+    SYSTEM_UNSUPPORTED:
+      'System audio capture is only available on Windows. Route the audio through a loopback input device (e.g. BlackHole on macOS) and choose that device as the second audio source.',
+    CAPTURE_FAILED:
+      'Unable to capture the second audio source. Check that the device is connected, or set Second audio to None.',
+  },
+
   EXPORT: {
     NO_RECORDING: 'No recording available to export',
     FAILED: 'Export failed',
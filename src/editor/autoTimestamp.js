@@ -0,0 +1,210 @@
+// @ts-check
+
+/**
+ * @file Auto-timestamp mode
+ * While recording or playing a recording, every paragraph started with Enter gets a timestamp
+ * at its start, holding the time the first character of the line was typed. A minimum gap keeps
+ * quick short lines from all being stamped.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - normalizeAutoTimestampSettings(settings: any): AutoTimestampSettings
+ *   - loadAutoTimestampSettings(storage: Storage): AutoTimestampSettings
+ *   - saveAutoTimestampSettings(storage: Storage, settings: AutoTimestampSettings): void
+ *       Persistence under CONFIG.STORAGE_KEYS.AUTO_TIMESTAMP.
+ * Methods:
+ *   - init(quill: Quill, handlers: { getTime, createStamp }): void
+ *       Watches the editor's user changes.
+ *   - setSettings(settings: AutoTimestampSettings): void / getSettings(): AutoTimestampSettings
+ *   - reset(): void
+ *       Forgets the pending line and the last stamp time (new session, media switched).
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Quill 'text-change' events with source 'user'
+ *   - handlers.getTime(): current recording/playback time, or null when neither is running
+ * Outputs:
+ *   - Timestamp embeds (from handlers.createStamp(time)) plus a space at line starts, inserted
+ *     as 'user' changes so they are part of the undo history
+ * Side-effects:
+ *   - Edits the document right after the keystroke that starts a line
+ * Invariants:
+ *   - Only lines created with Enter are stamped, and only once they get their first character
+ *     (pasted text, embeds and lines that already have content are left alone)
+ *   - Two automatic stamps are at least minGap seconds apart in recording time
+ * Failure Modes:
+ *   - Invalid stored settings fall back to the defaults
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * @typedef {object} AutoTimestampSettings
+ * @property {boolean} enabled - Stamp new paragraphs
+ * @property {number} minGap - Minimum seconds between automatic stamps
+ */
+
+/**
+ * Complete and validate settings
+ * @param {any} settings - Possibly partial or stored settings
+ * @returns {AutoTimestampSettings} Valid settings
+ */
+export function normalizeAutoTimestampSettings(settings) {
+  const input = settings && typeof settings === 'object' ? settings : {};
+  const gap = Number(input.minGap);
+  return {
+    enabled: input.enabled === true,
+    minGap:
+      Number.isFinite(gap) && gap >= 0
+        ? Math.min(gap, CONFIG.EDITOR.AUTO_TIMESTAMP_MAX_GAP)
+        : CONFIG.EDITOR.AUTO_TIMESTAMP_DEFAULT_GAP,
+  };
+}
+
+/**
+ * Read the saved settings
+ * @param {Pick<Storage, 'getItem'>} storage - localStorage
+ * @returns {AutoTimestampSettings} Saved settings, or the defaults
+ */
+export function loadAutoTimestampSettings(storage) {
+  try {
+    const raw = storage.getItem(CONFIG.STORAGE_KEYS.AUTO_TIMESTAMP);
+    return normalizeAutoTimestampSettings(raw ? JSON.parse(raw) : null);
+  } catch (e) {
+    console.warn('Ignoring invalid auto-timestamp settings:', e);
+    return normalizeAutoTimestampSettings(null);
+  }
+}
+
+/**
+ * Save settings
+ * @param {Pick<Storage, 'setItem'>} storage - localStorage
+ * @param {AutoTimestampSettings} settings - Settings
+ * @returns {void}
+ */
+export function saveAutoTimestampSettings(storage, settings) {
+  storage.setItem(
+    CONFIG.STORAGE_KEYS.AUTO_TIMESTAMP,
+    JSON.stringify(normalizeAutoTimestampSettings(settings))
+  );
+}
+
+/**
+ * Internal: the single insert of a user change and where it happened
+ * @param {{ ops: any[] }} delta - Change delta
+ * @returns {{ index: number, insert: any }|null} Insert position and content, or null when
+ *   the change inserts nothing or several things
+ */
+function singleInsert(delta) {
+  let index = 0;
+  let found = null;
+  for (const op of delta.ops) {
+    if (typeof op.retain === 'number') {
+      if (found) continue; // Formatting after the insert (e.g., list items)
+      index += op.retain;
+    } else if (op.insert !== undefined) {
+      if (found) return null;
+      found = { index, insert: op.insert };
+    }
+  }
+  return found;
+}
+
+/**
+ * Stamps new paragraphs with the time they were started
+ */
+export class AutoTimestamp {
+  constructor() {
+    /** @type {any} */
+    this.quill = null;
+    this.handlers = {
+      getTime: () => /** @type {number|null} */ (null),
+      createStamp: (/** @type {number} */ time) =>
+        /** @type {import('../../types/global').TimestampValue} */ ({ ts: time, label: '' }),
+    };
+    this.settings = normalizeAutoTimestampSettings(null);
+    /** @type {number|null} Document index of the line started with Enter */
+    this.pendingLine = null;
+    /** @type {number|null} Time of the last automatic stamp */
+    this.lastTime = null;
+  }
+
+  /**
+   * Initialize with the editor
+   * @param {any} quill - Quill instance
+   * @param {{ getTime: () => number|null, createStamp: (time: number) => import('../../types/global').TimestampValue }} handlers - Time source (null when not recording or playing) and timestamp values
+   */
+  init(quill, handlers) {
+    this.quill = quill;
+    this.handlers = { ...this.handlers, ...handlers };
+    quill.on('text-change', (delta, _oldDelta, source) => {
+      if (source === 'user') this.onUserChange(delta);
+    });
+  }
+
+  /**
+   * Replace the settings
+   * @param {AutoTimestampSettings} settings - Settings
+   */
+  setSettings(settings) {
+    this.settings = normalizeAutoTimestampSettings(settings);
+    if (!this.settings.enabled) this.pendingLine = null;
+  }
+
+  /**
+   * Current settings
+   * @returns {AutoTimestampSettings} Copy
+   */
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Forget the pending line and the last stamp
+   */
+  reset() {
+    this.pendingLine = null;
+    this.lastTime = null;
+  }
+
+  /**
+   * Internal: track Enter and stamp the first character typed on the new line
+   * @param {{ ops: any[] }} delta - User change
+   */
+  onUserChange(delta) {
+    const pending = this.pendingLine;
+    this.pendingLine = null;
+    if (!this.settings.enabled || !this.quill) return;
+
+    const change = singleInsert(delta);
+    if (!change || typeof change.insert !== 'string') return;
+    if (change.insert === '\n') {
+      this.pendingLine = change.index + 1;
+      return;
+    }
+    if (change.index !== pending || change.insert.includes('\n')) return;
+
+    // Only a line that holds nothing but the new text is started here
+    const [line, offset] = this.quill.getLine(change.index);
+    if (!line || offset !== 0 || line.length() !== change.insert.length + 1) return;
+
+    const time = this.handlers.getTime();
+    if (time === null || !Number.isFinite(time)) return;
+    if (this.lastTime !== null && Math.abs(time - this.lastTime) < this.settings.minGap) return;
+
+    this.lastTime = time;
+    this.quill.insertEmbed(change.index, 'timestamp', this.handlers.createStamp(time), 'user');
+    this.quill.insertText(change.index + 1, ' ', 'user');
+  }
+}
+
+// Create a singleton instance
+export const autoTimestamp = new AutoTimestamp();
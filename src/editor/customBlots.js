@@ -1,7 +1,7 @@
 // @ts-check
 
 /**
- * @file Custom Quill.js blots for timestamps and images
+ * @file Custom Quill.js blots for timestamps, timestamp ranges and images
  * Defines custom embed types for enhanced editor functionality
  *
  * =====================
@@ -12,6 +12,10 @@
  *       Methods:
  *         - static create(value: TimestampValue): HTMLButtonElement
  *         - static value(node: HTMLButtonElement): TimestampValue
+ *   - TimestampRangeBlot (extends Embed)
+ *       Methods:
+ *         - static create(value: TimestampRangeValue): HTMLButtonElement
+ *         - static value(node: HTMLButtonElement): TimestampRangeValue
  *   - CustomImageBlot (extends BlockEmbed)
  *       Methods:
  *         - static create(value: ImageValue): HTMLImageElement
@@ -28,22 +32,36 @@
  * Module Contract
  * =====================
  * Inputs:
- *   - TimestampValue objects / partials, ImageValue (string or object), Quill global registry
+ *   - TimestampValue / TimestampRangeValue objects or partials, ImageValue (string or object), Quill global registry
  * Outputs:
- *   - DOM elements (<button.ts>, <img>) with embedded metadata
+ *   - DOM elements (<button.ts>, <button.ts-range>, <img>) with embedded metadata
  *   - Value extraction objects for Delta serialization
  * Side-effects:
  *   - registerCustomBlots mutates Quill's blot registry
  * Invariants:
- *   - Timestamp button contenteditable=false; data-ts numeric
+ *   - Timestamp button contenteditable=false; data-ts numeric; data-segment only when the value
+ *     names a recording (segment); data-raw only when the time has a lead-in offset to redo
+ *   - Labels never contain Quill's embed guard characters (U+FEFF)
+ *   - Range button data-start numeric; data-end only when the range is closed (end > start);
+ *     data-loop only for looping ranges
  *   - Image blot preserves fabricJSON when provided; dimensions encoded consistently
  * Failure Modes:
  *   - Invalid values coerced to safe defaults; no throws
  */
 
-import { formatTime } from '../modules/utils.js';
+import { formatRange, formatTime } from '../modules/utils.js';
 
 const Delta = Quill.import('delta');
+
+/**
+ * Internal: button text without the guard characters Quill puts around embed contents
+ * (they end up in textContent, and in labels read back from saved notes)
+ * @param {string|null} text - Text content or stored label
+ * @returns {string} Label
+ */
+function labelText(text) {
+  return (text || '').replace(/\uFEFF/g, '');
+}
 const Embed = Quill.import('blots/embed');
 const BlockEmbed = Quill.import('blots/block/embed');
 
@@ -58,7 +76,7 @@ export class TimestampBlot extends Embed {
 
   /**
    * Creates a new timestamp button element
-   * @param {import('../../types/global').TimestampValue | any} value - Object with ts (timestamp in seconds) and label properties
+   * @param {import('../../types/global').TimestampValue | any} value - Object with ts (timestamp in seconds), label and optional segment/raw properties
    * @returns {HTMLButtonElement} The created button element
    *
    * Side effects:
@@ -66,17 +84,24 @@ export class TimestampBlot extends Embed {
    *
    * Invariants:
    * - Sets contenteditable=false to prevent editing
-   * - Stores timestamp in data-ts attribute
+   * - Stores timestamp in data-ts attribute, the segment id in data-segment and the time before
+   *   the lead-in offset in data-raw
    */
   static create(value) {
     const node = super.create();
     const ts = Number((value && value.ts) || 0);
-    const label = (value && value.label) || formatTime(ts);
+    const label = labelText(value && value.label) || formatTime(ts);
 
     // Configure button attributes
     node.setAttribute('type', 'button');
     node.setAttribute('contenteditable', 'false'); // Prevent editing the button text
     node.dataset.ts = String(ts); // Store timestamp data
+    if (value && typeof value.segment === 'string' && value.segment) {
+      node.dataset.segment = value.segment; // Recording the time refers to
+    }
+    if (value && Number.isFinite(value.raw)) {
+      node.dataset.raw = String(Math.max(0, value.raw)); // Time before the lead-in offset
+    }
     node.textContent = label; // Display formatted time
     return node;
   }
@@ -84,17 +109,79 @@ export class TimestampBlot extends Embed {
   /**
    * Extracts timestamp data from an existing button element
    * @param {HTMLButtonElement} node - The button element to read from
-   * @returns {import('../../types/global').TimestampValue} Object with ts and label properties
+   * @returns {import('../../types/global').TimestampValue} Object with ts, label and segment properties
    *
    * Invariants:
    * - Always returns valid TimestampValue object
    * - Defaults to 0 if data-ts is missing
+   * - segment is omitted when data-segment is missing (timestamps from older notes), raw when
+   *   data-raw is missing (time set by hand)
    */
   static value(node) {
-    return {
+    /** @type {import('../../types/global').TimestampValue} */
+    const value = {
       ts: Number(node.dataset.ts || 0),
-      label: node.textContent || formatTime(Number(node.dataset.ts || 0)),
+      label: labelText(node.textContent) || formatTime(Number(node.dataset.ts || 0)),
     };
+    if (node.dataset.segment) value.segment = node.dataset.segment;
+    if (node.dataset.raw) value.raw = Number(node.dataset.raw);
+    return value;
+  }
+}
+
+/**
+ * Custom Quill.js blot for a part of the recording ("12:03–14:40")
+ * Creates <button> elements that play only that span (once, or in a loop) when clicked
+ */
+export class TimestampRangeBlot extends Embed {
+  static blotName = 'timestampRange';
+  static tagName = 'BUTTON';
+  static className = 'ts-range';
+
+  /**
+   * Creates a new range button element
+   * @param {import('../../types/global').TimestampRangeValue | any} value - Object with start, end
+   *   (null while open), label and optional loop/segment properties
+   * @returns {HTMLButtonElement} The created button element
+   *
+   * Invariants:
+   * - Sets contenteditable=false to prevent editing
+   * - An end that is missing or not after start leaves the range open (no data-end)
+   */
+  static create(value) {
+    const node = super.create();
+    const start = Math.max(0, Number((value && value.start) || 0));
+    const end = value && value.end !== null && value.end !== undefined ? Number(value.end) : NaN;
+    const isClosed = Number.isFinite(end) && end > start;
+
+    node.setAttribute('type', 'button');
+    node.setAttribute('contenteditable', 'false');
+    node.dataset.start = String(start);
+    if (isClosed) node.dataset.end = String(end);
+    if (value && value.loop === true) node.dataset.loop = 'true';
+    if (value && typeof value.segment === 'string' && value.segment) {
+      node.dataset.segment = value.segment;
+    }
+    node.textContent = labelText(value && value.label) || formatRange(start, isClosed ? end : null);
+    return node;
+  }
+
+  /**
+   * Extracts range data from an existing button element
+   * @param {HTMLButtonElement} node - The button element to read from
+   * @returns {import('../../types/global').TimestampRangeValue} Object with start, end and label
+   *
+   * Invariants:
+   * - end is null for open ranges; loop and segment are omitted unless set
+   */
+  static value(node) {
+    const start = Number(node.dataset.start || 0);
+    const end = node.dataset.end ? Number(node.dataset.end) : null;
+    /** @type {import('../../types/global').TimestampRangeValue} */
+    const value = { start, end, label: labelText(node.textContent) || formatRange(start, end) };
+    if (node.dataset.loop === 'true') value.loop = true;
+    if (node.dataset.segment) value.segment = node.dataset.segment;
+    return value;
   }
 }
 
@@ -209,7 +296,7 @@ export class CustomImage extends BlockEmbed {
  * @returns {void}
  *
  * Side effects:
- * - Registers TimestampBlot with Quill
+ * - Registers TimestampBlot and TimestampRangeBlot with Quill
  * - Registers CustomImage with Quill (overrides default image blot)
  *
  * Invariants:
@@ -217,5 +304,6 @@ export class CustomImage extends BlockEmbed {
  */
 export function registerCustomBlots() {
   Quill.register(TimestampBlot);
+  Quill.register(TimestampRangeBlot);
   Quill.register(CustomImage, true);
 }
@@ -0,0 +1,129 @@
+// @ts-check
+
+/**
+ * @file Screen and window capture sources (main process only)
+ * Lists desktopCapturer sources for the renderer's source picker. The renderer captures the
+ * chosen source with getUserMedia({ chromeMediaSource: 'desktop' }). System audio (the second
+ * audio source) comes from getDisplayMedia(), answered by createDisplayMediaHandler().
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - async listCaptureSources(capturer: { getSources: Function }, opts?: { excludeId?: string, thumbnailSize?: { width, height } }): Promise<CaptureSource[]>
+ *       Screens first, then windows; thumbnails as data URLs.
+ *   - getScreenAccess(platform: string, systemPreferences: any): string
+ *       macOS screen recording permission status ('granted' elsewhere).
+ *   - createDisplayMediaHandler(capturer, platform: string): (request, callback) => void
+ *       session.setDisplayMediaRequestHandler() handler granting the primary screen plus
+ *       loopback audio (Windows) to our own file:// pages.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Electron desktopCapturer (injected so tests can use a fake)
+ *   - Our own window's media source id (excluded: recording it would show itself)
+ * Outputs:
+ *   - Plain CaptureSource objects (serializable over IPC)
+ * Side-effects:
+ *   - desktopCapturer grabs one thumbnail per source
+ * Invariants:
+ *   - Every source has a non-empty name (untitled windows get a fallback)
+ *   - Display media is only granted to file:// origins; loopback audio only where Electron
+ *     supports it (Windows), so other platforms get a stream without audio tracks
+ * Failure Modes:
+ *   - getSources rejections propagate (callers return { ok: false, error })
+ */
+
+// Thumbnails are shown at about half this size in the picker (sharp on HiDPI)
+const DEFAULT_THUMBNAIL_SIZE = { width: 320, height: 180 };
+
+/**
+ * @typedef {object} CaptureSource
+ * @property {string} id - desktopCapturer source id (screen:… or window:…)
+ * @property {string} name - Display or window title
+ * @property {'screen'|'window'} kind - Source kind
+ * @property {string|null} thumbnail - PNG data URL (null when the OS returned an empty image)
+ */
+
+/**
+ * List capturable screens and windows
+ * @param {{ getSources: (opts: object) => Promise<any[]> }} capturer - Electron desktopCapturer
+ * @param {{ excludeId?: string, thumbnailSize?: { width: number, height: number } }} [opts] - Options
+ * @returns {Promise<CaptureSource[]>} Sources, screens first
+ */
+export async function listCaptureSources(capturer, opts = {}) {
+  const { excludeId, thumbnailSize = DEFAULT_THUMBNAIL_SIZE } = opts;
+  const sources = await capturer.getSources({
+    types: ['screen', 'window'],
+    thumbnailSize,
+    fetchWindowIcons: false,
+  });
+
+  let screenNumber = 0;
+  return sources
+    .filter((source) => source.id !== excludeId)
+    .map((source) => {
+      /** @type {'screen'|'window'} */
+      const kind = String(source.id).startsWith('screen:') ? 'screen' : 'window';
+      const thumbnail =
+        source.thumbnail && !source.thumbnail.isEmpty() ? source.thumbnail.toDataURL() : null;
+      return { id: source.id, name: source.name, kind, thumbnail };
+    })
+    .sort((a, b) => (a.kind === b.kind ? 0 : a.kind === 'screen' ? -1 : 1))
+    .map((source) => {
+      if (source.kind === 'screen') screenNumber += 1;
+      const fallback = source.kind === 'screen' ? `Screen ${screenNumber}` : 'Untitled window';
+      return { ...source, name: source.name || fallback };
+    });
+}
+
+/**
+ * Screen recording permission status
+ * Only macOS gates screen capture behind a permission; capture of a denied source yields
+ * black frames there, so the picker warns up front.
+ * @param {string} platform - process.platform
+ * @param {{ getMediaAccessStatus: (type: string) => string }} systemPreferences - Electron systemPreferences
+ * @returns {string} 'granted', 'denied', 'restricted', 'not-determined' or 'unknown'
+ */
+export function getScreenAccess(platform, systemPreferences) {
+  if (platform !== 'darwin') return 'granted';
+  try {
+    return systemPreferences.getMediaAccessStatus('screen');
+  } catch {
+    return 'unknown';
+  }
+}
+
+/**
+ * Build the display media request handler used for system audio capture
+ * The renderer calls getDisplayMedia({ audio: true, video: true }), keeps the audio track and
+ * stops the video track right away, so the screen granted here is never recorded.
+ * @param {{ getSources: (opts: object) => Promise<any[]> }} capturer - Electron desktopCapturer
+ * @param {string} platform - process.platform
+ * @returns {(request: { securityOrigin?: string }, callback: (streams: object) => void) => void} Handler
+ */
+export function createDisplayMediaHandler(capturer, platform) {
+  return (request, callback) => {
+    if (!String(request.securityOrigin || '').startsWith('file://')) {
+      console.warn(
+        `Blocked display media request from untrusted origin: ${request.securityOrigin}`
+      );
+      callback({});
+      return;
+    }
+    capturer.getSources({ types: ['screen'] }).then(
+      ([screen]) => {
+        if (!screen) callback({});
+        else if (platform === 'win32') callback({ video: screen, audio: 'loopback' });
+        else callback({ video: screen });
+      },
+      () => callback({})
+    );
+  };
+}
@@ -0,0 +1,82 @@
+// @ts-check
+
+/**
+ * @file Streams a media file into an HTML export as base64 (main process only)
+ * Lets "Export as HTML (embedded)" work for file-backed media without ever
+ * holding the whole recording (or its base64 string) in memory.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Constants:
+ *   - MEDIA_BASE64_PLACEHOLDER: string
+ *       Token the renderer puts where the base64 payload belongs (CONFIG.EXPORT).
+ * Functions:
+ *   - async writeHtmlWithEmbeddedMedia(outPath: string, html: string, mediaPath: string): Promise<void>
+ *       Writes html to outPath, replacing the last placeholder with the file's base64.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - HTML containing MEDIA_BASE64_PLACEHOLDER (the last occurrence is replaced, so a
+ *     token typed into the notes, which precede the media script, is left alone)
+ *   - Path to a media file
+ * Outputs:
+ *   - outPath: HTML prefix + base64(media) + HTML suffix
+ * Side-effects:
+ *   - Creates/overwrites outPath
+ * Invariants:
+ *   - Base64 is produced in 3-byte-aligned blocks so chunk boundaries never insert padding
+ *   - Memory use is bounded by the read chunk size (CHUNK_SIZE)
+ * Failure Modes:
+ *   - Missing placeholder throws before anything is written
+ *   - Read/write errors reject
+ */
+
+import fs from 'fs';
+import { pipeline } from 'stream/promises';
+import { CONFIG } from '../config.js';
+
+export const MEDIA_BASE64_PLACEHOLDER = CONFIG.EXPORT.MEDIA_BASE64_PLACEHOLDER;
+
+// Bytes read from the media per chunk (not a multiple of 3, so blocks carry over)
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Internal: yield the output pieces (prefix, base64 blocks, suffix)
+ * @param {string} prefix - HTML before the placeholder
+ * @param {string} suffix - HTML after the placeholder
+ * @param {string} mediaPath - Media file path
+ * @yields {string} Output chunks
+ */
+async function* htmlPieces(prefix, suffix, mediaPath) {
+  yield prefix;
+  let carry = Buffer.alloc(0);
+  for await (const chunk of fs.createReadStream(mediaPath, { highWaterMark: CHUNK_SIZE })) {
+    const buf = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+    const usable = buf.length - (buf.length % 3);
+    if (usable) yield buf.subarray(0, usable).toString('base64');
+    carry = buf.subarray(usable);
+  }
+  if (carry.length) yield carry.toString('base64');
+  yield suffix;
+}
+
+/**
+ * Write an HTML export with a media file embedded as base64
+ * @param {string} outPath - Destination HTML path
+ * @param {string} html - HTML containing MEDIA_BASE64_PLACEHOLDER
+ * @param {string} mediaPath - Media file to embed
+ * @returns {Promise<void>}
+ */
+export async function writeHtmlWithEmbeddedMedia(outPath, html, mediaPath) {
+  const at = html.lastIndexOf(MEDIA_BASE64_PLACEHOLDER);
+  if (at === -1) throw new Error('HTML is missing the media placeholder');
+  const prefix = html.slice(0, at);
+  const suffix = html.slice(at + MEDIA_BASE64_PLACEHOLDER.length);
+
+  await pipeline(htmlPieces(prefix, suffix, mediaPath), fs.createWriteStream(outPath));
+}
@@ -0,0 +1,133 @@
+// @ts-check
+
+/**
+ * @file Markdown export/import file handling (main process only)
+ * Writes a Markdown export next to its assets folder, and reads a Markdown file with its
+ * local images inlined as data URLs so the renderer can embed them.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Constants:
+ *   - MARKDOWN_ASSETS_PLACEHOLDER: string
+ *       Stands in for the assets folder in exported Markdown (from CONFIG.EXPORT).
+ * Functions:
+ *   - async writeMarkdownExport(filePath: string, markdown: string, images: ExtractedImage[]): Promise<{ path: string, assetsDir: string|null }>
+ *       Writes `<name>.md` and, when there are images, `<name>_assets/`.
+ *   - async readMarkdownImport(filePath: string): Promise<{ markdown: string, images: Record<string, string> }>
+ *       Reads Markdown and returns data URLs for the local images it references.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Markdown from deltaToMarkdown() with image links under MARKDOWN_ASSETS_PLACEHOLDER
+ *   - Markdown files chosen by the user (any origin)
+ * Outputs:
+ *   - .md file plus image files; data URLs keyed by the image reference as written
+ * Side-effects:
+ *   - Creates the assets directory and writes files (export); reads files (import)
+ * Invariants:
+ *   - The placeholder is replaced with the URL-encoded folder name, so names with spaces
+ *     stay valid link destinations
+ *   - Import only inlines relative references to image files inside the Markdown file's
+ *     directory; remote URLs and data: URLs are left as-is
+ * Failure Modes:
+ *   - Missing/unreadable images on import are skipped (the reference is not returned)
+ *   - Write failures reject
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { CONFIG } from '../config.js';
+
+export const MARKDOWN_ASSETS_PLACEHOLDER = CONFIG.EXPORT.MARKDOWN_ASSETS_PLACEHOLDER;
+
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+};
+
+/**
+ * Write a Markdown export and its images
+ * @param {string} filePath - Chosen .md path
+ * @param {string} markdown - Markdown containing MARKDOWN_ASSETS_PLACEHOLDER image links
+ * @param {{ fileName: string, base64Data: string }[]} images - Images to write to the assets folder
+ * @returns {Promise<{ path: string, assetsDir: string|null }>} Written paths
+ */
+export async function writeMarkdownExport(filePath, markdown, images = []) {
+  const mdPath = path.extname(filePath) ? filePath : `${filePath}.md`;
+  const baseName = path.basename(mdPath, path.extname(mdPath));
+  const assetsName = `${baseName}_assets`;
+  const assetsDir = images.length ? path.join(path.dirname(mdPath), assetsName) : null;
+
+  if (assetsDir) {
+    await fs.mkdir(assetsDir, { recursive: true });
+    for (const image of images) {
+      // Image names come from the renderer; never let them leave the assets folder
+      const target = path.join(assetsDir, path.basename(image.fileName));
+      await fs.writeFile(target, Buffer.from(image.base64Data, 'base64'));
+    }
+  }
+
+  const finalMarkdown = markdown.split(MARKDOWN_ASSETS_PLACEHOLDER).join(encodeURI(assetsName));
+  await fs.writeFile(mdPath, finalMarkdown, 'utf-8');
+  return { path: mdPath, assetsDir };
+}
+
+/**
+ * Internal: image references (`![alt](src)`) in Markdown
+ * @param {string} markdown - Markdown text
+ * @returns {string[]} Raw link destinations, without <...>
+ */
+function findImageReferences(markdown) {
+  const refs = new Set();
+  for (const match of markdown.matchAll(/!\[[^\]]*\]\((<[^>]*>|[^)\s]+)/g)) {
+    const raw = match[1];
+    refs.add(raw.startsWith('<') ? raw.slice(1, -1) : raw);
+  }
+  return [...refs];
+}
+
+/**
+ * Read a Markdown file and inline its local images
+ * @param {string} filePath - .md path
+ * @returns {Promise<{ markdown: string, images: Record<string, string> }>} Markdown and
+ *   data URLs keyed by decoded image reference (as markdownToDelta's resolveImage sees it)
+ */
+export async function readMarkdownImport(filePath) {
+  const markdown = await fs.readFile(filePath, 'utf-8');
+  const baseDir = path.dirname(path.resolve(filePath));
+  /** @type {Record<string, string>} */
+  const images = {};
+
+  for (const raw of findImageReferences(markdown)) {
+    if (/^[a-z][a-z0-9+.-]*:/i.test(raw)) continue; // http:, data:, file: ...
+    let ref;
+    try {
+      ref = decodeURI(raw);
+    } catch {
+      continue;
+    }
+    const mimeType = IMAGE_MIME_TYPES[path.extname(ref).toLowerCase()];
+    const resolved = path.resolve(baseDir, ref);
+    if (!mimeType || !resolved.startsWith(baseDir + path.sep)) continue;
+
+    try {
+      const data = await fs.readFile(resolved);
+      images[ref] = `data:${mimeType};base64,${data.toString('base64')}`;
+    } catch {
+      // Missing image: leave the reference unresolved
+    }
+  }
+
+  return { markdown, images };
+}
@@ -0,0 +1,391 @@
+// @ts-check
+
+/**
+ * @file Trim/cut and append recordings with ffmpeg (main process only)
+ * Keeps the given segments of a media file and joins them into a new file, or joins a newly
+ * recorded take after an existing recording. Raw source tracks are cut the same way, after
+ * probing which streams they have. The media is re-encoded, so cuts are
+ * frame-accurate regardless of where keyframes fall and takes with different codecs join.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - validateSegments(segments: any): TimeRange[]|null
+ *       Sorted, non-overlapping segments to keep, or null when unusable.
+ *   - buildCutArgs(opts: CutArgsOptions): string[]
+ *       ffmpeg arguments (trim/atrim + concat filter, codecs matching the container).
+ *   - parseFfmpegTime(text: string): number|null
+ *       Last `time=` position (seconds) in ffmpeg progress output.
+ *   - async cutMedia(opts: CutMediaOptions): Promise<void>
+ *       Runs ffmpeg, reporting progress; removes the partial output on failure.
+ *   - parseMediaInfo(text: string): MediaInfo
+ *       Streams and duration of an input from ffmpeg's banner.
+ *   - async cutTrack(opts: CutTrackOptions): Promise<boolean>
+ *       Probes a raw track and cuts it like cutMedia (segments are clipped to its length);
+ *       false when nothing of the track remains (no output is written).
+ *   - validateFrameSize(size: any): { width: number, height: number }|null
+ *       Even frame size for joined video, or null when unusable.
+ *   - buildJoinArgs(opts: JoinArgsOptions): string[]
+ *       ffmpeg arguments appending the second input after the first (concat filter).
+ *   - async joinMedia(opts: JoinMediaOptions): Promise<void>
+ *       Like cutMedia, for appending a take.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Media file owned by the main process (recorded temp file or extracted notepack media)
+ *   - Segments to keep (seconds) and whether the media has a video stream
+ *   - For raw tracks: segments on the track's own timeline (its streams are probed)
+ *   - For appending: the new take and the existing recording's duration and frame size
+ *   - ffmpeg binary (FFMPEG_PATH, default 'ffmpeg')
+ * Outputs:
+ *   - New media file in the same container as the input (WebM: VP9 + Opus, MP4: H.264 + AAC)
+ *   - Progress callbacks ({ percent })
+ * Side-effects:
+ *   - Spawns ffmpeg (processRunner.js) and writes the output file
+ * Invariants:
+ *   - The input file is never modified
+ *   - Segment times are applied with trim/atrim, so the output timeline is exactly the
+ *     concatenation of the kept segments
+ *   - An appended take is scaled and padded to the first recording's frame size, so the
+ *     existing recording's timeline and picture are unchanged
+ * Failure Modes:
+ *   - ffmpeg missing or failing rejects with its error; the partial output is deleted
+ *   - Abort rejects with an Error named 'AbortError'
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { runProcess } from './processRunner.js';
+
+/**
+ * @typedef {{ start: number, end: number }} TimeRange
+ */
+/**
+ * @typedef {object} CutArgsOptions
+ * @property {string} input - Source media
+ * @property {string} output - Destination (extension selects the codecs)
+ * @property {TimeRange[]} segments - Segments to keep (validated)
+ * @property {boolean} hasVideo - Whether the media has a video stream
+ * @property {boolean} [hasAudio] - Whether the media has an audio stream (default true)
+ */
+/**
+ * @typedef {object} CutMediaOptions
+ * @property {string} ffmpeg - ffmpeg binary
+ * @property {string} input - Source media
+ * @property {string} output - Destination
+ * @property {TimeRange[]} segments - Segments to keep (validated)
+ * @property {boolean} hasVideo - Whether the media has a video stream
+ * @property {boolean} [hasAudio] - Whether the media has an audio stream (default true)
+ * @property {(progress: { percent: number }) => void} [onProgress] - Progress callback
+ * @property {AbortSignal} [signal] - Cancels the run
+ * @property {typeof runProcess} [run] - Process runner (injectable for tests)
+ */
+/**
+ * @typedef {object} CutTrackOptions
+ * @property {string} ffmpeg - ffmpeg binary
+ * @property {string} input - Raw track file
+ * @property {string} output - Destination
+ * @property {TimeRange[]} segments - Segments to keep on the track's timeline (validated)
+ * @property {(progress: { percent: number }) => void} [onProgress] - Progress callback
+ * @property {AbortSignal} [signal] - Cancels the run
+ * @property {typeof runProcess} [run] - Process runner (injectable for tests)
+ */
+/**
+ * @typedef {object} MediaInfo
+ * @property {boolean} hasVideo - Input has a video stream
+ * @property {boolean} hasAudio - Input has an audio stream
+ * @property {number|null} duration - Seconds, or null when the container does not say
+ */
+/**
+ * @typedef {object} JoinArgsOptions
+ * @property {string} first - Existing recording
+ * @property {string} second - Take appended after it
+ * @property {string} output - Destination (extension selects the codecs)
+ * @property {{ width: number, height: number }|null} frameSize - Video frame size, null for audio only
+ */
+/**
+ * @typedef {object} JoinMediaOptions
+ * @property {string} ffmpeg - ffmpeg binary
+ * @property {string} first - Existing recording
+ * @property {string} second - Take appended after it
+ * @property {string} output - Destination
+ * @property {{ width: number, height: number }|null} frameSize - Video frame size, null for audio only
+ * @property {number} duration - Expected output length in seconds (for progress)
+ * @property {(progress: { percent: number }) => void} [onProgress] - Progress callback
+ * @property {AbortSignal} [signal] - Cancels the run
+ * @property {typeof runProcess} [run] - Process runner (injectable for tests)
+ */
+
+// Largest frame edge accepted for joined video (pixels)
+const MAX_FRAME_EDGE = 8192;
+
+// Audio format both takes are converted to before joining (concat needs matching formats)
+const JOIN_AUDIO_FORMAT = 'aformat=sample_rates=48000:channel_layouts=stereo';
+
+// Encoder settings per output container
+const CODECS = {
+  webm: {
+    video: ['-c:v', 'libvpx-vp9', '-deadline', 'realtime', '-cpu-used', '8', '-row-mt', '1'],
+    videoQuality: ['-crf', '32', '-b:v', '0'],
+    audio: ['-c:a', 'libopus', '-b:a', '128k'],
+    extra: [],
+  },
+  mp4: {
+    video: ['-c:v', 'libx264', '-preset', 'veryfast'],
+    videoQuality: ['-crf', '21', '-pix_fmt', 'yuv420p'],
+    audio: ['-c:a', 'aac', '-b:a', '128k'],
+    extra: ['-movflags', '+faststart'],
+  },
+};
+
+/**
+ * Validate renderer-supplied segments
+ * @param {any} segments - Segments to keep
+ * @returns {TimeRange[]|null} Segments, or null when empty, unsorted or overlapping
+ */
+export function validateSegments(segments) {
+  if (!Array.isArray(segments) || !segments.length) return null;
+  /** @type {TimeRange[]} */
+  const out = [];
+  for (const s of segments) {
+    const start = Number(s?.start);
+    const end = Number(s?.end);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) return null;
+    if (out.length && start < out[out.length - 1].end) return null;
+    out.push({ start, end });
+  }
+  return out;
+}
+
+/**
+ * Internal: seconds with millisecond precision for ffmpeg filter arguments
+ * @param {number} t - Seconds
+ * @returns {string} e.g. '12.345'
+ */
+function secs(t) {
+  return (Math.round(t * 1000) / 1000).toFixed(3);
+}
+
+/**
+ * ffmpeg arguments that keep the segments and join them
+ * @param {CutArgsOptions} opts - Input, output, segments and stream layout
+ * @returns {string[]} Arguments
+ */
+export function buildCutArgs({ input, output, segments, hasVideo, hasAudio = true }) {
+  const filters = [];
+  const inputs = [];
+  segments.forEach(({ start, end }, i) => {
+    const range = `start=${secs(start)}:end=${secs(end)}`;
+    if (hasVideo) {
+      filters.push(`[0:v]trim=${range},setpts=PTS-STARTPTS[v${i}]`);
+      inputs.push(`[v${i}]`);
+    }
+    if (hasAudio) {
+      filters.push(`[0:a]atrim=${range},asetpts=PTS-STARTPTS[a${i}]`);
+      inputs.push(`[a${i}]`);
+    }
+  });
+  const v = hasVideo ? 1 : 0;
+  const a = hasAudio ? 1 : 0;
+  const outs = `${hasVideo ? '[v]' : ''}${hasAudio ? '[a]' : ''}`;
+  filters.push(`${inputs.join('')}concat=n=${segments.length}:v=${v}:a=${a}${outs}`);
+
+  return ['-nostdin', '-y', '-i', input, ...encodeArgs(filters, output, hasVideo, hasAudio)];
+}
+
+/**
+ * Internal: filter graph, stream mapping and encoder arguments ending with the output
+ * @param {string[]} filters - Filter chains producing [a] and/or [v]
+ * @param {string} output - Destination (extension selects the codecs)
+ * @param {boolean} hasVideo - Whether [v] is produced
+ * @param {boolean} [hasAudio] - Whether [a] is produced (default true)
+ * @returns {string[]} Arguments
+ */
+function encodeArgs(filters, output, hasVideo, hasAudio = true) {
+  const ext = path.extname(output).slice(1).toLowerCase() === 'mp4' ? 'mp4' : 'webm';
+  const codecs = CODECS[ext];
+  return [
+    '-filter_complex',
+    filters.join(';'),
+    ...(hasVideo ? ['-map', '[v]', ...codecs.video, ...codecs.videoQuality] : []),
+    ...(hasAudio ? ['-map', '[a]', ...codecs.audio] : []),
+    ...codecs.extra,
+    output,
+  ];
+}
+
+/**
+ * Validate a renderer-supplied video frame size
+ * Odd sizes are rounded down to even ones (required by yuv420p encoders).
+ * @param {any} size - { width, height }
+ * @returns {{ width: number, height: number }|null} Frame size, or null when unusable
+ */
+export function validateFrameSize(size) {
+  const width = Math.floor(Number(size?.width) / 2) * 2;
+  const height = Math.floor(Number(size?.height) / 2) * 2;
+  const ok = (n) => Number.isFinite(n) && n >= 2 && n <= MAX_FRAME_EDGE;
+  return ok(width) && ok(height) ? { width, height } : null;
+}
+
+/**
+ * ffmpeg arguments that append one recording after another
+ * @param {JoinArgsOptions} opts - Inputs, output and frame size
+ * @returns {string[]} Arguments
+ */
+export function buildJoinArgs({ first, second, output, frameSize }) {
+  const filters = [];
+  const inputs = [];
+  [0, 1].forEach((i) => {
+    if (frameSize) {
+      const { width: w, height: h } = frameSize;
+      filters.push(
+        `[${i}:v]scale=${w}:${h}:force_original_aspect_ratio=decrease,` +
+          `pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2,setsar=1[v${i}]`
+      );
+      inputs.push(`[v${i}]`);
+    }
+    filters.push(`[${i}:a]${JOIN_AUDIO_FORMAT}[a${i}]`);
+    inputs.push(`[a${i}]`);
+  });
+  const outs = frameSize ? '[v][a]' : '[a]';
+  filters.push(`${inputs.join('')}concat=n=2:v=${frameSize ? 1 : 0}:a=1${outs}`);
+
+  return [
+    '-nostdin',
+    '-y',
+    '-i',
+    first,
+    '-i',
+    second,
+    ...encodeArgs(filters, output, Boolean(frameSize)),
+  ];
+}
+
+/**
+ * Last output position reported by ffmpeg
+ * @param {string} text - stderr chunk
+ * @returns {number|null} Seconds, or null when the chunk has no position
+ */
+export function parseFfmpegTime(text) {
+  const matches = [...String(text).matchAll(/time=(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/g)];
+  if (!matches.length) return null;
+  const [, h, m, s] = matches[matches.length - 1];
+  return Number(h) * 3600 + Number(m) * 60 + Number(s);
+}
+
+/**
+ * Cut a media file
+ * @param {CutMediaOptions} opts - Files, segments, progress and abort signal
+ * @returns {Promise<void>} Resolves when the output is complete
+ */
+export async function cutMedia(opts) {
+  const { input, output, segments, hasVideo, hasAudio } = opts;
+  const total = segments.reduce((sum, s) => sum + (s.end - s.start), 0);
+  await runFfmpeg(
+    opts,
+    buildCutArgs({ input, output, segments, hasVideo, hasAudio }),
+    total,
+    'Cut canceled'
+  );
+}
+
+/**
+ * Streams and duration of an input
+ * @param {string} text - ffmpeg stderr (input banner)
+ * @returns {MediaInfo} What the input contains
+ */
+export function parseMediaInfo(text) {
+  const str = String(text);
+  const match = str.match(/Duration: (\d+):(\d{2}):(\d{2}(?:\.\d+)?)/);
+  return {
+    hasVideo: /Stream #\d+:\d+.*?: Video:/.test(str),
+    hasAudio: /Stream #\d+:\d+.*?: Audio:/.test(str),
+    duration: match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : null,
+  };
+}
+
+/**
+ * Cut a raw source track
+ * A track may be shorter than the recording (its source was switched or stopped), so the
+ * segments are clipped to its length first.
+ * @param {CutTrackOptions} opts - Files, segments, progress and abort signal
+ * @returns {Promise<boolean>} False when nothing of the track remains (no output written)
+ */
+export async function cutTrack(opts) {
+  const { ffmpeg, input, signal } = opts;
+  const run = opts.run || runProcess;
+  let banner = '';
+  await run(ffmpeg, ['-nostdin', '-hide_banner', '-i', input, '-t', '0', '-f', 'null', '-'], {
+    signal,
+    abortMessage: 'Cut canceled',
+    onStderr: (text) => {
+      banner += text;
+    },
+  });
+  const { hasVideo, hasAudio, duration } = parseMediaInfo(banner);
+  const segments = opts.segments
+    .map((s) => ({ start: s.start, end: duration === null ? s.end : Math.min(s.end, duration) }))
+    .filter((s) => s.end > s.start);
+  if (!hasVideo && !hasAudio) throw new Error(`${path.basename(input)} has no audio or video`);
+  if (!segments.length) return false;
+
+  await cutMedia({ ...opts, segments, hasVideo, hasAudio });
+  return true;
+}
+
+/**
+ * Append a take after an existing recording
+ * @param {JoinMediaOptions} opts - Files, frame size, progress and abort signal
+ * @returns {Promise<void>} Resolves when the output is complete
+ */
+export async function joinMedia(opts) {
+  const { first, second, output, frameSize, duration } = opts;
+  await runFfmpeg(
+    opts,
+    buildJoinArgs({ first, second, output, frameSize }),
+    duration,
+    'Append canceled'
+  );
+}
+
+/**
+ * Internal: run ffmpeg with progress reporting; removes the partial output on failure
+ * @param {{ ffmpeg: string, output: string, onProgress?: (progress: { percent: number }) => void, signal?: AbortSignal, run?: typeof runProcess }} opts - Runner options
+ * @param {string[]} args - ffmpeg arguments
+ * @param {number} total - Expected output length in seconds
+ * @param {string} abortMessage - Message of the AbortError
+ * @returns {Promise<void>} Resolves when the output is complete
+ */
+async function runFfmpeg(opts, args, total, abortMessage) {
+  const { ffmpeg, output, onProgress, signal } = opts;
+  const run = opts.run || runProcess;
+  let lastPercent = -1;
+
+  onProgress?.({ percent: 0 });
+  try {
+    await run(ffmpeg, args, {
+      signal,
+      abortMessage,
+      onStderr: (text) => {
+        const t = parseFfmpegTime(text);
+        if (t === null || !total) return;
+        const percent = Math.min(99, Math.floor((t / total) * 100));
+        if (percent !== lastPercent) {
+          lastPercent = percent;
+          onProgress?.({ percent });
+        }
+      },
+    });
+  } catch (err) {
+    await fs.promises.rm(output, { force: true });
+    throw err;
+  }
+  onProgress?.({ percent: 100 });
+}
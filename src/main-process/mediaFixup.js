@@ -0,0 +1,106 @@
+// @ts-check
+
+/**
+ * @file Playable copies of journaled recordings (main process only)
+ * A recording recovered after a crash is the raw MediaRecorder stream in the journal: no
+ * duration and no cues. This writes a copy with the container fixed (see webmFixup) that the
+ * player can seek in, streaming through a file handle so the recording never has to fit in
+ * memory.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - fileSource(handle: FileHandle, size: number): ByteSource
+ *       Random-access ByteSource over an open file.
+ *   - async writeFixedMedia(inputPath: string, outputPath: string): Promise<{ fixed: boolean, durationSeconds: number|null }>
+ *       Writes the fixed WebM to outputPath, or a plain copy when no fixup applies.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Journal media path (WebM or MP4) and an output path owned by the caller
+ * Outputs:
+ *   - A new file at outputPath; the input is never modified
+ * Side-effects:
+ *   - Reads the input and writes the output in bounded chunks
+ * Invariants:
+ *   - Memory stays bounded by CHUNK_SIZE plus the rewritten container headers
+ *   - Input that is not WebM, or cannot be fixed, is copied unchanged
+ * Failure Modes:
+ *   - I/O errors reject; a partial output is removed first
+ */
+
+import fs from 'fs/promises';
+import { fixWebm } from '../recording/webmFixup.js';
+
+// Bytes copied per read when writing source ranges
+const CHUNK_SIZE = 4 * 1024 * 1024;
+
+/**
+ * Random-access byte source over an open file
+ * @param {import('fs/promises').FileHandle} handle - File opened for reading
+ * @param {number} size - File size in bytes
+ * @returns {import('../recording/webmFixup.js').ByteSource} Source for fixWebm
+ */
+export function fileSource(handle, size) {
+  return {
+    size,
+    read: async (start, end) => {
+      const length = Math.max(0, Math.min(end, size) - start);
+      const buffer = Buffer.alloc(length);
+      const { bytesRead } = await handle.read(buffer, 0, length, start);
+      return new Uint8Array(buffer.buffer, buffer.byteOffset, bytesRead);
+    },
+  };
+}
+
+/**
+ * Write a playable copy of a recording
+ * @param {string} inputPath - Journaled media
+ * @param {string} outputPath - Where to write the copy (overwritten)
+ * @returns {Promise<{ fixed: boolean, durationSeconds: number|null }>} Whether the container was
+ *   rewritten, and the duration written to it
+ */
+export async function writeFixedMedia(inputPath, outputPath) {
+  const input = await fs.open(inputPath, 'r');
+  try {
+    const source = fileSource(input, (await input.stat()).size);
+    let result = null;
+    try {
+      result = await fixWebm(source);
+    } catch (err) {
+      console.warn('WebM fixup failed; copying the recording unchanged:', err);
+    }
+    if (!result) {
+      await fs.copyFile(inputPath, outputPath);
+      return { fixed: false, durationSeconds: null };
+    }
+
+    const output = await fs.open(outputPath, 'w');
+    try {
+      for (const part of result.parts) {
+        if (part instanceof Uint8Array) {
+          await output.write(part);
+          continue;
+        }
+        for (let pos = part.start; pos < part.end; pos += CHUNK_SIZE) {
+          await output.write(await source.read(pos, Math.min(part.end, pos + CHUNK_SIZE)));
+        }
+      }
+    } finally {
+      await output.close();
+    }
+    return { fixed: true, durationSeconds: result.durationSeconds };
+  } catch (err) {
+    await fs.unlink(outputPath).catch(() => {});
+    throw err;
+  } finally {
+    await input.close();
+  }
+}
@@ -0,0 +1,187 @@
+// @ts-check
+
+/**
+ * @file `notepack://` media protocol (main process only)
+ * Serves registered media files (e.g., media extracted from a loaded notepack) to the
+ * renderer with HTTP Range support, so the player can seek without buffering the file.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Constants:
+ *   - MEDIA_PROTOCOL_SCHEME: string
+ *       Scheme name ('notepack'); registered as privileged before app ready.
+ * Functions:
+ *   - parseRangeHeader(header: string|null, size: number): { start: number, end: number }|null|'unsatisfiable'
+ *       Parses a single-range `bytes=` header against a file size.
+ *   - getMediaMimeType(filePath: string): string
+ *       Content-Type for a media file based on its extension.
+ *   - registerMediaFile(filePath: string): string
+ *       Makes a file servable and returns its notepack:// URL.
+ *   - unregisterMediaFile(filePath: string): void
+ *       Stops serving every URL registered for a file.
+ *   - async handleMediaRequest(request: Request): Promise<Response>
+ *       protocol.handle() callback; serves full (200) or partial (206) responses.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - File paths registered by main.js (never paths supplied by the renderer)
+ *   - GET/HEAD requests for notepack://media/<token>/<name>
+ * Outputs:
+ *   - Web Responses streaming file bytes with Accept-Ranges/Content-Range headers
+ *   - `Access-Control-Allow-Origin: *` so the renderer can draw frames to a canvas
+ *     (PDF thumbnails) without tainting it; tokens still gate access
+ * Side-effects:
+ *   - Opens read streams on registered files
+ * Invariants:
+ *   - Only registered files are reachable; tokens are random UUIDs
+ *   - Multi-range requests are answered with the full file (200)
+ * Failure Modes:
+ *   - Unknown token: 404
+ *   - Missing/unreadable file: 404
+ *   - Range beyond EOF: 416 with `Content-Range: bytes * /<size>`
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { Readable } from 'stream';
+
+export const MEDIA_PROTOCOL_SCHEME = 'notepack';
+
+const MIME_TYPES = {
+  '.webm': 'video/webm',
+  '.mp4': 'video/mp4',
+  '.m4a': 'audio/mp4',
+  '.ogg': 'audio/ogg',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+};
+
+// token -> absolute file path
+const registeredFiles = new Map();
+
+/**
+ * Parse an HTTP Range header (single `bytes=` range only)
+ * @param {string|null} header - Range header value
+ * @param {number} size - File size in bytes
+ * @returns {{ start: number, end: number }|null|'unsatisfiable'} Inclusive byte range,
+ *   null when the whole file should be sent, or 'unsatisfiable' for out-of-bounds ranges
+ */
+export function parseRangeHeader(header, size) {
+  if (!header) return null;
+  const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+  if (!match) return null; // Multi-range or unknown unit: send everything
+  const [, startStr, endStr] = match;
+  if (!startStr && !endStr) return null;
+
+  if (!startStr) {
+    // Suffix range: last N bytes
+    const suffix = Number(endStr);
+    if (suffix === 0 || size === 0) return 'unsatisfiable';
+    return { start: Math.max(0, size - suffix), end: size - 1 };
+  }
+
+  const start = Number(startStr);
+  const end = endStr ? Math.min(Number(endStr), size - 1) : size - 1;
+  if (start >= size || end < start) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * Content-Type for a media file
+ * @param {string} filePath - Media file path
+ * @returns {string} MIME type (application/octet-stream when unknown)
+ */
+export function getMediaMimeType(filePath) {
+  return MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+}
+
+/**
+ * Register a file and return the URL the renderer should play
+ * @param {string} filePath - Absolute media path
+ * @returns {string} notepack://media/<token>/<file name>
+ */
+export function registerMediaFile(filePath) {
+  const token = crypto.randomUUID();
+  registeredFiles.set(token, filePath);
+  return `${MEDIA_PROTOCOL_SCHEME}://media/${token}/${encodeURIComponent(path.basename(filePath))}`;
+}
+
+/**
+ * Stop serving a file
+ * @param {string} filePath - Path previously passed to registerMediaFile()
+ */
+export function unregisterMediaFile(filePath) {
+  for (const [token, registered] of registeredFiles) {
+    if (registered === filePath) registeredFiles.delete(token);
+  }
+}
+
+/**
+ * Internal: resolve a request URL to a registered file path
+ * @param {string} url - Request URL
+ * @returns {string|null} File path or null
+ */
+function resolveRequestPath(url) {
+  try {
+    const { host, pathname } = new URL(url);
+    if (host !== 'media') return null;
+    const token = pathname.split('/')[1];
+    return registeredFiles.get(token) || null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * protocol.handle() callback for the notepack:// scheme
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Response>} 200/206 with file bytes, or 404/416
+ */
+export async function handleMediaRequest(request) {
+  const filePath = resolveRequestPath(request.url);
+  if (!filePath) return new Response('Not found', { status: 404 });
+
+  let size;
+  try {
+    size = (await fs.promises.stat(filePath)).size;
+  } catch {
+    return new Response('Not found', { status: 404 });
+  }
+
+  const headers = {
+    'Accept-Ranges': 'bytes',
+    'Access-Control-Allow-Origin': '*',
+    'Content-Type': getMediaMimeType(filePath),
+  };
+
+  const range = parseRangeHeader(request.headers.get('range'), size);
+  if (range === 'unsatisfiable') {
+    return new Response(null, {
+      status: 416,
+      headers: { ...headers, 'Content-Range': `bytes */${size}` },
+    });
+  }
+
+  const start = range ? range.start : 0;
+  const end = range ? range.end : size - 1;
+  const length = size ? end - start + 1 : 0;
+  const status = range ? 206 : 200;
+  Object.assign(headers, { 'Content-Length': String(length) });
+  if (range) headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+
+  if (request.method === 'HEAD' || length === 0) {
+    return new Response(null, { status, headers });
+  }
+
+  const stream = fs.createReadStream(filePath, { start, end });
+  // @ts-ignore - Node's web ReadableStream is accepted by Response at runtime
+  return new Response(Readable.toWeb(stream), { status, headers });
+}
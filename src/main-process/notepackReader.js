@@ -0,0 +1,269 @@
+// @ts-check
+
+/**
+ * @file Streaming notepack reader (main process only)
+ * Reads notes/metadata entries into memory and extracts the media entries to files,
+ * so opening a multi-GB session never buffers a recording in RAM.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - async readNotepack(filePath: string, opts: { extractDir: string, onProgress?: Function }): Promise<NotepackContents>
+ *       Reads session.json (migrated to version 2) and the notes, and for every segment its
+ *       transcript and waveform peaks; extracts each segment's media and raw source tracks into
+ *       extractDir.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Path to a .notepack zip (notes.html, session.json, media.<ext>, optional transcript.json,
+ *     waveform.json and tracks/*; later segments in segments/<n>/)
+ *   - extractDir for the media files (os.tmpdir() in production)
+ * Outputs:
+ *   - Notes HTML, parsed session.json and per segment: transcript.json, waveform.json, markers,
+ *     and the extracted media and track paths
+ *   - Progress callbacks while the media entries stream to disk (one total over all segments)
+ * Side-effects:
+ *   - Creates one file per media/track entry in extractDir named `${id}-${basename}` (matches the
+ *     temp cleanup pattern)
+ * Invariants:
+ *   - Only text entries are buffered; media and track entries are piped straight to disk
+ *   - The zip file handle is always closed, and extracted files are removed on failure
+ *   - Only tracks listed in session.json (and present in the zip) are extracted
+ *   - Version 1 session.json (or none) is read as one segment (see sessionMeta.js)
+ * Failure Modes:
+ *   - Unreadable zip / entry stream errors reject with the underlying error
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { pipeline } from 'stream/promises';
+import { Transform } from 'stream';
+import { readTrackList } from './sessionTracks.js';
+import { migrateSessionMeta } from './sessionMeta.js';
+
+/**
+ * @typedef {object} NotepackSegment
+ * @property {string} id - Segment id (timestamps in the notes refer to it)
+ * @property {string} name - Display name
+ * @property {object|null} transcript - Parsed transcript.json (null if missing or invalid JSON)
+ * @property {object|null} peaks - Parsed waveform.json (null if missing or invalid JSON)
+ * @property {object[]} markers - session.json markers of the segment (unvalidated)
+ * @property {number[]} segmentBoundaries - Starts of joined takes (unvalidated)
+ * @property {string|null} mediaFile - Media entry name inside the notepack
+ * @property {string|null} mediaPath - Extracted media path (null when the segment has no media)
+ * @property {number} mediaSize - Uncompressed media size in bytes
+ * @property {(import('./sessionTracks.js').SessionTrack & { path: string })[]} tracks - Raw
+ *   source tracks with their extracted paths
+ */
+/**
+ * @typedef {object} NotepackContents
+ * @property {string} notesHtml - Notes HTML ('' if missing)
+ * @property {object|null} meta - Parsed session.json as stored (null if missing or invalid JSON)
+ * @property {NotepackSegment[]} segments - Recordings in display order (at least one)
+ * @property {string[]} entryNames - All file entry names in the notepack
+ */
+
+/**
+ * @typedef {object} NotepackProgress
+ * @property {number} bytesWritten - Media bytes extracted so far (all segments)
+ * @property {number} totalBytes - Uncompressed size of all media entries
+ * @property {number} percent - 0-100
+ */
+
+/**
+ * Internal: load yauzl with CJS/ESM interop
+ * @returns {Promise<any>} yauzl module
+ */
+async function loadYauzl() {
+  const mod = await import('yauzl');
+  return mod.default || mod;
+}
+
+/**
+ * Internal: open a zip and collect its entries without reading data
+ * @param {string} filePath - Notepack path
+ * @returns {Promise<{ zipfile: any, entries: Map<string, any> }>} Open zip + entries by name
+ */
+async function openZip(filePath) {
+  const yauzl = await loadYauzl();
+  return new Promise((resolve, reject) => {
+    yauzl.open(filePath, { lazyEntries: true, autoClose: false }, (err, zipfile) => {
+      if (err || !zipfile) return reject(err || new Error('Could not open notepack'));
+
+      const entries = new Map();
+      zipfile.on('entry', (entry) => {
+        // Skip directory entries
+        if (!/\/$/.test(entry.fileName)) entries.set(entry.fileName, entry);
+        zipfile.readEntry();
+      });
+      zipfile.on('end', () => resolve({ zipfile, entries }));
+      zipfile.on('error', reject);
+      zipfile.readEntry();
+    });
+  });
+}
+
+/**
+ * Internal: open a read stream for an entry
+ * @param {any} zipfile - Open yauzl zipfile
+ * @param {any} entry - yauzl entry
+ * @returns {Promise<import('stream').Readable>} Entry data stream
+ */
+function openEntryStream(zipfile, entry) {
+  return new Promise((resolve, reject) => {
+    zipfile.openReadStream(entry, (err, stream) => (err ? reject(err) : resolve(stream)));
+  });
+}
+
+/**
+ * Internal: read an entry fully into memory (text entries only)
+ * @param {any} zipfile - Open yauzl zipfile
+ * @param {any} entry - yauzl entry
+ * @returns {Promise<Buffer>} Entry contents
+ */
+async function readEntryBuffer(zipfile, entry) {
+  const stream = await openEntryStream(zipfile, entry);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Internal: read and parse an optional JSON entry
+ * A broken optional entry never blocks opening the session
+ * @param {any} zipfile - Open yauzl zipfile
+ * @param {any} entry - yauzl entry (or undefined when missing)
+ * @returns {Promise<object|null>} Parsed JSON, or null if missing or invalid
+ */
+async function readOptionalJson(zipfile, entry) {
+  if (!entry) return null;
+  try {
+    return JSON.parse((await readEntryBuffer(zipfile, entry)).toString());
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Internal: stream an entry into a new file in extractDir
+ * @param {any} zipfile - Open yauzl zipfile
+ * @param {any} entry - yauzl entry
+ * @param {string} extractDir - Target directory
+ * @param {import('stream').Transform[]} [transforms] - Pass-through stages (progress)
+ * @returns {Promise<string>} Extracted file path
+ */
+async function extractEntry(zipfile, entry, extractDir, transforms = []) {
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const filePath = path.join(extractDir, `${id}-${path.basename(entry.fileName)}`);
+  try {
+    await pipeline([
+      await openEntryStream(zipfile, entry),
+      ...transforms,
+      fs.createWriteStream(filePath),
+    ]);
+  } catch (err) {
+    await fs.promises.rm(filePath, { force: true });
+    throw err;
+  }
+  return filePath;
+}
+
+/**
+ * Read a notepack, extracting its media entries to disk
+ * @param {string} filePath - Notepack path
+ * @param {{ extractDir: string, onProgress?: (progress: NotepackProgress) => void }} opts - Options
+ * @returns {Promise<NotepackContents>} Notes, metadata and the segments' extracted media
+ */
+export async function readNotepack(filePath, opts) {
+  const { extractDir, onProgress } = opts;
+  const { zipfile, entries } = await openZip(filePath);
+  const entryNames = Array.from(entries.keys());
+  /** @type {string[]} */
+  const extracted = [];
+
+  try {
+    // session.json is written last, so the whole directory is scanned before reading data
+    let meta = null;
+    if (entries.has('session.json')) {
+      try {
+        meta = JSON.parse((await readEntryBuffer(zipfile, entries.get('session.json'))).toString());
+      } catch {
+        meta = null; // Invalid JSON: fall back to default entry names
+      }
+    }
+    const session = migrateSessionMeta(meta, entryNames);
+
+    const notesEntry = entries.get(session.notesFile) || entries.get('notes.html');
+    const notesHtml = notesEntry ? (await readEntryBuffer(zipfile, notesEntry)).toString() : '';
+
+    // Progress covers all media entries, which dominate the extraction time
+    const totalBytes = session.segments.reduce(
+      (sum, s) => sum + (s.mediaFile ? entries.get(s.mediaFile).uncompressedSize : 0),
+      0
+    );
+    let bytesWritten = 0;
+    let lastPercent = -1;
+    const createProgress = () =>
+      new Transform({
+        transform(chunk, _enc, callback) {
+          bytesWritten += chunk.length;
+          const percent = totalBytes ? Math.floor((bytesWritten / totalBytes) * 100) : 100;
+          // Throttle to whole-percent steps to keep IPC traffic low
+          if (onProgress && percent !== lastPercent) {
+            lastPercent = percent;
+            onProgress({ bytesWritten, totalBytes, percent });
+          }
+          callback(null, chunk);
+        },
+      });
+
+    /** @type {NotepackSegment[]} */
+    const segments = [];
+    for (const segment of session.segments) {
+      const mediaEntry = segment.mediaFile ? entries.get(segment.mediaFile) : null;
+      let mediaPath = null;
+      if (mediaEntry) {
+        mediaPath = await extractEntry(zipfile, mediaEntry, extractDir, [createProgress()]);
+        extracted.push(mediaPath);
+      }
+
+      const tracks = [];
+      for (const track of readTrackList(segment, entryNames)) {
+        const trackPath = await extractEntry(zipfile, entries.get(track.file), extractDir);
+        extracted.push(trackPath);
+        tracks.push({ ...track, path: trackPath });
+      }
+
+      segments.push({
+        id: segment.id,
+        name: segment.name,
+        transcript: segment.transcriptFile
+          ? await readOptionalJson(zipfile, entries.get(segment.transcriptFile))
+          : null,
+        peaks: segment.peaksFile
+          ? await readOptionalJson(zipfile, entries.get(segment.peaksFile))
+          : null,
+        markers: segment.markers,
+        segmentBoundaries: segment.segmentBoundaries,
+        mediaFile: mediaEntry ? segment.mediaFile : null,
+        mediaPath,
+        mediaSize: mediaEntry ? mediaEntry.uncompressedSize : 0,
+        tracks,
+      });
+    }
+
+    return { notesHtml, meta, segments, entryNames };
+  } catch (err) {
+    for (const p of extracted) await fs.promises.rm(p, { force: true });
+    throw err;
+  } finally {
+    zipfile.close();
+  }
+}
@@ -0,0 +1,89 @@
+// @ts-check
+
+/**
+ * @file Child process runner for command-line tools (main process only)
+ * Runs ffmpeg, whisper.cpp and similar tools, streaming their stderr to a callback and
+ * killing them when an AbortSignal fires.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - runProcess(command: string, args: string[], opts?: { onStderr?, onStdout?, signal? }): Promise<void>
+ *       Spawns a process and resolves when it exits with code 0.
+ *   - abortError(message?: string): Error
+ *       Error named 'AbortError' for canceled runs.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Executable path and arguments (never run through a shell)
+ * Outputs:
+ *   - stderr text chunks via onStderr (progress parsing)
+ *   - stdout byte chunks via onStdout (decoded samples), when given
+ * Side-effects:
+ *   - Spawns a child process; stdin is ignored, and stdout too unless onStdout is given
+ * Invariants:
+ *   - Aborting kills the child process and rejects with an AbortError
+ * Failure Modes:
+ *   - Missing executable rejects with '<name> was not found (<command>)'
+ *   - Non-zero exit codes reject with the tail of stderr
+ */
+
+import path from 'path';
+import { spawn } from 'child_process';
+
+/**
+ * Error used for canceled runs
+ * @param {string} [message] - Error message
+ * @returns {Error} AbortError
+ */
+export function abortError(message = 'Canceled') {
+  const err = new Error(message);
+  err.name = 'AbortError';
+  return err;
+}
+
+/**
+ * Spawn a process and wait for it to exit
+ * @param {string} command - Executable
+ * @param {string[]} args - Arguments
+ * @param {{ onStderr?: (text: string) => void, onStdout?: (chunk: Buffer) => void, signal?: AbortSignal, abortMessage?: string }} [opts] - Output hooks, abort signal and the AbortError message
+ * @returns {Promise<void>} Resolves on exit code 0
+ */
+export function runProcess(command, args, opts = {}) {
+  const { onStderr, onStdout, signal, abortMessage } = opts;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError(abortMessage));
+
+    const child = spawn(command, args, { stdio: ['ignore', onStdout ? 'pipe' : 'ignore', 'pipe'] });
+    let stderrTail = '';
+    const onAbort = () => child.kill();
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    if (onStdout) child.stdout?.on('data', onStdout);
+    child.stderr.setEncoding('utf-8');
+    child.stderr.on('data', (text) => {
+      stderrTail = (stderrTail + text).slice(-2000);
+      onStderr?.(text);
+    });
+    child.on('error', (err) => {
+      signal?.removeEventListener('abort', onAbort);
+      reject(
+        /** @type {any} */ (err).code === 'ENOENT'
+          ? new Error(`${path.basename(command)} was not found (${command})`)
+          : err
+      );
+    });
+    child.on('close', (code) => {
+      signal?.removeEventListener('abort', onAbort);
+      if (signal?.aborted) return reject(abortError(abortMessage));
+      if (code === 0) return resolve();
+      const detail = stderrTail.trim().split('\n').slice(-3).join(' ');
+      reject(new Error(`${path.basename(command)} exited with code ${code}: ${detail}`));
+    });
+  });
+}
@@ -0,0 +1,535 @@
+// @ts-check
+
+/**
+ * @file Crash-recovery journal storage (main process only)
+ * Persists in-progress recordings and autosaved notes to the app-data directory
+ * so an interrupted session can be offered for recovery on the next launch.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - async createJournal(baseDir: string, opts?: { mediaFileName?: string, mimeType?: string }): Promise<{ id, dir, mediaPath }>
+ *       Creates a new journal directory with journal.json and returns the media path to stream into.
+ *   - async attachJournalMedia(baseDir: string, id: string, opts: { mediaFileName: string, mimeType?: string }): Promise<string>
+ *       Points an existing journal at a (new) media file, removing any previous one, its raw
+ *       tracks and any take; returns its path.
+ *   - async attachJournalTake(baseDir: string, id: string, opts: { mediaFileName: string, mimeType?: string, startOffset: number }): Promise<string>
+ *       Starts the journal's take (a recording appended with "continue recording"), replacing
+ *       any previous take; returns its path.
+ *   - async attachJournalTrack(baseDir: string, id: string, opts: { kind: string, startOffset: number, mimeType?: string, ext?: string, take?: boolean }): Promise<string>
+ *       Adds a raw source track file to a journal's recording (or its take); returns its path.
+ *   - async updateJournal(baseDir: string, id: string, patch: object): Promise<RecoveryJournalMeta>
+ *       Merges fields into journal.json and bumps updatedAt.
+ *   - async writeJournalSnapshot(baseDir: string, id: string, snapshot: RecoverySnapshot): Promise<void>
+ *       Atomically replaces the autosaved notes and session state (one snapshot.json).
+ *   - async listJournals(baseDir: string): Promise<RecoveryJournalSummary[]>
+ *       Lists journals that hold recoverable content, newest first.
+ *   - async readJournal(baseDir: string, id: string): Promise<{ meta, notesHtml, delta, mediaPath, tracks, take }>
+ *       Reads a journal's metadata, notes, media location, raw track locations and take.
+ *   - async discardJournal(baseDir: string, id: string): Promise<void>
+ *       Removes a journal directory and everything in it.
+ *   - async pruneJournals(baseDir: string, opts?: { olderThanMs?: number }): Promise<number>
+ *       Removes stale journals with nothing to recover; returns how many were removed.
+ *   - isValidJournalId(id: string): boolean
+ *       Guards against path traversal in renderer-supplied ids.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Base recovery directory (app.getPath('userData')/recovery in production, tmp dirs in tests)
+ *   - Journal ids issued by createJournal()
+ * Outputs:
+ *   - One directory per journal: journal.json, optional media.<ext>, optional
+ *     track-<n>-<kind>.<ext> raw tracks of that media, optional take.<ext> with its
+ *     take-track-<n>-<kind>.<ext> raw tracks, optional snapshot.json
+ *     (journals written by older versions may hold notes.html + delta.json instead)
+ * Side-effects:
+ *   - Creates, rewrites and deletes files under baseDir only
+ * Invariants:
+ *   - Ids are restricted to [A-Za-z0-9-] so they can never escape baseDir
+ *   - Snapshots are written via temp file + rename so a crash never leaves a torn file, and
+ *     notes, delta and state share one file so a crash never leaves them disagreeing
+ *   - Journals with neither media bytes nor notes are not reported as recoverable
+ *   - journal.json updates are serialized per journal, so concurrent track and media streams
+ *     never drop each other's entries
+ * Failure Modes:
+ *   - Invalid ids and track kinds throw; unreadable/corrupt journal directories are skipped when listing
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { TRACK_KINDS } from './sessionTracks.js';
+
+const JOURNAL_FILE = 'journal.json';
+const SNAPSHOT_FILE = 'snapshot.json';
+// Snapshot files of journals written before snapshot.json
+const LEGACY_NOTES_FILE = 'notes.html';
+const LEGACY_DELTA_FILE = 'delta.json';
+
+/**
+ * @typedef {object} RecoveryJournalMeta
+ * @property {string} id - Journal id (directory name)
+ * @property {string} createdAt - ISO timestamp when the journal was created
+ * @property {string} updatedAt - ISO timestamp of the last write
+ * @property {'recording'|'stopped'} status - 'recording' until the renderer closes the media stream
+ * @property {string|null} mediaFile - Media file name inside the journal directory
+ * @property {string|null} mimeType - MediaRecorder MIME type of the journaled media
+ * @property {JournalTrack[]} [tracks] - Raw source tracks of the journaled media
+ * @property {JournalTake|null} [take] - Take appended with "continue recording" to a recording
+ *   of the session (which one is recorded in the renderer's snapshot state)
+ * @property {object} [state] - Renderer session state captured with the last snapshot (read
+ *   from the snapshot by readJournal; older versions stored it here)
+ */
+
+/**
+ * @typedef {object} JournalTrack
+ * @property {string} file - Track file name inside the journal directory
+ * @property {string} kind - Source kind ('mic', 'aux', 'camera', 'screen')
+ * @property {number} startOffset - Seconds into the journaled media where the track starts
+ * @property {string|null} mimeType - MediaRecorder MIME type
+ */
+
+/**
+ * @typedef {object} JournalTake
+ * @property {string} file - Take file name inside the journal directory
+ * @property {string|null} mimeType - MediaRecorder MIME type
+ * @property {number} startOffset - Seconds into the recording it continues where the take starts
+ * @property {JournalTrack[]} tracks - Raw source tracks of the take (offsets on the combined
+ *   timeline of the recording and the take)
+ */
+
+/**
+ * @typedef {object} RecoverySnapshot
+ * @property {string} notesHtml - Serialized editor HTML ('' when the editor is empty)
+ * @property {object|null} [delta] - Quill delta of the editor contents
+ * @property {object} [state] - Small JSON-serializable session state (e.g., player position)
+ */
+
+/**
+ * @typedef {RecoveryJournalMeta & { mediaSize: number, hasNotes: boolean }} RecoveryJournalSummary
+ */
+
+/**
+ * Check that a journal id is safe to join onto the base directory
+ * @param {string} id - Journal id supplied by the renderer
+ * @returns {boolean} True if the id only contains safe characters
+ */
+export function isValidJournalId(id) {
+  return typeof id === 'string' && /^[A-Za-z0-9-]+$/.test(id);
+}
+
+/**
+ * Internal: resolve a journal directory, throwing on unsafe ids
+ * @param {string} baseDir - Recovery base directory
+ * @param {string} id - Journal id
+ * @returns {string} Absolute journal directory path
+ */
+function journalDir(baseDir, id) {
+  if (!isValidJournalId(id)) {
+    throw new Error(`Invalid recovery journal id: ${id}`);
+  }
+  return path.join(baseDir, id);
+}
+
+// Pending journal.json updates per journal directory (see withJournalLock)
+const journalLocks = new Map();
+
+/**
+ * Internal: run a journal.json read-modify-write after the journal's earlier ones
+ * @template T
+ * @param {string} dir - Journal directory
+ * @param {() => Promise<T>} task - Update to run
+ * @returns {Promise<T>} Result of the task
+ */
+function withJournalLock(dir, task) {
+  const previous = journalLocks.get(dir) || Promise.resolve();
+  const run = previous.then(task, task);
+  const done = run.then(
+    () => {},
+    () => {}
+  );
+  journalLocks.set(dir, done);
+  done.then(() => {
+    if (journalLocks.get(dir) === done) journalLocks.delete(dir);
+  });
+  return run;
+}
+
+/**
+ * Internal: write a file atomically (temp file + rename)
+ * @param {string} filePath - Destination path
+ * @param {string} content - UTF-8 content
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, content) {
+  const tmpPath = `${filePath}.tmp`;
+  await fs.writeFile(tmpPath, content, 'utf-8');
+  await fs.rename(tmpPath, filePath);
+}
+
+/**
+ * Create a new recovery journal directory
+ * @param {string} baseDir - Recovery base directory
+ * @param {{ mediaFileName?: string | null, mimeType?: string | null }} [opts] - Media naming options
+ * @returns {Promise<{ id: string, dir: string, mediaPath: string | null }>} Journal location
+ */
+export async function createJournal(baseDir, opts = {}) {
+  const { mediaFileName = null, mimeType = null } = opts;
+  const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+  const dir = journalDir(baseDir, id);
+  await fs.mkdir(dir, { recursive: true });
+
+  const mediaFile = mediaFileName ? path.basename(mediaFileName) : null;
+  const now = new Date().toISOString();
+  /** @type {RecoveryJournalMeta} */
+  const meta = {
+    id,
+    createdAt: now,
+    updatedAt: now,
+    status: mediaFile ? 'recording' : 'stopped',
+    mediaFile,
+    mimeType,
+  };
+  await writeFileAtomic(path.join(dir, JOURNAL_FILE), JSON.stringify(meta, null, 2));
+
+  return { id, dir, mediaPath: mediaFile ? path.join(dir, mediaFile) : null };
+}
+
+/**
+ * Internal: journal files of a journal's take (media and raw tracks)
+ * @param {RecoveryJournalMeta} meta - Journal metadata
+ * @returns {string[]} File names
+ */
+function takeFiles(meta) {
+  return meta.take ? [meta.take.file, ...(meta.take.tracks || []).map((t) => t.file)] : [];
+}
+
+/**
+ * Point an existing journal at a new media file
+ * Any previously journaled media, its raw tracks and its take are removed (a new recording
+ * replaces the old one).
+ * @param {string} baseDir - Recovery base directory
+ * @param {string} id - Journal id
+ * @param {{ mediaFileName: string, mimeType?: string | null }} opts - Media naming options
+ * @returns {Promise<string>} Absolute media path to stream into
+ */
+export async function attachJournalMedia(baseDir, id, opts) {
+  const dir = journalDir(baseDir, id);
+  const mediaFile = path.basename(opts.mediaFileName);
+  await withJournalLock(dir, async () => {
+    const meta = await readMeta(dir);
+    const stale = [meta.mediaFile, ...(meta.tracks || []).map((t) => t.file), ...takeFiles(meta)];
+    for (const file of stale.filter(Boolean)) await fs.rm(path.join(dir, file), { force: true });
+    await writeMeta(dir, meta, {
+      status: 'recording',
+      mediaFile,
+      mimeType: opts.mimeType ?? null,
+      tracks: [],
+      take: null,
+    });
+  });
+  return path.join(dir, mediaFile);
+}
+
+/**
+ * Start a journal's take: a recording appended to one of the session's recordings
+ * The journaled media is kept; a previous take and its raw tracks are removed.
+ * @param {string} baseDir - Recovery base directory
+ * @param {string} id - Journal id
+ * @param {{ mediaFileName: string, mimeType?: string | null, startOffset: number }} opts - Name
+ *   (only its extension is used), MIME type and where the take starts in the recording it continues
+ * @returns {Promise<string>} Absolute take path to stream into
+ */
+export async function attachJournalTake(baseDir, id, opts) {
+  const dir = journalDir(baseDir, id);
+  const ext = path.extname(path.basename(opts.mediaFileName)).replace(/[^a-z0-9.]/gi, '');
+  const file = `take${ext || '.webm'}`;
+  const startOffset = Number(opts.startOffset);
+  await withJournalLock(dir, async () => {
+    const meta = await readMeta(dir);
+    for (const stale of takeFiles(meta)) await fs.rm(path.join(dir, stale), { force: true });
+    await writeMeta(dir, meta, {
+      status: 'recording',
+      take: {
+        file,
+        mimeType: opts.mimeType ?? null,
+        startOffset: Number.isFinite(startOffset) && startOffset > 0 ? startOffset : 0,
+        tracks: [],
+      },
+    });
+  });
+  return path.join(dir, file);
+}
+
+/**
+ * Add a raw source track to the journaled media (or to its take)
+ * @param {string} baseDir - Recovery base directory
+ * @param {string} id - Journal id
+ * @param {{ kind: string, startOffset: number, mimeType?: string | null, ext?: string, take?: boolean }} opts - Track
+ *   kind (TRACK_KINDS), offset on the journaled media's timeline, MIME type, file extension
+ *   (default webm) and whether it belongs to the take
+ * @returns {Promise<string>} Absolute track path to stream into
+ */
+export async function attachJournalTrack(baseDir, id, opts) {
+  const dir = journalDir(baseDir, id);
+  const kind = String(opts.kind);
+  if (!TRACK_KINDS.includes(kind)) throw new Error(`Invalid track kind: ${kind}`);
+  const ext = String(opts.ext || 'webm').replace(/[^a-z0-9]/gi, '') || 'webm';
+  const startOffset = Number(opts.startOffset);
+  return withJournalLock(dir, async () => {
+    const meta = await readMeta(dir);
+    if (opts.take && !meta.take) throw new Error('The recovery journal has no take');
+    const tracks = (opts.take ? meta.take.tracks : meta.tracks) || [];
+    const file = `${opts.take ? 'take-' : ''}track-${tracks.length + 1}-${kind}.${ext}`;
+    const next = [
+      ...tracks,
+      {
+        file,
+        kind,
+        startOffset: Number.isFinite(startOffset) && startOffset > 0 ? startOffset : 0,
+        mimeType: opts.mimeType ?? null,
+      },
+    ];
+    await writeMeta(
+      dir,
+      meta,
+      opts.take ? { take: { ...meta.take, tracks: next } } : { tracks: next }
+    );
+    return path.join(dir, file);
+  });
+}
+
+/**
+ * Internal: read journal.json for a journal
+ * @param {string} dir - Journal directory
+ * @returns {Promise<RecoveryJournalMeta>} Parsed metadata
+ */
+async function readMeta(dir) {
+  return JSON.parse(await fs.readFile(path.join(dir, JOURNAL_FILE), 'utf-8'));
+}
+
+/**
+ * Merge fields into a journal's metadata
+ * @param {string} baseDir - Recovery base directory
+ * @param {string} id - Journal id
+ * @param {Partial<RecoveryJournalMeta>} patch - Fields to update (id/createdAt are preserved)
+ * @returns {Promise<RecoveryJournalMeta>} Updated metadata
+ */
+export async function updateJournal(baseDir, id, patch) {
+  const dir = journalDir(baseDir, id);
+  return withJournalLock(dir, async () => writeMeta(dir, await readMeta(dir), patch));
+}
+
+/**
+ * Internal: write journal.json with fields merged in (callers hold the journal lock)
+ * @param {string} dir - Journal directory
+ * @param {RecoveryJournalMeta} meta - Current metadata
+ * @param {Partial<RecoveryJournalMeta>} patch - Fields to update (id/createdAt are preserved)
+ * @returns {Promise<RecoveryJournalMeta>} Updated metadata
+ */
+async function writeMeta(dir, meta, patch) {
+  const next = {
+    ...meta,
+    ...patch,
+    id: meta.id,
+    createdAt: meta.createdAt,
+    updatedAt: new Date().toISOString(),
+  };
+  await writeFileAtomic(path.join(dir, JOURNAL_FILE), JSON.stringify(next, null, 2));
+  return next;
+}
+
+/**
+ * Replace the autosaved notes and session state stored in a journal
+ * @param {string} baseDir - Recovery base directory
+ * @param {string} id - Journal id
+ * @param {RecoverySnapshot} snapshot - Editor contents and session state
+ * @returns {Promise<void>}
+ */
+export async function writeJournalSnapshot(baseDir, id, snapshot) {
+  const dir = journalDir(baseDir, id);
+  const { notesHtml = '', delta = null, state = {} } = snapshot || {};
+  await writeFileAtomic(path.join(dir, SNAPSHOT_FILE), JSON.stringify({ notesHtml, delta, state }));
+  // Only bumps updatedAt; the snapshot is already complete if this write is lost
+  await updateJournal(baseDir, id, {});
+}
+
+/**
+ * Internal: read a journal's snapshot, falling back to the separate files of older versions
+ * @param {string} dir - Journal directory
+ * @param {RecoveryJournalMeta} meta - Journal metadata (holds the state of older versions)
+ * @returns {Promise<{ notesHtml: string, delta: object | null, state: object | undefined }>} Snapshot
+ */
+async function readSnapshot(dir, meta) {
+  try {
+    const snapshot = JSON.parse(await fs.readFile(path.join(dir, SNAPSHOT_FILE), 'utf-8'));
+    return {
+      notesHtml: typeof snapshot?.notesHtml === 'string' ? snapshot.notesHtml : '',
+      delta: snapshot?.delta ?? null,
+      state: snapshot?.state,
+    };
+  } catch {
+    // No snapshot.json: a journal without a snapshot yet, or one from an older version
+  }
+  let notesHtml = '';
+  let delta = null;
+  try {
+    notesHtml = await fs.readFile(path.join(dir, LEGACY_NOTES_FILE), 'utf-8');
+    delta = JSON.parse(await fs.readFile(path.join(dir, LEGACY_DELTA_FILE), 'utf-8'));
+  } catch {
+    // No snapshot yet (or only HTML); callers fall back to notesHtml
+  }
+  return { notesHtml, delta, state: meta.state };
+}
+
+/**
+ * Internal: size of a file or 0 if it does not exist
+ * @param {string} filePath - File path
+ * @returns {Promise<number>} Size in bytes
+ */
+async function fileSize(filePath) {
+  try {
+    return (await fs.stat(filePath)).size;
+  } catch {
+    return 0;
+  }
+}
+
+/**
+ * List journals that contain something worth recovering
+ * @param {string} baseDir - Recovery base directory
+ * @returns {Promise<RecoveryJournalSummary[]>} Journals sorted by updatedAt, newest first
+ */
+export async function listJournals(baseDir) {
+  /** @type {RecoveryJournalSummary[]} */
+  const journals = [];
+  for (const name of await readJournalNames(baseDir)) {
+    const summary = await summarizeJournal(path.join(baseDir, name));
+    if (summary && (summary.mediaSize > 0 || summary.hasNotes)) journals.push(summary);
+  }
+
+  return journals.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Internal: journal directory names under baseDir ([] if it does not exist)
+ * @param {string} baseDir - Recovery base directory
+ * @returns {Promise<string[]>} Valid journal ids
+ */
+async function readJournalNames(baseDir) {
+  try {
+    return (await fs.readdir(baseDir)).filter(isValidJournalId);
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Internal: summarize a journal directory
+ * @param {string} dir - Journal directory
+ * @returns {Promise<RecoveryJournalSummary|null>} Summary, or null if journal.json is unreadable
+ */
+async function summarizeJournal(dir) {
+  try {
+    const meta = await readMeta(dir);
+    const mediaSize =
+      (meta.mediaFile ? await fileSize(path.join(dir, meta.mediaFile)) : 0) +
+      (meta.take ? await fileSize(path.join(dir, path.basename(meta.take.file))) : 0);
+    const { notesHtml } = await readSnapshot(dir, meta);
+    return { ...meta, mediaSize, hasNotes: notesHtml.length > 0 };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Internal: raw tracks of a journal that have bytes
+ * @param {string} dir - Journal directory
+ * @param {JournalTrack[]} tracks - Tracks listed in journal.json
+ * @returns {Promise<Array<{ kind: string, startOffset: number, mimeType: string|null, path: string }>>} Tracks with paths
+ */
+async function readTracks(dir, tracks) {
+  const found = [];
+  for (const track of tracks) {
+    const trackPath = path.join(dir, path.basename(track.file));
+    if ((await fileSize(trackPath)) === 0) continue;
+    const { kind, startOffset, mimeType } = track;
+    found.push({ kind, startOffset, mimeType, path: trackPath });
+  }
+  return found;
+}
+
+/**
+ * Read a journal's contents
+ * @param {string} baseDir - Recovery base directory
+ * @param {string} id - Journal id
+ * @returns {Promise<{ meta: RecoveryJournalMeta, notesHtml: string, delta: object | null, mediaPath: string | null, tracks: Array<{ kind: string, startOffset: number, mimeType: string|null, path: string }>, take: { path: string, mimeType: string|null, startOffset: number, tracks: Array<{ kind: string, startOffset: number, mimeType: string|null, path: string }> } | null }>} Journal contents
+ *   (tracks only with their media, and only those with bytes; take only with bytes)
+ */
+export async function readJournal(baseDir, id) {
+  const dir = journalDir(baseDir, id);
+  const stored = await readMeta(dir);
+  const { notesHtml, delta, state } = await readSnapshot(dir, stored);
+  const meta = state === undefined ? stored : { ...stored, state };
+  const mediaPath = meta.mediaFile ? path.join(dir, meta.mediaFile) : null;
+  const hasMedia = mediaPath ? (await fileSize(mediaPath)) > 0 : false;
+  const tracks = hasMedia ? await readTracks(dir, meta.tracks || []) : [];
+  const takePath = meta.take ? path.join(dir, path.basename(meta.take.file)) : null;
+  const take =
+    takePath && (await fileSize(takePath)) > 0
+      ? {
+          path: takePath,
+          mimeType: meta.take.mimeType,
+          startOffset: meta.take.startOffset,
+          tracks: await readTracks(dir, meta.take.tracks || []),
+        }
+      : null;
+  return { meta, notesHtml, delta, mediaPath: hasMedia ? mediaPath : null, tracks, take };
+}
+
+/**
+ * Delete a journal directory
+ * @param {string} baseDir - Recovery base directory
+ * @param {string} id - Journal id
+ * @returns {Promise<void>}
+ */
+export async function discardJournal(baseDir, id) {
+  await fs.rm(journalDir(baseDir, id), { recursive: true, force: true });
+}
+
+/**
+ * Remove journals that hold nothing recoverable (no media bytes, no notes) or are unreadable
+ * Only journals untouched for olderThanMs are removed, so a journal the renderer
+ * has just created (and not yet written to) is never swept away.
+ * @param {string} baseDir - Recovery base directory
+ * @param {{ olderThanMs?: number }} [opts] - Minimum idle age before a journal may be pruned
+ * @returns {Promise<number>} Number of journals removed
+ */
+export async function pruneJournals(baseDir, opts = {}) {
+  const { olderThanMs = 60 * 1000 } = opts;
+  let removed = 0;
+  for (const name of await readJournalNames(baseDir)) {
+    const dir = path.join(baseDir, name);
+    const summary = await summarizeJournal(dir);
+    if (summary && (summary.mediaSize > 0 || summary.hasNotes)) continue;
+
+    let lastTouched = 0;
+    try {
+      lastTouched = (await fs.stat(dir)).mtimeMs;
+    } catch {
+      continue;
+    }
+    if (summary) lastTouched = Math.max(lastTouched, Date.parse(summary.updatedAt) || 0);
+    if (Date.now() - lastTouched < olderThanMs) continue;
+
+    await fs.rm(dir, { recursive: true, force: true });
+    removed++;
+  }
+  return removed;
+}
@@ -0,0 +1,167 @@
+// @ts-check
+
+/**
+ * @file session.json versions and the segment layout of notepacks (main process only)
+ * A notepack holds one or more recordings ("segments") that share the notes. session.json
+ * version 2 lists them in `segments`; version 1 files describe a single recording at the top
+ * level and are migrated to one segment when they are read.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Constants:
+ *   - SESSION_VERSION: number
+ *       session.json version written by save-session.
+ *   - FIRST_SEGMENT_ID: string
+ *       Id of the segment a version 1 recording becomes (timestamps without a segment use it).
+ * Functions:
+ *   - normalizeSegmentIds(segments: any[]): { id: string, name: string }[]
+ *       Unique, entry-safe ids and non-empty names for a segment list.
+ *   - segmentEntryPrefix(index: number): string
+ *       Folder of a segment's entries inside the notepack.
+ *   - migrateSessionMeta(meta: object|null, entryNames: string[]): SessionMeta
+ *       Parsed session.json of any version as version 2, with entry names checked.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Segment descriptors from the renderer (save-session)
+ *   - Parsed session.json (any version, may be null) and the notepack's entry names
+ * Outputs:
+ *   - Normalized segment ids/names and version 2 metadata for the notepack reader
+ * Side-effects:
+ *   - None (pure functions)
+ * Invariants:
+ *   - The first segment's entries sit at the archive root (media.webm, transcript.json, ...), so
+ *     older versions of the app still find the first recording; segment n (n > 1) uses
+ *     `segments/<n>/`
+ *   - Entry names in migrated metadata always exist in the notepack (missing ones become null)
+ *   - Every migrated session has at least one segment
+ * Failure Modes:
+ *   - Invalid items are replaced or dropped, never thrown
+ */
+
+export const SESSION_VERSION = 2;
+export const FIRST_SEGMENT_ID = 'seg-1';
+
+const SEGMENT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * @typedef {object} SessionSegmentMeta
+ * @property {string} id - Segment id (referenced by timestamps in the notes)
+ * @property {string} name - Display name
+ * @property {string|null} mediaFile - Media entry name (null when the segment has no recording)
+ * @property {string|null} transcriptFile - transcript.json entry name
+ * @property {string|null} peaksFile - waveform.json entry name
+ * @property {object[]} markers - Markers on the segment's timeline
+ * @property {object[]} tracks - Raw source tracks (validated by readTrackList)
+ * @property {number[]} segmentBoundaries - Starts of takes joined with "continue recording"
+ */
+/**
+ * @typedef {object} SessionMeta
+ * @property {number} version - Always SESSION_VERSION
+ * @property {string|null} createdAt - ISO date of the save
+ * @property {string} notesFile - Notes entry name
+ * @property {SessionSegmentMeta[]} segments - Recordings in display order (at least one)
+ */
+
+/**
+ * Give each segment a unique id and a name
+ * Ids must be safe to store in data attributes and unique; others are replaced with `seg-<n>`.
+ * @param {any[]} segments - Items with optional id/name
+ * @returns {{ id: string, name: string }[]} One entry per item, in order
+ */
+export function normalizeSegmentIds(segments) {
+  if (!Array.isArray(segments)) return [];
+  const used = new Set(
+    segments
+      .map((s) => s && s.id)
+      .filter((id) => typeof id === 'string' && SEGMENT_ID_PATTERN.test(id))
+  );
+  const taken = new Set();
+  let next = 1;
+  return segments.map((segment, index) => {
+    let id = segment && segment.id;
+    if (typeof id !== 'string' || !SEGMENT_ID_PATTERN.test(id) || taken.has(id)) {
+      while (used.has(`seg-${next}`) || taken.has(`seg-${next}`)) next++;
+      id = `seg-${next}`;
+    }
+    taken.add(id);
+    const name =
+      segment && typeof segment.name === 'string' && segment.name.trim()
+        ? segment.name.trim().slice(0, MAX_NAME_LENGTH)
+        : `Recording ${index + 1}`;
+    return { id, name };
+  });
+}
+
+/**
+ * Folder of a segment's entries
+ * @param {number} index - Segment position (0-based)
+ * @returns {string} '' for the first segment, otherwise `segments/<n>/`
+ */
+export function segmentEntryPrefix(index) {
+  return index === 0 ? '' : `segments/${index + 1}/`;
+}
+
+/**
+ * Internal: an entry name from session.json, or null when the notepack lacks it
+ * @param {any} name - Entry name
+ * @param {Set<string>} names - Entry names in the notepack
+ * @returns {string|null} Entry name
+ */
+function existingEntry(name, names) {
+  return typeof name === 'string' && names.has(name) ? name : null;
+}
+
+/**
+ * Internal: one segment's metadata with entry names checked
+ * @param {any} source - Segment (version 2) or the whole session.json (version 1)
+ * @param {{ id: string, name: string }} identity - Normalized id and name
+ * @param {Set<string>} names - Entry names in the notepack
+ * @param {string} prefix - Default entry folder (older files may omit entry names)
+ * @returns {SessionSegmentMeta} Segment
+ */
+function readSegment(source, identity, names, prefix) {
+  const src = source || {};
+  return {
+    ...identity,
+    mediaFile: existingEntry(src.mediaFile, names) || existingEntry(`${prefix}media.webm`, names),
+    transcriptFile: existingEntry(src.transcriptFile || `${prefix}transcript.json`, names),
+    peaksFile: existingEntry(src.peaksFile || `${prefix}waveform.json`, names),
+    markers: Array.isArray(src.markers) ? src.markers : [],
+    tracks: Array.isArray(src.tracks) ? src.tracks : [],
+    segmentBoundaries: Array.isArray(src.segmentBoundaries) ? src.segmentBoundaries : [],
+  };
+}
+
+/**
+ * Read session.json of any version as version 2
+ * Version 1 (and notepacks without session.json) become a single FIRST_SEGMENT_ID segment.
+ * @param {any} meta - Parsed session.json (null when missing or invalid)
+ * @param {string[]} entryNames - Entry names in the notepack
+ * @returns {SessionMeta} Migrated metadata
+ */
+export function migrateSessionMeta(meta, entryNames) {
+  const names = new Set(entryNames);
+  const notesFile = meta && typeof meta.notesFile === 'string' ? meta.notesFile : 'notes.html';
+  const createdAt = meta && typeof meta.createdAt === 'string' ? meta.createdAt : null;
+
+  const listed =
+    meta && Number(meta.version) >= 2 && Array.isArray(meta.segments)
+      ? meta.segments.filter((s) => s && typeof s === 'object')
+      : [];
+  const segments = listed.length
+    ? normalizeSegmentIds(listed).map((identity, index) =>
+        readSegment(listed[index], identity, names, segmentEntryPrefix(index))
+      )
+    : [readSegment(meta, { id: FIRST_SEGMENT_ID, name: 'Recording 1' }, names, '')];
+
+  return { version: SESSION_VERSION, createdAt, notesFile, segments };
+}
@@ -0,0 +1,129 @@
+// @ts-check
+
+/**
+ * @file Raw source tracks stored in notepacks (main process only)
+ * Multi-track recordings keep each source (microphone, second audio, camera, screen) as its
+ * own file next to the mixed media. The session.json segment of the recording lists them in
+ * `tracks` with the offset at which each one starts on the mixed recording's timeline.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Constants:
+ *   - TRACK_KINDS: string[]
+ *       Source kinds a track can hold ('mic', 'aux', 'camera', 'screen').
+ * Functions:
+ *   - planTrackEntries(tracks: any[], isAllowedPath: (p: string) => boolean, prefix?: string): TrackEntry[]
+ *       Validates renderer-supplied tracks and names their notepack entries (inside a segment's
+ *       folder when prefix is given).
+ *   - readTrackList(meta: object|null, entryNames: string[]): SessionTrack[]
+ *       Valid `tracks` items of a session.json segment whose entries exist in the notepack.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Track descriptors from the renderer ({ kind, startOffset, mimeType, mediaFilePath })
+ *   - A segment of the parsed session.json and the notepack's entry names
+ * Outputs:
+ *   - Entry plans for save-session and validated track lists for load-session
+ * Side-effects:
+ *   - None (pure functions)
+ * Invariants:
+ *   - Only files the main process created or extracted (isAllowedPath) are ever zipped
+ *   - Entry names are `<prefix>tracks/<kind>-<n>.<ext>`, numbered per kind in timeline order
+ *   - startOffset is a finite number of seconds >= 0
+ * Failure Modes:
+ *   - Invalid items are dropped, never thrown
+ */
+
+import path from 'path';
+
+export const TRACK_KINDS = ['mic', 'aux', 'camera', 'screen'];
+
+/**
+ * @typedef {object} SessionTrack
+ * @property {string} file - Entry name inside the notepack (tracks/mic-1.webm)
+ * @property {string} kind - Source kind (TRACK_KINDS)
+ * @property {number} startOffset - Seconds into the mixed recording where the track starts
+ * @property {string} [mimeType] - MediaRecorder MIME type
+ */
+/**
+ * @typedef {object} TrackEntry
+ * @property {string} entryName - Notepack entry name
+ * @property {string} path - File to add
+ * @property {SessionTrack} meta - session.json item
+ */
+
+/**
+ * Internal: offset rounded to milliseconds, or null when invalid
+ * @param {any} value - Offset in seconds
+ * @returns {number|null} Offset
+ */
+function toOffset(value) {
+  const n = Number(value);
+  if (value === null || value === '' || !Number.isFinite(n) || n < 0) return null;
+  return Math.round(n * 1000) / 1000;
+}
+
+/**
+ * Validate tracks to save and name their entries
+ * @param {any[]} tracks - Renderer track descriptors
+ * @param {(p: string) => boolean} isAllowedPath - Whether the main process owns a file
+ * @param {string} [prefix] - Entry folder of the recording the tracks belong to ('' = root)
+ * @returns {TrackEntry[]} Entries to add, in timeline order
+ */
+export function planTrackEntries(tracks, isAllowedPath, prefix = '') {
+  if (!Array.isArray(tracks)) return [];
+  /** @type {Record<string, number>} */
+  const counts = {};
+  return tracks
+    .filter(
+      (t) =>
+        t &&
+        TRACK_KINDS.includes(t.kind) &&
+        typeof t.mediaFilePath === 'string' &&
+        isAllowedPath(t.mediaFilePath) &&
+        toOffset(t.startOffset) !== null
+    )
+    .sort((a, b) => Number(a.startOffset) - Number(b.startOffset))
+    .map((t) => {
+      counts[t.kind] = (counts[t.kind] || 0) + 1;
+      const ext = path.extname(t.mediaFilePath).slice(1).toLowerCase() || 'webm';
+      const entryName = `${prefix}tracks/${t.kind}-${counts[t.kind]}.${ext}`;
+      /** @type {SessionTrack} */
+      const meta = { file: entryName, kind: t.kind, startOffset: toOffset(t.startOffset) || 0 };
+      if (typeof t.mimeType === 'string' && t.mimeType) meta.mimeType = t.mimeType;
+      return { entryName, path: t.mediaFilePath, meta };
+    });
+}
+
+/**
+ * Tracks listed in a session.json segment that exist in the notepack
+ * @param {any} meta - Segment of the migrated session.json, with its `tracks` (may be null)
+ * @param {string[]} entryNames - Entry names in the notepack
+ * @returns {SessionTrack[]} Valid tracks
+ */
+export function readTrackList(meta, entryNames) {
+  if (!meta || !Array.isArray(meta.tracks)) return [];
+  const names = new Set(entryNames);
+  return meta.tracks
+    .filter(
+      (t) =>
+        t &&
+        typeof t.file === 'string' &&
+        names.has(t.file) &&
+        TRACK_KINDS.includes(t.kind) &&
+        toOffset(t.startOffset) !== null
+    )
+    .map((t) => ({
+      file: t.file,
+      kind: t.kind,
+      startOffset: toOffset(t.startOffset) || 0,
+      ...(typeof t.mimeType === 'string' && t.mimeType ? { mimeType: t.mimeType } : {}),
+    }));
+}
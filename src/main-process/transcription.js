@@ -0,0 +1,271 @@
+// @ts-check
+
+/**
+ * @file Speech-to-text through pluggable local engines (main process only)
+ * Turns a media file into a time-aligned transcript. Engines implement a small interface
+ * (whisper.cpp via its CLI, or a stub for tests/development) and are looked up by id.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Constants:
+ *   - TRANSCRIPT_VERSION: number
+ *       transcript.json schema version written by transcribeMedia().
+ * Functions:
+ *   - registerTranscriptionEngine(engine: TranscriptionEngine): void
+ *       Adds (or replaces) an engine in the registry.
+ *   - getTranscriptionEngine(id: string): TranscriptionEngine|null
+ *       Looks up a registered engine.
+ *   - createWhisperCppEngine(opts: WhisperCppOptions): TranscriptionEngine
+ *       Engine backed by a local whisper.cpp binary (ffmpeg converts media to 16 kHz WAV first).
+ *   - createStubEngine(segments?: TranscriptSegment[]): TranscriptionEngine
+ *       Engine returning fixed segments (tests, development without a model).
+ *   - resolveEngineOptions(env: object, userDataDir: string): { engineId: string, whisper: WhisperCppOptions }
+ *       Reads engine selection and whisper.cpp paths from environment variables.
+ *   - parseWhisperJson(json: object): TranscriptSegment[]
+ *       Converts whisper.cpp `-oj` output into transcript segments.
+ *   - async transcribeMedia(engine: TranscriptionEngine, mediaPath: string, opts?): Promise<Transcript>
+ *       Runs an engine and wraps its segments in the transcript.json document.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Media file path (recorded temp file or extracted notepack media)
+ *   - Engine configuration from environment variables:
+ *       NOTE_TIMESTAMPER_TRANSCRIBER ('whisper-cpp' | 'stub'), WHISPER_CPP_BIN,
+ *       WHISPER_CPP_MODEL, WHISPER_CPP_LANGUAGE, FFMPEG_PATH
+ * Outputs:
+ *   - Transcript document (schemas/transcript.schema.json): segments in seconds, sorted by start
+ *   - Progress callbacks ({ percent, statusText })
+ * Side-effects:
+ *   - whisper.cpp engine spawns ffmpeg and whisper.cpp (processRunner.js), using a private temp directory that is
+ *     removed when the run finishes (success, failure or abort)
+ * Invariants:
+ *   - Segments never have end < start and never contain empty text
+ *   - Aborting (AbortSignal) kills the running child process
+ * Failure Modes:
+ *   - Missing model/binary: transcribe() rejects with an actionable message
+ *   - Non-zero exit codes reject with the tail of stderr
+ *   - Abort rejects with an Error named 'AbortError'
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { runProcess, abortError } from './processRunner.js';
+
+/**
+ * @typedef {object} TranscriptSegment
+ * @property {number} start - Start time in seconds
+ * @property {number} end - End time in seconds
+ * @property {string} text - Spoken text
+ */
+
+/**
+ * @typedef {object} Transcript
+ * @property {number} version - transcript.json schema version
+ * @property {string} engine - Engine id that produced the transcript
+ * @property {string|null} language - Detected or requested language
+ * @property {string} createdAt - ISO timestamp
+ * @property {TranscriptSegment[]} segments - Time-aligned segments
+ */
+
+/**
+ * @typedef {object} TranscribeOptions
+ * @property {(progress: { percent: number, statusText: string }) => void} [onProgress] - Progress callback
+ * @property {AbortSignal} [signal] - Cancels the run
+ */
+
+/**
+ * @typedef {object} TranscriptionEngine
+ * @property {string} id - Stable engine id (stored in transcript.json)
+ * @property {string} label - Human-readable name
+ * @property {(mediaPath: string, opts?: TranscribeOptions) => Promise<{ segments: TranscriptSegment[], language?: string|null }>} transcribe - Runs speech-to-text
+ */
+
+/**
+ * @typedef {object} WhisperCppOptions
+ * @property {string} binary - whisper.cpp CLI (whisper-cli, or main in older builds)
+ * @property {string} model - ggml model path
+ * @property {string} ffmpeg - ffmpeg binary used to produce 16 kHz mono WAV
+ * @property {string} language - Language code or 'auto'
+ * @property {typeof runProcess} [run] - Process runner (injectable for tests)
+ */
+
+export const TRANSCRIPT_VERSION = 1;
+
+// Message of the AbortError a canceled run rejects with
+const ABORT_MESSAGE = 'Transcription canceled';
+
+const engines = new Map();
+
+/**
+ * Add or replace an engine
+ * @param {TranscriptionEngine} engine - Engine implementation
+ */
+export function registerTranscriptionEngine(engine) {
+  engines.set(engine.id, engine);
+}
+
+/**
+ * Look up a registered engine
+ * @param {string} id - Engine id
+ * @returns {TranscriptionEngine|null} Engine or null
+ */
+export function getTranscriptionEngine(id) {
+  return engines.get(id) || null;
+}
+
+/**
+ * Convert whisper.cpp JSON output (-oj) to transcript segments
+ * @param {any} json - Parsed whisper.cpp output
+ * @returns {TranscriptSegment[]} Segments in seconds, empty text dropped
+ */
+export function parseWhisperJson(json) {
+  const items = Array.isArray(json?.transcription) ? json.transcription : [];
+  return items
+    .map((item) => {
+      const start = Number(item?.offsets?.from) / 1000;
+      const end = Number(item?.offsets?.to) / 1000;
+      return {
+        start: Number.isFinite(start) ? Math.max(0, start) : 0,
+        end: Number.isFinite(end) ? Math.max(0, end) : 0,
+        text: String(item?.text || '').trim(),
+      };
+    })
+    .filter((seg) => seg.text)
+    .map((seg) => ({ ...seg, end: Math.max(seg.start, seg.end) }));
+}
+
+/**
+ * Engine backed by a local whisper.cpp build
+ * @param {WhisperCppOptions} opts - Binary/model paths
+ * @returns {TranscriptionEngine} Engine
+ */
+export function createWhisperCppEngine(opts) {
+  const run = opts.run || runProcess;
+  return {
+    id: 'whisper-cpp',
+    label: 'whisper.cpp',
+    async transcribe(mediaPath, { onProgress, signal } = {}) {
+      if (!fs.existsSync(opts.model)) {
+        throw new Error(
+          `Whisper model not found at ${opts.model}. Download a ggml model there or set WHISPER_CPP_MODEL.`
+        );
+      }
+
+      const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'nt-transcribe-'));
+      try {
+        const wavPath = path.join(workDir, 'audio.wav');
+        const outPrefix = path.join(workDir, 'transcript');
+
+        onProgress?.({ percent: 0, statusText: 'Extracting audio…' });
+        await run(
+          opts.ffmpeg,
+          [
+            '-nostdin',
+            '-y',
+            '-i',
+            mediaPath,
+            '-vn',
+            '-ac',
+            '1',
+            '-ar',
+            '16000',
+            '-c:a',
+            'pcm_s16le',
+            wavPath,
+          ],
+          { signal, abortMessage: ABORT_MESSAGE }
+        );
+
+        onProgress?.({ percent: 10, statusText: 'Transcribing…' });
+        await run(
+          opts.binary,
+          ['-m', opts.model, '-f', wavPath, '-l', opts.language, '-oj', '-of', outPrefix, '-pp'],
+          {
+            signal,
+            abortMessage: ABORT_MESSAGE,
+            onStderr: (text) => {
+              const match = /progress\s*=\s*(\d+)%/.exec(text);
+              if (match) {
+                const pct = Number(match[1]);
+                onProgress?.({
+                  percent: 10 + Math.round(pct * 0.9),
+                  statusText: `Transcribing… ${pct}%`,
+                });
+              }
+            },
+          }
+        );
+
+        const json = JSON.parse(await fs.promises.readFile(`${outPrefix}.json`, 'utf-8'));
+        return { segments: parseWhisperJson(json), language: json?.result?.language || null };
+      } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+      }
+    },
+  };
+}
+
+/**
+ * Engine returning fixed segments
+ * @param {TranscriptSegment[]} [segments] - Segments to return
+ * @returns {TranscriptionEngine} Engine
+ */
+export function createStubEngine(segments) {
+  const fixed = segments || [
+    { start: 0, end: 2.5, text: 'This is a stub transcript.' },
+    { start: 2.5, end: 5, text: 'Configure whisper.cpp for real transcription.' },
+  ];
+  return {
+    id: 'stub',
+    label: 'Stub (testing)',
+    async transcribe(_mediaPath, { onProgress, signal } = {}) {
+      if (signal?.aborted) throw abortError(ABORT_MESSAGE);
+      onProgress?.({ percent: 100, statusText: 'Transcribing… 100%' });
+      return { segments: fixed.map((seg) => ({ ...seg })), language: 'en' };
+    },
+  };
+}
+
+/**
+ * Read engine selection and whisper.cpp configuration from the environment
+ * @param {Record<string, string|undefined>} env - Environment (process.env)
+ * @param {string} userDataDir - App data directory (default model location)
+ * @returns {{ engineId: string, whisper: WhisperCppOptions }} Engine id and whisper.cpp options
+ */
+export function resolveEngineOptions(env, userDataDir) {
+  return {
+    engineId: env.NOTE_TIMESTAMPER_TRANSCRIBER || 'whisper-cpp',
+    whisper: {
+      binary: env.WHISPER_CPP_BIN || 'whisper-cli',
+      model: env.WHISPER_CPP_MODEL || path.join(userDataDir, 'models', 'ggml-base.bin'),
+      ffmpeg: env.FFMPEG_PATH || 'ffmpeg',
+      language: env.WHISPER_CPP_LANGUAGE || 'auto',
+    },
+  };
+}
+
+/**
+ * Transcribe a media file into a transcript.json document
+ * @param {TranscriptionEngine} engine - Engine to run
+ * @param {string} mediaPath - Media file
+ * @param {TranscribeOptions} [opts] - Progress callback and abort signal
+ * @returns {Promise<Transcript>} Transcript document
+ */
+export async function transcribeMedia(engine, mediaPath, opts = {}) {
+  const { segments, language } = await engine.transcribe(mediaPath, opts);
+  return {
+    version: TRANSCRIPT_VERSION,
+    engine: engine.id,
+    language: language || null,
+    createdAt: new Date().toISOString(),
+    segments: [...segments].sort((a, b) => a.start - b.start),
+  };
+}
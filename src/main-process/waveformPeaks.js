@@ -0,0 +1,101 @@
+// @ts-check
+
+/**
+ * @file Waveform peaks of media files (main process only)
+ * Decodes a recording's audio with ffmpeg into a low-rate mono stream and summarizes it into
+ * peaks as it arrives, so a recording of any length is shown without holding the media or its
+ * decoded audio in memory.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - buildPeaksArgs(input: string): string[]
+ *       ffmpeg arguments writing mono float samples at CONFIG.WAVEFORM.DECODE_SAMPLE_RATE to stdout.
+ *   - async computeMediaPeaks(opts: MediaPeaksOptions): Promise<WaveformPeaks>
+ *       Runs ffmpeg and returns the peaks of its output.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Media file owned by the main process (recorded temp file or extracted notepack media)
+ *   - ffmpeg binary (FFMPEG_PATH, default 'ffmpeg')
+ * Outputs:
+ *   - WaveformPeaks (schemas/waveform.schema.json), built by waveform.js createPeakStream
+ * Side-effects:
+ *   - Spawns ffmpeg (processRunner.js); nothing is written to disk
+ * Invariants:
+ *   - The input file is never modified
+ *   - Memory stays bounded by one stdout chunk plus the peaks
+ * Failure Modes:
+ *   - ffmpeg missing, failing, or media without audio rejects with its error
+ *   - Abort rejects with an Error named 'AbortError'
+ */
+
+import { CONFIG } from '../config.js';
+import { createPeakStream } from '../modules/waveform.js';
+import { runProcess } from './processRunner.js';
+
+/**
+ * @typedef {object} MediaPeaksOptions
+ * @property {string} ffmpeg - ffmpeg binary
+ * @property {string} input - Media file
+ * @property {AbortSignal} [signal] - Cancels the run
+ * @property {typeof runProcess} [run] - Process runner (injectable for tests)
+ */
+
+// Bytes per sample of ffmpeg's f32le output
+const SAMPLE_BYTES = 4;
+
+/**
+ * ffmpeg arguments that decode the audio to mono float samples on stdout
+ * @param {string} input - Media file
+ * @returns {string[]} Arguments
+ */
+export function buildPeaksArgs(input) {
+  return [
+    '-nostdin',
+    '-v',
+    'error',
+    '-i',
+    input,
+    '-vn',
+    '-ac',
+    '1',
+    '-ar',
+    String(CONFIG.WAVEFORM.DECODE_SAMPLE_RATE),
+    '-f',
+    'f32le',
+    'pipe:1',
+  ];
+}
+
+/**
+ * Compute the waveform peaks of a media file
+ * @param {MediaPeaksOptions} opts - ffmpeg binary, input and abort signal
+ * @returns {Promise<import('../../types/global').WaveformPeaks>} Peaks
+ */
+export async function computeMediaPeaks({ ffmpeg, input, signal, run = runProcess }) {
+  const stream = createPeakStream(CONFIG.WAVEFORM.DECODE_SAMPLE_RATE);
+  // Bytes of a sample split across two stdout chunks
+  let carry = Buffer.alloc(0);
+
+  await run(ffmpeg, buildPeaksArgs(input), {
+    signal,
+    onStdout: (chunk) => {
+      const bytes = carry.length ? Buffer.concat([carry, chunk]) : chunk;
+      const usable = bytes.length - (bytes.length % SAMPLE_BYTES);
+      // Copied into an aligned buffer; f32le matches the byte order of every supported platform
+      const samples = new Float32Array(usable / SAMPLE_BYTES);
+      new Uint8Array(samples.buffer).set(bytes.subarray(0, usable));
+      stream.push(samples);
+      carry = Buffer.from(bytes.subarray(usable));
+    },
+  });
+  return stream.finish();
+}
@@ -23,10 +23,16 @@
  *
  * Recording Controls:
  *   - async handleStartRecording(): Promise<void>
- *   - handleStopRecording(): void
+ *       With a recording present, asks whether to continue it (append a take) or replace it.
+ *   - async handleStopRecording(): Promise<void>
+ *       Stops recording; an appended take is then joined after the earlier recording.
  *   - async handleAudioOnlyChange(): Promise<void>
  *   - async handleMicrophoneChange(): Promise<void>
  *   - async handleCameraChange(): Promise<void>
+ *   - async handleChooseScreenSource(): Promise<void>
+ *       Picks the screen/window to capture (switches a camera-only layout to screen only).
+ *   - async handleLayoutChange(): Promise<void>
+ *       Applies the video layout; layouts with a screen ask for a source first.
  *   - async refreshDevices(): Promise<void>
  *
  * Session Management:
@@ -34,13 +40,73 @@
  *   - async handleSaveSessionAs(): Promise<void>
  *   - async handleLoadSession(): Promise<void>
  *   - async handleResetSession(): Promise<void>
+ *   - async offerRecovery(opts?: { fromMenu?: boolean }): Promise<void>
+ *       Shows the "Restore unsaved session" list of journals left behind by a crash.
+ *   - async restoreJournal(id: string): Promise<void>
+ *       Loads a recovery journal's notes and every segment's media and state into the session.
+ *   - getRecoverySnapshot(): RecoverySnapshot|null
+ *       Internal: builds the autosave snapshot (notes HTML, Quill delta, state).
+ *   - async writeRecordingToTempFile(sessionId: string): Promise<string|null>
+ *       Internal: streams the in-memory recording to a main-process temp file.
+ *   - async buildSaveSegments(sessionId: string): Promise<SaveSegmentPayload[]|null>
+ *       Internal: every recording of the session for save-session (in-memory media streamed).
+ *   - async writeTracksToTempFiles(tracks: RecordedTrack[], sessionId: string): Promise<SaveTrackPayload[]|null>
+ *       Internal: raw source tracks for save-session (in-memory tracks streamed to temp files).
+ *   - async appendTake(pending: PendingAppend): Promise<void>
+ *       Internal: joins a finished take after the recording it continues (main-process ffmpeg);
+ *       when that fails or is canceled, the take is kept as a new segment instead.
+ *
+ * Transcription:
+ *   - async handleTranscribe(): Promise<void>
+ *       Transcribes the current media and shows the result in the transcript panel.
+ *
+ * Trim/Cut:
+ *   - async handleTrim(): Promise<void>
+ *       Removes parts of the recording; timestamps, markers and transcript follow the new timeline.
+ *   - onMediaEditProgress(data: { percent: number }): void
+ *
+ * Segments (recordings of the session):
+ *   - switchSegment(id: string): boolean
+ *       Stores the active recording's media, transcript, markers and peaks and shows another's.
+ *   - handleAddSegment(): void
+ *   - handleRemoveSegment(id: string): void
+ *       Removes a recording and the timestamps that refer to it (after confirmation).
+ *
+ * Waveform:
+ *   - async ensureWaveform(): Promise<void>
+ *       Computes peaks for the player's media unless they are cached (loaded from the notepack).
+ *
+ * Markers:
+ *   - addMarker(): void
+ *       Drops a marker of the selected type at the current time (editor cursor untouched).
+ *   - jumpToMarker(direction: 1|-1): void
+ *       Seeks the player to the next/previous marker.
+ *
+ * Playback Controls:
+ *   - runPlaybackAction(action: PlaybackAction): void
+ *       Play/pause, skip, change speed or jump between timestamps of the loaded recording.
+ *   - setPlaybackHotkeys(hotkeys: PlaybackHotkeys): void
+ *       Applies and saves the playback shortcuts (Tools > Playback Shortcuts...).
  *
  * Export Operations:
  *   - async exportAsEmbeddedHtml(): Promise<void>
  *   - async exportAsSeparateFiles(): Promise<void>
+ *   - async exportAsPdf(includeFrames: boolean): Promise<void>
+ *   - async exportAsMarkdown(): Promise<void>
+ *   - async exportSubtitles(format: SubtitleFormat): Promise<void>
+ *   - async handleImportMarkdown(): Promise<void>
+ *       Inserts a Markdown file at the cursor (timestamp links become timestamp buttons).
  *
  * Editor Operations:
  *   - insertTimestamp(): void
+ *   - toggleRange(): void
+ *       Ends the last open timestamp range at the current time, or starts a new one.
+ *   - setAutoTimestamp(settings: AutoTimestampSettings): void
+ *       Turns auto-timestamp mode on/off and sets its minimum gap (saved as a preference).
+ *   - async handleTimestampOffset(): Promise<void>
+ *       Sets the lead-in offset of new timestamps; can move existing ones to it (undoable).
+ *   - editTimestampButton(button: HTMLElement, action: TimestampPopoverAction): HTMLElement|null
+ *       Nudges, retimes, renames or converts a timestamp (popover actions, undoable).
  *   - async handleImageUpload(): Promise<void>
  *   - async handleCameraCapture(): Promise<void>
  *   - async handleDrawing(): Promise<void>
@@ -57,7 +123,10 @@
  *   - onQuillTextChange(): void
  *   - onTimestampClick(e: Event): void
  *   - onKeyboardShortcut(e: KeyboardEvent): void
+ *   - onPlaybackShortcut(e: KeyboardEvent): void
  *   - onSaveProgress(data: SaveProgress): void
+ *   - onFileLoadingProgress(data: FileLoadingProgress): void
+ *   - onTranscriptionProgress(data: TranscriptionProgress): void
  *
  * Internal helpers are marked 'Internal'.
  * Invariants and side effects are documented per method.
@@ -70,8 +139,13 @@
  * Inputs:
  *   - DOM structure (queried in getDOMReferences)
  *   - Module singletons: recordingSystem, mixerSystem, deviceManager, timerSystem, audioLevelMonitor,
- *     exportSystem, errorBoundary, imageManager, imageResizer, cameraSystem, drawingSystem
- *   - window.api & window.menu IPC/event surfaces (save-progress events, session load/save)
+ *     exportSystem, errorBoundary, imageManager, imageResizer, cameraSystem, drawingSystem,
+ *     recoveryJournal, recoveryDialog, screenSourcePicker, pipDrag, audioMixerPanel,
+ *     audioSettingsDialog, recordingFormatDialog, trimDialog, continueRecordingDialog,
+ *     segmentSwitcher, transcriptPanel,
+ *     markerTimeline, waveformTimeline, waveform peaks
+ *   - window.api & window.menu IPC/event surfaces (save-progress events, session load/save,
+ *     crash-recovery journals, transcription, trim/cut, appending takes)
  *   - User interactions (keyboard shortcuts, toolbar buttons, recording controls)
  * Outputs:
  *   - Initialized application state; wired event handlers
@@ -82,10 +156,13 @@
  *   - Attaches numerous DOM event listeners & keyboard bindings
  *   - Coordinates creation/destruction of media streams & blob URLs indirectly via subsystems
  *   - Writes status messages via errorBoundary.updateStatus
+ *   - Autosaves notes/state to the recovery journal on change and periodically
  * Invariants:
  *   - init() executes module initialization exactly once per page load
  *   - UI state methods avoid direct mutation of recordingSystem internal state (delegated calls)
  *   - Timestamp insertion uses current player time; handles no recording gracefully
+ *   - Timestamps name the segment (recording) they were taken in; only the active segment's
+ *     state is in the player and panels, cuts move only its timestamps
  * Failure Modes:
  *   - Underlying subsystem coded errors surfaced via errorBoundary dialogs/status
  *   - IPC/file picker cancellations handled without throwing
@@ -93,18 +170,73 @@
  */
 
 // Import all modules
-import { formatTime, isMac } from './modules/utils.js';
+import { CONFIG } from './config.js';
+import { formatTime, formatRange, isMac } from './modules/utils.js';
 import { timerSystem } from './modules/timer.js';
 import { audioLevelMonitor } from './modules/audioLevel.js';
 import { deviceManager } from './modules/deviceManager.js';
 import { exportSystem } from './modules/exportSystem.js';
+import { markdownToDelta } from './modules/markdownConverter.js';
+import { rangePlayback } from './modules/rangePlayback.js';
+import { isValidPeaks } from './modules/waveform.js';
 import { errorBoundary } from './modules/errorBoundary.js';
-import { registerCustomBlots } from './editor/customBlots.js';
+import {
+  autoTimestamp,
+  loadAutoTimestampSettings,
+  saveAutoTimestampSettings,
+} from './editor/autoTimestamp.js';
+import { registerCustomBlots, TimestampBlot, TimestampRangeBlot } from './editor/customBlots.js';
 import { imageManager } from './editor/imageManager.js';
 import { imageResizer } from './editor/imageResizer.js';
 import { mixerSystem } from './recording/mixerSystem.js';
+import { usesScreen } from './recording/compositor.js';
 import { loadSessionWithCodes, saveSessionWithCodes } from './modules/zipUtils.js';
 import { recordingSystem } from './recording/recordingSystem.js';
+import { recoveryJournal } from './modules/recoveryJournal.js';
+import { recoveryDialog } from './ui/recoveryDialog.js';
+import { screenSourcePicker } from './ui/screenSourcePicker.js';
+import { pipDrag } from './ui/pipDrag.js';
+import { audioMixerPanel } from './ui/audioMixerPanel.js';
+import { audioSettingsDialog } from './ui/audioSettingsDialog.js';
+import { loadProcessingSettings, saveProcessingSettings } from './recording/audioProcessing.js';
+import { recordingFormatDialog } from './ui/recordingFormatDialog.js';
+import { trimDialog } from './ui/trimDialog.js';
+import { continueRecordingDialog } from './ui/continueRecordingDialog.js';
+import { timestampPopover, editTimestamp } from './ui/timestampPopover.js';
+import { timestampOffsetDialog } from './ui/timestampOffsetDialog.js';
+import { playbackHotkeysDialog } from './ui/playbackHotkeysDialog.js';
+import {
+  actionForEvent,
+  adjacentTime,
+  isAltGraph,
+  loadHotkeys,
+  saveHotkeys,
+  stepRate,
+} from './modules/playbackHotkeys.js';
+import {
+  applyTimestampOffset,
+  loadTimestampOffset,
+  planOffsetEdits,
+  saveTimestampOffset,
+} from './modules/timestampOffset.js';
+import {
+  segmentSwitcher,
+  fillTimestampSegments,
+  findSegmentTimestamps,
+} from './ui/segmentSwitcher.js';
+import {
+  keepSegments,
+  planTrackCut,
+  planTimestampEdits,
+  planRangeEdits,
+  remapMarkers,
+  remapTranscript,
+  remapBoundaries,
+} from './modules/mediaCuts.js';
+import { loadFormatSettings, saveFormatSettings } from './recording/recordingFormats.js';
+import { transcriptPanel } from './ui/transcriptPanel.js';
+import { markerTimeline } from './ui/markerTimeline.js';
+import { waveformTimeline } from './ui/waveformTimeline.js';
 import { cameraSystem } from './ui/cameraSystem.js';
 import { drawingSystem } from './ui/drawingSystem.js';
 
@@ -126,11 +258,39 @@ class NoteTimestamperApp {
     // Current save session ID for progress tracking
     this.currentSaveSessionId = null;
 
+    // True while a transcription runs in the main process
+    this.isTranscribing = false;
+
+    // True while the main process cuts the recording or appends a take (ffmpeg)
+    this.isEditingMedia = false;
+
+    // True from Stop until the recording is stored in the active segment
+    this.isStoppingRecording = false;
+
+    // Segment whose recording the recovery journal holds (each new recording replaces it)
+    this.journalSegmentId = null;
+
+    // Segment the journal's take belongs to (RecoveryTake; each appended take replaces it)
+    this.journalTake = null;
+
+    // Media URL whose waveform peaks are being computed
+    this.waveformSource = null;
+
+    // Seconds added to new timestamps (Tools > Timestamp Offset...)
+    this.timestampOffset = CONFIG.EDITOR.DEFAULT_TIMESTAMP_OFFSET;
+
+    // Player shortcuts that work while typing (Tools > Playback Shortcuts...)
+    this.playbackHotkeys = { ...CONFIG.PLAYBACK.DEFAULT_HOTKEYS };
+
+    // Layout before the current change (restored when the screen picker is cancelled)
+    this.lastLayout = CONFIG.COMPOSITOR.DEFAULT_LAYOUT;
+
     // Bind methods
     this.onStateChange = this.onStateChange.bind(this);
     this.onTimestampClick = this.onTimestampClick.bind(this);
     this.onQuillTextChange = this.onQuillTextChange.bind(this);
     this.onKeyboardShortcut = this.onKeyboardShortcut.bind(this);
+    this.onPlaybackShortcut = this.onPlaybackShortcut.bind(this);
     this.onSaveProgress = this.onSaveProgress.bind(this);
   }
 
@@ -176,6 +336,9 @@ class NoteTimestamperApp {
 
       // Set up global unhandled rejection handler
       this.setupUnhandledRejectionHandler();
+
+      // Offer to restore a recording interrupted by a crash
+      await this.offerRecovery();
     } catch (error) {
       console.error('Failed to initialize Note Timestamper:', error);
       if (this.elements.status) {
@@ -194,17 +357,36 @@ class NoteTimestamperApp {
     this.elements.btnPause = document.getElementById('btnPause');
     this.elements.btnStop = document.getElementById('btnStop');
 
+    // Segment bar (recordings of the session)
+    this.elements.segmentSelect = document.getElementById('segmentSelect');
+    this.elements.segmentName = document.getElementById('segmentName');
+    this.elements.btnAddSegment = document.getElementById('btnAddSegment');
+    this.elements.btnRemoveSegment = document.getElementById('btnRemoveSegment');
+
+    // Auto-timestamp controls (editor toolbar)
+    this.elements.btnAutoTimestamp = document.getElementById('btnAutoTimestamp');
+    this.elements.autoTimestampGap = document.getElementById('autoTimestampGap');
+
+    // Timestamp popover (right-click on a timestamp)
+    this.elements.timestampPopover = document.getElementById('timestampPopover');
+    this.elements.timestampLabelForm = document.getElementById('timestampLabelForm');
+    this.elements.timestampLabelInput = document.getElementById('timestampLabelInput');
+
     // File operations
     // File operations moved to menu
 
     // UI elements
     this.elements.audioOnly = document.getElementById('audioOnly');
+    this.elements.multiTrack = document.getElementById('multiTrack');
     this.elements.status = document.getElementById('status');
     this.elements.timeDisplay = document.getElementById('tNow');
 
     // Device selection UI
     this.elements.micSelect = document.getElementById('micSelect');
+    this.elements.auxAudioSelect = document.getElementById('auxAudioSelect');
     this.elements.camSelect = document.getElementById('camSelect');
+    this.elements.btnScreenSource = document.getElementById('btnScreenSource');
+    this.elements.layoutSelect = document.getElementById('layoutSelect');
     this.elements.resSelect = document.getElementById('resSelect');
     this.elements.fpsSelect = document.getElementById('fpsSelect');
     this.elements.audioBitrateSelect = document.getElementById('audioBitrateSelect');
@@ -214,6 +396,7 @@ class NoteTimestamperApp {
     this.elements.audioLevelMeter = document.getElementById('audioLevelMeter');
     this.elements.audioLevelFill = document.getElementById('audioLevelFill');
     this.elements.audioLevelText = document.getElementById('audioLevelText');
+    this.elements.audioMixer = document.getElementById('audioMixer');
 
     // Editor elements
     this.elements.editorWrap = document.getElementById('editorWrap');
@@ -229,6 +412,87 @@ class NoteTimestamperApp {
     this.elements.fileLoadingModal = document.getElementById('fileLoadingModal');
     this.elements.fileLoadingTitle = document.getElementById('fileLoadingTitle');
     this.elements.fileLoadingStatus = document.getElementById('fileLoadingStatus');
+    this.elements.fileLoadingFill = document.getElementById('fileLoadingFill');
+
+    // Restore unsaved session modal elements
+    this.elements.recoveryModal = document.getElementById('recoveryModal');
+    this.elements.recoveryList = document.getElementById('recoveryList');
+    this.elements.recoveryDismiss = document.getElementById('recoveryDismiss');
+
+    // Screen/window source picker elements
+    this.elements.screenPickerModal = document.getElementById('screenPickerModal');
+    this.elements.screenPickerList = document.getElementById('screenPickerList');
+    this.elements.screenPickerNotice = document.getElementById('screenPickerNotice');
+    this.elements.screenPickerCancel = document.getElementById('screenPickerCancel');
+
+    // Audio settings dialog elements
+    this.elements.audioSettingsModal = document.getElementById('audioSettingsModal');
+    this.elements.audioPresetSelect = document.getElementById('audioPresetSelect');
+    this.elements.audioSettingsClose = document.getElementById('audioSettingsClose');
+    this.elements.recordingFormatModal = document.getElementById('recordingFormatModal');
+    this.elements.recordingFormatSelect = document.getElementById('recordingFormatSelect');
+    this.elements.videoBitrateSelect = document.getElementById('videoBitrateSelect');
+    this.elements.recordingFormatEstimate = document.getElementById('recordingFormatEstimate');
+    this.elements.recordingFormatClose = document.getElementById('recordingFormatClose');
+
+    // Trim/cut dialog and progress elements
+    this.elements.trimModal = document.getElementById('trimModal');
+    this.elements.trimList = document.getElementById('trimList');
+    this.elements.trimSummary = document.getElementById('trimSummary');
+    this.elements.trimHead = document.getElementById('trimHead');
+    this.elements.trimTail = document.getElementById('trimTail');
+    this.elements.trimAdd = document.getElementById('trimAdd');
+    this.elements.trimApply = document.getElementById('trimApply');
+    this.elements.trimCancel = document.getElementById('trimCancel');
+    this.elements.mediaEditModal = document.getElementById('mediaEditModal');
+    this.elements.mediaEditTitle = document.getElementById('mediaEditTitle');
+    this.elements.mediaEditStatus = document.getElementById('mediaEditStatus');
+    this.elements.mediaEditFill = document.getElementById('mediaEditFill');
+    this.elements.mediaEditPercent = document.getElementById('mediaEditPercent');
+    this.elements.mediaEditCancel = document.getElementById('mediaEditCancel');
+
+    // Timestamp offset dialog elements
+    this.elements.timestampOffsetModal = document.getElementById('timestampOffsetModal');
+    this.elements.timestampOffsetInput = document.getElementById('timestampOffsetInput');
+    this.elements.timestampOffsetApplyExisting = document.getElementById(
+      'timestampOffsetApplyExisting'
+    );
+    this.elements.timestampOffsetSave = document.getElementById('timestampOffsetSave');
+    this.elements.timestampOffsetCancel = document.getElementById('timestampOffsetCancel');
+
+    // Playback shortcuts dialog elements and speed display
+    this.elements.playbackHotkeysModal = document.getElementById('playbackHotkeysModal');
+    this.elements.playbackHotkeysList = document.getElementById('playbackHotkeysList');
+    this.elements.playbackHotkeysHint = document.getElementById('playbackHotkeysHint');
+    this.elements.playbackHotkeysReset = document.getElementById('playbackHotkeysReset');
+    this.elements.playbackHotkeysClose = document.getElementById('playbackHotkeysClose');
+    this.elements.playbackRate = document.getElementById('playbackRate');
+
+    // "Record again" dialog elements
+    this.elements.continueRecordingModal = document.getElementById('continueRecordingModal');
+    this.elements.continueRecordingAppend = document.getElementById('continueRecordingAppend');
+    this.elements.continueRecordingReplace = document.getElementById('continueRecordingReplace');
+    this.elements.continueRecordingCancel = document.getElementById('continueRecordingCancel');
+
+    // Transcript panel elements
+    this.elements.transcriptPanel = document.getElementById('transcriptPanel');
+    this.elements.transcriptList = document.getElementById('transcriptList');
+    this.elements.transcriptStatus = document.getElementById('transcriptStatus');
+    this.elements.transcriptCancel = document.getElementById('transcriptCancel');
+
+    // Marker timeline elements
+    this.elements.markerTrack = document.getElementById('markerTrack');
+    this.elements.markerPlayhead = document.getElementById('markerPlayhead');
+    this.elements.markerType = document.getElementById('markerType');
+    this.elements.markerColor = document.getElementById('markerColor');
+    this.elements.btnAddMarker = document.getElementById('btnAddMarker');
+
+    // Waveform timeline elements
+    this.elements.waveformTimeline = document.getElementById('waveformTimeline');
+    this.elements.waveformScroller = document.getElementById('waveformScroller');
+    this.elements.waveformCanvas = document.getElementById('waveformCanvas');
+    this.elements.btnWaveZoomIn = document.getElementById('btnWaveZoomIn');
+    this.elements.btnWaveZoomOut = document.getElementById('btnWaveZoomOut');
   }
 
   /**
@@ -251,6 +515,7 @@ class NoteTimestamperApp {
             image: () => this.handleImageUpload(),
             camera: () => this.handleCameraCapture(),
             drawing: () => this.handleDrawing(),
+            range: () => this.toggleRange(),
           },
         },
         history: {
@@ -275,6 +540,7 @@ class NoteTimestamperApp {
         'code-block',
         'image',
         'timestamp',
+        'timestampRange',
       ],
     });
 
@@ -299,6 +565,15 @@ class NoteTimestamperApp {
       this.elements.audioLevelText
     );
 
+    // Initialize per-source volume/mute controls; their meters follow each source's level
+    audioMixerPanel.init(this.elements.audioMixer, {
+      onGainChange: (channel, gain) => mixerSystem.setChannelGain(channel, gain),
+      onMuteChange: (channel, muted) => mixerSystem.setChannelMuted(channel, muted),
+    });
+    ['mic', 'aux'].forEach((channel) =>
+      audioLevelMonitor.addMeter(channel, audioMixerPanel.getMeterFill(channel))
+    );
+
     // Initialize device manager
     deviceManager.init(
       this.elements.micSelect,
@@ -306,11 +581,79 @@ class NoteTimestamperApp {
       this.elements.resSelect,
       this.elements.fpsSelect,
       this.elements.audioBitrateSelect,
-      this.elements.audioOnly
+      this.elements.audioOnly,
+      this.elements.layoutSelect,
+      this.elements.btnScreenSource,
+      this.elements.auxAudioSelect,
+      this.elements.multiTrack
     );
 
-    // Initialize mixer system
+    // Initialize mixer system with the saved microphone processing settings
     mixerSystem.init(deviceManager);
+    mixerSystem.setProcessing(loadProcessingSettings(localStorage));
+
+    // Audio settings edits apply live and are saved right away
+    audioSettingsDialog.init(
+      this.elements.audioSettingsModal,
+      this.elements.audioPresetSelect,
+      this.elements.audioSettingsClose,
+      {
+        onChange: (settings) => {
+          mixerSystem.setProcessing(settings);
+          saveProcessingSettings(localStorage, mixerSystem.getProcessing());
+        },
+      }
+    );
+
+    // Recording format applies to the next recording and is saved right away
+    recordingSystem.setFormat(loadFormatSettings(localStorage));
+    recordingFormatDialog.init(
+      this.elements.recordingFormatModal,
+      this.elements.recordingFormatSelect,
+      this.elements.videoBitrateSelect,
+      this.elements.recordingFormatEstimate,
+      this.elements.recordingFormatClose,
+      {
+        onChange: (settings) => {
+          recordingSystem.setFormat(settings);
+          saveFormatSettings(localStorage, recordingSystem.getFormat());
+        },
+      }
+    );
+
+    trimDialog.init(this.elements.trimModal, this.elements.trimList, this.elements.trimSummary, {
+      head: this.elements.trimHead,
+      tail: this.elements.trimTail,
+      add: this.elements.trimAdd,
+      apply: this.elements.trimApply,
+      cancel: this.elements.trimCancel,
+    });
+    this.elements.mediaEditCancel?.addEventListener('click', () => {
+      if (this.isEditingMedia) window.api.cancelMediaEdit();
+    });
+    // Timestamp lead-in offset is a preference like the recording format
+    this.timestampOffset = loadTimestampOffset(localStorage);
+    timestampOffsetDialog.init(
+      this.elements.timestampOffsetModal,
+      {
+        input: this.elements.timestampOffsetInput,
+        applyExisting: this.elements.timestampOffsetApplyExisting,
+      },
+      { save: this.elements.timestampOffsetSave, cancel: this.elements.timestampOffsetCancel }
+    );
+    this.playbackHotkeys = loadHotkeys(localStorage);
+    playbackHotkeysDialog.init(
+      this.elements.playbackHotkeysModal,
+      { list: this.elements.playbackHotkeysList, hint: this.elements.playbackHotkeysHint },
+      { reset: this.elements.playbackHotkeysReset, close: this.elements.playbackHotkeysClose },
+      { onChange: (hotkeys) => this.setPlaybackHotkeys(hotkeys) }
+    );
+
+    continueRecordingDialog.init(this.elements.continueRecordingModal, {
+      append: this.elements.continueRecordingAppend,
+      replace: this.elements.continueRecordingReplace,
+      cancel: this.elements.continueRecordingCancel,
+    });
 
     // Initialize recording system
     recordingSystem.init({
@@ -325,6 +668,43 @@ class NoteTimestamperApp {
       onStateChange: this.onStateChange,
     });
 
+    // Initialize segment bar (each recording of the session keeps its own media and panels)
+    segmentSwitcher.init(
+      {
+        select: this.elements.segmentSelect,
+        nameInput: this.elements.segmentName,
+        addBtn: this.elements.btnAddSegment,
+        removeBtn: this.elements.btnRemoveSegment,
+      },
+      {
+        onSwitch: (id) => this.switchSegment(id),
+        onAdd: () => this.handleAddSegment(),
+        onRemove: (id) => this.handleRemoveSegment(id),
+        onChange: () => {
+          recoveryJournal.markDirty();
+          this.updateContentState();
+        },
+      }
+    );
+
+    // Initialize auto-timestamp mode (new lines get a timestamp while recording or playing)
+    autoTimestamp.init(this.quill, {
+      getTime: () => (this.isTimeRunning() ? timerSystem.getCurrentRecordingTime() : null),
+      createStamp: (time) => this.timestampValue(time),
+    });
+    autoTimestamp.setSettings(loadAutoTimestampSettings(localStorage));
+    this.renderAutoTimestamp();
+
+    // Initialize timestamp popover (edits replace the embed through Quill, so they can be undone)
+    timestampPopover.init(
+      {
+        popover: this.elements.timestampPopover,
+        labelForm: this.elements.timestampLabelForm,
+        labelInput: this.elements.timestampLabelInput,
+      },
+      { onEdit: (target, action) => this.editTimestampButton(target, action) }
+    );
+
     // Initialize image manager
     imageManager.init(this.quill);
 
@@ -332,7 +712,85 @@ class NoteTimestamperApp {
     imageResizer.init(this.quill, this.elements.editorWrap, imageManager);
 
     // Initialize export system
-    exportSystem.init(recordingSystem, this.quill);
+    exportSystem.init(recordingSystem, this.quill, (segment) => segmentSwitcher.isActive(segment));
+
+    // Initialize autosave to the crash-recovery journal
+    recoveryJournal.init(() => this.getRecoverySnapshot());
+    recoveryDialog.init(
+      this.elements.recoveryModal,
+      this.elements.recoveryList,
+      this.elements.recoveryDismiss
+    );
+    screenSourcePicker.init(
+      this.elements.screenPickerModal,
+      this.elements.screenPickerList,
+      this.elements.screenPickerNotice,
+      this.elements.screenPickerCancel
+    );
+
+    // Initialize picture-in-picture dragging on the live preview
+    pipDrag.init(this.elements.player, {
+      getPipRect: () => mixerSystem.getPipRect(),
+      getPipPlacement: () => mixerSystem.getPipPlacement(),
+      onChange: (placement) => mixerSystem.setPipPlacement(placement),
+    });
+
+    // Initialize range playback (timestamp range buttons play only their span)
+    rangePlayback.init(this.elements.player);
+
+    // Initialize transcript panel (clicking a line seeks like a timestamp button)
+    transcriptPanel.init(
+      {
+        panel: this.elements.transcriptPanel,
+        list: this.elements.transcriptList,
+        status: this.elements.transcriptStatus,
+        cancelBtn: this.elements.transcriptCancel,
+      },
+      {
+        onSeek: (seconds) => {
+          this.elements.player.currentTime = seconds;
+          this.elements.player.play();
+        },
+        onCancel: () => window.api.cancelTranscription(),
+      }
+    );
+
+    // Initialize marker timeline (ticks seek the player; edits autosave)
+    markerTimeline.init(
+      {
+        track: this.elements.markerTrack,
+        playhead: this.elements.markerPlayhead,
+        typeSelect: this.elements.markerType,
+        colorInput: this.elements.markerColor,
+      },
+      {
+        onSeek: (seconds) => {
+          if (recordingSystem.isRecording()) return;
+          this.elements.player.currentTime = seconds;
+        },
+        onChange: () => {
+          recoveryJournal.markDirty();
+          this.updateContentState();
+        },
+      }
+    );
+
+    // Initialize waveform timeline (clicks seek the player like marker ticks)
+    waveformTimeline.init(
+      {
+        wrapper: this.elements.waveformTimeline,
+        scroller: this.elements.waveformScroller,
+        canvas: this.elements.waveformCanvas,
+        zoomInBtn: this.elements.btnWaveZoomIn,
+        zoomOutBtn: this.elements.btnWaveZoomOut,
+      },
+      {
+        onSeek: (seconds) => {
+          if (recordingSystem.isRecording()) return;
+          this.elements.player.currentTime = seconds;
+        },
+      }
+    );
   }
 
   /**
@@ -357,12 +815,26 @@ class NoteTimestamperApp {
     if (this.elements.audioOnly) {
       this.elements.audioOnly.addEventListener('change', () => this.handleAudioOnlyChange());
     }
+    if (this.elements.multiTrack) {
+      this.elements.multiTrack.addEventListener('change', () => deviceManager.persistSelection());
+    }
     if (this.elements.micSelect) {
       this.elements.micSelect.addEventListener('change', () => this.handleMicrophoneChange());
     }
+    if (this.elements.auxAudioSelect) {
+      this.elements.auxAudioSelect.addEventListener('change', () => this.handleAuxAudioChange());
+    }
     if (this.elements.camSelect) {
       this.elements.camSelect.addEventListener('change', () => this.handleCameraChange());
     }
+    if (this.elements.btnScreenSource) {
+      this.elements.btnScreenSource.addEventListener('click', () =>
+        this.handleChooseScreenSource()
+      );
+    }
+    if (this.elements.layoutSelect) {
+      this.elements.layoutSelect.addEventListener('change', () => this.handleLayoutChange());
+    }
     if (this.elements.resSelect) {
       this.elements.resSelect.addEventListener('change', () => deviceManager.persistSelection());
     }
@@ -377,6 +849,9 @@ class NoteTimestamperApp {
     if (this.elements.btnRefreshDevs) {
       this.elements.btnRefreshDevs.addEventListener('click', () => this.refreshDevices());
     }
+    if (this.elements.btnAddMarker) {
+      this.elements.btnAddMarker.addEventListener('click', () => this.addMarker());
+    }
 
     // Editor events
     this.quill.on('text-change', this.onQuillTextChange);
@@ -384,14 +859,37 @@ class NoteTimestamperApp {
     // Timestamp clicks
     this.quill.root.addEventListener('click', this.onTimestampClick);
 
+    // Auto-timestamp toggle and gap are saved right away
+    this.elements.btnAutoTimestamp?.addEventListener('click', () => {
+      const settings = autoTimestamp.getSettings();
+      this.setAutoTimestamp({ ...settings, enabled: !settings.enabled });
+    });
+    this.elements.autoTimestampGap?.addEventListener('change', () => {
+      this.setAutoTimestamp({
+        ...autoTimestamp.getSettings(),
+        minGap: Number(this.elements.autoTimestampGap.value),
+      });
+    });
+
+    // Right-click on timestamps opens the edit popover
+    this.quill.root.addEventListener('contextmenu', (e) => {
+      const btn = e.target.closest('button.ts');
+      if (!btn) return;
+      e.preventDefault();
+      timestampPopover.open(btn);
+    });
+
     // Double-click on images to edit drawings
     this.quill.root.addEventListener('dblclick', (e) => this.onImageDoubleClick(e));
 
     // Keyboard shortcuts
     document.addEventListener('keydown', this.onKeyboardShortcut, true);
-    this.quill.keyboard.addBinding({ key: 'T', shortKey: true, altKey: true }, () =>
-      this.insertTimestamp()
-    );
+    document.addEventListener('keydown', this.onPlaybackShortcut, true);
+    this.quill.keyboard.addBinding({ key: 'T', shortKey: true, altKey: true }, (range, context) => {
+      // Returning true lets an AltGr press type its character
+      if (isAltGraph(context.event)) return true;
+      this.insertTimestamp();
+    });
 
     // Custom toolbar buttons
     this.setupCustomToolbarButtons();
@@ -400,6 +898,17 @@ class NoteTimestamperApp {
     if (this.elements.player) {
       this.elements.player.addEventListener('play', () => this.handlePlayerPlay());
       this.elements.player.addEventListener('pause', () => this.handlePlayerPause());
+      this.elements.player.addEventListener('timeupdate', () => {
+        transcriptPanel.highlight(this.elements.player.currentTime);
+        // Recording time while recording (live preview), player time otherwise
+        markerTimeline.setPlayhead(timerSystem.getCurrentRecordingTime());
+        waveformTimeline.setPlayhead(this.elements.player.currentTime);
+      });
+      this.elements.player.addEventListener('durationchange', () =>
+        markerTimeline.setDuration(this.elements.player.duration)
+      );
+      this.elements.player.addEventListener('loadedmetadata', () => this.ensureWaveform());
+      this.elements.player.addEventListener('ratechange', () => this.renderPlaybackRate());
     }
 
     // Auto-refresh device list when devices change
@@ -503,7 +1012,24 @@ class NoteTimestamperApp {
     this.quill.clipboard.addMatcher('button.ts', (node, delta) => {
       const ts = Number(node.getAttribute('data-ts') || '0');
       const label = node.textContent || formatTime(ts);
-      return new Delta().insert({ timestamp: { ts, label } }).insert(' ');
+      const segment = node.getAttribute('data-segment');
+      const value = segment ? { ts, label, segment } : { ts, label };
+      const raw = node.getAttribute('data-raw');
+      if (raw !== null && Number.isFinite(Number(raw))) value.raw = Number(raw);
+      return new Delta().insert({ timestamp: value }).insert(' ');
+    });
+
+    // Timestamp ranges keep their end (absent while open), loop flag and segment
+    this.quill.clipboard.addMatcher('button.ts-range', (node, delta) => {
+      const start = Number(node.getAttribute('data-start') || '0');
+      const endAttr = node.getAttribute('data-end');
+      const end = endAttr === null ? null : Number(endAttr);
+      /** @type {import('../types/global').TimestampRangeValue} */
+      const value = { start, end, label: node.textContent || formatRange(start, end) };
+      if (node.getAttribute('data-loop') === 'true') value.loop = true;
+      const segment = node.getAttribute('data-segment');
+      if (segment) value.segment = segment;
+      return new Delta().insert({ timestampRange: value }).insert(' ');
     });
 
     // Convert pasted/loaded images with dimensions back to custom format
@@ -547,6 +1073,8 @@ class NoteTimestamperApp {
   async initializeDevices() {
     await deviceManager.ensurePermissions();
     await deviceManager.loadDevices();
+    this.lastLayout = deviceManager.getSelectedLayout();
+    audioMixerPanel.setAuxLabel(deviceManager.getSelectedAuxAudio()?.label || null);
   }
 
   /**
@@ -565,15 +1093,60 @@ class NoteTimestamperApp {
           case 'load':
             this.handleLoadSession();
             break;
+          case 'restore-unsaved':
+            this.offerRecovery({ fromMenu: true });
+            break;
           case 'export-embedded':
             this.exportAsEmbeddedHtml();
             break;
           case 'export-separate':
             this.exportAsSeparateFiles();
             break;
+          case 'export-pdf':
+            this.exportAsPdf(false);
+            break;
+          case 'export-pdf-frames':
+            this.exportAsPdf(true);
+            break;
+          case 'export-markdown':
+            this.exportAsMarkdown();
+            break;
+          case 'import-markdown':
+            this.handleImportMarkdown();
+            break;
+          case 'export-vtt':
+            this.exportSubtitles('vtt');
+            break;
+          case 'export-srt':
+            this.exportSubtitles('srt');
+            break;
+          case 'export-chapters':
+            this.exportSubtitles('chapters');
+            break;
           case 'reset':
             this.handleResetSession();
             break;
+          case 'transcribe':
+            this.handleTranscribe();
+            break;
+          case 'trim':
+            this.handleTrim();
+            break;
+          case 'audio-settings':
+            audioSettingsDialog.open(mixerSystem.getProcessing());
+            break;
+          case 'recording-format':
+            recordingFormatDialog.open(recordingSystem.getFormat(), {
+              audioBitrate: deviceManager.getSelectedAudioBitrate(),
+              audioOnly: deviceManager.isAudioOnly(),
+            });
+            break;
+          case 'timestamp-offset':
+            this.handleTimestampOffset();
+            break;
+          case 'playback-hotkeys':
+            playbackHotkeysDialog.open(this.playbackHotkeys, isMac());
+            break;
           default:
             console.warn('Unknown menu action:', action);
         }
@@ -589,9 +1162,22 @@ class NoteTimestamperApp {
     if (window.menu && typeof window.menu.onFileLoadingStart === 'function') {
       window.menu.onFileLoadingStart(() => this.onFileLoadingStart());
     }
+    if (window.menu && typeof window.menu.onFileLoadingProgress === 'function') {
+      window.menu.onFileLoadingProgress((progress) => this.onFileLoadingProgress(progress));
+    }
     if (window.menu && typeof window.menu.onFileLoadingComplete === 'function') {
       window.menu.onFileLoadingComplete(() => this.onFileLoadingComplete());
     }
+
+    // Listen for transcription progress from main process
+    if (window.menu && typeof window.menu.onTranscriptionProgress === 'function') {
+      window.menu.onTranscriptionProgress((progress) => this.onTranscriptionProgress(progress));
+    }
+
+    // Listen for trim/cut progress from main process
+    if (window.menu && typeof window.menu.onMediaEditProgress === 'function') {
+      window.menu.onMediaEditProgress((progress) => this.onMediaEditProgress(progress));
+    }
   }
 
   /**
@@ -601,16 +1187,25 @@ class NoteTimestamperApp {
     if (!window.menu || !window.menu.sendState) return;
 
     const hasNotes = this.quill && this.quill.getText().trim().length > 0;
-    const hasCompletedRecording = !!recordingSystem.getRecordedBlob();
+    const hasSessionData = hasNotes || this.hasOtherRecordings();
+    const hasCompletedRecording = recordingSystem.hasRecording();
     const isCurrentlyRecording = recordingSystem.isRecording();
-    const hasRecording = !!recordingSystem.getRecordedBlob();
+    const hasRecording = recordingSystem.hasRecording();
 
     const menuState = {
-      canSave: (hasNotes && !isCurrentlyRecording) || hasCompletedRecording,
-      canSaveAs: (hasNotes && !isCurrentlyRecording) || hasCompletedRecording,
+      canSave: (hasSessionData && !isCurrentlyRecording) || hasCompletedRecording,
+      canSaveAs: (hasSessionData && !isCurrentlyRecording) || hasCompletedRecording,
       canLoad: !isCurrentlyRecording,
       canExport: hasRecording,
+      // Markdown and PDF without frames need only notes (text or images), not a recording
+      canExportNotes: hasNotes || !!this.quill?.root.querySelector('img'),
+      canExportSubtitles: this.hasTimestamps(),
+      canExportFrames: hasRecording && this.hasTimestamps(),
       canReset: this.hasContent(),
+      canTranscribe:
+        hasRecording && !isCurrentlyRecording && !this.isTranscribing && !this.isEditingMedia,
+      canTrim:
+        hasRecording && !isCurrentlyRecording && !this.isTranscribing && !this.isEditingMedia,
     };
 
     window.menu.sendState(menuState);
@@ -633,6 +1228,25 @@ class NoteTimestamperApp {
   onQuillTextChange() {
     // Only update content-related UI state, not recording controls
     this.updateContentState();
+    recoveryJournal.markDirty();
+    this.refreshWaveformTimestamps();
+  }
+
+  /**
+   * Internal: show the active segment's timestamps on the waveform
+   */
+  refreshWaveformTimestamps() {
+    waveformTimeline.setTimestamps(this.activeTimestampTimes());
+  }
+
+  /**
+   * Internal: times of the active segment's timestamps and range starts, in document order
+   * @returns {number[]} Seconds
+   */
+  activeTimestampTimes() {
+    return Array.from(this.quill.root.querySelectorAll('button.ts, button.ts-range'))
+      .filter((b) => segmentSwitcher.isActive(b.dataset.segment))
+      .map((b) => Number(b.dataset.ts ?? b.dataset.start));
   }
 
   /**
@@ -669,6 +1283,27 @@ class NoteTimestamperApp {
     if (this.elements.fileLoadingModal) {
       this.elements.fileLoadingModal.classList.add('visible');
     }
+    // Start indefinite until extraction progress arrives
+    if (this.elements.fileLoadingFill) {
+      this.elements.fileLoadingFill.classList.add('indefinite');
+      this.elements.fileLoadingFill.style.width = '';
+    }
+    if (this.elements.fileLoadingStatus) {
+      this.elements.fileLoadingStatus.textContent = 'Reading notepack...';
+    }
+  }
+
+  /**
+   * Handle file loading progress (media extraction) from main process
+   */
+  onFileLoadingProgress({ percent, statusText }) {
+    if (this.elements.fileLoadingFill) {
+      this.elements.fileLoadingFill.classList.remove('indefinite');
+      this.elements.fileLoadingFill.style.width = `${percent}%`;
+    }
+    if (this.elements.fileLoadingStatus) {
+      this.elements.fileLoadingStatus.textContent = statusText;
+    }
   }
 
   /**
@@ -679,6 +1314,30 @@ class NoteTimestamperApp {
       this.elements.fileLoadingModal.classList.remove('visible');
     }
   }
+  /**
+   * Handle transcription progress updates from main process
+   * @param {import('../types/global').TranscriptionProgress} progress - Progress update
+   */
+  onTranscriptionProgress(progress) {
+    if (this.isTranscribing) transcriptPanel.setProgress(progress);
+  }
+
+  /**
+   * Handle trim/cut and append progress updates from main process
+   * @param {{ percent: number }} progress - Progress update
+   */
+  onMediaEditProgress({ percent }) {
+    if (!this.isEditingMedia) return;
+    if (this.elements.mediaEditFill) {
+      this.elements.mediaEditFill.style.width = `${percent}%`;
+    }
+    if (this.elements.mediaEditPercent) {
+      this.elements.mediaEditPercent.textContent = String(percent);
+    }
+    if (this.elements.mediaEditStatus) {
+      this.elements.mediaEditStatus.textContent = 'Re-encoding…';
+    }
+  }
 
   /**
    * Ensure the editor ends with a trailing block so the cursor can
@@ -698,15 +1357,37 @@ class NoteTimestamperApp {
    * Handle timestamp button clicks
    */
   onTimestampClick(e) {
-    const btn = e.target.closest('button.ts');
+    const btn = e.target.closest('button.ts, button.ts-range');
     if (!btn) return;
 
-    const ts = Number(btn.dataset.ts || '0');
+    // Ranges play from their start to their end, looping if set (Shift+click toggles looping);
+    // open ranges (no end yet) seek like a timestamp
+    const isRange = btn.classList.contains('ts-range');
+    const ts = Number((isRange ? btn.dataset.start : btn.dataset.ts) || '0');
     if (!Number.isFinite(ts)) return;
+    const end = isRange && btn.dataset.end !== undefined ? Number(btn.dataset.end) : NaN;
+    const play = () => {
+      if (Number.isFinite(end) && end > ts) {
+        rangePlayback.play({ start: ts, end, loop: (btn.dataset.loop === 'true') !== e.shiftKey });
+        return;
+      }
+      rangePlayback.stop();
+      player.currentTime = ts;
+      player.play();
+    };
+
+    // A timestamp of another recording switches to it first; seek once its media is loaded
+    const player = this.elements.player;
+    const segment = segmentSwitcher.resolve(btn.dataset.segment);
+    if (!segmentSwitcher.isActive(segment)) {
+      if (!this.switchSegment(segment)) return;
+      if (!player.src) return;
+      player.addEventListener('loadedmetadata', play, { once: true });
+      return;
+    }
 
     // Jump to the timestamp in the video/audio player
-    this.elements.player.currentTime = ts;
-    this.elements.player.play();
+    play();
   }
 
   /**
@@ -764,10 +1445,28 @@ class NoteTimestamperApp {
    * Handle keyboard shortcuts
    */
   onKeyboardShortcut(e) {
-    const want =
-      (isMac() ? e.metaKey : e.ctrlKey) &&
-      e.altKey &&
-      (e.code === 'KeyT' || e.key === 't' || e.key === 'T');
+    const modifiers = (isMac() ? e.metaKey : e.ctrlKey) && e.altKey;
+    // AltGr arrives as Ctrl+Alt on Windows and types characters
+    if (!modifiers || isAltGraph(e)) return;
+
+    // Marker shortcuts: M drops a marker, [ and ] jump between markers; R starts/ends a range
+    const markerAction = {
+      KeyM: () => this.addMarker(),
+      KeyR: () => {
+        this.focusEditorEndIfNeeded();
+        this.toggleRange();
+      },
+      BracketLeft: () => this.jumpToMarker(-1),
+      BracketRight: () => this.jumpToMarker(1),
+    }[e.code];
+    if (markerAction) {
+      e.preventDefault();
+      e.stopPropagation();
+      markerAction();
+      return;
+    }
+
+    const want = e.code === 'KeyT' || e.key === 't' || e.key === 'T';
     if (!want) return;
 
     e.preventDefault();
@@ -776,6 +1475,18 @@ class NoteTimestamperApp {
     this.insertTimestamp();
   }
 
+  /**
+   * Handle playback shortcuts (configurable; they work while typing in the editor)
+   */
+  onPlaybackShortcut(e) {
+    if (e.defaultPrevented) return;
+    const action = actionForEvent(this.playbackHotkeys, e, isMac());
+    if (!action) return;
+    e.preventDefault();
+    e.stopPropagation();
+    this.runPlaybackAction(action);
+  }
+
   /**
    * Handle player play events
    */
@@ -814,26 +1525,61 @@ class NoteTimestamperApp {
    * Handle start recording button click
    */
   async handleStartRecording() {
-    if (recordingSystem.getRecordedBlob()) {
-      const sure = window.confirm(
-        'Starting a new recording will overwrite the existing one.\n\nContinue?'
-      );
-      if (!sure) return;
+    if (this.isEditingMedia) return;
+
+    let append = false;
+    if (recordingSystem.hasRecording()) {
+      const choice = await continueRecordingDialog.open();
+      if (!choice) return;
+      append = choice === 'append';
+    }
 
+    if (append) {
+      // The take is joined after the recording, so both need the same kind of media
+      const player = this.elements.player;
+      if (!Number.isFinite(player.duration) || player.duration <= 0) {
+        this.elements.status.textContent = 'The recording is still loading; try again in a moment.';
+        return;
+      }
+      const hasVideo = player.videoWidth > 0;
+      if (hasVideo === deviceManager.isAudioOnly()) {
+        this.elements.status.textContent = deviceManager.isAudioOnly()
+          ? 'This recording has video: turn off Audio only to continue it.'
+          : 'This recording is audio only: turn on Audio only to continue it.';
+        return;
+      }
+    } else if (recordingSystem.hasRecording()) {
       // Clear existing recording
       recordingSystem.recordedBlob = null;
+      recordingSystem.loadedMedia = null;
       this.elements.player.pause();
       this.elements.player.srcObject = null;
       this.elements.player.removeAttribute('src');
       this.elements.player.load();
       timerSystem.stopPlaybackTimer();
+
+      // The transcript and markers belong to the overwritten recording
+      transcriptPanel.setTranscript(null);
+      markerTimeline.setMarkers(null);
     }
+    // Peaks are recomputed once the new recording is finalized (or the take joined)
+    waveformTimeline.setPeaks(null);
 
     // Immediately disable resolution dropdown and update recording controls
     this.updateRecordingControlsStateForRecording(true);
 
+    // A new recording replaces the journal's media and take; an appended take only its take
+    if (append) {
+      this.journalTake = { segment: segmentSwitcher.getActiveId(), pending: true };
+    } else {
+      this.journalSegmentId = segmentSwitcher.getActiveId();
+      this.journalTake = null;
+    }
+
     try {
-      await recordingSystem.startRecording();
+      await recordingSystem.startRecording({ append });
+      // Snapshot notes typed before recording started
+      recoveryJournal.markDirty();
     } catch (error) {
       // If recording failed, re-enable the controls
       console.error('Recording failed to start:', error);
@@ -848,12 +1594,13 @@ class NoteTimestamperApp {
 
   /**
    * Handle stop recording button click
+   * A take recorded with "Continue recording" is joined after the earlier recording.
    */
-  handleStopRecording() {
+  async handleStopRecording() {
     const isRecording = recordingSystem.isRecording();
     if (!isRecording) return;
 
-    recordingSystem.stopRecording();
+    const stopping = recordingSystem.stopRecording();
 
     // Re-enable resolution dropdown
     if (this.elements.resSelect && this.elements.resSelect.disabled) {
@@ -864,6 +1611,16 @@ class NoteTimestamperApp {
     if (this.elements.fpsSelect && this.elements.fpsSelect.disabled) {
       this.elements.fpsSelect.disabled = false;
     }
+
+    // The recording belongs to the active segment until it is stored (and appended)
+    this.isStoppingRecording = true;
+    try {
+      await stopping;
+      const pending = recordingSystem.takePendingAppend();
+      if (pending) await this.appendTake(pending);
+    } finally {
+      this.isStoppingRecording = false;
+    }
   }
 
   // =====================================================================
@@ -877,12 +1634,9 @@ class NoteTimestamperApp {
     deviceManager.updateDeviceUIState(false, recordingSystem.isRecording());
     deviceManager.persistSelection();
 
-    // Update audio level meter visibility
-    if (deviceManager.isAudioOnly() && recordingSystem.isRecording()) {
-      audioLevelMonitor.toggle(true);
-      audioLevelMonitor.start();
-    } else {
-      audioLevelMonitor.toggle(false);
+    // Update audio level meter visibility (the per-source meters keep running while recording)
+    audioLevelMonitor.toggle(deviceManager.isAudioOnly() && recordingSystem.isRecording());
+    if (!recordingSystem.isRecording()) {
       audioLevelMonitor.stop();
     }
   }
@@ -903,6 +1657,19 @@ class NoteTimestamperApp {
     }
   }
 
+  /**
+   * Handle second audio source change
+   * While recording the source is swapped live; otherwise it is used by the next recording.
+   */
+  async handleAuxAudioChange() {
+    deviceManager.persistSelection();
+    const aux = deviceManager.getSelectedAuxAudio();
+    audioMixerPanel.setAuxLabel(aux ? aux.label : null);
+    if (recordingSystem.isRecording()) {
+      await recordingSystem.switchAuxAudioLive(aux);
+    }
+  }
+
   /**
    * Handle camera selection change
    */
@@ -919,12 +1686,81 @@ class NoteTimestamperApp {
     }
   }
 
+  /**
+   * Pick the screen or window to record
+   * A camera-only layout switches to screen only (the screen replaces the camera); other
+   * layouts keep their composition. While recording the capture switches live.
+   */
+  async handleChooseScreenSource() {
+    const source = await this.pickScreenSource();
+    if (!source) return;
+
+    deviceManager.setScreenSource(source);
+    if (!usesScreen(deviceManager.getSelectedLayout()) && this.elements.layoutSelect) {
+      this.elements.layoutSelect.value = 'screen';
+      await this.handleLayoutChange();
+    } else {
+      deviceManager.updateDeviceUIState(false, recordingSystem.isRecording());
+      if (recordingSystem.isRecording()) {
+        await recordingSystem.switchScreenLive(source.id);
+      }
+    }
+    this.elements.status.textContent = `Video source: ${source.name}`;
+  }
+
+  /**
+   * Handle video layout change
+   * Layouts that show a screen ask for a source when none is picked yet; cancelling the
+   * picker restores the previous layout. While recording the layout switches live.
+   */
+  async handleLayoutChange() {
+    const layout = deviceManager.getSelectedLayout();
+    if (usesScreen(layout) && !deviceManager.getScreenSource()) {
+      const source = await this.pickScreenSource();
+      if (!source) {
+        this.elements.layoutSelect.value = this.lastLayout;
+        return;
+      }
+      deviceManager.setScreenSource(source);
+    }
+
+    this.lastLayout = layout;
+    deviceManager.persistSelection();
+    deviceManager.updateDeviceUIState(false, recordingSystem.isRecording());
+    if (recordingSystem.isRecording()) {
+      await recordingSystem.setLayoutLive(layout);
+    } else {
+      await mixerSystem.setLayout(layout);
+    }
+  }
+
+  /**
+   * Internal: list screens and windows and let the user choose one
+   * @returns {Promise<import('../types/global').CaptureSource|null>} Chosen source, or null
+   */
+  async pickScreenSource() {
+    let result = null;
+    try {
+      result = await errorBoundary.wrapIPC(() => window.api.listCaptureSources(), {
+        operationName: 'list screens and windows',
+      });
+    } catch (error) {
+      result = { ok: false, error: error.message };
+    }
+    if (!result || !result.ok) {
+      this.elements.status.textContent = `Screen capture unavailable: ${result?.error || 'unknown error'}`;
+      return null;
+    }
+    return screenSourcePicker.open(result.sources || [], { access: result.access });
+  }
+
   /**
    * Refresh device list
    */
   async refreshDevices() {
     await deviceManager.ensurePermissions();
     await deviceManager.loadDevices();
+    audioMixerPanel.setAuxLabel(deviceManager.getSelectedAuxAudio()?.label || null);
   }
 
   // =====================================================================
@@ -948,70 +1784,20 @@ class NoteTimestamperApp {
       this.elements.saveProgressFill.style.width = '0%';
     }
 
-    // Stream media to main process temp file to avoid buffering into memory
-    const recordedBlob = recordingSystem.getRecordedBlob();
-    let mediaFilePath = null;
-
-    if (recordedBlob) {
-      // Ask main process to create a temp file for the media
-      const tmp = await errorBoundary.wrapIPC(
-        () =>
-          window.api.createTempMedia({
-            fileName: `media.${recordingSystem.getMediaExtension()}`,
-            sessionId,
-          }),
-        { operationName: 'create temp media file', context: { sessionId } }
-      );
-      if (!tmp || !tmp.ok) {
-        this.elements.status.textContent = 'Failed to create temp media file.';
-        if (this.elements.saveProgressModal) {
-          this.elements.saveProgressModal.classList.remove('visible');
-        }
-        return;
-      }
-      const id = tmp.id;
-
-      // Stream blob to main process in chunks
-      try {
-        const stream = recordedBlob.stream();
-        const reader = stream.getReader();
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          // value is a Uint8Array — send to main
-          await errorBoundary.wrapIPC(() => window.api.appendTempMedia(id, value, sessionId), {
-            operationName: 'append media chunk',
-            context: { sessionId, chunkSize: value.length },
-          });
-        }
-        const closed = await errorBoundary.wrapIPC(() => window.api.closeTempMedia(id), {
-          operationName: 'finalize temp media file',
-          context: { sessionId },
-        });
-        if (!closed || !closed.ok) {
-          this.elements.status.textContent = 'Failed to finalize temp media file.';
-          if (this.elements.saveProgressModal) {
-            this.elements.saveProgressModal.classList.remove('visible');
-          }
-          return;
-        }
-        mediaFilePath = closed.path;
-      } catch (err) {
-        console.error('Error streaming media to temp file', err);
-        // Error already shown by errorBoundary
-        if (this.elements.saveProgressModal) {
-          this.elements.saveProgressModal.classList.remove('visible');
-        }
-        return;
+    // Every recording of the session, with in-memory media streamed to temp files
+    const segments = await this.buildSaveSegments(sessionId);
+    if (!segments) {
+      if (this.elements.saveProgressModal) {
+        this.elements.saveProgressModal.classList.remove('visible');
       }
+      return;
     }
 
     // Note: Don't wrap saveSession with timeout - it includes file picker dialog
     // where user needs unlimited time to choose save location
     const result = await saveSessionWithCodes({
       noteHtml,
-      mediaFilePath,
-      mediaSuggestedExt: recordingSystem.getMediaExtension(),
+      segments,
       sessionId,
     });
 
@@ -1022,6 +1808,9 @@ class NoteTimestamperApp {
     this.elements.status.textContent = result.ok
       ? `Saved → ${result.path || result.dir}`
       : 'Save canceled';
+
+    // Saved sessions no longer need crash recovery
+    if (result.ok) await recoveryJournal.discard();
   }
 
   /**
@@ -1041,67 +1830,20 @@ class NoteTimestamperApp {
       this.elements.saveProgressFill.style.width = '0%';
     }
 
-    // Stream media to main process temp file to avoid buffering into memory
-    const recordedBlob = recordingSystem.getRecordedBlob();
-    let mediaFilePath = null;
-
-    if (recordedBlob) {
-      const tmp = await errorBoundary.wrapIPC(
-        () =>
-          window.api.createTempMedia({
-            fileName: `media.${recordingSystem.getMediaExtension()}`,
-            sessionId,
-          }),
-        { operationName: 'create temp media file', context: { sessionId } }
-      );
-      if (!tmp || !tmp.ok) {
-        this.elements.status.textContent = 'Failed to create temp media file.';
-        if (this.elements.saveProgressModal) {
-          this.elements.saveProgressModal.classList.remove('visible');
-        }
-        return;
-      }
-      const id = tmp.id;
-
-      try {
-        const stream = recordedBlob.stream();
-        const reader = stream.getReader();
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          await errorBoundary.wrapIPC(() => window.api.appendTempMedia(id, value, sessionId), {
-            operationName: 'append media chunk',
-            context: { sessionId, chunkSize: value.length },
-          });
-        }
-        const closed = await errorBoundary.wrapIPC(() => window.api.closeTempMedia(id), {
-          operationName: 'finalize temp media file',
-          context: { sessionId },
-        });
-        if (!closed || !closed.ok) {
-          this.elements.status.textContent = 'Failed to finalize temp media file.';
-          if (this.elements.saveProgressModal) {
-            this.elements.saveProgressModal.classList.remove('visible');
-          }
-          return;
-        }
-        mediaFilePath = closed.path;
-      } catch (err) {
-        console.error('Error streaming media to temp file', err);
-        // Error already shown by errorBoundary
-        if (this.elements.saveProgressModal) {
-          this.elements.saveProgressModal.classList.remove('visible');
-        }
-        return;
+    // Every recording of the session, with in-memory media streamed to temp files
+    const segments = await this.buildSaveSegments(sessionId);
+    if (!segments) {
+      if (this.elements.saveProgressModal) {
+        this.elements.saveProgressModal.classList.remove('visible');
       }
+      return;
     }
 
     // Note: Don't wrap saveSession with timeout - it includes file picker dialog
     // where user needs unlimited time to choose save location
     const result = await saveSessionWithCodes({
       noteHtml,
-      mediaFilePath,
-      mediaSuggestedExt: recordingSystem.getMediaExtension(),
+      segments,
       forceSaveAs: true,
       sessionId,
     });
@@ -1113,6 +1855,9 @@ class NoteTimestamperApp {
     this.elements.status.textContent = result.ok
       ? `Saved → ${result.path || result.dir}`
       : 'Save canceled';
+
+    // Saved sessions no longer need crash recovery
+    if (result.ok) await recoveryJournal.discard();
   }
 
   /**
@@ -1124,22 +1869,59 @@ class NoteTimestamperApp {
     });
     if (!result || !result.ok) return;
 
-    // Load notes
+    // Recordings of the session; the first one is played
+    const loaded = result.segments || [];
+    segmentSwitcher.setSegments(loaded);
+    this.journalSegmentId = null;
+    this.journalTake = null;
+    autoTimestamp.reset();
+    const [first, ...others] = loaded.map((segment) => this.toSegmentState(segment));
+
+    // Load notes (timestamps saved before sessions had segments refer to the first recording)
     const html = result.notesHtml || '';
     if (html.trim()) {
       const delta = this.quill.clipboard.convert({ html });
+      delta.ops = fillTimestampSegments(delta.ops, segmentSwitcher.getSegments()[0].id);
       this.quill.setContents(delta, 'api');
       this.ensureTrailingParagraph();
     } else {
       this.quill.setText('');
     }
 
-    // Load media
-    recordingSystem.loadRecording(result.mediaArrayBuffer);
+    // Load media (extracted to temp files by main; played from disk)
+    this.applySegmentState(first || null);
+    others.forEach((state, index) => segmentSwitcher.setState(loaded[index + 1].id, state));
+    this.refreshWaveformTimestamps();
+
+    // The loaded session is saved on disk; previous autosave data is replaced
+    await recoveryJournal.discard();
 
     this.elements.status.textContent = 'Session loaded.';
   }
 
+  /**
+   * Internal: state of a segment returned by load-session
+   * @param {import('../types/global').LoadedSegment} segment - Loaded segment
+   * @returns {import('../types/global').SegmentState} State for applySegmentState/the switcher
+   */
+  toSegmentState(segment) {
+    const ext = segment.mediaPath ? segment.mediaPath.split('.').pop().toLowerCase() : 'webm';
+    return {
+      media: segment.mediaPath
+        ? {
+            blob: null,
+            file: { path: segment.mediaPath, url: segment.mediaUrl },
+            ext,
+            tracks: segment.tracks || [],
+            boundaries: segment.segmentBoundaries || [],
+          }
+        : null,
+      transcript: segment.transcript || null,
+      markers: segment.markers || [],
+      peaks: isValidPeaks(segment.peaks) ? segment.peaks : null,
+    };
+  }
+
   /**
    * Reset session with confirmation
    */
@@ -1166,31 +1948,806 @@ class NoteTimestamperApp {
 
     // Reset recording system
     recordingSystem.reset();
+    segmentSwitcher.setSegments(null);
+    this.journalSegmentId = null;
+    this.journalTake = null;
+    autoTimestamp.reset();
+    transcriptPanel.setTranscript(null);
+    markerTimeline.setMarkers(null);
+    waveformTimeline.setPeaks(null);
 
     // Reset editor
     this.elements.timeDisplay.textContent = '00:00.00';
     this.quill.setText('');
 
+    // Nothing left to recover for this session
+    await recoveryJournal.discard();
+
     this.updateUIState();
     this.elements.status.textContent = 'Session reset.';
   }
 
-  // =====================================================================
-  // EXPORT OPERATIONS
-  // =====================================================================
-
   /**
-   * Export as embedded HTML
+   * Offer to restore sessions left behind by a crash ("Restore unsaved session")
+   * @param {{ fromMenu?: boolean }} [opts] - fromMenu reports an empty list in the status bar
    */
-  async exportAsEmbeddedHtml() {
-    try {
-      const result = await exportSystem.exportAsEmbeddedHtml();
-      this.elements.status.textContent = result.ok
-        ? `Exported → ${result.path}`
-        : 'Export canceled';
-    } catch (error) {
-      console.error('Export failed:', error);
-      this.elements.status.textContent = 'Export failed: ' + error.message;
+  async offerRecovery({ fromMenu = false } = {}) {
+    const journals = await recoveryJournal.list();
+    if (!journals.length) {
+      if (fromMenu) this.elements.status.textContent = 'No unsaved sessions to restore.';
+      return;
+    }
+
+    const id = await recoveryDialog.open(journals, {
+      onDelete: async (journalId) => {
+        await window.api.discardRecoveryJournal(journalId);
+      },
+    });
+    if (!id) return;
+
+    if (this.hasContent()) {
+      const sure = window.confirm(
+        'Restoring will replace the current notes and recording.\n\nContinue?'
+      );
+      if (!sure) return;
+    }
+    await this.restoreJournal(id);
+  }
+
+  /**
+   * Load a recovery journal's notes, media and state into the session
+   * Every segment of the snapshot is rebuilt. A segment plays its file-backed media if main
+   * still has it, otherwise the journal's media if that is its recording; segments whose
+   * media is gone are kept without it (their timestamps stay valid) and named in the status.
+   * @param {string} id - Journal id
+   */
+  async restoreJournal(id) {
+    const result = await window.api.recoverJournal(id);
+    if (!result || !result.ok) {
+      this.elements.status.textContent = 'Restore failed: ' + (result?.error || 'unknown error');
+      return;
+    }
+
+    // Replace the current session; its own journal is no longer needed
+    recordingSystem.reset();
+    autoTimestamp.reset();
+    waveformTimeline.setPeaks(null);
+    await recoveryJournal.discard();
+    try {
+      await window.session?.clearLastOpenedSession?.();
+    } catch (err) {
+      console.warn('Failed to clear last opened session:', err);
+    }
+
+    // Snapshots written before sessions had segments hold a single recording
+    const state = result.state || {};
+    const saved = Array.isArray(state.segments)
+      ? state.segments.filter((s) => s && typeof s.id === 'string')
+      : [];
+    segmentSwitcher.setSegments(saved.length ? saved : null);
+    const segments = segmentSwitcher.getSegments();
+    const activeId = segments.some((s) => s.id === state.activeSegment)
+      ? state.activeSegment
+      : segments[0].id;
+    this.journalSegmentId = saved.length ? state.journalSegment || null : segments[0].id;
+    const take = result.take || null;
+    this.journalTake =
+      take && segments.some((s) => s.id === state.journalTake?.segment)
+        ? { segment: state.journalTake.segment, pending: !!state.journalTake.pending }
+        : null;
+
+    // Prefer the Quill delta (lossless); fall back to HTML snapshots
+    let delta = null;
+    if (result.delta && Array.isArray(result.delta.ops)) {
+      delta = result.delta;
+    } else if ((result.notesHtml || '').trim()) {
+      delta = this.quill.clipboard.convert({ html: result.notesHtml });
+    }
+    if (delta) {
+      delta.ops = fillTimestampSegments(delta.ops, segments[0].id);
+      this.quill.setContents(delta, 'api');
+      this.ensureTrailingParagraph();
+    } else {
+      this.quill.setText('');
+    }
+
+    // File-backed like loaded notepacks, so a long recording never has to fit in memory
+    const files = new Map((result.segments || []).map((file) => [file.id, file]));
+    const journalMedia =
+      result.mediaPath && result.mediaUrl ? { path: result.mediaPath, url: result.mediaUrl } : null;
+    const missing = [];
+    const states = segments.map(({ id: segmentId, name }) => {
+      const entry = saved.find((s) => s.id === segmentId);
+      const file = files.get(segmentId);
+      /** @type {import('../types/global').SegmentMedia|null} */
+      let media = null;
+      if (file) {
+        media = {
+          blob: null,
+          file: { path: file.mediaPath, url: file.mediaUrl },
+          ext: file.mediaPath.split('.').pop().toLowerCase(),
+          tracks: file.tracks || [],
+          boundaries: entry?.boundaries || [],
+        };
+      } else if (journalMedia && segmentId === this.journalSegmentId) {
+        // The recording as journaled: takes appended later are not part of it
+        media = {
+          blob: null,
+          file: journalMedia,
+          ext: journalMedia.path.split('.').pop().toLowerCase(),
+          tracks: result.tracks || [],
+          boundaries: [],
+        };
+      } else if (take && !this.journalTake?.pending && segmentId === this.journalTake?.segment) {
+        // A take kept as a recording of its own; its tracks move onto its timeline
+        media = {
+          blob: null,
+          file: { path: take.mediaPath, url: take.mediaUrl },
+          ext: take.mediaPath.split('.').pop().toLowerCase(),
+          tracks: take.tracks.map((t) => ({
+            ...t,
+            startOffset: Math.max(0, t.startOffset - take.startOffset),
+          })),
+          boundaries: [],
+        };
+      } else if (entry?.hasMedia) {
+        missing.push(name);
+      }
+      return {
+        media,
+        transcript: (entry ? entry.transcript : state.transcript) || null,
+        markers: (entry ? entry.markers : state.markers) || [],
+        peaks: null,
+      };
+    });
+    segmentSwitcher.setActive(activeId);
+    segments.forEach(({ id: segmentId }, index) => {
+      if (segmentId === activeId) this.applySegmentState(states[index]);
+      else segmentSwitcher.setState(segmentId, states[index]);
+    });
+    this.refreshWaveformTimestamps();
+    recoveryJournal.adopt(id);
+
+    // A take still being recorded or joined is kept as a segment of its own
+    const pendingTake = take && this.journalTake?.pending ? this.journalTake.segment : null;
+    const takeName = pendingTake ? this.restorePendingTake(pendingTake, take) : null;
+
+    // A seek before the new source's metadata is loaded is dropped, so wait for it
+    const player = this.elements.player;
+    const playerTime = Number(state.playerTime);
+    if (
+      !takeName &&
+      recordingSystem.hasRecording() &&
+      Number.isFinite(playerTime) &&
+      playerTime > 0
+    ) {
+      player.addEventListener(
+        'loadedmetadata',
+        () => {
+          player.currentTime = playerTime;
+        },
+        { once: true }
+      );
+    }
+
+    this.updateUIState();
+    let status = 'Unsaved session restored.';
+    if (takeName) status += ` The take recorded when the app closed was kept as "${takeName}".`;
+    if (missing.length) {
+      status += ` The recording of ${missing.map((n) => `"${n}"`).join(', ')} could not be recovered.`;
+    }
+    this.elements.status.textContent = `${status} Save to keep it.`;
+  }
+
+  /**
+   * Internal: keep a recovered take that had not been joined yet as a segment of its own
+   * The recording it continues is played first, so keepTakeAsSegment() moves the timestamps
+   * and markers taken during the take onto the new segment as after a failed join.
+   * @param {string} segmentId - Segment the take continues
+   * @param {{ mediaPath: string, mediaUrl: string, startOffset: number, tracks: import('../types/global').RecordedTrack[] }} take - Recovered take
+   * @returns {string|null} Name of the segment that holds the take, or null if the segment
+   *   cannot be switched to
+   */
+  restorePendingTake(segmentId, take) {
+    if (!this.switchSegment(segmentId)) return null;
+    const base = recordingSystem.getSegmentMedia();
+    recordingSystem.loadMediaFile({ path: take.mediaPath, url: take.mediaUrl }, [
+      ...(base ? base.tracks : []),
+      ...take.tracks,
+    ]);
+    this.keepTakeAsSegment(
+      {
+        blob: base ? base.blob : null,
+        path: base?.file ? base.file.path : null,
+        url: base?.file ? base.file.url : '',
+        ext: base ? base.ext : recordingSystem.getMediaExtension(),
+        duration: take.startOffset,
+        end: take.startOffset,
+        frameSize: null,
+        boundaries: base ? base.boundaries : [],
+      },
+      ''
+    );
+    const activeId = segmentSwitcher.getActiveId();
+    return segmentSwitcher.getSegments().find((s) => s.id === activeId)?.name || '';
+  }
+
+  /**
+   * Internal: build the autosave snapshot for the recovery journal
+   * @returns {import('../types/global').RecoverySnapshot|null} Snapshot, or null for an empty session
+   */
+  getRecoverySnapshot() {
+    if (!this.quill) return null;
+    const isEmpty = this.quill.getLength() <= 1;
+    const segments = segmentSwitcher.getSegments().map((s) => this.toRecoverySegment(s));
+    if (isEmpty && !segments.some((s) => s.hasMedia)) return null;
+    return {
+      notesHtml: isEmpty ? '' : this.quill.root.innerHTML,
+      delta: isEmpty ? null : this.quill.getContents(),
+      state: {
+        playerTime: this.elements.player?.currentTime || 0,
+        mediaExt: recordingSystem.getMediaExtension(),
+        segments,
+        activeSegment: segmentSwitcher.getActiveId(),
+        journalSegment: this.journalSegmentId,
+        journalTake: this.journalTake,
+      },
+    };
+  }
+
+  /**
+   * Internal: a segment as stored in recovery snapshots
+   * @param {{ id: string, name: string }} segment - Segment from the switcher
+   * @returns {import('../types/global').RecoverySegment} Snapshot entry (file paths, no blobs)
+   */
+  toRecoverySegment({ id, name }) {
+    const state = segmentSwitcher.isActive(id)
+      ? this.getActiveSegmentState()
+      : segmentSwitcher.getState(id);
+    const media = state?.media || null;
+    return {
+      id,
+      name,
+      hasMedia: !!media,
+      mediaPath: media?.file?.path || null,
+      tracks: media?.file
+        ? media.tracks
+            .filter((t) => t.path)
+            .map(({ kind, startOffset, mimeType, path }) => ({ kind, startOffset, mimeType, path }))
+        : [],
+      boundaries: media?.boundaries || [],
+      transcript: state?.transcript || null,
+      markers: state?.markers || [],
+    };
+  }
+
+  /**
+   * Internal: stream the in-memory recording to a main-process temp file
+   * Avoids sending the whole blob over IPC at once; main deletes the file once it is
+   * consumed by save-session or transcribe-media.
+   * @param {string} sessionId - Id for progress tracking
+   * @returns {Promise<string|null>} Temp file path, or null on failure (status already shown)
+   */
+  async writeRecordingToTempFile(sessionId) {
+    const recordedBlob = recordingSystem.getRecordedBlob();
+    if (!recordedBlob) return null;
+    return this.writeBlobToTempFile(
+      recordedBlob,
+      `media.${recordingSystem.getMediaExtension()}`,
+      sessionId
+    );
+  }
+
+  /**
+   * Internal: the session's recordings (segments) for save-session
+   * Media loaded from a notepack is already on disk; in-memory recordings are streamed to temp
+   * files so they are never buffered for IPC.
+   * @param {string} sessionId - Id for progress tracking
+   * @returns {Promise<import('../types/global').SaveSegmentPayload[]|null>} Segments in display
+   *   order, or null on failure (status already shown)
+   */
+  async buildSaveSegments(sessionId) {
+    /** @type {import('../types/global').SaveSegmentPayload[]} */
+    const segments = [];
+    for (const { id, name } of segmentSwitcher.getSegments()) {
+      const state = segmentSwitcher.isActive(id)
+        ? this.getActiveSegmentState()
+        : segmentSwitcher.getState(id);
+      const media = state?.media || null;
+
+      let mediaFilePath = media?.file?.path || null;
+      if (media?.blob) {
+        mediaFilePath = await this.writeBlobToTempFile(media.blob, `media.${media.ext}`, sessionId);
+        if (!mediaFilePath) return null;
+      }
+
+      // Raw source tracks (multi-track recordings) go into the notepack next to the media
+      const tracks = await this.writeTracksToTempFiles(media?.tracks || [], sessionId);
+      if (!tracks) return null;
+
+      segments.push({
+        id,
+        name,
+        mediaFilePath,
+        mediaSuggestedExt: media?.ext,
+        transcript: state?.transcript || null,
+        markers: state?.markers || [],
+        peaks: state?.peaks || null,
+        tracks,
+        segmentBoundaries: media?.boundaries || [],
+      });
+    }
+    return segments;
+  }
+
+  /**
+   * Internal: raw source tracks to save with the session
+   * Tracks loaded from a notepack are already on disk; recorded tracks are streamed to temp files.
+   * @param {import('../types/global').RecordedTrack[]} recordedTracks - Tracks of one recording
+   * @param {string} sessionId - Id for progress tracking
+   * @returns {Promise<import('../types/global').SaveTrackPayload[]|null>} Tracks, or null on failure
+   */
+  async writeTracksToTempFiles(recordedTracks, sessionId) {
+    /** @type {import('../types/global').SaveTrackPayload[]} */
+    const tracks = [];
+    const counts = {};
+    for (const track of recordedTracks) {
+      let mediaFilePath = track.path || null;
+      if (!mediaFilePath && track.blob) {
+        counts[track.kind] = (counts[track.kind] || 0) + 1;
+        mediaFilePath = await this.writeBlobToTempFile(
+          track.blob,
+          `track-${track.kind}-${counts[track.kind]}.webm`,
+          sessionId
+        );
+        if (!mediaFilePath) return null;
+      }
+      if (!mediaFilePath) continue;
+      tracks.push({
+        kind: track.kind,
+        startOffset: track.startOffset,
+        mimeType: track.mimeType,
+        mediaFilePath,
+      });
+    }
+    return tracks;
+  }
+
+  /**
+   * Internal: stream a blob to a main-process temp file
+   * @param {Blob} blob - Data to write
+   * @param {string} fileName - Temp file name (extension is kept)
+   * @param {string} sessionId - Id for progress tracking
+   * @returns {Promise<string|null>} Temp file path, or null on failure (status already shown)
+   */
+  async writeBlobToTempFile(blob, fileName, sessionId) {
+    // Ask main process to create a temp file for the media
+    const tmp = await errorBoundary.wrapIPC(
+      () => window.api.createTempMedia({ fileName, sessionId }),
+      { operationName: 'create temp media file', context: { sessionId } }
+    );
+    if (!tmp || !tmp.ok) {
+      this.elements.status.textContent = 'Failed to create temp media file.';
+      return null;
+    }
+    const id = tmp.id;
+
+    // Stream blob to main process in chunks
+    try {
+      const stream = blob.stream();
+      const reader = stream.getReader();
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        // value is a Uint8Array — send to main
+        await errorBoundary.wrapIPC(() => window.api.appendTempMedia(id, value, sessionId), {
+          operationName: 'append media chunk',
+          context: { sessionId, chunkSize: value.length },
+        });
+      }
+      const closed = await errorBoundary.wrapIPC(() => window.api.closeTempMedia(id), {
+        operationName: 'finalize temp media file',
+        context: { sessionId },
+      });
+      if (!closed || !closed.ok) {
+        this.elements.status.textContent = 'Failed to finalize temp media file.';
+        return null;
+      }
+      return closed.path;
+    } catch (err) {
+      console.error('Error streaming media to temp file', err);
+      // Error already shown by errorBoundary
+      return null;
+    }
+  }
+
+  /**
+   * Internal: join a finished take after the recording it continues
+   * Both are streamed to the main process (unless already on disk) and re-encoded with ffmpeg;
+   * the result becomes file-backed media with a segment boundary where the take starts.
+   * @param {import('../types/global').PendingAppend} pending - Base recording and combined length
+   * @returns {Promise<void>}
+   */
+  async appendTake(pending) {
+    this.isEditingMedia = true;
+    this.sendMenuState();
+    this.showMediaEditProgress('Appending Recording...');
+
+    let joined = false;
+    let reason = 'The take could not be saved for joining.';
+    try {
+      const sessionId = `append-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      const mediaFilePath =
+        pending.path ||
+        (pending.blob &&
+          (await this.writeBlobToTempFile(pending.blob, `media.${pending.ext}`, sessionId)));
+      const takeFilePath = mediaFilePath && (await this.writeRecordingToTempFile(sessionId));
+      if (takeFilePath) {
+        // Not wrapped with a timeout: re-encoding a long recording can take many minutes
+        const result = await window.api.appendMedia({
+          mediaFilePath,
+          takeFilePath,
+          frameSize: pending.frameSize,
+          duration: pending.end,
+        });
+        if (result && result.ok) {
+          joined = true;
+          recordingSystem.loadMediaFile(
+            { path: result.mediaPath, url: result.mediaUrl },
+            recordingSystem.getTracks()
+          );
+          recordingSystem.setSegmentBoundaries([...pending.boundaries, pending.duration]);
+          // The joined file is file-backed; the journaled take is not needed to recover it
+          this.journalTake = null;
+          recoveryJournal.markDirty();
+          this.elements.status.textContent = `Take appended at ${formatTime(pending.duration)}.`;
+        } else if (result?.canceled) {
+          reason = 'Joining was canceled.';
+        } else {
+          console.error('Append failed:', result?.error);
+          reason = `The take could not be joined: ${result?.error || 'unknown error'}.`;
+        }
+      }
+    } finally {
+      this.isEditingMedia = false;
+      this.showMediaEditProgress(null);
+      this.sendMenuState();
+    }
+    if (!joined) this.keepTakeAsSegment(pending, reason);
+  }
+
+  /**
+   * Internal: keep a take that could not be appended as a recording of its own
+   * Nothing is deleted: the earlier recording stays in its segment, and the take becomes a new
+   * segment with the timestamps (and ranges starting), markers and raw tracks taken during it,
+   * moved onto its own timeline. The new segment is shown.
+   * @param {import('../types/global').PendingAppend} pending - Base recording and combined length
+   * @param {string} reason - Why the take was not appended (shown in the status line)
+   * @returns {void}
+   */
+  keepTakeAsSegment(pending, reason) {
+    const split = pending.duration;
+    const baseId = segmentSwitcher.getActiveId();
+    const baseName = segmentSwitcher.getSegments().find((s) => s.id === baseId)?.name || '';
+    const take = recordingSystem.detachMedia();
+    const tracks = take ? take.tracks : [];
+    const markers = markerTimeline.getMarkers();
+    const segment = segmentSwitcher.addSegment(baseName ? `${baseName} (new take)` : undefined);
+
+    // Timestamps taken during the take refer to the new segment, on its own timeline
+    const ops = this.quill.getContents().ops;
+    const inTake = (time) => (stamp) =>
+      segmentSwitcher.isActive(stamp.segment) && time(stamp) >= split;
+    const beforeTake = [{ start: 0, end: split }];
+    [
+      ...planTimestampEdits(
+        ops,
+        beforeTake,
+        inTake((s) => Number(s.ts) || 0)
+      ).map((e) => ({
+        ...e,
+        format: 'timestamp',
+      })),
+      ...planRangeEdits(
+        ops,
+        beforeTake,
+        inTake((r) => Number(r.start) || 0)
+      ).map((e) => ({
+        ...e,
+        format: 'timestampRange',
+      })),
+    ]
+      .filter((e) => e.value)
+      .sort((a, b) => b.index - a.index)
+      .forEach(({ index, format, value }) => {
+        this.quill.deleteText(index, 1, 'user');
+        this.quill.insertEmbed(index, format, { ...value, segment: segment.id }, 'user');
+      });
+    this.quill.history.clear();
+
+    const afterTake = [{ start: split, end: Number.POSITIVE_INFINITY }];
+    segmentSwitcher.setState(baseId, {
+      media:
+        pending.blob || pending.path
+          ? {
+              blob: pending.blob,
+              file: pending.path ? { path: pending.path, url: pending.url } : null,
+              ext: pending.ext,
+              tracks: tracks.filter((t) => t.startOffset < split),
+              boundaries: pending.boundaries,
+            }
+          : null,
+      transcript: remapTranscript(transcriptPanel.getTranscript(), afterTake),
+      markers: remapMarkers(markers, afterTake),
+      peaks: null,
+    });
+    segmentSwitcher.setActive(segment.id);
+    // The journal's take is now this segment's recording
+    if (this.journalTake?.segment === baseId) {
+      this.journalTake = { segment: segment.id, pending: false };
+    }
+    autoTimestamp.reset();
+    this.applySegmentState({
+      media: take && {
+        ...take,
+        tracks: tracks
+          .filter((t) => t.startOffset >= split)
+          .map((t) => ({ ...t, startOffset: t.startOffset - split })),
+        boundaries: [],
+      },
+      transcript: null,
+      markers: remapMarkers(markers, beforeTake),
+      peaks: null,
+    });
+    this.refreshWaveformTimestamps();
+    this.updateUIState();
+
+    recoveryJournal.markDirty();
+    this.elements.status.textContent = `${reason} The take was kept as "${segment.name}"; the earlier recording is unchanged.`;
+  }
+
+  // =====================================================================
+  // TRANSCRIPTION
+  // =====================================================================
+
+  /**
+   * Transcribe the current recording (Tools > Transcribe Recording)
+   * Replaces any existing transcript; progress and Cancel live in the transcript panel
+   */
+  async handleTranscribe() {
+    if (
+      this.isTranscribing ||
+      this.isEditingMedia ||
+      !recordingSystem.hasRecording() ||
+      recordingSystem.isRecording()
+    ) {
+      return;
+    }
+    if (
+      transcriptPanel.getTranscript() &&
+      !window.confirm('Replace the existing transcript with a new one?')
+    ) {
+      return;
+    }
+
+    this.isTranscribing = true;
+    this.sendMenuState();
+    transcriptPanel.setProgress({ percent: 0, statusText: 'Preparing media…' });
+
+    try {
+      // Loaded notepack media is already on disk; recordings are streamed to a temp file
+      let mediaFilePath = recordingSystem.getMediaFilePath();
+      if (!mediaFilePath) {
+        const sessionId = `transcribe-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        mediaFilePath = await this.writeRecordingToTempFile(sessionId);
+        if (!mediaFilePath) return;
+      }
+
+      // Not wrapped with a timeout: transcribing a long recording can take many minutes
+      const result = await window.api.transcribeMedia({ mediaFilePath });
+      if (result && result.ok) {
+        transcriptPanel.setTranscript(result.transcript);
+        recoveryJournal.markDirty();
+        this.elements.status.textContent = `Transcript ready (${result.transcript.segments.length} lines).`;
+      } else if (result && result.canceled) {
+        this.elements.status.textContent = 'Transcription canceled.';
+      } else {
+        this.elements.status.textContent =
+          'Transcription failed: ' + (result?.error || 'unknown error');
+      }
+    } finally {
+      this.isTranscribing = false;
+      transcriptPanel.setProgress(null);
+      this.sendMenuState();
+    }
+  }
+
+  // =====================================================================
+  // TRIM / CUT
+  // =====================================================================
+
+  /**
+   * Remove parts of the recording (Tools > Trim / Cut Recording)
+   * ffmpeg in the main process re-encodes the kept parts into new file-backed media. Raw source
+   * tracks are cut the same way on their own timelines. Timestamps, markers and transcript
+   * lines are moved to the new timeline; the ones inside removed parts are deleted.
+   */
+  async handleTrim() {
+    if (
+      this.isEditingMedia ||
+      this.isTranscribing ||
+      !recordingSystem.hasRecording() ||
+      recordingSystem.isRecording()
+    ) {
+      return;
+    }
+    const player = this.elements.player;
+    const duration = player.duration;
+    if (!Number.isFinite(duration) || duration <= 0) {
+      this.elements.status.textContent = 'The recording is still loading; try again in a moment.';
+      return;
+    }
+
+    const cuts = await trimDialog.open({ duration, getCurrentTime: () => player.currentTime });
+    if (!cuts) return;
+
+    const removedStamps = this.planCutEdits(cuts).filter((e) => !e.value).length;
+    const warnings = ['Cut the recording? This cannot be undone.'];
+    if (removedStamps) {
+      warnings.push(`${removedStamps} timestamp(s) inside the removed parts will be deleted.`);
+    }
+    if (!window.confirm(warnings.join('\n\n'))) return;
+
+    this.isEditingMedia = true;
+    this.sendMenuState();
+    this.showMediaEditProgress('Cutting Recording...');
+
+    try {
+      // Loaded notepack media is already on disk; recordings are streamed to a temp file
+      const sessionId = `cut-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+      let mediaFilePath = recordingSystem.getMediaFilePath();
+      if (!mediaFilePath) {
+        mediaFilePath = await this.writeRecordingToTempFile(sessionId);
+        if (!mediaFilePath) return;
+      }
+
+      // Raw tracks are cut on their own timelines; tracks cut away entirely are dropped
+      const trackCuts = recordingSystem
+        .getTracks()
+        .filter((t) => t.path || t.blob)
+        .map((track) => ({ track, plan: planTrackCut(cuts, duration, track.startOffset) }))
+        .filter(({ plan }) => plan.segments.length);
+      const trackFiles = await this.writeTracksToTempFiles(
+        trackCuts.map((t) => t.track),
+        sessionId
+      );
+      if (!trackFiles) return;
+
+      // Not wrapped with a timeout: re-encoding a long recording can take many minutes
+      const result = await window.api.cutMedia({
+        mediaFilePath,
+        segments: keepSegments(cuts, duration),
+        hasVideo: player.videoWidth > 0,
+        tracks: trackFiles.map((file, i) => ({
+          mediaFilePath: file.mediaFilePath,
+          segments: trackCuts[i].plan.segments,
+        })),
+      });
+      if (result && result.ok) {
+        const boundaries = remapBoundaries(recordingSystem.getSegmentBoundaries(), cuts);
+        /** @type {import('../types/global').RecordedTrack[]} */
+        const tracks = [];
+        trackCuts.forEach(({ track, plan }, i) => {
+          const cut = result.tracks?.[i];
+          if (!cut) return;
+          tracks.push({
+            kind: track.kind,
+            startOffset: plan.startOffset,
+            ...(track.mimeType ? { mimeType: track.mimeType } : {}),
+            path: cut.mediaPath,
+          });
+        });
+        this.applyCutsToSession(cuts);
+        waveformTimeline.setPeaks(null);
+        recordingSystem.loadMediaFile({ path: result.mediaPath, url: result.mediaUrl }, tracks);
+        recordingSystem.setSegmentBoundaries(boundaries);
+        recoveryJournal.markDirty();
+        this.elements.status.textContent = 'Recording cut.';
+      } else if (result && result.canceled) {
+        this.elements.status.textContent = 'Cut canceled.';
+      } else {
+        this.elements.status.textContent = 'Cut failed: ' + (result?.error || 'unknown error');
+      }
+    } finally {
+      this.isEditingMedia = false;
+      this.showMediaEditProgress(null);
+      this.sendMenuState();
+    }
+  }
+
+  /**
+   * Internal: timestamp and timestamp range edits of the active recording for a cut
+   * @param {import('./modules/mediaCuts.js').TimeRange[]} cuts - Normalized cuts
+   * @returns {{ index: number, format: string, value: object|null }[]} Edits in document order
+   */
+  planCutEdits(cuts) {
+    const ops = this.quill.getContents().ops;
+    const inScope = (stamp) => segmentSwitcher.isActive(stamp.segment);
+    return [
+      ...planTimestampEdits(ops, cuts, inScope).map((e) => ({ ...e, format: 'timestamp' })),
+      ...planRangeEdits(ops, cuts, inScope).map((e) => ({ ...e, format: 'timestampRange' })),
+    ].sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Internal: move timestamps, markers and transcript lines onto the cut timeline
+   * Only timestamps (and ranges) of the active recording move. They are replaced back to front
+   * so earlier document indices stay valid. The undo history is cleared: undoing would bring
+   * back times that no longer match the media.
+   * @param {import('./modules/mediaCuts.js').TimeRange[]} cuts - Normalized cuts
+   */
+  applyCutsToSession(cuts) {
+    this.planCutEdits(cuts)
+      .reverse()
+      .forEach(({ index, format, value }) => {
+        this.quill.deleteText(index, 1, 'user');
+        if (value) this.quill.insertEmbed(index, format, value, 'user');
+      });
+    this.quill.history.clear();
+
+    markerTimeline.setMarkers(remapMarkers(markerTimeline.getMarkers(), cuts));
+    const transcript = transcriptPanel.getTranscript();
+    if (transcript) transcriptPanel.setTranscript(remapTranscript(transcript, cuts));
+  }
+
+  /**
+   * Internal: show or hide the media edit progress modal
+   * @param {string|null} title - Modal title, or null to hide it
+   */
+  showMediaEditProgress(title) {
+    const modal = this.elements.mediaEditModal;
+    if (!modal) return;
+    if (title) {
+      this.elements.mediaEditTitle.textContent = title;
+      this.elements.mediaEditFill.style.width = '0%';
+      this.elements.mediaEditPercent.textContent = '0';
+      this.elements.mediaEditStatus.textContent = 'Preparing media…';
+    }
+    modal.classList.toggle('visible', Boolean(title));
+  }
+
+  // =====================================================================
+  // EXPORT OPERATIONS
+  // =====================================================================
+
+  /**
+   * Internal: status note for exports that only cover the recording being played
+   * @returns {string} '' when the session has a single recording
+   */
+  exportScopeNote() {
+    const segments = segmentSwitcher.getSegments();
+    if (segments.length < 2) return '';
+    const active = segments.find((s) => segmentSwitcher.isActive(s.id));
+    const others = findSegmentTimestamps(
+      this.quill.getContents().ops,
+      (stamp) => !segmentSwitcher.isActive(stamp.segment)
+    ).length;
+    const unlinked = others ? `; ${others} timestamp(s) of other recordings are not linked` : '';
+    return ` (recording "${active?.name}" only${unlinked})`;
+  }
+
+  /**
+   * Export as embedded HTML
+   */
+  async exportAsEmbeddedHtml() {
+    try {
+      const result = await exportSystem.exportAsEmbeddedHtml();
+      this.elements.status.textContent = result.ok
+        ? `Exported → ${result.path}${this.exportScopeNote()}`
+        : 'Export canceled';
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.elements.status.textContent = 'Export failed: ' + error.message;
     }
   }
 
@@ -1202,7 +2759,7 @@ class NoteTimestamperApp {
       const result = await exportSystem.exportAsSeparateFiles();
       if (result.ok) {
         if (result.videoPath) {
-          this.elements.status.textContent = `Exported → HTML + ${result.videoFileName}`;
+          this.elements.status.textContent = `Exported → HTML + ${result.videoFileName}${this.exportScopeNote()}`;
         } else {
           this.elements.status.textContent = `Exported → HTML (no video)`;
         }
@@ -1215,23 +2772,399 @@ class NoteTimestamperApp {
     }
   }
 
+  /**
+   * Export notes as PDF
+   * @param {boolean} includeFrames - Capture the video frame at each timestamp
+   */
+  async exportAsPdf(includeFrames) {
+    try {
+      const result = await exportSystem.exportAsPdf({
+        includeFrames,
+        mediaUrl: this.elements.player.currentSrc,
+        onProgress: (done, total) => {
+          this.elements.status.textContent = `Capturing video frames ${done}/${total}…`;
+        },
+      });
+      if (result.ok) {
+        const note = includeFrames ? this.exportScopeNote() : '';
+        this.elements.status.textContent = `Exported → ${result.path}${note}`;
+      } else {
+        this.elements.status.textContent = result.error
+          ? 'Export failed: ' + result.error
+          : 'Export canceled';
+      }
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.elements.status.textContent = 'Export failed: ' + error.message;
+    }
+  }
+
+  /**
+   * Export notes as Markdown
+   */
+  async exportAsMarkdown() {
+    try {
+      const result = await exportSystem.exportAsMarkdown();
+      this.elements.status.textContent = result.ok
+        ? `Exported → ${result.path}`
+        : 'Export canceled';
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.elements.status.textContent = 'Export failed: ' + error.message;
+    }
+  }
+
+  /**
+   * Import a Markdown file, inserting it at the cursor (or at the end of the notes)
+   * Local images come back from main as data URLs; unresolved local images are dropped
+   */
+  async handleImportMarkdown() {
+    if (!this.quill) return;
+
+    // Note: Don't wrap with timeout - it includes file picker dialog
+    const result = await window.api.importMarkdown();
+    if (!result || !result.ok) {
+      this.elements.status.textContent = result?.error
+        ? 'Import failed: ' + result.error
+        : 'Import canceled';
+      return;
+    }
+
+    const images = result.images || {};
+    // Imported timestamp links refer to the recording being played
+    const ops = fillTimestampSegments(
+      markdownToDelta(result.markdown || '', {
+        resolveImage: (src) => images[src] || (/^(https?|data):/i.test(src) ? src : ''),
+      }),
+      segmentSwitcher.getActiveId()
+    );
+
+    const Delta = Quill.import('delta');
+    const range = this.quill.getSelection();
+    const index = range ? range.index : Math.max(0, this.quill.getLength() - 1);
+    this.quill.updateContents(new Delta().retain(index).concat(new Delta(ops)), 'user');
+    this.elements.status.textContent = `Imported ${result.fileName}`;
+  }
+
+  /**
+   * Export timestamps as WebVTT chapters, SRT captions or a chapter list
+   * @param {import('../types/global').SubtitleFormat} format - Export format
+   */
+  async exportSubtitles(format) {
+    try {
+      const duration = this.elements.player.duration;
+      const result = await exportSystem.exportSubtitles(
+        format,
+        Number.isFinite(duration) ? duration : undefined
+      );
+      this.elements.status.textContent = result.ok
+        ? `Exported → ${result.path}${this.exportScopeNote()}`
+        : 'Export canceled';
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.elements.status.textContent = 'Export failed: ' + error.message;
+    }
+  }
+
+  // =====================================================================
+  // WAVEFORM
+  // =====================================================================
+
+  /**
+   * Compute waveform peaks for the media in the player
+   * Runs on 'loadedmetadata'; skipped while recording (live preview) or when peaks are cached.
+   * Failures (e.g., no ffmpeg) only hide the waveform.
+   */
+  async ensureWaveform() {
+    const player = this.elements.player;
+    const src = player.currentSrc;
+    if (player.srcObject || !src || waveformTimeline.getPeaks()) return;
+    if (this.waveformSource === src) return; // Already computing for this media
+    this.waveformSource = src;
+
+    try {
+      // Decoded by ffmpeg in the main process, so the media never has to fit in memory here;
+      // in-memory recordings are streamed to a temp file first (deleted afterwards)
+      let mediaFilePath = recordingSystem.getMediaFilePath();
+      if (!mediaFilePath) {
+        const sessionId = `waveform-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        mediaFilePath = await this.writeRecordingToTempFile(sessionId);
+        if (!mediaFilePath) return;
+      }
+      const result = await window.api.computeWaveform({ mediaFilePath });
+      if (!result?.ok) {
+        if (!result?.canceled) console.warn('Waveform unavailable:', result?.error);
+        return;
+      }
+      // Discard the result if other media was loaded meanwhile
+      if (player.currentSrc === src && !waveformTimeline.getPeaks()) {
+        waveformTimeline.setPeaks(result.peaks);
+        waveformTimeline.setPlayhead(player.currentTime);
+      }
+    } catch (err) {
+      console.warn('Waveform unavailable:', err?.message || String(err));
+    } finally {
+      if (this.waveformSource === src) this.waveformSource = null;
+    }
+  }
+
+  // =====================================================================
+  // SEGMENTS
+  // =====================================================================
+
+  /**
+   * Internal: whether another recording (segment) can be played now
+   * @returns {boolean} False while recording, stopping, cutting/appending or transcribing
+   */
+  canSwitchSegment() {
+    return !(
+      recordingSystem.isRecordingOrPaused() ||
+      this.isStoppingRecording ||
+      this.isEditingMedia ||
+      this.isTranscribing
+    );
+  }
+
+  /**
+   * Internal: state of the segment being played (not detached)
+   * @returns {import('../types/global').SegmentState} Media, transcript, markers and peaks
+   */
+  getActiveSegmentState() {
+    return {
+      media: recordingSystem.getSegmentMedia(),
+      transcript: transcriptPanel.getTranscript(),
+      markers: markerTimeline.getMarkers(),
+      peaks: waveformTimeline.getPeaks(),
+    };
+  }
+
+  /**
+   * Internal: show a segment's state in the player and panels
+   * @param {import('../types/global').SegmentState|null} state - State, or null for an empty segment
+   */
+  applySegmentState(state) {
+    // Cached peaks must be in place before the media loads (see ensureWaveform)
+    waveformTimeline.setPeaks(state?.peaks || null);
+    recordingSystem.attachMedia(state?.media || null);
+    transcriptPanel.setTranscript(state?.transcript || null);
+    markerTimeline.setMarkers(state?.markers || []);
+  }
+
+  /**
+   * Play another recording of the session
+   * The active segment's media, transcript, markers and peaks are stored in the switcher and
+   * the picked segment's are shown instead.
+   * @param {string} id - Segment id
+   * @returns {boolean} True when the segment is active afterwards
+   */
+  switchSegment(id) {
+    if (segmentSwitcher.getActiveId() === id) return true;
+    if (!this.canSwitchSegment()) {
+      this.elements.status.textContent =
+        'Finish recording, cutting or transcribing before switching recordings.';
+      return false;
+    }
+
+    this.elements.player.pause();
+    const next = segmentSwitcher.getState(id);
+    const current = this.getActiveSegmentState();
+    recordingSystem.detachMedia();
+    segmentSwitcher.setState(segmentSwitcher.getActiveId(), current);
+    segmentSwitcher.setActive(id);
+    autoTimestamp.reset(); // The gap is measured on the previous recording's timeline
+    this.applySegmentState(next);
+    this.refreshWaveformTimestamps();
+    this.updateUIState();
+    return true;
+  }
+
+  /**
+   * Add an empty recording to the session and switch to it (segment bar "New")
+   */
+  handleAddSegment() {
+    if (!this.canSwitchSegment()) return;
+    const segment = segmentSwitcher.addSegment();
+    this.switchSegment(segment.id);
+    recoveryJournal.markDirty();
+    this.elements.status.textContent = `${segment.name} added. Press Start to record it.`;
+  }
+
+  /**
+   * Remove a recording and the timestamps that refer to it (segment bar trash button)
+   * The active segment is switched away from first. The undo history is cleared: undoing
+   * would bring back timestamps without a recording.
+   * @param {string} id - Segment id
+   */
+  handleRemoveSegment(id) {
+    const segments = segmentSwitcher.getSegments();
+    const index = segments.findIndex((s) => s.id === id);
+    if (index < 0 || segments.length < 2 || !this.canSwitchSegment()) return;
+
+    const isTarget = (stamp) => segmentSwitcher.resolve(stamp.segment) === id;
+    const stampCount = findSegmentTimestamps(this.quill.getContents().ops, isTarget).length;
+    const warnings = [`Remove "${segments[index].name}"? This cannot be undone.`];
+    if (stampCount) warnings.push(`${stampCount} timestamp(s) of this recording will be deleted.`);
+    if (!window.confirm(warnings.join('\n\n'))) return;
+
+    const neighbour = segments[index + 1] || segments[index - 1];
+    if (!this.switchSegment(neighbour.id)) return;
+    findSegmentTimestamps(this.quill.getContents().ops, isTarget)
+      .reverse()
+      .forEach((stampIndex) => this.quill.deleteText(stampIndex, 1, 'user'));
+    this.quill.history.clear();
+    segmentSwitcher.removeSegment(id);
+
+    recoveryJournal.markDirty();
+    this.updateContentState();
+    this.elements.status.textContent = `${segments[index].name} removed.`;
+  }
+
+  // =====================================================================
+  // MARKERS
+  // =====================================================================
+
+  /**
+   * Drop a marker of the selected type at the current recording/playback time
+   * Unlike insertTimestamp(), this never focuses the editor or moves its cursor
+   */
+  addMarker() {
+    if (!recordingSystem.isRecording() && !recordingSystem.hasRecording()) {
+      this.elements.status.textContent = 'Start a recording or load a session to add markers.';
+      return;
+    }
+    const time = timerSystem.getCurrentRecordingTime();
+    const marker = markerTimeline.addMarker(time);
+    markerTimeline.setPlayhead(time);
+    const label = CONFIG.MARKERS.TYPES[marker.type].label;
+    this.elements.status.textContent = `Marker added: ${label} at ${formatTime(marker.time)}`;
+  }
+
+  /**
+   * Seek to the next or previous marker
+   * @param {1|-1} direction - 1 for next, -1 for previous
+   */
+  jumpToMarker(direction) {
+    if (recordingSystem.isRecording() || !recordingSystem.hasRecording()) return;
+    const now = this.elements.player.currentTime || 0;
+    const marker = direction > 0 ? markerTimeline.findNext(now) : markerTimeline.findPrevious(now);
+    if (!marker) {
+      this.elements.status.textContent = direction > 0 ? 'No later marker.' : 'No earlier marker.';
+      return;
+    }
+    this.elements.player.currentTime = marker.time;
+    markerTimeline.setPlayhead(marker.time);
+    const label = marker.label || CONFIG.MARKERS.TYPES[marker.type].label;
+    this.elements.status.textContent = `Marker: ${label} at ${formatTime(marker.time)}`;
+  }
+
+  // =====================================================================
+  // PLAYBACK CONTROLS
+  // =====================================================================
+
+  /**
+   * Run a playback shortcut on the loaded recording
+   * @param {import('./modules/playbackHotkeys.js').PlaybackAction} action - Action
+   */
+  runPlaybackAction(action) {
+    const player = this.elements.player;
+    if (!player || recordingSystem.isRecording() || !recordingSystem.hasRecording()) {
+      this.elements.status.textContent = 'Load or stop a recording to use the playback shortcuts.';
+      return;
+    }
+
+    const skip = (seconds) => {
+      const duration = Number.isFinite(player.duration) ? player.duration : Infinity;
+      player.currentTime = Math.min(duration, Math.max(0, (player.currentTime || 0) + seconds));
+    };
+    const setRate = (rate) => {
+      // Keep voices natural at other speeds; the default carries over to the next recording
+      player.preservesPitch = true;
+      player.defaultPlaybackRate = rate;
+      player.playbackRate = rate;
+    };
+    const jump = (direction) => {
+      const time = adjacentTime(this.activeTimestampTimes(), player.currentTime || 0, direction);
+      if (time === null) {
+        this.elements.status.textContent =
+          direction > 0 ? 'No later timestamp.' : 'No earlier timestamp.';
+        return;
+      }
+      player.currentTime = time;
+      this.elements.status.textContent = `Timestamp at ${formatTime(time)}`;
+    };
+
+    switch (action) {
+      case 'playPause':
+        if (player.paused) player.play();
+        else player.pause();
+        break;
+      case 'back':
+        skip(-CONFIG.PLAYBACK.SKIP_SHORT);
+        break;
+      case 'forward':
+        skip(CONFIG.PLAYBACK.SKIP_SHORT);
+        break;
+      case 'backLong':
+        skip(-CONFIG.PLAYBACK.SKIP_LONG);
+        break;
+      case 'forwardLong':
+        skip(CONFIG.PLAYBACK.SKIP_LONG);
+        break;
+      case 'slower':
+        setRate(stepRate(player.playbackRate, -1));
+        break;
+      case 'faster':
+        setRate(stepRate(player.playbackRate, 1));
+        break;
+      case 'normalSpeed':
+        setRate(1);
+        break;
+      case 'previousTimestamp':
+        jump(-1);
+        break;
+      case 'nextTimestamp':
+        jump(1);
+        break;
+    }
+  }
+
+  /**
+   * Apply and save the playback shortcuts
+   * @param {import('./modules/playbackHotkeys.js').PlaybackHotkeys} hotkeys - Hotkeys
+   */
+  setPlaybackHotkeys(hotkeys) {
+    this.playbackHotkeys = hotkeys;
+    saveHotkeys(localStorage, hotkeys);
+  }
+
+  /**
+   * Internal: show the player's speed next to the current time
+   */
+  renderPlaybackRate() {
+    if (!this.elements.playbackRate || !this.elements.player) return;
+    const rate = this.elements.player.playbackRate;
+    this.elements.playbackRate.textContent = `${Number(rate.toFixed(2))}×`;
+  }
+
   // =====================================================================
   // EDITOR OPERATIONS
   // =====================================================================
 
   /**
-   * Insert timestamp at cursor position
+   * Insert timestamp at cursor position (moved by the lead-in offset)
    */
   insertTimestamp() {
     if (!this.quill) return;
 
-    const currentTime = timerSystem.getCurrentRecordingTime();
-    const timeStr = formatTime(currentTime);
-
     const range = this.quill.getSelection(true);
 
     // Insert the timestamp embed
-    this.quill.insertEmbed(range.index, 'timestamp', { ts: currentTime, label: timeStr }, 'user');
+    this.quill.insertEmbed(
+      range.index,
+      'timestamp',
+      this.timestampValue(timerSystem.getCurrentRecordingTime()),
+      'user'
+    );
 
     // Insert a space after the timestamp
     this.quill.insertText(range.index + 1, ' ', 'user');
@@ -1240,6 +3173,179 @@ class NoteTimestamperApp {
     this.quill.setSelection(range.index + 2);
   }
 
+  /**
+   * Internal: value of a new timestamp taken at rawTime
+   * The lead-in offset moves the timestamp; the time it was taken is kept as raw so a changed
+   * offset can be applied later.
+   * @param {number} rawTime - Recording/playback time in seconds
+   * @returns {import('../types/global').TimestampValue} Timestamp of the active recording
+   */
+  timestampValue(rawTime) {
+    const ts = applyTimestampOffset(rawTime, this.timestampOffset);
+    return { ts, label: formatTime(ts), segment: segmentSwitcher.getActiveId(), raw: rawTime };
+  }
+
+  /**
+   * Internal: whether the recording or a loaded recording's playback is running
+   * (auto-timestamp mode only stamps while time moves)
+   * @returns {boolean} True while recording (not paused) or playing loaded media
+   */
+  isTimeRunning() {
+    const player = this.elements.player;
+    if (recordingSystem.isRecording()) return true;
+    return Boolean(player && player.src && !player.srcObject && !player.paused);
+  }
+
+  /**
+   * Change and save the auto-timestamp settings (toolbar toggle and gap)
+   * @param {import('./editor/autoTimestamp.js').AutoTimestampSettings} settings - New settings
+   */
+  setAutoTimestamp(settings) {
+    autoTimestamp.setSettings(settings);
+    saveAutoTimestampSettings(localStorage, autoTimestamp.getSettings());
+    this.renderAutoTimestamp();
+    this.elements.status.textContent = autoTimestamp.getSettings().enabled
+      ? 'Auto-timestamp on: new lines get a timestamp while recording or playing.'
+      : 'Auto-timestamp off.';
+  }
+
+  /**
+   * Internal: show the auto-timestamp settings in the toolbar
+   */
+  renderAutoTimestamp() {
+    const { enabled, minGap } = autoTimestamp.getSettings();
+    this.elements.btnAutoTimestamp?.setAttribute('aria-pressed', String(enabled));
+    const gap = this.elements.autoTimestampGap;
+    if (gap) {
+      // Keep a stored gap that is not one of the listed choices selectable
+      if (!Array.from(gap.options).some((o) => Number(o.value) === minGap)) {
+        gap.add(new Option(`${minGap} s gap`, String(minGap)));
+      }
+      gap.value = String(minGap);
+    }
+  }
+
+  /**
+   * Change the timestamp lead-in offset (Tools > Timestamp Offset...)
+   * The offset is saved with the other preferences. When asked, timestamps that remember the
+   * time they were taken move to the new offset in one undoable change.
+   */
+  async handleTimestampOffset() {
+    const choice = await timestampOffsetDialog.open(this.timestampOffset);
+    if (!choice) return;
+
+    this.timestampOffset = choice.offset;
+    saveTimestampOffset(localStorage, choice.offset);
+    if (!choice.applyToExisting || !this.quill) {
+      this.elements.status.textContent = `Timestamp offset set to ${choice.offset} s.`;
+      return;
+    }
+
+    const Delta = Quill.import('delta');
+    const edits = planOffsetEdits(this.quill.getContents().ops, choice.offset);
+    let change = new Delta();
+    let position = 0;
+    edits.forEach(({ index, value }) => {
+      change = change
+        .retain(index - position)
+        .delete(1)
+        .insert({ timestamp: value });
+      position = index + 1;
+    });
+    if (edits.length) this.quill.updateContents(change, 'user');
+    this.elements.status.textContent = `Timestamp offset set to ${choice.offset} s; ${edits.length} timestamp(s) moved.`;
+  }
+
+  /**
+   * Apply a timestamp popover action
+   * The embed is replaced with one 'user' change, so Undo restores the previous timestamp.
+   * "Set to player" and "Make range" use the current time, and the timestamp then refers to the
+   * recording being played.
+   * @param {HTMLElement} button - button.ts
+   * @param {{ type: string, delta?: number, label?: string }} action - Popover action
+   * @returns {HTMLElement|null} The new button, or null when the timestamp is gone
+   */
+  editTimestampButton(button, action) {
+    const blot = Quill.find(button);
+    if (!this.quill || !blot || !this.quill.root.contains(button)) return null;
+
+    const value = TimestampBlot.value(/** @type {HTMLButtonElement} */ (button));
+    const time = timerSystem.getCurrentRecordingTime();
+    const segment = segmentSwitcher.getActiveId();
+    let edit;
+    if (action.type === 'set') {
+      edit = { type: 'set', time, segment };
+    } else if (action.type === 'range') {
+      // Ends at the player position when it is after the timestamp, otherwise the range stays
+      // open and Cmd/Ctrl+Alt+R ends it
+      const end = segmentSwitcher.isActive(value.segment) ? time : null;
+      edit = { type: 'range', end };
+    } else {
+      edit = action;
+    }
+    const next = editTimestamp(value, edit);
+    if (!next) return null;
+
+    const Delta = Quill.import('delta');
+    const index = this.quill.getIndex(blot);
+    this.quill.updateContents(
+      new Delta()
+        .retain(index)
+        .delete(1)
+        .insert({ [next.format]: next.value }),
+      'user'
+    );
+    // The leaf ending after the index is the new embed (getLeaf(index) is the one before it)
+    const [leaf] = this.quill.getLeaf(index + 1);
+    return leaf && leaf.domNode instanceof HTMLElement ? leaf.domNode : null;
+  }
+
+  /**
+   * Start or end a timestamp range at the current time
+   * The last open range of the active recording is ended; without one a new range starts at
+   * the cursor. Works while recording and during playback.
+   */
+  toggleRange() {
+    if (!this.quill) return;
+
+    const currentTime = timerSystem.getCurrentRecordingTime();
+    const open = Array.from(this.quill.root.querySelectorAll('button.ts-range:not([data-end])'))
+      .filter((b) => segmentSwitcher.isActive(b.dataset.segment))
+      .pop();
+
+    if (!open) {
+      const range = this.quill.getSelection(true);
+      this.quill.insertEmbed(
+        range.index,
+        'timestampRange',
+        { start: currentTime, end: null, segment: segmentSwitcher.getActiveId() },
+        'user'
+      );
+      this.quill.insertText(range.index + 1, ' ', 'user');
+      this.quill.setSelection(range.index + 2);
+      this.elements.status.textContent = 'Range started; press Cmd/Ctrl+Alt+R again to end it.';
+      return;
+    }
+
+    const blot = Quill.find(open);
+    if (!blot) return;
+    const value = TimestampRangeBlot.value(open);
+    if (currentTime <= value.start) {
+      this.elements.status.textContent = 'A range must end after its start.';
+      return;
+    }
+
+    // Replace the open range (custom labels are kept, default ones show the new end)
+    const index = this.quill.getIndex(blot);
+    const custom = value.label.trim() !== formatRange(value.start, null);
+    const label = custom ? value.label.trim() : undefined;
+    const selection = this.quill.getSelection();
+    this.quill.deleteText(index, 1, 'user');
+    this.quill.insertEmbed(index, 'timestampRange', { ...value, end: currentTime, label }, 'user');
+    if (selection) this.quill.setSelection(selection.index, selection.length, 'silent');
+    this.elements.status.textContent = `Range ${formatRange(value.start, currentTime)} set.`;
+  }
+
   /**
    * Handle image upload from file picker
    */
@@ -1362,6 +3468,9 @@ class NoteTimestamperApp {
     const isRecording = recordingSystem.isRecording();
     const isAudioOnly = deviceManager.isAudioOnly();
 
+    // Recordings of the session can't be switched while one is being recorded
+    segmentSwitcher.setEnabled(this.canSwitchSegment());
+
     // Update resolution and framerate controls
     // Try to get the elements fresh in case they weren't available during initialization
     const resSelect = this.elements.resSelect || document.getElementById('resSelect');
@@ -1421,6 +3530,7 @@ class NoteTimestamperApp {
    */
   updateRecordingControlsStateForRecording(isRecording) {
     const isAudioOnly = deviceManager.isAudioOnly();
+    segmentSwitcher.setEnabled(!isRecording && this.canSwitchSegment());
 
     // Force resolution and framerate dropdown states
     const resSelect = this.elements.resSelect || document.getElementById('resSelect');
@@ -1463,7 +3573,21 @@ class NoteTimestamperApp {
    */
   hasContent() {
     const text = this.quill && this.quill.getText().trim();
-    return !!recordingSystem.getRecordedBlob() || (text && text.length > 0);
+    return recordingSystem.hasRecording() || this.hasOtherRecordings() || (text && text.length > 0);
+  }
+
+  /**
+   * Internal: whether a segment other than the active one has media
+   */
+  hasOtherRecordings() {
+    return segmentSwitcher.getSegments().some((s) => segmentSwitcher.getState(s.id)?.media);
+  }
+
+  /**
+   * Check if the notes contain timestamps or timestamp ranges (subtitle/chapter export)
+   */
+  hasTimestamps() {
+    return !!this.quill && !!this.quill.root.querySelector('button.ts, button.ts-range');
   }
 
   /**
@@ -1,6 +1,7 @@
 /**
- * @file Audio level monitoring for microphone input
- * Provides visual feedback of audio levels during recording
+ * @file Audio level monitoring for the recorded audio sources
+ * Provides visual feedback of audio levels during recording, one channel per source
+ * ('mic' and the second audio source 'aux')
  *
  * =====================
  * Public API Surface
@@ -8,8 +9,12 @@
  * Methods:
  *   - init(levelMeter: HTMLElement, levelFill: HTMLElement, levelText: HTMLElement): void
  *       Initializes audio level monitor with DOM references.
- *   - setAnalyser(analyser: AnalyserNode): void
- *       Sets up Web Audio analyser node for level detection.
+ *   - setAnalyser(analyser: AnalyserNode|null, channel?: string): void
+ *       Sets up Web Audio analyser node for level detection (channel defaults to 'mic').
+ *   - addMeter(channel: string, fill: HTMLElement, text?: HTMLElement): void
+ *       Adds another meter showing a channel's level.
+ *   - getLevel(channel: string): number
+ *       Last measured level of a channel (0-100).
  *   - updateAudioLevel(): void
  *       Updates audio level meter display (internal, auto-called).
  *   - start(): void
@@ -30,16 +35,17 @@
  * Module Contract
  * =====================
  * Inputs:
- *   - DOM elements: levelMeter, levelFill, levelText
- *   - AnalyserNode (set via setAnalyser)
+ *   - DOM elements: levelMeter, levelFill, levelText (the 'mic' meter) and meters added per channel
+ *   - AnalyserNodes per channel (set via setAnalyser)
  *   - Update interval CONFIG.AUDIO.LEVEL_UPDATE_INTERVAL
  * Outputs:
- *   - Visual meter fill & percentage text
+ *   - Visual meter fill & percentage text for each meter
  * Side-effects:
  *   - Reads analyser frequency data; updates DOM styles/text
  *   - Allocates Uint8Array matching analyser.frequencyBinCount
  * Invariants:
- *   - Monitoring loop runs only when analyser present & start() called
+ *   - Monitoring loop runs only while start() is active; channels without analyser read 0
+ *   - Meters belong to their DOM elements for the app's lifetime; analysers come and go per recording
  *   - stop()/cleanup always clears interval
  * Failure Modes:
  *   - None (early returns when analyser absent)
@@ -47,18 +53,18 @@
 
 /**
  * Audio level monitoring system
- * Provides real-time visual feedback of microphone input levels
+ * Provides real-time visual feedback of audio source levels
  */
 export class AudioLevelMonitor {
   constructor() {
-    this.analyser = null;
-    this.dataArray = null;
+    /** @type {Map<string, { analyser: AnalyserNode, dataArray: Uint8Array, level: number }>} */
+    this.channels = new Map();
+    /** @type {{ channel: string, fill: HTMLElement|null, text: HTMLElement|null }[]} */
+    this.meters = [];
     this.timer = null;
 
     // DOM references
     this.levelMeter = null;
-    this.levelFill = null;
-    this.levelText = null;
 
     // Bind methods to preserve 'this' context
     this.updateAudioLevel = this.updateAudioLevel.bind(this);
@@ -72,48 +78,79 @@ export class AudioLevelMonitor {
    */
   init(levelMeter, levelFill, levelText) {
     this.levelMeter = levelMeter;
-    this.levelFill = levelFill;
-    this.levelText = levelText;
+    this.addMeter('mic', levelFill, levelText);
+  }
+
+  /**
+   * Add a meter for a channel
+   * @param {string} channel - Channel name ('mic' or 'aux')
+   * @param {HTMLElement|null} fill - Fill element whose width shows the level
+   * @param {HTMLElement|null} [text] - Text element showing percentage
+   */
+  addMeter(channel, fill, text = null) {
+    this.meters.push({ channel, fill, text });
   }
 
   /**
    * Sets up audio analysis with Web Audio API analyser node
-   * @param {AnalyserNode} analyser - Web Audio analyser node for audio level detection
+   * @param {AnalyserNode|null} analyser - Web Audio analyser node for audio level detection (null removes it)
+   * @param {string} [channel='mic'] - Channel the analyser measures
    */
-  setAnalyser(analyser) {
-    this.analyser = analyser;
-    if (this.analyser) {
-      this.dataArray = new Uint8Array(this.analyser.frequencyBinCount);
+  setAnalyser(analyser, channel = 'mic') {
+    if (analyser) {
+      this.channels.set(channel, {
+        analyser,
+        dataArray: new Uint8Array(analyser.frequencyBinCount),
+        level: 0,
+      });
     } else {
-      this.dataArray = null;
+      this.channels.delete(channel);
     }
   }
 
   /**
-   * Updates the audio level meter display with current microphone input level
+   * Last measured level of a channel
+   * @param {string} channel - Channel name
+   * @returns {number} Percentage (0-100)
    */
-  updateAudioLevel() {
-    if (!this.analyser || !this.dataArray) return;
+  getLevel(channel) {
+    return this.channels.get(channel)?.level || 0;
+  }
 
-    // Get frequency data from analyser
-    this.analyser.getByteFrequencyData(this.dataArray);
+  /**
+   * Updates the audio level meters with the current level of every channel
+   */
+  updateAudioLevel() {
+    this.channels.forEach((entry) => {
+      // Get frequency data from analyser
+      entry.analyser.getByteFrequencyData(entry.dataArray);
 
-    // Calculate average volume level
-    let sum = 0;
-    for (let i = 0; i < this.dataArray.length; i++) {
-      sum += this.dataArray[i];
-    }
-    const average = sum / this.dataArray.length;
+      // Calculate average volume level
+      let sum = 0;
+      for (let i = 0; i < entry.dataArray.length; i++) {
+        sum += entry.dataArray[i];
+      }
+      const average = sum / entry.dataArray.length;
 
-    // Convert to percentage (0-100)
-    const percentage = Math.round((average / 255) * 100);
+      // Convert to percentage (0-100)
+      entry.level = Math.round((average / 255) * 100);
+    });
 
     // Update UI elements
-    if (this.levelFill) {
-      this.levelFill.style.width = `${percentage}%`;
+    this.meters.forEach((meter) => this.renderMeter(meter, this.getLevel(meter.channel)));
+  }
+
+  /**
+   * Internal: show a level on a meter
+   * @param {{ fill: HTMLElement|null, text: HTMLElement|null }} meter - Meter elements
+   * @param {number} percentage - Level (0-100)
+   */
+  renderMeter(meter, percentage) {
+    if (meter.fill) {
+      meter.fill.style.width = `${percentage}%`;
     }
-    if (this.levelText) {
-      this.levelText.textContent = `${percentage}%`;
+    if (meter.text) {
+      meter.text.textContent = `${percentage}%`;
     }
   }
 
@@ -137,12 +174,10 @@ export class AudioLevelMonitor {
     }
 
     // Reset UI
-    if (this.levelFill) {
-      this.levelFill.style.width = '0%';
-    }
-    if (this.levelText) {
-      this.levelText.textContent = '0%';
-    }
+    this.channels.forEach((entry) => {
+      entry.level = 0;
+    });
+    this.meters.forEach((meter) => this.renderMeter(meter, 0));
   }
 
   /**
@@ -160,8 +195,7 @@ export class AudioLevelMonitor {
    */
   cleanup() {
     this.stop();
-    this.analyser = null;
-    this.dataArray = null;
+    this.channels.clear();
   }
 }
 
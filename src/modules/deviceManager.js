@@ -8,7 +8,7 @@
  * Public API Surface
  * =====================
  * Methods:
- *   - init(micSelect, camSelect, resSelect, fpsSelect, audioBitrateSelect, audioOnlyCheckbox): void
+ *   - init(micSelect, camSelect, resSelect, fpsSelect, audioBitrateSelect, audioOnlyCheckbox, layoutSelect?, screenSourceBtn?, auxAudioSelect?, multiTrackCheckbox?): void
  *       Initializes device manager with DOM references.
  *       Side effects: stores DOM refs for selectors.
  *   - getSelectedDeviceId(selectEl): string | undefined
@@ -19,6 +19,8 @@
  *       Gets selected framerate value.
  *   - getSelectedAudioBitrate(): string | undefined
  *       Gets selected audio bitrate value.
+ *   - getSelectedLayout(): string
+ *       Gets the selected video layout preset (CONFIG.COMPOSITOR.LAYOUTS).
  *   - buildConstraints(): MediaStreamConstraints
  *       Builds constraints for getUserMedia.
  *   - persistSelection(): void
@@ -31,10 +33,18 @@
  *       Updates device UI controls based on state.
  *   - getSelectedMicId(): string | undefined
  *       Gets selected microphone ID.
+ *   - getSelectedAuxAudio(): AuxAudioSource | null
+ *       Gets the second audio source (system audio or another input), null for none.
  *   - getSelectedCamId(): string | undefined
  *       Gets selected camera ID.
  *   - isAudioOnly(): boolean
  *       Returns true if audio-only mode is selected.
+ *   - isMultiTrack(): boolean
+ *       Returns true if raw per-source tracks should be recorded next to the mix.
+ *   - setScreenSource(source: CaptureSource|null): void
+ *       Stores the picked screen/window and labels the screen source button.
+ *   - getScreenSource(): CaptureSource|null
+ *       Picked screen/window (null until one is picked).
  *
  * Internal helpers are marked 'Internal'.
  * Invariants and side effects are documented per method.
@@ -45,7 +55,8 @@
  * Module Contract
  * =====================
  * Inputs:
- *   - DOM select elements (mic, cam, res, fps, audio bitrate) & audio-only checkbox
+ *   - DOM select elements (mic, second audio, cam, res, fps, audio bitrate, layout), audio-only
+ *     and separate-tracks checkboxes
  *   - LocalStorage persisted keys (LS_KEYS)
  *   - navigator.mediaDevices (enumerateDevices, getUserMedia for permission probing)
  *   - CONFIG defaults (resolution, framerate, audio bitrate)
@@ -59,6 +70,8 @@
  * Invariants:
  *   - Previously persisted selections restored when still available
  *   - Audio-only flag forces video constraint to false
+ *   - The layout is persisted; the screen source is not, because desktopCapturer ids do not
+ *     survive restarts (a screen layout without a source records the camera)
  *   - buildConstraints always returns audio constraint even if video disabled
  * Failure Modes (coded errors via ensurePermissions):
  *   - DEVICE_PERMISSION_DENIED / DEVICE_NOT_FOUND / DEVICE_IN_USE
@@ -66,7 +79,7 @@
  */
 
 import { CONFIG, ERROR_CODES } from '../config.js';
-import { createError } from './utils.js';
+import { createError, isWindows } from './utils.js';
 
 /**
  * @typedef {object} MediaStreamConstraints
@@ -90,6 +103,9 @@ const LS_KEYS = {
   res: 'nt_selected_res',
   fps: 'nt_selected_fps',
   audioBitrate: 'nt_selected_audio_bitrate',
+  layout: 'nt_selected_layout',
+  auxAudio: 'nt_selected_aux_audio',
+  multiTrack: 'nt_multi_track',
 };
 
 /**
@@ -104,6 +120,13 @@ export class DeviceManager {
     this.fpsSelect = null;
     this.audioBitrateSelect = null;
     this.audioOnlyCheckbox = null;
+    this.layoutSelect = null;
+    this.screenSourceBtn = null;
+    this.auxAudioSelect = null;
+    this.multiTrackCheckbox = null;
+
+    // Screen/window picked for capture (see setScreenSource)
+    this.screenSource = null;
   }
 
   /**
@@ -114,18 +137,42 @@ export class DeviceManager {
    * @param {HTMLSelectElement | null} fpsSelect - Framerate selector dropdown
    * @param {HTMLSelectElement | null} audioBitrateSelect - Audio bitrate selector dropdown
    * @param {HTMLInputElement | null} audioOnlyCheckbox - Audio-only mode checkbox
+   * @param {HTMLSelectElement | null} [layoutSelect] - Video layout dropdown
+   * @param {HTMLElement | null} [screenSourceBtn] - Button that opens the screen/window picker
+   * @param {HTMLSelectElement | null} [auxAudioSelect] - Second audio source dropdown
+   * @param {HTMLInputElement | null} [multiTrackCheckbox] - Separate tracks checkbox
    * @returns {void}
    *
    * Side effects:
    * - Stores references to all DOM elements for later use
+   * - Restores the separate tracks checkbox from localStorage
    */
-  init(micSelect, camSelect, resSelect, fpsSelect, audioBitrateSelect, audioOnlyCheckbox) {
+  init(
+    micSelect,
+    camSelect,
+    resSelect,
+    fpsSelect,
+    audioBitrateSelect,
+    audioOnlyCheckbox,
+    layoutSelect = null,
+    screenSourceBtn = null,
+    auxAudioSelect = null,
+    multiTrackCheckbox = null
+  ) {
     this.micSelect = micSelect;
     this.camSelect = camSelect;
     this.resSelect = resSelect;
     this.fpsSelect = fpsSelect;
     this.audioBitrateSelect = audioBitrateSelect;
     this.audioOnlyCheckbox = audioOnlyCheckbox;
+    this.layoutSelect = layoutSelect;
+    this.screenSourceBtn = screenSourceBtn;
+    this.auxAudioSelect = auxAudioSelect;
+    this.multiTrackCheckbox = multiTrackCheckbox;
+    if (multiTrackCheckbox) {
+      multiTrackCheckbox.checked = localStorage.getItem(LS_KEYS.multiTrack) === '1';
+    }
+    this.updateScreenSourceLabel();
   }
 
   /**
@@ -184,6 +231,20 @@ export class DeviceManager {
     return bitrate;
   }
 
+  /**
+   * Gets the selected video layout from the dropdown
+   * @returns {string} Layout preset (one of CONFIG.COMPOSITOR.LAYOUTS)
+   *
+   * Invariants:
+   * - Always returns a known preset, defaults to CONFIG.COMPOSITOR.DEFAULT_LAYOUT
+   */
+  getSelectedLayout() {
+    const value = this.layoutSelect && this.layoutSelect.value;
+    return value && CONFIG.COMPOSITOR.LAYOUTS.includes(value)
+      ? value
+      : CONFIG.COMPOSITOR.DEFAULT_LAYOUT;
+  }
+
   /**
    * Builds MediaStream constraints based on current UI selections
    * Handles audio-only mode, specific device selection, and video resolution preferences
@@ -234,6 +295,8 @@ export class DeviceManager {
     const resValue = this.resSelect && this.resSelect.value;
     const fpsValue = this.fpsSelect && this.fpsSelect.value;
     const bitrateValue = this.audioBitrateSelect && this.audioBitrateSelect.value;
+    const layoutValue = this.layoutSelect && this.layoutSelect.value;
+    const auxValue = this.auxAudioSelect && this.auxAudioSelect.value;
 
     if (micId) localStorage.setItem(LS_KEYS.mic, micId);
     else localStorage.removeItem(LS_KEYS.mic);
@@ -249,6 +312,16 @@ export class DeviceManager {
 
     if (bitrateValue) localStorage.setItem(LS_KEYS.audioBitrate, bitrateValue);
     else localStorage.removeItem(LS_KEYS.audioBitrate);
+
+    if (layoutValue) localStorage.setItem(LS_KEYS.layout, layoutValue);
+    else localStorage.removeItem(LS_KEYS.layout);
+
+    if (auxValue && auxValue !== CONFIG.AUDIO.AUX_NONE_VALUE) {
+      localStorage.setItem(LS_KEYS.auxAudio, auxValue);
+    } else localStorage.removeItem(LS_KEYS.auxAudio);
+
+    if (this.isMultiTrack()) localStorage.setItem(LS_KEYS.multiTrack, '1');
+    else localStorage.removeItem(LS_KEYS.multiTrack);
   }
 
   /**
@@ -330,6 +403,35 @@ export class DeviceManager {
       });
     }
 
+    // Build second audio dropdown: none, system audio (Windows only: elsewhere the display
+    // media handler grants no loopback audio), then every input device
+    if (this.auxAudioSelect) {
+      this.auxAudioSelect.innerHTML = '';
+      const optNone = document.createElement('option');
+      optNone.value = CONFIG.AUDIO.AUX_NONE_VALUE;
+      optNone.textContent = 'None';
+      this.auxAudioSelect.appendChild(optNone);
+
+      if (isWindows()) {
+        const optSystem = document.createElement('option');
+        optSystem.value = CONFIG.AUDIO.AUX_SYSTEM_VALUE;
+        optSystem.textContent = 'System audio';
+        this.auxAudioSelect.appendChild(optSystem);
+      }
+
+      if (audios.length) {
+        const inputs = document.createElement('optgroup');
+        inputs.label = 'Input devices';
+        audios.forEach((d) => {
+          const o = document.createElement('option');
+          o.value = d.deviceId;
+          o.textContent = d.label || `Microphone (${d.deviceId.slice(0, 6)}…)`;
+          inputs.appendChild(o);
+        });
+        this.auxAudioSelect.appendChild(inputs);
+      }
+    }
+
     // Build camera dropdown
     if (this.camSelect) {
       this.camSelect.innerHTML = '';
@@ -352,6 +454,8 @@ export class DeviceManager {
     const savedRes = localStorage.getItem(LS_KEYS.res);
     const savedFps = localStorage.getItem(LS_KEYS.fps);
     const savedBitrate = localStorage.getItem(LS_KEYS.audioBitrate);
+    const savedLayout = localStorage.getItem(LS_KEYS.layout);
+    const savedAux = localStorage.getItem(LS_KEYS.auxAudio);
 
     if (
       savedMic &&
@@ -360,6 +464,13 @@ export class DeviceManager {
     ) {
       this.micSelect.value = savedMic;
     }
+    if (
+      savedAux &&
+      this.auxAudioSelect &&
+      Array.from(this.auxAudioSelect.options).some((o) => o.value === savedAux)
+    ) {
+      this.auxAudioSelect.value = savedAux;
+    }
     if (
       savedCam &&
       this.camSelect &&
@@ -388,6 +499,13 @@ export class DeviceManager {
     ) {
       this.audioBitrateSelect.value = savedBitrate;
     }
+    if (
+      savedLayout &&
+      this.layoutSelect &&
+      Array.from(this.layoutSelect.options).some((o) => o.value === savedLayout)
+    ) {
+      this.layoutSelect.value = savedLayout;
+    }
 
     // Update UI state based on audio-only mode and available devices
     this.updateDeviceUIState(videos.length === 0);
@@ -400,28 +518,36 @@ export class DeviceManager {
    * @returns {void}
    *
    * Side effects:
-   * - Enables/disables camera, resolution, and framerate dropdowns
+   * - Enables/disables camera, resolution, framerate, layout and screen source controls
    * - Enables/disables audio bitrate dropdown based on recording state
    *
    * Invariants:
-   * - Camera/resolution/fps disabled when: audio-only OR no cameras OR recording
-   * - Audio bitrate disabled only when recording
+   * - Camera disabled when: audio-only OR no cameras
+   * - Resolution/fps disabled when: audio-only OR (no cameras AND no screen source) OR recording
+   * - Layout and screen source disabled only in audio-only mode (both switch live)
+   * - Audio bitrate and separate tracks disabled only when recording
    */
   updateDeviceUIState(noCameras = false, isRecording = false) {
     if (this.camSelect && this.resSelect && this.fpsSelect && this.audioOnlyCheckbox) {
-      // Disable camera, resolution, and framerate selection if in audio-only mode, no cameras available, or recording
+      const noVideo = noCameras && !this.screenSource;
+      // Disable camera selection if in audio-only mode or no cameras available
       this.camSelect.disabled = this.audioOnlyCheckbox.checked || noCameras;
-      // Resolution and framerate dropdowns should be disabled if: audio-only OR no cameras OR recording is active
-      this.resSelect.disabled = this.audioOnlyCheckbox.checked || noCameras || isRecording;
-      this.fpsSelect.disabled = this.audioOnlyCheckbox.checked || noCameras || isRecording;
-
-      // Device UI state updated (debug log removed)
+      // Resolution and framerate dropdowns should be disabled if: audio-only OR no video source OR recording is active
+      this.resSelect.disabled = this.audioOnlyCheckbox.checked || noVideo || isRecording;
+      this.fpsSelect.disabled = this.audioOnlyCheckbox.checked || noVideo || isRecording;
+
+      if (this.layoutSelect) this.layoutSelect.disabled = this.audioOnlyCheckbox.checked;
+      if (this.screenSourceBtn) {
+        /** @type {HTMLButtonElement} */ (this.screenSourceBtn).disabled =
+          this.audioOnlyCheckbox.checked;
+      }
     }
 
     // Audio bitrate should be disabled during recording to prevent mid-recording changes
     if (this.audioBitrateSelect) {
       this.audioBitrateSelect.disabled = isRecording;
     }
+    if (this.multiTrackCheckbox) this.multiTrackCheckbox.disabled = isRecording;
   }
 
   /**
@@ -432,6 +558,20 @@ export class DeviceManager {
     return this.getSelectedDeviceId(this.micSelect);
   }
 
+  /**
+   * Get the second audio source mixed with the microphone
+   * @returns {import('../../types/global').AuxAudioSource | null} Source, or null for none
+   */
+  getSelectedAuxAudio() {
+    const select = this.auxAudioSelect;
+    const value = select && select.value;
+    if (!value || value === CONFIG.AUDIO.AUX_NONE_VALUE) return null;
+    const label = select.selectedOptions[0]?.textContent || 'Second audio';
+    return value === CONFIG.AUDIO.AUX_SYSTEM_VALUE
+      ? { kind: 'system', label }
+      : { kind: 'device', deviceId: value, label };
+  }
+
   /**
    * Get the currently selected camera device ID
    * @returns {string | undefined} Device ID or undefined for default
@@ -447,6 +587,49 @@ export class DeviceManager {
   isAudioOnly() {
     return (this.audioOnlyCheckbox && this.audioOnlyCheckbox.checked) || false;
   }
+
+  /**
+   * Check if raw per-source tracks should be recorded
+   * @returns {boolean} True if separate tracks mode is selected
+   */
+  isMultiTrack() {
+    return (this.multiTrackCheckbox && this.multiTrackCheckbox.checked) || false;
+  }
+
+  /**
+   * Store the screen/window picked for capture
+   * @param {import('../../types/global').CaptureSource|null} source - Picked source or null
+   * @returns {void}
+   *
+   * Side effects:
+   * - Relabels the screen source button
+   */
+  setScreenSource(source) {
+    this.screenSource = source ? { ...source } : null;
+    this.updateScreenSourceLabel();
+  }
+
+  /**
+   * Get the screen/window to capture
+   * @returns {import('../../types/global').CaptureSource|null} Picked source or null
+   */
+  getScreenSource() {
+    return this.screenSource;
+  }
+
+  /**
+   * Internal: label the screen source button with the picked source
+   * @returns {void}
+   */
+  updateScreenSourceLabel() {
+    if (!this.screenSourceBtn) return;
+    this.screenSourceBtn.textContent = this.screenSource
+      ? this.screenSource.name
+      : 'Choose screen or window…';
+    this.screenSourceBtn.title = this.screenSource
+      ? `Screen capture: ${this.screenSource.name} (click to change)`
+      : 'Choose a screen or window to record';
+  }
 }
 
 // Create a singleton instance
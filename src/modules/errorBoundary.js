@@ -229,11 +229,15 @@ class ErrorBoundary {
         return ERRORS.CAMERA.INIT_TIMEOUT;
       case ERROR_CODES.CAMERA_SWITCH_FAILED:
         return ERRORS.CAMERA.SWITCH_FAILED;
+      case ERROR_CODES.SCREEN_CAPTURE_FAILED:
+        return ERRORS.SCREEN.CAPTURE_FAILED;
 
       case ERROR_CODES.MIC_SWITCH_FAILED:
         return ERRORS.MICROPHONE.SWITCH_FAILED;
       case ERROR_CODES.MIC_CONNECT_FAILED:
         return ERRORS.MICROPHONE.CONNECT_FAILED;
+      case ERROR_CODES.AUX_AUDIO_FAILED:
+        return ERRORS.AUX_AUDIO.CAPTURE_FAILED;
 
       case ERROR_CODES.RECORDING_START_FAILED:
         return ERRORS.RECORDING.START_FAILED;
@@ -2,22 +2,44 @@
 
 /**
  * @file Export functionality for sessions
- * Handles exporting sessions as HTML files with embedded or separate media
+ * Handles exporting sessions as HTML files with embedded or separate media, notes as Markdown
+ * or a printable PDF, and timestamps as subtitle/chapter files (WebVTT chapters, SRT captions,
+ * plain chapter list)
  *
  * =====================
  * Public API Surface
  * =====================
  * Methods:
- *   - init(recordingSystem, quill): void
+ *   - init(recordingSystem, quill, isActiveSegment?: (segment?: string) => boolean): void
  *       Initializes export system with dependencies.
- *       Side effects: stores recordingSystem and quill refs.
+ *       Side effects: stores recordingSystem and quill refs and the segment filter.
  *   - stripFabricData(html: string): string
  *       Removes fabric JSON and drawing attributes from HTML for clean export.
  *       Side effects: creates temp DOM, strips metadata.
+ *   - unlinkOtherSegmentTimestamps(html: string): string
+ *       Turns timestamps of recordings other than the exported one into plain labels.
  *   - async exportAsEmbeddedHtml(): Promise<{ html: string, fileName: string }>
  *       Exports session as single HTML file with embedded media.
  *   - async exportAsSeparateFiles(): Promise<{ html: string, mediaFile: Blob, notesFile: string }>
  *       Exports session as separate HTML and media files.
+ *   - async exportAsMarkdown(): Promise<{ ok: boolean, path?: string }>
+ *       Exports notes as CommonMark with timestamp links and images in an assets folder.
+ *   - async exportAsPdf(opts?: { mediaUrl?: string, includeFrames?: boolean, onProgress?: Function }): Promise<{ ok: boolean, path?: string }>
+ *       Exports notes as a paginated PDF; timestamps become labels, optionally with a video frame.
+ *   - async captureTimestampFrames(mediaUrl: string, times: number[], onProgress?): Promise<Map<number, string>>
+ *       Captures JPEG data URLs of the video at the given times (empty for audio-only media).
+ *   - replaceTimestampsForPrint(html: string, frames?: Map<number, string>): string
+ *       Replaces timestamp buttons with static labels (plus frame images when available).
+ *   - buildPrintTemplate(notesHtml: string): string
+ *       Builds the print HTML (shared styles + notes only) rendered by the main process.
+ *   - async exportSubtitles(format: SubtitleFormat, mediaDuration?: number): Promise<{ ok: boolean, path?: string }>
+ *       Exports timestamps as WebVTT chapters ('vtt'), SRT captions ('srt') or a chapter list ('chapters').
+ *   - collectTimestampCues(ops: any[], mediaDuration?: number): TimestampCue[]
+ *       Turns timestamps and the note text after them into time ranges.
+ *   - generateWebVTTChapters(cues: TimestampCue[]): string
+ *   - generateSrt(cues: TimestampCue[]): string
+ *   - generateChapterList(cues: TimestampCue[]): string
+ *       Serialize cues (chapter list is YouTube-description style `mm:ss Title`).
  *   - extractAndReplaceImages(html: string, folderPrefix?: string): string
  *       Replaces embedded images with file references for export.
  *   - getSharedStyles(): string
@@ -46,28 +68,99 @@
  * Module Contract
  * =====================
  * Inputs:
- *   - recordingSystem.recordedBlob + mediaExt
- *   - Quill editor (notes HTML via quill.root.innerHTML)
+ *   - recordingSystem.recordedBlob or file-backed media path + mediaExt
+ *   - Quill editor (notes HTML via quill.root.innerHTML, timestamps via quill.getContents())
  *   - Internal template/style/script builders
  * Outputs:
  *   - HTML export strings (embedded or separate media variants)
+ *   - Subtitle/chapter text (WebVTT, SRT, chapter list)
+ *   - Markdown text plus extracted image files
+ *   - Print HTML for PDF export (rendered to PDF by the main process)
  *   - Result objects containing Blob or base64 embedded media
  *   - Cleaned HTML (stripFabricData)
  * Side-effects:
  *   - Creates temporary DOM for HTML manipulation
- *   - Base64 encodes binary data (size proportional to media length)
+ *   - PDF frame capture loads the media into a detached, muted <video> and draws to a canvas
+ *   - Base64 encodes in-memory recordings (size proportional to media length);
+ *     file-backed media is passed by path and encoded/copied by the main process
  * Invariants:
  *   - stripFabricData only removes internal drawing metadata (fabricJSON) and related attributes
  *   - Export functions do not mutate editor content
+ *   - Exports cover the recording being played (the active segment): only its timestamps seek
+ *     in exported HTML, get PDF frames and become cues; other recordings' timestamps stay as
+ *     labels (HTML, PDF) or are left out (cues)
  *   - Media MIME derived from blob; consistent fallback applied
+ *   - Cues are sorted by start; each ends where the next begins (the last at the media
+ *     duration, or CONFIG.EXPORT.LAST_CUE_SECONDS after its start when unknown)
  * Failure Modes (coded errors when integrated with IPC):
  *   - FILE_SYSTEM_ERROR (underlying save failures)
  *   - UNKNOWN (unexpected generation errors)
  */
 
-import { arrayBufferToBase64, createError } from '../modules/utils.js';
-import { ERROR_CODES } from '../config.js';
+import { arrayBufferToBase64, createError, formatTime } from '../modules/utils.js';
+import { CONFIG, ERROR_CODES } from '../config.js';
 import { errorBoundary } from '../modules/errorBoundary.js';
+import { deltaToMarkdown } from '../modules/markdownConverter.js';
+
+/**
+ * Internal: format seconds as a cue timestamp (HH:MM:SS.mmm)
+ * @param {number} seconds - Time in seconds
+ * @param {string} separator - Decimal separator ('.' for WebVTT, ',' for SRT)
+ * @returns {string} Cue timestamp
+ */
+function formatCueTime(seconds, separator) {
+  const totalMs = Math.round(Math.max(0, seconds) * 1000);
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const h = Math.floor(totalMs / 3600000);
+  const m = Math.floor(totalMs / 60000) % 60;
+  const s = Math.floor(totalMs / 1000) % 60;
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Internal: format seconds as a chapter list time (m:ss, or h:mm:ss from one hour)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Chapter time
+ */
+function formatChapterTime(seconds) {
+  const total = Math.floor(Math.max(0, seconds));
+  const pad = (n) => String(n).padStart(2, '0');
+  const h = Math.floor(total / 3600);
+  const m = Math.floor(total / 60) % 60;
+  const s = total % 60;
+  return h > 0 ? `${h}:${pad(m)}:${pad(s)}` : `${pad(m)}:${pad(s)}`;
+}
+
+/**
+ * Internal: wait for a media element event, rejecting on 'error' or timeout
+ * @param {HTMLMediaElement} media - Media element
+ * @param {string} eventName - Event to wait for
+ * @param {number} timeoutMs - Timeout in milliseconds
+ * @returns {Promise<void>} Resolves when the event fires
+ */
+function waitForMediaEvent(media, eventName, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      clearTimeout(timer);
+      media.removeEventListener(eventName, onEvent);
+      media.removeEventListener('error', onError);
+    };
+    const onEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = () => {
+      cleanup();
+      reject(new Error(`Media error while waiting for ${eventName}`));
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error(`Timed out waiting for ${eventName}`));
+    }, timeoutMs);
+    media.addEventListener(eventName, onEvent);
+    media.addEventListener('error', onError);
+  });
+}
 
 /**
  * Export system for converting sessions to HTML formats
@@ -76,20 +169,25 @@ export class ExportSystem {
   constructor() {
     this.recordingSystem = null;
     this.quill = null;
+    /** @type {(segment?: string) => boolean} Whether a timestamp's segment is being played */
+    this.isActiveSegment = () => true;
   }
 
   /**
    * Initialize export system with dependencies
    * @param {any} recordingSystem - Recording system instance
    * @param {any} quill - Quill editor instance
+   * @param {(segment?: string) => boolean} [isActiveSegment] - Whether a timestamp's segment
+   *   (data-segment) is the recording being played (default: every timestamp is)
    * @returns {void}
    *
    * Side effects:
    * - Stores references to recordingSystem and quill for export operations
    */
-  init(recordingSystem, quill) {
+  init(recordingSystem, quill, isActiveSegment = () => true) {
     this.recordingSystem = recordingSystem;
     this.quill = quill;
+    this.isActiveSegment = isActiveSegment;
   }
 
   /**
@@ -125,29 +223,64 @@ export class ExportSystem {
     return tempDiv.innerHTML;
   }
 
+  /**
+   * Turn timestamps of other recordings into plain labels
+   * The exported player only has the active segment's media, so their times would seek into the
+   * wrong recording.
+   * @param {string} html - Notes HTML
+   * @returns {string} HTML with <span class="ts-other"> in place of those buttons
+   *
+   * Side effects:
+   * - Creates temporary DOM element for safe HTML manipulation
+   */
+  unlinkOtherSegmentTimestamps(html) {
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = html;
+
+    tempDiv.querySelectorAll('button.ts, button.ts-range').forEach((node) => {
+      const button = /** @type {HTMLElement} */ (node);
+      if (this.isActiveSegment(button.dataset.segment)) return;
+      const label = document.createElement('span');
+      label.className = 'ts-other';
+      label.title = 'Timestamp of another recording';
+      label.textContent = (button.textContent || '').replace(/\uFEFF/g, '');
+      button.replaceWith(label);
+    });
+
+    return tempDiv.innerHTML;
+  }
+
   /**
    * Export session as embedded HTML (single file with base64-encoded media)
    * @returns {Promise<{ok: boolean; path?: string; error?: string}>} Result from main process
    *
    * Side effects:
    * - Reads recorded blob from recordingSystem
-   * - Converts blob to base64 for embedding
+   * - Converts blob to base64 for embedding (file-backed media is streamed in by main)
    * - Strips fabric data from notes HTML
    * - Invokes IPC call to main process (includes file picker)
    *
    * Invariants:
    * - Does NOT use timeout wrapper (user needs unlimited time to pick save location)
+   * - Only the active segment's media is embedded (see unlinkOtherSegmentTimestamps)
    */
   async exportAsEmbeddedHtml() {
-    const notesHtml = this.stripFabricData(this.quill.root.innerHTML);
+    const notesHtml = this.unlinkOtherSegmentTimestamps(
+      this.stripFabricData(this.quill.root.innerHTML)
+    );
     let mediaMime = 'video/webm';
     let mediaB64 = '';
 
     const recordedBlob = this.recordingSystem.getRecordedBlob();
+    const mediaFilePath = this.recordingSystem.getMediaFilePath?.() || null;
     if (recordedBlob) {
       const ab = await recordedBlob.arrayBuffer();
       mediaB64 = arrayBufferToBase64(ab);
       mediaMime = recordedBlob.type || 'video/webm';
+    } else if (mediaFilePath) {
+      // Main process streams the file's base64 into this placeholder
+      mediaB64 = CONFIG.EXPORT.MEDIA_BASE64_PLACEHOLDER;
+      mediaMime = `video/${this.recordingSystem.getMediaExtension()}`;
     } else if (!notesHtml.trim()) {
       // Nothing to export
       throw createError(ERROR_CODES.FILE_SYSTEM_ERROR, 'Nothing to export (no notes or recording)');
@@ -156,7 +289,7 @@ export class ExportSystem {
     const html = this.generateEmbeddedHTML(notesHtml, mediaB64, mediaMime);
     // Note: Don't wrap with timeout - it includes file picker dialog
     // where user needs unlimited time to choose save location
-    return await window.api.saveHtml({ html });
+    return await window.api.saveHtml({ html, mediaFilePath });
   }
 
   /**
@@ -164,7 +297,7 @@ export class ExportSystem {
    * @returns {Promise<{ok: boolean; path?: string; error?: string}>} Result from main process
    *
    * Side effects:
-   * - Reads recorded blob from recordingSystem
+   * - Reads recorded blob from recordingSystem (file-backed media is copied by main)
    * - Strips fabric data from notes HTML
    * - Extracts images to separate files
    * - Invokes IPC call to main process (includes file picker)
@@ -172,15 +305,19 @@ export class ExportSystem {
    * Invariants:
    * - Does NOT use timeout wrapper (user needs unlimited time to pick save location)
    * - Backend replaces __BASENAME__ placeholder with actual folder name
+   * - Only the active segment's media is written (see unlinkOtherSegmentTimestamps)
    */
   async exportAsSeparateFiles() {
-    const notesHtml = this.stripFabricData(this.quill.root.innerHTML);
+    const notesHtml = this.unlinkOtherSegmentTimestamps(
+      this.stripFabricData(this.quill.root.innerHTML)
+    );
     let mediaBuffer = null;
 
     const recordedBlob = this.recordingSystem.getRecordedBlob();
+    const mediaFilePath = this.recordingSystem.getMediaFilePath?.() || null;
     if (recordedBlob) {
       mediaBuffer = await recordedBlob.arrayBuffer();
-    } else if (!notesHtml.trim()) {
+    } else if (!mediaFilePath && !notesHtml.trim()) {
       throw createError(ERROR_CODES.FILE_SYSTEM_ERROR, 'Nothing to export (no notes or recording)');
     }
 
@@ -194,11 +331,344 @@ export class ExportSystem {
     return await window.api.saveHtmlVideo({
       html: finalHtml,
       mediaBuffer,
+      mediaFilePath,
       mediaExt: this.recordingSystem.getMediaExtension(),
       images,
     });
   }
 
+  /**
+   * Export notes as Markdown (timestamps as `#t=` links, images as files)
+   * @returns {Promise<{ok: boolean; path?: string; error?: string}>} Result from main process
+   *
+   * Side effects:
+   * - Invokes IPC call to main process (includes file picker)
+   *
+   * Invariants:
+   * - Does NOT use timeout wrapper (user needs unlimited time to pick save location)
+   * - Backend replaces CONFIG.EXPORT.MARKDOWN_ASSETS_PLACEHOLDER with the assets folder name
+   */
+  async exportAsMarkdown() {
+    const { markdown, images } = deltaToMarkdown(this.quill.getContents().ops, {
+      assetsFolder: CONFIG.EXPORT.MARKDOWN_ASSETS_PLACEHOLDER,
+    });
+    if (!markdown.trim()) {
+      throw createError(ERROR_CODES.FILE_SYSTEM_ERROR, 'Nothing to export (no notes)');
+    }
+    // Note: Don't wrap with timeout - it includes file picker dialog
+    return await window.api.saveMarkdown({ markdown, images });
+  }
+
+  /**
+   * Export notes as a paginated PDF
+   * Timestamp buttons become static labels, optionally followed by the video frame at that time
+   * @param {{ mediaUrl?: string, includeFrames?: boolean, onProgress?: (done: number, total: number) => void }} [opts]
+   *   Media to capture frames from, whether to capture them, and frame capture progress
+   * @returns {Promise<{ok: boolean; path?: string; error?: string}>} Result from main process
+   *
+   * Side effects:
+   * - Strips fabric data from notes HTML
+   * - Captures video frames when includeFrames is set (see captureTimestampFrames)
+   * - Invokes IPC call to main process (includes file picker)
+   *
+   * Invariants:
+   * - Does NOT use timeout wrapper (user needs unlimited time to pick save location)
+   * - Frame capture failures only drop thumbnails; the PDF is still produced
+   * - Frames are only captured for the active segment's timestamps (the media is its recording)
+   */
+  async exportAsPdf(opts = {}) {
+    const notesHtml = this.stripFabricData(this.quill.root.innerHTML);
+    if (!this.quill.getText().trim() && !notesHtml.includes('<img')) {
+      throw createError(ERROR_CODES.FILE_SYSTEM_ERROR, 'Nothing to export (no notes)');
+    }
+
+    let frames = new Map();
+    if (opts.includeFrames && opts.mediaUrl) {
+      const tempDiv = document.createElement('div');
+      tempDiv.innerHTML = notesHtml;
+      const times = Array.from(tempDiv.querySelectorAll('button.ts, button.ts-range'))
+        .map((node) => /** @type {HTMLElement} */ (node).dataset)
+        .filter(({ segment }) => this.isActiveSegment(segment))
+        .map(({ ts, start }) => Number(ts || start || 0));
+      frames = await this.captureTimestampFrames(opts.mediaUrl, times, opts.onProgress);
+    }
+
+    const html = this.buildPrintTemplate(this.replaceTimestampsForPrint(notesHtml, frames));
+    // Note: Don't wrap with timeout - it includes file picker dialog
+    return await window.api.savePdf({ html });
+  }
+
+  /**
+   * Capture video frames at the given times
+   * @param {string} mediaUrl - Media URL (blob: or notepack://)
+   * @param {number[]} times - Times in seconds
+   * @param {(done: number, total: number) => void} [onProgress] - Called before each frame
+   * @returns {Promise<Map<number, string>>} JPEG data URLs by time (empty for audio-only media)
+   *
+   * Side effects:
+   * - Loads the media into a detached, muted <video> element (released afterwards)
+   *
+   * Invariants:
+   * - Never rejects; frames that fail to seek or draw are skipped
+   */
+  async captureTimestampFrames(mediaUrl, times, onProgress) {
+    /** @type {Map<number, string>} */
+    const frames = new Map();
+    const unique = [...new Set(times.filter((t) => Number.isFinite(t) && t >= 0))].sort(
+      (a, b) => a - b
+    );
+    if (!mediaUrl || unique.length === 0) return frames;
+
+    const timeoutMs = CONFIG.EXPORT.FRAME_CAPTURE_TIMEOUT_MS;
+    const video = document.createElement('video');
+    video.muted = true;
+    video.preload = 'auto';
+    // notepack:// responses allow CORS so drawn frames do not taint the canvas
+    video.crossOrigin = 'anonymous';
+
+    try {
+      video.src = mediaUrl;
+      await waitForMediaEvent(video, 'loadeddata', timeoutMs);
+      if (!video.videoWidth || !video.videoHeight) return frames; // Audio-only
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.min(CONFIG.EXPORT.PDF_THUMBNAIL_WIDTH, video.videoWidth);
+      canvas.height = Math.round((canvas.width * video.videoHeight) / video.videoWidth);
+      const ctx = canvas.getContext('2d');
+      if (!ctx) return frames;
+
+      for (let i = 0; i < unique.length; i++) {
+        onProgress?.(i, unique.length);
+        const time = unique[i];
+        try {
+          const seeked = waitForMediaEvent(video, 'seeked', timeoutMs);
+          video.currentTime = Number.isFinite(video.duration)
+            ? Math.min(time, Math.max(0, video.duration - 0.05))
+            : time;
+          await seeked;
+          ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+          frames.set(time, canvas.toDataURL('image/jpeg', CONFIG.EXPORT.PDF_THUMBNAIL_QUALITY));
+        } catch (err) {
+          console.warn(`Frame capture at ${time}s failed:`, err);
+        }
+      }
+      onProgress?.(unique.length, unique.length);
+    } catch (err) {
+      console.warn('Frame capture unavailable:', err);
+    } finally {
+      video.removeAttribute('src');
+      video.load();
+    }
+    return frames;
+  }
+
+  /**
+   * Replace timestamp (and timestamp range) buttons with static labels for print
+   * @param {string} html - Notes HTML (already passed through stripFabricData)
+   * @param {Map<number, string>} [frames] - Frame data URLs by timestamp time (range start) of
+   *   the active segment; other recordings' timestamps get no frame
+   * @returns {string} HTML with <span class="ts-print"> in place of each timestamp button
+   *
+   * Side effects:
+   * - Creates temporary DOM element for safe HTML manipulation
+   */
+  replaceTimestampsForPrint(html, frames = new Map()) {
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = html;
+
+    tempDiv.querySelectorAll('button.ts, button.ts-range').forEach((node) => {
+      const button = /** @type {HTMLElement} */ (node);
+      // Ranges are printed like a timestamp at their start
+      const ts = Number(button.dataset.ts || button.dataset.start || 0);
+
+      const wrapper = document.createElement('span');
+      wrapper.className = 'ts-print';
+      const label = document.createElement('span');
+      label.className = 'ts';
+      // Labels read from the editor can carry Quill's zero-width embed guards
+      label.textContent = (button.textContent || '').replace(/\uFEFF/g, '') || formatTime(ts);
+      wrapper.appendChild(label);
+
+      const frame = this.isActiveSegment(button.dataset.segment) ? frames.get(ts) : undefined;
+      if (frame) {
+        const img = document.createElement('img');
+        img.className = 'ts-thumb';
+        img.src = frame;
+        img.alt = `Frame at ${label.textContent}`;
+        wrapper.appendChild(img);
+      }
+      button.replaceWith(wrapper);
+    });
+
+    return tempDiv.innerHTML;
+  }
+
+  /**
+   * Build the print document for PDF export
+   * @param {string} notesHtml - Notes HTML prepared by replaceTimestampsForPrint
+   * @returns {string} Complete HTML document (no scripts, no player)
+   *
+   * Invariants:
+   * - Reuses getSharedStyles() so notes look like the HTML exports
+   * - Escapes closing script tags like buildHTMLTemplate
+   */
+  buildPrintTemplate(notesHtml) {
+    const escapedNotes = notesHtml.replace(/<\/script>/gi, '<\\/script>');
+
+    return `<!doctype html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Notes</title>
+<style>
+${this.getSharedStyles()}
+  @page { size: A4; margin: 16mm; }
+  body { margin: 0; }
+  #notes img { cursor: auto; max-width: 100%; break-inside: avoid; }
+  .ts-print { display: inline-block; vertical-align: top; margin-right: .35rem; break-inside: avoid; }
+  .ts-print .ts { cursor: auto; }
+  .ts-print .ts-thumb { display: block; width: ${CONFIG.EXPORT.PDF_THUMBNAIL_WIDTH / 2}px; margin-top: 4px; border-radius: 4px; }
+</style>
+</head>
+<body>
+  <div id="notes">${escapedNotes}</div>
+</body>
+</html>`;
+  }
+
+  /**
+   * Export timestamps as a subtitle or chapter file
+   * @param {import('../../types/global').SubtitleFormat} format - 'vtt', 'srt' or 'chapters'
+   * @param {number} [mediaDuration] - Media duration in seconds (ends the last cue)
+   * @returns {Promise<{ok: boolean; path?: string; error?: string}>} Result from main process
+   *
+   * Side effects:
+   * - Invokes IPC call to main process (includes file picker)
+   *
+   * Invariants:
+   * - Does NOT use timeout wrapper (user needs unlimited time to pick save location)
+   */
+  async exportSubtitles(format, mediaDuration) {
+    const cues = this.collectTimestampCues(this.quill.getContents().ops, mediaDuration);
+    if (cues.length === 0) {
+      throw createError(
+        ERROR_CODES.FILE_SYSTEM_ERROR,
+        'Nothing to export (no timestamps of this recording in the notes)'
+      );
+    }
+
+    let content;
+    if (format === 'srt') {
+      content = this.generateSrt(cues);
+    } else if (format === 'chapters') {
+      content = this.generateChapterList(cues);
+    } else {
+      content = this.generateWebVTTChapters(cues);
+    }
+    // Note: Don't wrap with timeout - it includes file picker dialog
+    return await window.api.saveSubtitles({ content, format });
+  }
+
+  /**
+   * Turn timestamps and the note text after them into time ranges
+   * The text of a cue is the rest of the timestamp's paragraph, or the next non-empty
+   * paragraph when the timestamp stands alone on its line (never past the next timestamp).
+   * Timestamp ranges start a cue at their start, like a timestamp (so notes with only ranges
+   * export too). Only the active segment's timestamps become cues; a timestamp of another
+   * recording ends the text of the cue before it.
+   * @param {any[]} ops - Quill delta ops (quill.getContents().ops)
+   * @param {number} [mediaDuration] - Media duration in seconds (ends the last cue)
+   * @returns {import('../../types/global').TimestampCue[]} Cues sorted by start time
+   *
+   * Side effects:
+   * - None (pure function, returns new data)
+   *
+   * Invariants:
+   * - end >= start; title falls back to the formatted timestamp when no text follows
+   */
+  collectTimestampCues(ops, mediaDuration) {
+    /** @type {{ start: number, text: string }[]} */
+    const found = [];
+    /** @type {{ start: number, text: string }|null} */
+    let current = null;
+    for (const op of ops || []) {
+      const insert = op && op.insert;
+      if (typeof insert === 'string') {
+        if (current) current.text += insert;
+      } else if (insert && (insert.timestamp || insert.timestampRange)) {
+        const stamp = insert.timestamp || insert.timestampRange;
+        current = null;
+        if (this.isActiveSegment(stamp.segment)) {
+          const start = insert.timestamp ? stamp.ts : stamp.start;
+          current = { start: Math.max(0, Number(start) || 0), text: '' };
+          found.push(current);
+        }
+      }
+    }
+
+    // Stable sort keeps document order for equal times
+    found.sort((a, b) => a.start - b.start);
+    const knownDuration = Number.isFinite(mediaDuration) ? Number(mediaDuration) : null;
+
+    return found.map((cue, i) => {
+      const paragraph =
+        cue.text
+          .split('\n')
+          .map((line) => line.replace(/\s+/g, ' ').trim())
+          .find(Boolean) || '';
+      let end;
+      if (i + 1 < found.length) {
+        end = found[i + 1].start;
+      } else if (knownDuration !== null && knownDuration > cue.start) {
+        end = knownDuration;
+      } else {
+        end = cue.start + CONFIG.EXPORT.LAST_CUE_SECONDS;
+      }
+      return { start: cue.start, end, title: paragraph || formatTime(cue.start) };
+    });
+  }
+
+  /**
+   * Serialize cues as WebVTT chapters
+   * @param {import('../../types/global').TimestampCue[]} cues - Cues from collectTimestampCues()
+   * @returns {string} WebVTT document
+   *
+   * Invariants:
+   * - Cue text is escaped (&, <, >) as required by WebVTT
+   */
+  generateWebVTTChapters(cues) {
+    const escape = (text) =>
+      text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const blocks = cues.map(
+      (cue, i) =>
+        `${i + 1}\n${formatCueTime(cue.start, '.')} --> ${formatCueTime(cue.end, '.')}\n${escape(cue.title)}\n`
+    );
+    return ['WEBVTT\n', ...blocks].join('\n');
+  }
+
+  /**
+   * Serialize cues as SRT captions
+   * @param {import('../../types/global').TimestampCue[]} cues - Cues from collectTimestampCues()
+   * @returns {string} SRT document
+   */
+  generateSrt(cues) {
+    return cues
+      .map(
+        (cue, i) =>
+          `${i + 1}\n${formatCueTime(cue.start, ',')} --> ${formatCueTime(cue.end, ',')}\n${cue.title}\n`
+      )
+      .join('\n');
+  }
+
+  /**
+   * Serialize cues as a plain chapter list (YouTube description style)
+   * @param {import('../../types/global').TimestampCue[]} cues - Cues from collectTimestampCues()
+   * @returns {string} One `mm:ss Title` line per cue
+   */
+  generateChapterList(cues) {
+    return cues.map((cue) => `${formatChapterTime(cue.start)} ${cue.title}\n`).join('');
+  }
+
   /**
    * Extract base64 images from HTML and replace with file references
    * @param {string} html - HTML content containing base64 images
@@ -261,7 +731,9 @@ export class ExportSystem {
     return `  body { font-family: system-ui, -apple-system, Segoe UI, Roboto, Helvetica, Arial, sans-serif; margin: 16px; }
   video, audio { max-width: 100%; border-radius: 8px; background: #000; }
   .ts { padding: .1rem .35rem; border-radius: 6px; border: 1px solid #999; background: #f7f7f7; cursor: pointer; }
-  .ts:focus { outline: 2px solid #a3d3ff; }
+  .ts-range { padding: .1rem .35rem; border-radius: 6px; border: 1px dashed #999; background: #f7f7f7; cursor: pointer; }
+  .ts:focus, .ts-range:focus { outline: 2px solid #a3d3ff; }
+  .ts-other { padding: .1rem .35rem; border-radius: 6px; border: 1px solid #ddd; color: #777; }
   .grid { display: grid; grid-template-columns: 1fr 1fr; gap: 16px; }
   @media (max-width: 900px) { .grid { grid-template-columns: 1fr; } }
 
@@ -319,20 +791,70 @@ export class ExportSystem {
   /**
    * Get shared event handlers for exported HTML
    * @returns {string} JavaScript event handlers
+   *
+   * Invariants:
+   * - Timestamp range buttons play only their span, once or in a loop (Shift+click plays the
+   *   other way), like rangePlayback in the app
    */
   getSharedEventHandlers() {
     return `
+  let activeRange = null, rangeFrame = 0;
+  function watchRange(){
+    rangeFrame = 0;
+    if(!activeRange) return;
+    if(player.currentTime >= activeRange.end) {
+      if(activeRange.loop) {
+        const ended = player.ended;
+        player.currentTime = activeRange.start;
+        if(ended) player.play();
+      } else {
+        activeRange = null;
+        player.pause();
+        return;
+      }
+    }
+    rangeFrame = requestAnimationFrame(watchRange);
+  }
+  function playRange(start, end, loop){
+    activeRange = { start, end, loop };
+    player.currentTime = start;
+    player.play();
+    cancelAnimationFrame(rangeFrame);
+    rangeFrame = requestAnimationFrame(watchRange);
+  }
+  if (player) {
+    player.addEventListener('seeking', ()=>{
+      if(activeRange && (player.currentTime < activeRange.start - 0.05 || player.currentTime > activeRange.end)) activeRange = null;
+    });
+  }
+
   document.getElementById('notes').addEventListener('click', (e)=>{
     const btn = e.target.closest('button.ts');
     if(btn) {
       const ts = Number(btn.dataset.ts||'0');
       if(Number.isFinite(ts)) {
+        activeRange = null;
         player.currentTime = ts;
         player.play();
       }
       return;
     }
 
+    const range = e.target.closest('button.ts-range');
+    if(range) {
+      const start = Number(range.dataset.start||'0');
+      const end = Number(range.dataset.end);
+      if(!Number.isFinite(start)) return;
+      if(Number.isFinite(end) && end > start) {
+        playRange(start, end, (range.dataset.loop === 'true') !== e.shiftKey);
+      } else {
+        activeRange = null;
+        player.currentTime = start;
+        player.play();
+      }
+      return;
+    }
+
     // Handle image clicks for modal
     const img = e.target.closest('img');
     if(img) {
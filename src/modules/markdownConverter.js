@@ -0,0 +1,530 @@
+// @ts-check
+
+/**
+ * @file Markdown conversion for notes
+ * Converts the Quill delta to CommonMark (timestamps become `[mm:ss.cc](#t=123.4)` links,
+ * timestamp ranges `[label](#t=12,34.5)` links as in Media Fragments, embedded images become
+ * files in an assets folder) and parses such Markdown back into delta ops with real timestamp
+ * and timestamp range embeds.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - deltaToMarkdown(ops: any[], opts?: { assetsFolder?: string }): { markdown: string, images: ExtractedImage[] }
+ *       Serializes delta ops; data: URL images are returned as files under assetsFolder.
+ *   - markdownToDelta(markdown: string, opts?: { resolveImage?: (src: string) => string }): any[]
+ *       Parses Markdown into delta ops (headers, lists, quotes, code, inline formats,
+ *       links, images, timestamp and range links).
+ *   - parseTimestampHref(href: string): number|null
+ *       Seconds from a `#t=<seconds>` link target, or null.
+ *   - parseRangeHref(href: string): { start: number, end: number }|null
+ *       Start and end from a `#t=<start>,<end>` link target (end after start), or null.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Quill delta ops (quill.getContents().ops) using the editor's formats
+ *   - Markdown text (CommonMark subset written by deltaToMarkdown, plus common variants)
+ * Outputs:
+ *   - Markdown string and extracted image files (base64)
+ *   - Delta ops ready for quill.updateContents()/setContents()
+ * Side-effects:
+ *   - None (pure functions)
+ * Invariants:
+ *   - deltaToMarkdown → markdownToDelta preserves text, timestamps, closed ranges, headers,
+ *     lists, quotes, code blocks, bold/italic/underline/strike and links
+ *   - Colors, alignment, image sizes, segments and range looping are not represented in
+ *     Markdown and are dropped; an open range (no end yet) is written as a timestamp
+ * Failure Modes:
+ *   - Unknown Markdown constructs are imported as plain paragraph text; no throws
+ */
+
+import { formatRange, formatTime } from './utils.js';
+
+const TIMESTAMP_HREF = /^#t=(\d+(?:\.\d+)?)$/;
+const RANGE_HREF = /^#t=(\d+(?:\.\d+)?),(\d+(?:\.\d+)?)$/;
+
+// Emphasis content: escapes are opaque and the last character is not whitespace
+const EMPHASIS_CONTENT = String.raw`((?:\\[\s\S]|[^\\])*?(?:\\[\s\S]|[^\s\\]))`;
+
+/** @type {[RegExp, object][]} Inline emphasis markers and the attributes they set */
+const EMPHASIS_RULES = [
+  [new RegExp(`^(\\*\\*\\*|___)(?=\\S)${EMPHASIS_CONTENT}\\1`), { bold: true, italic: true }],
+  [new RegExp(`^(\\*\\*|__)(?=\\S)${EMPHASIS_CONTENT}\\1`), { bold: true }],
+  [new RegExp(`^(\\*|_)(?=\\S)${EMPHASIS_CONTENT}\\1`), { italic: true }],
+  [new RegExp(`^(~~)(?=\\S)${EMPHASIS_CONTENT}~~`), { strike: true }],
+  [/^(<u>)([\s\S]*?)<\/u>/, { underline: true }],
+];
+
+/**
+ * Seconds from a timestamp link target
+ * @param {string} href - Link destination
+ * @returns {number|null} Seconds, or null if href is not a `#t=` link
+ */
+export function parseTimestampHref(href) {
+  const match = TIMESTAMP_HREF.exec(String(href || '').trim());
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Start and end from a timestamp range link target
+ * @param {string} href - Link destination
+ * @returns {{ start: number, end: number }|null} Range in seconds, or null if href is not a
+ *   `#t=<start>,<end>` link with end after start
+ */
+export function parseRangeHref(href) {
+  const match = RANGE_HREF.exec(String(href || '').trim());
+  if (!match) return null;
+  const start = Number(match[1]);
+  const end = Number(match[2]);
+  return end > start ? { start, end } : null;
+}
+
+/**
+ * Internal: seconds in a `#t=` link target
+ * @param {number} seconds - Time in seconds
+ * @returns {number} Rounded to milliseconds
+ */
+function hrefTime(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+// =====================================================================
+// DELTA → MARKDOWN
+// =====================================================================
+
+/**
+ * Internal: escape Markdown punctuation in plain text
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+function escapeInline(text) {
+  return text.replace(/[\\`*_[\]<~]/g, '\\$&');
+}
+
+/**
+ * Internal: wrap text in emphasis markers, keeping surrounding spaces outside them
+ * (`** bold**` is not emphasis in CommonMark)
+ * @param {string} text - Rendered inline text
+ * @param {string} open - Opening marker
+ * @param {string} [close] - Closing marker (defaults to open)
+ * @returns {string} Wrapped text
+ */
+function wrap(text, open, close = open) {
+  const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+  if (!match || !match[2]) return text;
+  return `${match[1]}${open}${match[2]}${close}${match[3]}`;
+}
+
+/**
+ * Internal: link destination, using <...> when it contains spaces or parentheses
+ * @param {string} url - Destination
+ * @returns {string} CommonMark link destination
+ */
+function linkDestination(url) {
+  return /[\s()]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+}
+
+/**
+ * Internal: image source from an image embed value (string "src|WxH" or object)
+ * @param {any} value - Image embed value
+ * @returns {string} Image source
+ */
+function imageSource(value) {
+  if (value && typeof value === 'object') return String(value.src || '');
+  return String(value || '').split('|')[0];
+}
+
+/**
+ * Internal: split delta ops into lines of inline ops plus the line's block attributes
+ * @param {any[]} ops - Delta ops
+ * @returns {{ inlines: { insert: any, attributes?: any }[], attributes: any }[]} Lines
+ */
+function splitLines(ops) {
+  const lines = [];
+  let inlines = [];
+  for (const op of ops || []) {
+    if (op.insert && op.insert.image !== undefined) {
+      // Images are block embeds: always a line of their own
+      if (inlines.length) lines.push({ inlines, attributes: {} });
+      lines.push({ inlines: [op], attributes: {} });
+      inlines = [];
+      continue;
+    }
+    if (typeof op.insert !== 'string') {
+      inlines.push(op);
+      continue;
+    }
+    const parts = op.insert.split('\n');
+    parts.forEach((part, i) => {
+      if (i > 0) {
+        lines.push({ inlines, attributes: op.attributes || {} });
+        inlines = [];
+      }
+      if (part) inlines.push({ insert: part, attributes: op.attributes });
+    });
+  }
+  if (inlines.length) lines.push({ inlines, attributes: {} });
+  return lines;
+}
+
+/**
+ * Serialize delta ops as CommonMark
+ * @param {any[]} ops - Delta ops (quill.getContents().ops)
+ * @param {{ assetsFolder?: string }} [opts] - Folder referenced by extracted image links
+ * @returns {{ markdown: string, images: import('../../types/global').ExtractedImage[] }} Markdown and image files
+ */
+export function deltaToMarkdown(ops, opts = {}) {
+  const assetsFolder = opts.assetsFolder ?? 'assets';
+  /** @type {import('../../types/global').ExtractedImage[]} */
+  const images = [];
+
+  /**
+   * Internal: render an image embed, extracting data: URLs to files
+   * @param {any} value - Image embed value
+   * @returns {string} Markdown image
+   */
+  const renderImage = (value) => {
+    const src = imageSource(value);
+    const dataUrl = /^data:image\/([^;]+);base64,(.*)$/.exec(src);
+    if (!dataUrl) return src ? `![](${linkDestination(src)})` : '';
+
+    const mimeExtension = dataUrl[1];
+    let fileExtension = mimeExtension;
+    if (mimeExtension === 'jpeg') fileExtension = 'jpg';
+    else if (mimeExtension === 'svg+xml') fileExtension = 'svg';
+    const fileName = `image_${String(images.length + 1).padStart(3, '0')}.${fileExtension}`;
+    images.push({ fileName, base64Data: dataUrl[2], mimeType: `image/${mimeExtension}` });
+    return `![](${linkDestination(`${assetsFolder}/${fileName}`)})`;
+  };
+
+  /**
+   * Internal: render one inline op
+   * @param {{ insert: any, attributes?: any }} op - Inline op
+   * @returns {string} Markdown
+   */
+  const renderInline = (op) => {
+    const insert = op.insert;
+    if (insert && typeof insert === 'object') {
+      if (insert.timestamp) {
+        const ts = Number(insert.timestamp.ts) || 0;
+        // Labels read back from the DOM can carry Quill's zero-width embed guards
+        const label = String(insert.timestamp.label || '').replace(/\uFEFF/g, '') || formatTime(ts);
+        return `[${escapeInline(label)}](#t=${hrefTime(ts)})`;
+      }
+      if (insert.timestampRange) {
+        const start = Number(insert.timestampRange.start) || 0;
+        const end = insert.timestampRange.end === null ? null : Number(insert.timestampRange.end);
+        const closed = end !== null && Number.isFinite(end) && end > start;
+        const label =
+          String(insert.timestampRange.label || '').replace(/\uFEFF/g, '') ||
+          formatRange(start, closed ? end : null);
+        const href = closed ? `#t=${hrefTime(start)},${hrefTime(end)}` : `#t=${hrefTime(start)}`;
+        return `[${escapeInline(label)}](${href})`;
+      }
+      if (insert.image !== undefined) return renderImage(insert.image);
+      return '';
+    }
+
+    const attrs = op.attributes || {};
+    let text = attrs.code ? `\`${insert}\`` : escapeInline(insert);
+    if (attrs.bold) text = wrap(text, '**');
+    if (attrs.italic) text = wrap(text, '*');
+    if (attrs.strike) text = wrap(text, '~~');
+    if (attrs.underline) text = wrap(text, '<u>', '</u>');
+    if (attrs.link) text = `[${text}](${linkDestination(attrs.link)})`;
+    return text;
+  };
+
+  const blocks = [];
+  const listCounters = [];
+  let codeLines = null;
+
+  const flushCode = () => {
+    if (codeLines) blocks.push({ kind: 'code', text: '```\n' + codeLines.join('\n') + '\n```' });
+    codeLines = null;
+  };
+
+  for (const line of splitLines(ops)) {
+    const attrs = line.attributes;
+
+    if (attrs['code-block']) {
+      codeLines = codeLines || [];
+      codeLines.push(
+        line.inlines.map((op) => (typeof op.insert === 'string' ? op.insert : '')).join('')
+      );
+      continue;
+    }
+    flushCode();
+
+    let text = line.inlines.map(renderInline).join('');
+    if (attrs.list) {
+      const indent = Number(attrs.indent) || 0;
+      const ordered = attrs.list === 'ordered';
+      // Numbering restarts for each list and each nesting level
+      listCounters.length = indent + 1;
+      listCounters[indent] = ordered ? (listCounters[indent] || 0) + 1 : 0;
+      let marker = '-';
+      if (ordered) marker = `${listCounters[indent]}.`;
+      else if (attrs.list === 'checked') marker = '- [x]';
+      else if (attrs.list === 'unchecked') marker = '- [ ]';
+      blocks.push({ kind: 'list', text: `${'    '.repeat(indent)}${marker} ${text}` });
+      continue;
+    }
+    listCounters.length = 0;
+
+    if (!text.trim()) {
+      continue;
+    }
+    // Keep paragraph text from being read as a block marker
+    text = text
+      .replace(/^(\s*)(#{1,6}(?=\s|$)|>|[-+](?=\s))/, '$1\\$2')
+      .replace(/^(\s*\d+)([.)])(?=\s)/, '$1\\$2');
+
+    if (attrs.header) {
+      blocks.push({ kind: 'header', text: `${'#'.repeat(Number(attrs.header))} ${text}` });
+    } else if (attrs.blockquote) {
+      blocks.push({ kind: 'quote', text: `> ${text}` });
+    } else {
+      blocks.push({ kind: 'paragraph', text });
+    }
+  }
+  flushCode();
+
+  // Blank line between blocks, except inside a list or a quote
+  let markdown = '';
+  blocks.forEach((block, i) => {
+    if (i > 0) {
+      const prev = blocks[i - 1].kind;
+      markdown +=
+        prev === block.kind && (block.kind === 'list' || block.kind === 'quote') ? '\n' : '\n\n';
+    }
+    markdown += block.text;
+  });
+  return { markdown: markdown ? markdown + '\n' : '', images };
+}
+
+// =====================================================================
+// MARKDOWN → DELTA
+// =====================================================================
+
+/**
+ * Internal: parse inline Markdown into delta ops
+ * @param {string} text - Inline Markdown
+ * @param {any} attributes - Inherited inline attributes
+ * @param {(src: string) => string} resolveImage - Maps image sources to embeddable URLs
+ * @returns {any[]} Delta ops (no newlines)
+ */
+function parseInline(text, attributes, resolveImage) {
+  const ops = [];
+  const pushText = (str, attrs) => {
+    if (!str) return;
+    const clean = attrs && Object.keys(attrs).length ? { ...attrs } : null;
+    const last = ops[ops.length - 1];
+    if (
+      last &&
+      typeof last.insert === 'string' &&
+      JSON.stringify(last.attributes || null) === JSON.stringify(clean)
+    ) {
+      last.insert += str;
+    } else {
+      ops.push(clean ? { insert: str, attributes: clean } : { insert: str });
+    }
+  };
+
+  let plain = '';
+  const flush = () => {
+    pushText(plain, attributes);
+    plain = '';
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const rest = text.slice(i);
+    let match;
+
+    if (rest[0] === '\\' && /^\\[!-/:-@[-`{-~]/.test(rest)) {
+      plain += rest[1];
+      i += 2;
+      continue;
+    }
+
+    // Image ![alt](src)
+    if ((match = /^!\[([^\]]*)\]\((<[^>]*>|[^)\s]+)(?:\s+"[^"]*")?\)/.exec(rest))) {
+      flush();
+      const src = resolveImage(unwrapDestination(match[2]));
+      if (src) ops.push({ insert: { image: src } });
+      i += match[0].length;
+      continue;
+    }
+
+    // Link [text](href) — `#t=` targets become timestamp (or timestamp range) embeds
+    if ((match = /^\[((?:\\.|[^\]\\])*)\]\((<[^>]*>|[^)\s]+)(?:\s+"[^"]*")?\)/.exec(rest))) {
+      flush();
+      const href = unwrapDestination(match[2]);
+      const ts = parseTimestampHref(href);
+      const range = parseRangeHref(href);
+      const text = match[1].replace(/\\(.)/g, '$1').trim();
+      if (ts !== null) {
+        ops.push({ insert: { timestamp: { ts, label: text || formatTime(ts) } } });
+      } else if (range) {
+        const label = text || formatRange(range.start, range.end);
+        ops.push({ insert: { timestampRange: { ...range, label } } });
+      } else {
+        ops.push(...parseInline(match[1], { ...attributes, link: href }, resolveImage));
+      }
+      i += match[0].length;
+      continue;
+    }
+
+    // Code span
+    if ((match = /^(`+)([\s\S]*?[^`])\1(?!`)/.exec(rest))) {
+      flush();
+      pushText(match[2].replace(/^ (.*) $/, '$1'), { ...attributes, code: true });
+      i += match[0].length;
+      continue;
+    }
+
+    // Emphasis: ***x***, **x** / __x__, *x* / _x_, ~~x~~, <u>x</u>
+    const hit = EMPHASIS_RULES.find(([re]) => (match = re.exec(rest)));
+    if (hit && match) {
+      flush();
+      ops.push(...parseInline(match[2], { ...attributes, ...hit[1] }, resolveImage));
+      i += match[0].length;
+      continue;
+    }
+
+    plain += rest[0];
+    i += 1;
+  }
+  flush();
+
+  // Merge adjacent text ops produced by nested parses
+  return ops.reduce((merged, op) => {
+    const last = merged[merged.length - 1];
+    if (
+      last &&
+      typeof last.insert === 'string' &&
+      typeof op.insert === 'string' &&
+      JSON.stringify(last.attributes || null) === JSON.stringify(op.attributes || null)
+    ) {
+      last.insert += op.insert;
+    } else {
+      merged.push({ ...op });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Internal: strip <...> around a link destination and decode %-escapes
+ * @param {string} destination - Raw destination
+ * @returns {string} URL
+ */
+function unwrapDestination(destination) {
+  const raw = destination.startsWith('<') ? destination.slice(1, -1) : destination;
+  try {
+    return decodeURI(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Parse Markdown into delta ops
+ * @param {string} markdown - Markdown text
+ * @param {{ resolveImage?: (src: string) => string }} [opts] - Image source resolver
+ *   (e.g., relative asset paths to data: URLs); returning '' drops the image
+ * @returns {any[]} Delta ops
+ */
+export function markdownToDelta(markdown, opts = {}) {
+  const resolveImage = opts.resolveImage || ((src) => src);
+  const lines = String(markdown || '')
+    .replace(/\r\n?/g, '\n')
+    .split('\n');
+  const ops = [];
+
+  const pushLine = (text, blockAttrs) => {
+    const inline = parseInline(text, {}, resolveImage);
+    ops.push(...inline);
+    // Images are block embeds; an image-only line needs no line break of its own
+    if (!blockAttrs && inline.length && inline.every((op) => op.insert.image !== undefined)) {
+      return;
+    }
+    ops.push(blockAttrs ? { insert: '\n', attributes: blockAttrs } : { insert: '\n' });
+  };
+
+  const isBlockStart = (line) =>
+    /^ {0,3}(#{1,6}(\s|$)|>|```|~~~|([-+*]|\d+[.)])\s)/.test(line) || /^\s*$/.test(line);
+
+  /** @type {number[]} Leading-space widths of open list levels */
+  const listStack = [];
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    let match;
+
+    // Fenced code block
+    if ((match = /^ {0,3}(`{3,}|~{3,})/.exec(line))) {
+      const fence = match[1];
+      i += 1;
+      while (i < lines.length && !lines[i].trimStart().startsWith(fence)) {
+        ops.push({ insert: lines[i] }, { insert: '\n', attributes: { 'code-block': true } });
+        i += 1;
+      }
+      i += 1;
+      listStack.length = 0;
+      continue;
+    }
+
+    if (!line.trim() || /^ {0,3}([-*_])( *\1){2,} *$/.test(line)) {
+      i += 1;
+      continue;
+    }
+
+    if ((match = /^ {0,3}(#{1,6})(?:\s+(.*?))?(?:\s+#+)?\s*$/.exec(line))) {
+      pushLine(match[2] || '', { header: match[1].length });
+      listStack.length = 0;
+      i += 1;
+      continue;
+    }
+
+    if ((match = /^ {0,3}> ?(.*)$/.exec(line))) {
+      pushLine(match[1], { blockquote: true });
+      listStack.length = 0;
+      i += 1;
+      continue;
+    }
+
+    if ((match = /^(\s*)([-+*]|\d+[.)])\s+(?:\[([ xX])\]\s+)?(.*)$/.exec(line))) {
+      const width = match[1].replace(/\t/g, '    ').length;
+      while (listStack.length && listStack[listStack.length - 1] > width) listStack.pop();
+      if (!listStack.length || listStack[listStack.length - 1] < width) listStack.push(width);
+      const indent = listStack.length - 1;
+
+      let list = /\d/.test(match[2]) ? 'ordered' : 'bullet';
+      if (match[3]) list = match[3] === ' ' ? 'unchecked' : 'checked';
+      pushLine(match[4], indent > 0 ? { list, indent } : { list });
+      i += 1;
+      continue;
+    }
+
+    // Paragraph: consecutive lines up to the next blank line or block start
+    const paragraph = [line.trim()];
+    i += 1;
+    while (i < lines.length && !isBlockStart(lines[i])) {
+      paragraph.push(lines[i].trim());
+      i += 1;
+    }
+    listStack.length = 0;
+    pushLine(paragraph.join(' '), null);
+  }
+
+  return ops;
+}
@@ -0,0 +1,302 @@
+// @ts-check
+
+/**
+ * @file Timeline math for trimming and cutting the recording
+ * Removed ranges ("cuts") are turned into the segments to keep, and every time-based item of
+ * the session (timestamps in the notes, markers, transcript lines) is moved to where the same
+ * moment ends up in the edited media.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - normalizeCuts(cuts: TimeRange[], duration: number): TimeRange[]
+ *       Sorted, clamped, merged cuts (ranges shorter than MIN_CUT are dropped).
+ *   - keepSegments(cuts: TimeRange[], duration: number): TimeRange[]
+ *       Parts of the media that remain, in order.
+ *   - mapTime(t: number, cuts: TimeRange[]): number|null
+ *       New time of a moment, or null when it was cut out.
+ *   - planTrackCut(cuts: TimeRange[], duration: number, startOffset: number): TrackCut
+ *       Segments of a raw track to keep (on its own timeline) and its offset after the cut.
+ *   - planTimestampEdits(ops: DeltaOp[], cuts: TimeRange[], inScope?: (stamp) => boolean): TimestampEdit[]
+ *       Timestamp embeds of a Quill delta that move (value) or go away (null); inScope limits
+ *       them to the edited recording (segment).
+ *   - planRangeEdits(ops: DeltaOp[], cuts: TimeRange[], inScope?: (range) => boolean): RangeEdit[]
+ *       The same for timestamp range embeds: ends are clamped to what remains of the range.
+ *   - remapMarkers(markers: Marker[], cuts: TimeRange[]): Marker[]
+ *   - remapTranscript(transcript: Transcript|null, cuts: TimeRange[]): Transcript|null
+ *       Markers/transcript lines on the edited timeline (cut-out ones are dropped).
+ *   - remapBoundaries(boundaries: number[], cuts: TimeRange[]): number[]
+ *       Recorded segment starts on the edited timeline (segments cut away entirely are dropped).
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Cuts chosen in the trim dialog and the media duration (seconds)
+ *   - Raw track offsets on the recording's timeline
+ *   - The Quill delta, markers, transcript and segment boundaries of the session
+ * Outputs:
+ *   - Keep segments for the main-process cutter (recording and raw tracks) and remapped
+ *     session data
+ * Side-effects:
+ *   - None (pure functions)
+ * Invariants:
+ *   - Cuts passed to the mapping functions are normalized (sorted, non-overlapping)
+ *   - A moment inside a cut maps to null; everything after a cut moves earlier by its length
+ *   - Timestamp labels that show the time are rewritten; custom labels are kept
+ *   - Timestamps keep their segment; those outside inScope are never touched
+ *   - A range keeps what remains of it (a range cut away entirely is deleted)
+ * Failure Modes:
+ *   - Invalid ranges are dropped, never thrown
+ */
+
+import { formatRange, formatTime } from './utils.js';
+
+// Ranges shorter than this (seconds) are ignored: nothing audible is removed or kept
+const MIN_CUT = 0.05;
+
+/**
+ * @typedef {{ start: number, end: number }} TimeRange
+ */
+/**
+ * @typedef {object} TimestampEdit
+ * @property {number} index - Document index of the timestamp embed
+ * @property {import('../../types/global').TimestampValue|null} value - New value, or null to delete
+ */
+/**
+ * @typedef {object} RangeEdit
+ * @property {number} index - Document index of the timestamp range embed
+ * @property {import('../../types/global').TimestampRangeValue|null} value - New value, or null to
+ *   delete
+ */
+/**
+ * @typedef {{ insert?: any, attributes?: object }} DeltaOp
+ */
+/**
+ * @typedef {object} TrackCut
+ * @property {TimeRange[]} segments - Segments to keep on the track's timeline ([] when the track
+ *   was cut away entirely)
+ * @property {number} startOffset - Where the track starts on the edited timeline
+ */
+
+/**
+ * Clean up the cuts chosen by the user
+ * @param {TimeRange[]} cuts - Ranges to remove (any order, may overlap)
+ * @param {number} duration - Media duration in seconds
+ * @returns {TimeRange[]} Sorted, merged cuts inside [0, duration]
+ */
+export function normalizeCuts(cuts, duration) {
+  if (!Array.isArray(cuts) || !(duration > 0)) return [];
+  const ranges = cuts
+    .map((c) => ({
+      start: Math.max(0, Number(c?.start)),
+      end: Math.min(duration, Number(c?.end)),
+    }))
+    .filter((c) => Number.isFinite(c.start) && Number.isFinite(c.end) && c.end > c.start)
+    .sort((a, b) => a.start - b.start);
+
+  /** @type {TimeRange[]} */
+  const merged = [];
+  ranges.forEach((c) => {
+    const last = merged[merged.length - 1];
+    if (last && c.start <= last.end) last.end = Math.max(last.end, c.end);
+    else merged.push({ ...c });
+  });
+  return merged.filter((c) => c.end - c.start >= MIN_CUT);
+}
+
+/**
+ * Parts of the media that remain after the cuts
+ * @param {TimeRange[]} cuts - Normalized cuts
+ * @param {number} duration - Media duration in seconds
+ * @returns {TimeRange[]} Segments to keep, in order
+ */
+export function keepSegments(cuts, duration) {
+  /** @type {TimeRange[]} */
+  const keep = [];
+  let pos = 0;
+  cuts.forEach((c) => {
+    if (c.start - pos >= MIN_CUT) keep.push({ start: pos, end: c.start });
+    pos = c.end;
+  });
+  if (duration - pos >= MIN_CUT) keep.push({ start: pos, end: duration });
+  return keep;
+}
+
+/**
+ * Internal: time on the edited timeline, with cut-out moments collapsed onto the cut point
+ * @param {number} t - Original time in seconds
+ * @param {TimeRange[]} cuts - Normalized cuts
+ * @returns {number} New time
+ */
+function collapseTime(t, cuts) {
+  const removed = cuts.reduce((sum, c) => sum + Math.max(0, Math.min(t, c.end) - c.start), 0);
+  return Math.max(0, t - removed);
+}
+
+/**
+ * New time of a moment
+ * @param {number} t - Original time in seconds
+ * @param {TimeRange[]} cuts - Normalized cuts
+ * @returns {number|null} New time, or null when the moment was cut out
+ */
+export function mapTime(t, cuts) {
+  if (cuts.some((c) => t >= c.start && t < c.end)) return null;
+  return collapseTime(t, cuts);
+}
+
+/**
+ * Parts of a raw track that remain after the cuts
+ * The track's timeline starts at startOffset on the recording's; a track starting inside a cut
+ * starts where that cut was. Segments may run past the track's end (the cutter clips them).
+ * @param {TimeRange[]} cuts - Normalized cuts
+ * @param {number} duration - Recording duration in seconds
+ * @param {number} startOffset - Seconds into the recording where the track starts
+ * @returns {TrackCut} Segments to keep and the new offset
+ */
+export function planTrackCut(cuts, duration, startOffset) {
+  const segments = keepSegments(cuts, duration)
+    .map((s) => ({ start: Math.max(0, s.start - startOffset), end: s.end - startOffset }))
+    .filter((s) => s.end - s.start >= MIN_CUT);
+  // First moment of the track that is kept
+  const first = segments.length ? segments[0].start + startOffset : startOffset;
+  return { segments, startOffset: mapTime(first, cuts) ?? collapseTime(first, cuts) };
+}
+
+/**
+ * Timestamps of a Quill delta that have to change
+ * @param {DeltaOp[]} ops - Document delta ops (quill.getContents().ops)
+ * @param {TimeRange[]} cuts - Normalized cuts
+ * @param {(stamp: import('../../types/global').TimestampValue) => boolean} [inScope] - Whether a
+ *   timestamp belongs to the edited media (default: all)
+ * @returns {TimestampEdit[]} Edits in document order
+ */
+export function planTimestampEdits(ops, cuts, inScope = () => true) {
+  /** @type {TimestampEdit[]} */
+  const edits = [];
+  let index = 0;
+  (ops || []).forEach((op) => {
+    const insert = op.insert;
+    if (typeof insert === 'string') {
+      index += insert.length;
+      return;
+    }
+    const stamp = insert && insert.timestamp;
+    if (stamp && inScope(stamp)) {
+      const ts = Number(stamp.ts) || 0;
+      const next = mapTime(ts, cuts);
+      // The time before the lead-in offset may fall into a cut the timestamp itself escapes
+      const raw = Number.isFinite(stamp.raw) ? collapseTime(stamp.raw, cuts) : undefined;
+      if (next === null) {
+        edits.push({ index, value: null });
+      } else if (next !== ts || raw !== stamp.raw) {
+        const label =
+          !stamp.label || stamp.label === formatTime(ts) ? formatTime(next) : stamp.label;
+        edits.push({
+          index,
+          value: {
+            ts: next,
+            label,
+            ...(stamp.segment ? { segment: stamp.segment } : {}),
+            ...(raw !== undefined ? { raw } : {}),
+          },
+        });
+      }
+    }
+    index += 1; // Every embed has length 1
+  });
+  return edits;
+}
+
+/**
+ * Timestamp ranges of a Quill delta that have to change
+ * A closed range keeps the parts of it that remain; an open range (no end yet) moves like a
+ * timestamp.
+ * @param {DeltaOp[]} ops - Document delta ops (quill.getContents().ops)
+ * @param {TimeRange[]} cuts - Normalized cuts
+ * @param {(range: import('../../types/global').TimestampRangeValue) => boolean} [inScope] -
+ *   Whether a range belongs to the edited media (default: all)
+ * @returns {RangeEdit[]} Edits in document order
+ */
+export function planRangeEdits(ops, cuts, inScope = () => true) {
+  /** @type {RangeEdit[]} */
+  const edits = [];
+  let index = 0;
+  (ops || []).forEach((op) => {
+    const insert = op.insert;
+    if (typeof insert === 'string') {
+      index += insert.length;
+      return;
+    }
+    const range = insert && insert.timestampRange;
+    if (range && inScope(range)) {
+      const start = Number(range.start) || 0;
+      const end = range.end === null || range.end === undefined ? null : Number(range.end);
+      const nextStart = end === null ? mapTime(start, cuts) : collapseTime(start, cuts);
+      const nextEnd = end === null ? null : collapseTime(end, cuts);
+      if (nextStart === null || (nextEnd !== null && nextEnd - nextStart < MIN_CUT)) {
+        edits.push({ index, value: null });
+      } else if (nextStart !== start || nextEnd !== end) {
+        const label =
+          !range.label || range.label === formatRange(start, end)
+            ? formatRange(nextStart, nextEnd)
+            : range.label;
+        edits.push({ index, value: { ...range, start: nextStart, end: nextEnd, label } });
+      }
+    }
+    index += 1; // Every embed has length 1
+  });
+  return edits;
+}
+
+/**
+ * Markers on the edited timeline
+ * @param {import('../../types/global').Marker[]} markers - Markers
+ * @param {TimeRange[]} cuts - Normalized cuts
+ * @returns {import('../../types/global').Marker[]} Remaining markers, moved
+ */
+export function remapMarkers(markers, cuts) {
+  return (markers || []).flatMap((m) => {
+    const time = mapTime(m.time, cuts);
+    return time === null ? [] : [{ ...m, time }];
+  });
+}
+
+/**
+ * Transcript on the edited timeline
+ * Lines are shortened where a cut overlaps them and dropped when nothing of them remains.
+ * @param {import('../../types/global').Transcript|null} transcript - Transcript
+ * @param {TimeRange[]} cuts - Normalized cuts
+ * @returns {import('../../types/global').Transcript|null} Remapped transcript
+ */
+export function remapTranscript(transcript, cuts) {
+  if (!transcript) return null;
+  const segments = transcript.segments
+    .map((s) => ({ ...s, start: collapseTime(s.start, cuts), end: collapseTime(s.end, cuts) }))
+    .filter((s) => s.end > s.start);
+  return { ...transcript, segments };
+}
+
+/**
+ * Segment boundaries on the edited timeline
+ * A boundary inside a cut moves to the cut point; segments that no longer have any length
+ * are merged into their neighbour.
+ * @param {number[]} boundaries - Start times of the recorded segments (first is 0)
+ * @param {TimeRange[]} cuts - Normalized cuts
+ * @returns {number[]} Remapped boundaries, ascending ([] when only one segment remains)
+ */
+export function remapBoundaries(boundaries, cuts) {
+  /** @type {number[]} */
+  const out = [];
+  (boundaries || []).forEach((t) => {
+    const next = collapseTime(t, cuts);
+    if (!out.length || next - out[out.length - 1] >= MIN_CUT) out.push(next);
+  });
+  if (out.length) out[0] = 0;
+  return out.length > 1 ? out : [];
+}
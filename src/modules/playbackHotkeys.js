@@ -0,0 +1,255 @@
+// @ts-check
+
+/**
+ * @file Playback keyboard layer
+ * Hotkeys that control the player while the editor has focus: play/pause, skipping, playback
+ * speed and jumping between timestamps. Combos are built from KeyboardEvent.code so they do not
+ * depend on the keyboard layout, and every combo needs Cmd/Ctrl or Alt so it never types text.
+ * AltGr is reported as Ctrl+Alt on Windows, so AltGr presses (which type characters on many
+ * layouts) are never combos.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Constants:
+ *   - PLAYBACK_ACTIONS: { id: PlaybackAction, label: string }[]
+ *       Actions in display order.
+ * Functions:
+ *   - isAltGraph(e: KeyboardEvent): boolean
+ *       Whether AltGr is held (the press types a character).
+ *   - comboFromEvent(e: KeyboardEvent, mac: boolean): string
+ *       'Mod+Alt+Shift+KeyK' style combo ('' for modifier-only and AltGr presses).
+ *   - normalizeHotkeys(hotkeys: any): PlaybackHotkeys
+ *       Defaults with valid overrides applied; '' marks an unbound action.
+ *   - hotkeyError(combo: string): string|null
+ *       Why a combo cannot be used, or null.
+ *   - loadHotkeys(storage: Storage): PlaybackHotkeys
+ *   - saveHotkeys(storage: Storage, hotkeys: PlaybackHotkeys): void
+ *       Persistence under CONFIG.STORAGE_KEYS.PLAYBACK_HOTKEYS (only changed combos are stored).
+ *   - actionForEvent(hotkeys: PlaybackHotkeys, e: KeyboardEvent, mac: boolean): PlaybackAction|null
+ *   - formatCombo(combo: string, mac: boolean): string
+ *       Display text, e.g. 'Cmd+Alt+K' or 'Ctrl+Alt+←'.
+ *   - stepRate(rate: number, direction: 1|-1): number
+ *       Next slower/faster rate of CONFIG.PLAYBACK.RATES.
+ *   - adjacentTime(times: number[], current: number, direction: 1|-1): number|null
+ *       Previous/next timestamp time from the playhead.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Keyboard events; stored overrides (localStorage) or edits from the shortcuts dialog
+ * Outputs:
+ *   - The action a key press triggers; display text for combos; rates and seek targets
+ * Side-effects:
+ *   - None (pure functions; storage is passed in)
+ * Invariants:
+ *   - A combo is bound to at most one action; a later override unbinds the action that had it
+ *   - Editor and menu shortcuts (CONFIG.PLAYBACK.RESERVED_HOTKEYS) are never bound
+ *   - AltGr presses never match an action
+ * Failure Modes:
+ *   - Invalid stored combos fall back to the defaults; corrupt storage is ignored
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * @typedef {'playPause'|'back'|'forward'|'backLong'|'forwardLong'|'slower'|'faster'|'normalSpeed'|'previousTimestamp'|'nextTimestamp'} PlaybackAction
+ */
+/**
+ * @typedef {Record<PlaybackAction, string>} PlaybackHotkeys
+ */
+
+/** @type {{ id: PlaybackAction, label: string }[]} */
+export const PLAYBACK_ACTIONS = [
+  { id: 'playPause', label: 'Play / pause' },
+  { id: 'back', label: `Back ${CONFIG.PLAYBACK.SKIP_SHORT} s` },
+  { id: 'forward', label: `Forward ${CONFIG.PLAYBACK.SKIP_SHORT} s` },
+  { id: 'backLong', label: `Back ${CONFIG.PLAYBACK.SKIP_LONG} s` },
+  { id: 'forwardLong', label: `Forward ${CONFIG.PLAYBACK.SKIP_LONG} s` },
+  { id: 'slower', label: 'Slower' },
+  { id: 'faster', label: 'Faster' },
+  { id: 'normalSpeed', label: 'Normal speed' },
+  { id: 'previousTimestamp', label: 'Previous timestamp' },
+  { id: 'nextTimestamp', label: 'Next timestamp' },
+];
+
+const MODIFIERS = ['Mod', 'Alt', 'Shift'];
+// Modifiers in the order comboFromEvent writes them
+const COMBO_PATTERN = /^(Mod\+)?(Alt\+)?(Shift\+)?[A-Za-z0-9]+$/;
+const KEY_NAMES = {
+  ArrowLeft: '←',
+  ArrowRight: '→',
+  ArrowUp: '↑',
+  ArrowDown: '↓',
+  Comma: ',',
+  Period: '.',
+  Slash: '/',
+  Semicolon: ';',
+  Quote: "'",
+  Minus: '-',
+  Equal: '=',
+  Backquote: '`',
+};
+
+/**
+ * Whether AltGr is held
+ * @param {{ getModifierState?: KeyboardEvent['getModifierState'] }} e - Keyboard event
+ * @returns {boolean} True when the press types a character through AltGr
+ */
+export function isAltGraph(e) {
+  return typeof e.getModifierState === 'function' && e.getModifierState('AltGraph');
+}
+
+/**
+ * Combo of a key press
+ * @param {Pick<KeyboardEvent, 'code'|'metaKey'|'ctrlKey'|'altKey'|'shiftKey'> & { getModifierState?: KeyboardEvent['getModifierState'] }} e - keydown event
+ * @param {boolean} mac - Mod is Cmd (metaKey) on macOS, Ctrl elsewhere
+ * @returns {string} Combo, or '' when only modifiers are pressed or AltGr is held
+ */
+export function comboFromEvent(e, mac) {
+  const code = e.code || '';
+  if (!code || /^(Meta|Control|Alt|Shift)(Left|Right)?$/.test(code)) return '';
+  if (isAltGraph(e)) return '';
+  const parts = [];
+  if (mac ? e.metaKey : e.ctrlKey) parts.push('Mod');
+  if (e.altKey) parts.push('Alt');
+  if (e.shiftKey) parts.push('Shift');
+  return [...parts, code].join('+');
+}
+
+/**
+ * Why a combo cannot be bound
+ * @param {string} combo - Combo
+ * @returns {string|null} Message, or null when the combo can be used
+ */
+export function hotkeyError(combo) {
+  const match = typeof combo === 'string' ? COMBO_PATTERN.exec(combo) : null;
+  if (!match) return 'Not a key combination.';
+  if (!match[1] && !match[2]) {
+    return 'Use Cmd/Ctrl or Alt so the key does not type into the notes.';
+  }
+  if (CONFIG.PLAYBACK.RESERVED_HOTKEYS.includes(combo)) {
+    return 'This combination is used by an editor shortcut or menu item.';
+  }
+  return null;
+}
+
+/**
+ * Defaults with valid overrides applied
+ * @param {any} hotkeys - Overrides by action ('' unbinds)
+ * @returns {PlaybackHotkeys} Combo per action ('' = unbound)
+ */
+export function normalizeHotkeys(hotkeys) {
+  const input = hotkeys && typeof hotkeys === 'object' ? hotkeys : {};
+  const result = /** @type {PlaybackHotkeys} */ ({ ...CONFIG.PLAYBACK.DEFAULT_HOTKEYS });
+  PLAYBACK_ACTIONS.forEach(({ id }) => {
+    const combo = input[id];
+    if (combo === '') {
+      result[id] = '';
+    } else if (typeof combo === 'string' && !hotkeyError(combo)) {
+      // The combo moves to this action
+      PLAYBACK_ACTIONS.forEach((other) => {
+        if (other.id !== id && result[other.id] === combo) result[other.id] = '';
+      });
+      result[id] = combo;
+    }
+  });
+  return result;
+}
+
+/**
+ * Read the saved hotkeys
+ * @param {Pick<Storage, 'getItem'>} storage - localStorage
+ * @returns {PlaybackHotkeys} Saved hotkeys, or the defaults
+ */
+export function loadHotkeys(storage) {
+  try {
+    const raw = storage.getItem(CONFIG.STORAGE_KEYS.PLAYBACK_HOTKEYS);
+    return normalizeHotkeys(raw ? JSON.parse(raw) : null);
+  } catch (e) {
+    console.warn('Ignoring invalid playback hotkeys:', e);
+    return normalizeHotkeys(null);
+  }
+}
+
+/**
+ * Save hotkeys (only the ones that differ from the defaults, so new defaults still apply)
+ * @param {Pick<Storage, 'setItem'>} storage - localStorage
+ * @param {PlaybackHotkeys} hotkeys - Hotkeys
+ * @returns {void}
+ */
+export function saveHotkeys(storage, hotkeys) {
+  const normalized = normalizeHotkeys(hotkeys);
+  /** @type {Record<string, string>} */
+  const changed = {};
+  PLAYBACK_ACTIONS.forEach(({ id }) => {
+    if (normalized[id] !== CONFIG.PLAYBACK.DEFAULT_HOTKEYS[id]) changed[id] = normalized[id];
+  });
+  storage.setItem(CONFIG.STORAGE_KEYS.PLAYBACK_HOTKEYS, JSON.stringify(changed));
+}
+
+/**
+ * Action bound to a key press
+ * @param {PlaybackHotkeys} hotkeys - Hotkeys
+ * @param {Parameters<typeof comboFromEvent>[0]} e - keydown event
+ * @param {boolean} mac - Mod is Cmd on macOS
+ * @returns {PlaybackAction|null} Action, or null
+ */
+export function actionForEvent(hotkeys, e, mac) {
+  const combo = comboFromEvent(e, mac);
+  if (!combo) return null;
+  const match = PLAYBACK_ACTIONS.find(({ id }) => hotkeys[id] === combo);
+  return match ? match.id : null;
+}
+
+/**
+ * Display text of a combo
+ * @param {string} combo - Combo ('' = unbound)
+ * @param {boolean} mac - Show Cmd instead of Ctrl
+ * @returns {string} E.g. 'Cmd+Alt+K', or 'None'
+ */
+export function formatCombo(combo, mac) {
+  if (!combo) return 'None';
+  return combo
+    .split('+')
+    .map((part) => {
+      if (part === 'Mod') return mac ? 'Cmd' : 'Ctrl';
+      if (MODIFIERS.includes(part)) return part;
+      return KEY_NAMES[part] || part.replace(/^(Key|Digit|Numpad)/, '');
+    })
+    .join('+');
+}
+
+/**
+ * Next playback rate
+ * @param {number} rate - Current rate
+ * @param {1|-1} direction - 1 = faster, -1 = slower
+ * @returns {number} Neighboring rate of CONFIG.PLAYBACK.RATES (the ends stay)
+ */
+export function stepRate(rate, direction) {
+  const rates = CONFIG.PLAYBACK.RATES;
+  const current = Number(rate) || 1;
+  if (direction > 0) return rates.find((r) => r > current + 1e-6) ?? rates[rates.length - 1];
+  return [...rates].reverse().find((r) => r < current - 1e-6) ?? rates[0];
+}
+
+/**
+ * Previous/next timestamp from the playhead
+ * "Previous" skips timestamps just behind the playhead, so pressing it while a timestamp plays
+ * goes to the one before.
+ * @param {number[]} times - Timestamp times in seconds (any order)
+ * @param {number} current - Playhead in seconds
+ * @param {1|-1} direction - 1 = next, -1 = previous
+ * @returns {number|null} Time to seek to, or null when there is none
+ */
+export function adjacentTime(times, current, direction) {
+  const sorted = times.filter((t) => Number.isFinite(t)).sort((a, b) => a - b);
+  if (direction > 0) return sorted.find((t) => t > current + 0.05) ?? null;
+  const limit = current - CONFIG.PLAYBACK.PREVIOUS_TOLERANCE;
+  return [...sorted].reverse().find((t) => t < limit) ?? null;
+}
@@ -0,0 +1,146 @@
+// @ts-check
+
+/**
+ * @file Playback of timestamp ranges
+ * Plays only a part of the recording: from a range's start to its end, once or in a loop.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(player: HTMLMediaElement): void
+ *       Stores the player and watches its seeks and source changes.
+ *   - play(range: { start: number, end: number, loop?: boolean }): void
+ *       Seeks to start and plays until end (then pauses, or jumps back to start when looping).
+ *   - stop(): void
+ *       Stops watching; playback continues normally.
+ *   - isActive(): boolean
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Range values from timestamp range buttons
+ *   - Player events: timeupdate, seeking, emptied
+ * Outputs:
+ *   - Player seeks, play() and pause() calls
+ * Side-effects:
+ *   - Checks the playhead every animation frame while a range plays (timeupdate alone fires
+ *     only about four times a second, too late to stop at the end)
+ * Invariants:
+ *   - At most one range is active; playing another replaces it
+ *   - Seeking outside the range or loading other media ends range playback
+ * Failure Modes:
+ *   - play() rejections (e.g., no media) are ignored like other timestamp clicks
+ */
+
+/**
+ * Internal: a range with a usable start and end
+ * @typedef {object} ActiveRange
+ * @property {number} start - Start in seconds
+ * @property {number} end - End in seconds (> start)
+ * @property {boolean} loop - Jump back to start at the end
+ */
+
+/**
+ * Plays one timestamp range at a time on the app player
+ */
+export class RangePlayback {
+  constructor() {
+    /** @type {HTMLMediaElement|null} */
+    this.player = null;
+    /** @type {ActiveRange|null} */
+    this.range = null;
+    this.frame = 0;
+    this.check = this.check.bind(this);
+  }
+
+  /**
+   * Initialize with the player
+   * @param {HTMLMediaElement} player - Player the ranges play on
+   */
+  init(player) {
+    this.player = player;
+    player.addEventListener('timeupdate', this.check);
+    player.addEventListener('seeking', () => {
+      const range = this.range;
+      // Seeks made by the range itself stay inside it
+      if (range && (player.currentTime < range.start - 0.05 || player.currentTime > range.end)) {
+        this.stop();
+      }
+    });
+    player.addEventListener('emptied', () => this.stop());
+  }
+
+  /**
+   * Play a range
+   * @param {{ start: number, end: number, loop?: boolean }} range - Range in seconds
+   */
+  play(range) {
+    const player = this.player;
+    const start = Math.max(0, Number(range.start) || 0);
+    const end = Number(range.end);
+    if (!player || !Number.isFinite(end) || end <= start) return;
+
+    this.range = { start, end, loop: range.loop === true };
+    player.currentTime = start;
+    player.play()?.catch(() => {});
+    this.watch();
+  }
+
+  /**
+   * Stop range playback (the player keeps playing)
+   */
+  stop() {
+    this.range = null;
+    if (this.frame && typeof cancelAnimationFrame === 'function') cancelAnimationFrame(this.frame);
+    this.frame = 0;
+  }
+
+  /**
+   * Whether a range is playing
+   * @returns {boolean} True until the range ends or is left
+   */
+  isActive() {
+    return this.range !== null;
+  }
+
+  /**
+   * Internal: check the playhead every animation frame
+   */
+  watch() {
+    if (typeof requestAnimationFrame !== 'function') return;
+    if (this.frame) cancelAnimationFrame(this.frame);
+    const tick = () => {
+      this.frame = 0;
+      if (!this.range) return;
+      this.check();
+      if (this.range) this.frame = requestAnimationFrame(tick);
+    };
+    this.frame = requestAnimationFrame(tick);
+  }
+
+  /**
+   * Internal: loop or stop once the playhead reaches the end
+   */
+  check() {
+    const player = this.player;
+    const range = this.range;
+    if (!player || !range || player.currentTime < range.end) return;
+    if (range.loop) {
+      const ended = player.ended; // A range ending with the media stops the player
+      player.currentTime = range.start;
+      if (ended) player.play()?.catch(() => {});
+    } else {
+      this.stop();
+      player.pause();
+    }
+  }
+}
+
+// Create a singleton instance
+export const rangePlayback = new RangePlayback();
@@ -0,0 +1,221 @@
+// @ts-check
+
+/**
+ * @file Autosave to the crash-recovery journal
+ * Keeps a main-process journal (see src/main-process/recoveryStore.js) up to date with
+ * the editor contents and session state so unsaved work survives a crash.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(getSnapshot: () => RecoverySnapshot|null): void
+ *       Stores the snapshot provider and starts the periodic autosave.
+ *   - async ensure(): Promise<string|null>
+ *       Returns the current journal id, creating the journal on first use.
+ *   - markDirty(): void
+ *       Schedules a debounced snapshot after an edit.
+ *   - async flush(): Promise<void>
+ *       Writes a snapshot now if anything changed.
+ *   - adopt(id: string): void
+ *       Continues autosaving into a journal restored after a crash.
+ *   - async discard(): Promise<void>
+ *       Deletes the current journal (after save, reset or load).
+ *   - getId(): string|null
+ *       Returns the current journal id.
+ *   - async list(): Promise<RecoveryJournalSummary[]>
+ *       Lists journals left behind by earlier runs, newest first.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Snapshot provider registered by the app coordinator (notes HTML, Quill delta, state)
+ *   - window.api recovery IPC (create/write/list/discard)
+ *   - CONFIG.AUTOSAVE timings
+ * Outputs:
+ *   - One snapshot.json per journal (notes HTML, Quill delta and state, replaced atomically by
+ *     main); journals written by older versions may hold notes.html + delta.json instead
+ * Side-effects:
+ *   - Debounce timer plus a periodic interval
+ *   - Creates a journal lazily on the first snapshot that has content
+ * Invariants:
+ *   - Snapshot writes are serialized; at most one IPC write is in flight
+ *   - No journal is created for an empty session
+ *   - Autosave failures are logged, never surfaced as dialogs
+ * Failure Modes:
+ *   - Missing preload API (tests, older builds): all methods become no-ops
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * Autosave coordinator for the crash-recovery journal
+ */
+export class RecoveryJournal {
+  constructor() {
+    /** @type {string|null} */
+    this.id = null;
+    /** @type {Promise<string|null>|null} */
+    this.creating = null;
+    /** @type {(() => import('../../types/global').RecoverySnapshot|null)|null} */
+    this.getSnapshot = null;
+    this.dirty = false;
+    this.debounceTimer = null;
+    this.intervalTimer = null;
+    this.writes = Promise.resolve();
+  }
+
+  /**
+   * Register the snapshot provider and start periodic autosave
+   * @param {() => import('../../types/global').RecoverySnapshot|null} getSnapshot - Returns
+   *   the current snapshot, or null when the session has nothing worth saving
+   * @returns {void}
+   */
+  init(getSnapshot) {
+    this.getSnapshot = getSnapshot;
+    clearInterval(this.intervalTimer);
+    // Periodic save also captures state that does not fire text-change (player position)
+    this.intervalTimer = setInterval(() => {
+      if (!this.id) return;
+      this.dirty = true;
+      this.flush();
+    }, CONFIG.AUTOSAVE.INTERVAL_MS);
+  }
+
+  /**
+   * Internal: whether the preload exposes the recovery API
+   * @returns {boolean} True when recovery IPC is available
+   */
+  isAvailable() {
+    return typeof window !== 'undefined' && !!window.api?.createRecoveryJournal;
+  }
+
+  /**
+   * Get the current journal id, creating the journal on first use
+   * @returns {Promise<string|null>} Journal id, or null if it could not be created
+   */
+  async ensure() {
+    if (this.id) return this.id;
+    if (!this.isAvailable()) return null;
+    if (!this.creating) {
+      this.creating = window.api
+        .createRecoveryJournal()
+        .then((res) => {
+          if (!res?.ok) throw new Error(res?.error || 'create failed');
+          this.id = res.id;
+          return this.id;
+        })
+        .catch((err) => {
+          console.warn('Recovery journal unavailable:', err);
+          return null;
+        })
+        .finally(() => {
+          this.creating = null;
+        });
+    }
+    return this.creating;
+  }
+
+  /**
+   * Schedule a debounced snapshot after an edit
+   * @returns {void}
+   */
+  markDirty() {
+    this.dirty = true;
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = setTimeout(() => {
+      this.debounceTimer = null;
+      this.flush();
+    }, CONFIG.AUTOSAVE.DEBOUNCE_MS);
+  }
+
+  /**
+   * Write a snapshot now if anything changed since the last write
+   * @returns {Promise<void>}
+   */
+  flush() {
+    this.writes = this.writes.then(async () => {
+      if (!this.dirty || !this.getSnapshot || !this.isAvailable()) return;
+      this.dirty = false;
+
+      const snapshot = this.getSnapshot();
+      // Never create a journal just to record an empty session
+      if (!snapshot && !this.id) return;
+
+      const id = await this.ensure();
+      if (!id) return;
+      try {
+        const res = await window.api.writeRecoverySnapshot(
+          id,
+          snapshot || { notesHtml: '', delta: null, state: {} }
+        );
+        if (!res?.ok) throw new Error(res?.error || 'write failed');
+      } catch (err) {
+        console.warn('Autosave to recovery journal failed:', err);
+      }
+    });
+    return this.writes;
+  }
+
+  /**
+   * Continue autosaving into a journal restored after a crash
+   * @param {string} id - Restored journal id
+   * @returns {void}
+   */
+  adopt(id) {
+    this.id = id;
+    this.dirty = false;
+  }
+
+  /**
+   * Delete the current journal; the next edit starts a fresh one
+   * @returns {Promise<void>}
+   */
+  async discard() {
+    clearTimeout(this.debounceTimer);
+    this.debounceTimer = null;
+    this.dirty = false;
+    // Let an in-flight write land before the directory is removed
+    await this.writes;
+
+    const id = this.id;
+    this.id = null;
+    if (!id || !this.isAvailable()) return;
+    try {
+      await window.api.discardRecoveryJournal(id);
+    } catch (err) {
+      console.warn('Failed to discard recovery journal:', err);
+    }
+  }
+
+  /**
+   * Get the current journal id
+   * @returns {string|null} Journal id or null when no journal exists yet
+   */
+  getId() {
+    return this.id;
+  }
+
+  /**
+   * List journals left behind by earlier runs
+   * @returns {Promise<import('../../types/global').RecoveryJournalSummary[]>} Newest first
+   */
+  async list() {
+    if (!this.isAvailable()) return [];
+    try {
+      const res = await window.api.listRecoveryJournals();
+      return res?.ok ? res.journals || [] : [];
+    } catch (err) {
+      console.warn('Failed to list recovery journals:', err);
+      return [];
+    }
+  }
+}
+
+// Create a singleton instance
+export const recoveryJournal = new RecoveryJournal();
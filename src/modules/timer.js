@@ -14,8 +14,8 @@
  *       Gets current recording or playback time (seconds).
  *   - updateRecordingTimer(): void
  *       Updates recording timer display (internal, auto-called).
- *   - startRecording(): void
- *       Starts recording timer.
+ *   - startRecording(offset?: number): void
+ *       Starts recording timer; offset (seconds) is added when appending to a recording.
  *   - pauseRecording(): void
  *       Pauses recording timer.
  *   - resumeRecording(): void
@@ -49,6 +49,8 @@
  *   - Writes to DOM each interval
  * Invariants:
  *   - Paused periods excluded from recordingElapsed
+ *   - While recording, reported time includes recordingOffset (the length of the recording
+ *     being appended to), so timestamps land on the combined timeline
  *   - All intervals cleared on stop/reset
  * Failure Modes:
  *   - None (guards prevent operations without initialized elements)
@@ -66,6 +68,7 @@ export class TimerSystem {
     this.recordingStartTime = 0; // When recording actually started
     this.recordingElapsed = 0; // Total recorded time (excluding paused periods)
     this.recordingPauseStart = 0; // When current pause began
+    this.recordingOffset = 0; // Length of the recording being appended to (seconds)
     this.recordingTimer = null; // Timer interval for updating display during recording
     this.playbackTimer = null; // Timer interval for tracking video playback position
     this.isRecordingPaused = false; // Flag to track if recording is paused
@@ -121,11 +124,11 @@ export class TimerSystem {
 
     if (this.isRecordingPaused) {
       // During pause: return time up to when pause started
-      return this.recordingElapsed;
+      return this.recordingOffset + this.recordingElapsed;
     } else {
       // During recording: add time since last resume/start
       const sessionStart = this.recordingPauseStart || this.recordingStartTime;
-      return this.recordingElapsed + (now - sessionStart) / 1000;
+      return this.recordingOffset + this.recordingElapsed + (now - sessionStart) / 1000;
     }
   }
 
@@ -140,9 +143,11 @@ export class TimerSystem {
 
   /**
    * Starts recording timer tracking
+   * @param {number} [offset] - Seconds already recorded (appending to an existing recording)
    */
-  startRecording() {
+  startRecording(offset = 0) {
     this.recordingStartTime = Date.now();
+    this.recordingOffset = offset;
     this.recordingElapsed = 0;
     this.recordingPauseStart = 0;
     this.isRecordingPaused = false;
@@ -183,6 +188,7 @@ export class TimerSystem {
 
     // Reset recording time tracking
     this.recordingStartTime = 0;
+    this.recordingOffset = 0;
     this.recordingElapsed = 0;
     this.recordingPauseStart = 0;
     this.isRecordingPaused = false;
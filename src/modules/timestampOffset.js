@@ -0,0 +1,129 @@
+// @ts-check
+
+/**
+ * @file Timestamp lead-in offset
+ * Timestamps are usually taken a moment after the thing worth noting (Cmd+Alt+T is pressed
+ * after hearing it), so new timestamps can be moved by a fixed offset, e.g. -3 s. Timestamps
+ * keep the time they were taken (`raw`) next to the adjusted `ts`, so a changed offset can be
+ * applied to the whole document.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - normalizeTimestampOffset(offset: any): number
+ *       Offset in seconds within ±CONFIG.EDITOR.MAX_TIMESTAMP_OFFSET (invalid = default).
+ *   - loadTimestampOffset(storage: Storage): number
+ *   - saveTimestampOffset(storage: Storage, offset: number): void
+ *       Persistence under CONFIG.STORAGE_KEYS.TIMESTAMP_OFFSET.
+ *   - applyTimestampOffset(raw: number, offset: number): number
+ *       Adjusted time (never before 0, rounded to hundredths like labels).
+ *   - planOffsetEdits(ops: DeltaOp[], offset: number, inScope?: (stamp) => boolean): TimestampEdit[]
+ *       Timestamps of a Quill delta that move when the offset changes.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - The offset setting (timestamp offset dialog or localStorage)
+ *   - Raw times from the timer; Quill delta ops
+ * Outputs:
+ *   - Adjusted times and replacement values for timestamp embeds
+ * Side-effects:
+ *   - None (pure functions; storage is passed in)
+ * Invariants:
+ *   - Only timestamps with a raw time move; times set by hand (older notes, popover edits) stay
+ *   - Custom labels are kept; time labels follow the new time
+ * Failure Modes:
+ *   - Corrupt stored settings fall back to the default offset
+ */
+
+import { CONFIG } from '../config.js';
+import { formatTime } from './utils.js';
+
+/**
+ * Clamp an offset to the allowed range
+ * @param {any} offset - Seconds (negative = earlier)
+ * @returns {number} Offset in seconds, rounded to tenths
+ */
+export function normalizeTimestampOffset(offset) {
+  const value = Number(offset);
+  if (offset === null || offset === '' || !Number.isFinite(value)) {
+    return CONFIG.EDITOR.DEFAULT_TIMESTAMP_OFFSET;
+  }
+  const max = CONFIG.EDITOR.MAX_TIMESTAMP_OFFSET;
+  return Math.round(Math.min(max, Math.max(-max, value)) * 10) / 10;
+}
+
+/**
+ * Read the saved offset
+ * @param {Pick<Storage, 'getItem'>} storage - localStorage
+ * @returns {number} Saved offset, or the default
+ */
+export function loadTimestampOffset(storage) {
+  try {
+    return normalizeTimestampOffset(storage.getItem(CONFIG.STORAGE_KEYS.TIMESTAMP_OFFSET));
+  } catch (e) {
+    console.warn('Ignoring invalid timestamp offset:', e);
+    return CONFIG.EDITOR.DEFAULT_TIMESTAMP_OFFSET;
+  }
+}
+
+/**
+ * Save the offset
+ * @param {Pick<Storage, 'setItem'>} storage - localStorage
+ * @param {number} offset - Offset in seconds
+ * @returns {void}
+ */
+export function saveTimestampOffset(storage, offset) {
+  storage.setItem(CONFIG.STORAGE_KEYS.TIMESTAMP_OFFSET, String(normalizeTimestampOffset(offset)));
+}
+
+/**
+ * Time of a timestamp taken at raw
+ * @param {number} raw - Time the timestamp was taken (seconds)
+ * @param {number} offset - Offset in seconds
+ * @returns {number} Adjusted time, at least 0
+ */
+export function applyTimestampOffset(raw, offset) {
+  const time = (Number(raw) || 0) + normalizeTimestampOffset(offset);
+  return Math.max(0, Math.round(time * 100) / 100);
+}
+
+/**
+ * Timestamps that move when the offset changes
+ * @param {import('./mediaCuts.js').DeltaOp[]} ops - Document delta ops (quill.getContents().ops)
+ * @param {number} offset - New offset in seconds
+ * @param {(stamp: import('../../types/global').TimestampValue) => boolean} [inScope] - Filter
+ *   (default: all)
+ * @returns {import('./mediaCuts.js').TimestampEdit[]} Edits in document order (values never null)
+ */
+export function planOffsetEdits(ops, offset, inScope = () => true) {
+  /** @type {import('./mediaCuts.js').TimestampEdit[]} */
+  const edits = [];
+  let index = 0;
+  (ops || []).forEach((op) => {
+    const insert = op.insert;
+    if (typeof insert === 'string') {
+      index += insert.length;
+      return;
+    }
+    const stamp = insert && insert.timestamp;
+    const raw = stamp ? Number(stamp.raw) : NaN;
+    if (stamp && Number.isFinite(raw) && inScope(stamp)) {
+      const ts = Number(stamp.ts) || 0;
+      const next = applyTimestampOffset(raw, offset);
+      if (next !== ts) {
+        const label =
+          !stamp.label || stamp.label === formatTime(ts) ? formatTime(next) : stamp.label;
+        edits.push({ index, value: { ...stamp, ts: next, label } });
+      }
+    }
+    index += 1; // Every embed has length 1
+  });
+  return edits;
+}
@@ -8,6 +8,10 @@
  * Methods:
  *   - formatTime(s: number): string
  *       Formats seconds as MM:SS.CC for timestamp display.
+ *   - formatRange(start: number, end: number|null): string
+ *       Formats a time range as "MM:SS.CC–MM:SS.CC" (open ranges end in "…").
+ *   - parseTime(text: string): number|null
+ *       Parses MM:SS.CC, H:MM:SS or plain seconds (inverse of formatTime).
  *   - arrayBufferToBase64(ab: ArrayBuffer): string
  *       Converts ArrayBuffer to base64 string for HTML embedding.
  *   - sleep(ms: number): Promise<void>
@@ -33,6 +37,7 @@
  *   - withTimeout allocates & clears a timer; others are pure
  * Invariants:
  *   - formatTime always returns zero-padded mm:ss.cc
+ *   - parseTime(formatTime(s)) returns s rounded down to centiseconds
  *   - createError always sets .code and preserves optional .cause
  *   - withTimeout clears timer on resolve/reject
  * Failure Modes:
@@ -55,6 +60,32 @@ export function formatTime(s) {
   return `${pad(m)}:${pad(sec)}.${pad(ms)}`;
 }
 
+/**
+ * Formats a time range for timestamp range labels
+ * @param {number} start - Start in seconds
+ * @param {number|null} end - End in seconds, or null while the range is still open
+ * @returns {string} Label like "12:03.00–14:40.00" or "12:03.00–…"
+ */
+export function formatRange(start, end) {
+  return `${formatTime(start)}–${end === null ? '…' : formatTime(end)}`;
+}
+
+/**
+ * Parses a time typed by the user
+ * Accepts the formatTime layout (02:34.56), hours (1:02:34) and plain seconds (154.5)
+ * @param {string} text - Time text
+ * @returns {number|null} Seconds, or null when the text is not a time
+ */
+export function parseTime(text) {
+  const parts = String(text || '')
+    .trim()
+    .split(':');
+  if (parts.length > 3 || parts.some((p) => !/^\d+(\.\d+)?$/.test(p))) return null;
+  // Only the seconds part may have a fraction
+  if (parts.slice(0, -1).some((p) => p.includes('.'))) return null;
+  return parts.reduce((total, p) => total * 60 + Number(p), 0);
+}
+
 /**
  * Converts ArrayBuffer to base64 string for embedding in HTML
  * Used when exporting sessions as self-contained HTML files
@@ -140,6 +171,14 @@ export function isMac() {
   return navigator.platform.includes('Mac') || navigator.userAgent.includes('Mac');
 }
 
+/**
+ * Detects if running on Windows (the only platform with loopback system audio)
+ * @returns {boolean} True if on Windows
+ */
+export function isWindows() {
+  return navigator.platform.startsWith('Win') || navigator.userAgent.includes('Windows');
+}
+
 /**
  * Calculates appropriate default dimensions for an image
  * Ensures images don't appear too large while maintaining aspect ratio
@@ -0,0 +1,184 @@
+// @ts-check
+
+/**
+ * @file Waveform peaks
+ * Computes a downsampled waveform (min/max peaks of a mono mixdown) from recorded or loaded
+ * media. Peaks use the audiowaveform JSON layout and are cached in notepacks as waveform.json.
+ * Media is decoded by ffmpeg in the main process (waveformPeaks.js) and its samples are fed
+ * through a peak stream, so neither the media nor its decoded audio is ever held in memory.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - computePeaks(channels: Float32Array[], sampleRate: number, samplesPerPixel: number): WaveformPeaks
+ *       Min/max pairs over all channels, quantized to 8 bits.
+ *   - createPeakStream(sampleRate: number): { push(samples: Float32Array): void, finish(): WaveformPeaks }
+ *       Incremental peaks of mono samples of unknown total length.
+ *   - isValidPeaks(peaks: any): boolean
+ *       Structural check for peaks read from a notepack.
+ *   - peaksDuration(peaks: WaveformPeaks): number
+ *       Seconds covered by the peaks.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Decoded PCM channels, or mono samples streamed in chunks
+ * Outputs:
+ *   - WaveformPeaks documents (schemas/waveform.schema.json)
+ * Side-effects:
+ *   - None
+ * Invariants:
+ *   - Resolution is CONFIG.WAVEFORM.PEAKS_PER_SECOND, lowered so length <= MAX_PEAKS
+ *   - data.length === 2 * length; values are integers in -128..127
+ *   - A peak stream keeps only its peaks (PEAKS_PER_SECOND pairs per second of audio)
+ * Failure Modes:
+ *   - finish() on a stream that received no samples returns peaks of length 0
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * Internal: float sample (-1..1) to an 8-bit peak value
+ * @param {number} value - Sample value
+ * @returns {number} Integer in -128..127
+ */
+function quantize(value) {
+  return Math.max(-128, Math.min(127, Math.round(value * 127)));
+}
+
+/**
+ * Compute min/max peaks over all channels
+ * @param {Float32Array[]} channels - PCM channels (equal length)
+ * @param {number} sampleRate - Sample rate of the channels
+ * @param {number} samplesPerPixel - Samples summarized by each min/max pair
+ * @returns {import('../../types/global').WaveformPeaks} Peaks
+ */
+export function computePeaks(channels, sampleRate, samplesPerPixel) {
+  const step = Math.max(1, Math.floor(samplesPerPixel));
+  const sampleCount = channels.length ? channels[0].length : 0;
+  const length = Math.ceil(sampleCount / step);
+  const data = new Array(length * 2);
+
+  for (let i = 0; i < length; i++) {
+    const start = i * step;
+    const end = Math.min(sampleCount, start + step);
+    let min = 0;
+    let max = 0;
+    for (const channel of channels) {
+      for (let s = start; s < end; s++) {
+        const v = channel[s];
+        if (v < min) min = v;
+        else if (v > max) max = v;
+      }
+    }
+    data[i * 2] = quantize(min);
+    data[i * 2 + 1] = quantize(max);
+  }
+
+  return {
+    version: 2,
+    channels: 1,
+    sample_rate: sampleRate,
+    samples_per_pixel: step,
+    bits: 8,
+    length,
+    data,
+  };
+}
+
+/**
+ * Incremental peaks of mono samples whose total length is not known up front
+ * Pixels are first summarized at PEAKS_PER_SECOND; finish() merges neighbouring pixels when
+ * there are more than MAX_PEAKS, as computePeaks would with a coarser samplesPerPixel.
+ * @param {number} sampleRate - Sample rate of the pushed samples
+ * @returns {{ push: (samples: Float32Array) => void, finish: () => import('../../types/global').WaveformPeaks }} Peak stream
+ */
+export function createPeakStream(sampleRate) {
+  const { PEAKS_PER_SECOND, MAX_PEAKS } = CONFIG.WAVEFORM;
+  const step = Math.max(1, Math.ceil(sampleRate / PEAKS_PER_SECOND));
+  /** @type {number[]} */
+  const data = [];
+  let min = 0;
+  let max = 0;
+  let count = 0;
+
+  return {
+    push(samples) {
+      for (let i = 0; i < samples.length; i++) {
+        const v = samples[i];
+        if (v < min) min = v;
+        else if (v > max) max = v;
+        if (++count === step) {
+          data.push(quantize(min), quantize(max));
+          min = max = count = 0;
+        }
+      }
+    },
+
+    finish() {
+      if (count > 0) {
+        data.push(quantize(min), quantize(max));
+        min = max = count = 0;
+      }
+      const length = data.length / 2;
+      const factor = Math.max(1, Math.ceil(length / MAX_PEAKS));
+      const merged = factor === 1 ? data.slice() : [];
+      if (factor > 1) {
+        for (let i = 0; i < length; i += factor) {
+          const end = Math.min(length, i + factor);
+          let lo = 0;
+          let hi = 0;
+          for (let p = i; p < end; p++) {
+            lo = Math.min(lo, data[p * 2]);
+            hi = Math.max(hi, data[p * 2 + 1]);
+          }
+          merged.push(lo, hi);
+        }
+      }
+      return {
+        version: 2,
+        channels: 1,
+        sample_rate: sampleRate,
+        samples_per_pixel: step * factor,
+        bits: 8,
+        length: merged.length / 2,
+        data: merged,
+      };
+    },
+  };
+}
+
+/**
+ * Structural check for peaks (full validation lives in schemas/waveform.schema.json)
+ * @param {any} peaks - Candidate peaks
+ * @returns {boolean} True when the peaks can be drawn
+ */
+export function isValidPeaks(peaks) {
+  return (
+    !!peaks &&
+    peaks.version === 2 &&
+    peaks.channels === 1 &&
+    peaks.bits === 8 &&
+    Number.isInteger(peaks.sample_rate) &&
+    peaks.sample_rate > 0 &&
+    Number.isInteger(peaks.samples_per_pixel) &&
+    peaks.samples_per_pixel > 0 &&
+    Array.isArray(peaks.data) &&
+    peaks.data.length === peaks.length * 2
+  );
+}
+
+/**
+ * Seconds covered by the peaks
+ * @param {import('../../types/global').WaveformPeaks} peaks - Peaks
+ * @returns {number} Duration in seconds
+ */
+export function peaksDuration(peaks) {
+  return (peaks.length * peaks.samples_per_pixel) / peaks.sample_rate;
+}
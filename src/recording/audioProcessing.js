@@ -0,0 +1,361 @@
+// @ts-check
+
+/**
+ * @file Microphone processing chain (high-pass, noise gate, compressor, loudness gain)
+ * Cleans up quiet, noisy recordings (lecture halls) before the microphone reaches the mix.
+ * Settings come from presets (CONFIG.AUDIO_PROCESSING.PRESETS) or the user's own values and
+ * can be changed while recording.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - getPreset(name: string): ProcessingSettings
+ *       Copy of a preset's settings (unknown names give the default preset).
+ *   - normalizeProcessingSettings(settings: any): ProcessingSettings
+ *       Complete, clamped settings (missing values come from the named preset).
+ *   - loadProcessingSettings(storage: Storage): ProcessingSettings
+ *   - saveProcessingSettings(storage: Storage, settings: ProcessingSettings): void
+ *       Persistence under CONFIG.STORAGE_KEYS.AUDIO_PROCESSING.
+ *   - levelDb(samples: Float32Array): number
+ *       RMS level of a block in dBFS.
+ *   - nextGateState(state: GateState, level: number, gate, now: number): GateState
+ *       Noise gate decision with hysteresis and hold time.
+ *   - nextNormalizeGain(gainDb: number, level: number, normalize): number
+ *       One smoothing step of the loudness gain towards the target.
+ * Classes:
+ *   - ProcessingChain(audioCtx: AudioContext, settings: ProcessingSettings)
+ *       Web Audio nodes input -> ... -> output; update(settings) applies changes live,
+ *       dispose() stops the control loop.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Settings objects (from the audio settings dialog or localStorage)
+ *   - Microphone audio connected to chain.input
+ * Outputs:
+ *   - Processed audio at chain.output
+ * Side-effects:
+ *   - ProcessingChain runs a timer (CONFIG.AUDIO_PROCESSING.CONTROL_INTERVAL) that reads
+ *     analyser data and ramps the gate and loudness gains
+ * Invariants:
+ *   - The node graph never changes after construction; disabled stages are neutral
+ *     (high-pass below hearing, gain 1, compressor ratio 1), so live edits never reconnect
+ *     nodes and never drop audio
+ *   - Parameter changes ramp (setTargetAtTime) to avoid clicks
+ *   - Stored settings are always complete and within CONFIG.AUDIO_PROCESSING.LIMITS
+ * Failure Modes:
+ *   - Corrupt stored settings fall back to the default preset
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * @typedef {object} ProcessingSettings
+ * @property {string} preset - Preset name, or 'custom' after manual edits
+ * @property {{ enabled: boolean, frequency: number }} highpass - Cutoff in Hz
+ * @property {{ enabled: boolean, threshold: number }} gate - Opening level in dBFS
+ * @property {{ enabled: boolean, threshold: number, ratio: number }} compressor - dBFS, n:1
+ * @property {{ enabled: boolean, target: number }} normalize - Target RMS level in dBFS
+ */
+/**
+ * @typedef {object} GateState
+ * @property {boolean} open - Whether the gate passes audio
+ * @property {number} lastAbove - Time (ms) the level was last above the threshold
+ */
+
+// Level reported for digital silence
+const SILENCE_DB = -100;
+
+/**
+ * Internal: clamp a number into a range, with a fallback for non-numbers
+ * @param {any} value - Value
+ * @param {{ min: number, max: number }} range - Bounds
+ * @param {number} fallback - Used when value is not a finite number
+ * @returns {number} Clamped value
+ */
+function clampTo(value, range, fallback) {
+  const n = Number(value);
+  if (value === null || value === '' || !Number.isFinite(n)) return fallback;
+  return Math.min(range.max, Math.max(range.min, n));
+}
+
+/**
+ * Internal: dB to linear gain
+ * @param {number} db - Decibels
+ * @returns {number} Gain factor
+ */
+function dbToGain(db) {
+  return Math.pow(10, db / 20);
+}
+
+/**
+ * Settings of a preset
+ * @param {string} name - 'voice', 'lecture' or 'raw'
+ * @returns {ProcessingSettings} Independent copy
+ */
+export function getPreset(name) {
+  const { PRESETS, DEFAULT_PRESET } = CONFIG.AUDIO_PROCESSING;
+  const preset = Object.prototype.hasOwnProperty.call(PRESETS, name) ? name : DEFAULT_PRESET;
+  return { preset, ...JSON.parse(JSON.stringify(PRESETS[preset])) };
+}
+
+/**
+ * Complete and clamp settings
+ * @param {any} settings - Possibly partial or stored settings
+ * @returns {ProcessingSettings} Valid settings
+ */
+export function normalizeProcessingSettings(settings) {
+  const input = settings && typeof settings === 'object' ? settings : {};
+  const preset = typeof input.preset === 'string' ? input.preset : '';
+  const base = getPreset(preset);
+  const { LIMITS } = CONFIG.AUDIO_PROCESSING;
+  const stage = (name) => (input[name] && typeof input[name] === 'object' ? input[name] : {});
+  const enabled = (name) =>
+    typeof stage(name).enabled === 'boolean' ? stage(name).enabled : base[name].enabled;
+
+  return {
+    preset: preset === 'custom' ? 'custom' : base.preset,
+    highpass: {
+      enabled: enabled('highpass'),
+      frequency: clampTo(stage('highpass').frequency, LIMITS.frequency, base.highpass.frequency),
+    },
+    gate: {
+      enabled: enabled('gate'),
+      threshold: clampTo(stage('gate').threshold, LIMITS.gateThreshold, base.gate.threshold),
+    },
+    compressor: {
+      enabled: enabled('compressor'),
+      threshold: clampTo(
+        stage('compressor').threshold,
+        LIMITS.compressorThreshold,
+        base.compressor.threshold
+      ),
+      ratio: clampTo(stage('compressor').ratio, LIMITS.ratio, base.compressor.ratio),
+    },
+    normalize: {
+      enabled: enabled('normalize'),
+      target: clampTo(stage('normalize').target, LIMITS.target, base.normalize.target),
+    },
+  };
+}
+
+/**
+ * Read the saved settings
+ * @param {Pick<Storage, 'getItem'>} storage - localStorage
+ * @returns {ProcessingSettings} Saved settings, or the default preset
+ */
+export function loadProcessingSettings(storage) {
+  try {
+    const raw = storage.getItem(CONFIG.STORAGE_KEYS.AUDIO_PROCESSING);
+    return normalizeProcessingSettings(raw ? JSON.parse(raw) : null);
+  } catch (e) {
+    console.warn('Ignoring invalid audio processing settings:', e);
+    return getPreset(CONFIG.AUDIO_PROCESSING.DEFAULT_PRESET);
+  }
+}
+
+/**
+ * Save settings
+ * @param {Pick<Storage, 'setItem'>} storage - localStorage
+ * @param {ProcessingSettings} settings - Settings
+ * @returns {void}
+ */
+export function saveProcessingSettings(storage, settings) {
+  storage.setItem(
+    CONFIG.STORAGE_KEYS.AUDIO_PROCESSING,
+    JSON.stringify(normalizeProcessingSettings(settings))
+  );
+}
+
+/**
+ * RMS level of a block of samples
+ * @param {Float32Array|number[]} samples - Samples in [-1, 1]
+ * @returns {number} dBFS (SILENCE_DB for silence)
+ */
+export function levelDb(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  const rms = samples.length ? Math.sqrt(sum / samples.length) : 0;
+  return rms > 0 ? Math.max(SILENCE_DB, 20 * Math.log10(rms)) : SILENCE_DB;
+}
+
+/**
+ * Noise gate decision
+ * Opens at the threshold; closes when the level is more than GATE_HYSTERESIS dB below it and
+ * GATE_HOLD ms have passed since it was last above it, so pauses between words are not chopped.
+ * @param {GateState} state - Previous state
+ * @param {number} level - Current level (dBFS)
+ * @param {{ enabled: boolean, threshold: number }} gate - Gate settings
+ * @param {number} now - Current time (ms)
+ * @returns {GateState} New state
+ */
+export function nextGateState(state, level, gate, now) {
+  const { GATE_HYSTERESIS, GATE_HOLD } = CONFIG.AUDIO_PROCESSING;
+  if (!gate.enabled || level >= gate.threshold) return { open: true, lastAbove: now };
+  if (!state.open) return state;
+  if (level >= gate.threshold - GATE_HYSTERESIS || now - state.lastAbove < GATE_HOLD) {
+    return state;
+  }
+  return { open: false, lastAbove: state.lastAbove };
+}
+
+/**
+ * One step of the loudness gain towards the target level
+ * @param {number} gainDb - Current loudness gain (dB)
+ * @param {number} level - Level before the loudness gain (dBFS)
+ * @param {{ enabled: boolean, target: number }} normalize - Normalization settings
+ * @returns {number} New loudness gain (dB)
+ */
+export function nextNormalizeGain(gainDb, level, normalize) {
+  const { NORMALIZE_MAX_BOOST, NORMALIZE_MAX_CUT, NORMALIZE_SILENCE, NORMALIZE_SMOOTHING } =
+    CONFIG.AUDIO_PROCESSING;
+  if (!normalize.enabled) return 0;
+  // Pauses (and a closed gate) keep the current gain instead of boosting the noise floor
+  if (level < NORMALIZE_SILENCE) return gainDb;
+  const wanted = Math.min(
+    NORMALIZE_MAX_BOOST,
+    Math.max(-NORMALIZE_MAX_CUT, normalize.target - level)
+  );
+  return gainDb + (wanted - gainDb) * NORMALIZE_SMOOTHING;
+}
+
+/**
+ * Web Audio processing chain for the microphone
+ * input (high-pass) -> gate gain -> compressor -> loudness gain (output)
+ */
+export class ProcessingChain {
+  /**
+   * Build the nodes and start the control loop
+   * @param {AudioContext} audioCtx - Audio context
+   * @param {ProcessingSettings} settings - Initial settings
+   */
+  constructor(audioCtx, settings) {
+    const { COMPRESSOR_KNEE, COMPRESSOR_ATTACK, COMPRESSOR_RELEASE, CONTROL_INTERVAL } =
+      CONFIG.AUDIO_PROCESSING;
+    this.audioCtx = audioCtx;
+    this.settings = normalizeProcessingSettings(settings);
+
+    this.highpass = audioCtx.createBiquadFilter();
+    this.highpass.type = 'highpass';
+    this.highpass.Q.value = Math.SQRT1_2;
+    this.gate = audioCtx.createGain();
+    this.compressor = audioCtx.createDynamicsCompressor();
+    this.compressor.knee.value = COMPRESSOR_KNEE;
+    this.compressor.attack.value = COMPRESSOR_ATTACK;
+    this.compressor.release.value = COMPRESSOR_RELEASE;
+    this.loudness = audioCtx.createGain();
+
+    // Side taps measuring the level the gate and the loudness gain react to
+    this.gateAnalyser = audioCtx.createAnalyser();
+    this.loudnessAnalyser = audioCtx.createAnalyser();
+    this.samples = new Float32Array(this.gateAnalyser.fftSize);
+
+    this.highpass.connect(this.gate);
+    this.highpass.connect(this.gateAnalyser);
+    this.gate.connect(this.compressor);
+    this.compressor.connect(this.loudness);
+    this.compressor.connect(this.loudnessAnalyser);
+
+    /** @type {AudioNode} */
+    this.input = this.highpass;
+    /** @type {AudioNode} */
+    this.output = this.loudness;
+
+    /** @type {GateState} */
+    this.gateState = { open: true, lastAbove: 0 };
+    this.loudnessDb = 0;
+
+    this.applyFilters(true);
+    this.timer = setInterval(() => this.tick(), CONTROL_INTERVAL);
+  }
+
+  /**
+   * Apply new settings while audio keeps flowing
+   * @param {ProcessingSettings} settings - New settings
+   * @returns {void}
+   */
+  update(settings) {
+    this.settings = normalizeProcessingSettings(settings);
+    this.applyFilters(false);
+  }
+
+  /**
+   * Internal: set the high-pass and compressor parameters
+   * @param {boolean} immediate - Set values directly (construction) instead of ramping
+   */
+  applyFilters(immediate) {
+    const { highpass, compressor } = this.settings;
+    const { BYPASS_FREQUENCY, RAMP } = CONFIG.AUDIO_PROCESSING;
+    /** @type {[AudioParam, number][]} */
+    const params = [
+      [this.highpass.frequency, highpass.enabled ? highpass.frequency : BYPASS_FREQUENCY],
+      [this.compressor.threshold, compressor.enabled ? compressor.threshold : 0],
+      [this.compressor.ratio, compressor.enabled ? compressor.ratio : 1],
+    ];
+    params.forEach(([param, value]) => {
+      if (immediate) param.value = value;
+      else param.setTargetAtTime(value, this.audioCtx.currentTime, RAMP);
+    });
+  }
+
+  /**
+   * Internal: measure a tap's level
+   * @param {AnalyserNode} analyser - Tap
+   * @returns {number} dBFS
+   */
+  measure(analyser) {
+    analyser.getFloatTimeDomainData(this.samples);
+    return levelDb(this.samples);
+  }
+
+  /**
+   * Internal: control loop step (gate and loudness gain)
+   */
+  tick() {
+    const { gate, normalize } = this.settings;
+    const { GATE_FLOOR, RAMP } = CONFIG.AUDIO_PROCESSING;
+    const now = this.audioCtx.currentTime;
+
+    const wasOpen = this.gateState.open;
+    this.gateState = nextGateState(
+      this.gateState,
+      this.measure(this.gateAnalyser),
+      gate,
+      performance.now()
+    );
+    if (this.gateState.open !== wasOpen) {
+      // Open quickly so first syllables are kept; close gently
+      this.gate.gain.setTargetAtTime(
+        this.gateState.open ? 1 : GATE_FLOOR,
+        now,
+        this.gateState.open ? CONFIG.AUDIO.GAIN_RAMP : RAMP
+      );
+    }
+
+    const previous = this.loudnessDb;
+    this.loudnessDb = nextNormalizeGain(previous, this.measure(this.loudnessAnalyser), normalize);
+    if (this.loudnessDb !== previous) {
+      this.loudness.gain.setTargetAtTime(dbToGain(this.loudnessDb), now, RAMP);
+    }
+  }
+
+  /**
+   * Stop the control loop and disconnect the nodes
+   * @returns {void}
+   */
+  dispose() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+    [this.highpass, this.gate, this.compressor, this.loudness].forEach((node) => {
+      try {
+        node.disconnect();
+      } catch {}
+    });
+  }
+}
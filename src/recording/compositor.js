@@ -0,0 +1,261 @@
+// @ts-check
+
+/**
+ * @file Video layout math for the mixer canvas
+ * Decides where the screen capture and the camera are drawn for each layout preset
+ * (CONFIG.COMPOSITOR.LAYOUTS). mixerSystem draws the result every frame; the preview drag
+ * uses the same rectangles to hit-test and move the picture-in-picture overlay.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - usesCamera(layout: string): boolean
+ *       True for layouts that show the camera.
+ *   - usesScreen(layout: string): boolean
+ *       True for layouts that show a screen/window capture.
+ *   - isPipLayout(layout: string): boolean
+ *       True for the picture-in-picture corner presets.
+ *   - resolveLayout(layout: string, available: { camera: boolean, screen: boolean }): string
+ *       Layout actually drawn (falls back to the single available source).
+ *   - fitRect(source: Size, box: Rect): Rect
+ *       Largest rectangle with the source's aspect ratio, centered in the box.
+ *   - computeLayout(layout: string, canvas: Size, sources: { camera?: Size|null, screen?: Size|null }, pip?: PipPlacement): LayoutRect[]
+ *       Rectangles to draw, back to front.
+ *   - getPipRect(layout: string, canvas: Size, sources: { camera?: Size|null, screen?: Size|null }, pip?: PipPlacement): Rect|null
+ *       Camera overlay rectangle (null unless a picture-in-picture layout is drawn).
+ *   - toCanvasPoint(point: { x, y }, element: Size, canvas: Size): { x, y }|null
+ *       Maps a point on the preview element (object-fit: contain) to canvas pixels.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Layout preset, canvas size, intrinsic sizes of the playing sources, overlay placement
+ * Outputs:
+ *   - Integer pixel rectangles
+ * Side-effects:
+ *   - None (pure functions)
+ * Invariants:
+ *   - Sources are never stretched (aspect-fit, letterboxed)
+ *   - The picture-in-picture overlay always lies fully inside the canvas
+ *   - Unknown presets behave like CONFIG.COMPOSITOR.DEFAULT_LAYOUT
+ * Failure Modes:
+ *   - None; a missing source yields fewer rectangles
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * @typedef {object} Size
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ */
+/**
+ * @typedef {object} Rect
+ * @property {number} x - Left edge
+ * @property {number} y - Top edge
+ * @property {number} width - Width
+ * @property {number} height - Height
+ */
+/**
+ * @typedef {Rect & { source: 'camera'|'screen' }} LayoutRect
+ */
+/**
+ * @typedef {object} PipPlacement
+ * @property {number} scale - Overlay width as a fraction of the canvas width
+ * @property {{ x: number, y: number }|null} position - Dragged top-left corner as canvas
+ *   fractions (null = the preset's corner)
+ */
+
+/** @type {PipPlacement} */
+const DEFAULT_PIP = { scale: CONFIG.COMPOSITOR.PIP_SCALE, position: null };
+
+/**
+ * Internal: clamp a number into a range
+ * @param {number} value - Value
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped value
+ */
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * Internal: known preset or the default
+ * @param {string} layout - Layout preset
+ * @returns {string} Known preset
+ */
+function normalizeLayout(layout) {
+  return CONFIG.COMPOSITOR.LAYOUTS.includes(layout) ? layout : CONFIG.COMPOSITOR.DEFAULT_LAYOUT;
+}
+
+/**
+ * Whether a layout shows the camera
+ * @param {string} layout - Layout preset
+ * @returns {boolean} True unless the layout is screen only
+ */
+export function usesCamera(layout) {
+  return normalizeLayout(layout) !== 'screen';
+}
+
+/**
+ * Whether a layout shows a screen/window capture
+ * @param {string} layout - Layout preset
+ * @returns {boolean} True unless the layout is camera only
+ */
+export function usesScreen(layout) {
+  return normalizeLayout(layout) !== 'camera';
+}
+
+/**
+ * Whether a layout is a picture-in-picture corner preset
+ * @param {string} layout - Layout preset
+ * @returns {boolean} True for 'pip-*'
+ */
+export function isPipLayout(layout) {
+  return normalizeLayout(layout).startsWith('pip-');
+}
+
+/**
+ * Layout actually drawn with the sources at hand
+ * @param {string} layout - Selected preset
+ * @param {{ camera: boolean, screen: boolean }} available - Which sources are playing
+ * @returns {string} Preset to draw
+ */
+export function resolveLayout(layout, available) {
+  const preset = normalizeLayout(layout);
+  const wantCamera = usesCamera(preset);
+  const wantScreen = usesScreen(preset);
+  if ((!wantCamera || available.camera) && (!wantScreen || available.screen)) return preset;
+  return available.screen && !available.camera ? 'screen' : 'camera';
+}
+
+/**
+ * Aspect-fit a source into a box
+ * @param {Size} source - Intrinsic source size
+ * @param {Rect} box - Target box
+ * @returns {Rect} Centered rectangle inside the box
+ */
+export function fitRect(source, box) {
+  const scale = Math.min(box.width / source.width, box.height / source.height);
+  const width = Math.round(source.width * scale);
+  const height = Math.round(source.height * scale);
+  return {
+    x: box.x + Math.round((box.width - width) / 2),
+    y: box.y + Math.round((box.height - height) / 2),
+    width,
+    height,
+  };
+}
+
+/**
+ * Internal: camera overlay rectangle for a picture-in-picture preset
+ * @param {string} layout - 'pip-br', 'pip-bl', 'pip-tr' or 'pip-tl'
+ * @param {Size} canvas - Canvas size
+ * @param {Size} camera - Camera size
+ * @param {PipPlacement} pip - Overlay placement
+ * @returns {Rect} Overlay rectangle
+ */
+function pipOverlayRect(layout, canvas, camera, pip) {
+  const { PIP_MIN_SCALE, PIP_MAX_SCALE, PIP_MARGIN } = CONFIG.COMPOSITOR;
+  const scale = clamp(pip.scale, PIP_MIN_SCALE, PIP_MAX_SCALE);
+  let width = Math.round(canvas.width * scale);
+  let height = Math.round((width * camera.height) / camera.width);
+  // Portrait cameras could be taller than the canvas
+  if (height > canvas.height) {
+    height = canvas.height;
+    width = Math.round((height * camera.width) / camera.height);
+  }
+
+  let x;
+  let y;
+  if (pip.position) {
+    x = Math.round(pip.position.x * canvas.width);
+    y = Math.round(pip.position.y * canvas.height);
+  } else {
+    const margin = Math.round(canvas.width * PIP_MARGIN);
+    x = layout.endsWith('l') ? margin : canvas.width - width - margin;
+    y = layout.startsWith('pip-t') ? margin : canvas.height - height - margin;
+  }
+  return {
+    x: clamp(x, 0, canvas.width - width),
+    y: clamp(y, 0, canvas.height - height),
+    width,
+    height,
+  };
+}
+
+/**
+ * Rectangles to draw for a layout
+ * @param {string} layout - Selected preset
+ * @param {Size} canvas - Canvas size
+ * @param {{ camera?: Size|null, screen?: Size|null }} sources - Sizes of the playing sources
+ * @param {PipPlacement} [pip] - Overlay placement for picture-in-picture presets
+ * @returns {LayoutRect[]} Back to front
+ */
+export function computeLayout(layout, canvas, sources, pip = DEFAULT_PIP) {
+  const camera = sources.camera || null;
+  const screen = sources.screen || null;
+  const drawn = resolveLayout(layout, { camera: !!camera, screen: !!screen });
+  const full = { x: 0, y: 0, width: canvas.width, height: canvas.height };
+
+  if (drawn === 'camera') return camera ? [{ source: 'camera', ...fitRect(camera, full) }] : [];
+  if (drawn === 'screen') return screen ? [{ source: 'screen', ...fitRect(screen, full) }] : [];
+  if (!camera || !screen) return [];
+
+  if (drawn === 'side-by-side') {
+    const half = Math.floor(canvas.width / 2);
+    return [
+      { source: 'screen', ...fitRect(screen, { x: 0, y: 0, width: half, height: canvas.height }) },
+      {
+        source: 'camera',
+        ...fitRect(camera, { x: half, y: 0, width: canvas.width - half, height: canvas.height }),
+      },
+    ];
+  }
+
+  return [
+    { source: 'screen', ...fitRect(screen, full) },
+    { source: 'camera', ...pipOverlayRect(drawn, canvas, camera, pip) },
+  ];
+}
+
+/**
+ * Camera overlay rectangle, when a picture-in-picture layout is drawn
+ * @param {string} layout - Selected preset
+ * @param {Size} canvas - Canvas size
+ * @param {{ camera?: Size|null, screen?: Size|null }} sources - Sizes of the playing sources
+ * @param {PipPlacement} [pip] - Overlay placement
+ * @returns {Rect|null} Overlay rectangle or null
+ */
+export function getPipRect(layout, canvas, sources, pip = DEFAULT_PIP) {
+  const drawn = resolveLayout(layout, { camera: !!sources.camera, screen: !!sources.screen });
+  if (!isPipLayout(drawn)) return null;
+  const overlay = computeLayout(drawn, canvas, sources, pip).find((r) => r.source === 'camera');
+  if (!overlay) return null;
+  const { x, y, width, height } = overlay;
+  return { x, y, width, height };
+}
+
+/**
+ * Map a point on the preview element to canvas pixels
+ * The preview shows the canvas stream letterboxed (object-fit: contain).
+ * @param {{ x: number, y: number }} point - Point relative to the element's top-left corner
+ * @param {Size} element - Element size (CSS pixels)
+ * @param {Size} canvas - Canvas size
+ * @returns {{ x: number, y: number }|null} Canvas point, or null outside the picture
+ */
+export function toCanvasPoint(point, element, canvas) {
+  if (!element.width || !element.height || !canvas.width || !canvas.height) return null;
+  const shown = fitRect(canvas, { x: 0, y: 0, width: element.width, height: element.height });
+  const x = ((point.x - shown.x) / shown.width) * canvas.width;
+  const y = ((point.y - shown.y) / shown.height) * canvas.height;
+  if (x < 0 || y < 0 || x > canvas.width || y > canvas.height) return null;
+  return { x, y };
+}
@@ -17,14 +17,35 @@
  *   - async switchMicLive(deviceId: string): Promise<void>
  *       Switches microphone during live recording.
  *       Side effects: reconnects audio nodes, updates analyser.
- *   - async switchCamLive(deviceId: string): Promise<void>
+ *   - async switchAuxLive(aux: AuxAudioSource|null): Promise<void>
+ *       Switches, adds or removes the second audio source (system audio or another input) during live recording.
+ *       Side effects: reconnects audio nodes.
+ *   - setChannelGain(channel: 'mic'|'aux', gain: number): void / setChannelMuted(channel, muted: boolean): void
+ *       Per-source volume and mute (applied live, remembered for the next recording).
+ *   - getAudioMix(): { mic, aux }
+ *       Current per-source volume and mute state.
+ *   - setProcessing(settings: ProcessingSettings): void / getProcessing(): ProcessingSettings
+ *       Microphone processing chain (high-pass, gate, compressor, loudness), applied live.
+ *   - async switchCamLive(deviceId?: string): Promise<void>
  *       Switches camera during live recording.
  *       Side effects: updates video element/canvas source.
+ *   - async switchScreenLive(sourceId: string): Promise<void>
+ *       Switches the screen/window capture during live recording (same semantics as switchCamLive).
+ *       Side effects: updates video element/canvas source.
+ *   - async setLayout(layout: string): Promise<void>
+ *       Switches the video layout (camera, screen, picture-in-picture, side by side) during live recording.
+ *       Side effects: starts/stops camera and screen streams.
+ *   - getPipRect(): Rect | null
+ *       Canvas rectangle of the picture-in-picture camera overlay (for dragging on the preview).
+ *   - setPipPlacement(placement: { position?, scale? }): void / getPipPlacement(): PipPlacement
+ *       Moves/resizes the picture-in-picture overlay.
  *   - destroy(): void
  *       Destroys mixer, stops all tracks, cleans up resources.
  *       Side effects: stops audio/video, releases nodes/canvas.
  *   - getMixer(): Mixer | null
  *       Returns current mixer object.
+ *   - getSourceStreams(): { mic, aux, camera, screen }
+ *       Raw source streams currently feeding the mix (null when absent), for raw track recording.
  *   - isActive(): boolean
  *       Returns true if mixer is active.
  *
@@ -37,31 +58,189 @@
  * Module Contract
  * =====================
  * Inputs:
- *   - deviceManager (selected mic/cam IDs, audio-only flag)
+ *   - deviceManager (selected mic/cam IDs, second audio source, screen source, layout, audio-only flag)
  *   - CONFIG constants (AUDIO analyser, DEVICE init timeout, RECORDING framerate)
  *   - User requests for live device switching
  * Outputs:
- *   - Mixer object: { stream, audioContext, analyser, sourceNode, destinationNode, videoEl, canvas }
+ *   - Mixer object: { stream, audioCtx, dest, analyser, micSrc, micChain, micGain, auxSrc, auxGain,
+ *     auxAnalyser, camVideo, screenVideo, canvas, layout }
  *   - Active mixed MediaStream consumed by recordingSystem
  * Side-effects:
- *   - Requests mic/cam via getUserMedia
+ *   - Requests mic/cam via getUserMedia; screens/windows via getUserMedia chromeMediaSource 'desktop';
+ *     system audio via getDisplayMedia (loopback, video track dropped)
  *   - Allocates Web Audio context & nodes; runs requestAnimationFrame loop for canvas frames
- *   - Creates transient <video> & <canvas> elements
+ *   - Creates transient <video> elements (one per source) & a <canvas> the layout is drawn on
  *   - Reconnects audio graph / swaps video source on live switching
  * Invariants:
  *   - At most one active mixer; previous is cleaned before replacement
  *   - Partial setup cleaned if any stage fails (tracks stopped, context closed)
  *   - Live switching preserves recording continuity
+ *   - Audio graph: each source -> its gain (volume/mute) -> its level analyser -> dest; the
+ *     microphone passes through its processing chain (audioProcessing.js) before its gain
+ *   - The canvas size is fixed for the whole recording; sources are drawn aspect-fit (letterboxed)
+ *     at the rectangles computed by compositor.js
+ *   - Screen capture is sized to fit within the selected resolution
+ *   - Only the sources the current layout shows are captured
  * Failure Modes (coded errors):
  *   - DEVICE_PERMISSION_DENIED / DEVICE_NOT_FOUND / DEVICE_IN_USE
  *   - MIC_SWITCH_FAILED (live mic replacement failure)
+ *   - AUX_AUDIO_FAILED (second audio source failure, including system audio on unsupported
+ *     platforms); thrown by switchAuxLive, stored as mixer.auxError by createMixerStream, and
+ *     the recording continues without the source either way
  *   - CAMERA_INIT_TIMEOUT (video element start timeout)
+ *   - SCREEN_CAPTURE_FAILED (screen/window capture failure; permission denial is DEVICE_PERMISSION_DENIED)
  *   - UNKNOWN (unclassified errors)
  */
 
 import { audioLevelMonitor } from '../modules/audioLevel.js';
-import { CONFIG, ERROR_CODES } from '../config.js';
+import { CONFIG, ERROR_CODES, ERRORS } from '../config.js';
 import { withTimeout, createError } from '../modules/utils.js';
+import { computeLayout, getPipRect as pipRectFor, usesCamera, usesScreen } from './compositor.js';
+import { ProcessingChain, getPreset, normalizeProcessingSettings } from './audioProcessing.js';
+
+/**
+ * Internal: hidden, muted video element playing a source stream (drawn onto the canvas)
+ * @param {MediaStream} stream - Camera or screen stream
+ * @returns {HTMLVideoElement} Video element
+ */
+function createHiddenVideo(stream) {
+  const video = document.createElement('video');
+  video.playsInline = true;
+  video.muted = true; // Prevent audio feedback
+  video.srcObject = stream;
+  return video;
+}
+
+/**
+ * Internal: start a hidden video, with a timeout for broken webcams
+ * @param {HTMLVideoElement} video - Video element
+ * @returns {Promise<void>}
+ */
+function playWithTimeout(video) {
+  return withTimeout(
+    video.play(),
+    CONFIG.DEVICE.INIT_TIMEOUT,
+    'Camera initialization timed out. The device may be broken or unavailable.'
+  );
+}
+
+/**
+ * Internal: stop every track of a stream (ignores null and already stopped streams)
+ * @param {MediaStream|null} stream - Stream
+ */
+function stopStream(stream) {
+  try {
+    if (stream) stream.getTracks().forEach((t) => t.stop());
+  } catch {}
+}
+
+/**
+ * Internal: release the audio side of a mixer whose setup failed (like destroy())
+ * @param {{ micStream: MediaStream|null, micChain: ProcessingChain|null, auxStream: MediaStream|null, audioCtx: AudioContext }} audio - Partial audio setup
+ */
+function releaseAudio({ micStream, micChain, auxStream, audioCtx }) {
+  if (micChain) micChain.dispose();
+  stopStream(micStream);
+  stopStream(auxStream);
+  try {
+    audioCtx.close();
+  } catch {}
+  // The level monitor was handed this context's analysers
+  audioLevelMonitor.cleanup();
+}
+
+/**
+ * Internal: intrinsic size of a video that has a frame to draw
+ * @param {HTMLVideoElement|null} video - Source video
+ * @returns {{ width: number, height: number }|null} Size, or null while no frame is available
+ */
+function frameSize(video) {
+  if (!video || video.paused || video.ended || video.readyState < 2 || !video.videoWidth) {
+    return null;
+  }
+  return { width: video.videoWidth, height: video.videoHeight };
+}
+
+/**
+ * Internal: analyser node for audio level monitoring
+ * @param {AudioContext} audioCtx - Audio context
+ * @returns {AnalyserNode} Analyser
+ */
+function createLevelAnalyser(audioCtx) {
+  const analyser = audioCtx.createAnalyser();
+  analyser.fftSize = CONFIG.AUDIO.ANALYSER_FFT_SIZE;
+  analyser.smoothingTimeConstant = CONFIG.AUDIO.ANALYSER_SMOOTHING;
+  return analyser;
+}
+
+/**
+ * Internal: coded error for a second audio source that failed to start
+ * @param {any} e - Original error
+ * @returns {Error} Coded error
+ */
+function auxAudioError(e) {
+  if (e && e.code) return e;
+  return createError(ERROR_CODES.AUX_AUDIO_FAILED, ERRORS.AUX_AUDIO.CAPTURE_FAILED, e);
+}
+
+/**
+ * Internal: coded error for a failed screen/window capture
+ * @param {any} e - Original error
+ * @returns {Error} Coded error
+ */
+function screenCaptureError(e) {
+  const en = e && e.name;
+  if (en === 'NotAllowedError' || en === 'PermissionDeniedError') {
+    return createError(ERROR_CODES.DEVICE_PERMISSION_DENIED, ERRORS.SCREEN.NOT_ALLOWED, e);
+  }
+  return createError(ERROR_CODES.SCREEN_CAPTURE_FAILED, ERRORS.SCREEN.CAPTURE_FAILED, e);
+}
+
+/**
+ * Internal: coded error for a camera that failed to start during a live recording
+ * @param {any} e - Original error
+ * @returns {Error} Coded error
+ */
+function cameraSwitchError(e) {
+  // Provide user-facing error message
+  const en = /** @type {any} */ (e).name;
+  if (en === 'NotAllowedError' || en === 'PermissionDeniedError') {
+    return createError(
+      ERROR_CODES.DEVICE_PERMISSION_DENIED,
+      'Camera access denied. Please allow camera permissions in your system settings.',
+      e
+    );
+  } else if (en === 'NotFoundError' || en === 'DevicesNotFoundError') {
+    return createError(
+      ERROR_CODES.DEVICE_NOT_FOUND,
+      'Selected camera device not found. It may have been disconnected.',
+      e
+    );
+  } else if (en === 'NotReadableError' || en === 'TrackStartError') {
+    return createError(
+      ERROR_CODES.DEVICE_IN_USE,
+      'Camera is already in use by another application.',
+      e
+    );
+  } else if (
+    /** @type {any} */ (e).message &&
+    /** @type {any} */ (e).message.includes('timed out')
+  ) {
+    // This is from our withTimeout wrapper
+    // Attach code for timeout classification
+    const t = createError(ERROR_CODES.CAMERA_INIT_TIMEOUT, /** @type {any} */ (e).message, e);
+    // Preserve stack/message if present
+    // @ts-ignore
+    t.stack = /** @type {any} */ (e).stack;
+    return t;
+  } else {
+    return createError(
+      ERROR_CODES.CAMERA_SWITCH_FAILED,
+      'Unable to switch camera during recording. Please stop recording, change the camera, and start a new recording.',
+      e
+    );
+  }
+}
 
 /**
  * Mixer system for combining audio and video streams
@@ -71,6 +250,17 @@ export class MixerSystem {
   constructor() {
     this.mixer = null;
     this.deviceManager = null;
+    // Per-source volume and mute (kept across recordings, applied to the gain nodes)
+    this.audioMix = {
+      mic: { gain: 1, muted: false },
+      aux: { gain: 1, muted: false },
+    };
+    // Microphone processing chain settings (kept across recordings, applied live)
+    /** @type {import('./audioProcessing.js').ProcessingSettings} */
+    this.processing = getPreset(CONFIG.AUDIO_PROCESSING.DEFAULT_PRESET);
+    // Picture-in-picture overlay placement (kept across recordings, reset by layout changes)
+    /** @type {import('./compositor.js').PipPlacement} */
+    this.pip = { scale: CONFIG.COMPOSITOR.PIP_SCALE, position: null };
   }
 
   /**
@@ -103,6 +293,9 @@ export class MixerSystem {
    * - Cleans up partial setup if errors occur
    * - Always attempts microphone access (required)
    * - Camera is optional based on deviceManager.isAudioOnly()
+   * - A second audio source that fails is left out (mixer.auxError says why)
+   * - deviceManager.getSelectedLayout() decides whether the camera, the picked screen
+   *   source (deviceManager.getScreenSource()) or both are captured
    *
    * Error types:
    * - NotAllowedError: Permission denied by user
@@ -113,6 +306,7 @@ export class MixerSystem {
   async createMixerStream() {
     const audioId = this.deviceManager.getSelectedMicId();
     const camId = this.deviceManager.getSelectedCamId();
+    const screenSource = this.deviceManager.getScreenSource();
     const wantVideo = !this.deviceManager.isAudioOnly();
 
     // =============================================================================
@@ -161,19 +355,23 @@ export class MixerSystem {
     const dest = audioCtx.createMediaStreamDestination(); // Output destination
 
     let micSrc = null,
+      micChain = null,
+      micGain = null,
       analyser = null;
     if (micStream) {
       try {
         // Connect microphone to audio context destination
         micSrc = audioCtx.createMediaStreamSource(micStream);
 
-        // Create analyser for audio level monitoring
-        analyser = audioCtx.createAnalyser();
-        analyser.fftSize = 256;
-        analyser.smoothingTimeConstant = 0.8;
+        // Processing chain, per-source volume/mute, then an analyser for audio level monitoring
+        micChain = new ProcessingChain(audioCtx, this.processing);
+        micGain = this.createChannelGain(audioCtx, 'mic');
+        analyser = createLevelAnalyser(audioCtx);
 
-        // Connect: micSrc -> analyser -> dest
-        micSrc.connect(analyser);
+        // Connect: micSrc -> micChain -> micGain -> analyser -> dest
+        micSrc.connect(micChain.input);
+        micChain.output.connect(micGain);
+        micGain.connect(analyser);
         analyser.connect(dest);
 
         // Store analyser for level monitoring
@@ -181,11 +379,7 @@ export class MixerSystem {
       } catch (e) {
         console.error('Failed to connect microphone to audio system:', e);
         // Clean up partial audio context setup
-        try {
-          if (micStream) {
-            micStream.getTracks().forEach((t) => t.stop());
-          }
-        } catch {}
+        releaseAudio({ micStream, micChain, auxStream: null, audioCtx });
         throw createError(
           ERROR_CODES.MIC_CONNECT_FAILED,
           'Failed to connect microphone to audio system. Please reload the app and try again.',
@@ -194,80 +388,84 @@ export class MixerSystem {
       }
     }
 
+    // Second audio source (system audio or another input), mixed in through its own gain.
+    // The gain and analyser always exist so a source can be added live.
+    const auxGain = this.createChannelGain(audioCtx, 'aux');
+    const auxAnalyser = createLevelAnalyser(audioCtx);
+    auxGain.connect(auxAnalyser);
+    auxAnalyser.connect(dest);
+    audioLevelMonitor.setAnalyser(auxAnalyser, 'aux');
+
+    let auxStream = null;
+    let auxSrc = null;
+    let auxError = null;
+    const aux = this.deviceManager.getSelectedAuxAudio();
+    if (aux) {
+      try {
+        auxStream = await this.getAuxStream(aux);
+        auxSrc = audioCtx.createMediaStreamSource(auxStream);
+        auxSrc.connect(auxGain);
+      } catch (e) {
+        // Like a failed live switch: the recording starts without the second source
+        console.error('Second audio source failed; recording without it:', e);
+        try {
+          if (auxSrc) auxSrc.disconnect();
+        } catch {}
+        stopStream(auxStream);
+        auxStream = null;
+        auxSrc = null;
+        auxError = auxAudioError(e);
+      }
+    }
+
     // =============================================================================
     // VIDEO PROCESSING SETUP (Canvas-based for better control)
     // =============================================================================
 
+    // The layout decides which sources are captured; a screen layout without a picked
+    // screen/window records the camera
+    const layout = this.deviceManager.getSelectedLayout();
+    const wantScreen = wantVideo && usesScreen(layout) && !!screenSource;
+    const wantCamera = wantVideo && (usesCamera(layout) || !wantScreen);
+
     let camStream = null;
     /** @type {HTMLVideoElement|null} */
     let camVideo = null;
+    let screenStream = null;
+    /** @type {HTMLVideoElement|null} */
+    let screenVideo = null;
     /** @type {HTMLCanvasElement|null} */
     let canvas = null;
-    let rafId = null;
     const fps = this.deviceManager.getSelectedFramerate();
 
-    if (wantVideo) {
+    if (wantScreen) {
       try {
-        // Get camera stream with specific device or default + resolution preferences
-        const resolution = this.deviceManager.getSelectedResolution();
-        camStream = await navigator.mediaDevices.getUserMedia({
-          video: camId
-            ? {
-                deviceId: { exact: camId },
-                width: { ideal: resolution.width },
-                height: { ideal: resolution.height },
-              }
-            : { width: { ideal: resolution.width }, height: { ideal: resolution.height } },
-        });
-
-        // Create hidden video element to display camera feed
-        camVideo = document.createElement('video');
-        camVideo.playsInline = true;
-        camVideo.muted = true; // Prevent audio feedback
-        camVideo.srcObject = camStream;
+        screenStream = await this.getScreenStream(screenSource.id, fps);
+        screenVideo = createHiddenVideo(screenStream);
+        await playWithTimeout(screenVideo);
+      } catch (e) {
+        console.error('Screen capture failed:', e);
+        stopStream(screenStream);
+        releaseAudio({ micStream, micChain, auxStream, audioCtx });
+        if (/** @type {any} */ (e).message?.includes('timed out')) throw e;
+        throw screenCaptureError(e);
+      }
+    }
 
+    if (wantCamera) {
+      try {
+        // Get camera stream with specific device or default + resolution preferences
+        camStream = await this.getCameraStream(camId);
+        // Hidden video element to display camera feed
+        camVideo = createHiddenVideo(camStream);
         // Add timeout to prevent hanging on broken webcams
-        await withTimeout(
-          camVideo.play(),
-          CONFIG.DEVICE.INIT_TIMEOUT,
-          'Camera initialization timed out. The device may be broken or unavailable.'
-        );
-
-        // Create canvas to capture video frames at controlled frame rate
-        canvas = document.createElement('canvas');
-        const vw = camVideo.videoWidth || 1280;
-        const vh = camVideo.videoHeight || 720;
-        canvas.width = vw;
-        canvas.height = vh;
-        const ctx = canvas.getContext('2d');
-
-        // Animation loop to continuously draw video frames to canvas
-        const draw = () => {
-          // Lifecycle check: stop drawing if video element is destroyed or not playing
-          if (!camVideo || camVideo.paused || camVideo.ended || camVideo.readyState < 2) {
-            return;
-          }
-
-          try {
-            if (ctx && canvas) {
-              ctx.drawImage(camVideo, 0, 0, canvas.width, canvas.height);
-            }
-          } catch {
-            // Drawing failed, stop the loop
-            return;
-          }
-
-          rafId = setTimeout(draw, Math.round(1000 / fps)); // Maintain consistent frame rate
-        };
-        draw(); // Start the drawing loop
+        await playWithTimeout(camVideo);
       } catch (e) {
         console.error('Camera access failed:', e);
-        // Clean up any partial camera setup
-        try {
-          if (camStream) {
-            camStream.getTracks().forEach((t) => t.stop());
-          }
-        } catch {}
+        // Clean up any partial video setup
+        stopStream(camStream);
+        stopStream(screenStream);
+        releaseAudio({ micStream, micChain, auxStream, audioCtx });
 
         // Provide user-facing error message based on error type
         const en = /** @type {any} */ (e).name;
@@ -305,6 +503,20 @@ export class MixerSystem {
       }
     }
 
+    if (camVideo || screenVideo) {
+      // Create canvas to capture video frames at controlled frame rate. Its size is fixed for
+      // the whole recording: the camera's size, or a screen scaled down to fit the selected resolution
+      const resolution = this.deviceManager.getSelectedResolution();
+      const base = screenVideo || camVideo;
+      const vw = base.videoWidth || 1280;
+      const vh = base.videoHeight || 720;
+      const fit = screenVideo ? Math.min(1, resolution.width / vw, resolution.height / vh) : 1;
+      canvas = document.createElement('canvas');
+      // Even dimensions keep video encoders happy
+      canvas.width = Math.round((vw * fit) / 2) * 2;
+      canvas.height = Math.round((vh * fit) / 2) * 2;
+    }
+
     // =============================================================================
     // COMBINE AUDIO AND VIDEO INTO SINGLE STREAM
     // =============================================================================
@@ -317,7 +529,7 @@ export class MixerSystem {
     }
 
     // Add video track from canvas capture
-    if (wantVideo && canvas) {
+    if (canvas) {
       const vTrack = canvas.captureStream(fps).getVideoTracks()[0];
       if (vTrack) stream.addTrack(vTrack);
     }
@@ -328,14 +540,26 @@ export class MixerSystem {
       audioCtx,
       dest,
       camVideo,
+      screenVideo,
       canvas,
-      rafId,
+      rafId: null,
       micSrc,
+      micChain,
+      micGain,
       micStream,
       camStream,
+      screenStream,
       analyser,
+      auxSrc,
+      auxGain,
+      auxStream,
+      auxAnalyser,
+      auxError,
+      layout,
     };
 
+    if (canvas) this.startDrawLoop(fps);
+
     return this.mixer;
   }
 
@@ -382,10 +606,10 @@ export class MixerSystem {
       this.mixer.micStream = newStream;
       this.mixer.micSrc = this.mixer.audioCtx.createMediaStreamSource(newStream);
 
-      // Connect through analyzer if it exists (for audio level monitoring)
-      if (this.mixer.analyser) {
-        this.mixer.micSrc.connect(this.mixer.analyser);
-        // analyzer is already connected to dest from initial setup
+      // Connect through the processing chain (chain -> gain -> analyzer -> dest is connected
+      // from initial setup)
+      if (this.mixer.micChain) {
+        this.mixer.micSrc.connect(this.mixer.micChain.input);
         // Update global reference for audio level monitoring
         audioLevelMonitor.setAnalyser(this.mixer.analyser);
       } else {
@@ -423,10 +647,155 @@ export class MixerSystem {
     }
   }
 
+  /**
+   * Switches (or adds/removes) the second audio source while recording is active
+   * @param {import('../../types/global').AuxAudioSource|null} aux - New source, or null for none
+   * @returns {Promise<void>}
+   * @throws {Error} AUX_AUDIO_FAILED (the recording continues without a second source)
+   *
+   * Side effects:
+   * - Stops the old source stream and disconnects its node
+   * - Connects the new source to the aux gain node (volume/mute are kept)
+   */
+  async switchAuxLive(aux) {
+    if (!this.mixer) return;
+
+    try {
+      if (this.mixer.auxSrc) this.mixer.auxSrc.disconnect();
+    } catch {}
+    stopStream(this.mixer.auxStream);
+    this.mixer.auxSrc = null;
+    this.mixer.auxStream = null;
+    if (!aux) return;
+
+    try {
+      const newStream = await this.getAuxStream(aux);
+      this.mixer.auxStream = newStream;
+      this.mixer.auxSrc = this.mixer.audioCtx.createMediaStreamSource(newStream);
+      this.mixer.auxSrc.connect(this.mixer.auxGain);
+    } catch (e) {
+      console.error('Failed to switch the second audio source during recording:', e);
+      stopStream(this.mixer.auxStream);
+      this.mixer.auxStream = null;
+      throw auxAudioError(e);
+    }
+  }
+
+  /**
+   * Set a source's volume
+   * @param {'mic'|'aux'} channel - Audio source
+   * @param {number} gain - 0 (silent) .. CONFIG.AUDIO.MAX_GAIN
+   * @returns {void}
+   */
+  setChannelGain(channel, gain) {
+    const value = Number(gain);
+    this.audioMix[channel].gain = Number.isFinite(value)
+      ? Math.min(CONFIG.AUDIO.MAX_GAIN, Math.max(0, value))
+      : 1;
+    this.applyChannelGain(channel);
+  }
+
+  /**
+   * Mute or unmute a source (the recording keeps running; the source is silent)
+   * @param {'mic'|'aux'} channel - Audio source
+   * @param {boolean} muted - Mute state
+   * @returns {void}
+   */
+  setChannelMuted(channel, muted) {
+    this.audioMix[channel].muted = !!muted;
+    this.applyChannelGain(channel);
+  }
+
+  /**
+   * Current per-source volume and mute state
+   * @returns {{ mic: { gain: number, muted: boolean }, aux: { gain: number, muted: boolean } }} Copy
+   */
+  getAudioMix() {
+    return { mic: { ...this.audioMix.mic }, aux: { ...this.audioMix.aux } };
+  }
+
+  /**
+   * Set the microphone processing chain (applied live while recording, kept for the next one)
+   * @param {import('./audioProcessing.js').ProcessingSettings} settings - Chain settings
+   * @returns {void}
+   */
+  setProcessing(settings) {
+    this.processing = normalizeProcessingSettings(settings);
+    if (this.mixer && this.mixer.micChain) this.mixer.micChain.update(this.processing);
+  }
+
+  /**
+   * Current microphone processing chain settings
+   * @returns {import('./audioProcessing.js').ProcessingSettings} Copy
+   */
+  getProcessing() {
+    return normalizeProcessingSettings(this.processing);
+  }
+
+  /**
+   * Internal: gain node for a source, initialized from its volume/mute state
+   * @param {AudioContext} audioCtx - Audio context
+   * @param {'mic'|'aux'} channel - Audio source
+   * @returns {GainNode} Gain node
+   */
+  createChannelGain(audioCtx, channel) {
+    const node = audioCtx.createGain();
+    const { gain, muted } = this.audioMix[channel];
+    node.gain.value = muted ? 0 : gain;
+    return node;
+  }
+
+  /**
+   * Internal: ramp a live gain node to the source's volume/mute state
+   * @param {'mic'|'aux'} channel - Audio source
+   * @returns {void}
+   */
+  applyChannelGain(channel) {
+    const node = this.mixer && (channel === 'mic' ? this.mixer.micGain : this.mixer.auxGain);
+    if (!node) return;
+    const { gain, muted } = this.audioMix[channel];
+    node.gain.setTargetAtTime(
+      muted ? 0 : gain,
+      this.mixer.audioCtx.currentTime,
+      CONFIG.AUDIO.GAIN_RAMP
+    );
+  }
+
+  /**
+   * Internal: open the second audio source
+   * System audio comes from getDisplayMedia(): the main process grants the primary screen with
+   * loopback audio (Windows only) and the video track is stopped immediately.
+   * @param {import('../../types/global').AuxAudioSource} aux - Source
+   * @returns {Promise<MediaStream>} Audio-only stream
+   */
+  async getAuxStream(aux) {
+    if (aux.kind === 'device') {
+      // Loopback devices carry music and calls; voice processing would degrade them
+      return navigator.mediaDevices.getUserMedia({
+        audio: {
+          deviceId: { exact: aux.deviceId },
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false,
+        },
+      });
+    }
+
+    const stream = await navigator.mediaDevices.getDisplayMedia({ audio: true, video: true });
+    stream.getVideoTracks().forEach((t) => {
+      t.stop();
+      stream.removeTrack(t);
+    });
+    if (!stream.getAudioTracks().length) {
+      throw createError(ERROR_CODES.AUX_AUDIO_FAILED, ERRORS.AUX_AUDIO.SYSTEM_UNSUPPORTED);
+    }
+    return stream;
+  }
+
   /**
    * Switches the camera input to a new device while recording is active
    * Updates the canvas source video to maintain video continuity
-   * @param {string} deviceId - ID of the new camera device
+   * @param {string} [deviceId] - ID of the new camera device (system default when omitted)
    * @returns {Promise<void>}
    * @throws {Error} If camera switching fails with user-facing error message
    *
@@ -437,82 +806,271 @@ export class MixerSystem {
    *
    * Invariants:
    * - Only works when mixer is active and not in audio-only mode
+   * - No-op while the layout does not show the camera (the next layout change opens it)
    * - Canvas drawing loop continues without interruption
    */
   async switchCamLive(deviceId) {
-    if (!this.mixer || this.deviceManager.isAudioOnly()) return;
+    if (!this.mixer || this.deviceManager.isAudioOnly() || !this.mixer.camVideo) return;
 
     try {
       // Get stream from new camera device
-      const resolution = this.deviceManager.getSelectedResolution();
-      const newStream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          deviceId: { exact: deviceId },
-          width: { ideal: resolution.width },
-          height: { ideal: resolution.height },
-        },
-      });
-
-      // Stop old camera stream
-      try {
-        if (this.mixer.camStream) {
-          this.mixer.camStream.getTracks().forEach((t) => t.stop());
-        }
-      } catch {}
+      const newStream = await this.getCameraStream(deviceId);
+      await this.attachVideo('camera', newStream);
+    } catch (e) {
+      console.error('Failed to switch camera during recording:', e);
+      throw cameraSwitchError(e);
+    }
+  }
 
-      // Update video element with new stream (canvas drawing loop continues automatically)
-      this.mixer.camStream = newStream;
-      if (this.mixer.camVideo) {
-        this.mixer.camVideo.srcObject = newStream;
-      }
+  /**
+   * Switches the screen/window capture while recording is active
+   * Same semantics as switchCamLive(): the canvas keeps its size and drawing loop
+   * @param {string} sourceId - desktopCapturer source id (from the source picker)
+   * @returns {Promise<void>}
+   * @throws {Error} If capture fails with user-facing error message
+   *
+   * Side effects:
+   * - Stops old screen stream
+   * - Creates new screen capture stream
+   * - Updates video element source (canvas drawing loop continues automatically)
+   *
+   * Invariants:
+   * - Only works when mixer is active and not in audio-only mode
+   * - No-op while the layout does not show a screen
+   */
+  async switchScreenLive(sourceId) {
+    if (!this.mixer || !this.mixer.canvas || !usesScreen(this.mixer.layout)) return;
 
-      // Add timeout to prevent hanging on broken webcams
-      await withTimeout(
-        this.mixer.camVideo ? this.mixer.camVideo.play() : Promise.resolve(),
-        CONFIG.DEVICE.INIT_TIMEOUT,
-        'Camera initialization timed out. The device may be broken or unavailable.'
+    try {
+      const newStream = await this.getScreenStream(
+        sourceId,
+        this.deviceManager.getSelectedFramerate()
       );
+      await this.attachVideo('screen', newStream);
     } catch (e) {
-      console.error('Failed to switch camera during recording:', e);
-      // Provide user-facing error message
-      const en = /** @type {any} */ (e).name;
-      if (en === 'NotAllowedError' || en === 'PermissionDeniedError') {
-        throw createError(
-          ERROR_CODES.DEVICE_PERMISSION_DENIED,
-          'Camera access denied. Please allow camera permissions in your system settings.',
-          e
-        );
-      } else if (en === 'NotFoundError' || en === 'DevicesNotFoundError') {
-        throw createError(
-          ERROR_CODES.DEVICE_NOT_FOUND,
-          'Selected camera device not found. It may have been disconnected.',
-          e
-        );
-      } else if (en === 'NotReadableError' || en === 'TrackStartError') {
-        throw createError(
-          ERROR_CODES.DEVICE_IN_USE,
-          'Camera is already in use by another application.',
-          e
-        );
-      } else if (
-        /** @type {any} */ (e).message &&
-        /** @type {any} */ (e).message.includes('timed out')
-      ) {
-        // This is from our withTimeout wrapper
-        // Attach code for timeout classification
-        const t = createError(ERROR_CODES.CAMERA_INIT_TIMEOUT, /** @type {any} */ (e).message, e);
-        // Preserve stack/message if present
-        // @ts-ignore
-        t.stack = /** @type {any} */ (e).stack;
-        throw t;
-      } else {
-        throw createError(
-          ERROR_CODES.CAMERA_SWITCH_FAILED,
-          'Unable to switch camera during recording. Please stop recording, change the camera, and start a new recording.',
-          e
-        );
+      console.error('Failed to switch screen capture during recording:', e);
+      throw screenCaptureError(e);
+    }
+  }
+
+  /**
+   * Switches the video layout while recording is active
+   * Opens the sources the new layout needs and releases the ones it no longer shows.
+   * @param {string} layout - Layout preset (CONFIG.COMPOSITOR.LAYOUTS)
+   * @returns {Promise<void>}
+   * @throws {Error} If a newly needed source fails (the previous layout stays active)
+   *
+   * Side effects:
+   * - Starts/stops camera and screen streams
+   * - Resets a dragged picture-in-picture overlay to the preset's corner
+   *
+   * Invariants:
+   * - Canvas size and drawing loop are unchanged
+   * - A screen layout without a picked source shows the camera
+   */
+  async setLayout(layout) {
+    this.pip = { ...this.pip, position: null };
+    if (!this.mixer || !this.mixer.canvas) return;
+
+    const screenSource = this.deviceManager.getScreenSource();
+    const wantScreen = usesScreen(layout) && !!screenSource;
+    const wantCamera = usesCamera(layout) || !wantScreen;
+
+    if (wantScreen && !this.mixer.screenVideo) {
+      try {
+        const fps = this.deviceManager.getSelectedFramerate();
+        await this.attachVideo('screen', await this.getScreenStream(screenSource.id, fps));
+      } catch (e) {
+        console.error('Failed to start screen capture during recording:', e);
+        throw screenCaptureError(e);
+      }
+    }
+    if (wantCamera && !this.mixer.camVideo) {
+      try {
+        const camId = this.deviceManager.getSelectedCamId();
+        await this.attachVideo('camera', await this.getCameraStream(camId));
+      } catch (e) {
+        console.error('Failed to start camera during recording:', e);
+        throw cameraSwitchError(e);
       }
     }
+
+    this.mixer.layout = layout;
+    if (!wantScreen) this.detachVideo('screen');
+    if (!wantCamera) this.detachVideo('camera');
+  }
+
+  /**
+   * Canvas rectangle of the picture-in-picture camera overlay
+   * @returns {{ x: number, y: number, width: number, height: number }|null} Overlay, or null
+   *   when no picture-in-picture layout is being drawn
+   */
+  getPipRect() {
+    if (!this.mixer || !this.mixer.canvas) return null;
+    const { camVideo, screenVideo, canvas, layout } = this.mixer;
+    return pipRectFor(
+      layout,
+      canvas,
+      { camera: frameSize(camVideo), screen: frameSize(screenVideo) },
+      this.pip
+    );
+  }
+
+  /**
+   * Move and/or resize the picture-in-picture overlay (takes effect on the next frame)
+   * @param {{ position?: { x: number, y: number }|null, scale?: number }} placement - Top-left
+   *   corner as canvas fractions (null = preset corner) and/or width as a fraction of the canvas
+   * @returns {void}
+   */
+  setPipPlacement(placement) {
+    const { PIP_MIN_SCALE, PIP_MAX_SCALE } = CONFIG.COMPOSITOR;
+    this.pip = {
+      scale:
+        placement.scale === undefined
+          ? this.pip.scale
+          : Math.min(PIP_MAX_SCALE, Math.max(PIP_MIN_SCALE, placement.scale)),
+      position: placement.position === undefined ? this.pip.position : placement.position,
+    };
+  }
+
+  /**
+   * Current picture-in-picture placement
+   * @returns {import('./compositor.js').PipPlacement} Copy of the placement
+   */
+  getPipPlacement() {
+    return { ...this.pip };
+  }
+
+  /**
+   * Internal: open a camera with the selected resolution
+   * @param {string} [deviceId] - Camera device ID (system default when omitted)
+   * @returns {Promise<MediaStream>} Video-only stream
+   */
+  getCameraStream(deviceId) {
+    const resolution = this.deviceManager.getSelectedResolution();
+    return navigator.mediaDevices.getUserMedia({
+      video: {
+        ...(deviceId ? { deviceId: { exact: deviceId } } : {}),
+        width: { ideal: resolution.width },
+        height: { ideal: resolution.height },
+      },
+    });
+  }
+
+  /**
+   * Internal: capture a screen or window
+   * @param {string} sourceId - desktopCapturer source id
+   * @param {number} fps - Maximum frame rate
+   * @returns {Promise<MediaStream>} Video-only stream
+   */
+  getScreenStream(sourceId, fps) {
+    const { width, height } = CONFIG.DEVICE.SCREEN_MAX_SIZE;
+    // Electron's desktop capture uses Chromium's legacy "mandatory" constraints
+    return navigator.mediaDevices.getUserMedia({
+      audio: false,
+      video: /** @type {any} */ ({
+        mandatory: {
+          chromeMediaSource: 'desktop',
+          chromeMediaSourceId: sourceId,
+          maxWidth: width,
+          maxHeight: height,
+          maxFrameRate: fps,
+        },
+      }),
+    });
+  }
+
+  /**
+   * Internal: feed a new camera or screen stream to the canvas during a live recording
+   * @param {'camera'|'screen'} kind - Which source to replace (or add)
+   * @param {MediaStream} newStream - New stream
+   * @returns {Promise<void>}
+   *
+   * Side effects:
+   * - Stops the old stream of that kind; a source that fails to start is removed again
+   */
+  async attachVideo(kind, newStream) {
+    const streamKey = kind === 'screen' ? 'screenStream' : 'camStream';
+    const videoKey = kind === 'screen' ? 'screenVideo' : 'camVideo';
+
+    stopStream(this.mixer[streamKey]);
+    this.mixer[streamKey] = newStream;
+    if (this.mixer[videoKey]) {
+      this.mixer[videoKey].srcObject = newStream;
+    } else {
+      this.mixer[videoKey] = createHiddenVideo(newStream);
+    }
+
+    try {
+      await playWithTimeout(this.mixer[videoKey]);
+    } catch (e) {
+      this.detachVideo(kind);
+      throw e;
+    }
+  }
+
+  /**
+   * Internal: stop a camera or screen source and remove it from the canvas
+   * @param {'camera'|'screen'} kind - Which source
+   * @returns {void}
+   */
+  detachVideo(kind) {
+    const streamKey = kind === 'screen' ? 'screenStream' : 'camStream';
+    const videoKey = kind === 'screen' ? 'screenVideo' : 'camVideo';
+    try {
+      if (this.mixer[videoKey]) {
+        this.mixer[videoKey].pause();
+        this.mixer[videoKey].srcObject = null;
+      }
+    } catch {}
+    stopStream(this.mixer[streamKey]);
+    this.mixer[videoKey] = null;
+    this.mixer[streamKey] = null;
+  }
+
+  /**
+   * Internal: draw the layout onto the canvas at a fixed frame rate until the mixer is destroyed
+   * @param {number} fps - Frame rate
+   * @returns {void}
+   */
+  startDrawLoop(fps) {
+    const mixer = this.mixer;
+    const ctx = mixer.canvas.getContext('2d');
+    if (!ctx) return;
+
+    const draw = () => {
+      // Lifecycle check: stop drawing once destroy() has released this mixer
+      if (this.mixer !== mixer) return;
+      try {
+        this.drawFrame(ctx, mixer);
+      } catch {
+        // Drawing failed, stop the loop
+        return;
+      }
+      mixer.rafId = setTimeout(draw, Math.round(1000 / fps)); // Maintain consistent frame rate
+    };
+    draw(); // Start the drawing loop
+  }
+
+  /**
+   * Internal: draw one frame of the current layout
+   * @param {CanvasRenderingContext2D} ctx - Canvas context
+   * @param {import('../../types/global').Mixer} mixer - Active mixer
+   * @returns {void}
+   */
+  drawFrame(ctx, mixer) {
+    const { camVideo, screenVideo, canvas, layout } = mixer;
+    const camera = frameSize(camVideo);
+    const screen = frameSize(screenVideo);
+    // A live source switch briefly leaves an element without frames; keep the last frame
+    if ((camVideo && !camera) || (screenVideo && !screen)) return;
+
+    ctx.fillStyle = '#000';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    computeLayout(layout, canvas, { camera, screen }, this.pip).forEach((rect) => {
+      const video = rect.source === 'camera' ? camVideo : screenVideo;
+      ctx.drawImage(video, rect.x, rect.y, rect.width, rect.height);
+    });
   }
 
   /**
@@ -522,8 +1080,8 @@ export class MixerSystem {
    *
    * Side effects:
    * - Stops canvas drawing loop
-   * - Pauses and clears video element
-   * - Stops all media tracks (camera and microphone)
+   * - Pauses and clears video elements
+   * - Stops all media tracks (camera, screen, microphone and second audio source)
    * - Closes Web Audio context
    * - Clears audio level monitor
    * - Nullifies mixer state
@@ -541,25 +1099,14 @@ export class MixerSystem {
     } catch {}
     this.mixer.rafId = null;
 
-    // Pause and clear video element
-    try {
-      if (this.mixer.camVideo) {
-        this.mixer.camVideo.pause();
-        this.mixer.camVideo.srcObject = null; // Clear source to trigger lifecycle checks
-      }
-    } catch {}
+    // Pause and clear video elements, stop camera/screen tracks
+    this.detachVideo('camera');
+    this.detachVideo('screen');
 
-    // Stop all media tracks
-    try {
-      if (this.mixer.camStream) {
-        this.mixer.camStream.getTracks().forEach((t) => t.stop());
-      }
-    } catch {}
-    try {
-      if (this.mixer.micStream) {
-        this.mixer.micStream.getTracks().forEach((t) => t.stop());
-      }
-    } catch {}
+    // Stop microphone and second audio source tracks
+    stopStream(this.mixer.micStream);
+    stopStream(this.mixer.auxStream);
+    if (this.mixer.micChain) this.mixer.micChain.dispose();
 
     // Close Web Audio context
     try {
@@ -574,6 +1121,20 @@ export class MixerSystem {
     this.mixer = null;
   }
 
+  /**
+   * Raw source streams currently feeding the mix
+   * @returns {import('./trackRecorder.js').SourceStreams} Streams (null when a source is absent)
+   */
+  getSourceStreams() {
+    const m = this.mixer;
+    return {
+      mic: m ? m.micStream : null,
+      aux: m ? m.auxStream : null,
+      camera: m ? m.camStream : null,
+      screen: m ? m.screenStream : null,
+    };
+  }
+
   /**
    * Get the current mixer instance
    * @returns {import('../../types/global').Mixer | null} Current mixer object or null if not created
@@ -0,0 +1,182 @@
+// @ts-check
+
+/**
+ * @file Recording container, codec and bitrate selection
+ * Probes which of the formats in CONFIG.RECORDING.FORMATS this MediaRecorder can produce,
+ * turns the user's choice into MediaRecorder options and estimates the file size per hour.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - probeFormats(isTypeSupported: (mime: string) => boolean): ProbedFormat[]
+ *       CONFIG.RECORDING.FORMATS with video/audio-only support flags.
+ *   - normalizeFormatSettings(settings: any): FormatSettings
+ *       Complete, valid settings (unknown formats become 'auto').
+ *   - loadFormatSettings(storage: Storage): FormatSettings
+ *   - saveFormatSettings(storage: Storage, settings: FormatSettings): void
+ *       Persistence under CONFIG.STORAGE_KEYS.RECORDING_FORMAT.
+ *   - resolveRecordingFormat(settings, opts: { audioOnly, isTypeSupported }): ResolvedFormat
+ *       MIME type and file extension to record with.
+ *   - extensionForMimeType(mimeType: string): string
+ *       'mp4' for MP4 MIME types, otherwise 'webm'.
+ *   - estimateBytesPerHour(opts: { videoBitrate, audioBitrate, audioOnly }): number
+ *       Expected recording size for one hour.
+ *   - formatByteSize(bytes: number): string
+ *       Human-readable size (MB/GB).
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Settings objects (from the recording format dialog or localStorage)
+ *   - MediaRecorder.isTypeSupported (injected, so the module stays testable)
+ * Outputs:
+ *   - MIME type, file extension and size estimates
+ * Side-effects:
+ *   - None (pure functions; storage is passed in)
+ * Invariants:
+ *   - 'auto' walks CONFIG.RECORDING.SUPPORTED_MIME_TYPES, the order used before formats
+ *     were selectable
+ *   - The extension always matches the container actually recorded
+ * Failure Modes:
+ *   - A chosen format that is not supported falls back to 'auto' (fallback: true)
+ *   - Corrupt stored settings fall back to the defaults
+ */
+
+import { CONFIG } from '../config.js';
+
+/**
+ * @typedef {object} FormatSettings
+ * @property {string} format - 'auto' or a CONFIG.RECORDING.FORMATS id
+ * @property {number} videoBitrate - videoBitsPerSecond, 0 for the browser default
+ */
+/**
+ * @typedef {object} ProbedFormat
+ * @property {string} id - Format id
+ * @property {string} label - Display name
+ * @property {string} mimeType - Video recording MIME type
+ * @property {string} audioMimeType - Audio-only recording MIME type
+ * @property {boolean} supported - Whether video recordings can use it
+ * @property {boolean} audioSupported - Whether audio-only recordings can use it
+ */
+/**
+ * @typedef {object} ResolvedFormat
+ * @property {string} mimeType - MIME type for MediaRecorder ('' = browser default)
+ * @property {string} ext - File extension ('webm' or 'mp4')
+ * @property {boolean} fallback - True when the chosen format was not supported
+ */
+
+/**
+ * Probe which formats can be recorded
+ * @param {(mime: string) => boolean} isTypeSupported - MediaRecorder.isTypeSupported
+ * @returns {ProbedFormat[]} Formats in CONFIG order
+ */
+export function probeFormats(isTypeSupported) {
+  return CONFIG.RECORDING.FORMATS.map((f) => ({
+    ...f,
+    supported: isTypeSupported(f.mimeType),
+    audioSupported: isTypeSupported(f.audioMimeType),
+  }));
+}
+
+/**
+ * Complete and validate settings
+ * @param {any} settings - Possibly partial or stored settings
+ * @returns {FormatSettings} Valid settings
+ */
+export function normalizeFormatSettings(settings) {
+  const input = settings && typeof settings === 'object' ? settings : {};
+  const known = CONFIG.RECORDING.FORMATS.some((f) => f.id === input.format);
+  const bitrate = Number(input.videoBitrate);
+  return {
+    format: known ? input.format : CONFIG.RECORDING.DEFAULT_FORMAT,
+    videoBitrate:
+      Number.isFinite(bitrate) && bitrate > 0
+        ? Math.min(CONFIG.RECORDING.MAX_VIDEO_BITRATE, Math.round(bitrate))
+        : CONFIG.RECORDING.DEFAULT_VIDEO_BITRATE,
+  };
+}
+
+/**
+ * Read the saved settings
+ * @param {Pick<Storage, 'getItem'>} storage - localStorage
+ * @returns {FormatSettings} Saved settings, or the defaults
+ */
+export function loadFormatSettings(storage) {
+  try {
+    const raw = storage.getItem(CONFIG.STORAGE_KEYS.RECORDING_FORMAT);
+    return normalizeFormatSettings(raw ? JSON.parse(raw) : null);
+  } catch (e) {
+    console.warn('Ignoring invalid recording format settings:', e);
+    return normalizeFormatSettings(null);
+  }
+}
+
+/**
+ * Save settings
+ * @param {Pick<Storage, 'setItem'>} storage - localStorage
+ * @param {FormatSettings} settings - Settings
+ * @returns {void}
+ */
+export function saveFormatSettings(storage, settings) {
+  storage.setItem(
+    CONFIG.STORAGE_KEYS.RECORDING_FORMAT,
+    JSON.stringify(normalizeFormatSettings(settings))
+  );
+}
+
+/**
+ * File extension for a recording MIME type
+ * @param {string} mimeType - MIME type (parameters allowed)
+ * @returns {string} 'mp4' or 'webm'
+ */
+export function extensionForMimeType(mimeType) {
+  return /^(video|audio)\/mp4\b/i.test(mimeType || '') ? 'mp4' : CONFIG.RECORDING.DEFAULT_EXTENSION;
+}
+
+/**
+ * Choose the MIME type to record with
+ * @param {FormatSettings} settings - Format settings
+ * @param {{ audioOnly: boolean, isTypeSupported: (mime: string) => boolean }} opts - Stream kind and probe
+ * @returns {ResolvedFormat} MIME type and extension
+ */
+export function resolveRecordingFormat(settings, opts) {
+  const { audioOnly, isTypeSupported } = opts;
+  const { format } = normalizeFormatSettings(settings);
+  const chosen = CONFIG.RECORDING.FORMATS.find((f) => f.id === format);
+  if (chosen) {
+    const mimeType = audioOnly ? chosen.audioMimeType : chosen.mimeType;
+    if (isTypeSupported(mimeType)) {
+      return { mimeType, ext: extensionForMimeType(mimeType), fallback: false };
+    }
+  }
+
+  const mimeType = CONFIG.RECORDING.SUPPORTED_MIME_TYPES.find((m) => isTypeSupported(m)) || '';
+  return { mimeType, ext: extensionForMimeType(mimeType), fallback: Boolean(chosen) };
+}
+
+/**
+ * Expected size of one hour of recording
+ * @param {{ videoBitrate: number, audioBitrate: number, audioOnly: boolean }} opts - Bitrates in bits/s (video 0 = browser default)
+ * @returns {number} Bytes per hour
+ */
+export function estimateBytesPerHour({ videoBitrate, audioBitrate, audioOnly }) {
+  const video = audioOnly ? 0 : videoBitrate || CONFIG.RECORDING.ASSUMED_VIDEO_BITRATE;
+  return Math.round(((video + (audioBitrate || 0)) * 3600) / 8);
+}
+
+/**
+ * Human-readable byte size
+ * @param {number} bytes - Size in bytes
+ * @returns {string} e.g. '28 MB' or '1.1 GB'
+ */
+export function formatByteSize(bytes) {
+  const mb = bytes / (1024 * 1024);
+  if (mb < 1024) return `${Math.max(1, Math.round(mb))} MB`;
+  return `${(mb / 1024).toFixed(1)} GB`;
+}
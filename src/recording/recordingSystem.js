@@ -11,8 +11,8 @@
  *   - init(options: RecordingInitOptions): void
  *       Initializes recording system with DOM references and callbacks.
  *       Side effects: stores DOM refs, initializes timer system.
- *   - async startRecording(): Promise<void>
- *       Starts a new recording session.
+ *   - async startRecording(opts?: { append?: boolean }): Promise<void>
+ *       Starts a new recording session, or a take appended to the current recording.
  *       Side effects: requests device permissions, creates MediaRecorder, updates UI, starts timer.
  *   - togglePause(): void
  *       Pauses or resumes recording.
@@ -20,8 +20,8 @@
  *   - async stopRecording(): Promise<void>
  *       Stops recording and flushes data.
  *       Side effects: stops MediaRecorder, stops tracks, destroys mixer, stops timer/audio level.
- *   - finalizePreview(): void
- *       Finalizes preview blob and cleans up old blob URLs.
+ *   - async finalizePreview(): Promise<void>
+ *       Finalizes preview blob (WebM duration/cue fixup) and cleans up old blob URLs.
  *       Side effects: creates/revokes blob URLs, updates preview.
  *   - handleStop(): void
  *       Internal: Handles MediaRecorder stop event, triggers finalizePreview and state change.
@@ -30,7 +30,30 @@
  *       Side effects: enables/disables buttons, updates status.
  *   - reset(): void
  *       Resets recording system state and cleans up resources.
- *       Side effects: stops MediaRecorder, stops tracks, revokes blob URLs, resets UI.
+ *       Side effects: stops MediaRecorder, stops tracks, revokes blob URLs, closes journal media, resets UI.
+ *   - loadRecording(mediaArrayBuffer: ArrayBuffer|null, mimeType?: string): void
+ *       Plays in-memory media (e.g., a recovered journal).
+ *   - loadMediaFile(media: { path: string, url: string }|null, tracks?: RecordedTrack[]): void
+ *       Plays file-backed media (e.g., extracted from a notepack) without reading it into memory.
+ *   - detachMedia(): SegmentMedia|null / attachMedia(media: SegmentMedia|null): void
+ *       Hands the current media over (player cleared) and plays handed-over media again, so a
+ *       session can switch between its recordings (segments).
+ *   - getSegmentMedia(): SegmentMedia|null
+ *       The media detachMedia() would hand over, without clearing the player (saving).
+ *   - getTracks(): RecordedTrack[] / setTracks(tracks: RecordedTrack[]): void
+ *       Raw source tracks of the current recording (multi-track mode or loaded notepack).
+ *   - hasRecording(): boolean
+ *       True when a recorded blob or file-backed media is available.
+ *   - isRecordingOrPaused(): boolean
+ *       True while a MediaRecorder is active (recording or paused).
+ *   - getMediaFilePath(): string|null
+ *       Path of file-backed media (null for in-memory recordings).
+ *   - setFormat(settings: FormatSettings): void / getFormat(): FormatSettings
+ *       Container/codec and video bitrate for the next recording (see recordingFormats.js).
+ *   - takePendingAppend(): PendingAppend|null
+ *       The finished appended take's base recording, once (the coordinator joins them).
+ *   - getSegmentBoundaries(): number[] / setSegmentBoundaries(boundaries: number[]): void
+ *       Start times of the recorded segments in the media ([] for a single recording).
  *
  * Internal helpers are marked 'Internal'.
  * Invariants and side effects are documented per method.
@@ -42,13 +65,17 @@
  * =====================
  * Inputs:
  *   - DOM references via init(options): player, status element, control buttons
- *   - Dependencies: timerSystem, audioLevelMonitor, mixerSystem, errorBoundary, CONFIG constants
+ *   - Dependencies: timerSystem, audioLevelMonitor, mixerSystem, trackRecorder, errorBoundary, recoveryJournal, webmFixup, CONFIG constants
  *   - User interactions: start/stop/pause buttons, device switching (through mixerSystem)
  *   - Media device streams created by mixerSystem.createMixerStream()
  * Outputs:
- *   - Recorded media blob (recordedBlob) & preview URL (currentBlobUrl)
+ *   - Recorded media blob (recordedBlob) & preview URL (currentBlobUrl), or file-backed media (loadedMedia)
  *   - Recording state transitions via onStateChange callback
- *   - Media extension (mediaExt) informing export/save logic
+ *   - Media extension (mediaExt, 'webm' or 'mp4', matching the recorded container) informing
+ *     export/save logic
+ *   - Timesliced chunks streamed to a main-process recovery journal while recording
+ *   - Raw per-source tracks (tracks) when deviceManager.isMultiTrack() is on
+ *   - For appended takes: the base recording (PendingAppend) to join the take after
  * Side-effects:
  *   - Requests mic/cam permissions
  *   - Allocates & manages MediaRecorder and underlying MediaStream tracks
@@ -58,8 +85,19 @@
  * Invariants:
  *   - Only one active recording; startRecording() is no-op if already recording
  *   - Existing preview URL revoked before creating a new one
+ *   - recordedBlob and loadedMedia are mutually exclusive
  *   - stop/reset always stops tracks & destroys mixer resources
  *   - Paused time excluded from elapsed recording time
+ *   - recordedBlob from a WebM recording carries Duration and Cues (fixed up before it is exposed)
+ *   - A fixup that finishes after reset()/load is discarded (previewGeneration check)
+ *   - Journal appends are serialized and never retried (a retry could duplicate media bytes)
+ *   - Journal failures never interrupt the recording; journaling is simply disabled
+ *   - Raw tracks follow the mixed recording: same pauses, re-synced after every live switch,
+ *     replaced by each new recording and cleared on reset
+ *   - An appended take is timed from the end of the base recording (timer offset) and keeps the
+ *     base's raw tracks; it is journaled as the journal's take, so the journal's media (the
+ *     earlier recording) is kept
+ *   - Detached media keeps its blob (the blob URL is revoked and recreated on attach)
  * Failure Modes (coded errors):
  *   - DEVICE_PERMISSION_DENIED / DEVICE_NOT_FOUND / DEVICE_IN_USE
  *   - RECORDING_START_FAILED, CODEC_UNSUPPORTED
@@ -67,11 +105,19 @@
  */
 
 import { sleep, createError } from '../modules/utils.js';
-import { ERROR_CODES } from '../config.js';
+import { CONFIG, ERROR_CODES } from '../config.js';
 import { timerSystem } from '../modules/timer.js';
 import { audioLevelMonitor } from '../modules/audioLevel.js';
 import { mixerSystem } from './mixerSystem.js';
 import { errorBoundary } from '../modules/errorBoundary.js';
+import { recoveryJournal } from '../modules/recoveryJournal.js';
+import { fixWebmBlob } from './webmFixup.js';
+import { trackRecorder } from './trackRecorder.js';
+import {
+  normalizeFormatSettings,
+  resolveRecordingFormat,
+  extensionForMimeType,
+} from './recordingFormats.js';
 
 /**
  * Recording system for audio/video capture
@@ -83,9 +129,26 @@ export class RecordingSystem {
     this.mediaRecorder = null;
     this.chunks = [];
     this.recordedBlob = null;
-    this.mediaExt = 'webm';
+    this.mediaExt = CONFIG.RECORDING.DEFAULT_EXTENSION;
+    this.format = normalizeFormatSettings(null); // Container/codec + video bitrate
     this.lastDataChunk = null;
     this.currentBlobUrl = null; // Track blob URL for cleanup
+    /** @type {{ path: string, url: string }|null} */
+    this.loadedMedia = null; // File-backed media (loaded notepack), never read into memory
+    this.finalizing = null; // Pending finalizePreview() (WebM fixup runs asynchronously)
+    this.previewGeneration = 0; // Bumped whenever the player source is replaced
+    /** @type {import('../../types/global').RecordedTrack[]} */
+    this.tracks = []; // Raw source tracks (multi-track mode)
+    /** @type {number[]} */
+    this.segmentBoundaries = []; // Segment start times after appending ([] = one segment)
+    /** @type {import('../../types/global').AppendBase|null} */
+    this.appendBase = null; // Recording the current take is appended to
+    /** @type {import('../../types/global').PendingAppend|null} */
+    this.pendingAppend = null; // Finished appended take, waiting to be joined
+
+    // Crash-recovery journal media stream (chunks streamed to disk while recording)
+    this.journalStreamId = null;
+    this.journalWrites = Promise.resolve();
 
     // UI elements
     this.player = null;
@@ -118,6 +181,7 @@ export class RecordingSystem {
 
   /**
    * Starts a new recording session
+   * @param {{ append?: boolean }} [opts] - append: record a take to join after the current recording
    * @returns {Promise<void>}
    * @throws {Error} If device access fails or MediaRecorder initialization fails
    *
@@ -131,8 +195,14 @@ export class RecordingSystem {
    * Invariants:
    * - Must be called when not already recording
    * - Cleans up any existing mixer before starting new session
+   * - When appending, the current recording is kept (appendBase) and restored if the take
+   *   fails to start
    */
-  async startRecording() {
+  async startRecording({ append = false } = {}) {
+    this.appendBase = append ? this.captureAppendBase() : null;
+    this.pendingAppend = null;
+    if (!this.appendBase) this.segmentBoundaries = [];
+
     try {
       this.statusEl.textContent = 'Requesting devices…';
 
@@ -159,38 +229,36 @@ export class RecordingSystem {
       await this.player.play();
 
       // =============================================================================
-      // CODEC SELECTION - Try best quality formats first
+      // CODEC SELECTION - User's format, or the best supported one ('auto')
       // =============================================================================
-      const mimeCandidates = [
-        'video/webm;codecs=vp9,opus', // Best quality video + audio
-        'video/webm;codecs=vp8,opus', // Good compatibility video + audio
-        'video/webm', // Basic video format
-        'audio/webm;codecs=opus', // High quality audio-only
-        'audio/webm', // Basic audio-only
-      ];
-
-      let mime = '';
-      for (const m of mimeCandidates) {
-        if (MediaRecorder.isTypeSupported(m)) {
-          mime = m;
-          break;
-        }
+      const hasVideoTrack = this.mediaStream.getVideoTracks().length > 0;
+      const format = resolveRecordingFormat(this.format, {
+        audioOnly: !hasVideoTrack,
+        isTypeSupported: (m) => MediaRecorder.isTypeSupported(m),
+      });
+      if (format.fallback) {
+        console.warn(`Recording format '${this.format.format}' is not supported; using automatic`);
       }
+      const mime = format.mimeType;
 
       // Set file extension based on selected format
-      this.mediaExt = mime.startsWith('audio/') ? 'webm' : 'webm';
+      this.mediaExt = format.ext;
 
       // =============================================================================
       // MEDIARECORDER SETUP
       // =============================================================================
+      this.previewGeneration++; // A previous take's fixup must not replace the live preview
       this.chunks = [];
       this.lastDataChunk = null;
 
-      // Build MediaRecorder options with MIME type and audio bitrate
+      // Build MediaRecorder options with MIME type, audio and video bitrate
       const recordingOptions = mime ? { mimeType: mime } : {};
       if (mixerSystem.deviceManager && mixerSystem.deviceManager.getSelectedAudioBitrate) {
         recordingOptions.audioBitsPerSecond = mixerSystem.deviceManager.getSelectedAudioBitrate();
       }
+      if (hasVideoTrack && this.format.videoBitrate > 0) {
+        recordingOptions.videoBitsPerSecond = this.format.videoBitrate;
+      }
 
       try {
         this.mediaRecorder = new MediaRecorder(this.mediaStream, recordingOptions);
@@ -205,11 +273,19 @@ export class RecordingSystem {
       // Set up timer system with recorder reference
       timerSystem.setMediaRecorder(this.mediaRecorder);
 
+      // Open a recovery journal so chunks survive a crash (best-effort). An appended take goes
+      // into the journal's take, next to the earlier recording the journal holds
+      await this.openJournal(
+        this.mediaRecorder.mimeType || mime,
+        this.appendBase ? this.appendBase.duration : null
+      );
+
       // Event handlers for recording lifecycle
       this.mediaRecorder.ondataavailable = (e) => {
         if (e.data && e.data.size) {
           this.lastDataChunk = e.data;
           this.chunks.push(e.data);
+          this.journalChunk(e.data);
         }
       };
 
@@ -241,30 +317,107 @@ export class RecordingSystem {
       this.updateUIState('recording');
 
       // Start recording and update UI
-      this.mediaRecorder.start(); // No timeslice - get complete blob on stop
-
-      // Initialize recording timer
-      timerSystem.startRecording();
+      // Timesliced so chunks reach the recovery journal while recording
+      this.mediaRecorder.start(CONFIG.RECORDING.TIMESLICE_MS);
+
+      // Initialize recording timer (an appended take continues after the base recording)
+      timerSystem.startRecording(this.appendBase ? this.appendBase.duration : 0);
+
+      // Raw per-source tracks next to the mix, on the mixed recording's clock
+      this.tracks = this.appendBase ? this.tracks : [];
+      if (mixerSystem.deviceManager?.isMultiTrack()) {
+        // Tracks of a journaled recording (or take) are journaled with it
+        const journalId = this.journalStreamId ? recoveryJournal.getId() : null;
+        trackRecorder.start(
+          mixerSystem.getSourceStreams(),
+          () => timerSystem.getCurrentRecordingTime(),
+          journalId ? { id: journalId, take: !!this.appendBase } : null
+        );
+      }
 
-      // Set up audio level monitoring for audio-only recording
-      // Show audio level meter if: explicitly audio-only OR video failed (no video tracks in stream)
-      const deviceManager = mixerSystem.deviceManager;
+      // Per-source meters run for every recording; the large meter is shown if:
+      // explicitly audio-only OR video failed (no video tracks in stream)
       const hasVideo = this.mediaStream.getVideoTracks().length > 0;
-      if (!hasVideo) {
-        audioLevelMonitor.toggle(true);
-        audioLevelMonitor.start();
-      } else {
-        audioLevelMonitor.toggle(false);
-      }
+      audioLevelMonitor.toggle(!hasVideo);
+      audioLevelMonitor.start();
 
-      this.statusEl.textContent = 'Recording…';
+      // A second audio source that failed is left out rather than stopping the recording
+      this.statusEl.textContent = mixer.auxError
+        ? `Recording without the second audio source: ${mixer.auxError.message}`
+        : 'Recording…';
     } catch (err) {
       console.error(err);
       const msg = /** @type {any} */ (err).message || String(err);
+      if (this.appendBase) this.restoreAppendBase();
       this.statusEl.textContent = 'Error: ' + msg;
     }
   }
 
+  /**
+   * Internal: snapshot the current recording before an appended take replaces the player
+   * @returns {import('../../types/global').AppendBase|null} Base, or null without usable media
+   */
+  captureAppendBase() {
+    const duration = this.player.duration;
+    const url = this.loadedMedia ? this.loadedMedia.url : this.currentBlobUrl;
+    if (!this.hasRecording() || !url || !Number.isFinite(duration) || duration <= 0) return null;
+    const { videoWidth, videoHeight } = this.player;
+    return {
+      blob: this.recordedBlob,
+      path: this.loadedMedia ? this.loadedMedia.path : null,
+      url,
+      ext: this.mediaExt,
+      duration,
+      frameSize: videoWidth > 0 ? { width: videoWidth, height: videoHeight } : null,
+      boundaries: this.segmentBoundaries.length ? [...this.segmentBoundaries] : [0],
+    };
+  }
+
+  /**
+   * Internal: play the base recording again after an appended take failed to start
+   * @returns {void}
+   */
+  restoreAppendBase() {
+    const base = this.appendBase;
+    this.appendBase = null;
+    if (!base) return;
+    if (this.mediaStream) this.mediaStream.getTracks().forEach((t) => t.stop());
+    mixerSystem.destroy();
+    this.mediaExt = base.ext;
+    this.player.srcObject = null;
+    this.player.muted = false;
+    this.player.src = base.url;
+    timerSystem.startPlaybackTimer();
+  }
+
+  /**
+   * Take the finished appended take's base recording (returns it once)
+   * The take itself is the current recording (recordedBlob); the coordinator joins both.
+   * @returns {import('../../types/global').PendingAppend|null} Base and combined length, or null
+   */
+  takePendingAppend() {
+    const pending = this.pendingAppend;
+    this.pendingAppend = null;
+    return pending;
+  }
+
+  /**
+   * Start times of the recorded segments in the media
+   * @returns {number[]} Ascending seconds, first 0 ([] for a single recording)
+   */
+  getSegmentBoundaries() {
+    return this.segmentBoundaries;
+  }
+
+  /**
+   * Set the segment start times (after joining a take, cutting or loading a session)
+   * @param {number[]} boundaries - Ascending seconds, first 0 ([] for a single recording)
+   * @returns {void}
+   */
+  setSegmentBoundaries(boundaries) {
+    this.segmentBoundaries = Array.isArray(boundaries) && boundaries.length > 1 ? boundaries : [];
+  }
+
   /**
    * Pauses or resumes recording
    * @returns {void}
@@ -284,12 +437,14 @@ export class RecordingSystem {
       // Pausing
       timerSystem.pauseRecording();
       this.mediaRecorder.pause();
+      trackRecorder.pause();
       this.updateUIState('paused');
       this.statusEl.textContent = 'Paused';
     } else if (this.mediaRecorder.state === 'paused') {
       // Resuming
       timerSystem.resumeRecording();
       this.mediaRecorder.resume();
+      trackRecorder.resume();
       this.updateUIState('recording');
       this.statusEl.textContent = 'Recording…';
     }
@@ -317,6 +472,9 @@ export class RecordingSystem {
       return;
     }
 
+    // Combined length for an appended take (read before the timer switches to playback)
+    const end = timerSystem.getCurrentRecordingTime();
+
     // =============================================================================
     // DATA FLUSHING PREPARATION
     // =============================================================================
@@ -388,12 +546,24 @@ export class RecordingSystem {
     // CLEANUP AND UI RESET
     // =============================================================================
 
+    // Stop raw track recorders before their sources go away
+    const tracks = trackRecorder.stop();
+
     // Stop all media tracks and clean up mixer
     if (this.mediaStream) this.mediaStream.getTracks().forEach((t) => t.stop());
     mixerSystem.destroy();
 
-    // Finalize the recording if stop event didn't fire
-    if (!stopped) this.finalizePreview();
+    // Finalize the recording if stop event didn't fire (otherwise wait for handleStop's fixup)
+    if (!stopped) this.finalizing = this.finalizePreview();
+    await this.finalizing;
+    this.tracks = [...(this.appendBase ? this.tracks : []), ...(await tracks)];
+    if (this.appendBase) {
+      this.pendingAppend = { ...this.appendBase, end };
+      this.appendBase = null;
+    }
+
+    // Flush pending chunk writes and close the journal's media file
+    await this.closeJournal();
 
     // Stop timer systems
     timerSystem.stopRecording();
@@ -408,19 +578,22 @@ export class RecordingSystem {
 
   /**
    * Assembles recorded chunks into final blob and sets up playback
-   * @returns {void}
+   * @returns {Promise<void>}
    *
    * Side effects:
    * - Revokes previous blob URL to prevent memory leaks
-   * - Creates new blob from recorded chunks
+   * - Creates new blob from recorded chunks and rewrites WebM headers with duration + cues
    * - Sets player source to recorded blob
    * - Starts playback timer
    * - Triggers onStateChange callback
    *
    * Invariants:
    * - Can be called multiple times safely (cleans up previous blob URLs)
+   * - recordedBlob is only set once the fixup has finished
    */
-  finalizePreview() {
+  async finalizePreview() {
+    const generation = ++this.previewGeneration;
+
     // Ensure the last data chunk is included
     if (
       this.lastDataChunk &&
@@ -436,10 +609,19 @@ export class RecordingSystem {
     }
 
     if (this.chunks.length) {
-      // Combine all chunks into a single blob
-      this.recordedBlob = new Blob(this.chunks, {
+      // Combine all chunks into a single blob (replaces any loaded media)
+      this.loadedMedia = null;
+      this.recordedBlob = null;
+      this.statusEl.textContent = 'Finalizing recording…';
+      const rawBlob = new Blob(this.chunks, {
         type: (this.chunks[0] && this.chunks[0].type) || 'video/webm',
       });
+
+      // MediaRecorder WebM has no duration or cues; index it so playback can seek
+      const blob = await fixWebmBlob(rawBlob);
+      if (generation !== this.previewGeneration) return; // Reset or replaced meanwhile
+
+      this.recordedBlob = blob;
       const url = URL.createObjectURL(this.recordedBlob);
       this.currentBlobUrl = url; // Track URL for later cleanup
 
@@ -473,7 +655,7 @@ export class RecordingSystem {
    * Handles MediaRecorder stop event
    */
   handleStop() {
-    this.finalizePreview();
+    this.finalizing = this.finalizePreview();
   }
 
   /**
@@ -552,7 +734,8 @@ export class RecordingSystem {
       this.mediaStream = null;
     }
 
-    // Clean up mixer
+    // Clean up mixer and drop raw tracks
+    trackRecorder.discard();
     mixerSystem.destroy();
 
     // Revoke blob URL to prevent memory leaks
@@ -561,11 +744,20 @@ export class RecordingSystem {
       this.currentBlobUrl = null;
     }
 
-    // Reset data
+    // Reset data (and drop any fixup still in flight)
+    this.previewGeneration++;
     this.recordedBlob = null;
+    this.loadedMedia = null;
+    this.tracks = [];
+    this.segmentBoundaries = [];
+    this.appendBase = null;
+    this.pendingAppend = null;
     this.chunks = [];
     this.lastDataChunk = null;
 
+    // Stop streaming into the recovery journal (the coordinator discards the journal itself)
+    this.closeJournal();
+
     // Reset player
     this.player.pause();
     this.player.srcObject = null;
@@ -611,11 +803,13 @@ export class RecordingSystem {
     } catch (error) {
       alert(error.message);
     }
+    // Raw tracks follow the new sources (also after a failure that removed one)
+    this.syncTracks();
   }
 
   /**
    * Switch camera device during active recording
-   * @param {string} deviceId - New camera device ID
+   * @param {string} [deviceId] - New camera device ID (system default when omitted)
    * @returns {Promise<void>}
    * @throws {Error} If device switching fails
    *
@@ -640,6 +834,187 @@ export class RecordingSystem {
     } catch (error) {
       alert(error.message);
     }
+    // Raw tracks follow the new sources (also after a failure that removed one)
+    this.syncTracks();
+  }
+
+  /**
+   * Switch to a screen or window capture during active recording
+   * @param {string} sourceId - desktopCapturer source id
+   * @returns {Promise<void>}
+   *
+   * Side effects:
+   * - Switches video input in mixer system
+   * - Requests new data chunk from MediaRecorder for continuity
+   *
+   * Invariants:
+   * - Only works when mixer is active
+   * - Shows alert to user if switching fails
+   */
+  async switchScreenLive(sourceId) {
+    if (!mixerSystem.isActive()) return;
+
+    try {
+      await mixerSystem.switchScreenLive(sourceId);
+
+      // Request new data chunk to maintain recording continuity
+      if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+        this.mediaRecorder.requestData();
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+    // Raw tracks follow the new sources (also after a failure that removed one)
+    this.syncTracks();
+  }
+
+  /**
+   * Switch the second audio source during active recording
+   * @param {import('../../types/global').AuxAudioSource|null} aux - New source, or null for none
+   * @returns {Promise<void>}
+   *
+   * Side effects:
+   * - Reconnects the second audio source in mixer system
+   * - Requests new data chunk from MediaRecorder for continuity
+   *
+   * Invariants:
+   * - Only works when mixer is active
+   * - Shows alert to user if switching fails
+   */
+  async switchAuxAudioLive(aux) {
+    if (!mixerSystem.isActive()) return;
+
+    try {
+      await mixerSystem.switchAuxLive(aux);
+
+      // Request new data chunk to maintain recording continuity
+      if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+        this.mediaRecorder.requestData();
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+    // Raw tracks follow the new sources (also after a failure that removed one)
+    this.syncTracks();
+  }
+
+  /**
+   * Switch the video layout during active recording
+   * @param {string} layout - Layout preset (CONFIG.COMPOSITOR.LAYOUTS)
+   * @returns {Promise<void>}
+   *
+   * Side effects:
+   * - Starts/stops camera and screen sources in mixer system
+   * - Requests new data chunk from MediaRecorder for continuity
+   *
+   * Invariants:
+   * - Only works when mixer is active
+   * - Shows alert to user if switching fails
+   */
+  async setLayoutLive(layout) {
+    if (!mixerSystem.isActive()) return;
+
+    try {
+      await mixerSystem.setLayout(layout);
+
+      // Request new data chunk to maintain recording continuity
+      if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
+        this.mediaRecorder.requestData();
+      }
+    } catch (error) {
+      alert(error.message);
+    }
+    // Raw tracks follow the new sources (also after a failure that removed one)
+    this.syncTracks();
+  }
+
+  /**
+   * Internal: open/close raw tracks for sources that changed during a live switch
+   * @returns {void}
+   */
+  syncTracks() {
+    trackRecorder.sync(mixerSystem.getSourceStreams());
+  }
+
+  /**
+   * Internal: stream the recording about to start into the session's recovery journal
+   * @param {string} mimeType - MIME type the MediaRecorder will produce
+   * @param {number|null} [takeStart] - For an appended take: where it starts (base duration)
+   * @returns {Promise<void>}
+   *
+   * Side effects:
+   * - Creates the session journal if needed and replaces any media it already holds (a take
+   *   replaces only the journal's previous take)
+   * - Opens a media stream in the main-process recovery directory
+   */
+  async openJournal(mimeType, takeStart = null) {
+    await this.closeJournal();
+    this.journalWrites = Promise.resolve();
+
+    const journalId = await recoveryJournal.ensure();
+    if (!journalId) return;
+
+    try {
+      const res = await window.api.createTempMedia({
+        fileName: `${takeStart === null ? 'media' : 'take'}.${this.mediaExt}`,
+        sessionId: `journal-${journalId}`,
+        journalId,
+        mimeType: mimeType || null,
+        journalTake: takeStart === null ? null : { startOffset: takeStart },
+      });
+      if (res && res.ok) {
+        this.journalStreamId = res.id;
+      } else {
+        console.warn('Recovery journal unavailable:', res?.error);
+      }
+    } catch (err) {
+      console.warn('Recovery journal unavailable:', err);
+    }
+  }
+
+  /**
+   * Internal: queue a recorded chunk for appending to the recovery journal
+   * @param {Blob} chunk - Chunk emitted by MediaRecorder
+   * @returns {void}
+   *
+   * Invariants:
+   * - Appends run strictly in emission order
+   * - A failed append disables journaling instead of retrying (retries could duplicate bytes)
+   */
+  journalChunk(chunk) {
+    const id = this.journalStreamId;
+    if (!id) return;
+
+    this.journalWrites = this.journalWrites.then(async () => {
+      if (this.journalStreamId !== id) return;
+      try {
+        const bytes = new Uint8Array(await chunk.arrayBuffer());
+        const res = await window.api.appendTempMedia(id, bytes);
+        if (!res || !res.ok) throw new Error(res?.error || 'append failed');
+      } catch (err) {
+        console.warn('Recovery journal write failed; journaling disabled:', err);
+        this.journalStreamId = null;
+      }
+    });
+  }
+
+  /**
+   * Internal: wait for pending journal writes and close the journal's media stream
+   * @returns {Promise<void>}
+   *
+   * Side effects:
+   * - Marks the journal as stopped in the main process (it stays recoverable until discarded)
+   */
+  async closeJournal() {
+    await this.journalWrites;
+    const id = this.journalStreamId;
+    if (!id) return;
+    this.journalStreamId = null;
+    try {
+      await window.api.closeTempMedia(id);
+    } catch (err) {
+      console.warn('Failed to close recovery journal media:', err);
+    }
   }
 
   /**
@@ -670,6 +1045,7 @@ export class RecordingSystem {
   /**
    * Load a recorded blob for playback
    * @param {ArrayBuffer | null} mediaArrayBuffer - Media data as ArrayBuffer
+   * @param {string} [mimeType] - MIME type it was recorded with (default WebM)
    * @returns {void}
    *
    * Side effects:
@@ -682,24 +1058,21 @@ export class RecordingSystem {
    * Invariants:
    * - Safe to call with null to clear playback
    */
-  loadRecording(mediaArrayBuffer) {
+  loadRecording(mediaArrayBuffer, mimeType = 'video/webm') {
     // Revoke previous blob URL to prevent memory leaks
     if (this.currentBlobUrl) {
       URL.revokeObjectURL(this.currentBlobUrl);
       this.currentBlobUrl = null;
     }
 
-    if (mediaArrayBuffer) {
-      const blob = new Blob([mediaArrayBuffer], { type: 'video/webm' });
-      const url = URL.createObjectURL(blob);
-      this.currentBlobUrl = url; // Track URL for later cleanup
-      this.recordedBlob = blob;
-      this.player.srcObject = null;
-      this.player.muted = false;
-      this.player.src = url;
+    this.previewGeneration++;
+    this.loadedMedia = null;
+    this.tracks = [];
+    this.segmentBoundaries = [];
 
-      // Start playback timer to track video position for timestamps
-      timerSystem.startPlaybackTimer();
+    if (mediaArrayBuffer) {
+      this.mediaExt = extensionForMimeType(mimeType);
+      this.playBlob(new Blob([mediaArrayBuffer], { type: mimeType }));
     } else {
       this.recordedBlob = null;
       this.player.srcObject = null;
@@ -715,6 +1088,194 @@ export class RecordingSystem {
       this.onStateChange();
     }
   }
+
+  /**
+   * Internal: play an in-memory recording (the previous blob URL must be revoked already)
+   * @param {Blob} blob - Recording
+   * @returns {void}
+   */
+  playBlob(blob) {
+    const url = URL.createObjectURL(blob);
+    this.currentBlobUrl = url; // Track URL for later cleanup
+    this.recordedBlob = blob;
+    this.player.srcObject = null;
+    this.player.muted = false;
+    this.player.src = url;
+
+    // Start playback timer to track video position for timestamps
+    timerSystem.startPlaybackTimer();
+  }
+
+  /**
+   * Load file-backed media for playback
+   * @param {{ path: string, url: string } | null} media - Media file path and player URL
+   * @param {import('../../types/global').RecordedTrack[]} [tracks] - Raw source tracks (file-backed)
+   * @returns {void}
+   *
+   * Side effects:
+   * - Revokes previous blob URL and drops any in-memory recording
+   * - Sets player source to the media URL
+   * - Starts playback timer
+   * - Triggers onStateChange callback
+   *
+   * Invariants:
+   * - The file is streamed by the player; its bytes never enter renderer memory
+   * - Safe to call with null to clear playback
+   * - Segment boundaries are cleared; callers restore them with setSegmentBoundaries()
+   */
+  loadMediaFile(media, tracks = []) {
+    if (!media) {
+      this.loadRecording(null);
+      return;
+    }
+
+    if (this.currentBlobUrl) {
+      URL.revokeObjectURL(this.currentBlobUrl);
+      this.currentBlobUrl = null;
+    }
+
+    this.previewGeneration++;
+    this.recordedBlob = null;
+    this.loadedMedia = { path: media.path, url: media.url };
+    this.tracks = tracks;
+    this.segmentBoundaries = [];
+    const ext = media.path.split('.').pop();
+    if (ext && ext !== media.path) this.mediaExt = ext.toLowerCase();
+
+    this.player.srcObject = null;
+    this.player.muted = false;
+    this.player.src = media.url;
+
+    // Start playback timer to track video position for timestamps
+    timerSystem.startPlaybackTimer();
+
+    if (this.onStateChange) {
+      this.onStateChange();
+    }
+  }
+
+  /**
+   * Current media with its tracks and take boundaries (e.g., to save every segment)
+   * @returns {import('../../types/global').SegmentMedia|null} Media, or null when there is none
+   */
+  getSegmentMedia() {
+    if (!this.hasRecording()) return null;
+    return {
+      blob: this.recordedBlob,
+      file: this.loadedMedia,
+      ext: this.mediaExt,
+      tracks: this.tracks,
+      boundaries: this.segmentBoundaries,
+    };
+  }
+
+  /**
+   * Hand over the current media so another recording (segment) can be played
+   * @returns {import('../../types/global').SegmentMedia|null} Media to pass to attachMedia(), or
+   *   null when there is none
+   *
+   * Side effects:
+   * - Clears the player (like loadRecording(null)) and triggers onStateChange
+   *
+   * Invariants:
+   * - Must not be called while recording (the coordinator checks isRecordingOrPaused())
+   * - The blob stays valid; only its object URL is revoked
+   */
+  detachMedia() {
+    const media = this.getSegmentMedia();
+    this.loadRecording(null);
+    return media;
+  }
+
+  /**
+   * Play media handed over by detachMedia()
+   * @param {import('../../types/global').SegmentMedia|null} media - Media, or null to clear playback
+   * @returns {void}
+   *
+   * Side effects:
+   * - Sets the player source, tracks and segment boundaries; triggers onStateChange
+   */
+  attachMedia(media) {
+    if (!media || (!media.file && !media.blob)) {
+      this.loadRecording(null);
+      return;
+    }
+
+    if (media.file) {
+      this.loadMediaFile(media.file, media.tracks);
+    } else {
+      if (this.currentBlobUrl) {
+        URL.revokeObjectURL(this.currentBlobUrl);
+        this.currentBlobUrl = null;
+      }
+      this.previewGeneration++;
+      this.loadedMedia = null;
+      this.tracks = media.tracks;
+      this.playBlob(media.blob);
+      if (this.onStateChange) this.onStateChange();
+    }
+    this.mediaExt = media.ext;
+    this.setSegmentBoundaries(media.boundaries);
+  }
+
+  /**
+   * Check whether any media (recorded or loaded from file) is available
+   * @returns {boolean} True if a recording can be played, saved or exported
+   */
+  hasRecording() {
+    return !!(this.recordedBlob || this.loadedMedia);
+  }
+
+  /**
+   * Check whether a MediaRecorder is active
+   * Unlike isRecording(), this is also true while the recording is paused.
+   * @returns {boolean} True while recording or paused
+   */
+  isRecordingOrPaused() {
+    return !!this.mediaRecorder && this.mediaRecorder.state !== 'inactive';
+  }
+
+  /**
+   * Set the container/codec and video bitrate for the next recording
+   * @param {import('./recordingFormats.js').FormatSettings} settings - Format settings
+   * @returns {void}
+   */
+  setFormat(settings) {
+    this.format = normalizeFormatSettings(settings);
+  }
+
+  /**
+   * Current format settings
+   * @returns {import('./recordingFormats.js').FormatSettings} Format settings
+   */
+  getFormat() {
+    return this.format;
+  }
+
+  /**
+   * Raw source tracks of the current recording
+   * @returns {import('../../types/global').RecordedTrack[]} Tracks in timeline order (empty unless multi-track)
+   */
+  getTracks() {
+    return this.tracks;
+  }
+
+  /**
+   * Replace the raw source tracks (e.g., after dropping part of an appended recording)
+   * @param {import('../../types/global').RecordedTrack[]} tracks - Tracks on the current media's timeline
+   * @returns {void}
+   */
+  setTracks(tracks) {
+    this.tracks = tracks;
+  }
+
+  /**
+   * Get the path of file-backed media
+   * @returns {string|null} Media file path, or null for in-memory recordings
+   */
+  getMediaFilePath() {
+    return this.loadedMedia ? this.loadedMedia.path : null;
+  }
 }
 
 // Create a singleton instance
@@ -0,0 +1,366 @@
+// @ts-check
+
+/**
+ * @file Raw per-source track recording (multi-track mode)
+ * Records each source stream of the mixer (microphone, second audio, camera, screen) with its
+ * own MediaRecorder next to the mixed recording, so a clipped mix or a glitched composition
+ * can be repaired from the originals afterwards.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - start(streams: SourceStreams, getTime: () => number, journal?: TrackJournal|null): void
+ *       Starts one recorder per live source; getTime() is the mixed recording's clock (seconds).
+ *       With a journal, each track is also streamed into that recovery journal (as a track of
+ *       its take when the mixed recording is an appended take).
+ *   - sync(streams: SourceStreams): void
+ *       After a live switch: closes tracks whose source changed and opens tracks for new sources.
+ *   - pause(): void / resume(): void
+ *       Pauses/resumes all track recorders together with the mixed recording.
+ *   - async stop(): Promise<RecordedTrack[]>
+ *       Stops everything and returns the finished tracks in timeline order.
+ *   - discard(): void
+ *       Stops everything and drops the data (reset).
+ *   - isRecording(): boolean
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Raw source streams from mixerSystem.getSourceStreams()
+ *   - The mixed recording's clock (timerSystem.getCurrentRecordingTime, paused time excluded)
+ *   - Recovery journal of the mixed recording (null when it is not journaled)
+ * Outputs:
+ *   - RecordedTrack blobs ({ kind, startOffset, mimeType, blob }), WebM duration/cues fixed up
+ * Side-effects:
+ *   - Creates MediaRecorders on the source streams (never stops the streams themselves)
+ *   - Streams each track's chunks to a journal file (window.api temp media) while recording
+ * Invariants:
+ *   - At most one open track per source kind; a switched source ends its track and starts a
+ *     new one, whose startOffset is the mixed recording's time at that moment
+ *   - Tracks pause whenever the mixed recording pauses, so offsets stay on its timeline
+ *   - Journal appends of a track run in emission order, after its file is created
+ * Failure Modes:
+ *   - A source MediaRecorder that cannot start is skipped (logged); the mixed recording goes on
+ *   - A recorder that never fires 'stop' is given up after CONFIG.TIMER.RECORDING_TIMEOUT
+ *   - A journal failure stops journaling that track (logged); its in-memory data is kept
+ */
+
+import { CONFIG } from '../config.js';
+import { fixWebmBlob } from './webmFixup.js';
+
+/** Source kinds recorded as raw tracks, in session.json order of preference */
+export const TRACK_KINDS = /** @type {const} */ (['mic', 'aux', 'camera', 'screen']);
+
+/**
+ * @typedef {{ mic?: MediaStream|null, aux?: MediaStream|null, camera?: MediaStream|null, screen?: MediaStream|null }} SourceStreams
+ */
+/**
+ * @typedef {object} TrackJournal
+ * @property {string} id - Recovery journal id
+ * @property {boolean} take - The mixed recording is the journal's take (continue recording)
+ */
+/**
+ * @typedef {object} OpenTrack
+ * @property {import('../../types/global').TrackKind} kind - Source kind
+ * @property {MediaStream} stream - Source stream being recorded
+ * @property {MediaRecorder} recorder - Track recorder
+ * @property {Blob[]} chunks - Recorded data
+ * @property {number} startOffset - Mixed recording time (s) when the track started
+ * @property {string} mimeType - Requested MIME type ('' = browser default)
+ * @property {string|null} journalStreamId - Journal file stream (null when not journaled)
+ * @property {Promise<void>} journalWrites - Pending journal file creation and appends
+ */
+
+/**
+ * Internal: first supported MIME type for a source
+ * @param {boolean} hasVideo - Whether the stream carries video
+ * @returns {string} MIME type, or '' for the browser default
+ */
+function pickTrackMimeType(hasVideo) {
+  const candidates = hasVideo
+    ? CONFIG.RECORDING.TRACK_VIDEO_MIME_TYPES
+    : CONFIG.RECORDING.TRACK_AUDIO_MIME_TYPES;
+  return candidates.find((m) => MediaRecorder.isTypeSupported(m)) || '';
+}
+
+/**
+ * Internal: open a track's file in the recovery journal
+ * @param {OpenTrack} track - Track that just started
+ * @param {TrackJournal} journal - Recovery journal of the mixed recording
+ * @returns {void}
+ */
+function openTrackJournal(track, journal) {
+  const ext = track.mimeType.includes('mp4') ? 'mp4' : 'webm';
+  track.journalWrites = (async () => {
+    try {
+      const res = await window.api.createTempMedia({
+        fileName: `track.${ext}`,
+        sessionId: `journal-${journal.id}-${track.kind}`,
+        journalId: journal.id,
+        mimeType: track.mimeType || null,
+        journalTrack: { kind: track.kind, startOffset: track.startOffset, take: journal.take },
+      });
+      if (!res || !res.ok) throw new Error(res?.error || 'create failed');
+      track.journalStreamId = res.id;
+    } catch (err) {
+      console.warn(`Raw ${track.kind} track is not journaled:`, err);
+    }
+  })();
+}
+
+/**
+ * Internal: queue a track chunk for appending to its journal file
+ * @param {OpenTrack} track - Recording track
+ * @param {Blob} chunk - Chunk emitted by the track recorder
+ * @returns {void}
+ */
+function journalTrackChunk(track, chunk) {
+  track.journalWrites = track.journalWrites.then(async () => {
+    const id = track.journalStreamId;
+    if (!id) return;
+    try {
+      const bytes = new Uint8Array(await chunk.arrayBuffer());
+      const res = await window.api.appendTempMedia(id, bytes);
+      if (!res || !res.ok) throw new Error(res?.error || 'append failed');
+    } catch (err) {
+      // No retry: a retried append could duplicate bytes
+      console.warn(`Raw ${track.kind} track journal write failed; journaling disabled:`, err);
+      track.journalStreamId = null;
+    }
+  });
+}
+
+/**
+ * Internal: wait for a track's journal writes and close its journal file
+ * @param {OpenTrack} track - Stopped track
+ * @returns {Promise<void>}
+ */
+async function closeTrackJournal(track) {
+  await track.journalWrites;
+  const id = track.journalStreamId;
+  if (!id) return;
+  track.journalStreamId = null;
+  try {
+    await window.api.closeTempMedia(id);
+  } catch (err) {
+    console.warn(`Failed to close the raw ${track.kind} track journal:`, err);
+  }
+}
+
+/**
+ * Internal: stop a track recorder and assemble its blob
+ * @param {OpenTrack} track - Open track
+ * @returns {Promise<import('../../types/global').RecordedTrack|null>} Track, or null when empty
+ */
+async function finishTrack(track) {
+  const { recorder } = track;
+  if (recorder.state !== 'inactive') {
+    await new Promise((resolve) => {
+      const timeout = setTimeout(resolve, CONFIG.TIMER.RECORDING_TIMEOUT);
+      recorder.addEventListener(
+        'stop',
+        () => {
+          clearTimeout(timeout);
+          resolve(undefined);
+        },
+        { once: true }
+      );
+      try {
+        recorder.stop();
+      } catch {
+        clearTimeout(timeout);
+        resolve(undefined);
+      }
+    });
+  }
+  await closeTrackJournal(track);
+  if (!track.chunks.length) return null;
+
+  const mimeType = recorder.mimeType || track.mimeType || track.chunks[0].type || 'video/webm';
+  const blob = await fixWebmBlob(new Blob(track.chunks, { type: mimeType }));
+  return { kind: track.kind, startOffset: track.startOffset, mimeType, blob };
+}
+
+/**
+ * Records raw source tracks alongside the mixed recording
+ */
+export class TrackRecorder {
+  constructor() {
+    /** @type {Map<import('../../types/global').TrackKind, OpenTrack>} */
+    this.open = new Map();
+    /** @type {Promise<import('../../types/global').RecordedTrack|null>[]} */
+    this.finished = [];
+    this.getTime = () => 0;
+    /** @type {TrackJournal|null} */
+    this.journal = null;
+    this.paused = false;
+    this.recording = false;
+  }
+
+  /**
+   * Start recording the given sources
+   * @param {SourceStreams} streams - Raw source streams
+   * @param {() => number} getTime - Mixed recording time in seconds
+   * @param {TrackJournal|null} [journal] - Recovery journal the mixed recording streams into
+   * @returns {void}
+   */
+  start(streams, getTime, journal = null) {
+    this.discard();
+    this.getTime = getTime;
+    this.journal = journal;
+    this.recording = true;
+    this.sync(streams);
+  }
+
+  /**
+   * Follow the sources after a live switch
+   * @param {SourceStreams} streams - Current raw source streams
+   * @returns {void}
+   */
+  sync(streams) {
+    if (!this.recording) return;
+    TRACK_KINDS.forEach((kind) => {
+      const stream = streams[kind] || null;
+      const current = this.open.get(kind);
+      if (current && current.stream === stream) return;
+      if (current) this.closeTrack(kind);
+      if (stream && stream.getTracks().some((t) => t.readyState === 'live')) {
+        this.openTrack(kind, stream);
+      }
+    });
+  }
+
+  /**
+   * Internal: start a recorder for a source
+   * @param {import('../../types/global').TrackKind} kind - Source kind
+   * @param {MediaStream} stream - Source stream
+   */
+  openTrack(kind, stream) {
+    const hasVideo = stream.getVideoTracks().length > 0;
+    const mimeType = pickTrackMimeType(hasVideo);
+    /** @type {{ mimeType?: string, audioBitsPerSecond?: number }} */
+    const options = mimeType ? { mimeType } : {};
+    if (!hasVideo) options.audioBitsPerSecond = CONFIG.RECORDING.TRACK_AUDIO_BITRATE;
+
+    let recorder;
+    try {
+      recorder = new MediaRecorder(stream, options);
+    } catch (e) {
+      console.warn(`Raw ${kind} track could not be recorded:`, e);
+      return;
+    }
+
+    /** @type {OpenTrack} */
+    const track = {
+      kind,
+      stream,
+      recorder,
+      chunks: [],
+      startOffset: this.getTime(),
+      mimeType,
+      journalStreamId: null,
+      journalWrites: Promise.resolve(),
+    };
+    recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size) {
+        track.chunks.push(e.data);
+        journalTrackChunk(track, e.data);
+      }
+    };
+    try {
+      recorder.start(CONFIG.RECORDING.TIMESLICE_MS);
+      if (this.paused) recorder.pause();
+    } catch (e) {
+      console.warn(`Raw ${kind} track could not be started:`, e);
+      return;
+    }
+    if (this.journal) openTrackJournal(track, this.journal);
+    this.open.set(kind, track);
+  }
+
+  /**
+   * Internal: end a source's current track
+   * @param {import('../../types/global').TrackKind} kind - Source kind
+   */
+  closeTrack(kind) {
+    const track = this.open.get(kind);
+    if (!track) return;
+    this.open.delete(kind);
+    this.finished.push(finishTrack(track));
+  }
+
+  /**
+   * Pause all track recorders
+   * @returns {void}
+   */
+  pause() {
+    this.paused = true;
+    this.open.forEach(({ recorder }) => {
+      if (recorder.state === 'recording') recorder.pause();
+    });
+  }
+
+  /**
+   * Resume all track recorders
+   * @returns {void}
+   */
+  resume() {
+    this.paused = false;
+    this.open.forEach(({ recorder }) => {
+      if (recorder.state === 'paused') recorder.resume();
+    });
+  }
+
+  /**
+   * Stop recording and collect the tracks
+   * @returns {Promise<import('../../types/global').RecordedTrack[]>} Tracks in timeline order
+   */
+  async stop() {
+    Array.from(this.open.keys()).forEach((kind) => this.closeTrack(kind));
+    const pending = this.finished;
+    this.finished = [];
+    this.recording = false;
+    this.paused = false;
+
+    const tracks = /** @type {import('../../types/global').RecordedTrack[]} */ (
+      (await Promise.all(pending)).filter(Boolean)
+    );
+    return tracks.sort((a, b) => a.startOffset - b.startOffset);
+  }
+
+  /**
+   * Stop recording and drop all track data
+   * @returns {void}
+   */
+  discard() {
+    this.open.forEach((track) => {
+      try {
+        if (track.recorder.state !== 'inactive') track.recorder.stop();
+      } catch {}
+      // Best-effort: the journal itself is discarded by the recovery coordinator
+      closeTrackJournal(track);
+    });
+    this.open.clear();
+    this.finished = [];
+    this.journal = null;
+    this.recording = false;
+    this.paused = false;
+  }
+
+  /**
+   * Whether tracks are being recorded
+   * @returns {boolean} True between start() and stop()/discard()
+   */
+  isRecording() {
+    return this.recording;
+  }
+}
+
+// Create a singleton instance
+export const trackRecorder = new TrackRecorder();
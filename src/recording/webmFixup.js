@@ -0,0 +1,735 @@
+// @ts-check
+
+/**
+ * @file WebM duration/cue fixup for MediaRecorder output
+ * MediaRecorder writes live-streaming WebM: an unknown-size Segment and Clusters, no
+ * Duration in Info and no Cues. Players then report an Infinity duration and seek by
+ * scanning. This module rewrites the container with the real duration, known element
+ * sizes, a SeekHead and a Cues index, reusing the original cluster bytes.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Functions:
+ *   - async fixWebm(source: ByteSource): Promise<WebmFixupResult|null>
+ *       Rebuilds the container layout; null when the input is not WebM or needs no fixup.
+ *   - async fixWebmBlob(blob: Blob): Promise<Blob>
+ *       Blob wrapper: returns a fixed Blob composed of header bytes + slices of the original,
+ *       or the original blob when no fixup applies (never throws).
+ *   - async readWebmMetadata(source: ByteSource): Promise<WebmMetadata|null>
+ *       Reports duration, cues and cluster layout (used to verify fixups).
+ *   - bytesSource(bytes: Uint8Array): ByteSource
+ *       In-memory ByteSource.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Random-access byte source ({ size, read(start, end) }) over a WebM file
+ * Outputs:
+ *   - Output parts: new header bytes plus { start, end } ranges of the source
+ * Side-effects:
+ *   - None (pure apart from reads through the source)
+ * Invariants:
+ *   - Block data is never copied or re-encoded; only container headers are rewritten
+ *   - Sources are read through a bounded window, so memory stays small for long recordings
+ *   - Cue and seek positions are fixed-width, so layout does not depend on their values
+ *   - A truncated tail (e.g., a crash mid-cluster) is dropped at the last complete element
+ *   - Duration runs to the end of the last frame: its BlockDuration, else the track's
+ *     DefaultDuration, else the interval between the track's last two frames
+ * Failure Modes:
+ *   - Non-EBML input or no clusters: fixWebm resolves null
+ *   - Unexpected structure (unknown-size non-cluster element): fixWebm resolves null
+ *   - fixWebmBlob logs and falls back to the original blob on any error
+ */
+
+/**
+ * @typedef {object} ByteSource
+ * @property {number} size - Total byte length
+ * @property {(start: number, end: number) => Promise<Uint8Array>} read - Read [start, end)
+ */
+
+/**
+ * @typedef {{ start: number, end: number }} SourceRange
+ */
+
+/**
+ * @typedef {object} WebmFixupResult
+ * @property {Array<Uint8Array|SourceRange>} parts - Output bytes in order
+ * @property {number} durationSeconds - Duration written to Info
+ * @property {number} cueCount - Number of CuePoints written
+ */
+
+/**
+ * @typedef {object} WebmMetadata
+ * @property {number|null} durationSeconds - Info Duration (null when missing)
+ * @property {number} timecodeScale - Nanoseconds per timecode unit
+ * @property {boolean} knownSizes - True when the Segment and all Clusters have known sizes
+ * @property {number[]} clusterPositions - Cluster offsets relative to the Segment data
+ * @property {Array<{ time: number, track: number, clusterPosition: number }>} cues - Parsed CuePoints
+ * @property {Array<{ number: number, type: number }>} tracks - Track numbers and types
+ */
+
+const ID = {
+  EBML: 0x1a45dfa3,
+  SEGMENT: 0x18538067,
+  SEEK_HEAD: 0x114d9b74,
+  SEEK: 0x4dbb,
+  SEEK_ID: 0x53ab,
+  SEEK_POSITION: 0x53ac,
+  INFO: 0x1549a966,
+  TIMECODE_SCALE: 0x2ad7b1,
+  DURATION: 0x4489,
+  TRACKS: 0x1654ae6b,
+  TRACK_ENTRY: 0xae,
+  TRACK_NUMBER: 0xd7,
+  TRACK_TYPE: 0x83,
+  DEFAULT_DURATION: 0x23e383,
+  CLUSTER: 0x1f43b675,
+  TIMECODE: 0xe7,
+  SIMPLE_BLOCK: 0xa3,
+  BLOCK_GROUP: 0xa0,
+  BLOCK: 0xa1,
+  BLOCK_DURATION: 0x9b,
+  REFERENCE_BLOCK: 0xfb,
+  CUES: 0x1c53bb6b,
+  CUE_POINT: 0xbb,
+  CUE_TIME: 0xb3,
+  CUE_TRACK_POSITIONS: 0xb7,
+  CUE_TRACK: 0xf7,
+  CUE_CLUSTER_POSITION: 0xf1,
+  VOID: 0xec,
+  CRC32: 0xbf,
+  TAGS: 0x1254c367,
+  CHAPTERS: 0x1043a770,
+  ATTACHMENTS: 0x1941a469,
+};
+
+// Elements that end an unknown-size Cluster when they appear
+const TOP_LEVEL_IDS = new Set([
+  ID.EBML,
+  ID.SEGMENT,
+  ID.SEEK_HEAD,
+  ID.INFO,
+  ID.TRACKS,
+  ID.CLUSTER,
+  ID.CUES,
+  ID.TAGS,
+  ID.CHAPTERS,
+  ID.ATTACHMENTS,
+]);
+
+const TRACK_TYPE_VIDEO = 1;
+const DEFAULT_TIMECODE_SCALE = 1000000; // 1 ms
+const READ_WINDOW_BYTES = 4 * 1024 * 1024;
+const HEADER_PEEK_BYTES = 12; // 4-byte ID + 8-byte size
+
+/**
+ * In-memory ByteSource
+ * @param {Uint8Array} bytes - File contents
+ * @returns {ByteSource} Source reading from bytes
+ */
+export function bytesSource(bytes) {
+  return {
+    size: bytes.length,
+    read: async (start, end) => bytes.subarray(start, end),
+  };
+}
+
+/**
+ * Internal: ByteSource wrapper that serves small reads from a cached window
+ * @param {ByteSource} source - Underlying source
+ * @returns {{ size: number, bytes: (offset: number, length: number) => Promise<Uint8Array> }} Reader
+ */
+function createReader(source) {
+  let windowStart = 0;
+  /** @type {Uint8Array} */
+  let windowBytes = new Uint8Array(0);
+  return {
+    size: source.size,
+    async bytes(offset, length) {
+      const end = Math.min(offset + length, source.size);
+      if (offset >= windowStart && end <= windowStart + windowBytes.length) {
+        return windowBytes.subarray(offset - windowStart, end - windowStart);
+      }
+      if (end - offset > READ_WINDOW_BYTES) return source.read(offset, end);
+      windowStart = offset;
+      windowBytes = await source.read(offset, Math.min(offset + READ_WINDOW_BYTES, source.size));
+      return windowBytes.subarray(0, end - offset);
+    },
+  };
+}
+
+/**
+ * Internal: decode an EBML variable-length integer
+ * @param {Uint8Array} bytes - Buffer
+ * @param {number} pos - Offset of the first byte
+ * @param {boolean} keepMarker - Keep the length marker bit (element IDs)
+ * @returns {{ length: number, value: number, unknown: boolean }|null} Decoded vint, or null if invalid/truncated
+ */
+function readVint(bytes, pos, keepMarker) {
+  const first = bytes[pos];
+  if (!first) return null;
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || pos + length > bytes.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === 0xff >> length;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[pos + i];
+    if (bytes[pos + i] !== 0xff) allOnes = false;
+  }
+  return { length, value, unknown: !keepMarker && allOnes };
+}
+
+/**
+ * Internal: read an element header
+ * @param {{ bytes: (offset: number, length: number) => Promise<Uint8Array> }} reader - Reader
+ * @param {number} offset - Header offset
+ * @returns {Promise<{ id: number, size: number|null, offset: number, dataStart: number }|null>} Header (size null when unknown)
+ */
+async function readElementHeader(reader, offset) {
+  const bytes = await reader.bytes(offset, HEADER_PEEK_BYTES);
+  const id = readVint(bytes, 0, true);
+  if (!id || id.length > 4) return null;
+  const size = readVint(bytes, id.length, false);
+  if (!size) return null;
+  return {
+    id: id.value,
+    size: size.unknown ? null : size.value,
+    offset,
+    dataStart: offset + id.length + size.length,
+  };
+}
+
+/**
+ * Internal: iterate child elements of an in-memory master element body
+ * @param {Uint8Array} bytes - Element data
+ * @returns {Array<{ id: number, start: number, dataStart: number, end: number }>} Children (truncated tail dropped)
+ */
+function childElements(bytes) {
+  const children = [];
+  let pos = 0;
+  while (pos < bytes.length) {
+    const id = readVint(bytes, pos, true);
+    const size = id && readVint(bytes, pos + id.length, false);
+    if (!id || !size || size.unknown) break;
+    const dataStart = pos + id.length + size.length;
+    const end = dataStart + size.value;
+    if (end > bytes.length) break;
+    children.push({ id: id.value, start: pos, dataStart, end });
+    pos = end;
+  }
+  return children;
+}
+
+/**
+ * Internal: big-endian unsigned integer
+ * @param {Uint8Array} bytes - Integer bytes
+ * @returns {number} Value
+ */
+function readUint(bytes) {
+  let value = 0;
+  for (const b of bytes) value = value * 256 + b;
+  return value;
+}
+
+/**
+ * Internal: EBML float (4 or 8 bytes)
+ * @param {Uint8Array} bytes - Float bytes
+ * @returns {number} Value
+ */
+function readFloat(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.length === 4) return view.getFloat32(0);
+  if (bytes.length === 8) return view.getFloat64(0);
+  return 0;
+}
+
+/**
+ * Internal: parse a Block/SimpleBlock header
+ * @param {Uint8Array} bytes - First bytes of the block data
+ * @returns {{ track: number, timecode: number, keyframe: boolean }|null} Track, relative timecode, keyframe flag
+ */
+function parseBlockHeader(bytes) {
+  const track = readVint(bytes, 0, false);
+  if (!track || bytes.length < track.length + 3) return null;
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return {
+    track: track.value,
+    timecode: view.getInt16(track.length),
+    keyframe: (bytes[track.length + 2] & 0x80) !== 0,
+  };
+}
+
+/**
+ * @typedef {object} ClusterSummary
+ * @property {number} offset - Cluster header offset
+ * @property {number} dataStart - Start of the cluster data
+ * @property {number} dataEnd - End of the last complete child
+ * @property {boolean} complete - False when the cluster was cut off mid-element
+ * @property {boolean} knownSize - Cluster size was written
+ * @property {number} timecode - Cluster timecode
+ * @property {Map<number, number>} keyframes - First keyframe time per track
+ */
+
+/**
+ * @typedef {object} TrackTiming
+ * @property {number} last - Latest absolute block time of the track
+ * @property {number|null} interval - Time between the track's last two distinct block times
+ * @property {number|null} duration - BlockDuration of the latest block (timecode units)
+ */
+
+/**
+ * Internal: scan a Cluster's children for its timecode and block times
+ * @param {ReturnType<typeof createReader>} reader - Reader
+ * @param {{ size: number|null, offset: number, dataStart: number }} header - Cluster header
+ * @param {number} limit - End of the enclosing Segment
+ * @param {Map<number, TrackTiming>} timings - Per-track timing, updated with this cluster's blocks
+ * @returns {Promise<ClusterSummary>} Cluster summary (times absolute)
+ */
+async function scanCluster(reader, header, limit, timings) {
+  const knownSize = header.size !== null;
+  const maxEnd = knownSize ? Math.min(header.dataStart + header.size, limit) : limit;
+  let pos = header.dataStart;
+  let timecode = 0;
+  /** @type {Array<{ track: number, rel: number, duration: number|null }>} */
+  const blocks = [];
+  /** @type {Map<number, number>} */
+  const keyframesRel = new Map();
+  let complete = true;
+
+  const noteBlock = (block, keyframe, duration = null) => {
+    blocks.push({ track: block.track, rel: block.timecode, duration });
+    if (keyframe && !keyframesRel.has(block.track)) keyframesRel.set(block.track, block.timecode);
+  };
+
+  while (pos < maxEnd) {
+    const child = await readElementHeader(reader, pos);
+    if (!child) {
+      complete = false;
+      break;
+    }
+    if (!knownSize && TOP_LEVEL_IDS.has(child.id)) break;
+    const childEnd = child.size === null ? Infinity : child.dataStart + child.size;
+    if (childEnd > maxEnd) {
+      complete = false;
+      break;
+    }
+
+    if (child.id === ID.TIMECODE) {
+      timecode = readUint(await reader.bytes(child.dataStart, child.size));
+    } else if (child.id === ID.SIMPLE_BLOCK) {
+      const block = parseBlockHeader(await reader.bytes(child.dataStart, Math.min(child.size, 12)));
+      if (block) noteBlock(block, block.keyframe);
+    } else if (child.id === ID.BLOCK_GROUP) {
+      let block = null;
+      let referenced = false;
+      let duration = null;
+      let inner = child.dataStart;
+      while (inner < childEnd) {
+        const el = await readElementHeader(reader, inner);
+        if (!el || el.size === null) break;
+        if (el.id === ID.BLOCK) {
+          block = parseBlockHeader(await reader.bytes(el.dataStart, Math.min(el.size, 12)));
+        } else if (el.id === ID.REFERENCE_BLOCK) {
+          referenced = true;
+        } else if (el.id === ID.BLOCK_DURATION) {
+          duration = readUint(await reader.bytes(el.dataStart, el.size));
+        }
+        inner = el.dataStart + el.size;
+      }
+      if (block) noteBlock(block, !referenced, duration);
+    }
+    pos = childEnd;
+  }
+
+  const keyframes = new Map();
+  keyframesRel.forEach((rel, track) => keyframes.set(track, timecode + rel));
+  for (const { track, rel, duration } of blocks) {
+    const time = timecode + rel;
+    const prev = timings.get(track);
+    if (prev && time < prev.last) continue;
+    const interval = prev && time > prev.last ? time - prev.last : (prev?.interval ?? null);
+    timings.set(track, { last: time, interval, duration });
+  }
+  return {
+    offset: header.offset,
+    dataStart: header.dataStart,
+    dataEnd: pos,
+    complete,
+    knownSize,
+    timecode,
+    keyframes,
+  };
+}
+
+/**
+ * Internal: end of the last frame of any track
+ * @param {Map<number, TrackTiming>} timings - Per-track timing of the scanned blocks
+ * @param {Map<number, number>} defaultDurations - DefaultDuration per track (nanoseconds)
+ * @param {number} timecodeScale - Nanoseconds per timecode unit
+ * @returns {number} End time in timecode units (0 without blocks)
+ */
+function endTime(timings, defaultDurations, timecodeScale) {
+  let end = 0;
+  timings.forEach(({ last, interval, duration }, track) => {
+    const defaultDuration = defaultDurations.has(track)
+      ? defaultDurations.get(track) / timecodeScale
+      : null;
+    end = Math.max(end, last + (duration ?? defaultDuration ?? interval ?? 0));
+  });
+  return end;
+}
+
+/**
+ * @typedef {object} WebmLayout
+ * @property {number} ebmlEnd - End of the EBML header
+ * @property {number} segmentStart - Start of the Segment data
+ * @property {boolean} segmentKnownSize - Segment size was written
+ * @property {number} timecodeScale - Nanoseconds per timecode unit
+ * @property {number|null} duration - Info Duration in timecode units
+ * @property {Uint8Array[]} infoChildren - Info children to keep (everything but Duration/Void/CRC)
+ * @property {SourceRange|null} tracksRange - Tracks element bytes
+ * @property {Array<{ number: number, type: number }>} tracks - Track numbers and types
+ * @property {Map<number, number>} defaultDurations - DefaultDuration per track number (nanoseconds)
+ * @property {SourceRange[]} otherRanges - Other top-level elements kept verbatim
+ * @property {ClusterSummary[]} clusters - Complete (or truncated-tail) clusters in order
+ * @property {Array<{ time: number, track: number, clusterPosition: number }>} cues - Existing CuePoints
+ * @property {number} endTime - End of the last frame in timecode units (see endTime)
+ */
+
+/**
+ * Internal: walk the file and collect everything needed to report on or rebuild it
+ * @param {ByteSource} source - WebM bytes
+ * @returns {Promise<WebmLayout|null>} Layout, or null when the input cannot be handled
+ */
+async function scanWebm(source) {
+  const reader = createReader(source);
+  const ebml = await readElementHeader(reader, 0);
+  if (!ebml || ebml.id !== ID.EBML || ebml.size === null) return null;
+  const ebmlEnd = ebml.dataStart + ebml.size;
+
+  const segment = await readElementHeader(reader, ebmlEnd);
+  if (!segment || segment.id !== ID.SEGMENT) return null;
+  const segmentStart = segment.dataStart;
+  const segmentEnd =
+    segment.size === null ? source.size : Math.min(segmentStart + segment.size, source.size);
+
+  /** @type {WebmLayout} */
+  const layout = {
+    ebmlEnd,
+    segmentStart,
+    segmentKnownSize: segment.size !== null,
+    timecodeScale: DEFAULT_TIMECODE_SCALE,
+    duration: null,
+    infoChildren: [],
+    tracksRange: null,
+    tracks: [],
+    defaultDurations: new Map(),
+    otherRanges: [],
+    clusters: [],
+    cues: [],
+    endTime: 0,
+  };
+  /** @type {Map<number, TrackTiming>} */
+  const timings = new Map();
+
+  let pos = segmentStart;
+  while (pos < segmentEnd) {
+    const el = await readElementHeader(reader, pos);
+    if (!el) break;
+
+    if (el.id === ID.CLUSTER) {
+      const cluster = await scanCluster(reader, el, segmentEnd, timings);
+      if (cluster.dataEnd > cluster.dataStart) layout.clusters.push(cluster);
+      if (!cluster.complete) break;
+      pos = cluster.knownSize ? el.dataStart + el.size : cluster.dataEnd;
+      continue;
+    }
+
+    // Only Clusters may be live-streamed with unknown sizes
+    if (el.size === null) return null;
+    const end = el.dataStart + el.size;
+    if (end > segmentEnd) break;
+
+    if (el.id === ID.INFO) {
+      const data = await reader.bytes(el.dataStart, el.size);
+      for (const child of childElements(data)) {
+        const value = data.subarray(child.dataStart, child.end);
+        if (child.id === ID.TIMECODE_SCALE) layout.timecodeScale = readUint(value);
+        if (child.id === ID.DURATION) {
+          layout.duration = readFloat(value);
+        } else if (child.id !== ID.VOID && child.id !== ID.CRC32) {
+          layout.infoChildren.push(data.slice(child.start, child.end));
+        }
+      }
+    } else if (el.id === ID.TRACKS) {
+      layout.tracksRange = { start: el.offset, end };
+      const data = await reader.bytes(el.dataStart, el.size);
+      for (const entry of childElements(data)) {
+        if (entry.id !== ID.TRACK_ENTRY) continue;
+        const track = { number: 0, type: 0 };
+        let defaultDuration = 0;
+        for (const field of childElements(data.subarray(entry.dataStart, entry.end))) {
+          const value = data.subarray(
+            entry.dataStart + field.dataStart,
+            entry.dataStart + field.end
+          );
+          if (field.id === ID.TRACK_NUMBER) track.number = readUint(value);
+          if (field.id === ID.TRACK_TYPE) track.type = readUint(value);
+          if (field.id === ID.DEFAULT_DURATION) defaultDuration = readUint(value);
+        }
+        layout.tracks.push(track);
+        if (defaultDuration > 0) layout.defaultDurations.set(track.number, defaultDuration);
+      }
+    } else if (el.id === ID.CUES) {
+      const data = await reader.bytes(el.dataStart, el.size);
+      for (const point of childElements(data)) {
+        if (point.id !== ID.CUE_POINT) continue;
+        const pointData = data.subarray(point.dataStart, point.end);
+        let time = 0;
+        for (const field of childElements(pointData)) {
+          const value = pointData.subarray(field.dataStart, field.end);
+          if (field.id === ID.CUE_TIME) time = readUint(value);
+          if (field.id !== ID.CUE_TRACK_POSITIONS) continue;
+          const cue = { time, track: 0, clusterPosition: 0 };
+          for (const position of childElements(value)) {
+            const v = value.subarray(position.dataStart, position.end);
+            if (position.id === ID.CUE_TRACK) cue.track = readUint(v);
+            if (position.id === ID.CUE_CLUSTER_POSITION) cue.clusterPosition = readUint(v);
+          }
+          layout.cues.push(cue);
+        }
+      }
+    } else if (el.id !== ID.SEEK_HEAD && el.id !== ID.VOID && el.id !== ID.CRC32) {
+      layout.otherRanges.push({ start: el.offset, end });
+    }
+    pos = end;
+  }
+
+  layout.endTime = endTime(timings, layout.defaultDurations, layout.timecodeScale);
+  return layout;
+}
+
+/**
+ * Internal: encode an element ID
+ * @param {number} id - Element ID including marker bits
+ * @returns {Uint8Array} ID bytes
+ */
+function encodeId(id) {
+  const length = id > 0xffffff ? 4 : id > 0xffff ? 3 : id > 0xff ? 2 : 1;
+  return encodeUint(id, length);
+}
+
+/**
+ * Internal: big-endian unsigned integer of a fixed width
+ * @param {number} value - Value
+ * @param {number} width - Byte width
+ * @returns {Uint8Array} Bytes
+ */
+function encodeUint(value, width) {
+  const bytes = new Uint8Array(width);
+  for (let i = width - 1; i >= 0; i--) {
+    bytes[i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  return bytes;
+}
+
+/**
+ * Internal: 8-byte element size vint (fixed width keeps layouts value-independent)
+ * @param {number} size - Data size
+ * @returns {Uint8Array} Size bytes
+ */
+function encodeSize(size) {
+  const bytes = encodeUint(size, 8);
+  bytes[0] = 0x01;
+  return bytes;
+}
+
+/**
+ * Internal: concatenate byte arrays
+ * @param {Uint8Array[]} parts - Parts
+ * @returns {Uint8Array} Joined bytes
+ */
+function concat(parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  for (const p of parts) {
+    out.set(p, pos);
+    pos += p.length;
+  }
+  return out;
+}
+
+/**
+ * Internal: build an element from its data
+ * @param {number} id - Element ID
+ * @param {Uint8Array[]} children - Encoded data
+ * @returns {Uint8Array} Element bytes
+ */
+function element(id, children) {
+  const data = concat(children);
+  return concat([encodeId(id), encodeSize(data.length), data]);
+}
+
+/**
+ * Internal: 8-byte unsigned integer element
+ * @param {number} id - Element ID
+ * @param {number} value - Value
+ * @returns {Uint8Array} Element bytes
+ */
+function uintElement(id, value) {
+  return element(id, [encodeUint(value, 8)]);
+}
+
+/**
+ * Internal: 8-byte float element
+ * @param {number} id - Element ID
+ * @param {number} value - Value
+ * @returns {Uint8Array} Element bytes
+ */
+function floatElement(id, value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return element(id, [bytes]);
+}
+
+/**
+ * Rebuild a MediaRecorder WebM with Duration, known sizes, SeekHead and Cues
+ * @param {ByteSource} source - WebM bytes
+ * @returns {Promise<WebmFixupResult|null>} Output parts, or null when not applicable
+ */
+export async function fixWebm(source) {
+  const layout = await scanWebm(source);
+  if (!layout || !layout.clusters.length || !layout.tracks.length) return null;
+  const alreadyIndexed =
+    layout.duration > 0 &&
+    layout.cues.length > 0 &&
+    layout.segmentKnownSize &&
+    layout.clusters.every((c) => c.knownSize);
+  if (alreadyIndexed) return null;
+
+  const maxTime = layout.endTime;
+  const durationSeconds = (maxTime * layout.timecodeScale) / 1e9;
+
+  // Index the first video track (every audio frame is a keyframe, so fall back to track 1 of any type)
+  const cueTrack = (layout.tracks.find((t) => t.type === TRACK_TYPE_VIDEO) || layout.tracks[0])
+    .number;
+  const cueClusters = layout.clusters.filter((c) => c.keyframes.has(cueTrack));
+
+  const info = element(ID.INFO, [...layout.infoChildren, floatElement(ID.DURATION, maxTime)]);
+  const tracksSize = layout.tracksRange ? layout.tracksRange.end - layout.tracksRange.start : 0;
+  const otherSize = layout.otherRanges.reduce((n, r) => n + r.end - r.start, 0);
+
+  // Sizes are value-independent (fixed-width fields), so build once with zero positions to measure
+  const buildSeekHead = (infoPos, tracksPos, cuesPos) =>
+    element(ID.SEEK_HEAD, [
+      element(ID.SEEK, [
+        element(ID.SEEK_ID, [encodeId(ID.INFO)]),
+        uintElement(ID.SEEK_POSITION, infoPos),
+      ]),
+      ...(layout.tracksRange
+        ? [
+            element(ID.SEEK, [
+              element(ID.SEEK_ID, [encodeId(ID.TRACKS)]),
+              uintElement(ID.SEEK_POSITION, tracksPos),
+            ]),
+          ]
+        : []),
+      element(ID.SEEK, [
+        element(ID.SEEK_ID, [encodeId(ID.CUES)]),
+        uintElement(ID.SEEK_POSITION, cuesPos),
+      ]),
+    ]);
+  const buildCues = (clusterPositions) =>
+    element(
+      ID.CUES,
+      cueClusters.map((c) =>
+        element(ID.CUE_POINT, [
+          uintElement(ID.CUE_TIME, c.keyframes.get(cueTrack)),
+          element(ID.CUE_TRACK_POSITIONS, [
+            uintElement(ID.CUE_TRACK, cueTrack),
+            uintElement(ID.CUE_CLUSTER_POSITION, clusterPositions.get(c) || 0),
+          ]),
+        ])
+      )
+    );
+
+  const seekHeadSize = buildSeekHead(0, 0, 0).length;
+  const cuesSize = buildCues(new Map()).length;
+  const infoPos = seekHeadSize;
+  const tracksPos = infoPos + info.length;
+  const cuesPos = tracksPos + tracksSize + otherSize;
+
+  /** @type {Map<ClusterSummary, number>} */
+  const clusterPositions = new Map();
+  /** @type {Array<Uint8Array|SourceRange>} */
+  const clusterParts = [];
+  let pos = cuesPos + cuesSize;
+  for (const c of layout.clusters) {
+    clusterPositions.set(c, pos);
+    const header = concat([encodeId(ID.CLUSTER), encodeSize(c.dataEnd - c.dataStart)]);
+    clusterParts.push(header, { start: c.dataStart, end: c.dataEnd });
+    pos += header.length + c.dataEnd - c.dataStart;
+  }
+
+  const parts = [
+    { start: 0, end: layout.ebmlEnd },
+    concat([encodeId(ID.SEGMENT), encodeSize(pos)]),
+    buildSeekHead(infoPos, tracksPos, cuesPos),
+    info,
+    ...(layout.tracksRange ? [layout.tracksRange] : []),
+    ...layout.otherRanges,
+    buildCues(clusterPositions),
+    ...clusterParts,
+  ];
+  return { parts, durationSeconds, cueCount: cueClusters.length };
+}
+
+/**
+ * Report duration, cues and cluster layout of a WebM file
+ * @param {ByteSource} source - WebM bytes
+ * @returns {Promise<WebmMetadata|null>} Metadata, or null when the input is not WebM
+ */
+export async function readWebmMetadata(source) {
+  const layout = await scanWebm(source);
+  if (!layout) return null;
+  return {
+    durationSeconds:
+      layout.duration === null ? null : (layout.duration * layout.timecodeScale) / 1e9,
+    timecodeScale: layout.timecodeScale,
+    knownSizes: layout.segmentKnownSize && layout.clusters.every((c) => c.knownSize),
+    clusterPositions: layout.clusters.map((c) => c.offset - layout.segmentStart),
+    cues: layout.cues,
+    tracks: layout.tracks,
+  };
+}
+
+/**
+ * Fix a recorded WebM blob for playback, saving and export
+ * @param {Blob} blob - MediaRecorder output
+ * @returns {Promise<Blob>} Fixed blob (sharing the original's data), or the original blob
+ */
+export async function fixWebmBlob(blob) {
+  try {
+    const result = await fixWebm({
+      size: blob.size,
+      read: async (start, end) => new Uint8Array(await blob.slice(start, end).arrayBuffer()),
+    });
+    if (!result) return blob;
+    const parts = result.parts.map((p) =>
+      p instanceof Uint8Array ? p : blob.slice(p.start, p.end)
+    );
+    return new Blob(/** @type {any[]} */ (parts), { type: blob.type });
+  } catch (err) {
+    console.warn('WebM fixup failed; using the original recording:', err);
+    return blob;
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * @file Per-source audio mixer controls
+ * One row per recorded audio source (microphone and the optional second source) with a mute
+ * toggle, a volume slider and a level meter fed by the AudioLevelMonitor.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(panel: HTMLElement, handlers: { onGainChange, onMuteChange }): void
+ *       Wires the rows found in the panel ([data-channel] elements).
+ *   - setAuxLabel(label: string|null): void
+ *       Names the second source row, or hides it when there is no second source.
+ *   - getMeterFill(channel: string): HTMLElement|null
+ *       Meter fill element of a row (for audioLevelMonitor.addMeter).
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Static rows in index.html: [data-channel] with .mixer-mute, .mixer-gain (0-200 %),
+ *     .mixer-meter-fill and .mixer-label
+ *   - User clicks on mute buttons and slider input
+ * Outputs:
+ *   - handlers.onGainChange(channel, gain) with gain as a factor (1 = unchanged)
+ *   - handlers.onMuteChange(channel, muted)
+ * Side-effects:
+ *   - Toggles the mute buttons' 'muted' class, aria-pressed and icon; sets slider titles
+ * Invariants:
+ *   - Controls stay usable while recording (changes are applied live by the mixer)
+ * Failure Modes:
+ *   - Missing panel or rows: methods are no-ops
+ */
+
+/**
+ * Mute, volume and level meter for each audio source
+ */
+export class AudioMixerPanel {
+  constructor() {
+    this.panel = null;
+    this.handlers = {
+      onGainChange: () => {},
+      onMuteChange: () => {},
+    };
+  }
+
+  /**
+   * Initialize with the panel element and change handlers
+   * @param {HTMLElement} panel - Mixer panel (#audioMixer)
+   * @param {{ onGainChange: (channel: string, gain: number) => void, onMuteChange: (channel: string, muted: boolean) => void }} handlers - Change handlers
+   */
+  init(panel, handlers) {
+    this.panel = panel;
+    this.handlers = { ...this.handlers, ...handlers };
+    if (!panel) return;
+
+    panel.querySelectorAll('[data-channel]').forEach((row) => {
+      const channel = row.getAttribute('data-channel');
+      const mute = row.querySelector('.mixer-mute');
+      const gain = row.querySelector('.mixer-gain');
+
+      mute?.addEventListener('click', () => {
+        const muted = !mute.classList.contains('muted');
+        this.renderMute(mute, muted);
+        this.handlers.onMuteChange(channel, muted);
+      });
+      gain?.addEventListener('input', () => {
+        gain.title = `Volume ${gain.value}%`;
+        this.handlers.onGainChange(channel, Number(gain.value) / 100);
+      });
+    });
+  }
+
+  /**
+   * Internal: row of a channel
+   * @param {string} channel - 'mic' or 'aux'
+   * @returns {HTMLElement|null} Row element
+   */
+  getRow(channel) {
+    return this.panel ? this.panel.querySelector(`[data-channel="${channel}"]`) : null;
+  }
+
+  /**
+   * Internal: show a mute button's state
+   * @param {Element} button - Mute button
+   * @param {boolean} muted - Whether the source is muted
+   */
+  renderMute(button, muted) {
+    button.classList.toggle('muted', muted);
+    button.setAttribute('aria-pressed', String(muted));
+    button.setAttribute('title', muted ? 'Unmute' : 'Mute');
+    const icon = button.querySelector('i');
+    if (icon) {
+      icon.className = muted ? 'fa-solid fa-volume-xmark' : 'fa-solid fa-volume-high';
+    }
+  }
+
+  /**
+   * Name the second source row, or hide it
+   * @param {string|null} label - Source name, null when no second source is selected
+   */
+  setAuxLabel(label) {
+    const row = this.getRow('aux');
+    if (!row) return;
+    row.hidden = !label;
+    const name = row.querySelector('.mixer-label');
+    if (name) name.textContent = label || '';
+  }
+
+  /**
+   * Meter fill element of a channel
+   * @param {string} channel - 'mic' or 'aux'
+   * @returns {HTMLElement|null} Fill element
+   */
+  getMeterFill(channel) {
+    const row = this.getRow(channel);
+    return row ? row.querySelector('.mixer-meter-fill') : null;
+  }
+}
+
+// Create a singleton instance
+export const audioMixerPanel = new AudioMixerPanel();
@@ -0,0 +1,190 @@
+/**
+ * @file Audio settings dialog (microphone processing chain)
+ * Preset picker (Voice, Lecture hall, Raw) plus one row per processing stage with an on/off
+ * checkbox and its sliders. Every change is reported immediately, so it is heard live while
+ * recording.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(modal: HTMLElement, presetSelect: HTMLSelectElement, closeBtn: HTMLElement, handlers: { onChange }): void
+ *       Wires the static modal in index.html.
+ *   - open(settings: ProcessingSettings): void
+ *       Shows the dialog with the given settings.
+ *   - close(): void
+ *       Hides the dialog.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Current settings from mixerSystem.getProcessing()
+ *   - Static controls: [data-stage] rows containing [data-field="enabled"] checkboxes, range
+ *     inputs [data-field=<setting>] and <output data-for=<setting>> value labels
+ * Outputs:
+ *   - handlers.onChange(settings) with complete settings after every edit
+ * Side-effects:
+ *   - Toggles the modal's 'visible' class; sets slider ranges from CONFIG.AUDIO_PROCESSING.LIMITS
+ * Invariants:
+ *   - Choosing a preset loads its values; editing a control switches the preset to 'custom'
+ *   - Sliders of a disabled stage are disabled
+ * Failure Modes:
+ *   - Missing DOM references: methods are no-ops
+ */
+
+import { CONFIG } from '../config.js';
+import { getPreset, normalizeProcessingSettings } from '../recording/audioProcessing.js';
+
+// Slider range (CONFIG.AUDIO_PROCESSING.LIMITS key), step and unit per setting
+const FIELDS = {
+  'highpass.frequency': { limit: 'frequency', step: 5, unit: ' Hz' },
+  'gate.threshold': { limit: 'gateThreshold', step: 1, unit: ' dB' },
+  'compressor.threshold': { limit: 'compressorThreshold', step: 1, unit: ' dB' },
+  'compressor.ratio': { limit: 'ratio', step: 0.5, unit: ':1' },
+  'normalize.target': { limit: 'target', step: 1, unit: ' dB' },
+};
+
+/**
+ * Dialog editing the microphone processing chain
+ */
+export class AudioSettingsDialog {
+  constructor() {
+    this.modal = null;
+    this.presetSelect = null;
+    this.closeBtn = null;
+    this.handlers = { onChange: () => {} };
+    this.settings = getPreset(CONFIG.AUDIO_PROCESSING.DEFAULT_PRESET);
+    this.onEscape = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * Initialize with DOM references
+   * @param {HTMLElement} modal - Modal overlay (#audioSettingsModal)
+   * @param {HTMLSelectElement} presetSelect - Preset dropdown
+   * @param {HTMLElement} closeBtn - Done button
+   * @param {{ onChange: (settings: import('../recording/audioProcessing.js').ProcessingSettings) => void }} handlers - Change handler
+   */
+  init(modal, presetSelect, closeBtn, handlers) {
+    this.modal = modal;
+    this.presetSelect = presetSelect;
+    this.closeBtn = closeBtn;
+    this.handlers = { ...this.handlers, ...handlers };
+    if (!modal) return;
+
+    Object.entries(FIELDS).forEach(([key, field]) => {
+      const input = this.getInput(key);
+      if (!input) return;
+      const range = CONFIG.AUDIO_PROCESSING.LIMITS[field.limit];
+      input.min = String(range.min);
+      input.max = String(range.max);
+      input.step = String(field.step);
+    });
+
+    presetSelect?.addEventListener('change', () => {
+      if (presetSelect.value === 'custom') return;
+      this.settings = getPreset(presetSelect.value);
+      this.render();
+      this.handlers.onChange(this.settings);
+    });
+    modal.addEventListener('input', (e) => {
+      if (e.target === presetSelect) return;
+      this.settings = this.readControls();
+      this.render();
+      this.handlers.onChange(this.settings);
+    });
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.close();
+    });
+    closeBtn?.addEventListener('click', () => this.close());
+  }
+
+  /**
+   * Show the dialog
+   * @param {import('../recording/audioProcessing.js').ProcessingSettings} settings - Current settings
+   */
+  open(settings) {
+    if (!this.modal) return;
+    this.settings = normalizeProcessingSettings(settings);
+    this.render();
+    if (!this.modal.classList.contains('visible')) {
+      document.addEventListener('keydown', this.onEscape, true);
+      this.modal.classList.add('visible');
+    }
+    this.presetSelect?.focus();
+  }
+
+  /**
+   * Hide the dialog
+   */
+  close() {
+    if (!this.modal) return;
+    document.removeEventListener('keydown', this.onEscape, true);
+    this.modal.classList.remove('visible');
+  }
+
+  /**
+   * Internal: control of a setting
+   * @param {string} key - 'stage.field' or 'stage.enabled'
+   * @returns {HTMLInputElement|null} Input element
+   */
+  getInput(key) {
+    const [stage, field] = key.split('.');
+    return this.modal
+      ? this.modal.querySelector(`[data-stage="${stage}"] [data-field="${field}"]`)
+      : null;
+  }
+
+  /**
+   * Internal: settings currently shown by the controls (a manual edit makes them 'custom')
+   * @returns {import('../recording/audioProcessing.js').ProcessingSettings} Settings
+   */
+  readControls() {
+    const next = normalizeProcessingSettings({ ...this.settings, preset: 'custom' });
+    ['highpass', 'gate', 'compressor', 'normalize'].forEach((stage) => {
+      const toggle = this.getInput(`${stage}.enabled`);
+      if (toggle) next[stage].enabled = toggle.checked;
+    });
+    Object.keys(FIELDS).forEach((key) => {
+      const input = this.getInput(key);
+      const [stage, field] = key.split('.');
+      if (input) next[stage][field] = Number(input.value);
+    });
+    return normalizeProcessingSettings(next);
+  }
+
+  /**
+   * Internal: show the current settings
+   */
+  render() {
+    const { settings } = this;
+    if (this.presetSelect) this.presetSelect.value = settings.preset;
+    ['highpass', 'gate', 'compressor', 'normalize'].forEach((stage) => {
+      const toggle = this.getInput(`${stage}.enabled`);
+      if (toggle) toggle.checked = settings[stage].enabled;
+    });
+    Object.entries(FIELDS).forEach(([key, field]) => {
+      const input = this.getInput(key);
+      const [stage, name] = key.split('.');
+      const value = settings[stage][name];
+      if (input) {
+        input.value = String(value);
+        input.disabled = !settings[stage].enabled;
+      }
+      const output = this.modal.querySelector(`output[data-for="${key}"]`);
+      if (output) output.textContent = `${value}${field.unit}`;
+    });
+  }
+}
+
+// Create a singleton instance
+export const audioSettingsDialog = new AudioSettingsDialog();
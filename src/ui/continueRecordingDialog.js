@@ -0,0 +1,98 @@
+/**
+ * @file "Record again" dialog
+ * Asked when recording starts while the session already has a recording: continue it (the new
+ * take is appended after the existing media) or replace it.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(modal: HTMLElement, buttons: { append: HTMLElement, replace: HTMLElement, cancel: HTMLElement }): void
+ *       Stores DOM references for the static modal in index.html.
+ *   - async open(): Promise<'append'|'replace'|null>
+ *       Shows the dialog; resolves with the choice, or null when canceled.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - User clicks (Continue recording, Replace, Cancel, overlay, Escape)
+ * Outputs:
+ *   - The user's choice
+ * Side-effects:
+ *   - Toggles the modal's 'visible' class
+ * Invariants:
+ *   - Only one open() is pending at a time; a second call resolves null immediately
+ *   - The modal is hidden and listeners removed whenever open() resolves
+ * Failure Modes:
+ *   - Missing DOM references: open() resolves null
+ */
+
+/**
+ * Dialog choosing between appending to and replacing the recording
+ */
+export class ContinueRecordingDialog {
+  constructor() {
+    this.modal = null;
+    this.buttons = null;
+    this.isOpen = false;
+  }
+
+  /**
+   * Initialize with DOM references
+   * @param {HTMLElement} modal - Modal overlay (#continueRecordingModal)
+   * @param {{ append: HTMLElement, replace: HTMLElement, cancel: HTMLElement }} buttons - Dialog buttons
+   */
+  init(modal, buttons) {
+    this.modal = modal;
+    this.buttons = buttons;
+  }
+
+  /**
+   * Show the dialog
+   * @returns {Promise<'append'|'replace'|null>} Choice, or null when canceled
+   */
+  open() {
+    if (this.isOpen || !this.modal || !this.buttons) return Promise.resolve(null);
+    this.isOpen = true;
+
+    const { append, replace, cancel } = this.buttons;
+    return new Promise((resolve) => {
+      const finish = (choice) => {
+        this.modal.classList.remove('visible');
+        this.modal.removeEventListener('click', onOverlay);
+        append?.removeEventListener('click', onAppend);
+        replace?.removeEventListener('click', onReplace);
+        cancel?.removeEventListener('click', onCancel);
+        document.removeEventListener('keydown', onEscape, true);
+        this.isOpen = false;
+        resolve(choice);
+      };
+      const onAppend = () => finish('append');
+      const onReplace = () => finish('replace');
+      const onCancel = () => finish(null);
+      const onOverlay = (e) => {
+        if (e.target === this.modal) finish(null);
+      };
+      const onEscape = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          finish(null);
+        }
+      };
+
+      this.modal.addEventListener('click', onOverlay);
+      append?.addEventListener('click', onAppend);
+      replace?.addEventListener('click', onReplace);
+      cancel?.addEventListener('click', onCancel);
+      document.addEventListener('keydown', onEscape, true);
+      this.modal.classList.add('visible');
+      append?.focus();
+    });
+  }
+}
+
+// Create a singleton instance
+export const continueRecordingDialog = new ContinueRecordingDialog();
@@ -0,0 +1,299 @@
+/**
+ * @file Marker timeline
+ * Bookmarks that live outside the notes: typed markers (important, question, to-do, custom
+ * color) shown as ticks on a timeline under the player. Markers are saved in session.json.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(elements: { track, playhead, typeSelect, colorInput }, handlers: { onSeek, onChange }): void
+ *       Stores DOM references for the static timeline in index.html and wires events.
+ *   - addMarker(time: number, type?: MarkerType, color?: string): Marker
+ *       Adds a marker (type/color default to the current picker selection).
+ *   - removeMarker(id: string): void
+ *   - getMarkers(): Marker[]
+ *       Markers sorted by time (copies; saved as session.json `markers`).
+ *   - setMarkers(markers: Marker[]|null): void
+ *       Replaces all markers (invalid entries are dropped or coerced).
+ *   - findNext(time: number): Marker|null
+ *   - findPrevious(time: number): Marker|null
+ *       Navigation targets relative to a player time.
+ *   - setDuration(seconds: number): void
+ *   - setPlayhead(seconds: number): void
+ *       Timeline scale and playhead position.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Marker lists (load-session, recovery snapshot), player time/duration updates
+ *   - User clicks on ticks (seek) and right-clicks (remove); type/color pickers
+ * Outputs:
+ *   - handlers.onSeek(seconds) for clicked ticks; handlers.onChange() after any edit
+ * Side-effects:
+ *   - Rebuilds tick DOM; moves the playhead element
+ * Invariants:
+ *   - Markers are always sorted by time; ids are unique
+ *   - Only 'custom' markers store a color (other types use CONFIG.MARKERS.TYPES colors)
+ *   - Adding a marker never touches the editor selection
+ * Failure Modes:
+ *   - Missing DOM references: rendering becomes a no-op, data methods still work
+ */
+
+import { CONFIG } from '../config.js';
+import { formatTime } from '../modules/utils.js';
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Internal: coerce a stored marker into a valid one
+ * @param {any} marker - Marker-like value
+ * @returns {import('../../types/global').Marker|null} Marker, or null when unusable
+ */
+function normalizeMarker(marker) {
+  if (!marker || typeof marker !== 'object') return null;
+  const time = Number(marker.time);
+  if (!Number.isFinite(time) || time < 0) return null;
+
+  const type = CONFIG.MARKERS.TYPES[marker.type] ? marker.type : 'custom';
+  const normalized = {
+    id: typeof marker.id === 'string' && marker.id ? marker.id : createMarkerId(),
+    time,
+    type,
+  };
+  if (type === 'custom') {
+    normalized.color = COLOR_PATTERN.test(marker.color)
+      ? marker.color
+      : CONFIG.MARKERS.TYPES.custom.color;
+  }
+  if (typeof marker.label === 'string' && marker.label.trim()) {
+    normalized.label = marker.label.trim();
+  }
+  return normalized;
+}
+
+/**
+ * Internal: new marker id
+ * @returns {string} Id
+ */
+function createMarkerId() {
+  return `m-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Marker track with click-to-seek ticks
+ */
+export class MarkerTimeline {
+  constructor() {
+    this.track = null;
+    this.playhead = null;
+    this.typeSelect = null;
+    this.colorInput = null;
+    this.handlers = { onSeek: () => {}, onChange: () => {} };
+    this.markers = [];
+    this.duration = 0;
+    this.playheadTime = 0;
+  }
+
+  /**
+   * Initialize with DOM references and handlers
+   * @param {{ track: HTMLElement, playhead: HTMLElement, typeSelect: HTMLSelectElement, colorInput: HTMLInputElement }} elements - Timeline elements
+   * @param {{ onSeek: (seconds: number) => void, onChange: () => void }} handlers - Tick click and edit handlers
+   */
+  init(elements, handlers) {
+    this.track = elements.track;
+    this.playhead = elements.playhead;
+    this.typeSelect = elements.typeSelect;
+    this.colorInput = elements.colorInput;
+    this.handlers = { ...this.handlers, ...handlers };
+
+    if (this.typeSelect && this.typeSelect.options.length === 0) {
+      Object.entries(CONFIG.MARKERS.TYPES).forEach(([value, def]) => {
+        this.typeSelect.add(new Option(def.label, value));
+      });
+    }
+    if (this.colorInput) this.colorInput.value = CONFIG.MARKERS.TYPES.custom.color;
+    this.typeSelect?.addEventListener('change', () => this.updateColorPicker());
+    this.updateColorPicker();
+
+    this.track?.addEventListener('click', (e) => {
+      const tick = /** @type {HTMLElement} */ (e.target).closest('.marker-tick');
+      if (!tick) return;
+      const marker = this.markers.find((m) => m.id === tick.dataset.id);
+      if (marker) this.handlers.onSeek(marker.time);
+    });
+    this.track?.addEventListener('contextmenu', (e) => {
+      const tick = /** @type {HTMLElement} */ (e.target).closest('.marker-tick');
+      if (!tick) return;
+      e.preventDefault();
+      this.removeMarker(tick.dataset.id);
+    });
+
+    this.render();
+  }
+
+  /**
+   * Add a marker
+   * @param {number} time - Time in seconds
+   * @param {import('../../types/global').MarkerType} [type] - Defaults to the type picker
+   * @param {string} [color] - Custom color (#rrggbb); defaults to the color picker
+   * @returns {import('../../types/global').Marker} Added marker
+   */
+  addMarker(time, type, color) {
+    const markerType = type || this.typeSelect?.value || 'important';
+    const marker = normalizeMarker({
+      id: createMarkerId(),
+      time: Math.max(0, Number(time) || 0),
+      type: markerType,
+      color: color || this.colorInput?.value,
+    });
+    this.markers.push(marker);
+    this.markers.sort((a, b) => a.time - b.time);
+    this.render();
+    this.handlers.onChange();
+    return { ...marker };
+  }
+
+  /**
+   * Remove a marker
+   * @param {string} id - Marker id
+   */
+  removeMarker(id) {
+    const before = this.markers.length;
+    this.markers = this.markers.filter((m) => m.id !== id);
+    if (this.markers.length === before) return;
+    this.render();
+    this.handlers.onChange();
+  }
+
+  /**
+   * Markers sorted by time
+   * @returns {import('../../types/global').Marker[]} Copies of the markers
+   */
+  getMarkers() {
+    return this.markers.map((m) => ({ ...m }));
+  }
+
+  /**
+   * Replace all markers (does not call onChange)
+   * @param {import('../../types/global').Marker[]|null} markers - Markers or null to clear
+   */
+  setMarkers(markers) {
+    const seen = new Set();
+    this.markers = (Array.isArray(markers) ? markers : [])
+      .map(normalizeMarker)
+      .filter((m) => m && !seen.has(m.id) && seen.add(m.id))
+      .sort((a, b) => a.time - b.time);
+    this.render();
+  }
+
+  /**
+   * First marker after a time
+   * @param {number} time - Player time in seconds
+   * @returns {import('../../types/global').Marker|null} Marker or null
+   */
+  findNext(time) {
+    // Small epsilon so a marker the player was just moved to is not found again
+    return this.markers.find((m) => m.time > time + 0.05) || null;
+  }
+
+  /**
+   * Last marker before a time
+   * Markers within CONFIG.MARKERS.PREVIOUS_GRACE_SECONDS behind the time are skipped, so
+   * repeated presses keep stepping back while playing
+   * @param {number} time - Player time in seconds
+   * @returns {import('../../types/global').Marker|null} Marker or null
+   */
+  findPrevious(time) {
+    const limit = time - CONFIG.MARKERS.PREVIOUS_GRACE_SECONDS;
+    for (let i = this.markers.length - 1; i >= 0; i--) {
+      if (this.markers[i].time < limit) return this.markers[i];
+    }
+    return null;
+  }
+
+  /**
+   * Set the media duration used to scale the timeline
+   * @param {number} seconds - Duration (non-finite values are ignored, e.g. live streams)
+   */
+  setDuration(seconds) {
+    this.duration = Number.isFinite(seconds) && seconds > 0 ? seconds : 0;
+    this.render();
+  }
+
+  /**
+   * Move the playhead
+   * @param {number} seconds - Player or recording time
+   */
+  setPlayhead(seconds) {
+    this.playheadTime = Math.max(0, Number(seconds) || 0);
+    // While recording the duration is unknown: grow the scale with the playhead
+    if (this.playheadTime > this.scaleDuration()) {
+      this.render();
+      return;
+    }
+    this.updatePlayhead();
+  }
+
+  /**
+   * Internal: seconds covered by the full track width
+   * @returns {number} Scale in seconds (at least 1)
+   */
+  scaleDuration() {
+    if (this.duration > 0) return this.duration;
+    const lastMarker = this.markers.length ? this.markers[this.markers.length - 1].time : 0;
+    return Math.max(1, lastMarker, this.playheadTime);
+  }
+
+  /**
+   * Internal: position of a time as a CSS percentage
+   * @param {number} time - Seconds
+   * @returns {string} Percentage
+   */
+  percent(time) {
+    return `${Math.min(100, (time / this.scaleDuration()) * 100).toFixed(3)}%`;
+  }
+
+  /**
+   * Internal: rebuild ticks
+   */
+  render() {
+    if (!this.track) return;
+    this.track.querySelectorAll('.marker-tick').forEach((tick) => tick.remove());
+
+    this.markers.forEach((marker) => {
+      const def = CONFIG.MARKERS.TYPES[marker.type];
+      const tick = document.createElement('button');
+      tick.type = 'button';
+      tick.className = `marker-tick marker-${marker.type}`;
+      tick.dataset.id = marker.id;
+      tick.style.left = this.percent(marker.time);
+      tick.style.background = marker.color || def.color;
+      tick.title = `${marker.label || def.label} at ${formatTime(marker.time)} (right-click to remove)`;
+      this.track.appendChild(tick);
+    });
+    this.updatePlayhead();
+  }
+
+  /**
+   * Internal: move the playhead element
+   */
+  updatePlayhead() {
+    if (this.playhead) this.playhead.style.left = this.percent(this.playheadTime);
+  }
+
+  /**
+   * Internal: the color picker only applies to custom markers
+   */
+  updateColorPicker() {
+    if (this.colorInput) this.colorInput.hidden = this.typeSelect?.value !== 'custom';
+  }
+}
+
+// Create a singleton instance
+export const markerTimeline = new MarkerTimeline();
@@ -0,0 +1,179 @@
+/**
+ * @file Picture-in-picture overlay dragging on the live preview
+ * While a picture-in-picture layout is recording, the camera overlay can be dragged to a new
+ * position on the preview player and resized with the mouse wheel.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(player: HTMLVideoElement, handlers: { getPipRect, getPipPlacement, onChange }): void
+ *       Wires pointer and wheel events on the player.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - handlers.getPipRect(): overlay rectangle in canvas pixels, or null when no overlay is drawn
+ *   - handlers.getPipPlacement(): current { scale, position }
+ *   - Pointer drags and wheel events over the overlay on the preview
+ * Outputs:
+ *   - handlers.onChange({ position }) while dragging, handlers.onChange({ scale }) on wheel
+ * Side-effects:
+ *   - Sets the player's cursor; captures the pointer during a drag
+ * Invariants:
+ *   - Events outside the overlay reach the player untouched (its controls keep working)
+ *   - The preview shows the canvas stream, so player.videoWidth/Height is the canvas size
+ * Failure Modes:
+ *   - No overlay (layout, not recording): all events are ignored
+ */
+
+import { toCanvasPoint } from '../recording/compositor.js';
+
+// Scale factor per wheel step
+const WHEEL_SCALE_STEP = 1.1;
+
+/**
+ * Drag and resize the camera overlay on the preview
+ */
+export class PipDrag {
+  constructor() {
+    this.player = null;
+    this.handlers = {
+      getPipRect: () => null,
+      getPipPlacement: () => ({ scale: 0, position: null }),
+      onChange: () => {},
+    };
+    this.drag = null; // { pointerId, offsetX, offsetY }
+    this.dragged = false;
+  }
+
+  /**
+   * Initialize with the preview player and handlers
+   * @param {HTMLVideoElement} player - Preview/playback video element
+   * @param {{ getPipRect: () => ({ x: number, y: number, width: number, height: number }|null), getPipPlacement: () => { scale: number, position: { x: number, y: number }|null }, onChange: (placement: object) => void }} handlers - Overlay accessors
+   */
+  init(player, handlers) {
+    this.player = player;
+    this.handlers = { ...this.handlers, ...handlers };
+    if (!player) return;
+
+    player.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+    player.addEventListener('pointermove', (e) => this.onPointerMove(e));
+    player.addEventListener('pointerup', (e) => this.onPointerUp(e));
+    player.addEventListener('pointercancel', (e) => this.onPointerUp(e));
+    player.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+    // A drag must not also toggle playback through the player's click handling
+    player.addEventListener(
+      'click',
+      (e) => {
+        if (!this.dragged) return;
+        this.dragged = false;
+        e.preventDefault();
+        e.stopPropagation();
+      },
+      true
+    );
+  }
+
+  /**
+   * Internal: pointer position in canvas pixels
+   * @param {MouseEvent} e - Pointer or wheel event
+   * @returns {{ x: number, y: number }|null} Canvas point, or null outside the picture
+   */
+  canvasPoint(e) {
+    const box = this.player.getBoundingClientRect();
+    return toCanvasPoint(
+      { x: e.clientX - box.left, y: e.clientY - box.top },
+      { width: box.width, height: box.height },
+      { width: this.player.videoWidth, height: this.player.videoHeight }
+    );
+  }
+
+  /**
+   * Internal: overlay under the pointer
+   * @param {MouseEvent} e - Pointer or wheel event
+   * @returns {{ point: { x: number, y: number }, rect: { x: number, y: number, width: number, height: number } }|null} Hit, or null
+   */
+  hitTest(e) {
+    const rect = this.handlers.getPipRect();
+    const point = rect ? this.canvasPoint(e) : null;
+    if (!point) return null;
+    const inside =
+      point.x >= rect.x &&
+      point.x <= rect.x + rect.width &&
+      point.y >= rect.y &&
+      point.y <= rect.y + rect.height;
+    return inside ? { point, rect } : null;
+  }
+
+  /**
+   * Internal: start dragging when the overlay is pressed
+   * @param {PointerEvent} e - Pointer event
+   */
+  onPointerDown(e) {
+    if (e.button !== 0) return;
+    const hit = this.hitTest(e);
+    if (!hit) return;
+    e.preventDefault();
+    this.drag = {
+      pointerId: e.pointerId,
+      offsetX: hit.point.x - hit.rect.x,
+      offsetY: hit.point.y - hit.rect.y,
+    };
+    this.dragged = false;
+    this.player.setPointerCapture?.(e.pointerId);
+  }
+
+  /**
+   * Internal: move the overlay, or show a move cursor over it
+   * @param {PointerEvent} e - Pointer event
+   */
+  onPointerMove(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) {
+      this.player.style.cursor = this.hitTest(e) ? 'move' : '';
+      return;
+    }
+    const point = this.canvasPoint(e);
+    if (!point) return;
+    const { videoWidth, videoHeight } = this.player;
+    this.dragged = true;
+    // The compositor clamps the overlay inside the video
+    this.handlers.onChange({
+      position: {
+        x: (point.x - this.drag.offsetX) / videoWidth,
+        y: (point.y - this.drag.offsetY) / videoHeight,
+      },
+    });
+  }
+
+  /**
+   * Internal: finish a drag
+   * @param {PointerEvent} e - Pointer event
+   */
+  onPointerUp(e) {
+    if (!this.drag || e.pointerId !== this.drag.pointerId) return;
+    this.player.releasePointerCapture?.(e.pointerId);
+    this.drag = null;
+  }
+
+  /**
+   * Internal: resize the overlay with the wheel
+   * @param {WheelEvent} e - Wheel event
+   */
+  onWheel(e) {
+    if (!this.hitTest(e)) return;
+    e.preventDefault();
+    const { scale } = this.handlers.getPipPlacement();
+    this.handlers.onChange({
+      scale: e.deltaY < 0 ? scale * WHEEL_SCALE_STEP : scale / WHEEL_SCALE_STEP,
+    });
+  }
+}
+
+// Create a singleton instance
+export const pipDrag = new PipDrag();
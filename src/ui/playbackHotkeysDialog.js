@@ -0,0 +1,220 @@
+/**
+ * @file Playback shortcuts dialog
+ * Lists the playback keyboard layer's actions with their key combos and lets each one be
+ * re-recorded: click a combo, press the new keys. Changes apply right away.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(modal: HTMLElement, elements: { list: HTMLElement, hint: HTMLElement }, buttons: { reset: HTMLElement, close: HTMLElement }, handlers: { onChange }): void
+ *       Stores DOM references for the static modal in index.html.
+ *   - open(hotkeys: PlaybackHotkeys, mac: boolean): void
+ *       Shows the dialog for the current hotkeys.
+ *   - close(): void
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Current hotkeys; clicks on combo buttons and the next key press while recording one
+ * Outputs:
+ *   - handlers.onChange(hotkeys) with the normalized hotkeys after every change (the coordinator
+ *     applies and saves them)
+ * Side-effects:
+ *   - Toggles the modal's 'visible' class; rebuilds the rows in the list element
+ *   - While recording a combo, swallows key presses (window capture listener) so they reach
+ *     neither the editor nor the playback layer
+ * Invariants:
+ *   - Escape cancels recording (or closes the dialog when not recording); Backspace/Delete unbind
+ *   - Rejected combos (see hotkeyError) leave the hotkey unchanged and show why in the hint
+ *   - Taking a combo used by another action unbinds that action
+ * Failure Modes:
+ *   - Missing DOM references: open() is a no-op
+ */
+
+import {
+  PLAYBACK_ACTIONS,
+  comboFromEvent,
+  formatCombo,
+  hotkeyError,
+  normalizeHotkeys,
+} from '../modules/playbackHotkeys.js';
+
+/**
+ * Dialog editing the playback hotkeys
+ */
+export class PlaybackHotkeysDialog {
+  constructor() {
+    this.modal = null;
+    this.list = null;
+    this.hint = null;
+    this.buttons = null;
+    this.handlers = { onChange: () => {} };
+    this.hotkeys = normalizeHotkeys(null);
+    this.mac = false;
+    /** @type {string|null} Action whose combo is being recorded */
+    this.capturing = null;
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  /**
+   * Initialize with DOM references and handlers
+   * @param {HTMLElement} modal - Modal overlay (#playbackHotkeysModal)
+   * @param {{ list: HTMLElement, hint: HTMLElement }} elements - Row container and hint line
+   * @param {{ reset: HTMLElement, close: HTMLElement }} buttons - Dialog buttons
+   * @param {{ onChange: (hotkeys: object) => void }} handlers - Receives the changed hotkeys
+   */
+  init(modal, elements, buttons, handlers) {
+    this.modal = modal;
+    this.list = elements.list;
+    this.hint = elements.hint;
+    this.buttons = buttons;
+    this.handlers = { ...this.handlers, ...handlers };
+
+    this.list?.addEventListener('click', (e) => {
+      const button = /** @type {HTMLElement} */ (e.target).closest('button[data-action]');
+      if (button) this.startCapture(button.dataset.action);
+    });
+    this.buttons?.reset?.addEventListener('click', () => {
+      this.capturing = null;
+      this.update(normalizeHotkeys(null), 'Defaults restored.');
+    });
+    this.buttons?.close?.addEventListener('click', () => this.close());
+    this.modal?.addEventListener('click', (e) => {
+      if (e.target === this.modal) this.close();
+    });
+  }
+
+  /**
+   * Show the dialog
+   * @param {object} hotkeys - Current hotkeys
+   * @param {boolean} mac - Show Cmd instead of Ctrl
+   */
+  open(hotkeys, mac) {
+    if (!this.modal || !this.list) return;
+    this.hotkeys = normalizeHotkeys(hotkeys);
+    this.mac = mac;
+    this.capturing = null;
+    this.setHint('');
+    this.render();
+    window.addEventListener('keydown', this.onKeyDown, true);
+    this.modal.classList.add('visible');
+  }
+
+  /**
+   * Hide the dialog
+   */
+  close() {
+    this.capturing = null;
+    window.removeEventListener('keydown', this.onKeyDown, true);
+    this.modal?.classList.remove('visible');
+  }
+
+  /**
+   * Internal: record the next key press for an action
+   * @param {string} action - Action id
+   */
+  startCapture(action) {
+    this.capturing = action;
+    this.setHint('Press the new shortcut…');
+    this.render();
+  }
+
+  /**
+   * Internal: apply new hotkeys and tell the coordinator
+   * @param {object} hotkeys - Hotkeys
+   * @param {string} hint - Message for the hint line
+   */
+  update(hotkeys, hint) {
+    this.hotkeys = normalizeHotkeys(hotkeys);
+    this.setHint(hint);
+    this.render();
+    this.handlers.onChange({ ...this.hotkeys });
+  }
+
+  /**
+   * Internal: rebuild the rows
+   */
+  render() {
+    if (!this.list) return;
+    this.list.replaceChildren(
+      ...PLAYBACK_ACTIONS.map(({ id, label }) => {
+        const row = document.createElement('div');
+        row.className = 'hotkey-row';
+        const name = document.createElement('span');
+        name.textContent = label;
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.dataset.action = id;
+        if (this.capturing === id) {
+          button.classList.add('capturing');
+          button.textContent = 'Press keys…';
+        } else {
+          button.textContent = formatCombo(this.hotkeys[id], this.mac);
+        }
+        row.append(name, button);
+        return row;
+      })
+    );
+  }
+
+  /**
+   * Internal: show a message under the list
+   * @param {string} text - Message ('' clears it)
+   */
+  setHint(text) {
+    if (this.hint) this.hint.textContent = text;
+  }
+
+  /**
+   * Internal: record a combo, or close on Escape
+   * @param {KeyboardEvent} e - keydown event
+   */
+  onKeyDown(e) {
+    if (!this.capturing) {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+      return;
+    }
+    e.preventDefault();
+    e.stopPropagation();
+
+    const action = this.capturing;
+    if (e.key === 'Escape') {
+      this.capturing = null;
+      this.setHint('');
+      this.render();
+      return;
+    }
+    if (e.key === 'Backspace' || e.key === 'Delete') {
+      this.capturing = null;
+      this.update({ ...this.hotkeys, [action]: '' }, 'Shortcut cleared.');
+      return;
+    }
+
+    const combo = comboFromEvent(e, this.mac);
+    if (!combo) return; // Only modifiers so far
+    const error = hotkeyError(combo);
+    if (error) {
+      this.setHint(`${formatCombo(combo, this.mac)}: ${error}`);
+      return;
+    }
+
+    this.capturing = null;
+    const previous = PLAYBACK_ACTIONS.find(({ id }) => id !== action && this.hotkeys[id] === combo);
+    this.update(
+      { ...this.hotkeys, ...(previous ? { [previous.id]: '' } : {}), [action]: combo },
+      previous ? `Moved from "${previous.label}".` : ''
+    );
+  }
+}
+
+// Create a singleton instance
+export const playbackHotkeysDialog = new PlaybackHotkeysDialog();
@@ -0,0 +1,187 @@
+/**
+ * @file Recording format dialog (container, codec and video bitrate)
+ * Lists the formats this MediaRecorder can produce (unsupported ones are disabled), the video
+ * bitrate choices and the estimated file size per hour. Choices apply to the next recording.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(modal: HTMLElement, formatSelect: HTMLSelectElement, bitrateSelect: HTMLSelectElement, estimateEl: HTMLElement, closeBtn: HTMLElement, handlers: { onChange }): void
+ *       Wires the static modal in index.html and fills the bitrate options.
+ *   - open(settings: FormatSettings, context: { audioBitrate: number, audioOnly: boolean }): void
+ *       Probes the formats and shows the dialog with the given settings.
+ *   - close(): void
+ *       Hides the dialog.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Current settings from recordingSystem.getFormat(); audio bitrate and audio-only mode
+ *     from deviceManager (for the size estimate)
+ *   - MediaRecorder.isTypeSupported (probed on every open)
+ * Outputs:
+ *   - handlers.onChange(settings) after every edit
+ * Side-effects:
+ *   - Toggles the modal's 'visible' class; rebuilds the format options
+ * Invariants:
+ *   - Formats the recorder cannot produce are listed but disabled
+ *   - The estimate follows the selected bitrate (the browser default is assumed for 'Automatic')
+ * Failure Modes:
+ *   - Missing DOM references: methods are no-ops
+ */
+
+import { CONFIG } from '../config.js';
+import {
+  probeFormats,
+  normalizeFormatSettings,
+  estimateBytesPerHour,
+  formatByteSize,
+} from '../recording/recordingFormats.js';
+
+/**
+ * Dialog choosing the recording format
+ */
+export class RecordingFormatDialog {
+  constructor() {
+    this.modal = null;
+    this.formatSelect = null;
+    this.bitrateSelect = null;
+    this.estimateEl = null;
+    this.closeBtn = null;
+    this.handlers = { onChange: () => {} };
+    this.settings = normalizeFormatSettings(null);
+    this.context = { audioBitrate: CONFIG.RECORDING.DEFAULT_AUDIO_BITRATE, audioOnly: false };
+    this.onEscape = (e) => {
+      if (e.key === 'Escape') {
+        e.preventDefault();
+        this.close();
+      }
+    };
+  }
+
+  /**
+   * Initialize with DOM references
+   * @param {HTMLElement} modal - Modal overlay (#recordingFormatModal)
+   * @param {HTMLSelectElement} formatSelect - Format dropdown
+   * @param {HTMLSelectElement} bitrateSelect - Video bitrate dropdown
+   * @param {HTMLElement} estimateEl - Size estimate text
+   * @param {HTMLElement} closeBtn - Done button
+   * @param {{ onChange: (settings: import('../recording/recordingFormats.js').FormatSettings) => void }} handlers - Change handler
+   */
+  init(modal, formatSelect, bitrateSelect, estimateEl, closeBtn, handlers) {
+    this.modal = modal;
+    this.formatSelect = formatSelect;
+    this.bitrateSelect = bitrateSelect;
+    this.estimateEl = estimateEl;
+    this.closeBtn = closeBtn;
+    this.handlers = { ...this.handlers, ...handlers };
+    if (!modal) return;
+
+    if (bitrateSelect) {
+      bitrateSelect.innerHTML = '';
+      CONFIG.RECORDING.AVAILABLE_VIDEO_BITRATES.forEach(({ value, label }) => {
+        const opt = document.createElement('option');
+        opt.value = String(value);
+        opt.textContent = label;
+        bitrateSelect.appendChild(opt);
+      });
+    }
+
+    [formatSelect, bitrateSelect].forEach((select) =>
+      select?.addEventListener('change', () => {
+        this.settings = normalizeFormatSettings({
+          format: formatSelect?.value,
+          videoBitrate: bitrateSelect?.value,
+        });
+        this.renderEstimate();
+        this.handlers.onChange(this.settings);
+      })
+    );
+    modal.addEventListener('click', (e) => {
+      if (e.target === modal) this.close();
+    });
+    closeBtn?.addEventListener('click', () => this.close());
+  }
+
+  /**
+   * Show the dialog
+   * @param {import('../recording/recordingFormats.js').FormatSettings} settings - Current settings
+   * @param {{ audioBitrate: number, audioOnly: boolean }} context - Inputs for the size estimate
+   */
+  open(settings, context) {
+    if (!this.modal) return;
+    this.settings = normalizeFormatSettings(settings);
+    this.context = { ...this.context, ...context };
+    this.renderFormats();
+    if (this.bitrateSelect) {
+      this.bitrateSelect.value = String(this.settings.videoBitrate);
+      this.bitrateSelect.disabled = this.context.audioOnly;
+    }
+    this.renderEstimate();
+    if (!this.modal.classList.contains('visible')) {
+      document.addEventListener('keydown', this.onEscape, true);
+      this.modal.classList.add('visible');
+    }
+    this.formatSelect?.focus();
+  }
+
+  /**
+   * Hide the dialog
+   */
+  close() {
+    if (!this.modal) return;
+    document.removeEventListener('keydown', this.onEscape, true);
+    this.modal.classList.remove('visible');
+  }
+
+  /**
+   * Internal: rebuild the format options from a fresh probe
+   */
+  renderFormats() {
+    const select = this.formatSelect;
+    if (!select) return;
+    const isTypeSupported = (m) =>
+      typeof MediaRecorder !== 'undefined' && MediaRecorder.isTypeSupported(m);
+    const { audioOnly } = this.context;
+
+    select.innerHTML = '';
+    const auto = document.createElement('option');
+    auto.value = 'auto';
+    auto.textContent = 'Automatic (best supported)';
+    select.appendChild(auto);
+    probeFormats(isTypeSupported).forEach((f) => {
+      const usable = audioOnly ? f.audioSupported : f.supported;
+      const opt = document.createElement('option');
+      opt.value = f.id;
+      opt.textContent = usable ? f.label : `${f.label} (not supported)`;
+      opt.disabled = !usable;
+      select.appendChild(opt);
+    });
+
+    const current = Array.from(select.options).find((o) => o.value === this.settings.format);
+    select.value = current && !current.disabled ? current.value : 'auto';
+  }
+
+  /**
+   * Internal: show the estimated size per hour
+   */
+  renderEstimate() {
+    if (!this.estimateEl) return;
+    const bytes = estimateBytesPerHour({
+      videoBitrate: this.settings.videoBitrate,
+      audioBitrate: this.context.audioBitrate,
+      audioOnly: this.context.audioOnly,
+    });
+    const approx = !this.context.audioOnly && !this.settings.videoBitrate ? 'about ' : '';
+    this.estimateEl.textContent = `Estimated size: ${approx}${formatByteSize(bytes)} per hour`;
+  }
+}
+
+// Create a singleton instance
+export const recordingFormatDialog = new RecordingFormatDialog();
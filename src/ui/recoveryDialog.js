@@ -0,0 +1,170 @@
+/**
+ * @file "Restore unsaved session" dialog
+ * Lists recovery journals left behind by earlier runs (newest first) and lets the
+ * user restore or delete them.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(modal: HTMLElement, list: HTMLElement, dismissBtn: HTMLElement): void
+ *       Stores DOM references for the static modal in index.html.
+ *   - async open(journals: RecoveryJournalSummary[], opts?: { onDelete?: (id: string) => Promise<void> }): Promise<string|null>
+ *       Shows the dialog; resolves with the journal id to restore or null when dismissed.
+ *   - describe(journal: RecoveryJournalSummary): { title: string, detail: string }
+ *       Builds the display text for a journal row.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Journal summaries from recoveryJournal.list()
+ *   - User clicks (Restore, Delete, Not now, overlay, Escape)
+ * Outputs:
+ *   - Selected journal id (or null)
+ * Side-effects:
+ *   - Rebuilds the list DOM and toggles the modal's 'visible' class
+ *   - Calls opts.onDelete for deleted rows
+ * Invariants:
+ *   - Only one open() is pending at a time; a second call returns null immediately
+ *   - The modal is hidden and listeners removed whenever open() resolves
+ * Failure Modes:
+ *   - Missing DOM references: open() resolves null
+ */
+
+/**
+ * Dialog listing recoverable sessions
+ */
+export class RecoveryDialog {
+  constructor() {
+    this.modal = null;
+    this.list = null;
+    this.dismissBtn = null;
+    this.isOpen = false;
+  }
+
+  /**
+   * Initialize with DOM references
+   * @param {HTMLElement} modal - Modal overlay (#recoveryModal)
+   * @param {HTMLElement} list - List container (#recoveryList)
+   * @param {HTMLElement} dismissBtn - "Not now" button
+   */
+  init(modal, list, dismissBtn) {
+    this.modal = modal;
+    this.list = list;
+    this.dismissBtn = dismissBtn;
+  }
+
+  /**
+   * Build display text for a journal
+   * @param {import('../../types/global').RecoveryJournalSummary} journal - Journal summary
+   * @returns {{ title: string, detail: string }} Row title (date) and detail text
+   */
+  describe(journal) {
+    const title = new Date(journal.updatedAt || journal.createdAt).toLocaleString();
+    const parts = [];
+    if (journal.mediaSize > 0) {
+      parts.push(`Recording (${(journal.mediaSize / 1024 / 1024).toFixed(1)} MB)`);
+    }
+    if (journal.hasNotes) parts.push('notes');
+    let detail = parts.join(' + ') || 'Empty';
+    detail = detail.charAt(0).toUpperCase() + detail.slice(1);
+    if (journal.mediaSize > 0 && journal.status === 'recording') {
+      detail += ' — interrupted while recording';
+    }
+    return { title, detail };
+  }
+
+  /**
+   * Show the dialog
+   * @param {import('../../types/global').RecoveryJournalSummary[]} journals - Journals, newest first
+   * @param {{ onDelete?: (id: string) => Promise<void> }} [opts] - Delete handler
+   * @returns {Promise<string|null>} Journal id to restore, or null when dismissed
+   */
+  open(journals, opts = {}) {
+    if (this.isOpen || !this.modal || !this.list || !journals.length) {
+      return Promise.resolve(null);
+    }
+    this.isOpen = true;
+
+    return new Promise((resolve) => {
+      const finish = (id) => {
+        this.modal.classList.remove('visible');
+        this.modal.removeEventListener('click', onOverlay);
+        this.dismissBtn?.removeEventListener('click', onDismiss);
+        document.removeEventListener('keydown', onEscape, true);
+        this.list.innerHTML = '';
+        this.isOpen = false;
+        resolve(id);
+      };
+      const onDismiss = () => finish(null);
+      const onOverlay = (e) => {
+        if (e.target === this.modal) finish(null);
+      };
+      const onEscape = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          finish(null);
+        }
+      };
+
+      this.list.innerHTML = '';
+      journals.forEach((journal) => {
+        const item = this.createItem(journal, {
+          onRestore: () => finish(journal.id),
+          onDelete: async () => {
+            if (!window.confirm('Delete this unsaved session permanently?')) return;
+            await opts.onDelete?.(journal.id);
+            item.remove();
+            if (!this.list.children.length) finish(null);
+          },
+        });
+        this.list.appendChild(item);
+      });
+
+      this.modal.addEventListener('click', onOverlay);
+      this.dismissBtn?.addEventListener('click', onDismiss);
+      document.addEventListener('keydown', onEscape, true);
+      this.modal.classList.add('visible');
+    });
+  }
+
+  /**
+   * Internal: build a list row with Restore/Delete buttons
+   * @param {import('../../types/global').RecoveryJournalSummary} journal - Journal summary
+   * @param {{ onRestore: () => void, onDelete: () => Promise<void> }} handlers - Button handlers
+   * @returns {HTMLLIElement} List item element
+   */
+  createItem(journal, handlers) {
+    const { title, detail } = this.describe(journal);
+    const item = document.createElement('li');
+    item.className = 'recovery-item';
+
+    const info = document.createElement('div');
+    info.className = 'recovery-item-info';
+    const titleEl = document.createElement('div');
+    titleEl.textContent = title;
+    const detailEl = document.createElement('div');
+    detailEl.className = 'recovery-item-detail';
+    detailEl.textContent = detail;
+    info.append(titleEl, detailEl);
+
+    const restoreBtn = document.createElement('button');
+    restoreBtn.innerHTML = '<i class="fa-solid fa-clock-rotate-left"></i> Restore';
+    restoreBtn.addEventListener('click', handlers.onRestore);
+
+    const deleteBtn = document.createElement('button');
+    deleteBtn.innerHTML = '<i class="fa-solid fa-trash"></i> Delete';
+    deleteBtn.addEventListener('click', handlers.onDelete);
+
+    item.append(info, restoreBtn, deleteBtn);
+    return item;
+  }
+}
+
+// Create a singleton instance
+export const recoveryDialog = new RecoveryDialog();
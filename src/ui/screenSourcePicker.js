@@ -0,0 +1,151 @@
+/**
+ * @file Screen/window source picker
+ * Lets the user choose which screen or window to record, from thumbnails listed by the
+ * main process (desktopCapturer).
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(modal: HTMLElement, list: HTMLElement, notice: HTMLElement, cancelBtn: HTMLElement): void
+ *       Stores DOM references for the static modal in index.html.
+ *   - async open(sources: CaptureSource[], opts?: { access?: string }): Promise<CaptureSource|null>
+ *       Shows the picker; resolves with the chosen source or null when cancelled.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Sources from window.api.listCaptureSources() and its macOS screen access status
+ *   - User clicks (source tile, Cancel, overlay, Escape)
+ * Outputs:
+ *   - Chosen source (or null)
+ * Side-effects:
+ *   - Rebuilds the list DOM and toggles the modal's 'visible' class
+ * Invariants:
+ *   - Only one open() is pending at a time; a second call returns null immediately
+ *   - The modal is hidden and listeners removed whenever open() resolves
+ *   - Source names are set with textContent (window titles are never parsed as HTML)
+ * Failure Modes:
+ *   - Missing DOM references or no sources: open() resolves null
+ */
+
+/**
+ * Dialog listing capturable screens and windows
+ */
+export class ScreenSourcePicker {
+  constructor() {
+    this.modal = null;
+    this.list = null;
+    this.notice = null;
+    this.cancelBtn = null;
+    this.isOpen = false;
+  }
+
+  /**
+   * Initialize with DOM references
+   * @param {HTMLElement} modal - Modal overlay (#screenPickerModal)
+   * @param {HTMLElement} list - Tile container (#screenPickerList)
+   * @param {HTMLElement} notice - Permission notice (#screenPickerNotice)
+   * @param {HTMLElement} cancelBtn - Cancel button
+   */
+  init(modal, list, notice, cancelBtn) {
+    this.modal = modal;
+    this.list = list;
+    this.notice = notice;
+    this.cancelBtn = cancelBtn;
+  }
+
+  /**
+   * Show the picker
+   * @param {import('../../types/global').CaptureSource[]} sources - Screens and windows
+   * @param {{ access?: string }} [opts] - macOS screen recording permission status
+   * @returns {Promise<import('../../types/global').CaptureSource|null>} Chosen source, or null
+   */
+  open(sources, opts = {}) {
+    if (this.isOpen || !this.modal || !this.list || !sources.length) {
+      return Promise.resolve(null);
+    }
+    this.isOpen = true;
+
+    return new Promise((resolve) => {
+      const finish = (source) => {
+        this.modal.classList.remove('visible');
+        this.modal.removeEventListener('click', onOverlay);
+        this.cancelBtn?.removeEventListener('click', onCancel);
+        document.removeEventListener('keydown', onEscape, true);
+        this.list.innerHTML = '';
+        this.isOpen = false;
+        resolve(source);
+      };
+      const onCancel = () => finish(null);
+      const onOverlay = (e) => {
+        if (e.target === this.modal) finish(null);
+      };
+      const onEscape = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          finish(null);
+        }
+      };
+
+      if (this.notice) {
+        this.notice.hidden = !opts.access || opts.access === 'granted';
+      }
+      this.list.innerHTML = '';
+      sources.forEach((source) => {
+        this.list.appendChild(this.createItem(source, () => finish(source)));
+      });
+
+      this.modal.addEventListener('click', onOverlay);
+      this.cancelBtn?.addEventListener('click', onCancel);
+      document.addEventListener('keydown', onEscape, true);
+      this.modal.classList.add('visible');
+      /** @type {HTMLElement|null} */ (this.list.querySelector('button'))?.focus();
+    });
+  }
+
+  /**
+   * Internal: build a source tile
+   * @param {import('../../types/global').CaptureSource} source - Source
+   * @param {() => void} onChoose - Click handler
+   * @returns {HTMLLIElement} List item element
+   */
+  createItem(source, onChoose) {
+    const item = document.createElement('li');
+    const button = document.createElement('button');
+    button.className = 'screen-source';
+    button.title = source.name;
+
+    if (source.thumbnail) {
+      const img = document.createElement('img');
+      img.src = source.thumbnail;
+      img.alt = '';
+      button.appendChild(img);
+    } else {
+      const placeholder = document.createElement('div');
+      placeholder.className = 'screen-source-placeholder';
+      placeholder.innerHTML =
+        source.kind === 'screen'
+          ? '<i class="fa-solid fa-display"></i>'
+          : '<i class="fa-regular fa-window-maximize"></i>';
+      button.appendChild(placeholder);
+    }
+
+    const name = document.createElement('span');
+    name.className = 'screen-source-name';
+    name.textContent = source.name;
+    button.appendChild(name);
+
+    button.addEventListener('click', onChoose);
+    item.appendChild(button);
+    return item;
+  }
+}
+
+// Create a singleton instance
+export const screenSourcePicker = new ScreenSourcePicker();
@@ -0,0 +1,328 @@
+/**
+ * @file Segment switcher
+ * A session can hold several recordings ("segments", e.g. the parts of a workshop) that share
+ * the notes. The switcher above the player lists them, names them and keeps the state of the
+ * segments that are not being played. Timestamps name their segment (TimestampBlot `segment`).
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(elements: { select, nameInput, addBtn, removeBtn }, handlers: { onSwitch, onAdd, onRemove, onChange }): void
+ *       Stores DOM references for the static bar in index.html and wires events.
+ *   - setSegments(segments: { id, name }[]|null): void
+ *       Replaces the list (first segment active); stored states are dropped.
+ *   - getSegments(): { id: string, name: string }[]
+ *   - getActiveId(): string
+ *   - setActive(id: string): void
+ *   - addSegment(name?: string): { id: string, name: string }
+ *       Appends an empty segment (not activated).
+ *   - renameSegment(id: string, name: string): void
+ *   - removeSegment(id: string): void
+ *       Drops a segment and its stored state (the last segment is never removed).
+ *   - resolve(id?: string): string
+ *       The segment a timestamp refers to: its own if known, otherwise the first one.
+ *   - isActive(id?: string): boolean
+ *   - setState(id: string, state: SegmentState): void / getState(id: string): SegmentState|null
+ *       State of a segment while another one is played.
+ *   - setEnabled(enabled: boolean): void
+ * Functions:
+ *   - fillTimestampSegments(ops: DeltaOp[], segmentId: string): DeltaOp[]
+ *       Delta with timestamps/ranges that name no segment assigned to segmentId (older notes).
+ *   - findSegmentTimestamps(ops: DeltaOp[], isTarget: (stamp) => boolean): number[]
+ *       Document indices of the matching timestamp and timestamp range embeds.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Segment lists (load-session, reset), user picks/renames in the bar
+ * Outputs:
+ *   - handlers.onSwitch(id) when another segment is picked (the coordinator swaps the media
+ *     and calls setActive), onAdd()/onRemove(id) for the buttons, onChange() after renames
+ * Side-effects:
+ *   - Rebuilds the select options; toggles control state
+ * Invariants:
+ *   - There is always at least one segment, and exactly one is active
+ *   - Ids are unique and never reused within a session (`seg-<n>`)
+ *   - The active segment's state lives in the players/panels, never in the stored states
+ * Failure Modes:
+ *   - Missing DOM references: rendering becomes a no-op, data methods still work
+ */
+
+const MAX_NAME_LENGTH = 80;
+
+/**
+ * Internal: numeric part of a `seg-<n>` id
+ * @param {string} id - Segment id
+ * @returns {number} n, or 0 for other ids
+ */
+function idNumber(id) {
+  const match = /^seg-(\d+)$/.exec(id);
+  return match ? Number(match[1]) : 0;
+}
+
+// Embeds that refer to a time of a segment's recording
+const TIME_EMBEDS = ['timestamp', 'timestampRange'];
+
+/**
+ * Internal: the timestamp or timestamp range value of an op
+ * @param {{ insert?: any }} op - Delta op
+ * @returns {[string, any]|null} Embed name and value, or null for other ops
+ */
+function timeEmbed(op) {
+  const insert = op && op.insert;
+  if (!insert || typeof insert !== 'object') return null;
+  const name = TIME_EMBEDS.find((key) => insert[key]);
+  return name ? [name, insert[name]] : null;
+}
+
+/**
+ * Assign timestamps without a segment to one (notes saved before sessions had segments)
+ * @param {{ insert?: any, attributes?: object }[]} ops - Delta ops
+ * @param {string} segmentId - Segment for the unassigned timestamps and ranges
+ * @returns {{ insert?: any, attributes?: object }[]} New ops (unchanged ops are reused)
+ */
+export function fillTimestampSegments(ops, segmentId) {
+  return (ops || []).map((op) => {
+    const embed = timeEmbed(op);
+    if (!embed || embed[1].segment) return op;
+    return { ...op, insert: { [embed[0]]: { ...embed[1], segment: segmentId } } };
+  });
+}
+
+/**
+ * Positions of timestamps and timestamp ranges in a document
+ * @param {{ insert?: any }[]} ops - Document delta ops (quill.getContents().ops)
+ * @param {(stamp: { segment?: string }) => boolean} isTarget - Filter (gets the embed value)
+ * @returns {number[]} Document indices in order
+ */
+export function findSegmentTimestamps(ops, isTarget) {
+  const indices = [];
+  let index = 0;
+  (ops || []).forEach((op) => {
+    if (typeof op.insert === 'string') {
+      index += op.insert.length;
+      return;
+    }
+    const embed = timeEmbed(op);
+    if (embed && isTarget(embed[1])) indices.push(index);
+    index += 1; // Every embed has length 1
+  });
+  return indices;
+}
+
+/**
+ * Segment list with the bar's select, name field and buttons
+ */
+export class SegmentSwitcher {
+  constructor() {
+    this.select = null;
+    this.nameInput = null;
+    this.addBtn = null;
+    this.removeBtn = null;
+    this.handlers = { onSwitch: () => {}, onAdd: () => {}, onRemove: () => {}, onChange: () => {} };
+    /** @type {{ id: string, name: string }[]} */
+    this.segments = [{ id: 'seg-1', name: 'Recording 1' }];
+    this.activeId = 'seg-1';
+    this.lastNumber = 1;
+    /** @type {Map<string, import('../../types/global').SegmentState>} */
+    this.states = new Map();
+    this.enabled = true;
+  }
+
+  /**
+   * Initialize with DOM references and handlers
+   * @param {{ select: HTMLSelectElement, nameInput: HTMLInputElement, addBtn: HTMLButtonElement, removeBtn: HTMLButtonElement }} elements - Bar elements
+   * @param {{ onSwitch: (id: string) => void, onAdd: () => void, onRemove: (id: string) => void, onChange: () => void }} handlers - Bar actions
+   */
+  init(elements, handlers) {
+    this.select = elements.select;
+    this.nameInput = elements.nameInput;
+    this.addBtn = elements.addBtn;
+    this.removeBtn = elements.removeBtn;
+    this.handlers = { ...this.handlers, ...handlers };
+
+    this.select?.addEventListener('change', () => {
+      const id = this.select.value;
+      // Show the active segment until the coordinator has switched
+      this.render();
+      if (id !== this.activeId) this.handlers.onSwitch(id);
+    });
+    this.nameInput?.addEventListener('change', () => {
+      this.renameSegment(this.activeId, this.nameInput.value);
+    });
+    this.addBtn?.addEventListener('click', () => this.handlers.onAdd());
+    this.removeBtn?.addEventListener('click', () => this.handlers.onRemove(this.activeId));
+
+    this.render();
+  }
+
+  /**
+   * Replace all segments (does not call onChange)
+   * @param {{ id: string, name: string }[]|null} segments - Segments, or null for one empty segment
+   */
+  setSegments(segments) {
+    const seen = new Set();
+    this.segments = (Array.isArray(segments) ? segments : [])
+      .filter((s) => s && typeof s.id === 'string' && s.id && !seen.has(s.id) && seen.add(s.id))
+      .map((s, index) => ({ id: s.id, name: this.cleanName(s.name, index) }));
+    if (!this.segments.length) this.segments = [{ id: 'seg-1', name: 'Recording 1' }];
+    this.activeId = this.segments[0].id;
+    this.lastNumber = Math.max(...this.segments.map((s) => idNumber(s.id)));
+    this.states.clear();
+    this.render();
+  }
+
+  /**
+   * Segments in display order
+   * @returns {{ id: string, name: string }[]} Copies
+   */
+  getSegments() {
+    return this.segments.map((s) => ({ ...s }));
+  }
+
+  /**
+   * Id of the segment being played
+   * @returns {string} Segment id
+   */
+  getActiveId() {
+    return this.activeId;
+  }
+
+  /**
+   * Mark a segment as the one being played (its stored state is dropped)
+   * @param {string} id - Segment id
+   */
+  setActive(id) {
+    if (!this.segments.some((s) => s.id === id)) return;
+    this.activeId = id;
+    this.states.delete(id);
+    this.render();
+  }
+
+  /**
+   * Append an empty segment
+   * @param {string} [name] - Display name (default "Recording <n>")
+   * @returns {{ id: string, name: string }} Added segment
+   */
+  addSegment(name) {
+    this.lastNumber += 1;
+    const segment = {
+      id: `seg-${this.lastNumber}`,
+      name: this.cleanName(name, this.segments.length),
+    };
+    this.segments.push(segment);
+    this.render();
+    return { ...segment };
+  }
+
+  /**
+   * Rename a segment (an empty name restores the current one)
+   * @param {string} id - Segment id
+   * @param {string} name - New name
+   */
+  renameSegment(id, name) {
+    const segment = this.segments.find((s) => s.id === id);
+    if (!segment) return;
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    if (trimmed && trimmed !== segment.name) {
+      segment.name = trimmed;
+      this.handlers.onChange();
+    }
+    this.render();
+  }
+
+  /**
+   * Remove a segment and its stored state
+   * The active segment can only be removed after switching away from it.
+   * @param {string} id - Segment id
+   */
+  removeSegment(id) {
+    if (this.segments.length < 2 || id === this.activeId) return;
+    this.segments = this.segments.filter((s) => s.id !== id);
+    this.states.delete(id);
+    this.render();
+  }
+
+  /**
+   * Segment a timestamp refers to
+   * @param {string} [id] - Timestamp segment (missing in notes from before segments)
+   * @returns {string} The id if it is known, otherwise the first segment's id
+   */
+  resolve(id) {
+    return id && this.segments.some((s) => s.id === id) ? id : this.segments[0].id;
+  }
+
+  /**
+   * Whether a timestamp's segment is the one being played
+   * @param {string} [id] - Timestamp segment
+   * @returns {boolean} True for the active segment
+   */
+  isActive(id) {
+    return this.resolve(id) === this.activeId;
+  }
+
+  /**
+   * Store the state of a segment that is not being played
+   * @param {string} id - Segment id
+   * @param {import('../../types/global').SegmentState} state - Media, transcript, markers, peaks
+   */
+  setState(id, state) {
+    if (this.segments.some((s) => s.id === id)) this.states.set(id, state);
+  }
+
+  /**
+   * Stored state of a segment
+   * @param {string} id - Segment id
+   * @returns {import('../../types/global').SegmentState|null} State, or null (empty or active)
+   */
+  getState(id) {
+    return this.states.get(id) || null;
+  }
+
+  /**
+   * Enable or disable the bar (e.g., while recording)
+   * @param {boolean} enabled - Whether segments can be switched/added/removed
+   */
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    this.render();
+  }
+
+  /**
+   * Internal: stored or default name
+   * @param {any} name - Name
+   * @param {number} index - Position (for the default name)
+   * @returns {string} Non-empty name
+   */
+  cleanName(name, index) {
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_NAME_LENGTH) : '';
+    return trimmed || `Recording ${index + 1}`;
+  }
+
+  /**
+   * Internal: rebuild options and control state
+   */
+  render() {
+    if (this.select) {
+      this.select.replaceChildren(...this.segments.map((s) => new Option(s.name, s.id)));
+      this.select.value = this.activeId;
+      this.select.disabled = !this.enabled || this.segments.length < 2;
+    }
+    if (this.nameInput) {
+      const active = this.segments.find((s) => s.id === this.activeId);
+      this.nameInput.value = active ? active.name : '';
+      this.nameInput.disabled = !this.enabled;
+    }
+    if (this.addBtn) this.addBtn.disabled = !this.enabled;
+    if (this.removeBtn) this.removeBtn.disabled = !this.enabled || this.segments.length < 2;
+  }
+}
+
+// Create a singleton instance
+export const segmentSwitcher = new SegmentSwitcher();
@@ -0,0 +1,114 @@
+/**
+ * @file Timestamp offset dialog
+ * Sets the lead-in offset added to new timestamps (e.g. -3 s to land before the moment that
+ * made you press Cmd+Alt+T), optionally re-applying it to the timestamps already in the notes.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(modal: HTMLElement, fields: { input: HTMLInputElement, applyExisting: HTMLInputElement }, buttons: { save: HTMLElement, cancel: HTMLElement }): void
+ *       Stores DOM references for the static modal in index.html.
+ *   - async open(offset: number): Promise<{ offset: number, applyToExisting: boolean }|null>
+ *       Shows the dialog with the current offset; resolves with the choice, or null when canceled.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Current offset; user input (Save, Cancel, overlay, Escape, Enter in the field)
+ * Outputs:
+ *   - The new offset (normalized) and whether existing timestamps should move
+ * Side-effects:
+ *   - Toggles the modal's 'visible' class
+ * Invariants:
+ *   - Only one open() is pending at a time; a second call resolves null immediately
+ *   - The modal is hidden and listeners removed whenever open() resolves
+ *   - "Apply to existing timestamps" starts unchecked on every open
+ * Failure Modes:
+ *   - Missing DOM references: open() resolves null
+ */
+
+import { normalizeTimestampOffset } from '../modules/timestampOffset.js';
+
+/**
+ * Dialog editing the timestamp lead-in offset
+ */
+export class TimestampOffsetDialog {
+  constructor() {
+    this.modal = null;
+    this.fields = null;
+    this.buttons = null;
+    this.isOpen = false;
+  }
+
+  /**
+   * Initialize with DOM references
+   * @param {HTMLElement} modal - Modal overlay (#timestampOffsetModal)
+   * @param {{ input: HTMLInputElement, applyExisting: HTMLInputElement }} fields - Offset field and checkbox
+   * @param {{ save: HTMLElement, cancel: HTMLElement }} buttons - Dialog buttons
+   */
+  init(modal, fields, buttons) {
+    this.modal = modal;
+    this.fields = fields;
+    this.buttons = buttons;
+  }
+
+  /**
+   * Show the dialog
+   * @param {number} offset - Current offset in seconds
+   * @returns {Promise<{ offset: number, applyToExisting: boolean }|null>} Choice, or null when canceled
+   */
+  open(offset) {
+    if (this.isOpen || !this.modal || !this.fields || !this.buttons) return Promise.resolve(null);
+    this.isOpen = true;
+
+    const { input, applyExisting } = this.fields;
+    const { save, cancel } = this.buttons;
+    input.value = String(normalizeTimestampOffset(offset));
+    if (applyExisting) applyExisting.checked = false;
+
+    return new Promise((resolve) => {
+      const finish = (choice) => {
+        this.modal.classList.remove('visible');
+        this.modal.removeEventListener('click', onOverlay);
+        save?.removeEventListener('click', onSave);
+        cancel?.removeEventListener('click', onCancel);
+        document.removeEventListener('keydown', onKey, true);
+        this.isOpen = false;
+        resolve(choice);
+      };
+      const onSave = () =>
+        finish({
+          offset: normalizeTimestampOffset(input.value),
+          applyToExisting: Boolean(applyExisting?.checked),
+        });
+      const onCancel = () => finish(null);
+      const onOverlay = (e) => {
+        if (e.target === this.modal) finish(null);
+      };
+      const onKey = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          finish(null);
+        } else if (e.key === 'Enter' && e.target === input) {
+          e.preventDefault();
+          onSave();
+        }
+      };
+
+      this.modal.addEventListener('click', onOverlay);
+      save?.addEventListener('click', onSave);
+      cancel?.addEventListener('click', onCancel);
+      document.addEventListener('keydown', onKey, true);
+      this.modal.classList.add('visible');
+      input.focus();
+      input.select();
+    });
+  }
+}
+
+// Create a singleton instance
+export const timestampOffsetDialog = new TimestampOffsetDialog();
@@ -0,0 +1,255 @@
+/**
+ * @file Timestamp popover
+ * Right-clicking a timestamp button opens a small popover to fix it: nudge it by ±1 s or ±5 s
+ * (timestamps often land a few seconds late), set it to the player position, rename it, or
+ * turn it into a timestamp range.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(elements: { popover, labelForm, labelInput }, handlers: { onEdit }): void
+ *       Stores DOM references for the static popover in index.html and wires events.
+ *   - open(target: HTMLElement): void
+ *       Shows the popover under a timestamp button.
+ *   - close(): void
+ *   - isOpen(): boolean
+ * Functions:
+ *   - editTimestamp(value: TimestampValue, edit: TimestampEdit): { format, value }|null
+ *       The embed that replaces a timestamp after an edit.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Timestamp buttons (right-click in the editor), popover button clicks, label input
+ * Outputs:
+ *   - handlers.onEdit(target, action) for each action; the coordinator replaces the embed and
+ *     returns the new button (or null when the timestamp is gone)
+ * Side-effects:
+ *   - Toggles the popover's 'visible' class and positions it (fixed, under the button)
+ * Invariants:
+ *   - Nudges and "set to player" keep the popover open on the replaced button so they can be
+ *     repeated; renaming and converting close it
+ *   - Custom labels survive time changes; default labels ("MM:SS.CC") follow the new time
+ *   - Nudges keep the lead-in offset redoable (raw moves too); "set to player" drops raw
+ * Failure Modes:
+ *   - Missing DOM references: open() is a no-op
+ */
+
+import { formatRange, formatTime } from '../modules/utils.js';
+
+/**
+ * @typedef {{ type: 'nudge', delta: number }
+ *   | { type: 'set', time: number, segment?: string }
+ *   | { type: 'label', label: string }
+ *   | { type: 'range', end: number|null }} TimestampEdit
+ */
+
+/**
+ * Internal: label text without Quill's embed guard characters
+ * @param {any} label - Stored label
+ * @returns {string} Trimmed label ('' when missing)
+ */
+function cleanLabel(label) {
+  return typeof label === 'string' ? label.replace(/\uFEFF/g, '').trim() : '';
+}
+
+/**
+ * Embed that replaces a timestamp after an edit
+ * @param {import('../../types/global').TimestampValue} value - Current timestamp value
+ * @param {TimestampEdit} edit - Nudge by delta seconds, set to a time (and segment), rename
+ *   (empty restores the time label) or convert to a range (end null leaves it open)
+ * @returns {{ format: 'timestamp'|'timestampRange', value: object }|null} New embed, or null
+ *   for unknown edits
+ */
+export function editTimestamp(value, edit) {
+  const ts = Math.max(0, Number(value && value.ts) || 0);
+  const label = cleanLabel(value && value.label);
+  const custom = label && label !== formatTime(ts) ? label : '';
+  const segment = value && value.segment;
+  const raw = value && Number.isFinite(value.raw) ? value.raw : undefined;
+
+  const stamp = (time, text, seg, rawTime) => {
+    const next = Math.max(0, Math.round(time * 100) / 100);
+    return {
+      format: /** @type {const} */ ('timestamp'),
+      value: {
+        ts: next,
+        label: text || formatTime(next),
+        ...(seg ? { segment: seg } : {}),
+        ...(rawTime !== undefined ? { raw: Math.max(0, rawTime) } : {}),
+      },
+    };
+  };
+
+  // A nudge moves the time the timestamp was taken too, so a later lead-in offset change keeps
+  // it; a time set from the player is exact and is not offset again
+  switch (edit && edit.type) {
+    case 'nudge': {
+      const delta = Number(edit.delta) || 0;
+      return stamp(ts + delta, custom, segment, raw === undefined ? undefined : raw + delta);
+    }
+    case 'set':
+      return Number.isFinite(edit.time) ? stamp(edit.time, custom, edit.segment || segment) : null;
+    case 'label':
+      return stamp(ts, cleanLabel(edit.label), segment, raw);
+    case 'range': {
+      const end = Number.isFinite(edit.end) && edit.end > ts ? edit.end : null;
+      return {
+        format: 'timestampRange',
+        value: {
+          start: ts,
+          end,
+          label: custom || formatRange(ts, end),
+          ...(segment ? { segment } : {}),
+        },
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Popover with the timestamp edit actions
+ */
+export class TimestampPopover {
+  constructor() {
+    this.popover = null;
+    this.labelForm = null;
+    this.labelInput = null;
+    this.handlers = { onEdit: () => null };
+    /** @type {HTMLElement|null} */
+    this.target = null;
+    this.onOutside = this.onOutside.bind(this);
+    this.onKeyDown = this.onKeyDown.bind(this);
+  }
+
+  /**
+   * Initialize with DOM references and handlers
+   * Action buttons carry data-action ("nudge" with data-delta, "set" or "range").
+   * @param {{ popover: HTMLElement, labelForm: HTMLFormElement, labelInput: HTMLInputElement }} elements - Popover elements
+   * @param {{ onEdit: (target: HTMLElement, action: { type: string, delta?: number, label?: string }) => HTMLElement|null }} handlers - Applies an action, returns the new button
+   */
+  init(elements, handlers) {
+    this.popover = elements.popover;
+    this.labelForm = elements.labelForm;
+    this.labelInput = elements.labelInput;
+    this.handlers = { ...this.handlers, ...handlers };
+
+    this.popover?.addEventListener('click', (e) => {
+      const button = /** @type {HTMLElement} */ (e.target).closest('[data-action]');
+      if (!button || !this.target) return;
+      const type = button.dataset.action;
+      if (type === 'nudge') {
+        this.apply({ type, delta: Number(button.dataset.delta) || 0 }, true);
+      } else if (type === 'set') {
+        this.apply({ type }, true);
+      } else if (type === 'range') {
+        this.apply({ type }, false);
+      }
+    });
+    this.labelForm?.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (this.target) this.apply({ type: 'label', label: this.labelInput.value }, false);
+    });
+  }
+
+  /**
+   * Show the popover under a timestamp button
+   * @param {HTMLElement} target - button.ts
+   */
+  open(target) {
+    if (!this.popover) return;
+    this.target = target;
+    this.syncLabel();
+    this.position();
+    this.popover.classList.add('visible');
+    document.addEventListener('mousedown', this.onOutside, true);
+    document.addEventListener('keydown', this.onKeyDown, true);
+    this.labelInput?.focus();
+    this.labelInput?.select();
+  }
+
+  /**
+   * Hide the popover
+   */
+  close() {
+    this.target = null;
+    this.popover?.classList.remove('visible');
+    document.removeEventListener('mousedown', this.onOutside, true);
+    document.removeEventListener('keydown', this.onKeyDown, true);
+  }
+
+  /**
+   * Whether the popover is shown
+   * @returns {boolean} True while open
+   */
+  isOpen() {
+    return this.target !== null;
+  }
+
+  /**
+   * Internal: run an action and follow the replaced button
+   * @param {{ type: string, delta?: number, label?: string }} action - Popover action
+   * @param {boolean} keepOpen - Stay open on the new button
+   */
+  apply(action, keepOpen) {
+    const next = this.handlers.onEdit(this.target, action);
+    if (!next || !keepOpen) {
+      this.close();
+      return;
+    }
+    this.target = next;
+    this.syncLabel();
+    this.position();
+  }
+
+  /**
+   * Internal: show the target's label in the input
+   */
+  syncLabel() {
+    if (this.labelInput && this.target) {
+      this.labelInput.value = cleanLabel(this.target.textContent);
+    }
+  }
+
+  /**
+   * Internal: place the popover under the target, inside the window
+   */
+  position() {
+    if (!this.popover || !this.target) return;
+    const rect = this.target.getBoundingClientRect();
+    const width = this.popover.offsetWidth || 0;
+    const left = Math.max(4, Math.min(rect.left, window.innerWidth - width - 4));
+    this.popover.style.left = `${left}px`;
+    this.popover.style.top = `${rect.bottom + 4}px`;
+  }
+
+  /**
+   * Internal: close on clicks outside the popover
+   * @param {MouseEvent} e - mousedown event
+   */
+  onOutside(e) {
+    if (!this.popover.contains(/** @type {Node} */ (e.target))) this.close();
+  }
+
+  /**
+   * Internal: close on Escape
+   * @param {KeyboardEvent} e - keydown event
+   */
+  onKeyDown(e) {
+    if (e.key !== 'Escape') return;
+    e.preventDefault();
+    e.stopPropagation();
+    this.close();
+  }
+}
+
+// Create a singleton instance
+export const timestampPopover = new TimestampPopover();
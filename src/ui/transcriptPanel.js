@@ -0,0 +1,164 @@
+/**
+ * @file Transcript panel
+ * Shows the session's time-aligned transcript under the player. Clicking a line seeks the
+ * player (like timestamp buttons in the notes) and the line being played is highlighted.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(elements: { panel, list, status, cancelBtn }, handlers: { onSeek, onCancel }): void
+ *       Stores DOM references for the static panel in index.html and wires events.
+ *   - setTranscript(transcript: Transcript|null): void
+ *       Replaces the transcript and re-renders (null hides the panel).
+ *   - getTranscript(): Transcript|null
+ *       Current transcript (saved as transcript.json).
+ *   - setProgress(progress: TranscriptionProgress|null): void
+ *       Shows transcription progress and the Cancel button (null clears them).
+ *   - highlight(time: number): void
+ *       Marks the line covering the given player time.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Transcript documents (transcribe-media result, load-session, recovery snapshot)
+ *   - Player time updates; user clicks on lines and Cancel
+ * Outputs:
+ *   - handlers.onSeek(seconds) for clicked lines; handlers.onCancel() for Cancel
+ * Side-effects:
+ *   - Rebuilds the list DOM, toggles the panel's hidden attribute and line highlight
+ * Invariants:
+ *   - The panel is visible whenever a transcript exists or a transcription is running
+ *   - Line text is set with textContent (transcripts are never parsed as HTML)
+ * Failure Modes:
+ *   - Missing DOM references: methods become no-ops
+ */
+
+import { formatTime } from '../modules/utils.js';
+
+/**
+ * Transcript list with click-to-seek
+ */
+export class TranscriptPanel {
+  constructor() {
+    this.panel = null;
+    this.list = null;
+    this.status = null;
+    this.cancelBtn = null;
+    this.transcript = null;
+    this.busy = false;
+    this.activeLine = null;
+  }
+
+  /**
+   * Initialize with DOM references and handlers
+   * @param {{ panel: HTMLElement, list: HTMLElement, status: HTMLElement, cancelBtn: HTMLElement }} elements - Panel elements
+   * @param {{ onSeek: (seconds: number) => void, onCancel: () => void }} handlers - Line click and Cancel handlers
+   */
+  init(elements, handlers) {
+    this.panel = elements.panel;
+    this.list = elements.list;
+    this.status = elements.status;
+    this.cancelBtn = elements.cancelBtn;
+
+    this.list?.addEventListener('click', (e) => {
+      const line = /** @type {HTMLElement} */ (e.target).closest('button.transcript-line');
+      if (!line) return;
+      const start = Number(line.dataset.start);
+      if (Number.isFinite(start)) handlers.onSeek(start);
+    });
+    this.cancelBtn?.addEventListener('click', () => handlers.onCancel());
+  }
+
+  /**
+   * Replace the transcript
+   * @param {import('../../types/global').Transcript|null} transcript - Transcript or null
+   */
+  setTranscript(transcript) {
+    this.transcript = transcript && Array.isArray(transcript.segments) ? transcript : null;
+    this.render();
+  }
+
+  /**
+   * Current transcript
+   * @returns {import('../../types/global').Transcript|null} Transcript or null
+   */
+  getTranscript() {
+    return this.transcript;
+  }
+
+  /**
+   * Show or clear transcription progress
+   * @param {import('../../types/global').TranscriptionProgress|null} progress - Progress, or null when finished
+   */
+  setProgress(progress) {
+    this.busy = !!progress;
+    if (this.status) this.status.textContent = progress ? progress.statusText : '';
+    if (this.cancelBtn) this.cancelBtn.hidden = !progress;
+    this.updateVisibility();
+  }
+
+  /**
+   * Highlight the line covering a player time
+   * @param {number} time - Player time in seconds
+   */
+  highlight(time) {
+    if (!this.list || !this.transcript) return;
+    const segments = this.transcript.segments;
+    let index = -1;
+    for (let i = 0; i < segments.length && segments[i].start <= time; i++) {
+      if (time < segments[i].end || i === segments.length - 1) index = i;
+    }
+    const line = index >= 0 ? this.list.children[index]?.firstElementChild : null;
+    if (line === this.activeLine) return;
+
+    this.activeLine?.classList.remove('active');
+    this.activeLine = line || null;
+    if (this.activeLine) {
+      this.activeLine.classList.add('active');
+      this.activeLine.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * Internal: rebuild the list
+   */
+  render() {
+    if (!this.list) return;
+    this.list.innerHTML = '';
+    this.activeLine = null;
+
+    (this.transcript?.segments || []).forEach((segment) => {
+      const item = document.createElement('li');
+      const line = document.createElement('button');
+      line.className = 'transcript-line';
+      line.dataset.start = String(segment.start);
+
+      const time = document.createElement('span');
+      time.className = 'ts';
+      time.textContent = formatTime(segment.start);
+      const text = document.createElement('span');
+      text.textContent = segment.text;
+
+      line.append(time, text);
+      item.appendChild(line);
+      this.list.appendChild(item);
+    });
+    this.updateVisibility();
+  }
+
+  /**
+   * Internal: show the panel while there is something to show
+   */
+  updateVisibility() {
+    if (this.panel) this.panel.hidden = !this.transcript && !this.busy;
+  }
+}
+
+// Create a singleton instance
+export const transcriptPanel = new TranscriptPanel();
@@ -0,0 +1,236 @@
+/**
+ * @file Trim/cut dialog
+ * Lets the user list the parts of the recording to remove: the start up to the playhead,
+ * the playhead to the end, or any range in the middle. Each range's ends can be typed or
+ * taken from the player position.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(modal: HTMLElement, list: HTMLElement, summary: HTMLElement, buttons: TrimButtons): void
+ *       Stores DOM references for the static modal in index.html.
+ *   - async open(opts: { duration: number, getCurrentTime: () => number }): Promise<TimeRange[]|null>
+ *       Shows the dialog; resolves with the ranges to remove, or null when canceled.
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Media duration and the player position (for the "playhead" buttons)
+ *   - User edits of the range rows (MM:SS.CC, H:MM:SS or seconds)
+ * Outputs:
+ *   - Normalized ranges to remove (mediaCuts.normalizeCuts), never empty
+ * Side-effects:
+ *   - Rebuilds the range list DOM and toggles the modal's 'visible' class
+ * Invariants:
+ *   - Only one open() is pending at a time; a second call resolves null immediately
+ *   - Cut is disabled while a row is invalid, nothing is removed or nothing would remain
+ * Failure Modes:
+ *   - Missing DOM references: open() resolves null
+ */
+
+import { formatTime, parseTime } from '../modules/utils.js';
+import { normalizeCuts, keepSegments } from '../modules/mediaCuts.js';
+
+/**
+ * @typedef {object} TrimButtons
+ * @property {HTMLElement} head - Remove from the start to the playhead
+ * @property {HTMLElement} tail - Remove from the playhead to the end
+ * @property {HTMLElement} add - Add a range around the playhead
+ * @property {HTMLButtonElement} apply - Cut
+ * @property {HTMLElement} cancel - Cancel
+ */
+
+// Length of a range added with "Add cut" (seconds)
+const NEW_CUT_LENGTH = 5;
+
+/**
+ * Dialog choosing the parts of the recording to remove
+ */
+export class TrimDialog {
+  constructor() {
+    this.modal = null;
+    this.list = null;
+    this.summary = null;
+    /** @type {TrimButtons|null} */
+    this.buttons = null;
+    this.isOpen = false;
+    this.duration = 0;
+    this.getCurrentTime = () => 0;
+  }
+
+  /**
+   * Initialize with DOM references
+   * @param {HTMLElement} modal - Modal overlay (#trimModal)
+   * @param {HTMLElement} list - Range list (#trimList)
+   * @param {HTMLElement} summary - Result summary (#trimSummary)
+   * @param {TrimButtons} buttons - Dialog buttons
+   */
+  init(modal, list, summary, buttons) {
+    this.modal = modal;
+    this.list = list;
+    this.summary = summary;
+    this.buttons = buttons;
+    if (!modal || !list || !buttons) return;
+
+    buttons.head?.addEventListener('click', () =>
+      this.addRow(0, this.clampTime(this.getCurrentTime()))
+    );
+    buttons.tail?.addEventListener('click', () =>
+      this.addRow(this.clampTime(this.getCurrentTime()), this.duration)
+    );
+    buttons.add?.addEventListener('click', () => {
+      const start = this.clampTime(this.getCurrentTime());
+      this.addRow(start, this.clampTime(start + NEW_CUT_LENGTH));
+    });
+    list.addEventListener('input', () => this.update());
+  }
+
+  /**
+   * Show the dialog
+   * @param {{ duration: number, getCurrentTime: () => number }} opts - Media duration and playhead
+   * @returns {Promise<import('../modules/mediaCuts.js').TimeRange[]|null>} Ranges to remove
+   */
+  open({ duration, getCurrentTime }) {
+    if (this.isOpen || !this.modal || !this.list || !this.buttons || !(duration > 0)) {
+      return Promise.resolve(null);
+    }
+    this.isOpen = true;
+    this.duration = duration;
+    this.getCurrentTime = getCurrentTime;
+    this.list.innerHTML = '';
+    this.update();
+
+    const { apply, cancel } = this.buttons;
+    return new Promise((resolve) => {
+      const finish = (cuts) => {
+        this.modal.classList.remove('visible');
+        this.modal.removeEventListener('click', onOverlay);
+        apply.removeEventListener('click', onApply);
+        cancel?.removeEventListener('click', onCancel);
+        document.removeEventListener('keydown', onEscape, true);
+        this.list.innerHTML = '';
+        this.isOpen = false;
+        resolve(cuts);
+      };
+      const onApply = () => {
+        const cuts = this.readCuts();
+        if (cuts && cuts.length) finish(cuts);
+      };
+      const onCancel = () => finish(null);
+      const onOverlay = (e) => {
+        if (e.target === this.modal) finish(null);
+      };
+      const onEscape = (e) => {
+        if (e.key === 'Escape') {
+          e.preventDefault();
+          finish(null);
+        }
+      };
+
+      this.modal.addEventListener('click', onOverlay);
+      apply.addEventListener('click', onApply);
+      cancel?.addEventListener('click', onCancel);
+      document.addEventListener('keydown', onEscape, true);
+      this.modal.classList.add('visible');
+    });
+  }
+
+  /**
+   * Internal: keep a time inside the media
+   * @param {number} t - Seconds
+   * @returns {number} Clamped seconds
+   */
+  clampTime(t) {
+    return Math.min(this.duration, Math.max(0, Number(t) || 0));
+  }
+
+  /**
+   * Internal: append a range row
+   * @param {number} start - Range start (seconds)
+   * @param {number} end - Range end (seconds)
+   */
+  addRow(start, end) {
+    const item = document.createElement('li');
+    item.className = 'trim-row';
+
+    const field = (label, value) => {
+      const input = document.createElement('input');
+      input.type = 'text';
+      input.value = formatTime(value);
+      input.setAttribute('aria-label', label);
+      const fromPlayhead = document.createElement('button');
+      fromPlayhead.title = `Set ${label.toLowerCase()} to the player position`;
+      fromPlayhead.innerHTML = '<i class="fa-solid fa-location-crosshairs"></i>';
+      fromPlayhead.addEventListener('click', () => {
+        input.value = formatTime(this.clampTime(this.getCurrentTime()));
+        this.update();
+      });
+      return [input, fromPlayhead];
+    };
+
+    const [startInput, startBtn] = field('From', start);
+    const [endInput, endBtn] = field('To', end);
+    startInput.dataset.field = 'start';
+    endInput.dataset.field = 'end';
+
+    const removeBtn = document.createElement('button');
+    removeBtn.title = 'Keep this part';
+    removeBtn.innerHTML = '<i class="fa-solid fa-xmark"></i>';
+    removeBtn.addEventListener('click', () => {
+      item.remove();
+      this.update();
+    });
+
+    const to = document.createElement('span');
+    to.textContent = 'to';
+    item.append(startInput, startBtn, to, endInput, endBtn, removeBtn);
+    this.list.appendChild(item);
+    this.update();
+  }
+
+  /**
+   * Internal: ranges entered in the rows
+   * @returns {import('../modules/mediaCuts.js').TimeRange[]|null} Normalized cuts, or null when a row is invalid
+   */
+  readCuts() {
+    let valid = true;
+    const ranges = Array.from(this.list.querySelectorAll('.trim-row')).map((row) => {
+      const start = parseTime(row.querySelector('[data-field="start"]').value);
+      const end = parseTime(row.querySelector('[data-field="end"]').value);
+      const ok = start !== null && end !== null && end > start && start < this.duration;
+      row.classList.toggle('invalid', !ok);
+      if (!ok) valid = false;
+      return { start: start ?? 0, end: end ?? 0 };
+    });
+    return valid ? normalizeCuts(ranges, this.duration) : null;
+  }
+
+  /**
+   * Internal: refresh the summary and the Cut button
+   */
+  update() {
+    const cuts = this.readCuts();
+    const kept = cuts ? keepSegments(cuts, this.duration) : [];
+    const removed = cuts ? cuts.reduce((sum, c) => sum + (c.end - c.start), 0) : 0;
+    const length = kept.reduce((sum, s) => sum + (s.end - s.start), 0);
+    const usable = Boolean(cuts && cuts.length && kept.length);
+
+    if (this.buttons?.apply) this.buttons.apply.disabled = !usable;
+    if (!this.summary) return;
+    if (!cuts) this.summary.textContent = 'Fix the highlighted ranges.';
+    else if (!cuts.length) this.summary.textContent = 'Add the parts to remove.';
+    else if (!kept.length) this.summary.textContent = 'Nothing of the recording would remain.';
+    else {
+      this.summary.textContent = `Removes ${formatTime(removed)}; the recording becomes ${formatTime(length)} long.`;
+    }
+  }
+}
+
+// Create a singleton instance
+export const trimDialog = new TrimDialog();
@@ -0,0 +1,270 @@
+/**
+ * @file Waveform timeline
+ * Draws the recording's waveform under the player with the note timestamps overlaid.
+ * Clicking seeks the player; the zoom buttons and Ctrl/Cmd+wheel zoom in around the view center.
+ *
+ * =====================
+ * Public API Surface
+ * =====================
+ * Methods:
+ *   - init(elements: { wrapper, scroller, canvas, zoomInBtn, zoomOutBtn }, handlers: { onSeek }): void
+ *       Stores DOM references for the static timeline in index.html and wires events.
+ *   - setPeaks(peaks: WaveformPeaks|null): void
+ *       Replaces the waveform (null hides the timeline).
+ *   - getPeaks(): WaveformPeaks|null
+ *       Current peaks (saved as waveform.json).
+ *   - setTimestamps(times: number[]): void
+ *       Note timestamp positions (seconds) drawn over the waveform.
+ *   - setPlayhead(seconds: number): void
+ *       Moves the playhead, scrolling it into view when zoomed in.
+ *   - setZoom(zoom: number): void
+ *       Horizontal zoom factor (1 = whole recording fits the width).
+ *
+ * Internal helpers are marked 'Internal'.
+ */
+
+/**
+ * =====================
+ * Module Contract
+ * =====================
+ * Inputs:
+ *   - Peaks (extractPeaks() result, load-session), note timestamps, player time updates
+ *   - User clicks (seek), zoom buttons and Ctrl/Cmd+wheel
+ * Outputs:
+ *   - handlers.onSeek(seconds) for clicks on the waveform
+ * Side-effects:
+ *   - Resizes and redraws the canvas; toggles the wrapper's hidden attribute
+ * Invariants:
+ *   - The timeline is visible only while peaks exist
+ *   - Column min/max values are cached per canvas width, so playhead updates only repaint
+ * Failure Modes:
+ *   - Missing DOM references or no 2D context (e.g. tests): drawing becomes a no-op
+ */
+
+import { CONFIG } from '../config.js';
+import { peaksDuration } from '../modules/waveform.js';
+
+// Browsers reject canvases wider than this many device pixels
+const MAX_CANVAS_WIDTH = 32767;
+
+/**
+ * Zoomable waveform with click-to-seek
+ */
+export class WaveformTimeline {
+  constructor() {
+    this.wrapper = null;
+    this.scroller = null;
+    this.canvas = null;
+    this.handlers = { onSeek: () => {} };
+    this.peaks = null;
+    this.timestamps = [];
+    this.playheadTime = 0;
+    this.zoom = 1;
+    this.columns = null; // { width, min: Int8Array, max: Int8Array }
+  }
+
+  /**
+   * Initialize with DOM references and handlers
+   * @param {{ wrapper: HTMLElement, scroller: HTMLElement, canvas: HTMLCanvasElement, zoomInBtn: HTMLElement, zoomOutBtn: HTMLElement }} elements - Timeline elements
+   * @param {{ onSeek: (seconds: number) => void }} handlers - Click handler
+   */
+  init(elements, handlers) {
+    this.wrapper = elements.wrapper;
+    this.scroller = elements.scroller;
+    this.canvas = elements.canvas;
+    this.handlers = { ...this.handlers, ...handlers };
+
+    this.canvas?.addEventListener('click', (e) => {
+      if (!this.peaks) return;
+      const width = this.canvas.clientWidth || 1;
+      this.handlers.onSeek((e.offsetX / width) * peaksDuration(this.peaks));
+    });
+    this.scroller?.addEventListener(
+      'wheel',
+      (e) => {
+        if (!(e.ctrlKey || e.metaKey)) return;
+        e.preventDefault();
+        this.setZoom(e.deltaY < 0 ? this.zoom * 2 : this.zoom / 2);
+      },
+      { passive: false }
+    );
+    elements.zoomInBtn?.addEventListener('click', () => this.setZoom(this.zoom * 2));
+    elements.zoomOutBtn?.addEventListener('click', () => this.setZoom(this.zoom / 2));
+    window.addEventListener('resize', () => this.render());
+
+    this.updateVisibility();
+  }
+
+  /**
+   * Replace the waveform
+   * @param {import('../../types/global').WaveformPeaks|null} peaks - Peaks or null
+   */
+  setPeaks(peaks) {
+    this.peaks = peaks && peaks.length > 0 ? peaks : null;
+    this.columns = null;
+    this.zoom = 1;
+    this.updateVisibility();
+    this.render();
+  }
+
+  /**
+   * Current peaks
+   * @returns {import('../../types/global').WaveformPeaks|null} Peaks or null
+   */
+  getPeaks() {
+    return this.peaks;
+  }
+
+  /**
+   * Set note timestamp positions
+   * @param {number[]} times - Seconds
+   */
+  setTimestamps(times) {
+    const next = times.filter((t) => Number.isFinite(t));
+    if (next.length === this.timestamps.length && next.every((t, i) => t === this.timestamps[i])) {
+      return;
+    }
+    this.timestamps = next;
+    this.draw();
+  }
+
+  /**
+   * Move the playhead
+   * @param {number} seconds - Player time
+   */
+  setPlayhead(seconds) {
+    this.playheadTime = Math.max(0, Number(seconds) || 0);
+    if (!this.peaks) return;
+    this.scrollIntoView(this.playheadTime);
+    this.draw();
+  }
+
+  /**
+   * Set the zoom factor, keeping the time at the view center in place
+   * @param {number} zoom - 1 (fit) .. CONFIG.WAVEFORM.MAX_ZOOM
+   */
+  setZoom(zoom) {
+    const next = Math.min(CONFIG.WAVEFORM.MAX_ZOOM, Math.max(1, zoom));
+    if (next === this.zoom || !this.peaks || !this.scroller) {
+      this.zoom = next;
+      return;
+    }
+    const oldWidth = this.canvas.clientWidth || 1;
+    const center = (this.scroller.scrollLeft + this.scroller.clientWidth / 2) / oldWidth;
+    this.zoom = next;
+    this.render();
+    this.scroller.scrollLeft = center * this.cssWidth() - this.scroller.clientWidth / 2;
+  }
+
+  /**
+   * Internal: canvas width in CSS pixels for the current zoom
+   * @returns {number} Width
+   */
+  cssWidth() {
+    return Math.max(1, Math.round((this.scroller?.clientWidth || 0) * this.zoom));
+  }
+
+  /**
+   * Internal: horizontally scroll so a time is visible
+   * @param {number} seconds - Time to reveal
+   */
+  scrollIntoView(seconds) {
+    if (!this.scroller || this.zoom === 1) return;
+    const x = (seconds / peaksDuration(this.peaks)) * this.cssWidth();
+    const { scrollLeft, clientWidth } = this.scroller;
+    if (x < scrollLeft || x > scrollLeft + clientWidth) {
+      this.scroller.scrollLeft = x - clientWidth * 0.1;
+    }
+  }
+
+  /**
+   * Internal: resize the canvas for the current zoom and redraw
+   */
+  render() {
+    if (!this.canvas || !this.scroller || !this.peaks) return;
+    const width = this.cssWidth();
+    const height = CONFIG.WAVEFORM.HEIGHT;
+    const ratio = Math.min(window.devicePixelRatio || 1, MAX_CANVAS_WIDTH / width);
+
+    this.canvas.style.width = `${width}px`;
+    this.canvas.style.height = `${height}px`;
+    this.canvas.width = Math.floor(width * ratio);
+    this.canvas.height = Math.floor(height * ratio);
+    this.draw();
+  }
+
+  /**
+   * Internal: min/max per canvas column (cached per width)
+   * @param {number} width - Canvas width in CSS pixels
+   * @returns {{ width: number, min: Int8Array, max: Int8Array }} Columns
+   */
+  getColumns(width) {
+    if (this.columns && this.columns.width === width) return this.columns;
+    const { data, length } = this.peaks;
+    const min = new Int8Array(width);
+    const max = new Int8Array(width);
+    for (let x = 0; x < width; x++) {
+      const start = Math.floor((x * length) / width);
+      const end = Math.max(start + 1, Math.floor(((x + 1) * length) / width));
+      let lo = 0;
+      let hi = 0;
+      for (let i = start; i < end && i < length; i++) {
+        if (data[i * 2] < lo) lo = data[i * 2];
+        if (data[i * 2 + 1] > hi) hi = data[i * 2 + 1];
+      }
+      min[x] = lo;
+      max[x] = hi;
+    }
+    this.columns = { width, min, max };
+    return this.columns;
+  }
+
+  /**
+   * Internal: paint waveform, timestamps and playhead
+   */
+  draw() {
+    const ctx = this.canvas && this.peaks ? this.canvas.getContext('2d') : null;
+    if (!ctx) return;
+    const { WAVE_COLOR, PLAYED_COLOR, TIMESTAMP_COLOR, PLAYHEAD_COLOR, HEIGHT } = CONFIG.WAVEFORM;
+    const width = this.cssWidth();
+    const duration = peaksDuration(this.peaks);
+    const toX = (seconds) => (seconds / duration) * width;
+    const mid = HEIGHT / 2;
+    const scale = mid / 128;
+
+    ctx.setTransform(this.canvas.width / width, 0, 0, this.canvas.height / HEIGHT, 0, 0);
+    ctx.clearRect(0, 0, width, HEIGHT);
+
+    const { min, max } = this.getColumns(width);
+    const playheadX = toX(this.playheadTime);
+    for (let x = 0; x < width; x++) {
+      ctx.fillStyle = x < playheadX ? PLAYED_COLOR : WAVE_COLOR;
+      const top = mid - max[x] * scale;
+      ctx.fillRect(x, top, 1, Math.max(1, mid - min[x] * scale - top));
+    }
+
+    ctx.fillStyle = TIMESTAMP_COLOR;
+    this.timestamps.forEach((t) => {
+      const x = Math.round(toX(t));
+      ctx.fillRect(x, 0, 1, HEIGHT);
+      ctx.beginPath();
+      ctx.moveTo(x - 4, 0);
+      ctx.lineTo(x + 5, 0);
+      ctx.lineTo(x + 0.5, 6);
+      ctx.fill();
+    });
+
+    ctx.fillStyle = PLAYHEAD_COLOR;
+    ctx.fillRect(Math.round(playheadX), 0, 2, HEIGHT);
+  }
+
+  /**
+   * Internal: show the timeline while there is a waveform
+   */
+  updateVisibility() {
+    if (this.wrapper) this.wrapper.hidden = !this.peaks;
+  }
+}
+
+// Create a singleton instance
+export const waveformTimeline = new WaveformTimeline();
@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import {
+  getPreset,
+  normalizeProcessingSettings,
+  loadProcessingSettings,
+  saveProcessingSettings,
+  levelDb,
+  nextGateState,
+  nextNormalizeGain,
+} from '../src/recording/audioProcessing.js';
+
+const memoryStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+  };
+};
+
+describe('audio processing chain settings', () => {
+  it('fills missing values from the preset and clamps out-of-range ones', () => {
+    const settings = normalizeProcessingSettings({
+      preset: 'custom',
+      highpass: { enabled: true, frequency: 5000 },
+      compressor: { ratio: 'loud' },
+    });
+    expect(settings.preset).toBe('custom');
+    expect(settings.highpass).toEqual({ enabled: true, frequency: 300 });
+    expect(settings.compressor.ratio).toBe(getPreset('raw').compressor.ratio);
+    expect(normalizeProcessingSettings({ preset: 'bogus' })).toEqual(getPreset('raw'));
+    expect(normalizeProcessingSettings({ preset: 'lecture' })).toEqual(getPreset('lecture'));
+  });
+
+  it('persists settings and ignores corrupt storage', () => {
+    const storage = memoryStorage();
+    expect(loadProcessingSettings(storage)).toEqual(getPreset('raw'));
+    saveProcessingSettings(storage, getPreset('voice'));
+    expect(loadProcessingSettings(storage)).toEqual(getPreset('voice'));
+
+    storage.setItem('nt_audio_processing', '{not json');
+    expect(loadProcessingSettings(storage)).toEqual(getPreset('raw'));
+  });
+});
+
+describe('audio processing control loop', () => {
+  it('measures RMS level in dBFS', () => {
+    expect(levelDb(new Float32Array(128).fill(0.5))).toBeCloseTo(-6.02, 2);
+    expect(levelDb(new Float32Array(128))).toBe(-100);
+  });
+
+  it('keeps the gate open through short pauses', () => {
+    const gate = { enabled: true, threshold: -50 };
+    let state = nextGateState({ open: false, lastAbove: 0 }, -40, gate, 1000);
+    expect(state).toEqual({ open: true, lastAbove: 1000 });
+    // Just under the threshold (hysteresis) and shortly after speech (hold): still open
+    expect(nextGateState(state, -53, gate, 5000).open).toBe(true);
+    expect(nextGateState(state, -70, gate, 1100).open).toBe(true);
+    state = nextGateState(state, -70, gate, 1300);
+    expect(state.open).toBe(false);
+    expect(nextGateState(state, -53, gate, 1400).open).toBe(false);
+    expect(nextGateState(state, -70, { ...gate, enabled: false }, 1400).open).toBe(true);
+  });
+
+  it('moves the loudness gain towards the target without boosting silence', () => {
+    const normalize = { enabled: true, target: -20 };
+    expect(nextNormalizeGain(0, -30, normalize)).toBeCloseTo(0.5);
+    expect(nextNormalizeGain(19, -80, normalize)).toBe(19);
+    // Boost is capped at NORMALIZE_MAX_BOOST
+    let gain = 0;
+    for (let i = 0; i < 500; i++) gain = nextNormalizeGain(gain, -55, normalize);
+    expect(gain).toBeCloseTo(20, 3);
+    expect(nextNormalizeGain(12, -30, { ...normalize, enabled: false })).toBe(0);
+  });
+});
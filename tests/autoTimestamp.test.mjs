@@ -0,0 +1,95 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach } from 'vitest';
+import Quill from 'quill';
+import { CONFIG } from '../src/config.js';
+
+globalThis.Quill = Quill;
+const { registerCustomBlots } = await import('../src/editor/customBlots.js');
+const { AutoTimestamp, normalizeAutoTimestampSettings, loadAutoTimestampSettings } =
+  await import('../src/editor/autoTimestamp.js');
+
+registerCustomBlots();
+
+describe('autoTimestamp settings', () => {
+  it('normalizes settings and ignores corrupt storage', () => {
+    expect(normalizeAutoTimestampSettings({ enabled: true, minGap: '10' })).toEqual({
+      enabled: true,
+      minGap: 10,
+    });
+    expect(normalizeAutoTimestampSettings({ minGap: -1 })).toEqual({
+      enabled: false,
+      minGap: CONFIG.EDITOR.AUTO_TIMESTAMP_DEFAULT_GAP,
+    });
+    expect(loadAutoTimestampSettings({ getItem: () => '{oops' })).toEqual(
+      normalizeAutoTimestampSettings(null)
+    );
+  });
+});
+
+describe('AutoTimestamp', () => {
+  let quill;
+  let auto;
+  let time;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="editor"></div>';
+    quill = new Quill('#editor', { formats: ['timestamp', 'list'] });
+    quill.setContents([{ insert: 'Intro\n' }]);
+    time = 12;
+    auto = new AutoTimestamp();
+    auto.init(quill, {
+      getTime: () => time,
+      createStamp: (t) => ({ ts: t - 1, label: `at ${t - 1}`, raw: t }),
+    });
+    auto.setSettings({ enabled: true, minGap: 5 });
+  });
+
+  /**
+   * Press Enter at the end of the document and type text on the new line
+   * @param {string} text - Typed text (first character, then the rest)
+   */
+  function newLine(text) {
+    const end = quill.getLength() - 1;
+    quill.insertText(end, '\n', 'user');
+    quill.insertText(end + 1, text[0], 'user');
+    // Keep typing at the end of the line (after the stamp, if one was added)
+    if (text.length > 1) quill.insertText(quill.getLength() - 1, text.slice(1), 'user');
+  }
+
+  it('stamps a new line with the time its first character was typed', () => {
+    newLine('Hello');
+    expect(quill.getContents().ops).toEqual([
+      { insert: 'Intro\n' },
+      { insert: { timestamp: { ts: 11, label: 'at 11', raw: 12 } } },
+      { insert: ' Hello\n' },
+    ]);
+  });
+
+  it('keeps the minimum gap between automatic stamps', () => {
+    newLine('One');
+    time = 14;
+    newLine('Two');
+    time = 20;
+    newLine('Three');
+    const stamps = quill.getContents().ops.filter((op) => op.insert.timestamp);
+    expect(stamps.map((op) => op.insert.timestamp.raw)).toEqual([12, 20]);
+  });
+
+  it('does nothing when off, when time is not running, or for pasted lines', () => {
+    auto.setSettings({ enabled: false, minGap: 0 });
+    newLine('Off');
+    auto.setSettings({ enabled: true, minGap: 0 });
+    time = null;
+    newLine('Paused');
+    time = 30;
+    quill.insertText(quill.getLength() - 1, '\nPasted', 'user');
+    expect(quill.getContents().ops.some((op) => op.insert.timestamp)).toBe(false);
+  });
+
+  it('leaves lines that already have content alone', () => {
+    // Enter at the start of "Intro" moves it to the new line
+    quill.insertText(0, '\n', 'user');
+    quill.insertText(1, 'x', 'user');
+    expect(quill.getContents().ops.some((op) => op.insert.timestamp)).toBe(false);
+  });
+});
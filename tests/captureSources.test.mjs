@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+  listCaptureSources,
+  getScreenAccess,
+  createDisplayMediaHandler,
+} from '../src/main-process/captureSources.js';
+
+const image = (dataUrl) => ({
+  isEmpty: () => !dataUrl,
+  toDataURL: () => dataUrl,
+});
+
+describe('captureSources', () => {
+  it('lists screens before windows and leaves out our own window', async () => {
+    let requested = null;
+    const capturer = {
+      getSources: async (opts) => {
+        requested = opts;
+        return [
+          { id: 'window:1:0', name: 'Slides', thumbnail: image('data:image/png;base64,AA') },
+          { id: 'window:2:0', name: 'Note Timestamper', thumbnail: image('data:x') },
+          { id: 'screen:0:0', name: '', thumbnail: image('') },
+          { id: 'window:3:0', name: '', thumbnail: image('') },
+        ];
+      },
+    };
+
+    const sources = await listCaptureSources(capturer, { excludeId: 'window:2:0' });
+
+    expect(requested.types).toEqual(['screen', 'window']);
+    expect(sources).toEqual([
+      { id: 'screen:0:0', name: 'Screen 1', kind: 'screen', thumbnail: null },
+      {
+        id: 'window:1:0',
+        name: 'Slides',
+        kind: 'window',
+        thumbnail: 'data:image/png;base64,AA',
+      },
+      { id: 'window:3:0', name: 'Untitled window', kind: 'window', thumbnail: null },
+    ]);
+  });
+
+  it('reports screen recording access only on macOS', () => {
+    const prefs = { getMediaAccessStatus: (type) => (type === 'screen' ? 'denied' : 'granted') };
+    expect(getScreenAccess('darwin', prefs)).toBe('denied');
+    expect(getScreenAccess('win32', prefs)).toBe('granted');
+    const broken = {
+      getMediaAccessStatus: () => {
+        throw new Error('unsupported');
+      },
+    };
+    expect(getScreenAccess('darwin', broken)).toBe('unknown');
+  });
+
+  it('grants system audio only to our own pages, with loopback on Windows', async () => {
+    const screen = { id: 'screen:0:0', name: 'Entire screen' };
+    const capturer = { getSources: async () => [screen] };
+    const request = (handler, securityOrigin) =>
+      new Promise((resolve) => handler({ securityOrigin }, resolve));
+
+    expect(await request(createDisplayMediaHandler(capturer, 'win32'), 'file://')).toEqual({
+      video: screen,
+      audio: 'loopback',
+    });
+    expect(await request(createDisplayMediaHandler(capturer, 'darwin'), 'file://')).toEqual({
+      video: screen,
+    });
+    expect(
+      await request(createDisplayMediaHandler(capturer, 'win32'), 'https://example.com')
+    ).toEqual({});
+
+    const empty = { getSources: async () => [] };
+    expect(await request(createDisplayMediaHandler(empty, 'win32'), 'file://')).toEqual({});
+  });
+});
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import {
+  computeLayout,
+  getPipRect,
+  resolveLayout,
+  toCanvasPoint,
+} from '../src/recording/compositor.js';
+
+const canvas = { width: 1280, height: 720 };
+const sources = { screen: { width: 1920, height: 1080 }, camera: { width: 640, height: 480 } };
+
+describe('video compositor', () => {
+  it('places the camera overlay in the preset corner, or where it was dragged', () => {
+    expect(computeLayout('pip-br', canvas, sources)).toEqual([
+      { source: 'screen', x: 0, y: 0, width: 1280, height: 720 },
+      { source: 'camera', x: 928, y: 448, width: 320, height: 240 },
+    ]);
+    expect(getPipRect('pip-tl', canvas, sources)).toEqual({
+      x: 32,
+      y: 32,
+      width: 320,
+      height: 240,
+    });
+
+    // Dragged past the edge: clamped inside the canvas
+    const dragged = { scale: 0.25, position: { x: 0.9, y: 0.9 } };
+    expect(getPipRect('pip-tl', canvas, sources, dragged)).toEqual({
+      x: 960,
+      y: 480,
+      width: 320,
+      height: 240,
+    });
+    expect(getPipRect('side-by-side', canvas, sources)).toBeNull();
+  });
+
+  it('letterboxes both sources side by side', () => {
+    expect(computeLayout('side-by-side', canvas, sources)).toEqual([
+      { source: 'screen', x: 0, y: 180, width: 640, height: 360 },
+      { source: 'camera', x: 640, y: 120, width: 640, height: 480 },
+    ]);
+  });
+
+  it('falls back to the source that is available', () => {
+    expect(resolveLayout('pip-br', { camera: true, screen: false })).toBe('camera');
+    expect(resolveLayout('side-by-side', { camera: false, screen: true })).toBe('screen');
+    expect(resolveLayout('screen', { camera: true, screen: false })).toBe('camera');
+    expect(resolveLayout('bogus', { camera: true, screen: true })).toBe('camera');
+    expect(computeLayout('pip-br', canvas, { camera: sources.camera })).toEqual([
+      { source: 'camera', x: 160, y: 0, width: 960, height: 720 },
+    ]);
+    expect(computeLayout('camera', canvas, {})).toEqual([]);
+  });
+
+  it('maps preview points to canvas pixels', () => {
+    const element = { width: 640, height: 480 };
+    expect(toCanvasPoint({ x: 320, y: 240 }, element, canvas)).toEqual({ x: 640, y: 360 });
+    expect(toCanvasPoint({ x: 10, y: 10 }, element, canvas)).toBeNull();
+  });
+});
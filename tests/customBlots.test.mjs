@@ -22,6 +22,62 @@ describe('TimestampBlot', () => {
     const value = TimestampBlot.value(node);
     expect(value.ts).toBe(12.34);
     expect(value.label).toBe(formatTime(12.34));
+    expect(value).not.toHaveProperty('segment');
+  });
+
+  it('keeps the recording segment a timestamp refers to', () => {
+    const TimestampBlot = Quill.import('formats/timestamp');
+    const node = TimestampBlot.create({ ts: 5, label: '00:05.00', segment: 'seg-2' });
+    expect(node.dataset.segment).toBe('seg-2');
+    expect(TimestampBlot.value(node)).toEqual({ ts: 5, label: '00:05.00', segment: 'seg-2' });
+  });
+
+  it('keeps the time before the lead-in offset', () => {
+    const TimestampBlot = Quill.import('formats/timestamp');
+    const node = TimestampBlot.create({ ts: 7, label: '00:07.00', raw: 10 });
+    expect(node.dataset.raw).toBe('10');
+    expect(TimestampBlot.value(node)).toEqual({ ts: 7, label: '00:07.00', raw: 10 });
+  });
+
+  it('drops Quill embed guard characters from labels', () => {
+    const TimestampBlot = Quill.import('formats/timestamp');
+    const node = TimestampBlot.create({ ts: 5, label: '\uFEFF00:05.00\uFEFF' });
+    expect(node.textContent).toBe('00:05.00');
+    node.textContent = '\uFEFF00:05.00\uFEFF';
+    expect(TimestampBlot.value(node).label).toBe('00:05.00');
+  });
+});
+
+describe('TimestampRangeBlot', () => {
+  it('creates a range button and derives value', () => {
+    const RangeBlot = Quill.import('formats/timestampRange');
+    const node = RangeBlot.create({
+      start: 723,
+      end: 880,
+      label: '',
+      loop: true,
+      segment: 'seg-2',
+    });
+    expect(node.tagName).toBe('BUTTON');
+    expect(node.classList.contains('ts-range')).toBe(true);
+    expect(node.textContent).toBe('12:03.00–14:40.00');
+    expect(RangeBlot.value(node)).toEqual({
+      start: 723,
+      end: 880,
+      label: '12:03.00–14:40.00',
+      loop: true,
+      segment: 'seg-2',
+    });
+  });
+
+  it('keeps a range without a valid end open', () => {
+    const RangeBlot = Quill.import('formats/timestampRange');
+    const open = RangeBlot.create({ start: 5, end: null });
+    expect(open.dataset.end).toBeUndefined();
+    expect(RangeBlot.value(open)).toEqual({ start: 5, end: null, label: '00:05.00–…' });
+
+    const backwards = RangeBlot.create({ start: 10, end: 4, label: 'Answer' });
+    expect(RangeBlot.value(backwards)).toEqual({ start: 10, end: null, label: 'Answer' });
   });
 });
 
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import {
+  MEDIA_BASE64_PLACEHOLDER,
+  writeHtmlWithEmbeddedMedia,
+} from '../src/main-process/embeddedHtmlWriter.js';
+
+// Read chunk size of the writer
+const CHUNK = 64 * 1024;
+
+describe('embeddedHtmlWriter', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nt-embed-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it.each([1, 2, 4, CHUNK - 1, CHUNK, CHUNK + 1, 3 * CHUNK + 2])(
+    'matches Buffer base64 for %i bytes',
+    async (size) => {
+      const media = Buffer.alloc(size);
+      for (let i = 0; i < size; i++) media[i] = (i * 31 + 7) & 0xff;
+      const mediaPath = path.join(dir, 'media.webm');
+      const outPath = path.join(dir, 'export.html');
+      fs.writeFileSync(mediaPath, media);
+
+      const html = `<video src="data:video/webm;base64,${MEDIA_BASE64_PLACEHOLDER}"></video>`;
+      await writeHtmlWithEmbeddedMedia(outPath, html, mediaPath);
+
+      expect(fs.readFileSync(outPath, 'utf-8')).toBe(
+        `<video src="data:video/webm;base64,${media.toString('base64')}"></video>`
+      );
+    }
+  );
+
+  it('replaces only the last placeholder and needs one', async () => {
+    const mediaPath = path.join(dir, 'media.webm');
+    const outPath = path.join(dir, 'export.html');
+    fs.writeFileSync(mediaPath, Buffer.from('abcd'));
+
+    await writeHtmlWithEmbeddedMedia(
+      outPath,
+      `<p>${MEDIA_BASE64_PLACEHOLDER}</p>${MEDIA_BASE64_PLACEHOLDER}`,
+      mediaPath
+    );
+    expect(fs.readFileSync(outPath, 'utf-8')).toBe(`<p>${MEDIA_BASE64_PLACEHOLDER}</p>YWJjZA==`);
+    await expect(writeHtmlWithEmbeddedMedia(outPath, '<p></p>', mediaPath)).rejects.toThrow(
+      /placeholder/
+    );
+  });
+});
@@ -160,6 +160,161 @@ describe('exportSystem', () => {
     });
   });
 
+  describe('subtitle export', () => {
+    const ops = [
+      { insert: { timestamp: { ts: 65.5, label: '01:05.50' } } },
+      { insert: ' Second <topic> & more\n' },
+      { insert: { timestamp: { ts: 0, label: '00:00.00' } } },
+      { insert: '\nIntro on the next line\nNot part of the title\n' },
+      { insert: { timestamp: { ts: 3725, label: '62:05.00' } } },
+      { insert: '\n' },
+    ];
+
+    it('collects cues sorted by time with following text as title', () => {
+      const cues = exportSys.collectTimestampCues(ops, 4000);
+      expect(cues).toEqual([
+        { start: 0, end: 65.5, title: 'Intro on the next line' },
+        { start: 65.5, end: 3725, title: 'Second <topic> & more' },
+        { start: 3725, end: 4000, title: '62:05.00' },
+      ]);
+    });
+
+    it('ends the last cue a fixed time after its start when duration is unknown', () => {
+      const cues = exportSys.collectTimestampCues(ops);
+      expect(cues.at(-1)).toMatchObject({ start: 3725, end: 3730 });
+      expect(exportSys.collectTimestampCues([{ insert: 'no timestamps\n' }])).toEqual([]);
+    });
+
+    it('starts a cue at each timestamp range', () => {
+      const cues = exportSys.collectTimestampCues(
+        [
+          { insert: { timestampRange: { start: 10, end: 20, loop: false, label: 'Clip' } } },
+          { insert: ' Demo\n' },
+          { insert: { timestampRange: { start: 30, end: null, loop: false, label: 'Open' } } },
+          { insert: '\n' },
+        ],
+        50
+      );
+      expect(cues).toEqual([
+        { start: 10, end: 30, title: 'Demo' },
+        { start: 30, end: 50, title: '00:30.00' },
+      ]);
+    });
+
+    it('serializes WebVTT chapters, SRT and a chapter list', () => {
+      const cues = exportSys.collectTimestampCues(ops, 4000);
+
+      const vtt = exportSys.generateWebVTTChapters(cues);
+      expect(vtt.startsWith('WEBVTT\n\n1\n00:00:00.000 --> 00:01:05.500\n')).toBe(true);
+      expect(vtt).toContain('Second &lt;topic&gt; &amp; more');
+
+      const srt = exportSys.generateSrt(cues);
+      expect(srt).toContain('2\n00:01:05,500 --> 01:02:05,000\nSecond <topic> & more\n');
+
+      expect(exportSys.generateChapterList(cues)).toBe(
+        '00:00 Intro on the next line\n01:05 Second <topic> & more\n1:02:05 62:05.00\n'
+      );
+    });
+  });
+
+  describe('PDF export', () => {
+    const notes =
+      '<p><button class="ts" data-ts="12.5">\uFEFF00:12.50\uFEFF</button> Intro</p>' +
+      '<p><button class="ts" data-ts="30">00:30.00</button> Later</p>';
+
+    it('replaces timestamp buttons with labels and available frames', () => {
+      const html = exportSys.replaceTimestampsForPrint(
+        notes,
+        new Map([[12.5, 'data:image/jpeg;base64,AAA']])
+      );
+
+      expect(html).not.toContain('<button');
+      expect(html).toContain(
+        '<span class="ts-print"><span class="ts">00:12.50</span><img class="ts-thumb" src="data:image/jpeg;base64,AAA" alt="Frame at 00:12.50"></span> Intro'
+      );
+      expect(html).toContain(
+        '<span class="ts-print"><span class="ts">00:30.00</span></span> Later'
+      );
+    });
+
+    it('prints timestamp ranges with the frame at their start', () => {
+      const html = exportSys.replaceTimestampsForPrint(
+        '<p><button class="ts-range" data-start="5" data-end="9">00:05.00–00:09.00</button> Clip</p>',
+        new Map([[5, 'data:image/jpeg;base64,BBB']])
+      );
+
+      expect(html).toContain(
+        '<span class="ts-print"><span class="ts">00:05.00–00:09.00</span><img class="ts-thumb" src="data:image/jpeg;base64,BBB" alt="Frame at 00:05.00–00:09.00"></span> Clip'
+      );
+    });
+
+    it('builds a static print document with the shared styles', () => {
+      const html = exportSys.buildPrintTemplate('<p>Notes</p>');
+
+      expect(html).toContain('<div id="notes"><p>Notes</p></div>');
+      expect(html).toContain('@page');
+      expect(html).toContain(exportSys.getSharedStyles());
+      expect(html).not.toContain('<script');
+      expect(html).not.toContain('<video');
+    });
+
+    it('skips frame capture without media or timestamps', async () => {
+      expect((await exportSys.captureTimestampFrames('', [1, 2])).size).toBe(0);
+      expect((await exportSys.captureTimestampFrames('blob:x', [])).size).toBe(0);
+    });
+  });
+
+  describe('sessions with several recordings', () => {
+    const segmented = new ExportSystem();
+    // seg-1 is played; timestamps without a segment belong to the first recording (seg-1)
+    segmented.init(null, null, (segment) => (segment || 'seg-1') === 'seg-1');
+
+    it("only turns the played recording's timestamps into cues", () => {
+      const cues = segmented.collectTimestampCues(
+        [
+          { insert: { timestamp: { ts: 5, label: '00:05.00', segment: 'seg-1' } } },
+          { insert: ' Welcome\n' },
+          { insert: { timestamp: { ts: 2, label: '00:02.00', segment: 'seg-2' } } },
+          { insert: ' Part two\n' },
+          { insert: { timestamp: { ts: 40, label: '00:40.00' } } },
+          { insert: '\n' },
+        ],
+        60
+      );
+      expect(cues).toEqual([
+        { start: 5, end: 40, title: 'Welcome' },
+        { start: 40, end: 60, title: '00:40.00' },
+      ]);
+    });
+
+    it('unlinks timestamps of other recordings in HTML exports', () => {
+      const html = segmented.unlinkOtherSegmentTimestamps(
+        '<p><button class="ts" data-ts="5" data-segment="seg-1">00:05.00</button> A</p>' +
+          '<p><button class="ts" data-ts="2" data-segment="seg-2">\uFEFF00:02.00\uFEFF</button> B</p>' +
+          '<p><button class="ts-range" data-start="1" data-end="3" data-segment="seg-2">Clip</button></p>'
+      );
+      expect(html).toContain(
+        '<button class="ts" data-ts="5" data-segment="seg-1">00:05.00</button>'
+      );
+      expect(html).toContain(
+        '<span class="ts-other" title="Timestamp of another recording">00:02.00</span> B'
+      );
+      expect(html).toContain(
+        '<span class="ts-other" title="Timestamp of another recording">Clip</span>'
+      );
+      expect(html).not.toContain('data-segment="seg-2"');
+    });
+
+    it("prints frames only for the played recording's timestamps", () => {
+      const html = segmented.replaceTimestampsForPrint(
+        '<p><button class="ts" data-ts="5" data-segment="seg-1">00:05.00</button></p>' +
+          '<p><button class="ts" data-ts="5" data-segment="seg-2">00:05.00</button></p>',
+        new Map([[5, 'data:image/jpeg;base64,AAA']])
+      );
+      expect(html.match(/ts-thumb/g)).toHaveLength(1);
+    });
+  });
+
   describe('buildHTMLTemplate', () => {
     it('combines all components into complete document', () => {
       const notesHtml = '<p>Notes</p>';
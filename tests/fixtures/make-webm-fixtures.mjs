@@ -0,0 +1,115 @@
+/**
+ * Regenerates the synthetic WebM fixtures used by webmFixup.test.mjs and mediaFixup.test.mjs:
+ *   node tests/fixtures/make-webm-fixtures.mjs
+ *
+ * These are not real captures. They are built here to follow the container layout of
+ * Chromium's MediaRecorder output: unknown-size Segment and Clusters, no Duration, no SeekHead
+ * and no Cues. Frame payloads are filler bytes that no decoder can play; only the container
+ * structure matters to the fixup. Audio blocks are 20 ms apart and video blocks 100 ms apart.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const dir = path.dirname(fileURLToPath(import.meta.url));
+const UNKNOWN_SIZE = [0x01, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff, 0xff];
+
+function idBytes(id) {
+  const out = [];
+  for (let v = id; v > 0; v = Math.floor(v / 256)) out.unshift(v % 256);
+  return out;
+}
+
+function sizeBytes(n) {
+  // Minimal-length vint, as MediaRecorder writes for small elements
+  for (let len = 1; len <= 8; len++) {
+    if (n < 2 ** (7 * len) - 1) {
+      const out = [];
+      for (let i = 0, v = n; i < len; i++, v = Math.floor(v / 256)) out.unshift(v % 256);
+      out[0] |= 0x80 >> (len - 1);
+      return out;
+    }
+  }
+  throw new Error('size too large');
+}
+
+const el = (id, data) => [...idBytes(id), ...sizeBytes(data.length), ...data];
+const uint = (id, v) => el(id, idBytes(v).length ? idBytes(v) : [0]);
+const str = (id, s) => el(id, [...Buffer.from(s)]);
+
+function simpleBlock(track, rel, keyframe, payloadLength) {
+  const tc = rel & 0xffff;
+  return el(0xa3, [
+    0x80 | track,
+    tc >> 8,
+    tc & 0xff,
+    keyframe ? 0x80 : 0x00,
+    ...new Array(payloadLength).fill(track),
+  ]);
+}
+
+function webm(tracks, clusterCount, clusterMs) {
+  const header = el(0x1a45dfa3, [
+    ...uint(0x4286, 1),
+    ...uint(0x42f7, 1),
+    ...uint(0x42f2, 4),
+    ...uint(0x42f3, 8),
+    ...str(0x4282, 'webm'),
+    ...uint(0x4287, 4),
+    ...uint(0x4285, 2),
+  ]);
+  const info = el(0x1549a966, [
+    ...uint(0x2ad7b1, 1000000),
+    ...str(0x4d80, 'Chrome'),
+    ...str(0x5741, 'Chrome'),
+  ]);
+  const trackEntries = el(
+    0x1654ae6b,
+    tracks.flatMap((t) =>
+      el(0xae, [
+        ...uint(0xd7, t.number),
+        ...uint(0x73c5, t.number),
+        ...uint(0x83, t.type),
+        ...str(0x86, t.codec),
+      ])
+    )
+  );
+
+  const clusters = [];
+  for (let c = 0; c < clusterCount; c++) {
+    const blocks = [];
+    for (let rel = 0; rel < clusterMs; rel += 20) {
+      for (const t of tracks) {
+        if (rel % t.frameMs) continue;
+        const keyframe = t.type !== 1 || rel === 0;
+        blocks.push(...simpleBlock(t.number, rel, keyframe, t.type === 1 ? 64 : 16));
+      }
+    }
+    clusters.push(...idBytes(0x1f43b675), ...UNKNOWN_SIZE, ...uint(0xe7, c * clusterMs), ...blocks);
+  }
+
+  return Buffer.from([
+    ...header,
+    ...idBytes(0x18538067),
+    ...UNKNOWN_SIZE,
+    ...info,
+    ...trackEntries,
+    ...clusters,
+  ]);
+}
+
+fs.writeFileSync(
+  path.join(dir, 'synthetic-av.webm'),
+  webm(
+    [
+      { number: 1, type: 2, codec: 'A_OPUS', frameMs: 20 },
+      { number: 2, type: 1, codec: 'V_VP8', frameMs: 100 },
+    ],
+    3,
+    1000
+  )
+);
+fs.writeFileSync(
+  path.join(dir, 'synthetic-audio.webm'),
+  webm([{ number: 1, type: 2, codec: 'A_OPUS', frameMs: 20 }], 2, 1000)
+);
@@ -0,0 +1,172 @@
+// @vitest-environment jsdom
+import { describe, it, expect } from 'vitest';
+import Quill from 'quill';
+import {
+  deltaToMarkdown,
+  markdownToDelta,
+  parseTimestampHref,
+  parseRangeHref,
+} from '../src/modules/markdownConverter.js';
+
+globalThis.Quill = Quill;
+const { registerCustomBlots } = await import('../src/editor/customBlots.js');
+registerCustomBlots();
+
+function createEditor() {
+  const container = document.createElement('div');
+  document.body.appendChild(container);
+  return new Quill(container, {
+    formats: [
+      'header',
+      'bold',
+      'italic',
+      'underline',
+      'strike',
+      'list',
+      'indent',
+      'link',
+      'blockquote',
+      'code-block',
+      'image',
+      'timestamp',
+      'timestampRange',
+    ],
+  });
+}
+
+const notes = [
+  { insert: 'Standup' },
+  { insert: '\n', attributes: { header: 2 } },
+  { insert: { timestamp: { ts: 83.456, label: '01:23.45' } } },
+  { insert: ' Budget is ' },
+  { insert: 'over by 5*', attributes: { bold: true } },
+  { insert: ', see ' },
+  { insert: 'sheet', attributes: { link: 'https://example.com/q3 plan' } },
+  { insert: '\n' },
+  { insert: 'First' },
+  { insert: '\n', attributes: { list: 'ordered' } },
+  { insert: 'Detail' },
+  { insert: '\n', attributes: { list: 'bullet', indent: 1 } },
+  { insert: 'Second' },
+  { insert: '\n', attributes: { list: 'ordered' } },
+  { insert: 'Ship it' },
+  { insert: '\n', attributes: { list: 'unchecked' } },
+  { insert: 'npm test' },
+  { insert: '\n', attributes: { 'code-block': true } },
+  { insert: '# not a heading' },
+  { insert: '\n' },
+];
+
+describe('markdownConverter', () => {
+  it('writes CommonMark with timestamp links', () => {
+    const { markdown, images } = deltaToMarkdown(notes);
+    expect(images).toEqual([]);
+    expect(markdown).toBe(
+      [
+        '## Standup',
+        '',
+        '[01:23.45](#t=83.456) Budget is **over by 5\\***, see [sheet](<https://example.com/q3 plan>)',
+        '',
+        '1. First',
+        '    - Detail',
+        '2. Second',
+        '- [ ] Ship it',
+        '',
+        '```',
+        'npm test',
+        '```',
+        '',
+        '\\# not a heading',
+        '',
+      ].join('\n')
+    );
+  });
+
+  it('extracts data: URL images into the assets folder', () => {
+    const { markdown, images } = deltaToMarkdown(
+      [
+        { insert: 'Sketch\n' },
+        { insert: { image: { src: 'data:image/png;base64,iVBOR', fabricJSON: '{}' } } },
+        { insert: { image: 'data:image/jpeg;base64,/9j/|320x200' } },
+        { insert: { image: 'https://example.com/a.png' } },
+        { insert: '\n' },
+      ],
+      { assetsFolder: 'notes_assets' }
+    );
+    expect(markdown).toBe(
+      'Sketch\n\n![](notes_assets/image_001.png)\n\n![](notes_assets/image_002.jpg)\n\n![](https://example.com/a.png)\n'
+    );
+    expect(images.map((img) => [img.fileName, img.base64Data])).toEqual([
+      ['image_001.png', 'iVBOR'],
+      ['image_002.jpg', '/9j/'],
+    ]);
+  });
+
+  it('round-trips through markdownToDelta', () => {
+    const { markdown } = deltaToMarkdown(notes);
+    expect(markdownToDelta(markdown)).toEqual(notes);
+  });
+
+  it('imports common Markdown variants and resolves images', () => {
+    const ops = markdownToDelta(
+      'Intro line\ncontinues *here* and __bold__ ~~gone~~\n\n* [x] done\n  + nested\n\n![alt](<my notes_assets/a%20b.png>)\n> [00:05](#t=5) quoted',
+      { resolveImage: (src) => `resolved:${src}` }
+    );
+    expect(ops).toEqual([
+      { insert: 'Intro line continues ' },
+      { insert: 'here', attributes: { italic: true } },
+      { insert: ' and ' },
+      { insert: 'bold', attributes: { bold: true } },
+      { insert: ' ' },
+      { insert: 'gone', attributes: { strike: true } },
+      { insert: '\n' },
+      { insert: 'done' },
+      { insert: '\n', attributes: { list: 'checked' } },
+      { insert: 'nested' },
+      { insert: '\n', attributes: { list: 'bullet', indent: 1 } },
+      { insert: { image: 'resolved:my notes_assets/a b.png' } },
+      { insert: { timestamp: { ts: 5, label: '00:05' } } },
+      { insert: ' quoted' },
+      { insert: '\n', attributes: { blockquote: true } },
+    ]);
+    expect(parseTimestampHref('#t=12.5')).toBe(12.5);
+    expect(parseTimestampHref('#top')).toBeNull();
+  });
+
+  it('writes timestamp ranges as #t=start,end links and reads them back', () => {
+    const { markdown } = deltaToMarkdown([
+      { insert: { timestampRange: { start: 723, end: 880.5, label: 'Answer', loop: true } } },
+      { insert: ' and ' },
+      { insert: { timestampRange: { start: 5, end: null, label: '00:05.00–…' } } },
+      { insert: '\n' },
+    ]);
+    expect(markdown).toBe('[Answer](#t=723,880.5) and [00:05.00–…](#t=5)\n');
+
+    expect(markdownToDelta('[](#t=10,20) [Back](#t=20,10)')).toEqual([
+      { insert: { timestampRange: { start: 10, end: 20, label: '00:10.00–00:20.00' } } },
+      { insert: ' ' },
+      { insert: 'Back', attributes: { link: '#t=20,10' } },
+      { insert: '\n' },
+    ]);
+    expect(parseRangeHref('#t=1.5,3')).toEqual({ start: 1.5, end: 3 });
+    expect(parseRangeHref('#t=3')).toBeNull();
+
+    const quill = createEditor();
+    quill.setContents(markdownToDelta('[Answer](#t=723,880.5)\n'));
+    const button = quill.root.querySelector('button.ts-range');
+    expect(button.dataset.start).toBe('723');
+    expect(button.dataset.end).toBe('880.5');
+  });
+
+  it('produces real timestamp embeds in Quill', () => {
+    const quill = createEditor();
+    quill.setContents(markdownToDelta('Start [01:23.45](#t=83.456) note\n'));
+    const button = quill.root.querySelector('button.ts');
+    expect(button).not.toBeNull();
+    expect(button.dataset.ts).toBe('83.456');
+    expect(button.textContent).toContain('01:23.45');
+    expect(deltaToMarkdown(quill.getContents().ops).markdown).toBe(
+      'Start [01:23.45](#t=83.456) note\n'
+    );
+  });
+});
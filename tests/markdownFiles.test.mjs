@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import {
+  MARKDOWN_ASSETS_PLACEHOLDER,
+  readMarkdownImport,
+  writeMarkdownExport,
+} from '../src/main-process/markdownFiles.js';
+
+describe('markdownFiles', () => {
+  let tmp;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'nt-markdown-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it('writes the Markdown and its assets folder, then reads images back', async () => {
+    const png = Buffer.from([0x89, 0x50, 0x4e, 0x47]);
+    const markdown = `Sketch\n\n![](${MARKDOWN_ASSETS_PLACEHOLDER}/image_001.png)\n`;
+    const written = await writeMarkdownExport(path.join(tmp, 'team notes.md'), markdown, [
+      { fileName: 'image_001.png', base64Data: png.toString('base64') },
+    ]);
+
+    expect(written.assetsDir).toBe(path.join(tmp, 'team notes_assets'));
+    expect(fs.readFileSync(written.path, 'utf-8')).toBe(
+      'Sketch\n\n![](team%20notes_assets/image_001.png)\n'
+    );
+
+    const imported = await readMarkdownImport(written.path);
+    expect(imported.images).toEqual({
+      'team notes_assets/image_001.png': `data:image/png;base64,${png.toString('base64')}`,
+    });
+  });
+
+  it('skips remote, missing and out-of-folder images on import', async () => {
+    fs.writeFileSync(path.join(tmp, 'secret.png'), 'x');
+    const dir = path.join(tmp, 'wiki');
+    fs.mkdirSync(dir);
+    const file = path.join(dir, 'page.md');
+    fs.writeFileSync(
+      file,
+      '![](https://example.com/a.png) ![](missing.png) ![](../secret.png) ![](notes.txt)\n'
+    );
+
+    const { markdown, images } = await readMarkdownImport(file);
+    expect(markdown).toContain('missing.png');
+    expect(images).toEqual({});
+  });
+
+  it('does not create an assets folder without images', async () => {
+    const written = await writeMarkdownExport(path.join(tmp, 'plain'), 'Hello\n', []);
+    expect(written).toEqual({ path: path.join(tmp, 'plain.md'), assetsDir: null });
+    expect(fs.readdirSync(tmp)).toEqual(['plain.md']);
+  });
+});
@@ -0,0 +1,119 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+import { MarkerTimeline } from '../src/ui/markerTimeline.js';
+
+const schema = JSON.parse(
+  // jsdom replaces the global URL, so resolve the schema path explicitly
+  fs.readFileSync(
+    path.join(path.dirname(fileURLToPath(import.meta.url)), '../schemas/session.schema.json'),
+    'utf-8'
+  )
+);
+
+describe('markerTimeline', () => {
+  let timeline;
+  let elements;
+  let handlers;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <select id="type"></select>
+      <input id="color" type="color" />
+      <div id="track"><div id="playhead"></div></div>`;
+    elements = {
+      track: document.getElementById('track'),
+      playhead: document.getElementById('playhead'),
+      typeSelect: document.getElementById('type'),
+      colorInput: document.getElementById('color'),
+    };
+    handlers = { onSeek: vi.fn(), onChange: vi.fn() };
+    timeline = new MarkerTimeline();
+    timeline.init(elements, handlers);
+  });
+
+  it('adds markers of the selected type in time order', () => {
+    expect([...elements.typeSelect.options].map((o) => o.value)).toEqual([
+      'important',
+      'question',
+      'todo',
+      'custom',
+    ]);
+    timeline.addMarker(20, 'todo');
+    elements.typeSelect.value = 'custom';
+    elements.typeSelect.dispatchEvent(new Event('change'));
+    expect(elements.colorInput.hidden).toBe(false);
+    elements.colorInput.value = '#123456';
+    timeline.addMarker(5);
+
+    const markers = timeline.getMarkers();
+    expect(markers.map((m) => [m.time, m.type, m.color])).toEqual([
+      [5, 'custom', '#123456'],
+      [20, 'todo', undefined],
+    ]);
+    expect(handlers.onChange).toHaveBeenCalledTimes(2);
+
+    const validate = new Ajv({ strict: false }).compile(schema);
+    expect(
+      validate({
+        createdAt: new Date().toISOString(),
+        mediaFile: 'media.webm',
+        notesFile: 'notes.html',
+        version: 1,
+        markers,
+      })
+    ).toBe(true);
+  });
+
+  it('navigates to the next and previous marker', () => {
+    timeline.setMarkers([
+      { id: 'a', time: 10, type: 'important' },
+      { id: 'b', time: 30, type: 'question' },
+    ]);
+    expect(timeline.findNext(0)?.id).toBe('a');
+    expect(timeline.findNext(10)?.id).toBe('b');
+    expect(timeline.findNext(30)).toBeNull();
+    // Within the grace period of b, step back to a
+    expect(timeline.findPrevious(30.5)?.id).toBe('a');
+    expect(timeline.findPrevious(40)?.id).toBe('b');
+    expect(timeline.findPrevious(10)).toBeNull();
+  });
+
+  it('renders ticks that seek on click and are removed on right-click', () => {
+    timeline.setDuration(100);
+    timeline.setMarkers([
+      { id: 'a', time: 25, type: 'question' },
+      { id: 'b', time: 50, type: 'custom', color: '#00ff00' },
+    ]);
+    const ticks = elements.track.querySelectorAll('.marker-tick');
+    expect(ticks).toHaveLength(2);
+    expect(ticks[0].style.left).toBe('25%');
+    expect(ticks[1].style.background).toBe('rgb(0, 255, 0)');
+
+    ticks[0].click();
+    expect(handlers.onSeek).toHaveBeenCalledWith(25);
+
+    ticks[1].dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, cancelable: true }));
+    expect(timeline.getMarkers().map((m) => m.id)).toEqual(['a']);
+    expect(elements.track.querySelectorAll('.marker-tick')).toHaveLength(1);
+    expect(handlers.onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('drops invalid and duplicate markers when loading', () => {
+    timeline.setMarkers([
+      { id: 'a', time: 3, type: 'unknown', color: 'red' },
+      { id: 'a', time: 4, type: 'todo' },
+      { id: 'c', time: -1, type: 'todo' },
+      { time: 'x', type: 'todo' },
+      null,
+    ]);
+    expect(timeline.getMarkers()).toEqual([{ id: 'a', time: 3, type: 'custom', color: '#a855f7' }]);
+    expect(handlers.onChange).not.toHaveBeenCalled();
+
+    timeline.setMarkers(null);
+    expect(timeline.getMarkers()).toEqual([]);
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeCuts,
+  keepSegments,
+  mapTime,
+  planTrackCut,
+  planTimestampEdits,
+  planRangeEdits,
+  remapMarkers,
+  remapTranscript,
+  remapBoundaries,
+} from '../src/modules/mediaCuts.js';
+
+describe('mediaCuts', () => {
+  it('normalizes cuts and lists the segments to keep', () => {
+    const cuts = normalizeCuts(
+      [
+        { start: 50, end: 70 },
+        { start: -5, end: 10 },
+        { start: 60, end: 80 },
+        { start: 90, end: 90.01 },
+        { start: 95, end: 200 },
+      ],
+      100
+    );
+    expect(cuts).toEqual([
+      { start: 0, end: 10 },
+      { start: 50, end: 80 },
+      { start: 95, end: 100 },
+    ]);
+    expect(keepSegments(cuts, 100)).toEqual([
+      { start: 10, end: 50 },
+      { start: 80, end: 95 },
+    ]);
+  });
+
+  it('maps times onto the cut timeline', () => {
+    const cuts = [
+      { start: 0, end: 10 },
+      { start: 50, end: 80 },
+    ];
+    expect(mapTime(5, cuts)).toBeNull();
+    expect(mapTime(10, cuts)).toBe(0);
+    expect(mapTime(30, cuts)).toBe(20);
+    expect(mapTime(60, cuts)).toBeNull();
+    expect(mapTime(90, cuts)).toBe(50);
+  });
+
+  it('plans raw track cuts on the track timeline', () => {
+    const cuts = [
+      { start: 0, end: 10 },
+      { start: 50, end: 80 },
+    ];
+    // Track from the start: the kept parts, and it still starts at 0
+    expect(planTrackCut(cuts, 100, 0)).toEqual({
+      segments: [
+        { start: 10, end: 50 },
+        { start: 80, end: 100 },
+      ],
+      startOffset: 0,
+    });
+    // Track starting at 30: shifted onto its own timeline, offset moved like a timestamp
+    expect(planTrackCut(cuts, 100, 30)).toEqual({
+      segments: [
+        { start: 0, end: 20 },
+        { start: 50, end: 70 },
+      ],
+      startOffset: 20,
+    });
+    // Track starting inside a cut resumes where the cut was
+    expect(planTrackCut(cuts, 100, 60)).toEqual({
+      segments: [{ start: 20, end: 40 }],
+      startOffset: 40,
+    });
+    expect(planTrackCut([{ start: 40, end: 100 }], 100, 60).segments).toEqual([]);
+  });
+
+  it('plans timestamp moves and deletions in a Quill delta', () => {
+    const ops = [
+      { insert: 'Intro ' },
+      { insert: { timestamp: { ts: 5, label: '00:05.00' } } },
+      { insert: ' then ' },
+      { insert: { timestamp: { ts: 30, label: '00:30.00' } } },
+      { insert: { image: 'data:image/png;base64,' } },
+      { insert: { timestamp: { ts: 90, label: 'Q&A' } } },
+      { insert: { timestamp: { ts: 2, label: '00:02.00' } } },
+      { insert: '\n' },
+    ];
+    const cuts = [
+      { start: 0, end: 1 },
+      { start: 50, end: 80 },
+    ];
+    expect(planTimestampEdits(ops, cuts)).toEqual([
+      { index: 6, value: { ts: 4, label: '00:04.00' } },
+      { index: 13, value: { ts: 29, label: '00:29.00' } },
+      { index: 15, value: { ts: 59, label: 'Q&A' } },
+      { index: 16, value: { ts: 1, label: '00:01.00' } },
+    ]);
+    expect(planTimestampEdits(ops, [{ start: 0, end: 10 }])[0]).toEqual({ index: 6, value: null });
+  });
+
+  it('only moves timestamps of the edited segment and keeps their segment', () => {
+    const ops = [
+      { insert: { timestamp: { ts: 20, label: '00:20.00', segment: 'seg-1' } } },
+      { insert: { timestamp: { ts: 20, label: '00:20.00', segment: 'seg-2' } } },
+      { insert: '\n' },
+    ];
+    const edits = planTimestampEdits(
+      ops,
+      [{ start: 0, end: 10 }],
+      (stamp) => stamp.segment === 'seg-2'
+    );
+    expect(edits).toEqual([{ index: 1, value: { ts: 10, label: '00:10.00', segment: 'seg-2' } }]);
+  });
+
+  it('moves the time before the lead-in offset with the timestamp', () => {
+    const ops = [
+      { insert: { timestamp: { ts: 27, label: '00:27.00', raw: 30 } } },
+      { insert: { timestamp: { ts: 8, label: '00:08.00', raw: 11 } } },
+      { insert: '\n' },
+    ];
+    expect(planTimestampEdits(ops, [{ start: 10, end: 20 }])).toEqual([
+      { index: 0, value: { ts: 17, label: '00:17.00', raw: 20 } },
+      { index: 1, value: { ts: 8, label: '00:08.00', raw: 10 } },
+    ]);
+  });
+
+  it('keeps what remains of timestamp ranges', () => {
+    const ops = [
+      { insert: { timestamp: { ts: 30, label: '00:30.00' } } },
+      { insert: { timestampRange: { start: 5, end: 40, label: '00:05.00–00:40.00' } } },
+      { insert: { timestampRange: { start: 12, end: 18, label: 'Aside', loop: true } } },
+      { insert: { timestampRange: { start: 30, end: 45, label: 'Answer', segment: 'seg-2' } } },
+      { insert: { timestampRange: { start: 15, end: null, label: '00:15.00–…' } } },
+      { insert: { timestampRange: { start: 2, end: 8, label: 'Intro' } } },
+      { insert: '\n' },
+    ];
+    const cuts = [{ start: 10, end: 20 }];
+
+    expect(planRangeEdits(ops, cuts)).toEqual([
+      { index: 1, value: { start: 5, end: 30, label: '00:05.00–00:30.00' } },
+      { index: 2, value: null },
+      { index: 3, value: { start: 20, end: 35, label: 'Answer', segment: 'seg-2' } },
+      { index: 4, value: null },
+    ]);
+    expect(planRangeEdits(ops, cuts, (range) => range.segment === 'seg-2')).toHaveLength(1);
+  });
+
+  it('remaps markers and trims transcript lines', () => {
+    const cuts = [{ start: 10, end: 20 }];
+    const markers = [
+      { id: 'a', time: 5, type: 'todo' },
+      { id: 'b', time: 15, type: 'todo' },
+      { id: 'c', time: 25, type: 'todo' },
+    ];
+    expect(remapMarkers(markers, cuts).map((m) => [m.id, m.time])).toEqual([
+      ['a', 5],
+      ['c', 15],
+    ]);
+
+    const transcript = {
+      engine: 'stub',
+      segments: [
+        { start: 8, end: 12, text: 'overlaps' },
+        { start: 12, end: 18, text: 'inside' },
+        { start: 22, end: 24, text: 'after' },
+      ],
+    };
+    expect(remapTranscript(transcript, cuts).segments).toEqual([
+      { start: 8, end: 10, text: 'overlaps' },
+      { start: 12, end: 14, text: 'after' },
+    ]);
+    expect(remapTranscript(null, cuts)).toBeNull();
+  });
+
+  it('moves segment boundaries and merges segments cut away', () => {
+    expect(remapBoundaries([0, 60, 120], [{ start: 50, end: 70 }])).toEqual([0, 50, 100]);
+    expect(remapBoundaries([0, 60, 120], [{ start: 55, end: 125 }])).toEqual([0, 55]);
+    expect(remapBoundaries([0, 60], [{ start: 0, end: 60 }])).toEqual([]);
+    expect(remapBoundaries([], [{ start: 0, end: 1 }])).toEqual([]);
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import {
+  validateSegments,
+  buildCutArgs,
+  parseFfmpegTime,
+  cutMedia,
+  parseMediaInfo,
+  cutTrack,
+  validateFrameSize,
+  buildJoinArgs,
+  joinMedia,
+} from '../src/main-process/mediaCutter.js';
+
+describe('mediaCutter', () => {
+  let tmp;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'nt-cutter-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it('validates renderer segments', () => {
+    expect(validateSegments([{ start: 0, end: '2.5' }])).toEqual([{ start: 0, end: 2.5 }]);
+    expect(validateSegments([])).toBeNull();
+    expect(validateSegments(null)).toBeNull();
+    expect(validateSegments([{ start: 3, end: 2 }])).toBeNull();
+    expect(
+      validateSegments([
+        { start: 0, end: 5 },
+        { start: 4, end: 6 },
+      ])
+    ).toBeNull();
+  });
+
+  it('builds trim + concat arguments matching the container', () => {
+    const segments = [
+      { start: 0, end: 1.5 },
+      { start: 3, end: 4 },
+    ];
+    const audio = buildCutArgs({ input: 'in.webm', output: 'out.webm', segments, hasVideo: false });
+    const filter = audio[audio.indexOf('-filter_complex') + 1];
+    expect(filter).toBe(
+      '[0:a]atrim=start=0.000:end=1.500,asetpts=PTS-STARTPTS[a0];' +
+        '[0:a]atrim=start=3.000:end=4.000,asetpts=PTS-STARTPTS[a1];' +
+        '[a0][a1]concat=n=2:v=0:a=1[a]'
+    );
+    expect(audio).toContain('libopus');
+    expect(audio).not.toContain('[v]');
+    expect(audio[audio.length - 1]).toBe('out.webm');
+
+    const video = buildCutArgs({ input: 'in.mp4', output: 'out.mp4', segments, hasVideo: true });
+    expect(video[video.indexOf('-filter_complex') + 1]).toContain(
+      '[v0][a0][v1][a1]concat=n=2:v=1:a=1[v][a]'
+    );
+    expect(video).toEqual(expect.arrayContaining(['libx264', 'aac', '+faststart', '[v]']));
+  });
+
+  it('reads the last progress time from ffmpeg output', () => {
+    expect(parseFfmpegTime('frame=1 time=00:00:01.50 bitrate=1 time=00:01:02.25 speed')).toBe(
+      62.25
+    );
+    expect(parseFfmpegTime('Press [q] to stop')).toBeNull();
+  });
+
+  it('reports progress and removes the partial output on failure', async () => {
+    const output = path.join(tmp, 'out.webm');
+    const progress = [];
+    const run = async (command, args, { onStderr }) => {
+      fs.writeFileSync(args[args.length - 1], 'partial');
+      onStderr('time=00:00:02.00');
+      throw new Error('ffmpeg exited with code 1');
+    };
+    await expect(
+      cutMedia({
+        ffmpeg: 'ffmpeg',
+        input: path.join(tmp, 'in.webm'),
+        output,
+        segments: [{ start: 0, end: 4 }],
+        hasVideo: false,
+        onProgress: (p) => progress.push(p.percent),
+        run,
+      })
+    ).rejects.toThrow('code 1');
+    expect(progress).toEqual([0, 50]);
+    expect(fs.existsSync(output)).toBe(false);
+  });
+
+  it('cuts raw tracks with the streams they have, clipped to their length', async () => {
+    const banner =
+      "Input #0, matroska,webm, from 'track.webm':\n" +
+      '  Duration: 00:00:12.50, start: 0.000000, bitrate: N/A\n' +
+      '  Stream #0:0: Video: vp9, yuv420p(tv), 1280x720, SAR 1:1 DAR 16:9, 30 fps\n';
+    expect(parseMediaInfo(banner)).toEqual({ hasVideo: true, hasAudio: false, duration: 12.5 });
+    expect(parseMediaInfo('Duration: N/A\n  Stream #0:0(eng): Audio: opus, 48000 Hz')).toEqual({
+      hasVideo: false,
+      hasAudio: true,
+      duration: null,
+    });
+
+    const run = vi.fn(async (command, args, { onStderr }) => {
+      if (args.includes('null')) onStderr(banner);
+    });
+    const output = path.join(tmp, 'out.webm');
+    const cut = (segments) =>
+      cutTrack({ ffmpeg: 'ffmpeg', input: 'track.webm', output, segments, run });
+    expect(
+      await cut([
+        { start: 0, end: 5 },
+        { start: 10, end: 40 },
+      ])
+    ).toBe(true);
+    const filter = run.mock.calls[1][1][run.mock.calls[1][1].indexOf('-filter_complex') + 1];
+    expect(filter).toBe(
+      '[0:v]trim=start=0.000:end=5.000,setpts=PTS-STARTPTS[v0];' +
+        '[0:v]trim=start=10.000:end=12.500,setpts=PTS-STARTPTS[v1];' +
+        '[v0][v1]concat=n=2:v=1:a=0[v]'
+    );
+    expect(run.mock.calls[1][1]).not.toContain('[a]');
+
+    // Nothing of the track remains: no output
+    expect(await cut([{ start: 20, end: 30 }])).toBe(false);
+    expect(run).toHaveBeenCalledTimes(3);
+  });
+
+  it('fits an appended take into the first recording frame size', () => {
+    expect(validateFrameSize({ width: 1281, height: 721 })).toEqual({ width: 1280, height: 720 });
+    expect(validateFrameSize({ width: 0, height: 720 })).toBeNull();
+    expect(validateFrameSize({ width: 20000, height: 720 })).toBeNull();
+
+    const video = buildJoinArgs({
+      first: 'a.webm',
+      second: 'b.webm',
+      output: 'out.webm',
+      frameSize: { width: 1280, height: 720 },
+    });
+    expect(video.slice(0, 7)).toEqual([
+      '-nostdin',
+      '-y',
+      '-i',
+      'a.webm',
+      '-i',
+      'b.webm',
+      '-filter_complex',
+    ]);
+    const filter = video[video.indexOf('-filter_complex') + 1];
+    expect(filter).toContain(
+      '[1:v]scale=1280:720:force_original_aspect_ratio=decrease,pad=1280:720:(ow-iw)/2:(oh-ih)/2,setsar=1[v1]'
+    );
+    expect(filter).toContain('[v0][a0][v1][a1]concat=n=2:v=1:a=1[v][a]');
+
+    const audio = buildJoinArgs({
+      first: 'a.mp4',
+      second: 'b.webm',
+      output: 'out.mp4',
+      frameSize: null,
+    });
+    expect(audio[audio.indexOf('-filter_complex') + 1]).toBe(
+      '[0:a]aformat=sample_rates=48000:channel_layouts=stereo[a0];' +
+        '[1:a]aformat=sample_rates=48000:channel_layouts=stereo[a1];' +
+        '[a0][a1]concat=n=2:v=0:a=1[a]'
+    );
+    expect(audio).toContain('aac');
+  });
+
+  it('reports append progress against the combined length', async () => {
+    const progress = [];
+    const run = vi.fn(async (command, args, { onStderr, abortMessage }) => {
+      expect(abortMessage).toBe('Append canceled');
+      onStderr('time=00:00:30.00');
+    });
+    await joinMedia({
+      ffmpeg: '/opt/ffmpeg',
+      first: 'a.webm',
+      second: 'b.webm',
+      output: path.join(tmp, 'out.webm'),
+      frameSize: null,
+      duration: 120,
+      onProgress: (p) => progress.push(p.percent),
+      run,
+    });
+    expect(run.mock.calls[0][0]).toBe('/opt/ffmpeg');
+    expect(progress).toEqual([0, 25, 100]);
+  });
+});
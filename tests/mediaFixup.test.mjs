@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { writeFixedMedia } from '../src/main-process/mediaFixup.js';
+import { readWebmMetadata, bytesSource } from '../src/recording/webmFixup.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+
+describe('mediaFixup', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nt-fixup-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes a seekable copy of a journaled WebM', async () => {
+    const input = path.join(fixturesDir, 'synthetic-av.webm');
+    const output = path.join(dir, 'recovered.webm');
+    const original = fs.readFileSync(input);
+
+    const result = await writeFixedMedia(input, output);
+    expect(result.fixed).toBe(true);
+
+    const meta = await readWebmMetadata(bytesSource(new Uint8Array(fs.readFileSync(output))));
+    expect(meta.durationSeconds).toBeCloseTo(result.durationSeconds);
+    expect(meta.knownSizes).toBe(true);
+    expect(meta.cues.length).toBeGreaterThan(0);
+    // The journal keeps its original
+    expect(fs.readFileSync(input).equals(original)).toBe(true);
+  });
+
+  it('copies media that needs no fixup unchanged', async () => {
+    const input = path.join(dir, 'media.mp4');
+    const output = path.join(dir, 'recovered.mp4');
+    fs.writeFileSync(input, Buffer.from('not a webm file'));
+
+    expect(await writeFixedMedia(input, output)).toEqual({ fixed: false, durationSeconds: null });
+    expect(fs.readFileSync(output, 'utf8')).toBe('not a webm file');
+  });
+});
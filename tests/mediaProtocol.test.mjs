@@ -0,0 +1,74 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import {
+  parseRangeHeader,
+  getMediaMimeType,
+  registerMediaFile,
+  unregisterMediaFile,
+  handleMediaRequest,
+} from '../src/main-process/mediaProtocol.js';
+
+describe('mediaProtocol', () => {
+  let tmp;
+  let file;
+  const data = Buffer.from('0123456789abcdef');
+
+  beforeAll(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'nt-protocol-'));
+    file = path.join(tmp, 'media.webm');
+    fs.writeFileSync(file, data);
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it('parses single byte ranges', () => {
+    expect(parseRangeHeader(null, 100)).toBeNull();
+    expect(parseRangeHeader('bytes=0-', 100)).toEqual({ start: 0, end: 99 });
+    expect(parseRangeHeader('bytes=10-19', 100)).toEqual({ start: 10, end: 19 });
+    expect(parseRangeHeader('bytes=90-200', 100)).toEqual({ start: 90, end: 99 });
+    expect(parseRangeHeader('bytes=-10', 100)).toEqual({ start: 90, end: 99 });
+    expect(parseRangeHeader('bytes=0-1,5-6', 100)).toBeNull();
+    expect(parseRangeHeader('bytes=100-', 100)).toBe('unsatisfiable');
+    expect(parseRangeHeader('bytes=5-2', 100)).toBe('unsatisfiable');
+  });
+
+  it('maps media extensions to content types', () => {
+    expect(getMediaMimeType('/a/media.webm')).toBe('video/webm');
+    expect(getMediaMimeType('/a/MEDIA.MP4')).toBe('video/mp4');
+    expect(getMediaMimeType('/a/notes.bin')).toBe('application/octet-stream');
+  });
+
+  it('serves full and partial responses for registered files', async () => {
+    const url = registerMediaFile(file);
+    expect(url).toMatch(/^notepack:\/\/media\/[0-9a-f-]+\/media\.webm$/);
+
+    const full = await handleMediaRequest(new Request(url));
+    expect(full.status).toBe(200);
+    expect(full.headers.get('accept-ranges')).toBe('bytes');
+    expect(full.headers.get('content-type')).toBe('video/webm');
+    expect(full.headers.get('access-control-allow-origin')).toBe('*');
+    expect(Buffer.from(await full.arrayBuffer()).equals(data)).toBe(true);
+
+    const partial = await handleMediaRequest(new Request(url, { headers: { Range: 'bytes=4-7' } }));
+    expect(partial.status).toBe(206);
+    expect(partial.headers.get('content-range')).toBe(`bytes 4-7/${data.length}`);
+    expect(await partial.text()).toBe('4567');
+
+    const beyond = await handleMediaRequest(new Request(url, { headers: { Range: 'bytes=99-' } }));
+    expect(beyond.status).toBe(416);
+    expect(beyond.headers.get('content-range')).toBe(`bytes */${data.length}`);
+  });
+
+  it('returns 404 for unknown or unregistered files', async () => {
+    const url = registerMediaFile(file);
+    unregisterMediaFile(file);
+    expect((await handleMediaRequest(new Request(url))).status).toBe(404);
+    expect((await handleMediaRequest(new Request('notepack://media/nope/x.webm'))).status).toBe(
+      404
+    );
+  });
+});
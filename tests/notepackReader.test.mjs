@@ -0,0 +1,213 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import { readNotepack } from '../src/main-process/notepackReader.js';
+import { writeHtmlWithEmbeddedMedia } from '../src/main-process/embeddedHtmlWriter.js';
+
+// dynamic import for ESM packages that may expose default/commonjs forms
+async function imp(name) {
+  const m = await import(name);
+  return m.default || m;
+}
+
+async function writeZip(outFile, entries) {
+  const yazl = await imp('yazl');
+  const zipfile = new yazl.ZipFile();
+  for (const [name, data] of Object.entries(entries)) {
+    zipfile.addBuffer(Buffer.isBuffer(data) ? data : Buffer.from(data, 'utf-8'), name);
+  }
+  await new Promise((resolve, reject) => {
+    const ws = fs.createWriteStream(outFile);
+    zipfile.outputStream.pipe(ws).on('close', resolve).on('error', reject);
+    zipfile.end();
+  });
+}
+
+describe('notepackReader', () => {
+  let tmp;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'nt-reader-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it('extracts the media entry to disk and returns notes + metadata', async () => {
+    const media = Buffer.alloc(256 * 1024, 7);
+    const file = path.join(tmp, 'session.notepack');
+    // session.json last, as save-session writes it
+    await writeZip(file, {
+      'notes.html': '<p>hello</p>',
+      'media.mp4': media,
+      'session.json': JSON.stringify({ mediaFile: 'media.mp4', notesFile: 'notes.html' }),
+    });
+
+    const progress = [];
+    const result = await readNotepack(file, {
+      extractDir: tmp,
+      onProgress: (p) => progress.push(p),
+    });
+
+    expect(result.notesHtml).toBe('<p>hello</p>');
+    expect(result.meta.mediaFile).toBe('media.mp4');
+    const [segment] = result.segments;
+    expect(segment).toMatchObject({ id: 'seg-1', mediaFile: 'media.mp4' });
+    expect(segment.mediaSize).toBe(media.length);
+    expect(path.basename(segment.mediaPath)).toMatch(/^\d+-[a-z0-9]+-media\.mp4$/);
+    expect(fs.readFileSync(segment.mediaPath).equals(media)).toBe(true);
+    expect(progress.at(-1)).toMatchObject({ percent: 100, totalBytes: media.length });
+  });
+
+  it('extracts raw source tracks listed in session.json', async () => {
+    const mic = Buffer.alloc(1024, 3);
+    const file = path.join(tmp, 'tracks.notepack');
+    await writeZip(file, {
+      'notes.html': '<p>x</p>',
+      'media.webm': Buffer.alloc(16),
+      'tracks/mic-1.webm': mic,
+      'tracks/unlisted.webm': Buffer.alloc(16),
+      'session.json': JSON.stringify({
+        mediaFile: 'media.webm',
+        notesFile: 'notes.html',
+        tracks: [{ file: 'tracks/mic-1.webm', kind: 'mic', startOffset: 2.5 }],
+      }),
+    });
+
+    const [{ tracks }] = (await readNotepack(file, { extractDir: tmp })).segments;
+    expect(tracks).toHaveLength(1);
+    expect(tracks[0]).toMatchObject({ file: 'tracks/mic-1.webm', kind: 'mic', startOffset: 2.5 });
+    expect(path.dirname(tracks[0].path)).toBe(tmp);
+    expect(fs.readFileSync(tracks[0].path).equals(mic)).toBe(true);
+  });
+
+  it('handles notes-only notepacks without session.json', async () => {
+    const file = path.join(tmp, 'notes.notepack');
+    await writeZip(file, { 'notes.html': '<p>only notes</p>' });
+
+    const result = await readNotepack(file, { extractDir: tmp });
+    expect(result).toMatchObject({ notesHtml: '<p>only notes</p>', meta: null });
+    expect(result.segments).toHaveLength(1);
+    expect(result.segments[0]).toMatchObject({ mediaFile: null, mediaPath: null });
+  });
+
+  it('returns transcript.json and ignores a malformed one', async () => {
+    const transcript = {
+      version: 1,
+      engine: 'stub',
+      language: 'en',
+      createdAt: '2026-01-01T00:00:00.000Z',
+      segments: [{ start: 0, end: 1.5, text: 'hello' }],
+    };
+    const file = path.join(tmp, 'with-transcript.notepack');
+    await writeZip(file, {
+      'notes.html': '<p>x</p>',
+      'transcript.json': JSON.stringify(transcript),
+      'session.json': JSON.stringify({
+        notesFile: 'notes.html',
+        transcriptFile: 'transcript.json',
+      }),
+    });
+    expect((await readNotepack(file, { extractDir: tmp })).segments[0].transcript).toEqual(
+      transcript
+    );
+
+    const broken = path.join(tmp, 'broken-transcript.notepack');
+    await writeZip(broken, { 'notes.html': '<p>x</p>', 'transcript.json': '{not json' });
+    expect((await readNotepack(broken, { extractDir: tmp })).segments[0].transcript).toBeNull();
+  });
+
+  it('returns cached waveform peaks named by session.json', async () => {
+    const peaks = {
+      version: 2,
+      channels: 1,
+      sample_rate: 8000,
+      samples_per_pixel: 160,
+      bits: 8,
+      length: 1,
+      data: [-10, 12],
+    };
+    const file = path.join(tmp, 'with-peaks.notepack');
+    await writeZip(file, {
+      'notes.html': '<p>x</p>',
+      'peaks-v2.json': JSON.stringify(peaks),
+      'session.json': JSON.stringify({ notesFile: 'notes.html', peaksFile: 'peaks-v2.json' }),
+    });
+    const [segment] = (await readNotepack(file, { extractDir: tmp })).segments;
+    expect(segment.peaks).toEqual(peaks);
+    expect(segment.transcript).toBeNull();
+  });
+
+  it('extracts every segment of a version 2 notepack', async () => {
+    const first = Buffer.alloc(300, 1);
+    const second = Buffer.alloc(100, 2);
+    const file = path.join(tmp, 'segments.notepack');
+    await writeZip(file, {
+      'notes.html': '<p>x</p>',
+      'media.webm': first,
+      'segments/2/media.mp4': second,
+      'segments/2/tracks/mic-1.webm': Buffer.alloc(8),
+      'session.json': JSON.stringify({
+        version: 2,
+        notesFile: 'notes.html',
+        segments: [
+          { id: 'seg-1', name: 'Morning', mediaFile: 'media.webm' },
+          {
+            id: 'seg-2',
+            name: 'Afternoon',
+            mediaFile: 'segments/2/media.mp4',
+            markers: [{ id: 'm', time: 3, type: 'todo' }],
+            tracks: [{ file: 'segments/2/tracks/mic-1.webm', kind: 'mic', startOffset: 0 }],
+          },
+        ],
+      }),
+    });
+
+    const progress = [];
+    const { segments } = await readNotepack(file, {
+      extractDir: tmp,
+      onProgress: (p) => progress.push(p),
+    });
+    expect(segments.map((s) => [s.id, s.name, s.mediaSize, s.tracks.length])).toEqual([
+      ['seg-1', 'Morning', 300, 0],
+      ['seg-2', 'Afternoon', 100, 1],
+    ]);
+    expect(fs.readFileSync(segments[1].mediaPath).equals(second)).toBe(true);
+    expect(segments[1].markers).toEqual([{ id: 'm', time: 3, type: 'todo' }]);
+    expect(progress.at(-1)).toMatchObject({ percent: 100, bytesWritten: 400, totalBytes: 400 });
+  });
+
+  it('rejects files that are not zips', async () => {
+    const file = path.join(tmp, 'broken.notepack');
+    fs.writeFileSync(file, 'not a zip');
+    await expect(readNotepack(file, { extractDir: tmp })).rejects.toThrow();
+  });
+});
+
+describe('embeddedHtmlWriter', () => {
+  it('streams file contents as base64 into the last placeholder', async () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'nt-embed-'));
+    try {
+      // Odd length exercises the 3-byte carry between read chunks
+      const media = Buffer.from(Array.from({ length: 200001 }, (_, i) => i % 251));
+      const mediaPath = path.join(tmp, 'media.webm');
+      fs.writeFileSync(mediaPath, media);
+      const outPath = path.join(tmp, 'out.html');
+
+      await writeHtmlWithEmbeddedMedia(
+        outPath,
+        '<p>__MEDIA_BASE64__</p><script>const b="__MEDIA_BASE64__";</script>',
+        mediaPath
+      );
+
+      const html = fs.readFileSync(outPath, 'utf-8');
+      expect(html).toBe(
+        `<p>__MEDIA_BASE64__</p><script>const b="${media.toString('base64')}";</script>`
+      );
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+});
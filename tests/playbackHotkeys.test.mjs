@@ -0,0 +1,130 @@
+import { describe, it, expect } from 'vitest';
+import {
+  comboFromEvent,
+  isAltGraph,
+  hotkeyError,
+  normalizeHotkeys,
+  loadHotkeys,
+  saveHotkeys,
+  actionForEvent,
+  formatCombo,
+  stepRate,
+  adjacentTime,
+} from '../src/modules/playbackHotkeys.js';
+import { CONFIG } from '../src/config.js';
+
+const key = (code, mods = {}) => ({
+  code,
+  metaKey: false,
+  ctrlKey: false,
+  altKey: false,
+  shiftKey: false,
+  ...mods,
+});
+
+describe('playbackHotkeys', () => {
+  it('builds combos from key presses', () => {
+    expect(comboFromEvent(key('KeyK', { metaKey: true, altKey: true }), true)).toBe('Mod+Alt+KeyK');
+    expect(
+      comboFromEvent(key('ArrowLeft', { ctrlKey: true, altKey: true, shiftKey: true }), false)
+    ).toBe('Mod+Alt+Shift+ArrowLeft');
+    // Ctrl is not Mod on macOS
+    expect(comboFromEvent(key('KeyK', { ctrlKey: true, altKey: true }), true)).toBe('Alt+KeyK');
+    expect(comboFromEvent(key('AltLeft', { altKey: true }), false)).toBe('');
+  });
+
+  it('rejects combos that type text or belong to the editor', () => {
+    expect(hotkeyError('Mod+Alt+KeyK')).toBeNull();
+    expect(hotkeyError('Alt+Period')).toBeNull();
+    expect(hotkeyError('Shift+KeyK')).toMatch(/Cmd\/Ctrl or Alt/);
+    expect(hotkeyError('Alt+Mod+KeyK')).toMatch(/Not a key combination/);
+    expect(hotkeyError('Mod+Alt+KeyT')).toMatch(/editor shortcut/);
+    // Quill and menu shortcuts
+    expect(hotkeyError('Mod+KeyZ')).toMatch(/editor shortcut or menu item/);
+    expect(hotkeyError('Mod+KeyB')).not.toBeNull();
+    expect(hotkeyError('Mod+KeyS')).not.toBeNull();
+    expect(hotkeyError('Mod+Shift+KeyZ')).not.toBeNull();
+    expect(normalizeHotkeys({ playPause: 'Mod+KeyS' }).playPause).toBe(
+      CONFIG.PLAYBACK.DEFAULT_HOTKEYS.playPause
+    );
+  });
+
+  it('ignores AltGr presses, which Windows reports as Ctrl+Alt', () => {
+    const altGr = (code) =>
+      key(code, {
+        ctrlKey: true,
+        altKey: true,
+        getModifierState: (state) => state === 'AltGraph',
+      });
+    expect(isAltGraph(altGr('Period'))).toBe(true);
+    expect(isAltGraph(key('Period', { ctrlKey: true, altKey: true }))).toBe(false);
+    expect(comboFromEvent(altGr('KeyK'), false)).toBe('');
+    expect(actionForEvent(normalizeHotkeys(null), altGr('Period'), false)).toBeNull();
+  });
+
+  it('applies valid overrides and moves duplicate combos', () => {
+    const hotkeys = normalizeHotkeys({
+      playPause: 'Alt+Space',
+      faster: CONFIG.PLAYBACK.DEFAULT_HOTKEYS.forward,
+      slower: 'Mod+Alt+KeyT',
+      nextTimestamp: '',
+    });
+    expect(hotkeys.playPause).toBe('Alt+Space');
+    expect(hotkeys.faster).toBe(CONFIG.PLAYBACK.DEFAULT_HOTKEYS.forward);
+    expect(hotkeys.forward).toBe('');
+    expect(hotkeys.slower).toBe(CONFIG.PLAYBACK.DEFAULT_HOTKEYS.slower);
+    expect(hotkeys.nextTimestamp).toBe('');
+    expect(normalizeHotkeys('garbage')).toEqual(CONFIG.PLAYBACK.DEFAULT_HOTKEYS);
+  });
+
+  it('saves only changed hotkeys and loads them back', () => {
+    const values = new Map();
+    const storage = {
+      getItem: (k) => (values.has(k) ? values.get(k) : null),
+      setItem: (k, v) => values.set(k, v),
+    };
+    expect(loadHotkeys(storage)).toEqual(CONFIG.PLAYBACK.DEFAULT_HOTKEYS);
+    saveHotkeys(storage, { ...CONFIG.PLAYBACK.DEFAULT_HOTKEYS, playPause: 'Alt+Space' });
+    expect(JSON.parse(values.get(CONFIG.STORAGE_KEYS.PLAYBACK_HOTKEYS))).toEqual({
+      playPause: 'Alt+Space',
+    });
+    expect(loadHotkeys(storage).playPause).toBe('Alt+Space');
+
+    values.set(CONFIG.STORAGE_KEYS.PLAYBACK_HOTKEYS, '{not json');
+    expect(loadHotkeys(storage)).toEqual(CONFIG.PLAYBACK.DEFAULT_HOTKEYS);
+  });
+
+  it('finds the action of a key press', () => {
+    const hotkeys = normalizeHotkeys(null);
+    expect(actionForEvent(hotkeys, key('Period', { ctrlKey: true, altKey: true }), false)).toBe(
+      'faster'
+    );
+    expect(actionForEvent(hotkeys, key('Period', { ctrlKey: true }), false)).toBeNull();
+  });
+
+  it('formats combos for display', () => {
+    expect(formatCombo('Mod+Alt+KeyK', true)).toBe('Cmd+Alt+K');
+    expect(formatCombo('Mod+Alt+Shift+ArrowLeft', false)).toBe('Ctrl+Alt+Shift+←');
+    expect(formatCombo('Mod+Alt+Digit0', false)).toBe('Ctrl+Alt+0');
+    expect(formatCombo('', false)).toBe('None');
+  });
+
+  it('steps through the playback rates', () => {
+    expect(stepRate(1, 1)).toBe(1.25);
+    expect(stepRate(1, -1)).toBe(0.75);
+    expect(stepRate(1.1, -1)).toBe(1);
+    expect(stepRate(3, 1)).toBe(3);
+    expect(stepRate(0.5, -1)).toBe(0.5);
+  });
+
+  it('finds the previous and next timestamp', () => {
+    const times = [30, 10, 50];
+    expect(adjacentTime(times, 20, 1)).toBe(30);
+    expect(adjacentTime(times, 30, 1)).toBe(50);
+    expect(adjacentTime(times, 60, 1)).toBeNull();
+    expect(adjacentTime(times, 35, -1)).toBe(30);
+    // Just past a timestamp, "previous" goes to the one before
+    expect(adjacentTime(times, 30.5, -1)).toBe(10);
+    expect(adjacentTime(times, 5, -1)).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { RangePlayback } from '../src/modules/rangePlayback.js';
+
+describe('rangePlayback', () => {
+  let playback;
+  let player;
+
+  beforeEach(() => {
+    player = document.createElement('video');
+    player.play = vi.fn(() => Promise.resolve());
+    player.pause = vi.fn();
+    playback = new RangePlayback();
+    playback.init(player);
+  });
+
+  /**
+   * Move the playhead like playback does (no seeking event)
+   * @param {number} time - Seconds
+   */
+  function playTo(time) {
+    Object.defineProperty(player, 'currentTime', { value: time, writable: true });
+    player.dispatchEvent(new Event('timeupdate'));
+  }
+
+  it('plays from the start and pauses at the end', () => {
+    playback.play({ start: 10, end: 12 });
+    expect(player.currentTime).toBe(10);
+    expect(player.play).toHaveBeenCalled();
+    expect(playback.isActive()).toBe(true);
+
+    playTo(11);
+    expect(player.pause).not.toHaveBeenCalled();
+    playTo(12.1);
+    expect(player.pause).toHaveBeenCalledTimes(1);
+    expect(playback.isActive()).toBe(false);
+  });
+
+  it('jumps back to the start when looping', () => {
+    playback.play({ start: 10, end: 12, loop: true });
+    playTo(12.2);
+
+    expect(player.currentTime).toBe(10);
+    expect(player.pause).not.toHaveBeenCalled();
+    expect(playback.isActive()).toBe(true);
+  });
+
+  it('stops watching when the user seeks out of the range', () => {
+    playback.play({ start: 10, end: 12 });
+    Object.defineProperty(player, 'currentTime', { value: 30, writable: true });
+    player.dispatchEvent(new Event('seeking'));
+
+    expect(playback.isActive()).toBe(false);
+    playTo(31);
+    expect(player.pause).not.toHaveBeenCalled();
+  });
+
+  it('ignores ranges without a usable end', () => {
+    playback.play({ start: 10, end: 10 });
+    playback.play({ start: 10, end: NaN });
+
+    expect(player.play).not.toHaveBeenCalled();
+    expect(playback.isActive()).toBe(false);
+  });
+});
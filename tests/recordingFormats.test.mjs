@@ -0,0 +1,92 @@
+import { describe, it, expect } from 'vitest';
+import {
+  probeFormats,
+  normalizeFormatSettings,
+  loadFormatSettings,
+  saveFormatSettings,
+  resolveRecordingFormat,
+  extensionForMimeType,
+  estimateBytesPerHour,
+  formatByteSize,
+} from '../src/recording/recordingFormats.js';
+
+// A recorder that only knows VP8/VP9 WebM and H.264/AAC MP4
+const SUPPORTED = new Set([
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm',
+  'audio/webm;codecs=opus',
+  'audio/webm',
+  'video/mp4;codecs=avc1,mp4a.40.2',
+  'audio/mp4;codecs=mp4a.40.2',
+]);
+const isTypeSupported = (m) => SUPPORTED.has(m);
+
+describe('recording formats', () => {
+  it('probes video and audio-only support per format', () => {
+    const probed = Object.fromEntries(probeFormats(isTypeSupported).map((f) => [f.id, f]));
+    expect(probed.vp9).toMatchObject({ supported: true, audioSupported: true });
+    expect(probed.av1).toMatchObject({ supported: false, audioSupported: true });
+    expect(probed['h264-mp4'].supported).toBe(true);
+  });
+
+  it('records the chosen format with a matching extension and falls back when unsupported', () => {
+    const opts = { audioOnly: false, isTypeSupported };
+    expect(resolveRecordingFormat({ format: 'auto' }, opts)).toEqual({
+      mimeType: 'video/webm;codecs=vp9,opus',
+      ext: 'webm',
+      fallback: false,
+    });
+    expect(resolveRecordingFormat({ format: 'h264-mp4' }, opts)).toEqual({
+      mimeType: 'video/mp4;codecs=avc1,mp4a.40.2',
+      ext: 'mp4',
+      fallback: false,
+    });
+    expect(resolveRecordingFormat({ format: 'h264-mp4' }, { ...opts, audioOnly: true })).toEqual({
+      mimeType: 'audio/mp4;codecs=mp4a.40.2',
+      ext: 'mp4',
+      fallback: false,
+    });
+    expect(resolveRecordingFormat({ format: 'av1' }, opts)).toEqual({
+      mimeType: 'video/webm;codecs=vp9,opus',
+      ext: 'webm',
+      fallback: true,
+    });
+    expect(
+      resolveRecordingFormat({ format: 'vp8' }, { ...opts, isTypeSupported: () => false })
+    ).toEqual({ mimeType: '', ext: 'webm', fallback: true });
+    expect(extensionForMimeType('audio/mp4')).toBe('mp4');
+    expect(extensionForMimeType('')).toBe('webm');
+  });
+
+  it('validates and persists settings', () => {
+    expect(normalizeFormatSettings({ format: 'theora', videoBitrate: -5 })).toEqual({
+      format: 'auto',
+      videoBitrate: 0,
+    });
+    expect(normalizeFormatSettings({ format: 'vp8', videoBitrate: '2500000' })).toEqual({
+      format: 'vp8',
+      videoBitrate: 2500000,
+    });
+
+    const items = new Map();
+    const storage = {
+      getItem: (k) => (items.has(k) ? items.get(k) : null),
+      setItem: (k, v) => items.set(k, String(v)),
+    };
+    expect(loadFormatSettings(storage)).toEqual({ format: 'auto', videoBitrate: 0 });
+    saveFormatSettings(storage, { format: 'h264-mp4', videoBitrate: 5000000 });
+    expect(loadFormatSettings(storage)).toEqual({ format: 'h264-mp4', videoBitrate: 5000000 });
+    storage.setItem('nt_recording_format', '{oops');
+    expect(loadFormatSettings(storage).format).toBe('auto');
+  });
+
+  it('estimates the size of an hour of recording', () => {
+    // 2.5 Mbps video + 64 kbps audio = 1,153,800,000 bytes
+    const bytes = estimateBytesPerHour({ videoBitrate: 0, audioBitrate: 64000, audioOnly: false });
+    expect(bytes).toBe(1153800000);
+    expect(formatByteSize(bytes)).toBe('1.1 GB');
+    const audio = estimateBytesPerHour({ videoBitrate: 8e6, audioBitrate: 64000, audioOnly: true });
+    expect(formatByteSize(audio)).toBe('27 MB');
+  });
+});
@@ -0,0 +1,194 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import {
+  createJournal,
+  attachJournalMedia,
+  attachJournalTake,
+  attachJournalTrack,
+  updateJournal,
+  writeJournalSnapshot,
+  listJournals,
+  readJournal,
+  discardJournal,
+  pruneJournals,
+  isValidJournalId,
+} from '../src/main-process/recoveryStore.js';
+
+describe('recoveryStore', () => {
+  let baseDir;
+
+  beforeEach(() => {
+    baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nt-recovery-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(baseDir, { recursive: true, force: true });
+  });
+
+  it('creates a journal and reads back media and notes', async () => {
+    const { id, mediaPath } = await createJournal(baseDir, {
+      mediaFileName: 'media.webm',
+      mimeType: 'video/webm;codecs=vp9,opus',
+    });
+    fs.writeFileSync(mediaPath, Buffer.from('chunk-1chunk-2'));
+    const delta = { ops: [{ insert: 'notes\n' }] };
+    await writeJournalSnapshot(baseDir, id, {
+      notesHtml: '<p>notes</p>',
+      delta,
+      state: { playerTime: 12.5 },
+    });
+
+    const journal = await readJournal(baseDir, id);
+    expect(journal.meta.status).toBe('recording');
+    expect(journal.meta.mimeType).toBe('video/webm;codecs=vp9,opus');
+    expect(journal.meta.state).toEqual({ playerTime: 12.5 });
+    expect(journal.notesHtml).toBe('<p>notes</p>');
+    expect(journal.delta).toEqual(delta);
+    expect(fs.readFileSync(journal.mediaPath, 'utf-8')).toBe('chunk-1chunk-2');
+  });
+
+  it('keeps notes, delta and state in one snapshot file', async () => {
+    const { id, dir } = await createJournal(baseDir);
+    await writeJournalSnapshot(baseDir, id, { notesHtml: '<p>a</p>', state: { playerTime: 1 } });
+    expect(fs.readdirSync(dir).sort()).toEqual(['journal.json', 'snapshot.json']);
+    expect(JSON.parse(fs.readFileSync(path.join(dir, 'snapshot.json'), 'utf-8'))).toEqual({
+      notesHtml: '<p>a</p>',
+      delta: null,
+      state: { playerTime: 1 },
+    });
+  });
+
+  it('reads the separate snapshot files of older journals', async () => {
+    const { id, dir } = await createJournal(baseDir);
+    await updateJournal(baseDir, id, { state: { playerTime: 3 } });
+    fs.writeFileSync(path.join(dir, 'notes.html'), '<p>old</p>');
+    fs.writeFileSync(path.join(dir, 'delta.json'), JSON.stringify({ ops: [{ insert: 'old\n' }] }));
+
+    const journal = await readJournal(baseDir, id);
+    expect(journal.notesHtml).toBe('<p>old</p>');
+    expect(journal.delta).toEqual({ ops: [{ insert: 'old\n' }] });
+    expect(journal.meta.state).toEqual({ playerTime: 3 });
+    expect((await listJournals(baseDir))[0]).toMatchObject({ id, hasNotes: true });
+  });
+
+  it('lists only journals with recoverable content, newest first', async () => {
+    await createJournal(baseDir, { mediaFileName: 'media.webm' }); // empty: skipped
+    const older = await createJournal(baseDir, { mediaFileName: 'media.webm' });
+    fs.writeFileSync(older.mediaPath, 'data');
+    const newer = await createJournal(baseDir);
+    await writeJournalSnapshot(baseDir, newer.id, { notesHtml: '<p>x</p>' });
+    await new Promise((r) => setTimeout(r, 5));
+    await updateJournal(baseDir, newer.id, { status: 'stopped' });
+
+    const journals = await listJournals(baseDir);
+    expect(journals.map((j) => j.id)).toEqual([newer.id, older.id]);
+    expect(journals[0]).toMatchObject({ status: 'stopped', hasNotes: true, mediaSize: 0 });
+    expect(journals[1]).toMatchObject({ status: 'recording', hasNotes: false, mediaSize: 4 });
+  });
+
+  it('attaches new media to a notes-only journal, replacing older media', async () => {
+    const { id } = await createJournal(baseDir);
+    const first = await attachJournalMedia(baseDir, id, { mediaFileName: 'media.webm' });
+    fs.writeFileSync(first, 'old');
+    const second = await attachJournalMedia(baseDir, id, {
+      mediaFileName: 'take2.webm',
+      mimeType: 'audio/webm',
+    });
+
+    expect(fs.existsSync(first)).toBe(false);
+    const { meta } = await readJournal(baseDir, id);
+    expect(meta).toMatchObject({ status: 'recording', mediaFile: 'take2.webm' });
+    expect(path.dirname(second)).toBe(path.join(baseDir, id));
+  });
+
+  it('journals raw tracks next to the media and drops them with it', async () => {
+    const { id, mediaPath } = await createJournal(baseDir, { mediaFileName: 'media.webm' });
+    fs.writeFileSync(mediaPath, 'mix');
+    // Attached concurrently, as the track recorders start together
+    const [mic, screen, empty] = await Promise.all([
+      attachJournalTrack(baseDir, id, { kind: 'mic', startOffset: 0, mimeType: 'audio/webm' }),
+      attachJournalTrack(baseDir, id, { kind: 'screen', startOffset: 2.5, ext: 'webm' }),
+      attachJournalTrack(baseDir, id, { kind: 'camera', startOffset: 4 }),
+    ]);
+    fs.writeFileSync(mic, 'mic');
+    fs.writeFileSync(screen, 'screen');
+    fs.writeFileSync(empty, '');
+
+    const { tracks } = await readJournal(baseDir, id);
+    expect(tracks).toEqual([
+      { kind: 'mic', startOffset: 0, mimeType: 'audio/webm', path: mic },
+      { kind: 'screen', startOffset: 2.5, mimeType: null, path: screen },
+    ]);
+    await expect(attachJournalTrack(baseDir, id, { kind: '../x', startOffset: 0 })).rejects.toThrow(
+      /Invalid track kind/
+    );
+
+    await attachJournalMedia(baseDir, id, { mediaFileName: 'media.webm' });
+    expect(fs.existsSync(mic)).toBe(false);
+    expect((await readJournal(baseDir, id)).meta.tracks).toEqual([]);
+  });
+
+  it('journals an appended take next to the media it continues', async () => {
+    const { id, mediaPath } = await createJournal(baseDir, { mediaFileName: 'media.webm' });
+    fs.writeFileSync(mediaPath, 'base');
+    await expect(
+      attachJournalTrack(baseDir, id, { kind: 'mic', startOffset: 12, take: true })
+    ).rejects.toThrow(/no take/);
+
+    const take = await attachJournalTake(baseDir, id, {
+      mediaFileName: 'media.webm',
+      mimeType: 'video/webm',
+      startOffset: 12,
+    });
+    const mic = await attachJournalTrack(baseDir, id, { kind: 'mic', startOffset: 12, take: true });
+    fs.writeFileSync(take, 'take');
+    fs.writeFileSync(mic, 'mic');
+
+    const journal = await readJournal(baseDir, id);
+    expect(journal.mediaPath).toBe(mediaPath);
+    expect(journal.tracks).toEqual([]);
+    expect(journal.take).toEqual({
+      path: take,
+      mimeType: 'video/webm',
+      startOffset: 12,
+      tracks: [{ kind: 'mic', startOffset: 12, mimeType: null, path: mic }],
+    });
+
+    // A new take replaces the previous one; a new recording drops the take
+    const next = await attachJournalTake(baseDir, id, { mediaFileName: 'x.webm', startOffset: 3 });
+    expect(fs.existsSync(mic)).toBe(false);
+    expect((await readJournal(baseDir, id)).take).toBeNull(); // no bytes yet
+    fs.writeFileSync(next, 'take');
+    await attachJournalMedia(baseDir, id, { mediaFileName: 'media.webm' });
+    expect(fs.existsSync(next)).toBe(false);
+    expect((await readJournal(baseDir, id)).meta.take).toBeNull();
+  });
+
+  it('prunes only idle journals with nothing to recover', async () => {
+    const empty = await createJournal(baseDir);
+    const kept = await createJournal(baseDir);
+    await writeJournalSnapshot(baseDir, kept.id, { notesHtml: '<p>keep</p>' });
+
+    expect(await pruneJournals(baseDir)).toBe(0); // too recent
+    expect(await pruneJournals(baseDir, { olderThanMs: -1 })).toBe(1);
+    expect(fs.existsSync(empty.dir)).toBe(false);
+    expect(fs.existsSync(kept.dir)).toBe(true);
+  });
+
+  it('discards journals and tolerates a missing base directory', async () => {
+    const { id, mediaPath } = await createJournal(baseDir, { mediaFileName: 'media.webm' });
+    fs.writeFileSync(mediaPath, 'data');
+    await discardJournal(baseDir, id);
+
+    expect(fs.existsSync(path.join(baseDir, id))).toBe(false);
+    expect(await listJournals(path.join(baseDir, 'missing'))).toEqual([]);
+  });
+
+  it('rejects ids that could escape the base directory', async () => {
+    expect(isValidJournalId('1700000000000-abc123')).toBe(true);
+    expect(isValidJournalId('../etc')).toBe(false);
+    await expect(readJournal(baseDir, '../outside')).rejects.toThrow(/Invalid/);
+  });
+});
@@ -0,0 +1,147 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  SegmentSwitcher,
+  fillTimestampSegments,
+  findSegmentTimestamps,
+} from '../src/ui/segmentSwitcher.js';
+
+describe('SegmentSwitcher', () => {
+  let switcher;
+  let elements;
+  let handlers;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <select id="select"></select>
+      <input id="name" />
+      <button id="add"></button>
+      <button id="remove"></button>
+    `;
+    elements = {
+      select: document.getElementById('select'),
+      nameInput: document.getElementById('name'),
+      addBtn: document.getElementById('add'),
+      removeBtn: document.getElementById('remove'),
+    };
+    handlers = { onSwitch: vi.fn(), onAdd: vi.fn(), onRemove: vi.fn(), onChange: vi.fn() };
+    switcher = new SegmentSwitcher();
+    switcher.init(elements, handlers);
+  });
+
+  it('starts with one segment that cannot be removed', () => {
+    expect(switcher.getSegments()).toEqual([{ id: 'seg-1', name: 'Recording 1' }]);
+    expect(elements.select.disabled).toBe(true);
+    expect(elements.removeBtn.disabled).toBe(true);
+
+    switcher.removeSegment('seg-1');
+    expect(switcher.getSegments()).toHaveLength(1);
+  });
+
+  it('adds segments with new ids and leaves switching to the coordinator', () => {
+    switcher.setSegments([
+      { id: 'seg-1', name: 'Morning' },
+      { id: 'seg-4', name: 'Afternoon' },
+    ]);
+    const added = switcher.addSegment();
+
+    expect(added).toEqual({ id: 'seg-5', name: 'Recording 3' });
+    expect(switcher.getActiveId()).toBe('seg-1');
+    expect([...elements.select.options].map((o) => o.textContent)).toEqual([
+      'Morning',
+      'Afternoon',
+      'Recording 3',
+    ]);
+
+    elements.select.value = 'seg-5';
+    elements.select.dispatchEvent(new Event('change'));
+    expect(handlers.onSwitch).toHaveBeenCalledWith('seg-5');
+    expect(elements.select.value).toBe('seg-1');
+  });
+
+  it('keeps the state of inactive segments until they become active', () => {
+    switcher.setSegments([
+      { id: 'seg-1', name: 'A' },
+      { id: 'seg-2', name: 'B' },
+    ]);
+    const state = { media: null, transcript: null, markers: [], peaks: null };
+    switcher.setState('seg-2', state);
+
+    expect(switcher.getState('seg-2')).toBe(state);
+    switcher.setActive('seg-2');
+    expect(switcher.getState('seg-2')).toBeNull();
+    expect(switcher.isActive('seg-2')).toBe(true);
+
+    switcher.removeSegment('seg-2');
+    expect(switcher.getSegments()).toHaveLength(2);
+    switcher.removeSegment('seg-1');
+    expect(switcher.getSegments()).toEqual([{ id: 'seg-2', name: 'B' }]);
+  });
+
+  it('resolves unknown or missing timestamp segments to the first segment', () => {
+    switcher.setSegments([
+      { id: 'seg-1', name: 'A' },
+      { id: 'seg-2', name: 'B' },
+    ]);
+
+    expect(switcher.resolve('seg-2')).toBe('seg-2');
+    expect(switcher.resolve('seg-9')).toBe('seg-1');
+    expect(switcher.resolve(undefined)).toBe('seg-1');
+    expect(switcher.isActive(undefined)).toBe(true);
+  });
+
+  it('renames the active segment from the name field', () => {
+    elements.nameInput.value = '  Keynote ';
+    elements.nameInput.dispatchEvent(new Event('change'));
+
+    expect(switcher.getSegments()[0].name).toBe('Keynote');
+    expect(handlers.onChange).toHaveBeenCalledTimes(1);
+
+    elements.nameInput.value = '   ';
+    elements.nameInput.dispatchEvent(new Event('change'));
+    expect(elements.nameInput.value).toBe('Keynote');
+    expect(handlers.onChange).toHaveBeenCalledTimes(1);
+  });
+
+  it('disables the bar while recording', () => {
+    switcher.addSegment();
+    switcher.setEnabled(false);
+
+    expect(elements.select.disabled).toBe(true);
+    expect(elements.nameInput.disabled).toBe(true);
+    expect(elements.addBtn.disabled).toBe(true);
+    expect(elements.removeBtn.disabled).toBe(true);
+  });
+});
+
+describe('segment timestamps', () => {
+  const ops = [
+    { insert: 'Intro ' },
+    { insert: { timestamp: { ts: 1, label: '00:01.00' } } },
+    { insert: ' then ' },
+    { insert: { timestamp: { ts: 2, label: '00:02.00', segment: 'seg-2' } } },
+    { insert: { image: 'a.png' } },
+    { insert: { timestamp: { ts: 3, label: '00:03.00', segment: 'seg-1' } } },
+    { insert: { timestampRange: { start: 4, end: 9, label: 'Clip' } } },
+    { insert: '\n' },
+  ];
+
+  it('assigns timestamps without a segment', () => {
+    const filled = fillTimestampSegments(ops, 'seg-1');
+
+    expect(filled[1].insert.timestamp).toEqual({ ts: 1, label: '00:01.00', segment: 'seg-1' });
+    expect(filled[3]).toBe(ops[3]);
+    expect(ops[1].insert.timestamp.segment).toBeUndefined();
+    expect(filled[6].insert.timestampRange).toEqual({
+      start: 4,
+      end: 9,
+      label: 'Clip',
+      segment: 'seg-1',
+    });
+  });
+
+  it('finds the document indices of matching timestamps', () => {
+    expect(findSegmentTimestamps(ops, (stamp) => stamp.segment === 'seg-2')).toEqual([13]);
+    expect(findSegmentTimestamps(ops, (stamp) => stamp.segment !== 'seg-2')).toEqual([6, 15, 16]);
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import Ajv from 'ajv';
+import {
+  SESSION_VERSION,
+  migrateSessionMeta,
+  normalizeSegmentIds,
+  segmentEntryPrefix,
+} from '../src/main-process/sessionMeta.js';
+
+const schema = JSON.parse(
+  fs.readFileSync(new URL('../schemas/session.schema.json', import.meta.url), 'utf-8')
+);
+
+describe('sessionMeta', () => {
+  it('migrates a version 1 session to a single segment', () => {
+    const meta = {
+      createdAt: '2024-01-01T00:00:00.000Z',
+      mediaFile: 'media.mp4',
+      notesFile: 'notes.html',
+      version: 1,
+      markers: [{ id: 'm1', time: 4, type: 'todo' }],
+      segmentBoundaries: [0, 60],
+    };
+    const names = ['notes.html', 'session.json', 'media.mp4', 'transcript.json'];
+
+    expect(migrateSessionMeta(meta, names)).toEqual({
+      version: SESSION_VERSION,
+      createdAt: '2024-01-01T00:00:00.000Z',
+      notesFile: 'notes.html',
+      segments: [
+        {
+          id: 'seg-1',
+          name: 'Recording 1',
+          mediaFile: 'media.mp4',
+          transcriptFile: 'transcript.json',
+          peaksFile: null,
+          markers: [{ id: 'm1', time: 4, type: 'todo' }],
+          tracks: [],
+          segmentBoundaries: [0, 60],
+        },
+      ],
+    });
+  });
+
+  it('falls back to default entries when session.json is missing', () => {
+    const migrated = migrateSessionMeta(null, ['notes.html', 'media.webm', 'waveform.json']);
+
+    expect(migrated.notesFile).toBe('notes.html');
+    expect(migrated.segments).toHaveLength(1);
+    expect(migrated.segments[0]).toMatchObject({
+      id: 'seg-1',
+      mediaFile: 'media.webm',
+      transcriptFile: null,
+      peaksFile: 'waveform.json',
+    });
+  });
+
+  it('reads version 2 segments and checks their entries', () => {
+    const meta = {
+      notesFile: 'notes.html',
+      version: 2,
+      segments: [
+        { id: 'seg-1', name: 'Morning', mediaFile: 'media.webm' },
+        { id: 'seg-3', name: 'Afternoon', mediaFile: 'segments/2/media.mp4', markers: 'x' },
+        { id: 'seg-4', name: 'Gone', mediaFile: 'segments/3/media.webm' },
+      ],
+    };
+    const names = [
+      'notes.html',
+      'media.webm',
+      'segments/2/media.mp4',
+      'segments/2/transcript.json',
+    ];
+    const { segments } = migrateSessionMeta(meta, names);
+
+    expect(segments.map((s) => [s.id, s.name, s.mediaFile, s.transcriptFile])).toEqual([
+      ['seg-1', 'Morning', 'media.webm', null],
+      ['seg-3', 'Afternoon', 'segments/2/media.mp4', 'segments/2/transcript.json'],
+      ['seg-4', 'Gone', null, null],
+    ]);
+    expect(segments[1].markers).toEqual([]);
+  });
+
+  it('replaces unsafe or repeated segment ids and empty names', () => {
+    expect(
+      normalizeSegmentIds([
+        { id: 'seg-2', name: '  Intro  ' },
+        { id: 'seg-2', name: '' },
+        { id: 'a b"<', name: 'Q&A' },
+        null,
+      ])
+    ).toEqual([
+      { id: 'seg-2', name: 'Intro' },
+      { id: 'seg-1', name: 'Recording 2' },
+      { id: 'seg-3', name: 'Q&A' },
+      { id: 'seg-4', name: 'Recording 4' },
+    ]);
+    expect(segmentEntryPrefix(0)).toBe('');
+    expect(segmentEntryPrefix(2)).toBe('segments/3/');
+  });
+
+  it('matches the session.json schema', () => {
+    const validate = new Ajv({ strict: false }).compile(schema);
+    const meta = {
+      createdAt: new Date().toISOString(),
+      notesFile: 'notes.html',
+      segments: [
+        { id: 'seg-1', name: 'Recording 1', mediaFile: 'media.webm', segmentBoundaries: [0, 60] },
+        {
+          id: 'seg-2',
+          name: 'Recording 2',
+          mediaFile: 'segments/2/media.webm',
+          transcriptFile: 'segments/2/transcript.json',
+          markers: [{ id: 'm1', time: 3, type: 'question' }],
+        },
+      ],
+      version: SESSION_VERSION,
+    };
+
+    expect(validate(meta)).toBe(true);
+    expect(validate({ ...meta, segments: [] })).toBe(false);
+    expect(validate({ ...meta, segments: [{ id: 'a b', name: 'x', mediaFile: null }] })).toBe(
+      false
+    );
+  });
+});
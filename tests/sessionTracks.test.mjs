@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest';
+import { planTrackEntries, readTrackList } from '../src/main-process/sessionTracks.js';
+
+describe('sessionTracks', () => {
+  it('names entries per kind in timeline order and drops files main does not own', () => {
+    const owned = new Set(['/tmp/a-mic.webm', '/tmp/b-screen.webm', '/tmp/c-mic.webm']);
+    const entries = planTrackEntries(
+      [
+        { kind: 'mic', startOffset: 12.3456, mediaFilePath: '/tmp/c-mic.webm' },
+        {
+          kind: 'screen',
+          startOffset: 0,
+          mediaFilePath: '/tmp/b-screen.webm',
+          mimeType: 'video/webm',
+        },
+        { kind: 'mic', startOffset: 0, mediaFilePath: '/tmp/a-mic.webm' },
+        { kind: 'mic', startOffset: 1, mediaFilePath: '/etc/passwd' },
+        { kind: 'speaker', startOffset: 1, mediaFilePath: '/tmp/a-mic.webm' },
+        { kind: 'camera', startOffset: -1, mediaFilePath: '/tmp/a-mic.webm' },
+      ],
+      (p) => owned.has(p)
+    );
+
+    expect(entries.map((e) => [e.entryName, e.path])).toEqual([
+      ['tracks/screen-1.webm', '/tmp/b-screen.webm'],
+      ['tracks/mic-1.webm', '/tmp/a-mic.webm'],
+      ['tracks/mic-2.webm', '/tmp/c-mic.webm'],
+    ]);
+    expect(entries[0].meta).toEqual({
+      file: 'tracks/screen-1.webm',
+      kind: 'screen',
+      startOffset: 0,
+      mimeType: 'video/webm',
+    });
+    expect(entries[2].meta.startOffset).toBe(12.346);
+    expect(planTrackEntries(null, () => true)).toEqual([]);
+  });
+
+  it('places the tracks of later segments in their segment folder', () => {
+    const entries = planTrackEntries(
+      [{ kind: 'mic', startOffset: 0, mediaFilePath: '/tmp/a-mic.webm' }],
+      () => true,
+      'segments/2/'
+    );
+
+    expect(entries.map((e) => [e.entryName, e.meta.file])).toEqual([
+      ['segments/2/tracks/mic-1.webm', 'segments/2/tracks/mic-1.webm'],
+    ]);
+  });
+
+  it('lists only valid tracks present in the notepack', () => {
+    const meta = {
+      tracks: [
+        { file: 'tracks/mic-1.webm', kind: 'mic', startOffset: 0, mimeType: 'audio/webm' },
+        { file: 'tracks/camera-1.webm', kind: 'camera', startOffset: 4.5 },
+        { file: 'tracks/missing.webm', kind: 'mic', startOffset: 0 },
+        { file: 'tracks/aux-1.webm', kind: 'aux', startOffset: 'soon' },
+      ],
+    };
+    const names = [
+      'session.json',
+      'tracks/mic-1.webm',
+      'tracks/camera-1.webm',
+      'tracks/aux-1.webm',
+    ];
+
+    expect(readTrackList(meta, names)).toEqual([
+      { file: 'tracks/mic-1.webm', kind: 'mic', startOffset: 0, mimeType: 'audio/webm' },
+      { file: 'tracks/camera-1.webm', kind: 'camera', startOffset: 4.5 },
+    ]);
+    expect(readTrackList(null, names)).toEqual([]);
+    expect(readTrackList({ tracks: 'all' }, names)).toEqual([]);
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTimestampOffset,
+  loadTimestampOffset,
+  saveTimestampOffset,
+  applyTimestampOffset,
+  planOffsetEdits,
+} from '../src/modules/timestampOffset.js';
+import { CONFIG } from '../src/config.js';
+
+describe('timestampOffset', () => {
+  it('normalizes offsets', () => {
+    expect(normalizeTimestampOffset('-3')).toBe(-3);
+    expect(normalizeTimestampOffset(-2.54)).toBe(-2.5);
+    expect(normalizeTimestampOffset(-500)).toBe(-CONFIG.EDITOR.MAX_TIMESTAMP_OFFSET);
+    expect(normalizeTimestampOffset('abc')).toBe(CONFIG.EDITOR.DEFAULT_TIMESTAMP_OFFSET);
+    expect(normalizeTimestampOffset(null)).toBe(CONFIG.EDITOR.DEFAULT_TIMESTAMP_OFFSET);
+  });
+
+  it('saves and loads the offset', () => {
+    const values = new Map();
+    const storage = {
+      getItem: (key) => (values.has(key) ? values.get(key) : null),
+      setItem: (key, value) => values.set(key, value),
+    };
+    expect(loadTimestampOffset(storage)).toBe(CONFIG.EDITOR.DEFAULT_TIMESTAMP_OFFSET);
+    saveTimestampOffset(storage, -3);
+    expect(values.get(CONFIG.STORAGE_KEYS.TIMESTAMP_OFFSET)).toBe('-3');
+    expect(loadTimestampOffset(storage)).toBe(-3);
+  });
+
+  it('applies the offset without going before the start', () => {
+    expect(applyTimestampOffset(12.345, -3)).toBe(9.35);
+    expect(applyTimestampOffset(1, -3)).toBe(0);
+    expect(applyTimestampOffset(5, 0)).toBe(5);
+  });
+
+  it('moves timestamps that remember when they were taken', () => {
+    const ops = [
+      { insert: 'Intro ' },
+      { insert: { timestamp: { ts: 7, label: '00:07.00', raw: 10, segment: 'seg-2' } } },
+      { insert: { timestamp: { ts: 20, label: 'Q&A', raw: 23 } } },
+      { insert: { timestamp: { ts: 40, label: '00:40.00' } } },
+      { insert: { timestamp: { ts: 55, label: '00:55.00', raw: 60 } } },
+      { insert: '\n' },
+    ];
+    expect(planOffsetEdits(ops, -5)).toEqual([
+      { index: 6, value: { ts: 5, label: '00:05.00', raw: 10, segment: 'seg-2' } },
+      { index: 7, value: { ts: 18, label: 'Q&A', raw: 23 } },
+    ]);
+    expect(planOffsetEdits(ops, -5, (stamp) => stamp.segment === 'seg-2')).toHaveLength(1);
+  });
+});
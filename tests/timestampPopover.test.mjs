@@ -0,0 +1,136 @@
+// @vitest-environment jsdom
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { TimestampPopover, editTimestamp } from '../src/ui/timestampPopover.js';
+
+describe('editTimestamp', () => {
+  const stamp = { ts: 12.5, label: '\uFEFF00:12.50\uFEFF', segment: 'seg-2' };
+
+  it('nudges and relabels default labels, clamping at zero', () => {
+    expect(editTimestamp(stamp, { type: 'nudge', delta: -5 })).toEqual({
+      format: 'timestamp',
+      value: { ts: 7.5, label: '00:07.50', segment: 'seg-2' },
+    });
+    expect(editTimestamp({ ts: 2, label: '00:02.00' }, { type: 'nudge', delta: -5 }).value).toEqual(
+      { ts: 0, label: '00:00.00' }
+    );
+  });
+
+  it('keeps custom labels when the time changes', () => {
+    const custom = { ts: 10, label: 'Intro' };
+    expect(editTimestamp(custom, { type: 'nudge', delta: 1 }).value).toEqual({
+      ts: 11,
+      label: 'Intro',
+    });
+    expect(editTimestamp(custom, { type: 'set', time: 42.123, segment: 'seg-1' }).value).toEqual({
+      ts: 42.12,
+      label: 'Intro',
+      segment: 'seg-1',
+    });
+  });
+
+  it('moves the time before the lead-in offset with nudges only', () => {
+    const taken = { ts: 7, label: '00:07.00', raw: 10 };
+    expect(editTimestamp(taken, { type: 'nudge', delta: -1 }).value).toEqual({
+      ts: 6,
+      label: '00:06.00',
+      raw: 9,
+    });
+    expect(editTimestamp(taken, { type: 'label', label: 'Intro' }).value.raw).toBe(10);
+    expect(editTimestamp(taken, { type: 'set', time: 3 }).value).not.toHaveProperty('raw');
+  });
+
+  it('renames, and restores the time label for an empty name', () => {
+    expect(editTimestamp(stamp, { type: 'label', label: '  Demo ' }).value.label).toBe('Demo');
+    expect(
+      editTimestamp({ ts: 10, label: 'Intro' }, { type: 'label', label: '' }).value.label
+    ).toBe('00:10.00');
+  });
+
+  it('converts to a closed or open range', () => {
+    expect(editTimestamp(stamp, { type: 'range', end: 20 })).toEqual({
+      format: 'timestampRange',
+      value: { start: 12.5, end: 20, label: '00:12.50–00:20.00', segment: 'seg-2' },
+    });
+    expect(editTimestamp(stamp, { type: 'range', end: 3 }).value).toMatchObject({
+      end: null,
+      label: '00:12.50–…',
+    });
+  });
+
+  it('ignores unknown edits', () => {
+    expect(editTimestamp(stamp, { type: 'other' })).toBeNull();
+    expect(editTimestamp(stamp, { type: 'set', time: NaN })).toBeNull();
+  });
+});
+
+describe('TimestampPopover', () => {
+  let popover;
+  let elements;
+  let target;
+  let onEdit;
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button class="ts" id="stamp">\uFEFF00:05.00\uFEFF</button>
+      <div id="popover">
+        <button data-action="nudge" data-delta="-1" id="earlier">−1s</button>
+        <button data-action="range" id="range">Make range</button>
+        <form id="form"><input id="label" /></form>
+      </div>`;
+    elements = {
+      popover: document.getElementById('popover'),
+      labelForm: document.getElementById('form'),
+      labelInput: document.getElementById('label'),
+    };
+    target = document.getElementById('stamp');
+    onEdit = vi.fn(() => {
+      const next = document.createElement('button');
+      next.textContent = '00:04.00';
+      document.body.appendChild(next);
+      return next;
+    });
+    popover = new TimestampPopover();
+    popover.init(elements, { onEdit });
+  });
+
+  it('shows the label and stays open on the replaced button after a nudge', () => {
+    popover.open(target);
+    expect(elements.popover.classList.contains('visible')).toBe(true);
+    expect(elements.labelInput.value).toBe('00:05.00');
+
+    document.getElementById('earlier').click();
+    expect(onEdit).toHaveBeenCalledWith(target, { type: 'nudge', delta: -1 });
+    expect(popover.isOpen()).toBe(true);
+    expect(elements.labelInput.value).toBe('00:04.00');
+  });
+
+  it('closes after renaming or converting', () => {
+    popover.open(target);
+    elements.labelInput.value = 'Intro';
+    elements.labelForm.dispatchEvent(new Event('submit', { cancelable: true }));
+    expect(onEdit).toHaveBeenLastCalledWith(target, { type: 'label', label: 'Intro' });
+    expect(popover.isOpen()).toBe(false);
+
+    popover.open(target);
+    document.getElementById('range').click();
+    expect(onEdit).toHaveBeenLastCalledWith(target, { type: 'range' });
+    expect(elements.popover.classList.contains('visible')).toBe(false);
+  });
+
+  it('closes on Escape and on clicks outside', () => {
+    popover.open(target);
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(popover.isOpen()).toBe(false);
+
+    popover.open(target);
+    target.dispatchEvent(new MouseEvent('mousedown', { bubbles: true }));
+    expect(popover.isOpen()).toBe(false);
+  });
+
+  it('closes when the timestamp is gone', () => {
+    onEdit.mockReturnValue(null);
+    popover.open(target);
+    document.getElementById('earlier').click();
+    expect(popover.isOpen()).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import os from 'os';
+import fs from 'fs';
+import path from 'path';
+import Ajv from 'ajv';
+import {
+  createStubEngine,
+  createWhisperCppEngine,
+  parseWhisperJson,
+  resolveEngineOptions,
+  transcribeMedia,
+} from '../src/main-process/transcription.js';
+
+const schema = JSON.parse(
+  fs.readFileSync(new URL('../schemas/transcript.schema.json', import.meta.url), 'utf-8')
+);
+
+describe('transcription', () => {
+  let tmp;
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'nt-transcription-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  it('parses whisper.cpp JSON into sorted second-based segments', () => {
+    const segments = parseWhisperJson({
+      transcription: [
+        { offsets: { from: 0, to: 1500 }, text: ' Hello there. ' },
+        { offsets: { from: 1500, to: 1500 }, text: '   ' },
+        { offsets: { from: 2000, to: 1000 }, text: 'Backwards' },
+      ],
+    });
+    expect(segments).toEqual([
+      { start: 0, end: 1.5, text: 'Hello there.' },
+      { start: 2, end: 2, text: 'Backwards' },
+    ]);
+    expect(parseWhisperJson(null)).toEqual([]);
+  });
+
+  it('wraps engine output in a schema-valid transcript document', async () => {
+    const engine = createStubEngine([
+      { start: 3, end: 4, text: 'second' },
+      { start: 0, end: 2, text: 'first' },
+    ]);
+    const transcript = await transcribeMedia(engine, '/unused.webm');
+
+    const validate = new Ajv({ strict: false }).compile(schema);
+    expect(validate(transcript)).toBe(true);
+    expect(transcript.engine).toBe('stub');
+    expect(transcript.segments.map((s) => s.text)).toEqual(['first', 'second']);
+  });
+
+  it('runs ffmpeg then whisper.cpp and reports progress', async () => {
+    const model = path.join(tmp, 'ggml-test.bin');
+    fs.writeFileSync(model, '');
+    const calls = [];
+    const run = async (command, args, { onStderr } = {}) => {
+      calls.push(command);
+      if (command === 'whisper') {
+        onStderr?.('whisper_print_progress_callback: progress =  50%\n');
+        const prefix = args[args.indexOf('-of') + 1];
+        fs.writeFileSync(
+          `${prefix}.json`,
+          JSON.stringify({
+            result: { language: 'de' },
+            transcription: [{ offsets: { from: 250, to: 1250 }, text: 'Hallo' }],
+          })
+        );
+      }
+    };
+    const engine = createWhisperCppEngine({
+      binary: 'whisper',
+      model,
+      ffmpeg: 'ffmpeg',
+      language: 'auto',
+      run,
+    });
+
+    const progress = [];
+    const transcript = await transcribeMedia(engine, path.join(tmp, 'media.webm'), {
+      onProgress: (p) => progress.push(p),
+    });
+
+    expect(calls).toEqual(['ffmpeg', 'whisper']);
+    expect(progress.at(-1)).toEqual({ percent: 55, statusText: 'Transcribing… 50%' });
+    expect(transcript).toMatchObject({
+      engine: 'whisper-cpp',
+      language: 'de',
+      segments: [{ start: 0.25, end: 1.25, text: 'Hallo' }],
+    });
+  });
+
+  it('rejects with an actionable message when the model is missing', async () => {
+    const { whisper } = resolveEngineOptions({}, tmp);
+    expect(whisper.model).toBe(path.join(tmp, 'models', 'ggml-base.bin'));
+
+    const engine = createWhisperCppEngine({ ...whisper, run: async () => {} });
+    await expect(engine.transcribe('/unused.webm')).rejects.toThrow(/WHISPER_CPP_MODEL/);
+  });
+});
@@ -1,5 +1,12 @@
 import { describe, it, expect } from 'vitest';
-import { formatTime, withTimeout, createError, sleep } from '../src/modules/utils.js';
+import {
+  formatTime,
+  formatRange,
+  parseTime,
+  withTimeout,
+  createError,
+  sleep,
+} from '../src/modules/utils.js';
 
 describe('utils', () => {
   it('formats time correctly', () => {
@@ -9,6 +16,20 @@ describe('utils', () => {
     expect(formatTime(600.99)).toBe('10:00.99');
   });
 
+  it('formats time ranges', () => {
+    expect(formatRange(723, 880)).toBe('12:03.00–14:40.00');
+    expect(formatRange(5, null)).toBe('00:05.00–…');
+  });
+
+  it('parses typed times', () => {
+    expect(parseTime('01:05.70')).toBeCloseTo(65.7);
+    expect(parseTime('1:02:03')).toBe(3723);
+    expect(parseTime(' 42.5 ')).toBe(42.5);
+    expect(parseTime('1.5:00')).toBeNull();
+    expect(parseTime('abc')).toBeNull();
+    expect(parseTime('')).toBeNull();
+  });
+
   it('withTimeout resolves before timeout', async () => {
     const result = await withTimeout(
       sleep(10).then(() => 'done'),
@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import Ajv from 'ajv';
+import {
+  computePeaks,
+  createPeakStream,
+  isValidPeaks,
+  peaksDuration,
+} from '../src/modules/waveform.js';
+import { CONFIG } from '../src/config.js';
+
+const schema = JSON.parse(
+  fs.readFileSync(new URL('../schemas/waveform.schema.json', import.meta.url), 'utf-8')
+);
+
+describe('waveform peaks', () => {
+  it('computes 8-bit min/max pairs over all channels', () => {
+    const left = Float32Array.from([0.5, -0.25, 0, 0, 1, -1, 0.1]);
+    const right = Float32Array.from([0, -0.5, 0.75, 0, 0, 0, 0]);
+    const peaks = computePeaks([left, right], 4, 2);
+
+    expect(peaks).toMatchObject({ sample_rate: 4, samples_per_pixel: 2, length: 4 });
+    expect(peaks.data).toEqual([-63, 64, 0, 95, -127, 127, 0, 13]);
+    expect(peaksDuration(peaks)).toBe(2);
+  });
+
+  it('produces schema-valid documents', () => {
+    const peaks = computePeaks([new Float32Array(100).fill(-2)], 8000, 160);
+    const validate = new Ajv({ strict: false }).compile(schema);
+    expect(validate(peaks)).toBe(true);
+    expect(peaks.data).toEqual([-128, 0]);
+    expect(isValidPeaks(peaks)).toBe(true);
+  });
+
+  it('streams the same peaks as computing them at once', () => {
+    const samples = Float32Array.from({ length: 1000 }, (_, i) => Math.sin(i / 7) * (i / 1000));
+    const stream = createPeakStream(8000);
+    // Chunks that do not line up with pixels
+    for (let i = 0; i < samples.length; i += 37) stream.push(samples.subarray(i, i + 37));
+    expect(stream.finish()).toEqual(computePeaks([samples], 8000, 160));
+    expect(createPeakStream(8000).finish()).toMatchObject({ length: 0, data: [] });
+  });
+
+  it('merges pixels of long streams to at most MAX_PEAKS', () => {
+    const { MAX_PEAKS, PEAKS_PER_SECOND } = CONFIG.WAVEFORM;
+    // One sample per pixel before merging
+    const stream = createPeakStream(PEAKS_PER_SECOND);
+    const samples = new Float32Array(2 * MAX_PEAKS + 1);
+    samples[samples.length - 1] = -1;
+    stream.push(samples);
+    const peaks = stream.finish();
+
+    expect(peaks.samples_per_pixel).toBe(3);
+    expect(peaks.length).toBe(Math.ceil(samples.length / 3));
+    expect(peaks.length).toBeLessThanOrEqual(MAX_PEAKS);
+    expect(peaks.data.slice(-2)).toEqual([-127, 0]);
+    expect(isValidPeaks(peaks)).toBe(true);
+  });
+
+  it('rejects peaks that cannot be drawn', () => {
+    const peaks = computePeaks([new Float32Array(10)], 8000, 5);
+    expect(isValidPeaks({ ...peaks, length: 3 })).toBe(false);
+    expect(isValidPeaks({ ...peaks, samples_per_pixel: 0 })).toBe(false);
+    expect(isValidPeaks({ ...peaks, bits: 16 })).toBe(false);
+    expect(isValidPeaks(null)).toBe(false);
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect } from 'vitest';
+import { buildPeaksArgs, computeMediaPeaks } from '../src/main-process/waveformPeaks.js';
+import { computePeaks } from '../src/modules/waveform.js';
+import { CONFIG } from '../src/config.js';
+
+describe('waveformPeaks', () => {
+  it('asks ffmpeg for mono float samples on stdout', () => {
+    const args = buildPeaksArgs('/tmp/in.webm');
+    expect(args.slice(args.indexOf('-i'), args.indexOf('-i') + 2)).toEqual(['-i', '/tmp/in.webm']);
+    expect(args).toContain('-vn');
+    expect(args.slice(args.indexOf('-ar'), args.indexOf('-ar') + 2)).toEqual([
+      '-ar',
+      String(CONFIG.WAVEFORM.DECODE_SAMPLE_RATE),
+    ]);
+    expect(args.slice(-3)).toEqual(['-f', 'f32le', 'pipe:1']);
+  });
+
+  it('computes peaks from stdout chunks that split samples', async () => {
+    const samples = Float32Array.from({ length: 500 }, (_, i) => Math.cos(i / 5) * 0.8);
+    const bytes = Buffer.from(samples.buffer);
+    const run = async (command, args, { onStdout }) => {
+      expect(command).toBe('ffmpeg');
+      for (let i = 0; i < bytes.length; i += 333) onStdout(bytes.subarray(i, i + 333));
+    };
+
+    const peaks = await computeMediaPeaks({ ffmpeg: 'ffmpeg', input: '/tmp/in.webm', run });
+    const rate = CONFIG.WAVEFORM.DECODE_SAMPLE_RATE;
+    expect(peaks).toEqual(computePeaks([samples], rate, rate / CONFIG.WAVEFORM.PEAKS_PER_SECOND));
+  });
+
+  it('rejects when ffmpeg fails', async () => {
+    const run = async () => {
+      throw new Error('ffmpeg exited with code 1: no audio');
+    };
+    await expect(computeMediaPeaks({ ffmpeg: 'ffmpeg', input: 'x', run })).rejects.toThrow(
+      /no audio/
+    );
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { fixWebm, fixWebmBlob, readWebmMetadata, bytesSource } from '../src/recording/webmFixup.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const fixture = (name) => new Uint8Array(fs.readFileSync(path.join(fixturesDir, name)));
+
+// Materialize fixWebm output parts into a single buffer
+function assemble(parts, source) {
+  return new Uint8Array(
+    Buffer.concat(parts.map((p) => (p instanceof Uint8Array ? p : source.subarray(p.start, p.end))))
+  );
+}
+
+describe('webmFixup', () => {
+  it('reports missing duration and cues on MediaRecorder-style output', async () => {
+    const meta = await readWebmMetadata(bytesSource(fixture('synthetic-av.webm')));
+    expect(meta).toMatchObject({ durationSeconds: null, cues: [], knownSizes: false });
+    expect(meta.tracks).toEqual([
+      { number: 1, type: 2 },
+      { number: 2, type: 1 },
+    ]);
+    expect(meta.clusterPositions).toHaveLength(3);
+  });
+
+  it('writes duration, known sizes and a video cue per cluster', async () => {
+    const input = fixture('synthetic-av.webm');
+    const result = await fixWebm(bytesSource(input));
+    // The last frames (audio at 2.98 s, video at 2.9 s) last until 3 s
+    expect(result).toMatchObject({ durationSeconds: 3, cueCount: 3 });
+
+    const output = assemble(result.parts, input);
+    const meta = await readWebmMetadata(bytesSource(output));
+    expect(meta.durationSeconds).toBeCloseTo(3);
+    expect(meta.knownSizes).toBe(true);
+    expect(meta.cues.map((c) => c.time)).toEqual([0, 1000, 2000]);
+    expect(meta.cues.every((c) => c.track === 2)).toBe(true);
+    expect(meta.cues.map((c) => c.clusterPosition)).toEqual(meta.clusterPositions);
+  });
+
+  it('keeps every block byte and is idempotent', async () => {
+    const input = fixture('synthetic-av.webm');
+    const output = assemble((await fixWebm(bytesSource(input))).parts, input);
+
+    // Cluster bodies are copied verbatim, so the body of the last cluster ends both files
+    const tail = input.subarray(input.length - 1000);
+    expect(Buffer.from(output.subarray(output.length - 1000)).equals(Buffer.from(tail))).toBe(true);
+    expect(await fixWebm(bytesSource(output))).toBeNull();
+  });
+
+  it('indexes audio-only recordings on the audio track', async () => {
+    const input = fixture('synthetic-audio.webm');
+    const result = await fixWebm(bytesSource(input));
+    const meta = await readWebmMetadata(bytesSource(assemble(result.parts, input)));
+    expect(meta.durationSeconds).toBeCloseTo(2);
+    expect(meta.cues).toEqual([
+      { time: 0, track: 1, clusterPosition: meta.clusterPositions[0] },
+      { time: 1000, track: 1, clusterPosition: meta.clusterPositions[1] },
+    ]);
+  });
+
+  it('drops a truncated tail instead of failing', async () => {
+    const full = fixture('synthetic-audio.webm');
+    const input = full.subarray(0, full.length - 10);
+    const result = await fixWebm(bytesSource(input));
+    const meta = await readWebmMetadata(bytesSource(assemble(result.parts, input)));
+    expect(meta.knownSizes).toBe(true);
+    // The cut-off frame at 1.98 s is dropped; the one before it ends there
+    expect(meta.durationSeconds).toBeCloseTo(1.98);
+  });
+
+  it('returns the original blob for non-WebM input and a fixed blob otherwise', async () => {
+    const mp4 = new Blob([new Uint8Array([0, 0, 0, 0x18, 0x66, 0x74, 0x79, 0x70])], {
+      type: 'video/mp4',
+    });
+    expect(await fixWebmBlob(mp4)).toBe(mp4);
+
+    const input = fixture('synthetic-av.webm');
+    const blob = new Blob([input], { type: 'video/webm;codecs=vp8,opus' });
+    const fixed = await fixWebmBlob(blob);
+    expect(fixed.type).toBe(blob.type);
+    const expected = assemble((await fixWebm(bytesSource(input))).parts, input);
+    expect(Buffer.from(await fixed.arrayBuffer()).equals(Buffer.from(expected))).toBe(true);
+  });
+});
@@ -27,20 +27,64 @@ export interface Mixer {
   audioCtx: AudioContext;
   /** Audio destination node for outputting processed audio */
   dest: MediaStreamAudioDestinationNode;
-  /** Video element displaying camera feed */
+  /** Video element playing the camera feed (null while the layout does not show it) */
   camVideo: HTMLVideoElement | null;
+  /** Video element playing the screen/window capture (null while the layout does not show it) */
+  screenVideo: HTMLVideoElement | null;
   /** Canvas for capturing video frames */
   canvas: HTMLCanvasElement | null;
   /** RequestAnimationFrame ID for canvas drawing loop */
   rafId: number | null;
   /** Audio source node from microphone */
   micSrc: MediaStreamAudioSourceNode | null;
+  /** Microphone processing chain (high-pass, noise gate, compressor, loudness gain) */
+  micChain: import('../src/recording/audioProcessing.js').ProcessingChain | null;
+  /** Microphone volume/mute */
+  micGain: GainNode | null;
   /** Raw microphone media stream */
   micStream: MediaStream | null;
-  /** Raw camera media stream */
+  /** Raw camera stream */
   camStream: MediaStream | null;
+  /** Raw screen/window capture stream */
+  screenStream: MediaStream | null;
   /** Audio analyser node for level monitoring */
   analyser: AnalyserNode | null;
+  /** Audio source node from the second audio source (null when none) */
+  auxSrc: MediaStreamAudioSourceNode | null;
+  /** Second audio source volume/mute */
+  auxGain: GainNode;
+  /** Raw second audio source stream (system audio or another input device) */
+  auxStream: MediaStream | null;
+  /** Audio analyser node for the second source's level meter */
+  auxAnalyser: AnalyserNode;
+  /** Why the selected second audio source could not be added at start (null when it was, or none was selected) */
+  auxError: Error | null;
+  /** Video layout preset drawn on the canvas (CONFIG.COMPOSITOR.LAYOUTS) */
+  layout: string;
+}
+
+/**
+ * Screen or window offered by the capture source picker (list-capture-sources)
+ */
+export interface CaptureSource {
+  /** desktopCapturer source id (screen:… or window:…) */
+  id: string;
+  name: string;
+  kind: 'screen' | 'window';
+  /** PNG data URL (null when the OS returned an empty thumbnail) */
+  thumbnail: string | null;
+}
+
+/**
+ * Second audio source mixed with the microphone
+ * 'system' is desktop loopback audio (getDisplayMedia); 'device' is another audio input
+ */
+export interface AuxAudioSource {
+  kind: 'system' | 'device';
+  /** Input device ID (kind 'device') */
+  deviceId?: string;
+  /** Label shown next to the source's volume controls */
+  label: string;
 }
 
 /**
@@ -101,11 +145,58 @@ export interface AudioBitrateOption {
 /**
  * Timestamp embed value for Quill
  */
+/** Subtitle/chapter export formats (File > Export) */
+export type SubtitleFormat = 'vtt' | 'srt' | 'chapters';
+
+/** Time range derived from a timestamp and the note text after it */
+export interface TimestampCue {
+  /** Start time in seconds (the timestamp) */
+  start: number;
+  /** End time in seconds (next timestamp, or media end) */
+  end: number;
+  /** First line of note text after the timestamp */
+  title: string;
+}
+
+/** Marker categories (CONFIG.MARKERS.TYPES) */
+export type MarkerType = 'important' | 'question' | 'todo' | 'custom';
+
+/** Timeline bookmark stored in session.json `markers` */
+export interface Marker {
+  id: string;
+  /** Position in seconds */
+  time: number;
+  type: MarkerType;
+  /** Tick color (#rrggbb), custom markers only */
+  color?: string;
+  label?: string;
+}
+
 export interface TimestampValue {
   /** Timestamp in seconds */
   ts: number;
   /** Display label for the timestamp button */
   label: string;
+  /** Id of the recording (segment) the time refers to; missing = the first segment */
+  segment?: string;
+  /** Time the timestamp was taken, before the lead-in offset (missing = ts was set by hand) */
+  raw?: number;
+}
+
+/**
+ * Timestamp range embed value for Quill (a clip of the recording)
+ */
+export interface TimestampRangeValue {
+  /** Start in seconds */
+  start: number;
+  /** End in seconds (after start); null while the range is still open */
+  end: number | null;
+  /** Display label for the range button */
+  label: string;
+  /** Play the range in a loop instead of once */
+  loop?: boolean;
+  /** Id of the recording (segment) the range refers to; missing = the first segment */
+  segment?: string;
 }
 
 /**
@@ -165,29 +256,227 @@ export interface ExportInitOptions {
 // ============================================================================
 
 /**
- * Session metadata stored in session.json
+ * One recording of a session as listed in session.json `segments` (version 2)
+ */
+export interface SessionSegmentMeta {
+  /** Segment id, referenced by timestamps in the notes */
+  id: string;
+  /** Display name */
+  name: string;
+  /** Media entry (media.webm for the first segment, segments/<n>/media.webm after). Null if missing */
+  mediaFile: string | null;
+  transcriptFile?: string | null;
+  peaksFile?: string | null;
+  markers?: Marker[];
+  tracks?: { file: string; kind: TrackKind; startOffset: number; mimeType?: string }[];
+  segmentBoundaries?: number[];
+}
+
+/**
+ * Session metadata stored in session.json (version 1 files are migrated on load)
  */
 export interface SessionMeta {
   /** ISO timestamp when the session was created */
   createdAt: string;
-  /** Filename of the media file inside the archive (e.g., "media.webm"). Can be null if missing */
-  mediaFile: string | null;
   /** Filename of the notes HTML inside the archive (typically notes.html) */
   notesFile: string;
-  /** Internal schema version number for session.json */
+  /** Recordings of the session in display order */
+  segments: SessionSegmentMeta[];
+  /** Internal schema version number for session.json (2) */
   version: number;
 }
 
+/**
+ * One recording (segment) in the save session payload
+ */
+export interface SaveSegmentPayload {
+  /** Segment id (kept so timestamps still point at it) */
+  id: string;
+  /** Display name */
+  name: string;
+  /** Path to temp media file (null when the segment has no recording) */
+  mediaFilePath: string | null;
+  /** Media extension ('webm' or 'mp4') */
+  mediaSuggestedExt?: string;
+  /** Transcript saved as transcript.json (omitted/null when there is none) */
+  transcript?: Transcript | null;
+  /** Timeline markers saved in session.json */
+  markers?: Marker[];
+  /** Waveform peaks cached as waveform.json (omitted/null when not computed) */
+  peaks?: WaveformPeaks | null;
+  /** Raw source tracks saved as tracks/<kind>-<n>.<ext> (multi-track recordings) */
+  tracks?: SaveTrackPayload[];
+  /** Start times of takes appended with "continue recording" (omitted/[] for one) */
+  segmentBoundaries?: number[];
+}
+
 /**
  * Save session payload
  */
 export interface SaveSessionPayload {
   /** HTML content from Quill editor */
   noteHtml: string;
-  /** Path to temp media file */
-  mediaFilePath: string;
+  /** Recordings in display order (the first one is stored at the archive root) */
+  segments: SaveSegmentPayload[];
   /** Unique session ID for progress tracking */
   sessionId: string;
+  /** Always ask for the file location */
+  forceSaveAs?: boolean;
+}
+
+/**
+ * One recording (segment) returned by load-session
+ */
+export interface LoadedSegment {
+  id: string;
+  name: string;
+  /** Parsed transcript.json (null when the segment has none) */
+  transcript: Transcript | null;
+  /** session.json markers of the segment */
+  markers: Marker[];
+  /** Starts of takes appended with "continue recording" (empty for a single take) */
+  segmentBoundaries: number[];
+  /** Cached waveform.json peaks (null when the segment has none) */
+  peaks: WaveformPeaks | null;
+  mediaFile: string | null;
+  /** Temp file the media entry was extracted to (null when the segment has no media) */
+  mediaPath: string | null;
+  /** notepack:// URL serving mediaPath with HTTP Range support */
+  mediaUrl: string | null;
+  mediaSize: number;
+  /** Raw source tracks extracted to temp files (empty unless multi-track) */
+  tracks: RecordedTrack[];
+}
+
+/** Source kind of a raw track (multi-track recording) */
+export type TrackKind = 'mic' | 'aux' | 'camera' | 'screen';
+
+/**
+ * Raw source track of a multi-track recording
+ * In-memory after recording (blob), file-backed after loading a notepack or recovering a
+ * journal (path)
+ */
+export interface RecordedTrack {
+  kind: TrackKind;
+  /** Seconds into the mixed recording where this track starts */
+  startOffset: number;
+  /** MediaRecorder MIME type */
+  mimeType?: string;
+  /** Recorded data (fresh recordings) */
+  blob?: Blob;
+  /** Extracted file (loaded notepacks, recovered journals) */
+  path?: string;
+  /** Entry name inside the notepack (loaded notepacks) */
+  file?: string;
+}
+
+/**
+ * Recording a new take is appended to ("continue recording")
+ * Captured when the take starts; the coordinator joins both once the take is finalized.
+ */
+export interface AppendBase {
+  /** In-memory recording (null for file-backed media) */
+  blob: Blob | null;
+  /** File-backed media path (null for in-memory recordings) */
+  path: string | null;
+  /** Player URL of the recording, used to restore it if the take fails to start */
+  url: string;
+  /** Media extension of the recording ('webm' or 'mp4') */
+  ext: string;
+  /** Length of the recording in seconds (where the take starts on the combined timeline) */
+  duration: number;
+  /** Video frame size, or null for audio-only recordings */
+  frameSize: { width: number; height: number } | null;
+  /** Segment start times of the recording (first is 0) */
+  boundaries: number[];
+}
+
+/** An appended take waiting to be joined after its base recording */
+export interface PendingAppend extends AppendBase {
+  /** Combined length in seconds (base duration plus the take) */
+  end: number;
+}
+
+/**
+ * Media of a segment that is not being played (recordingSystem.detachMedia/attachMedia)
+ */
+export interface SegmentMedia {
+  /** In-memory recording (null for file-backed media) */
+  blob: Blob | null;
+  /** File-backed media (null for in-memory recordings) */
+  file: { path: string; url: string } | null;
+  /** Media extension ('webm' or 'mp4') */
+  ext: string;
+  tracks: RecordedTrack[];
+  /** Starts of takes appended with "continue recording" ([] for a single take) */
+  boundaries: number[];
+}
+
+/**
+ * Everything tied to one segment's timeline, kept while another segment is played
+ */
+export interface SegmentState {
+  media: SegmentMedia | null;
+  transcript: Transcript | null;
+  markers: Marker[];
+  peaks: WaveformPeaks | null;
+}
+
+/** Track passed to save-session; the file must come from createTempMedia or load-session */
+export interface SaveTrackPayload {
+  kind: TrackKind;
+  startOffset: number;
+  mimeType?: string;
+  mediaFilePath: string;
+}
+
+/**
+ * waveform.json document (schemas/waveform.schema.json)
+ * Same layout as the audiowaveform JSON format: 8-bit min/max pairs for a mono mixdown
+ */
+export interface WaveformPeaks {
+  version: 2;
+  channels: 1;
+  /** Sample rate the media was decoded at */
+  sample_rate: number;
+  /** Decoded samples summarized by each min/max pair */
+  samples_per_pixel: number;
+  bits: 8;
+  /** Number of min/max pairs */
+  length: number;
+  /** Interleaved [min0, max0, min1, max1, ...] in -128..127 */
+  data: number[];
+}
+
+/**
+ * One line of a time-aligned transcript
+ */
+export interface TranscriptSegment {
+  /** Start time in seconds */
+  start: number;
+  /** End time in seconds */
+  end: number;
+  text: string;
+}
+
+/**
+ * transcript.json document (schemas/transcript.schema.json)
+ */
+export interface Transcript {
+  version: number;
+  /** Engine id, e.g. 'whisper-cpp' */
+  engine: string;
+  language: string | null;
+  createdAt: string;
+  segments: TranscriptSegment[];
+}
+
+/**
+ * Transcription progress reported via 'transcription-progress'
+ */
+export interface TranscriptionProgress {
+  percent: number;
+  statusText: string;
 }
 
 /**
@@ -203,6 +492,17 @@ export type SaveProgressPhase =
 /**
  * Save progress event data
  */
+/**
+ * Progress for notepack loading (media extraction to a temp file)
+ */
+export interface FileLoadingProgress {
+  phase: 'extracting-media';
+  percent: number;
+  bytesWritten: number;
+  totalBytes: number;
+  statusText: string;
+}
+
 export interface SaveProgress {
   /** Current phase of save operation */
   phase: SaveProgressPhase;
@@ -237,14 +537,91 @@ export interface TempMediaStream {
 /**
  * Main process API exposed via preload
  */
+/**
+ * Crash-recovery journal summary returned by listRecoveryJournals()
+ */
+export interface RecoveryJournalSummary {
+  id: string;
+  createdAt: string;
+  updatedAt: string;
+  /** 'recording' means the app exited before the recorder was stopped */
+  status: 'recording' | 'stopped';
+  mediaFile: string | null;
+  mimeType: string | null;
+  mediaSize: number;
+  hasNotes: boolean;
+  state?: RecoverySessionState;
+}
+
+/**
+ * Renderer session state stored with each autosave snapshot
+ */
+export interface RecoverySessionState {
+  /** Player position when the snapshot was taken (seconds) */
+  playerTime?: number;
+  /** Extension of the journaled/loaded media */
+  mediaExt?: string;
+  /** Transcript of the recording (snapshots without segments) */
+  transcript?: Transcript | null;
+  /** Timeline markers (snapshots without segments) */
+  markers?: Marker[];
+  /** Every recording of the session in display order */
+  segments?: RecoverySegment[];
+  /** Id of the segment being played */
+  activeSegment?: string;
+  /** Id of the segment whose recording the journal's media is (null if none was journaled) */
+  journalSegment?: string | null;
+  /** Segment the journal's take belongs to (null when it has none or it was joined) */
+  journalTake?: RecoveryTake | null;
+}
+
+/**
+ * Where the journal's take (continue recording) belongs
+ */
+export interface RecoveryTake {
+  segment: string;
+  /** True until the take is joined or kept: it continues the segment's recording; otherwise
+   * it is the segment's own recording (kept as a segment when joining failed) */
+  pending: boolean;
+}
+
+/**
+ * A segment in a recovery snapshot
+ * Only file-backed media can be found again by path; in-memory recordings are recovered from
+ * the journal's media (journalSegment).
+ */
+export interface RecoverySegment {
+  id: string;
+  name: string;
+  /** The segment had media when the snapshot was taken */
+  hasMedia: boolean;
+  /** File-backed media (temp file kept by the startup cleanup), null for in-memory recordings */
+  mediaPath: string | null;
+  /** File-backed raw tracks of mediaPath */
+  tracks: RecordedTrack[];
+  boundaries: number[];
+  transcript: Transcript | null;
+  markers: Marker[];
+}
+
+/**
+ * Autosave snapshot written to a recovery journal
+ */
+export interface RecoverySnapshot {
+  notesHtml: string;
+  /** Quill delta of the editor contents (null when the editor is empty) */
+  delta: any | null;
+  state: RecoverySessionState;
+}
+
 export interface WindowAPI {
   // Session operations
   saveSession(payload: SaveSessionPayload): Promise<{ ok: boolean; path?: string; error?: string }>;
   loadSession(): Promise<{
     ok: boolean;
     notesHtml?: string;
-    mediaArrayBuffer?: ArrayBuffer;
-    mediaFile?: string | null;
+    /** Recordings in display order (at least one; version 1 notepacks have exactly one) */
+    segments?: LoadedSegment[];
     error?: string;
   }>;
 
@@ -252,6 +629,13 @@ export interface WindowAPI {
   createTempMedia(opts: {
     fileName: string;
     sessionId: string;
+    /** Stream into this crash-recovery journal instead of os.tmpdir() */
+    journalId?: string | null;
+    mimeType?: string | null;
+    /** With journalId: the file is this raw source track of the journal's recording (or take) */
+    journalTrack?: { kind: TrackKind; startOffset: number; take?: boolean } | null;
+    /** With journalId: the file is a take appended at startOffset (the journal's take) */
+    journalTake?: { startOffset: number } | null;
   }): Promise<{ ok: boolean; id?: string; path?: string; error?: string }>;
   appendTempMedia(
     id: string,
@@ -259,17 +643,145 @@ export interface WindowAPI {
   ): Promise<{ ok: boolean; bytesWritten?: number; error?: string }>;
   closeTempMedia(id: string): Promise<{ ok: boolean; path?: string; error?: string }>;
 
+  // Crash-recovery journals
+  createRecoveryJournal(): Promise<{ ok: boolean; id?: string; error?: string }>;
+  writeRecoverySnapshot(
+    id: string,
+    snapshot: RecoverySnapshot
+  ): Promise<{ ok: boolean; error?: string }>;
+  listRecoveryJournals(): Promise<{
+    ok: boolean;
+    journals?: RecoveryJournalSummary[];
+    error?: string;
+  }>;
+  recoverJournal(id: string): Promise<{
+    ok: boolean;
+    notesHtml?: string;
+    delta?: any | null;
+    state?: RecoverySessionState;
+    /** Playable temp copy of the journaled media (null without media) */
+    mediaPath?: string | null;
+    /** notepack:// URL of mediaPath */
+    mediaUrl?: string | null;
+    mimeType?: string | null;
+    /** Playable temp copies of the journaled raw tracks (saved like loaded notepack tracks) */
+    tracks?: RecordedTrack[];
+    /** Playable temp copy of the journal's take and its raw tracks (offsets on the combined
+     * timeline of the recording it continues and the take) */
+    take?: {
+      mediaPath: string;
+      mediaUrl: string;
+      startOffset: number;
+      tracks: RecordedTrack[];
+    } | null;
+    /** Segments of state.segments whose file-backed media is still on disk (registered again) */
+    segments?: Array<{ id: string; mediaPath: string; mediaUrl: string; tracks: RecordedTrack[] }>;
+    createdAt?: string;
+    error?: string;
+  }>;
+  discardRecoveryJournal(id: string): Promise<{ ok: boolean; error?: string }>;
+
   // Export operations
-  saveHtml(payload: { html: string }): Promise<{ ok: boolean; path?: string; error?: string }>;
+  saveHtml(payload: {
+    html: string;
+    /** File-backed media streamed into CONFIG.EXPORT.MEDIA_BASE64_PLACEHOLDER */
+    mediaFilePath?: string | null;
+  }): Promise<{ ok: boolean; path?: string; error?: string }>;
   saveHtmlVideo(payload: {
     html: string;
     mediaBuffer: ArrayBuffer | null;
+    /** File-backed media copied next to the HTML (takes precedence over mediaBuffer) */
+    mediaFilePath?: string | null;
     mediaExt: string;
     images: ExtractedImage[];
   }): Promise<{ ok: boolean; path?: string; error?: string }>;
+  saveSubtitles(payload: {
+    content: string;
+    format: SubtitleFormat;
+  }): Promise<{ ok: boolean; path?: string; error?: string }>;
+  savePdf(payload: {
+    /** Print document from ExportSystem.buildPrintTemplate() */
+    html: string;
+  }): Promise<{ ok: boolean; path?: string; error?: string }>;
+  saveMarkdown(payload: {
+    /** Image links use CONFIG.EXPORT.MARKDOWN_ASSETS_PLACEHOLDER as their folder */
+    markdown: string;
+    images: ExtractedImage[];
+  }): Promise<{ ok: boolean; path?: string; assetsDir?: string | null; error?: string }>;
+  importMarkdown(): Promise<{
+    ok: boolean;
+    markdown?: string;
+    /** Data URLs for local images, keyed by the (decoded) reference in the Markdown */
+    images?: Record<string, string>;
+    fileName?: string;
+    error?: string;
+  }>;
 
   // Image picker
   pickImage(): Promise<{ ok: boolean; dataUrl?: string; error?: string }>;
+
+  // Speech-to-text (temp files from createTempMedia are deleted afterwards)
+  transcribeMedia(opts: { mediaFilePath: string }): Promise<{
+    ok: boolean;
+    transcript?: Transcript;
+    canceled?: boolean;
+    error?: string;
+  }>;
+  cancelTranscription(): Promise<{ ok: boolean }>;
+
+  // Trim/cut: keeps the segments of the loaded media or a createTempMedia file (deleted
+  // afterwards); the result becomes the loaded media
+  cutMedia(opts: {
+    mediaFilePath: string;
+    segments: { start: number; end: number }[];
+    hasVideo?: boolean;
+    /** Raw tracks (createTempMedia or loadSession track files, deleted afterwards) and the
+     * segments to keep on each track's own timeline */
+    tracks?: { mediaFilePath: string; segments: { start: number; end: number }[] }[];
+  }): Promise<{
+    ok: boolean;
+    mediaPath?: string;
+    mediaUrl?: string;
+    /** Cut copy of each track, in order (null when nothing of it remained) */
+    tracks?: ({ mediaPath: string } | null)[];
+    canceled?: boolean;
+    error?: string;
+  }>;
+  // Continue recording: joins takeFilePath after mediaFilePath (both loaded media or
+  // createTempMedia files, deleted afterwards); the result becomes the loaded media
+  appendMedia(opts: {
+    mediaFilePath: string;
+    takeFilePath: string;
+    /** Frame size of the first recording (null for audio only) */
+    frameSize: { width: number; height: number } | null;
+    /** Expected combined length in seconds (progress only) */
+    duration?: number;
+  }): Promise<{
+    ok: boolean;
+    mediaPath?: string;
+    mediaUrl?: string;
+    canceled?: boolean;
+    error?: string;
+  }>;
+  /** Cancel the running cutMedia/appendMedia */
+  cancelMediaEdit(): Promise<{ ok: boolean }>;
+
+  // Waveform peaks of the loaded media or a createTempMedia file (deleted afterwards); a newer
+  // request cancels the running one
+  computeWaveform(opts: { mediaFilePath: string }): Promise<{
+    ok: boolean;
+    peaks?: WaveformPeaks;
+    canceled?: boolean;
+    error?: string;
+  }>;
+
+  // Screen/window capture (access is the macOS screen recording permission status)
+  listCaptureSources(): Promise<{
+    ok: boolean;
+    sources?: CaptureSource[];
+    access?: string;
+    error?: string;
+  }>;
 }
 
 /**
@@ -285,9 +797,18 @@ export interface WindowMenu {
   /** Listen for file loading start event */
   onFileLoadingStart(callback: () => void): void;
 
+  /** Listen for file loading progress (media extraction) */
+  onFileLoadingProgress(callback: (progress: FileLoadingProgress) => void): void;
+
   /** Listen for file loading complete event */
   onFileLoadingComplete(callback: () => void): void;
 
+  /** Listen for transcription progress */
+  onTranscriptionProgress(callback: (progress: TranscriptionProgress) => void): void;
+
+  /** Listen for trim/cut and append progress */
+  onMediaEditProgress(callback: (progress: { percent: number }) => void): void;
+
   /** Send current state to main process for menu updates */
   sendState(state: any): void;
 }